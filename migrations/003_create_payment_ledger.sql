@@ -0,0 +1,79 @@
+-- Migration: append-only payment journal and double-entry ledger
+-- Every order, provider event, activation, refund and adjustment is an
+-- immutable row in payment_events; money movements are balanced debit/credit
+-- lines in ledger_entries. Redis order blobs are a cache in front of this.
+
+CREATE TABLE IF NOT EXISTS payment_events (
+  id BIGSERIAL PRIMARY KEY,
+  event_type TEXT NOT NULL, -- order_created | provider_event | activation | refund | chargeback | adjustment
+  order_id TEXT,
+  user_id BIGINT,
+  provider TEXT,
+  provider_ref TEXT,
+  tier TEXT,
+  amount NUMERIC(14,2),
+  currency TEXT,
+  status TEXT,
+  payload JSONB DEFAULT '{}'::jsonb,
+  idempotency_key TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_events_order_id ON payment_events(order_id);
+CREATE INDEX IF NOT EXISTS idx_payment_events_user_id ON payment_events(user_id);
+CREATE INDEX IF NOT EXISTS idx_payment_events_type_created ON payment_events(event_type, created_at);
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id BIGSERIAL PRIMARY KEY,
+  event_id BIGINT NOT NULL REFERENCES payment_events(id),
+  account TEXT NOT NULL, -- cash:MPESA, customer:{userId}, revenue:VVIP, fee_income:MPESA, refunds:VVIP, adjustments
+  user_id BIGINT,
+  debit NUMERIC(14,2) NOT NULL DEFAULT 0,
+  credit NUMERIC(14,2) NOT NULL DEFAULT 0,
+  currency TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  CHECK (debit >= 0 AND credit >= 0 AND (debit = 0) <> (credit = 0))
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_event_id ON ledger_entries(event_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries(account);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_user_id ON ledger_entries(user_id);
+
+-- Append-only: corrections are new events, never edits
+CREATE OR REPLACE FUNCTION ledger_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS payment_events_append_only ON payment_events;
+CREATE TRIGGER payment_events_append_only BEFORE UPDATE OR DELETE ON payment_events
+  FOR EACH ROW EXECUTE FUNCTION ledger_append_only();
+
+DROP TRIGGER IF EXISTS ledger_entries_append_only ON ledger_entries;
+CREATE TRIGGER ledger_entries_append_only BEFORE UPDATE OR DELETE ON ledger_entries
+  FOR EACH ROW EXECUTE FUNCTION ledger_append_only();
+
+-- Debits equal credits per event and currency, checked at commit
+CREATE OR REPLACE FUNCTION ledger_check_balanced() RETURNS trigger AS $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM ledger_entries WHERE event_id = NEW.event_id
+    GROUP BY currency HAVING SUM(debit) <> SUM(credit)
+  ) THEN
+    RAISE EXCEPTION 'ledger event % is not balanced', NEW.event_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS ledger_entries_balanced ON ledger_entries;
+CREATE CONSTRAINT TRIGGER ledger_entries_balanced AFTER INSERT ON ledger_entries
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW EXECUTE FUNCTION ledger_check_balanced();
+
+-- Account balances (credit-positive), e.g. customer:{id} is credit held for a user
+CREATE OR REPLACE VIEW ledger_balances AS
+  SELECT account, user_id, currency, SUM(debit) AS debit, SUM(credit) AS credit, SUM(credit - debit) AS balance
+  FROM ledger_entries
+  GROUP BY account, user_id, currency;
@@ -0,0 +1,22 @@
+-- Migration: raw payment provider webhooks, stored before any processing
+-- One row per (provider, provider_event_id); redeliveries hit the unique index
+-- and are acknowledged without being processed again. Rows move through
+-- received -> queued -> processing -> processed | ignored | dead.
+
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id BIGSERIAL PRIMARY KEY,
+  provider TEXT NOT NULL, -- MPESA | SAFARICOM_TILL | PAYPAL | BINANCE
+  provider_event_id TEXT NOT NULL,
+  event_type TEXT,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  headers JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'received',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  result JSONB,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  processed_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (provider, provider_event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status, received_at);
@@ -0,0 +1,6 @@
+-- Migration: keep the exact request body of each payment webhook
+-- Signatures (Binance Pay, Lipana) are computed over the bytes the provider
+-- sent; the parsed JSONB payload loses large numbers and key order, so replays
+-- verify against raw_body instead. NULL for events stored before this column.
+
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS raw_body TEXT;
@@ -15,7 +15,7 @@ async function run() {
   const client = await pool.connect();
   try {
     const migrationsDir = path.join(process.cwd(), 'migrations');
-    const files = ['001_create_users_payments.sql', '002_create_webhooks.sql'];
+    const files = ['001_create_users_payments.sql', '002_create_webhooks.sql', '003_create_payment_ledger.sql', '004_create_webhook_events.sql', '005_add_webhook_events_raw_body.sql'];
     console.log('Applying migrations:', files.join(', '));
     await client.query('BEGIN');
     for (const f of files) {
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/*
+  Local stand-in for the Safaricom Daraja API (OAuth, STK push, STK query,
+  C2B URL registration) for tests and offline development.
+
+    node scripts/daraja-stub-server.js            # listens on DARAJA_STUB_PORT or 8799
+    MPESA_BASE_URL=http://localhost:8799 MPESA_BACKEND=daraja npm start
+
+  The customer's answer to a prompt is chosen per phone number with
+  `results` ({ '254712000001': 1032 }); phones without an entry stay
+  "being processed" until answer(checkoutRequestId, code) is called.
+  callbackFor(checkoutRequestId) builds the Body.stkCallback payload Daraja
+  would post to the CallBackURL.
+*/
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+const CONSUMER_KEY = 'stub-key';
+const CONSUMER_SECRET = 'stub-secret';
+
+export function startDarajaStub({ port = 0, results = {}, tokenTtlSeconds = 3599 } = {}) {
+  const state = {
+    tokens: new Set(),
+    tokensIssued: 0,
+    pushes: new Map(),
+    c2b: [],
+    requests: []
+  };
+  let seq = 0;
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const readBody = (req) => new Promise((resolve) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try { resolve(data ? JSON.parse(data) : {}); } catch (e) { resolve({}); }
+    });
+  });
+
+  const server = http.createServer(async (req, res) => {
+    const body = await readBody(req);
+    const path = req.url.split('?')[0];
+    state.requests.push({ method: req.method, path, body });
+
+    if (path === '/oauth/v1/generate') {
+      const expected = 'Basic ' + Buffer.from(`${CONSUMER_KEY}:${CONSUMER_SECRET}`).toString('base64');
+      if (req.headers.authorization !== expected) return send(res, 400, { errorCode: '400.008.01', errorMessage: 'Invalid Authentication passed' });
+      const token = `stub-token-${++state.tokensIssued}`;
+      state.tokens.add(token);
+      return send(res, 200, { access_token: token, expires_in: String(tokenTtlSeconds) });
+    }
+
+    const token = String(req.headers.authorization || '').replace(/^Bearer /, '');
+    if (!state.tokens.has(token)) return send(res, 401, { errorCode: '404.001.03', errorMessage: 'Invalid Access Token' });
+
+    if (path === '/mpesa/stkpush/v1/processrequest') {
+      if (!body.PhoneNumber || !body.Amount || !body.Password) {
+        return send(res, 400, { errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid PhoneNumber' });
+      }
+      const n = ++seq;
+      const push = {
+        merchantRequestId: `29115-${n}`,
+        checkoutRequestId: `ws_CO_STUB_${n}`,
+        phone: String(body.PhoneNumber),
+        amount: Number(body.Amount),
+        accountReference: body.AccountReference,
+        callbackUrl: body.CallBackURL,
+        resultCode: results[String(body.PhoneNumber)] ?? null
+      };
+      state.pushes.set(push.checkoutRequestId, push);
+      return send(res, 200, {
+        MerchantRequestID: push.merchantRequestId,
+        CheckoutRequestID: push.checkoutRequestId,
+        ResponseCode: '0',
+        ResponseDescription: 'Success. Request accepted for processing',
+        CustomerMessage: 'Success. Request accepted for processing'
+      });
+    }
+
+    if (path === '/mpesa/stkpushquery/v1/query') {
+      const push = state.pushes.get(body.CheckoutRequestID);
+      if (!push) return send(res, 500, { errorCode: '500.001.1001', errorMessage: 'Unable to lock subscriber, a transaction is already in process for the current subscriber' });
+      if (push.resultCode === null) return send(res, 500, { errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' });
+      return send(res, 200, {
+        ResponseCode: '0',
+        MerchantRequestID: push.merchantRequestId,
+        CheckoutRequestID: push.checkoutRequestId,
+        ResultCode: String(push.resultCode),
+        ResultDesc: push.resultCode === 0 ? 'The service request is processed successfully.' : 'Request failed'
+      });
+    }
+
+    if (path === '/mpesa/c2b/v1/registerurl') {
+      state.c2b.push(body);
+      return send(res, 200, { OriginatorCoversationID: `c2b-${state.c2b.length}`, ResponseCode: '0', ResponseDescription: 'Success' });
+    }
+
+    return send(res, 404, { errorCode: '404.001.01', errorMessage: 'Resource not found' });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        baseUrl,
+        consumerKey: CONSUMER_KEY,
+        consumerSecret: CONSUMER_SECRET,
+        state,
+        // The customer answers the prompt (0 paid, 1032 cancelled, 1037 timeout, 1 insufficient funds)
+        answer(checkoutRequestId, resultCode) {
+          const push = state.pushes.get(checkoutRequestId);
+          if (push) push.resultCode = Number(resultCode);
+          return push || null;
+        },
+        callbackFor(checkoutRequestId, { receipt = 'STUBRCPT001' } = {}) {
+          const push = state.pushes.get(checkoutRequestId);
+          if (!push) return null;
+          const stkCallback = {
+            MerchantRequestID: push.merchantRequestId,
+            CheckoutRequestID: push.checkoutRequestId,
+            ResultCode: push.resultCode ?? 1037,
+            ResultDesc: push.resultCode === 0 ? 'The service request is processed successfully.' : 'Request failed'
+          };
+          if (push.resultCode === 0) {
+            stkCallback.CallbackMetadata = {
+              Item: [
+                { Name: 'Amount', Value: push.amount },
+                { Name: 'MpesaReceiptNumber', Value: receipt },
+                { Name: 'PhoneNumber', Value: Number(push.phone) }
+              ]
+            };
+          }
+          return { Body: { stkCallback } };
+        },
+        expireTokens() { state.tokens.clear(); },
+        close: () => new Promise(done => server.close(() => done()))
+      });
+    });
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const port = Number(process.env.DARAJA_STUB_PORT || 8799);
+  startDarajaStub({ port }).then(stub => {
+    console.log(`[daraja-stub] listening on ${stub.baseUrl} (consumer key ${stub.consumerKey} / ${stub.consumerSecret})`);
+  });
+}
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+/*
+  Register the Daraja C2B confirmation/validation URLs for MPESA_SHORTCODE,
+  so paybill/till payments made from the M-Pesa menu reach the payment
+  webhook pipeline.
+  Usage:
+    PUBLIC_BASE_URL=https://your-domain.com MPESA_C2B_TOKEN=<random secret> node scripts/register-daraja-c2b.js
+
+  Confirmation: {PUBLIC_BASE_URL}/webhooks/payments/c2b?token={MPESA_C2B_TOKEN}
+  Validation:   {PUBLIC_BASE_URL}/webhooks/payments/c2b/validate?token={MPESA_C2B_TOKEN}
+
+  The server must run with the same MPESA_C2B_TOKEN; C2B calls without it are refused.
+*/
+
+import { createDarajaClient } from '../src/lib/daraja-client.js';
+
+const base = String(process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+const token = process.env.MPESA_C2B_TOKEN || '';
+if (!base || !token) {
+  console.error('Missing required env var: PUBLIC_BASE_URL and MPESA_C2B_TOKEN');
+  process.exit(2);
+}
+
+const query = `?token=${encodeURIComponent(token)}`;
+const result = await createDarajaClient().registerC2BUrls({
+  confirmationUrl: `${base}/webhooks/payments/c2b${query}`,
+  validationUrl: `${base}/webhooks/payments/c2b/validate${query}`,
+  responseType: process.env.MPESA_C2B_RESPONSE_TYPE || 'Completed'
+});
+console.log(JSON.stringify(result, null, 2));
+process.exit(result.ok ? 0 : 1);
@@ -51,7 +51,7 @@ async function testLiveCommand() {
 
     // Try SportMonks directly
     console.log('🔍 Checking SportMonks for live football...');
-    const sportsMonksMatches = await aggregator._getLiveFromSportsMonks('football');
+    const sportsMonksMatches = aggregator._formatMatches(await aggregator.fetchFromProvider('sportsmonks', 'live', null), 'sportsmonks');
     console.log(`✅ SportMonks returned ${sportsMonksMatches.length} live matches\n`);
 
     if (sportsMonksMatches.length > 0) {
@@ -12,7 +12,7 @@ async function run() {
   try {
     const agg = new SportsAggregator(redis);
     console.log('Fetching live matches to select a match id...');
-    const matches = await agg._getLiveFromSportsMonks('football');
+    const matches = agg._formatMatches(await agg.fetchFromProvider('sportsmonks', 'live', null), 'sportsmonks');
     if (!Array.isArray(matches) || matches.length === 0) {
       console.error('No matches returned. Aborting.');
       process.exit(1);
@@ -10,9 +10,9 @@ async function testSportMonks() {
     console.log('🧪 Testing SportMonks integration...\n');
     
     const aggregator = new SportsAggregator();
-    console.log('📡 Calling _getLiveFromSportsMonks()...\n');
+    console.log('📡 Calling fetchFromProvider("sportsmonks", "live")...\n');
     
-    const matches = await aggregator._getLiveFromSportsMonks('football');
+    const matches = aggregator._formatMatches(await aggregator.fetchFromProvider('sportsmonks', 'live', null), 'sportsmonks');
     
     console.log(`\n✅ Result: ${matches.length} live matches returned\n`);
     
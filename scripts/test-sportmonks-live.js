@@ -21,7 +21,7 @@ const logger = new Logger('TestSportMonksLive');
     
     // Test direct aggregator call
     logger.info('🔍 Fetching from SportMonks service...');
-    const live = await aggregator._getLiveFromSportsMonks('football');
+    const live = aggregator._formatMatches(await aggregator.fetchFromProvider('sportsmonks', 'live', null), 'sportsmonks');
     logger.info(`✅ SportMonks returned ${Array.isArray(live) ? live.length : 0} matches`);
     if (Array.isArray(live) && live.length > 0) {
       logger.info('Sample match:', live[0]);
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Train the Dixon-Coles goal model offline from Football-Data style results
+ * Run: node scripts/train-goal-model.js [input.json ...] [--out data/goal-model.json] [--half-life 180]
+ * Defaults to the bundled FOOTBALL_DATA_MATCHES.json.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fitGoalModel, parseFootballDataMatches } from '../src/ai/goal-model.js';
+
+function parseArgs(argv) {
+  const args = { inputs: [], out: 'data/goal-model.json', halfLifeDays: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') args.out = argv[++i];
+    else if (argv[i] === '--half-life') args.halfLifeDays = Number(argv[++i]);
+    else args.inputs.push(argv[i]);
+  }
+  if (args.inputs.length === 0) args.inputs.push('FOOTBALL_DATA_MATCHES.json');
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const matches = [];
+  for (const file of args.inputs) {
+    const raw = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+    const parsed = parseFootballDataMatches(JSON.parse(raw));
+    console.log(`Loaded ${parsed.length} finished matches from ${file}`);
+    matches.push(...parsed);
+  }
+  if (matches.length === 0) {
+    console.error('No finished matches found — nothing to train on');
+    process.exit(2);
+  }
+
+  const model = fitGoalModel(matches, { halfLifeDays: args.halfLifeDays });
+  fs.mkdirSync(path.dirname(args.out), { recursive: true });
+  fs.writeFileSync(args.out, JSON.stringify(model.toJSON(), null, 2));
+
+  const p = model.params;
+  console.log(`Model written to ${args.out}`);
+  console.log(`Teams: ${Object.keys(p.teams).length} | home advantage: ${p.homeAdvantage.toFixed(3)} | rho: ${p.rho} | HT share: ${p.halfTimeShare.toFixed(3)}`);
+}
+
+main();
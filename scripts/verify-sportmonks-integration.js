@@ -26,7 +26,7 @@ const logger = new Logger('VerifySportMonksLive');
     logger.info('✅ TEST 1: SportMonks Football Livescores');
     logger.info('─────────────────────────────────────────');
     try {
-      const liveMatches = await aggregator._getLiveFromSportsMonks('football');
+      const liveMatches = aggregator._formatMatches(await aggregator.fetchFromProvider('sportsmonks', 'live', null), 'sportsmonks');
       if (Array.isArray(liveMatches) && liveMatches.length > 0) {
         logger.info(`✓ Retrieved ${liveMatches.length} live matches from SportMonks`);
         logger.info('Sample match (first 3):');
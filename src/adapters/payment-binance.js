@@ -0,0 +1,36 @@
+// Reconciliation adapter for Binance Pay orders, queried by our order id (merchantTradeNo)
+import { getDefaultBinancePayClient, signBinancePayload } from '../lib/binance-pay-client.js';
+
+const STATUS = { PAID: 'success', INITIAL: 'pending', PENDING: 'pending', CANCELED: 'failed', ERROR: 'failed', EXPIRED: 'failed', REFUNDED: 'failed', FULL_REFUNDED: 'failed' };
+
+export { signBinancePayload };
+
+export function createBinanceAdapter({ client = null } = {}) {
+  return {
+    name: 'BINANCE',
+    methods: ['BINANCE'],
+    async lookup(order) {
+      const resp = await (client || getDefaultBinancePayClient()).queryOrder(order.orderId);
+      const data = resp?.raw?.data || {};
+      if (resp?.raw?.status !== 'SUCCESS') return { status: 'unknown', providerRef: order.providerRef || null, reason: resp?.raw?.errorMessage || null };
+      return {
+        status: STATUS[data.status] || 'unknown',
+        amount: data.orderAmount !== undefined ? Number(data.orderAmount) : null,
+        currency: data.currency || null,
+        providerRef: data.transactionId || data.prepayId || order.providerRef || null,
+        reason: STATUS[data.status] === 'failed' ? String(data.status).toLowerCase() : null
+      };
+    },
+    // Binance Pay has no payment listing: re-query the orders we closed, which is where a late payment hides
+    async listPayments({ orders = [] } = {}) {
+      const out = [];
+      for (const order of orders) {
+        const result = await this.lookup(order);
+        if (result.status === 'success') out.push({ ...result, reference: order.orderId });
+      }
+      return out;
+    }
+  };
+}
+
+export default createBinanceAdapter;
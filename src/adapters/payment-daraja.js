@@ -0,0 +1,32 @@
+// Reconciliation adapter for STK pushes sent straight to Safaricom Daraja
+import { getDefaultDarajaClient, darajaResult } from '../lib/daraja-client.js';
+
+export { darajaResult };
+
+export function createDarajaAdapter({ client = null } = {}) {
+  return {
+    name: 'DARAJA',
+    methods: ['MPESA'],
+    supports: (order) => Boolean(order.providerRef) && order.gateway === 'DARAJA',
+    async lookup(order) {
+      const resp = await (client || getDefaultDarajaClient()).stkQuery({ checkoutRequestId: order.providerRef });
+      // STK query does not echo the amount; the callback carries it
+      const { status, reason } = darajaResult(resp?.raw || {});
+      return { status, reason, amount: null, currency: 'KES', providerRef: order.providerRef };
+    },
+    // Pull Transactions lists what reached the shortcode, keyed by M-Pesa receipt
+    async listPayments({ since, until } = {}) {
+      const resp = await (client || getDefaultDarajaClient()).pullTransactions({ since, until });
+      if (!resp.ok) throw new Error(resp.reason || 'Pull Transactions failed');
+      return resp.transactions.map(t => ({
+        providerRef: t.transactionId,
+        status: 'success',
+        amount: t.amount !== undefined ? Number(t.amount) : null,
+        currency: 'KES',
+        reference: t.billreference || null
+      }));
+    }
+  };
+}
+
+export default createDarajaAdapter;
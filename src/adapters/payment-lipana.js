@@ -0,0 +1,39 @@
+// Reconciliation adapter for M-Pesa STK pushes initiated through Lipana
+import lipana from '../lib/lipana-client.js';
+
+const STATUS = { success: 'success', completed: 'success', failed: 'failed', cancelled: 'failed', canceled: 'failed', pending: 'pending' };
+
+export function createLipanaAdapter({ client = lipana } = {}) {
+  return {
+    name: 'LIPANA',
+    methods: ['MPESA'],
+    supports: (order) => Boolean(order.providerRef) && order.gateway !== 'DARAJA',
+    async lookup(order) {
+      const resp = await client.getTransaction(order.providerRef);
+      if (resp?.status === 404) return { status: 'failed', providerRef: order.providerRef, reason: 'not_found' };
+      const data = resp?.raw?.data || resp?.raw || {};
+      const raw = String(data.status || '').toLowerCase();
+      return {
+        status: STATUS[raw] || 'unknown',
+        amount: data.amount !== undefined ? Number(data.amount) : null,
+        currency: data.currency || 'KES',
+        providerRef: order.providerRef,
+        reason: STATUS[raw] === 'failed' ? raw : null
+      };
+    },
+    async listPayments({ since, until } = {}) {
+      const resp = await client.listTransactions({ since, until });
+      if (!resp || resp.status >= 400) throw new Error(resp?.raw?.message || `http_${resp?.status}`);
+      const rows = resp.raw?.data || resp.raw || [];
+      return (Array.isArray(rows) ? rows : []).map(t => ({
+        providerRef: t.transactionId || t._id || t.id,
+        status: STATUS[String(t.status || '').toLowerCase()] || 'unknown',
+        amount: t.amount !== undefined ? Number(t.amount) : null,
+        currency: t.currency || 'KES',
+        reference: t.reference || null
+      })).filter(p => p.providerRef);
+    }
+  };
+}
+
+export default createLipanaAdapter;
@@ -1,11 +1,37 @@
-﻿// src/adapters/payment-mock.js
-module.exports = {
-  createPayment(reference, amount, userMeta){
-    void userMeta; // return instructions and a mock payment id
-    return { paymentRef: reference, instructions: `Send KES ${amount} to Till 12345, Reference ${reference}`, gatewayRef: `p_${Date.now()}` };
-  },
-  async verifyPayment(reference){
-    void reference; // in mock we return unpaid; ops can mark as paid by toggling an env or via DB in future
-    return { paid: false, gatewayRef: null };
-  }
-};
+// src/adapters/payment-mock.js
+// Offline payment provider: instruction-only payments, plus an in-memory
+// reconciliation adapter (see services/payment-reconciler.js) whose provider
+// side state is set directly, so reconciliation runs without network access.
+
+export function createPayment(reference, amount, userMeta) {
+  void userMeta; // return instructions and a mock payment id
+  return { paymentRef: reference, instructions: `Send KES ${amount} to Till 12345, Reference ${reference}`, gatewayRef: `p_${Date.now()}` };
+}
+
+export async function verifyPayment(reference) {
+  void reference; // in mock we return unpaid; ops can mark as paid by toggling an env or via DB in future
+  return { paid: false, gatewayRef: null };
+}
+
+/**
+ * @param {Object} opts - { name, methods, payments: [{ providerRef, status, amount, currency, reason, reference }] }
+ */
+export function createMockAdapter({ name = 'MOCK', methods = ['MPESA'], payments = [] } = {}) {
+  const byRef = new Map(payments.map(p => [p.providerRef, p]));
+  return {
+    name,
+    methods,
+    setPayment(payment) { byRef.set(payment.providerRef, payment); },
+    supports: (order) => Boolean(order.providerRef),
+    async lookup(order) {
+      const p = byRef.get(order.providerRef);
+      if (!p) return { status: 'unknown', providerRef: order.providerRef };
+      return { status: p.status || 'success', amount: p.amount ?? null, currency: p.currency || null, providerRef: p.providerRef, reason: p.reason || null };
+    },
+    async listPayments() {
+      return [...byRef.values()].map(p => ({ status: 'success', ...p }));
+    }
+  };
+}
+
+export default { createPayment, verifyPayment, createMockAdapter };
@@ -0,0 +1,47 @@
+// Reconciliation adapter for PayPal checkout orders (order id is the order's providerRef)
+import { PayPalService } from '../services/paypal.js';
+
+const STATUS = { COMPLETED: 'success', VOIDED: 'failed', CREATED: 'pending', SAVED: 'pending', APPROVED: 'pending', PAYER_ACTION_REQUIRED: 'pending' };
+// Transaction Search status codes: Success, Pending, Denied, reVersed
+const SEARCH_STATUS = { S: 'success', P: 'pending', D: 'failed', V: 'failed' };
+
+export function createPayPalAdapter({ client = PayPalService } = {}) {
+  return {
+    name: 'PAYPAL',
+    methods: ['PAYPAL'],
+    supports: (order) => Boolean(order.providerRef),
+    async lookup(order) {
+      const resp = await client.getOrder(order.providerRef);
+      const data = resp?.data || {};
+      if (!resp?.success) {
+        return { status: data.name === 'RESOURCE_NOT_FOUND' ? 'failed' : 'unknown', providerRef: order.providerRef, reason: data.name || resp?.error || null };
+      }
+      const unit = (data.purchase_units || [])[0] || {};
+      const capture = unit.payments?.captures?.[0];
+      const amount = capture?.amount || unit.amount || {};
+      return {
+        status: STATUS[data.status] || 'unknown',
+        amount: amount.value !== undefined ? Number(amount.value) : null,
+        currency: amount.currency_code || null,
+        providerRef: order.providerRef,
+        reason: data.status === 'VOIDED' ? 'voided' : null
+      };
+    },
+    // Incoming captures from Transaction Search; refunds and payouts (negative amounts) are left out
+    async listPayments({ since, until } = {}) {
+      const resp = await client.listTransactions({ startDate: since, endDate: until });
+      if (!resp?.success) throw new Error(resp?.data?.message || resp?.error || 'PayPal transaction search failed');
+      return (resp.data?.transaction_details || []).map(d => d.transaction_info || {})
+        .filter(t => t.transaction_id && Number(t.transaction_amount?.value) > 0)
+        .map(t => ({
+          providerRef: t.transaction_id,
+          status: SEARCH_STATUS[t.transaction_status] || 'unknown',
+          amount: Number(t.transaction_amount.value),
+          currency: t.transaction_amount.currency_code || null,
+          reference: t.invoice_id || t.custom_field || null
+        }));
+    }
+  };
+}
+
+export default createPayPalAdapter;
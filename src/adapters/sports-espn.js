@@ -0,0 +1,42 @@
+// ESPN public scoreboard provider (no API key): live scores across sports
+import { getEspnLiveMatches } from '../services/espn-provider.js';
+import { registerProvider, safeText } from '../services/provider-registry.js';
+
+/**
+ * @param {Object} opts - { fetchLive } (defaults to services/espn-provider.js)
+ */
+export function createEspnProvider({ fetchLive = getEspnLiveMatches } = {}) {
+  return {
+    name: 'espn',
+    label: 'ESPN',
+    priority: 5,
+    sports: ['football', 'soccer', 'basketball', 'baseball', 'hockey'],
+    capabilities: ['live'],
+    rateLimit: { perMinute: 30 },
+
+    // The scoreboard has no per-league filter, so it only answers the all-leagues feed
+    async getLive(leagueId, ctx) {
+      if (leagueId) return [];
+      return fetchLive({ sport: ctx.sport === 'football' ? 'soccer' : ctx.sport });
+    },
+
+    formatMatch(m) {
+      return {
+        id: m.id || null,
+        home: safeText(m.home && m.home.name, 'Home'),
+        away: safeText(m.away && m.away.name, 'Away'),
+        homeScore: (m.home && typeof m.home.score === 'number') ? m.home.score : null,
+        awayScore: (m.away && typeof m.away.score === 'number') ? m.away.score : null,
+        status: safeText(m.status, 'UNKNOWN'),
+        time: safeText(m.startTime || m.date, 'TBA'),
+        league: m.league || 'ESPN',
+        provider: 'espn',
+        raw: m
+      };
+    }
+  };
+}
+
+registerProvider(createEspnProvider());
+
+export default createEspnProvider;
@@ -0,0 +1,43 @@
+// Flashscore scraper provider (no API key): live scores from the public pages
+import { getLiveMatchesFromFlashscore, getLiveMatchesByLeagueFromFlashscore } from '../services/flashscore-scraper.js';
+import { registerProvider } from '../services/provider-registry.js';
+
+/**
+ * @param {Object} opts - { scrape, scrapeLeague } (default to services/flashscore-scraper.js)
+ */
+export function createFlashscoreProvider({ scrape = getLiveMatchesFromFlashscore, scrapeLeague = getLiveMatchesByLeagueFromFlashscore } = {}) {
+  return {
+    name: 'flashscore',
+    label: 'Flashscore',
+    priority: 6,
+    sports: ['football'],
+    capabilities: ['live'],
+    // Scraping: stay well clear of bot detection
+    rateLimit: { perMinute: 6 },
+
+    async getLive(leagueId, ctx) {
+      if (!leagueId) return scrape('soccer');
+      const page = ctx.entities.providerLeagueId(leagueId, 'flashscore');
+      return page ? scrapeLeague(page) : [];
+    },
+
+    formatMatch(m) {
+      return {
+        id: m.id || null,
+        home: m.home || 'Home',
+        away: m.away || 'Away',
+        homeScore: m.score ? m.score.home : null,
+        awayScore: m.score ? m.score.away : null,
+        status: m.status || 'UNKNOWN',
+        time: m.time || 'TBA',
+        venue: 'TBA',
+        provider: 'flashscore',
+        raw: m
+      };
+    }
+  };
+}
+
+registerProvider(createFlashscoreProvider());
+
+export default createFlashscoreProvider;
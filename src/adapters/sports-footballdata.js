@@ -0,0 +1,138 @@
+// Football-Data.org provider: live matches, scheduled fixtures, final results, standings and competitions
+import { CONFIG } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { registerProvider, safeText } from '../services/provider-registry.js';
+
+const logger = new Logger('FootballDataProvider');
+
+/**
+ * Calls left this minute from Football-Data's response headers, or null
+ */
+export function quotaFromHeaders(headers, limit = null) {
+  const get = (name) => (headers && typeof headers.get === 'function' ? headers.get(name) : null);
+  const remaining = get('x-requests-available-minute');
+  const reset = get('x-requestcounter-reset');
+  if (remaining === null || remaining === '' || !Number.isFinite(Number(remaining))) return null;
+  return { remaining: Number(remaining), limit, resetInMs: Number.isFinite(Number(reset)) && Number(reset) > 0 ? Number(reset) * 1000 : 60 * 1000 };
+}
+
+/**
+ * @param {Object} opts - { config } (CONFIG.FOOTBALLDATA shape: { KEY, KEYS, BASE, QUOTA })
+ */
+export function createFootballDataProvider({ config = CONFIG.FOOTBALLDATA } = {}) {
+  const keys = () => ((config && config.KEYS) || [config && config.KEY]).filter(Boolean);
+  // The API budget hands out the key (ctx.apiKey) and learns what is left from the headers
+  const request = (ctx, url, retries) => ctx.fetchJson(url, { headers: { 'X-Auth-Token': ctx.apiKey || config.KEY } }, retries,
+    (resp) => ctx.reportQuota && ctx.reportQuota(quotaFromHeaders(resp.headers, config.QUOTA?.perMinute || null)));
+  // Competition code for a league given as an API-Sports ID, canonical ID or code
+  const competition = (leagueId, ctx) => ctx.entities.providerLeagueId(leagueId, 'footballdata') || String(leagueId);
+
+  return {
+    name: 'footballdata',
+    label: 'Football-Data',
+    // Asked first for live scores; SportMonks goes first for everything else
+    priority: { default: 2, live: 1 },
+    sports: ['football'],
+    capabilities: ['live', 'fixtures', 'results', 'standings', 'leagues'],
+    // Requests per key, spent through services/api-budget.js
+    quota: config.QUOTA || { perMinute: 10 },
+    apiKeys: keys,
+    isConfigured: () => keys().length > 0,
+
+    /**
+     * Live matches for a league, or across all competitions (today and tomorrow) without one
+     */
+    async getLive(leagueId, ctx) {
+      if (!leagueId) {
+        const today = new Date().toISOString().split('T')[0];
+        const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        const url = `${config.BASE}/matches?dateFrom=${today}&dateTo=${tomorrow}`;
+        logger.debug(`📡 Football-Data global fetch: ${url}`);
+        const response = await request(ctx, url, 2);
+        const matches = (response?.matches || []).filter(m => (m.status === 'LIVE' || m.status === 'IN_PLAY'));
+        logger.debug(`Football-Data global: ${matches.length} live/in_play matches found`);
+        return matches.slice(0, 200);
+      }
+      const code = competition(leagueId, ctx);
+      const response = await request(ctx, `${config.BASE}/competitions/${code}/matches?status=LIVE`, 2);
+      return (response?.matches || []).slice(0, 10);
+    },
+
+    async getFixtures(leagueId, ctx) {
+      const code = competition(leagueId, ctx);
+      const response = await request(ctx, `${config.BASE}/competitions/${code}/matches?status=SCHEDULED`, 2);
+      return (response?.matches || []).slice(0, 20);
+    },
+
+    async getResults(date, ctx) {
+      const response = await request(ctx, `${config.BASE}/matches?dateFrom=${date}&dateTo=${date}&status=FINISHED`, 2);
+      return response?.matches || [];
+    },
+
+    async getStandings(leagueId, opts, ctx) {
+      const code = competition(leagueId, ctx);
+      const response = await request(ctx, `${config.BASE}/competitions/${code}/standings`, 2);
+      return ((response?.standings || [{ table: [] }])[0] || {}).table || [];
+    },
+
+    async getLeagues(opts, ctx) {
+      const response = await request(ctx, `${config.BASE}/competitions`);
+      const comps = (response?.competitions || []).filter(c => c.type === 'LEAGUE').slice(0, 10);
+      return comps.map(c => ({ id: c.id, name: c.name, country: c.area?.name, type: 'football' }));
+    },
+
+    formatMatch(m) {
+      // Football-Data provides consistent structure but ensure we handle all field variations
+      let homeName = safeText(m.homeTeam && (m.homeTeam.name || m.homeTeam.fullName || m.homeTeam.shortName), 'Home');
+      let awayName = safeText(m.awayTeam && (m.awayTeam.name || m.awayTeam.fullName || m.awayTeam.shortName), 'Away');
+
+      // Fallback to direct team properties if nested structure missing
+      if (homeName === 'Home' && m.homeTeamName) homeName = safeText(m.homeTeamName, 'Home');
+      if (awayName === 'Away' && m.awayTeamName) awayName = safeText(m.awayTeamName, 'Away');
+
+      // Try different score field locations
+      let homeScore = null;
+      let awayScore = null;
+
+      if (m.score && typeof m.score === 'object') {
+        if (m.score.fullTime) {
+          homeScore = (typeof m.score.fullTime.home === 'number') ? m.score.fullTime.home : null;
+          awayScore = (typeof m.score.fullTime.away === 'number') ? m.score.fullTime.away : null;
+        } else if (m.score.current) {
+          homeScore = (typeof m.score.current.home === 'number') ? m.score.current.home : null;
+          awayScore = (typeof m.score.current.away === 'number') ? m.score.current.away : null;
+        }
+      }
+
+      // Fallback for direct score properties
+      if (homeScore === null && (typeof m.homeTeamScore === 'number')) homeScore = m.homeTeamScore;
+      if (awayScore === null && (typeof m.awayTeamScore === 'number')) awayScore = m.awayTeamScore;
+
+      logger.debug(`[FOOTBALLDATA_FORMAT] ${homeName} vs ${awayName} | status:${m.status} | score:${homeScore}:${awayScore}`);
+
+      return {
+        id: m.id || null,
+        home: homeName,
+        away: awayName,
+        homeScore: homeScore,
+        awayScore: awayScore,
+        status: safeText(m.status, 'UNKNOWN'),
+        time: (m.status === 'LIVE' && m.minute) ? `${m.minute}'` : safeText(m.utcDate, 'TBA'),
+        venue: safeText(m.venue || (m.stage && m.stage.name), 'TBA'),
+        league: safeText(m.competition && (m.competition.name || m.competition.shortName), 'Unknown'),
+        provider: 'football-data',
+        raw: m
+      };
+    },
+
+    async health(ctx) {
+      const response = await request(ctx, `${config.BASE}/competitions`, 1);
+      const count = (response?.competitions || []).length;
+      return { ok: count > 0, message: `competitions:${count}` };
+    }
+  };
+}
+
+registerProvider(createFootballDataProvider());
+
+export default createFootballDataProvider;
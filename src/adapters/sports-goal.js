@@ -0,0 +1,43 @@
+// Goal.com scraper provider (no API key): per-league fixture pages with live scores
+import { getLiveMatchesFromGoal } from '../services/goal-scraper.js';
+import { registerProvider } from '../services/provider-registry.js';
+
+/**
+ * @param {Object} opts - { scrape } (defaults to services/goal-scraper.js)
+ */
+export function createGoalProvider({ scrape = getLiveMatchesFromGoal } = {}) {
+  return {
+    name: 'goal',
+    label: 'Goal.com',
+    priority: 7,
+    sports: ['football'],
+    capabilities: ['live'],
+    rateLimit: { perMinute: 6 },
+
+    // Goal.com pages are per league, so there is no all-leagues feed
+    async getLive(leagueId, ctx) {
+      const page = leagueId ? ctx.entities.providerLeagueId(leagueId, 'goal') : null;
+      return page ? scrape(page) : [];
+    },
+
+    formatMatch(m) {
+      return {
+        id: m.id || null,
+        home: m.home || 'Home',
+        away: m.away || 'Away',
+        homeScore: m.score ? m.score.home : null,
+        awayScore: m.score ? m.score.away : null,
+        // The fixture cards only show a score once a match has started
+        status: m.score ? 'LIVE' : 'SCHEDULED',
+        time: 'TBA',
+        venue: 'TBA',
+        provider: 'goal',
+        raw: m
+      };
+    }
+  };
+}
+
+registerProvider(createGoalProvider());
+
+export default createGoalProvider;
@@ -0,0 +1,9 @@
+// Sports data providers used by SportsAggregator. Each module registers itself
+// with the default provider registry (services/provider-registry.js): add a
+// provider by writing src/adapters/sports-<name>.js and importing it here,
+// retire one by deleting its import.
+import './sports-sportmonks.js';
+import './sports-footballdata.js';
+import './sports-espn.js';
+import './sports-flashscore.js';
+import './sports-goal.js';
@@ -0,0 +1,225 @@
+// SportMonks provider: live scores, fixtures, leagues, head-to-head records and team form
+import { CONFIG } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import SportMonksService from '../services/sportmonks-service.js';
+import { registerProvider, safeText } from '../services/provider-registry.js';
+
+const logger = new Logger('SportMonksProvider');
+
+const rowsOf = (data) => (Array.isArray(data) ? data : (data?.results || data?.data || []));
+
+/**
+ * @param {Object} opts - { service (SportMonksService-like client), config (CONFIG.SPORTSMONKS shape: { KEY, KEYS, QUOTA }) }
+ */
+export function createSportMonksProvider({ service = null, config = CONFIG.SPORTSMONKS } = {}) {
+  const keys = () => ((config && config.KEYS) || [config && config.KEY]).filter(Boolean);
+  // One client per API key handed out by the API budget (ctx.apiKey)
+  const clients = new Map();
+  const sm = (key = null) => {
+    if (service) return service;
+    if (!clients.has(key)) {
+      const client = new SportMonksService();
+      if (key) client.key = key;
+      clients.set(key, client);
+    }
+    return clients.get(key);
+  };
+  // SportMonksService returns null/[] on failure; rethrow its last error so the circuit breaker sees it.
+  // The rate_limit SportMonks sends back tells the budget what is left on the key.
+  const call = async (fn, ctx = null) => {
+    const client = sm(ctx?.apiKey || null);
+    client.lastError = null;
+    const result = await fn(client);
+    const rate = client.lastRateLimit;
+    if (rate && ctx && ctx.reportQuota) ctx.reportQuota({ remaining: rate.remaining, resetInMs: Number(rate.resets_in_seconds) * 1000 });
+    if (client.lastError) throw Object.assign(new Error(client.lastError.message), client.lastError);
+    return result;
+  };
+  // SportMonks league ID for a league given as an API-Sports ID, canonical ID or name
+  const league = (leagueId, ctx) => ctx.entities.providerLeagueId(leagueId, 'sportsmonks') || leagueId;
+
+  return {
+    name: 'sportsmonks',
+    label: 'SportMonks',
+    // Live scores come from Football-Data first (SportMonks DNS is unreliable on Render)
+    priority: { default: 1, live: 2 },
+    sports: ['football'],
+    capabilities: ['live', 'fixtures', 'leagues', 'h2h', 'form'],
+    // Requests per key, spent through services/api-budget.js
+    quota: config.QUOTA || { perMinute: 50 },
+    apiKeys: () => (service ? [service.key || 'default'] : keys()),
+    isConfigured: () => Boolean(service || keys().length > 0),
+
+    async getLive(leagueId, ctx) {
+      return call(client => (leagueId ? client.getLivescores(league(leagueId, ctx)) : client.getAllLiveMatches()), ctx);
+    },
+
+    async getFixtures(leagueId, ctx) {
+      return call(client => client.getFixtures({ league_id: league(leagueId, ctx) }), ctx);
+    },
+
+    async getLeagues(opts, ctx) {
+      return rowsOf(await call(client => client.getLeagues(), ctx));
+    },
+
+    async getHeadToHead(homeTeamId, awayTeamId, ctx) {
+      const data = await call(client => client._fetch(`head-to-head/${encodeURIComponent(homeTeamId)}/${encodeURIComponent(awayTeamId)}`, {}), ctx);
+      if (!data) return null;
+      const records = rowsOf(data);
+      let homeWins = 0, awayWins = 0, draws = 0;
+      for (const r of records) {
+        const h = r.home_score ?? (r.result && r.result.home) ?? null;
+        const a = r.away_score ?? (r.result && r.result.away) ?? null;
+        if (h === null || a === null) continue;
+        if (Number(h) > Number(a)) homeWins++; else if (Number(a) > Number(h)) awayWins++; else draws++;
+      }
+      return { totalMatches: records.length, homeWins, awayWins, draws, raw: records };
+    },
+
+    async getForm(teamId, { limit = 5 } = {}, ctx) {
+      const data = await call(client => client._fetch(`teams/${encodeURIComponent(teamId)}/latest`, {}), ctx);
+      return rowsOf(data).slice(0, limit);
+    },
+
+    formatMatch(m) {
+      // SportMonks API returns nested team data with various possible structures
+      // Priority order for team extraction:
+      // 1. participants[] array (primary structure)
+      // 2. teams object with home/away properties
+      // 3. homeTeam/awayTeam direct properties
+      // 4. league_stage.round.fixtures include relation with real_team data
+
+      let homeName = 'Home';
+      let awayName = 'Away';
+      let homeScore = null;
+      let awayScore = null;
+
+      // DEBUG/INFO: Log raw match structure to understand SportMonks API response
+      if (!m._logged) {
+        logger.info(`[SPORTSMONKS_RAW] Match ID: ${m.id} | Keys: ${Object.keys(m).join(', ')}`);
+        try {
+          if (m.participants) logger.info(`[SPORTSMONKS_RAW] Participants structure: ${JSON.stringify(m.participants?.slice(0, 2))}`);
+          if (m.teams) logger.info(`[SPORTSMONKS_RAW] Teams structure: ${JSON.stringify(m.teams)}`);
+        } catch (e) {
+          logger.info('[SPORTSMONKS_RAW] Failed to stringify nested structures');
+        }
+        m._logged = true; // prevent duplicate logging
+      }
+
+      // Strategy 1: Try participants array (primary)
+      const participants = m.participants || m.teams || [];
+      if (Array.isArray(participants) && participants.length >= 2) {
+        // Participants usually [home, away] order - each has { id, name, fullName, score, goals, etc }
+        const home = participants[0];
+        const away = participants[1];
+
+        if (home) {
+          homeName = safeText(
+            (home.name || home.fullName || (home.meta && home.meta.name) || (home.team && home.team.name) ||
+             (home.data && (home.data.name || home.data.fullName))),
+            'Home'
+          );
+          homeScore = (home.score !== undefined) ? home.score :
+                     ((home.goals !== undefined) ? home.goals :
+                     ((home.meta && home.meta.goals) || (home.result || null)));
+        }
+
+        if (away) {
+          awayName = safeText(
+            (away.name || away.fullName || (away.meta && away.meta.name) || (away.team && away.team.name) ||
+             (away.data && (away.data.name || away.data.fullName))),
+            'Away'
+          );
+          awayScore = (away.score !== undefined) ? away.score :
+                     ((away.goals !== undefined) ? away.goals :
+                     ((away.meta && away.meta.goals) || (away.result || null)));
+        }
+      }
+
+      // Strategy 2: Try teams object if participants failed
+      if (homeName === 'Home' && m.teams && typeof m.teams === 'object' && !Array.isArray(m.teams)) {
+        if (m.teams.home) {
+          homeName = safeText(m.teams.home.name || m.teams.home.fullName, 'Home');
+          homeScore = m.teams.home.goals || m.teams.home.score || null;
+        }
+        if (m.teams.away) {
+          awayName = safeText(m.teams.away.name || m.teams.away.fullName, 'Away');
+          awayScore = m.teams.away.goals || m.teams.away.score || null;
+        }
+      }
+
+      // Strategy 3: Try direct properties
+      if (homeName === 'Home' && (m.homeTeam || m.home_team)) {
+        const ht = m.homeTeam || m.home_team;
+        homeName = safeText(ht.name || ht.fullName, 'Home');
+        homeScore = ht.goals || ht.score || null;
+      }
+      if (awayName === 'Away' && (m.awayTeam || m.away_team)) {
+        const at = m.awayTeam || m.away_team;
+        awayName = safeText(at.name || at.fullName, 'Away');
+        awayScore = at.goals || at.score || null;
+      }
+
+      // Strategy 4: Fallback — parse `name` or title fields when teams/participants missing
+      // Many SportMonks raw objects contain a `name` like "Home vs Away" or "Home v Away".
+      if ((homeName === 'Home' && awayName === 'Away') || (!homeName || !awayName)) {
+        const rawTitle = String(m.name || m.title || m.fixture_title || '').trim();
+        if (rawTitle) {
+          // split on common separators: ' vs ', ' v ', ' - ', en-dash, em-dash (case-insensitive)
+          const parts = rawTitle.split(/\s+(?:v(?:s)?\.?|vs\.?|-|–|—)\s+/i);
+          if (parts && parts.length >= 2) {
+            if (!homeName || homeName === 'Home') homeName = parts[0].trim();
+            if (!awayName || awayName === 'Away') awayName = parts[1].trim();
+          }
+        }
+      }
+      // SportMonks state mapping: map common state_id values to canonical statuses
+      // Note: providers may use slightly different numeric codes; be tolerant.
+      let status = 'UNKNOWN';
+      const sid = Number(m.state_id || m.state || 0);
+      if (sid === 1) status = 'SCHEDULED';
+      else if (sid === 2 || sid === 3) status = 'LIVE';
+      else if (sid === 4) status = 'FINISHED';
+      else if (sid === 5) status = 'POSTPONED';
+      // fallback: if textual state or result_info suggests live, prefer LIVE
+      if (!['LIVE','SCHEDULED','FINISHED','POSTPONED'].includes(String(status))) {
+        const textState = (m.state || m.result_info || '').toString().toLowerCase();
+        if (textState.includes('live') || textState.includes('in progress') || textState.includes('ht') || textState.includes('1st')) {
+          status = 'LIVE';
+        }
+      }
+
+      // Extract time: if LIVE, use minute; otherwise use starting_at
+      let timeStr = 'TBA';
+      if (status === 'LIVE' && m.minute) timeStr = `${m.minute}'`;
+      else if (m.starting_at) timeStr = safeText(m.starting_at);
+      else if (m.scheduled_at) timeStr = safeText(m.scheduled_at);
+
+      logger.debug(`[SPORTSMONKS_FORMAT] ${homeName} vs ${awayName} | status:${status} | home:${homeScore} away:${awayScore}`);
+      logger.info(`[SPORTSMONKS_FORMAT] FORMATTED => home:${homeName} | away:${awayName} | status:${status}`);
+
+      return {
+        id: m.id || null,
+        home: homeName,
+        away: awayName,
+        homeScore: (typeof homeScore === 'number') ? homeScore : (homeScore ? Number(homeScore) : null),
+        awayScore: (typeof awayScore === 'number') ? awayScore : (awayScore ? Number(awayScore) : null),
+        status: status,
+        time: timeStr,
+        league: (m.league && (m.league.name || m.league.fullName)) || (m.league_id || 'Unknown'),
+        venue: safeText(m.venue && (m.venue.name || m.venue.fullName), 'TBA'),
+        provider: 'sportsmonks',
+        raw: m
+      };
+    },
+
+    async health(ctx) {
+      const leagues = rowsOf(await call(client => client.getLeagues({ per_page: 1 }), ctx));
+      return { ok: leagues.length > 0, message: `leagues:${leagues.length}` };
+    }
+  };
+}
+
+registerProvider(createSportMonksProvider());
+
+export default createSportMonksProvider;
@@ -8,10 +8,31 @@ import { Logger } from "../utils/logger.js";
 const logger = new Logger("AdminDashboard");
 
 class AdminDashboard {
-  constructor(redis, telegram, analyticsService) {
+  constructor(redis, telegram, analyticsService, budget = null) {
     this.redis = redis;
     this.telegram = telegram;
     this.analytics = analyticsService;
+    // Paid data provider quotas (services/api-budget.js), for the daily spend
+    this.budget = budget;
+  }
+
+  /**
+   * Today's paid API calls per provider: [{ provider, total, deferred }]
+   */
+  async getApiSpend() {
+    if (!this.budget) return [];
+    try {
+      const report = await this.budget.report();
+      return report.providers.map((p) => ({
+        provider: p.provider,
+        total: p.total,
+        deferred: Object.values(p.deferred).reduce((sum, n) => sum + n, 0),
+        perDay: p.perDay ? p.perDay * Math.max(1, p.keys.length) : null,
+      }));
+    } catch (err) {
+      logger.error("API spend failed", err);
+      return [];
+    }
   }
 
   /**
@@ -27,6 +48,7 @@ class AdminDashboard {
         users: metrics.totalUsers,
         status: metrics.uptime,
         topCommands,
+        apiSpend: await this.getApiSpend(),
         alerts: [],
       };
     } catch (err) {
@@ -48,7 +70,11 @@ class AdminDashboard {
         `Status: ${report.status}\n` +
         `Active Users: ${report.users}\n\n` +
         `<b>Top Commands:</b>\n` +
-        report.topCommands.map((c, i) => `${i + 1}. ${c.command} (${c.count}x, ${c.avgTime}ms avg)`).join("\n");
+        report.topCommands.map((c, i) => `${i + 1}. ${c.command} (${c.count}x, ${c.avgTime}ms avg)`).join("\n") +
+        (report.apiSpend && report.apiSpend.length
+          ? `\n\n<b>API Spend Today (UTC):</b>\n` +
+            report.apiSpend.map((p) => `${p.provider}: ${p.total}${p.perDay ? `/${p.perDay}` : ""} calls${p.deferred ? `, ${p.deferred} deferred` : ""}`).join("\n")
+          : "");
 
       return this.telegram.sendMessage(chatId, text);
     } catch (err) {
@@ -0,0 +1,342 @@
+// Dixon-Coles goal model
+// Team attack/defence strengths and a home advantage factor are fitted from
+// historical results (Maher-style iterative scaling, optionally time-weighted),
+// then a low-score correction (rho) is fitted on top. Every market is derived
+// from the same score matrix so 1X2, O/U, BTTS, correct score and HT/FT agree.
+
+import fs from 'fs';
+
+const DEFAULT_MAX_GOALS = 10;
+const OVER_UNDER_LINES = [0.5, 1.5, 2.5, 3.5, 4.5];
+
+// Defaults used when no trained model is available (typical top-flight rates)
+const DEFAULT_PARAMS = {
+  homeAdvantage: 1.3,
+  meanDefence: 1.15,
+  rho: -0.05,
+  halfTimeShare: 0.45,
+  teams: {}
+};
+
+export function teamKey(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+function factorial(n) {
+  let f = 1;
+  for (let i = 2; i <= n; i++) f *= i;
+  return f;
+}
+
+export function poissonPmf(k, lambda) {
+  if (lambda <= 0) return k === 0 ? 1 : 0;
+  return Math.exp(-lambda) * Math.pow(lambda, k) / factorial(k);
+}
+
+/**
+ * Dixon-Coles adjustment for the 0-0, 1-0, 0-1 and 1-1 cells
+ */
+export function dixonColesTau(x, y, lambdaHome, lambdaAway, rho) {
+  if (x === 0 && y === 0) return 1 - lambdaHome * lambdaAway * rho;
+  if (x === 0 && y === 1) return 1 + lambdaHome * rho;
+  if (x === 1 && y === 0) return 1 + lambdaAway * rho;
+  if (x === 1 && y === 1) return 1 - rho;
+  return 1;
+}
+
+/**
+ * Joint score probabilities, matrix[home][away], normalised to sum to 1
+ */
+export function scoreMatrix(lambdaHome, lambdaAway, rho = 0, maxGoals = DEFAULT_MAX_GOALS) {
+  const matrix = [];
+  let total = 0;
+  for (let x = 0; x <= maxGoals; x++) {
+    const row = [];
+    for (let y = 0; y <= maxGoals; y++) {
+      const p = Math.max(0, poissonPmf(x, lambdaHome) * poissonPmf(y, lambdaAway) * dixonColesTau(x, y, lambdaHome, lambdaAway, rho));
+      row.push(p);
+      total += p;
+    }
+    matrix.push(row);
+  }
+  return matrix.map(row => row.map(p => p / total));
+}
+
+/**
+ * Derive every supported market from a score matrix
+ */
+export function marketsFromMatrix(matrix, topScores = 10) {
+  let home = 0; let draw = 0; let away = 0; let bttsYes = 0;
+  const totals = [];
+  const scores = [];
+  matrix.forEach((row, x) => row.forEach((p, y) => {
+    if (x > y) home += p; else if (x === y) draw += p; else away += p;
+    if (x > 0 && y > 0) bttsYes += p;
+    totals[x + y] = (totals[x + y] || 0) + p;
+    scores.push({ score: `${x}-${y}`, prob: p });
+  }));
+
+  const overUnder = {};
+  for (const line of OVER_UNDER_LINES) {
+    let under = 0;
+    totals.forEach((p, goals) => { if (goals < line) under += p || 0; });
+    overUnder[String(line)] = { over: 1 - under, under };
+  }
+
+  scores.sort((a, b) => b.prob - a.prob);
+
+  return {
+    '1X2': { home, draw, away },
+    doubleChance: { '1X': home + draw, '12': home + away, 'X2': draw + away },
+    overUnder,
+    btts: { yes: bttsYes, no: 1 - bttsYes },
+    correctScores: scores.slice(0, topScores)
+  };
+}
+
+const resultOf = (h, a) => (h > a ? '1' : (h < a ? '2' : 'X'));
+
+/**
+ * Half-time/full-time probabilities. Each half is an independent Poisson
+ * process sharing the full-match rates by `halfTimeShare`.
+ */
+export function htftProbabilities(lambdaHome, lambdaAway, halfTimeShare = DEFAULT_PARAMS.halfTimeShare, maxGoals = 6) {
+  const out = {};
+  for (const ht of ['1', 'X', '2']) for (const ft of ['1', 'X', '2']) out[`${ht}/${ft}`] = 0;
+
+  const first = scoreMatrix(lambdaHome * halfTimeShare, lambdaAway * halfTimeShare, 0, maxGoals);
+  const second = scoreMatrix(lambdaHome * (1 - halfTimeShare), lambdaAway * (1 - halfTimeShare), 0, maxGoals);
+  for (let i = 0; i <= maxGoals; i++) {
+    for (let j = 0; j <= maxGoals; j++) {
+      const pHt = first[i][j];
+      const ht = resultOf(i, j);
+      for (let k = 0; k <= maxGoals; k++) {
+        for (let l = 0; l <= maxGoals; l++) {
+          out[`${ht}/${resultOf(i + k, j + l)}`] += pHt * second[k][l];
+        }
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Expected goals from relative strengths (e.g. points per game, form score)
+ * for callers that have no fitted team ratings.
+ */
+export function lambdasFromStrength(homeStrength, awayStrength, opts = {}) {
+  const h = Math.max(0.05, Number(homeStrength) || 1);
+  const a = Math.max(0.05, Number(awayStrength) || 1);
+  const ratio = Math.sqrt(h / a);
+  const base = opts.meanDefence || DEFAULT_PARAMS.meanDefence;
+  const homeAdvantage = opts.homeAdvantage || DEFAULT_PARAMS.homeAdvantage;
+  return { lambdaHome: base * homeAdvantage * ratio, lambdaAway: base / ratio };
+}
+
+/**
+ * Extract finished results from a Football-Data `/matches` payload (or an
+ * already flat array of { home, away, homeGoals, awayGoals, date }).
+ */
+export function parseFootballDataMatches(payload) {
+  const list = Array.isArray(payload) ? payload : ((payload && payload.matches) || []);
+  const out = [];
+  for (const m of list) {
+    if (m && typeof m.homeGoals === 'number' && typeof m.awayGoals === 'number') {
+      out.push(m);
+      continue;
+    }
+    if (!m || (m.status && m.status !== 'FINISHED')) continue;
+    const ft = m.score && m.score.fullTime;
+    if (!ft || typeof ft.home !== 'number' || typeof ft.away !== 'number') continue;
+    const ht = m.score.halfTime || {};
+    out.push({
+      home: m.homeTeam && (m.homeTeam.name || m.homeTeam.shortName),
+      away: m.awayTeam && (m.awayTeam.name || m.awayTeam.shortName),
+      homeGoals: ft.home,
+      awayGoals: ft.away,
+      htHome: typeof ht.home === 'number' ? ht.home : null,
+      htAway: typeof ht.away === 'number' ? ht.away : null,
+      date: m.utcDate || null,
+      competition: m.competition && m.competition.code
+    });
+  }
+  return out;
+}
+
+/**
+ * Fit team strengths, home advantage, rho and half-time share from results.
+ * @param {Array} matches - [{ home, away, homeGoals, awayGoals, date?, htHome?, htAway? }]
+ * @param {Object} opts - { iterations=100, halfLifeDays=null, shrinkage=1 }
+ */
+export function fitGoalModel(matches, opts = {}) {
+  const iterations = opts.iterations || 100;
+  const shrinkage = opts.shrinkage ?? 1; // pseudo-matches at league average per team
+  const rows = (matches || []).filter(m => m && m.home && m.away && Number.isFinite(m.homeGoals) && Number.isFinite(m.awayGoals));
+  if (rows.length === 0) return new GoalModel(DEFAULT_PARAMS);
+
+  // Optional exponential time decay relative to the most recent match
+  const latest = Math.max(...rows.map(m => Date.parse(m.date || '') || 0));
+  const xi = opts.halfLifeDays ? Math.LN2 / opts.halfLifeDays : 0;
+  const weightOf = (m) => {
+    if (!xi || !latest) return 1;
+    const t = Date.parse(m.date || '') || latest;
+    return Math.exp(-xi * (latest - t) / 86400000);
+  };
+  const data = rows.map(m => ({ h: teamKey(m.home), a: teamKey(m.away), x: m.homeGoals, y: m.awayGoals, w: weightOf(m), raw: m }));
+
+  const teams = Array.from(new Set(data.flatMap(d => [d.h, d.a])));
+  const attack = Object.fromEntries(teams.map(t => [t, 1]));
+  const defence = Object.fromEntries(teams.map(t => [t, 1]));
+  let gamma = DEFAULT_PARAMS.homeAdvantage;
+
+  const sumW = data.reduce((s, d) => s + d.w, 0);
+  const avgGoals = data.reduce((s, d) => s + d.w * (d.x + d.y), 0) / (2 * sumW);
+
+  for (let iter = 0; iter < iterations; iter++) {
+    // attack update: goals scored / expected given opponent defence
+    const scored = Object.fromEntries(teams.map(t => [t, shrinkage * avgGoals]));
+    const expA = Object.fromEntries(teams.map(t => [t, shrinkage * avgGoals]));
+    for (const d of data) {
+      scored[d.h] += d.w * d.x; expA[d.h] += d.w * gamma * defence[d.a];
+      scored[d.a] += d.w * d.y; expA[d.a] += d.w * defence[d.h];
+    }
+    teams.forEach(t => { attack[t] = scored[t] / expA[t]; });
+    const meanAttack = teams.reduce((s, t) => s + attack[t], 0) / teams.length;
+    teams.forEach(t => { attack[t] /= meanAttack; });
+
+    // defence update: goals conceded / expected given opponent attack
+    const conceded = Object.fromEntries(teams.map(t => [t, shrinkage * avgGoals]));
+    const expD = Object.fromEntries(teams.map(t => [t, shrinkage]));
+    for (const d of data) {
+      conceded[d.a] += d.w * d.x; expD[d.a] += d.w * gamma * attack[d.h];
+      conceded[d.h] += d.w * d.y; expD[d.h] += d.w * attack[d.a];
+    }
+    teams.forEach(t => { defence[t] = conceded[t] / expD[t]; });
+
+    // home advantage update
+    let homeGoals = 0; let homeExp = 0;
+    for (const d of data) { homeGoals += d.w * d.x; homeExp += d.w * attack[d.h] * defence[d.a]; }
+    gamma = homeExp > 0 ? homeGoals / homeExp : gamma;
+  }
+
+  // Low-score correction: grid search rho on the weighted Dixon-Coles likelihood
+  let rho = 0;
+  let best = -Infinity;
+  for (let r = -0.2; r <= 0.2 + 1e-9; r += 0.005) {
+    let ll = 0;
+    for (const d of data) {
+      if (d.x > 1 || d.y > 1) continue; // tau is 1 elsewhere
+      const lh = gamma * attack[d.h] * defence[d.a];
+      const la = attack[d.a] * defence[d.h];
+      const tau = dixonColesTau(d.x, d.y, lh, la, r);
+      if (tau <= 0) { ll = -Infinity; break; }
+      ll += d.w * Math.log(tau);
+    }
+    if (ll > best) { best = ll; rho = Math.round(r * 1000) / 1000; }
+  }
+
+  // Share of goals scored before half time
+  let htGoals = 0; let ftGoals = 0;
+  for (const d of data) {
+    if (Number.isFinite(d.raw.htHome) && Number.isFinite(d.raw.htAway)) {
+      htGoals += d.w * (d.raw.htHome + d.raw.htAway);
+      ftGoals += d.w * (d.x + d.y);
+    }
+  }
+  const halfTimeShare = ftGoals > 0 ? Math.min(0.6, Math.max(0.3, htGoals / ftGoals)) : DEFAULT_PARAMS.halfTimeShare;
+
+  const meanDefence = teams.reduce((s, t) => s + defence[t], 0) / teams.length;
+  const counts = {};
+  data.forEach(d => { counts[d.h] = (counts[d.h] || 0) + 1; counts[d.a] = (counts[d.a] || 0) + 1; });
+
+  return new GoalModel({
+    homeAdvantage: gamma,
+    meanDefence,
+    rho,
+    halfTimeShare,
+    teams: Object.fromEntries(teams.map(t => [t, { attack: attack[t], defence: defence[t], matches: counts[t] }])),
+    trainedAt: new Date().toISOString(),
+    sampleSize: data.length
+  });
+}
+
+export class GoalModel {
+  constructor(params = {}) {
+    this.params = { ...DEFAULT_PARAMS, ...params, teams: { ...(params.teams || {}) } };
+  }
+
+  hasTeam(name) {
+    return Boolean(this.params.teams[teamKey(name)]);
+  }
+
+  /**
+   * Expected goals for a fixture. Unknown teams are rated league average.
+   */
+  expectedGoals(home, away) {
+    const p = this.params;
+    const h = p.teams[teamKey(home)] || { attack: 1, defence: p.meanDefence };
+    const a = p.teams[teamKey(away)] || { attack: 1, defence: p.meanDefence };
+    return {
+      lambdaHome: p.homeAdvantage * h.attack * a.defence,
+      lambdaAway: a.attack * h.defence
+    };
+  }
+
+  /**
+   * Full prediction from team names or explicit expected goals
+   * @param {string|null} home
+   * @param {string|null} away
+   * @param {Object} opts - { lambdaHome, lambdaAway, maxGoals, topScores }
+   */
+  predict(home, away, opts = {}) {
+    const xg = (Number.isFinite(opts.lambdaHome) && Number.isFinite(opts.lambdaAway))
+      ? { lambdaHome: opts.lambdaHome, lambdaAway: opts.lambdaAway }
+      : this.expectedGoals(home, away);
+    const matrix = scoreMatrix(xg.lambdaHome, xg.lambdaAway, this.params.rho, opts.maxGoals || DEFAULT_MAX_GOALS);
+    return {
+      home,
+      away,
+      ...xg,
+      rho: this.params.rho,
+      matrix,
+      markets: {
+        ...marketsFromMatrix(matrix, opts.topScores || 10),
+        htft: htftProbabilities(xg.lambdaHome, xg.lambdaAway, this.params.halfTimeShare)
+      }
+    };
+  }
+
+  toJSON() {
+    return this.params;
+  }
+
+  static fromJSON(json) {
+    return new GoalModel(typeof json === 'string' ? JSON.parse(json) : json);
+  }
+}
+
+let _defaultModel = null;
+
+/**
+ * Load a trained model from disk (see scripts/train-goal-model.js).
+ * Falls back to an untrained model with league-average parameters.
+ */
+export function loadGoalModel(file = process.env.GOAL_MODEL_PATH || new URL('../../data/goal-model.json', import.meta.url)) {
+  try {
+    return GoalModel.fromJSON(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    void e;
+    return new GoalModel(DEFAULT_PARAMS);
+  }
+}
+
+export function getDefaultGoalModel() {
+  if (!_defaultModel) _defaultModel = loadGoalModel();
+  return _defaultModel;
+}
+
+export function setDefaultGoalModel(model) {
+  _defaultModel = model;
+}
+
+export default { GoalModel, fitGoalModel, parseFootballDataMatches, loadGoalModel, getDefaultGoalModel, setDefaultGoalModel, lambdasFromStrength };
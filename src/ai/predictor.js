@@ -1,6 +1,9 @@
-// Minimal match prediction engine (heuristic + explainability)
-// This is intentionally simple: it uses available match fields to derive
-// probabilities and returns a short rationale.
+// Match prediction engine (goal model + explainability)
+// Probabilities come from the Dixon-Coles goal model in ./goal-model.js. When
+// both teams are rated by the trained model their fitted strengths are used,
+// otherwise expected goals are derived from recent form.
+
+import { getDefaultGoalModel, lambdasFromStrength } from './goal-model.js';
 
 function safeAvg(arr) {
   if (!Array.isArray(arr) || arr.length === 0) return 0.5;
@@ -9,34 +12,39 @@ function safeAvg(arr) {
   return nums.reduce((a,b) => a+b,0)/nums.length;
 }
 
-export function predictOutcome(match = {}) {
-  // Heuristics: use recent form arrays if available
+export function predictOutcome(match = {}, model = getDefaultGoalModel()) {
   const homeForm = match.home_last5 || match.homeForm || [];
   const awayForm = match.away_last5 || match.awayForm || [];
+  const homeName = match.home || match.homeTeam || null;
+  const awayName = match.away || match.awayTeam || null;
 
-  const homeScore = safeAvg(homeForm.map(r => r === 'W' ? 1 : r === 'D' ? 0.5 : 0));
-  const awayScore = safeAvg(awayForm.map(r => r === 'W' ? 1 : r === 'D' ? 0.5 : 0));
-
-  // base probabilities
-  let homeProb = 0.45 + (homeScore - awayScore) * 0.2;
-  let awayProb = 0.35 - (homeScore - awayScore) * 0.15;
-  let drawProb = 1 - (homeProb + awayProb);
-
-  // clamp
-  homeProb = Math.min(0.95, Math.max(0.02, homeProb));
-  awayProb = Math.min(0.95, Math.max(0.02, awayProb));
-  drawProb = Math.max(0.02, 1 - (homeProb + awayProb));
-
-  // simple explainability lines
   const reasons = [];
+  let xg;
+  if (homeName && awayName && model.hasTeam(homeName) && model.hasTeam(awayName)) {
+    xg = model.expectedGoals(homeName, awayName);
+    reasons.push('Fitted team strengths');
+  } else {
+    // Form points per game (W=3, D=1) on a 0..3 scale, 1.5 when unknown
+    const homePpg = safeAvg(homeForm.map(r => r === 'W' ? 3 : r === 'D' ? 1 : 0)) || 0.1;
+    const awayPpg = safeAvg(awayForm.map(r => r === 'W' ? 3 : r === 'D' ? 1 : 0)) || 0.1;
+    xg = lambdasFromStrength(homeForm.length ? homePpg : 1.5, awayForm.length ? awayPpg : 1.5, model.params);
+  }
+
+  const prediction = model.predict(homeName, awayName, xg);
+  const p = prediction.markets['1X2'];
+
   if (homeForm && homeForm.length) reasons.push(`Home recent form ${homeForm.join(',')}`);
   if (awayForm && awayForm.length) reasons.push(`Away recent form ${awayForm.join(',')}`);
   if (match.venue) reasons.push(`Venue: ${match.venue}`);
+  reasons.push(`xG ${prediction.lambdaHome.toFixed(2)}-${prediction.lambdaAway.toFixed(2)}`);
 
+  const top = Math.max(p.home, p.draw, p.away);
   const result = {
-    probabilities: { home: Number(homeProb.toFixed(3)), draw: Number(drawProb.toFixed(3)), away: Number(awayProb.toFixed(3)) },
-    confidence: Math.min(0.95, Math.max(0.4, 0.5 + Math.abs(homeProb - awayProb) / 2)),
-    rationale: reasons.join(' • ') || 'Heuristic prediction based on available data'
+    probabilities: { home: Number(p.home.toFixed(3)), draw: Number(p.draw.toFixed(3)), away: Number(p.away.toFixed(3)) },
+    expectedGoals: { home: Number(prediction.lambdaHome.toFixed(2)), away: Number(prediction.lambdaAway.toFixed(2)) },
+    markets: prediction.markets,
+    confidence: Math.min(0.95, Math.max(0.4, top)),
+    rationale: reasons.join(' • ')
   };
   return result;
 }
@@ -10,7 +10,9 @@ import os from 'os';
 process.env.PGSSLMODE = process.env.PGSSLMODE || 'require';
 
 const app = express();
-app.use(express.json({ limit: '1mb' }));
+// Capture raw body bytes for HMAC verification; this parser runs first, so the
+// bodyParser below never sees a request body
+app.use(express.json({ limit: '1mb', verify: (req, _res, buf) => { req.rawBody = buf; } }));
 
 // DB pool: best-effort TLS settings for managed Postgres (fine-tune in prod)
 const pool = new Pool({ connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false } });
@@ -54,8 +56,21 @@ app.get('/admin/webhook-fallback', (req, res) => {
   }
 });
 
-// Webhook endpoint for Lipana / M-Pesa
+// Set by registerPaymentWebhooksAPI once the worker has built the pipeline
+let paymentWebhookPipeline = null;
+
+// Webhook endpoint for Lipana / M-Pesa. Daraja STK results sent here by older
+// MPESA_CALLBACK_URL settings go through the payment webhook pipeline.
 app.post('/webhook/mpesa', async (req, res) => {
+  if (req.body?.Body?.stkCallback && paymentWebhookPipeline) {
+    try {
+      await paymentWebhookPipeline.ingest('MPESA', { body: req.body, rawBody: req.rawBody ? req.rawBody.toString('utf8') : null, headers: req.headers || {} });
+      return res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+    } catch (err) {
+      safeLog('[webhook/mpesa] pipeline ingest failed:', err?.message || String(err));
+      return res.status(500).json({ ResultCode: 1, ResultDesc: 'Retry' });
+    }
+  }
   const secret = process.env.LIPANA_WEBHOOK_SECRET || process.env.MPESA_WEBHOOK_SECRET || process.env.LIPANA_SECRET;
   const incoming = req.headers['x-lipana-signature'] || req.headers['x-signature'] || req.headers['signature'] || '';
   try {
@@ -120,6 +135,34 @@ export function registerDataExposureAPI(sportsAggregator) {
   })();
 }
 
+// Admin JSON reports (track record etc.), guarded by the x-admin-key header.
+// Services are created by the worker, so it registers them here once ready.
+export function registerAdminReportsAPI(services = {}) {
+  (async () => {
+    try {
+      const mod = await import('./routes/admin-reports.js');
+      app.use('/admin/reports', mod.default(services));
+      safeLog('ADMIN_REPORTS: registered');
+    } catch (e) {
+      safeLog('ADMIN_REPORTS registration failed:', String(e));
+    }
+  })();
+}
+
+// Payment provider webhooks (M-Pesa, Till, PayPal, Binance) through the worker's webhook pipeline
+export function registerPaymentWebhooksAPI(pipeline) {
+  paymentWebhookPipeline = pipeline || null;
+  (async () => {
+    try {
+      const mod = await import('./routes/payment-webhooks.js');
+      app.use('/webhooks/payments', mod.default({ pipeline }));
+      safeLog('PAYMENT_WEBHOOKS: registered');
+    } catch (e) {
+      safeLog('PAYMENT_WEBHOOKS registration failed:', String(e));
+    }
+  })();
+}
+
 // Single PORT binding and listen
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
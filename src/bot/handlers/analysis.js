@@ -4,8 +4,8 @@ export async function analyse_match(ctx, matchId) {
   try {
     const agg = new SportsAggregator();
 
-    // Step 1: get live matches from Football-Data (normalized)
-    const liveMatches = await agg._getLiveFromFootballData();
+    // Step 1: get live matches from the live providers (normalized)
+    const liveMatches = await agg.getAllLiveMatches();
     const match = (liveMatches || []).find(m => String(m.id) === String(matchId));
 
     if (!match) {
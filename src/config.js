@@ -3,6 +3,9 @@
  * All environment variables with validation and defaults
  */
 
+// Comma-separated API keys (for rotating across several) plus the single-key variables, without duplicates
+const keyList = (...values) => [...new Set(values.flatMap(v => String(v || '').split(',')).map(k => k.trim()).filter(Boolean))];
+
 const CONFIG = {
   // Core
   REDIS_URL: process.env.REDIS_URL,
@@ -31,7 +34,13 @@ const CONFIG = {
   // Football-Data.org
   FOOTBALLDATA: {
     KEY: process.env.FOOTBALL_DATA_API || process.env.FOOTBALLDATA_API_KEY,
+    KEYS: keyList(process.env.FOOTBALLDATA_API_KEYS, process.env.FOOTBALL_DATA_API || process.env.FOOTBALLDATA_API_KEY),
     BASE: process.env.FOOTBALLDATA_BASE || 'https://api.football-data.org/v4',
+    // Requests per key (free tier: 10 a minute); 0 = no daily cap
+    QUOTA: {
+      perMinute: Number(process.env.FOOTBALLDATA_QUOTA_PER_MINUTE || 10),
+      perDay: Number(process.env.FOOTBALLDATA_QUOTA_PER_DAY || 0),
+    },
   },
 
   // SofaScore removed from primary providers; keep legacy config (disabled)
@@ -45,7 +54,13 @@ const CONFIG = {
   // SportsMonks
   SPORTSMONKS: {
     KEY: process.env.SPORTSMONKS_API || process.env.SPORTSMONKS_API_KEY,
+    KEYS: keyList(process.env.SPORTSMONKS_API_KEYS, process.env.SPORTSMONKS_API || process.env.SPORTSMONKS_API_KEY),
     BASE: process.env.SPORTSMONKS_BASE || 'https://api.sportsmonks.com/v3',
+    // Requests per key (3,000 an hour per entity on the standard plans); 0 = no daily cap
+    QUOTA: {
+      perMinute: Number(process.env.SPORTSMONKS_QUOTA_PER_MINUTE || 50),
+      perDay: Number(process.env.SPORTSMONKS_QUOTA_PER_DAY || 0),
+    },
   },
 
   // StatPal removed: no longer used in this deployment
@@ -175,6 +190,8 @@ const CONFIG = {
     SOFASCORE: { enabled: false, priority: 5 },
     ALLSPORTS: { enabled: process.env.PROVIDER_ALLSPORTS_ENABLED === 'true', priority: 6 },
     ESPN: { enabled: process.env.PROVIDER_ESPN_ENABLED === 'true', priority: 7 },
+    FLASHSCORE: { enabled: process.env.PROVIDER_FLASHSCORE_ENABLED === 'true', priority: 8 },
+    GOAL: { enabled: process.env.PROVIDER_GOAL_ENABLED === 'true', priority: 9 },
     CLAUDE: { enabled: process.env.PROVIDER_CLAUDE_ENABLED === 'true', priority: 0 }
   },
 
@@ -46,7 +46,7 @@ const subscriptions = pgTable(
     currency: text().default("KES"),
     startDate: timestamp().defaultNow(),
     endDate: timestamp(),
-    status: text().default("active"), // active, expired, cancelled
+    status: text().default("active"), // active, grace, expired, cancelled, renewed
     createdAt: timestamp().defaultNow(),
     updatedAt: timestamp().defaultNow(),
   },
@@ -182,9 +182,8 @@ class TierAwareHandlers {
     text += `👤 Name: ${user?.name || "—"}\n`;
     text += `🌍 Country: ${user?.country || "—"}\n`;
 
-    if (tier === "vvip" && user?.vvip_expires_at) {
-      text += `⏰ Expires: ${new Date(user.vvip_expires_at).toLocaleDateString()}\n`;
-    }
+    const plan = await this.gatekeeper.entitlements?.formatSummary(userId).catch(() => null);
+    if (plan) text += `\n<b>Your Plan:</b>\n${plan}\n`;
 
     text += `\n<b>Available Features:</b>\n`;
     text += UIBuilder.buildFeaturesList(tier).split("<b>Feature Access</b>\n\n")[1];
@@ -288,14 +288,14 @@ async function handlePaymentCallback(data, chatId, userId, redis, _services) {
 
 
       // Build comprehensive confirmation screen
-      let confirmText = `✅ *Payment Order Created*\n\n📋 *Order Details:*\nOrder ID: \`${order.orderId}\`\nUser ID: \`${userId}\`\nTier: *${getTierDisplayName(tier)}*\nAmount: *KES ${getTierAmount(tier)}*\nStatus: ⏳ Pending Payment\n\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n💳 *Payment Method: ${getMethodName(method)}*\n\n${instructionsText}\n\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n⏱️ *Next Steps:*\n1️⃣ Send payment using the details above\n2️⃣ Wait for confirmation (usually instant)\n3️⃣ Click "✅ Confirm Payment Sent" when done\n\n❗ *Important:*\n• Screenshot your payment confirmation for support\n• Payment may take 5-10 minutes to appear\n• Check "Check Status" to verify payment\n\n*Questions?* Contact support@betrix.app`;
+      let confirmText = `✅ *Payment Order Created*\n\n📋 *Order Details:*\nOrder ID: \`${order.orderId}\`\nUser ID: \`${userId}\`\nTier: *${getTierDisplayName(tier)}*\nAmount: *${order.currency || 'KES'} ${order.totalAmount ?? getTierAmount(tier)}*${instructions && instructions.promo ? `\n${instructions.promo}` : ''}\nStatus: ⏳ Pending Payment\n\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n💳 *Payment Method: ${getMethodName(method)}*\n\n${instructionsText}\n\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n⏱️ *Next Steps:*\n1️⃣ Send payment using the details above\n2️⃣ Wait for confirmation (usually instant)\n3️⃣ Click "✅ Confirm Payment Sent" when done\n\n❗ *Important:*\n• Screenshot your payment confirmation for support\n• Payment may take 5-10 minutes to appear\n• Check "Check Status" to verify payment\n\n*Questions?* Contact support@betrix.app`;
 
     // Build keyboard with confirmation + status check
-    // If PayPal checkout URL is available, show a direct Pay button linking to PayPal
+    // If a checkout URL is available (PayPal, Binance Pay), show a direct Pay button
     const keyboard = { inline_keyboard: [] };
     if (instructions && instructions.checkoutUrl) {
       keyboard.inline_keyboard.push([
-        { text: '💳 Pay with PayPal', url: instructions.checkoutUrl }
+        { text: instructions.method === 'binance_pay' ? '₿ Pay with Binance Pay' : '💳 Pay with PayPal', url: instructions.checkoutUrl }
       ]);
       // Also provide a server-side checkout redirect (use PUBLIC_URL if configured)
       try {
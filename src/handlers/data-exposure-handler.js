@@ -5,13 +5,16 @@
  */
 
 import { Logger } from '../utils/logger.js';
+import { OddsHistoryService } from '../services/odds-history-service.js';
+import { OddsChartGenerator } from '../services/odds-chart-generator.js';
 
 const logger = new Logger('DataExposure');
 
 export class DataExposureHandler {
-  constructor(router, sportsAggregator) {
+  constructor(router, sportsAggregator, oddsHistory = null) {
     this.router = router;
     this.aggregator = sportsAggregator;
+    this.oddsHistory = oddsHistory || (sportsAggregator && sportsAggregator.redis ? new OddsHistoryService(sportsAggregator.redis) : null);
     this.registerRoutes();
   }
 
@@ -70,22 +73,29 @@ export class DataExposureHandler {
     });
 
     /**
-     * GET /api/data/match/:matchId?source=sportsmonks|footballdata
-     * Returns full match details with all available fields
+     * GET /api/data/match/:matchId?source=sportsmonks|footballdata|merged
+     * Returns full match details with all available fields, plus the record
+     * merged across sources with per-field provenance and conflicts.
+     * matchId is a canonical fixture ID or any provider's match ID.
      */
     this.router.get('/api/data/match/:matchId', async (req, res) => {
       try {
         const { matchId } = req.params;
         const { source } = req.query;
+        const merger = this.aggregator.merger;
 
-        if (source) {
+        if (source === 'merged') {
+          const match = merger ? await merger.getMergedMatch(matchId) : null;
+          res.json({ matchId, source, match });
+        } else if (source) {
           // Get from specific source
           const match = await this.aggregator.dataCache.getMatchDetail(matchId, source);
           res.json({ matchId, source, match });
         } else {
           // Get from all sources
           const match = await this.aggregator.dataCache.getFullMatchData(matchId);
-          res.json(match);
+          const merged = merger ? await merger.getMergedMatch(matchId) : null;
+          res.json(merged ? { ...match, merged } : match);
         }
       } catch (e) {
         logger.error('Match detail endpoint failed:', e);
@@ -94,7 +104,7 @@ export class DataExposureHandler {
     });
 
     /**
-     * GET /api/data/standings/:leagueId?source=sportsmonks|footballdata
+     * GET /api/data/standings/:leagueId?source=sportsmonks|footballdata|merged
      * Returns league standings with all teams and statistics
      */
     this.router.get('/api/data/standings/:leagueId', async (req, res) => {
@@ -102,6 +112,20 @@ export class DataExposureHandler {
         const { leagueId } = req.params;
         const { source = 'sportsmonks' } = req.query;
 
+        if (source === 'merged' && this.aggregator.merger) {
+          const tables = [];
+          for (const provider of ['sportsmonks', 'footballdata']) {
+            const rows = await this.aggregator.dataCache.getStandings(leagueId, provider);
+            if (Array.isArray(rows) && rows.length > 0) tables.push({ source: provider, rows });
+          }
+          return res.json({
+            leagueId,
+            source,
+            sources: tables.map(t => t.source),
+            standings: this.aggregator.merger.mergeStandings(tables, { league: leagueId })
+          });
+        }
+
         const standings = await this.aggregator.dataCache.getStandings(leagueId, source);
         res.json({
           leagueId,
@@ -133,6 +157,20 @@ export class DataExposureHandler {
       }
     });
 
+    /**
+     * GET /api/data/providers
+     * Returns the registered data providers: capabilities, sports, priority, rate limit and state
+     */
+    this.router.get('/api/data/providers', async (req, res) => {
+      try {
+        const providers = await this.aggregator.describeProviders();
+        res.json({ count: providers.length, providers });
+      } catch (e) {
+        logger.error('Providers endpoint failed:', e);
+        res.status(500).json({ error: e.message });
+      }
+    });
+
     /**
      * GET /api/data/cache-info
      * Returns detailed cache status and memory usage
@@ -207,6 +245,57 @@ export class DataExposureHandler {
       }
     });
 
+    /**
+     * GET /api/data/odds-history?limit=50
+     * Fixtures with recorded odds, most recently updated first
+     */
+    this.router.get('/api/data/odds-history', async (req, res) => {
+      try {
+        if (!this.oddsHistory) return res.status(503).json({ error: 'odds history unavailable' });
+        const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+        const fixtures = await this.oddsHistory.listFixtures({ limit });
+        res.json({ count: fixtures.length, fixtures });
+      } catch (e) {
+        logger.error('Odds history list failed:', e);
+        res.status(500).json({ error: e.message });
+      }
+    });
+
+    /**
+     * GET /api/data/odds-history/:fixture?market=1X2&bookmaker=&from=&to=
+     * Price points and opening/latest movement for one fixture
+     */
+    this.router.get('/api/data/odds-history/:fixture', async (req, res) => {
+      try {
+        if (!this.oddsHistory) return res.status(503).json({ error: 'odds history unavailable' });
+        const { market = '1X2', bookmaker = null, from = null, to = null } = req.query;
+        const history = await this.oddsHistory.getHistory(req.params.fixture, { market, bookmaker, from, to });
+        if (!history || history.points.length === 0) return res.status(404).json({ error: 'no odds history for fixture' });
+        res.json({ ...history, count: history.points.length, movement: this.oddsHistory.summarizeMovement(history) });
+      } catch (e) {
+        logger.error('Odds history endpoint failed:', e);
+        res.status(500).json({ error: e.message });
+      }
+    });
+
+    /**
+     * GET /api/data/odds-history/:fixture/chart.svg?market=1X2&bookmaker=
+     * Line-movement chart rendered as SVG
+     */
+    this.router.get('/api/data/odds-history/:fixture/chart.svg', async (req, res) => {
+      try {
+        if (!this.oddsHistory) return res.status(503).json({ error: 'odds history unavailable' });
+        const { market = '1X2', bookmaker = null } = req.query;
+        const history = await this.oddsHistory.getHistory(req.params.fixture, { market });
+        const svg = OddsChartGenerator.generateLineMovementSVG(history || { market, points: [] }, { bookmaker });
+        res.setHeader('Content-Type', 'image/svg+xml');
+        res.send(svg);
+      } catch (e) {
+        logger.error('Odds chart endpoint failed:', e);
+        res.status(500).json({ error: e.message });
+      }
+    });
+
     /**
      * GET /api/data/schema
      * Returns the API schema/documentation
@@ -287,15 +376,15 @@ export class DataExposureHandler {
             response: { source: 'string', league: 'string', count: 'number', fixtures: 'array' }
           },
           'GET /api/data/match/:matchId': {
-            description: 'Full match details with all fields',
-            params: { matchId: 'string|number' },
-            query: { source: 'string (optional)' },
-            response: { matchId: 'string', source: 'string', match: 'object' }
+            description: 'Full match details with all fields, plus the record merged across sources',
+            params: { matchId: 'string|number (canonical fixture id or provider match id)' },
+            query: { source: 'string (optional; sportsmonks|footballdata|merged)' },
+            response: { matchId: 'string', source: 'string', match: 'object', merged: 'object (no source: fields, sources, provenance per field, conflicts)' }
           },
           'GET /api/data/standings/:leagueId': {
             description: 'League standings and statistics',
             params: { leagueId: 'string|number' },
-            query: { source: 'string' },
+            query: { source: 'string (sportsmonks|footballdata|merged)' },
             response: { leagueId: 'string', source: 'string', standings: 'object' }
           },
           'GET /api/data/leagues': {
@@ -303,6 +392,10 @@ export class DataExposureHandler {
             query: { source: 'string' },
             response: { source: 'string', count: 'number', leagues: 'array' }
           },
+          'GET /api/data/providers': {
+            description: 'Registered data providers and their state',
+            response: { count: 'number', providers: 'array ({ name, label, priority, sports, capabilities, rateLimit, callsLastMinute, configured, enabled, backedOff })' }
+          },
           'GET /api/data/cache-info': {
             description: 'Cache status and memory usage',
             response: { totalSize: 'number', totalEntries: 'number', estimatedSizeKb: 'string' }
@@ -314,6 +407,22 @@ export class DataExposureHandler {
           'GET /api/data/export': {
             description: 'Export all cached data as JSON file',
             response: { exportedAt: 'ISO string', summary: 'object', data: 'object' }
+          },
+          'GET /api/data/odds-history': {
+            description: 'Fixtures with recorded odds history',
+            query: { limit: 'number (default 50)' },
+            response: { count: 'number', fixtures: 'array' }
+          },
+          'GET /api/data/odds-history/:fixture': {
+            description: 'Odds time series for a fixture, per market and bookmaker',
+            params: { fixture: 'string (fixture id or home-vs-away slug)' },
+            query: { market: 'string (1X2|OU_2.5|BTTS...)', bookmaker: 'string (optional)', from: 'ms or ISO (optional)', to: 'ms or ISO (optional)' },
+            response: { fixture: 'string', market: 'string', count: 'number', points: 'array', movement: 'object' }
+          },
+          'GET /api/data/odds-history/:fixture/chart.svg': {
+            description: 'Line-movement chart as SVG',
+            query: { market: 'string', bookmaker: 'string (optional)' },
+            response: 'image/svg+xml'
           }
         },
         sources: ['sportsmonks', 'footballdata'],
@@ -4,6 +4,7 @@
  */
 
 import { Logger } from '../utils/logger.js';
+import { currencyForCountry } from '../lib/price-book.js';
 const logger = new Logger('DataModels');
 
 // ============================================================================
@@ -15,6 +16,7 @@ export const UserProfileSchema = {
   user_id: 'telegram_user_id',
   name: 'string (full name)',
   country: 'string (KE, UG, TZ, etc)',
+  currency: 'string (KES, UGX, NGN, etc; from country)',
   age: 'number (18-120)',
   phone: 'string (for M-Pesa)',
   email: 'string',
@@ -57,6 +59,7 @@ export async function createUserProfile(redis, userId, profileData) {
     user_id: userId,
     name: profileData.name || '',
     country: profileData.country || 'KE',
+    currency: profileData.currency || currencyForCountry(profileData.country || 'KE'),
     age: profileData.age || 0,
     phone: profileData.phone || '',
     email: profileData.email || '',
@@ -6,8 +6,12 @@
 
 import { Logger } from '../utils/logger.js';
 import * as completeMenus from './menu-handler-complete.js';
-import { createCustomPaymentOrder } from './payment-router.js';
-import lipana from '../lib/lipana-client.js';
+import { createCustomPaymentOrder, createPaymentOrder } from './payment-router.js';
+import { MpesaStkService } from '../services/mpesa-stk.js';
+import { SubscriptionLifecycleService } from '../services/subscription-lifecycle.js';
+import { InvoiceService } from '../services/invoice-service.js';
+import { formatMoney } from '../lib/price-book.js';
+import { handleSlipCallback, handleBetCallback, BET_CALLBACK_PREFIXES, handleProfileCallback, handleOddsChart } from './telegram-handler-v2.js';
 import { Pool } from 'pg';
 import SportMonksService from '../services/sportmonks-service.js';
 
@@ -49,6 +53,17 @@ async function getLiveMatches(services = {}, sport = 'football') {
   }
 }
 
+/**
+ * Fill in the message and callback ids that the shared v2 flows leave undefined
+ */
+function withCallbackIds(action, cq) {
+  if (!action || typeof action !== 'object') return action;
+  const out = { ...action };
+  if (out.method === 'editMessageText' && !out.message_id) out.message_id = cq.message?.message_id;
+  if (out.method === 'answerCallbackQuery' && !out.callback_query_id) out.callback_query_id = cq.id;
+  return out;
+}
+
 /**
  * Handle /start command - show main menu
  */
@@ -140,7 +155,7 @@ export async function handleCallbackQuery(cq, redis, services) {
     // LIVE GAMES
     // ========================================================================
 
-    if (data === 'live_games') {
+    if (data === 'live_games' || data === 'menu_live') {
       return {
         method: 'editMessageText',
         chat_id: chatId,
@@ -204,10 +219,29 @@ export async function handleCallbackQuery(cq, redis, services) {
       };
     }
 
+    // ========================================================================
+    // BETTING SLIP
+    // ========================================================================
+
+    // Accumulator slip builder: slip_add_{fixtureId}, slip_pick_{fixtureId}_{code}, slip_view, slip_place, ...
+    if (data.startsWith('slip_')) {
+      return withCallbackIds(await handleSlipCallback(data, chatId, cq.from?.id, redis, services), cq);
+    }
+
+    // Quick bet and bankroll-sized stake picker: bet_fixture_, edit_bet_, set_bet_, place_bet_
+    if (BET_CALLBACK_PREFIXES.some(prefix => data.startsWith(prefix))) {
+      return withCallbackIds(await handleBetCallback(data, chatId, cq.from?.id, redis, services), cq);
+    }
+
     // ========================================================================
     // ODDS & ANALYSIS
     // ========================================================================
 
+    // Line-movement chart for a fixture: odds_chart_{fixtureId} (sent as a document)
+    if (data.startsWith('odds_chart_')) {
+      return withCallbackIds(await handleOddsChart(data.slice('odds_chart_'.length), chatId, redis, services), cq);
+    }
+
     if (data === 'odds_analysis') {
       const matches = await getLiveMatches(services, 'football');
       const menu = completeMenus.buildOddsMenu(matches);
@@ -383,7 +417,7 @@ export async function handleCallbackQuery(cq, redis, services) {
     // PROFILE
     // ========================================================================
 
-    if (data === 'profile') {
+    if (data === 'profile' || data === 'menu_profile') {
       const user = { name: 'User', tier: 'FREE', predictions: 0, winRate: '0', points: 0 };
       const menu = completeMenus.buildProfileMenu(user);
 
@@ -397,24 +431,48 @@ export async function handleCallbackQuery(cq, redis, services) {
       };
     }
 
-    if (data === 'profile:stats') {
+    // Receipts: profile_receipts lists recent invoices, profile_receipt_{number} sends one as a PDF
+    if (data === 'profile_receipts' || data.startsWith('profile_receipt_')) {
+      const userId = cq.from?.id;
+      const invoices = new InvoiceService(redis);
+      if (data.startsWith('profile_receipt_')) {
+        const invoice = await invoices.getForUser(userId, data.slice('profile_receipt_'.length));
+        if (!invoice) {
+          return { method: 'answerCallbackQuery', callback_query_id: cq.id, text: '❌ Receipt not found.', show_alert: true };
+        }
+        return { method: 'sendDocument', chat_id: chatId, document: invoices.render(invoice), caption: invoices.caption(invoice), parse_mode: 'Markdown' };
+      }
+
+      const list = await invoices.listForUser(userId, 10);
+      const rows = list.map(inv => [{ text: `${inv.number} · ${inv.issuedAt.slice(0, 10)} · ${formatMoney(inv.total, inv.currency)}`, callback_data: `profile_receipt_${inv.number}` }]);
       return {
-        method: 'answerCallbackQuery',
-        callback_query_id: cq.id,
-        text: '📊 Your statistics. Feature coming soon!',
-        show_alert: false
+        method: 'editMessageText',
+        chat_id: chatId,
+        message_id: messageId,
+        text: list.length > 0 ? '🧾 *Receipts*\n\nTap a receipt to download it as a PDF.' : '🧾 *Receipts*\n\nNo receipts yet. They appear here after each payment.',
+        reply_markup: { inline_keyboard: [...rows, [{ text: '🔙 Back', callback_data: 'profile' }]] },
+        parse_mode: 'Markdown'
       };
     }
 
-    if (data === 'profile:bets') {
+    // Bankroll: profile_bankroll summary plus deposit/withdraw/limit/Kelly/ledger screens
+    if (data.startsWith('profile_bankroll')) {
+      return withCallbackIds(await handleProfileCallback(data, chatId, cq.from?.id, redis), cq);
+    }
+
+    if (data === 'profile:stats') {
       return {
         method: 'answerCallbackQuery',
         callback_query_id: cq.id,
-        text: '💰 Your betting history. Feature coming soon!',
+        text: '📊 Your statistics. Feature coming soon!',
         show_alert: false
       };
     }
 
+    if (data === 'profile:bets' || data === 'profile_bets') {
+      return withCallbackIds(await handleProfileCallback('profile_bets', chatId, cq.from?.id, redis), cq);
+    }
+
     if (data === 'profile:settings') {
       return {
         method: 'answerCallbackQuery',
@@ -481,7 +539,8 @@ export async function handleCallbackQuery(cq, redis, services) {
     // SUBSCRIPTION & PAYMENT
     // ========================================================================
 
-    if (data === 'subscription') {
+    // menu_vvip: "View Plans" on subscription reminders (services/subscription-lifecycle.js)
+    if (data === 'subscription' || data === 'menu_vvip') {
       const menu = completeMenus.buildSubscriptionMenu();
 
       return {
@@ -593,37 +652,29 @@ export async function handleCallbackQuery(cq, redis, services) {
           // Create a short-lived payment order (custom amount)
           const order = await createCustomPaymentOrder(redis, userId, amount, 'MPESA');
 
-          // Try to trigger Lipana STK push (best-effort)
-          let providerCheckout = null;
-          try {
-            const callback = process.env.LIPANA_CALLBACK_URL || process.env.MPESA_CALLBACK_URL || process.env.MPESA_CALLBACK_URL || null;
-            const resp = await lipana.stkPush({ amount, phone: msisdn, tx_ref: order.orderId, reference: order.orderId, callback_url: callback });
-            providerCheckout = resp?.raw?.data?.transactionId || resp?.raw?.data?._id || null;
-            if (providerCheckout) {
-              // Persist a payments row for reconciliation and audit
-              try {
-                const connStr = process.env.DATABASE_URL || null;
-                if (connStr) {
-                  const pool = new Pool({ connectionString: connStr, ssl: { rejectUnauthorized: false } });
-                  const insertSql = `INSERT INTO payments(tx_ref, user_id, amount, status, metadata, created_at)
-                    VALUES($1,$2,$3,$4,$5, now())`;
-                  const metadata = { provider: 'LIPANA', provider_checkout_id: providerCheckout, orderId: order.orderId };
-                  await pool.query(insertSql, [order.orderId, order.userId, order.totalAmount || amount, 'pending', JSON.stringify(metadata)]);
-                  try { await pool.end(); } catch(e){ void e; }
-                }
-              } catch (ee) {
-                logger.warn('Failed to persist payments row for STK push', ee?.message || String(ee));
+          // Send the STK prompt through the configured M-Pesa backend (MPESA_BACKEND: lipana | daraja)
+          const stk = (services && services.mpesaStk) || new MpesaStkService(redis);
+          const sent = await stk.request(order, msisdn, { notify: false });
+          const providerCheckout = sent.checkoutId;
+          if (providerCheckout) {
+            // Persist a payments row for reconciliation and audit
+            try {
+              const connStr = process.env.DATABASE_URL || null;
+              if (connStr) {
+                const pool = new Pool({ connectionString: connStr, ssl: { rejectUnauthorized: false } });
+                const insertSql = `INSERT INTO payments(tx_ref, user_id, amount, status, metadata, created_at)
+                  VALUES($1,$2,$3,$4,$5, now())`;
+                const metadata = { provider: sent.gateway, provider_checkout_id: providerCheckout, orderId: order.orderId };
+                await pool.query(insertSql, [order.orderId, order.userId, order.totalAmount || amount, 'pending', JSON.stringify(metadata)]);
+                try { await pool.end(); } catch(e){ void e; }
               }
-              // Store quick lookup mapping so webhook can resolve provider ref -> orderId
-              try { await redis.setex(`payment:by_provider_ref:MPESA:${providerCheckout}`, 900, order.orderId); } catch (e) { void e; }
+            } catch (ee) {
+              logger.warn('Failed to persist payments row for STK push', ee?.message || String(ee));
             }
-          } catch (e) {
-            logger.warn('Lipana STK push failed', e?.message || String(e));
           }
 
-          // Reply to user indicating initiation
-          const txRef = order.orderId;
-          const replyText = `✅ STK push initiated for KES ${amount}.\nPlease check your phone and enter your M-Pesa PIN.\nTransaction ID: ${txRef}` + (providerCheckout ? `\nProvider checkout: ${providerCheckout}` : '');
+          // Reply to user with the request status (sent, or why it could not be sent)
+          const replyText = sent.message;
 
           return {
             method: 'editMessageText',
@@ -652,6 +703,36 @@ export async function handleCallbackQuery(cq, redis, services) {
       };
     }
 
+    // One-tap renewal from an expiry reminder: sub_renew_{tier}
+    if (data.startsWith('sub_renew_')) {
+      const tier = data.replace('sub_renew_', '').toUpperCase();
+      const lifecycle = (services && services.subscriptionLifecycle) || new SubscriptionLifecycleService(redis, { createOrder: createPaymentOrder });
+      const result = await lifecycle.renew(cq.from?.id, tier);
+      if (!result.ok && result.reason === 'no_phone') {
+        return {
+          method: 'answerCallbackQuery',
+          callback_query_id: cq.id,
+          text: '📱 Please send your M-Pesa phone number first (e.g. 2547XXXXXXXX) so we can send the renewal prompt.',
+          show_alert: true
+        };
+      }
+      if (!result.ok) {
+        return {
+          method: 'sendMessage',
+          chat_id: chatId,
+          text: '❌ Could not start the M-Pesa renewal. Please try again or pick a plan manually.',
+          reply_markup: { inline_keyboard: [[{ text: '👑 View Plans', callback_data: 'subscription' }]] },
+          parse_mode: 'Markdown'
+        };
+      }
+      return {
+        method: 'sendMessage',
+        chat_id: chatId,
+        text: `🔁 *Renewing ${tier}*\n\nAn M-Pesa prompt for KES ${result.order.totalAmount} has been sent to your phone. Enter your PIN to confirm — your new period starts when the current one ends. We will message you here once the payment goes through.\n\nOrder: \`${result.order.orderId}\``,
+        parse_mode: 'Markdown'
+      };
+    }
+
     // Subscribe
     if (data.startsWith('subscribe:')) {
       const plan = data.split(':')[1];
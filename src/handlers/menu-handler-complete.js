@@ -448,6 +448,10 @@ Tier: *${tier}*
         { text: '🎁 Referrals', callback_data: 'profile:referrals' },
         { text: '📊 History', callback_data: 'profile:history' }
       ],
+      [
+        { text: '🏦 Bankroll', callback_data: 'profile_bankroll' },
+        { text: '🧾 Receipts', callback_data: 'profile_receipts' }
+      ],
       [
         { text: '🔙 Back', callback_data: 'menu_main' }
       ]
@@ -724,6 +728,11 @@ export function buildMatchDetailsMenu(match = {}) {
         { text: '🔄 Refresh', callback_data: `match:${match.id}` }
       ],
       [
+        { text: '➕ Add to Slip', callback_data: `slip_add_${match.id}` },
+        { text: '🧾 View Slip', callback_data: 'slip_view' }
+      ],
+      [
+        { text: '📈 Line Movement', callback_data: `odds_chart_${match.id}` },
         { text: '🔙 Back', callback_data: 'live_games' }
       ]
     ]
@@ -179,6 +179,9 @@ export const profileMenu = {
         { text: '📊 My Stats', callback_data: 'profile_stats' },
         { text: '💰 My Bets', callback_data: 'profile_bets' }
       ],
+      [
+        { text: '🏦 Bankroll', callback_data: 'profile_bankroll' }
+      ],
       [
         { text: '⭐ Favorites', callback_data: 'profile_favorites' },
         { text: '📋 Settings', callback_data: 'profile_settings' }
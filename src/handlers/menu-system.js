@@ -151,6 +151,7 @@ Manage your account, view stats, and preferences.`,
         { text: '⚙️ Settings', callback_data: 'profile_settings' }
       ],
       [
+        { text: '🧾 Receipts', callback_data: 'profile_receipts' },
         { text: '🔙 Back to Main', callback_data: 'menu_main' }
       ]
     ]
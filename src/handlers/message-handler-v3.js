@@ -5,6 +5,7 @@
  */
 
 import { Logger } from '../utils/logger.js';
+import { currencyForCountry } from '../lib/price-book.js';
 const logger = new Logger('MessageHandler');
 import { getUserState, setUserState, getStateData, setStateData, StateTypes, createUserProfile, getUserProfile, updateUserProfile } from './data-models.js';
 void getUserProfile; void updateUserProfile;
@@ -188,22 +189,22 @@ async function handleSignupName(message, userId, chatId, redis) {
  */
 async function handleSignupCountry(message, userId, chatId, redis) {
   const country = message.trim().toUpperCase();
-  const validCountries = ['KE', 'UG', 'TZ', 'KENYA', 'UGANDA', 'TANZANIA'];
+  const countryNames = { KENYA: 'KE', UGANDA: 'UG', TANZANIA: 'TZ', NIGERIA: 'NG', 'SOUTH AFRICA': 'ZA', GHANA: 'GH', 'UNITED KINGDOM': 'GB', UK: 'GB' };
+  const validCodes = ['KE', 'UG', 'TZ', 'NG', 'ZA', 'GH', 'GB'];
 
-  if (!validCountries.includes(country)) {
+  // Normalize country code
+  const countryCode = countryNames[country] || country;
+  if (!validCodes.includes(countryCode)) {
     return {
       chat_id: chatId,
-      text: '🌍 Please enter a valid country (KE, UG, TZ) or full name (Kenya, Uganda, Tanzania).',
+      text: '🌍 Please enter a valid country (KE, UG, TZ, NG, ZA, GH, GB) or full name (Kenya, Uganda, Tanzania, Nigeria, South Africa, Ghana).',
       parse_mode: 'Markdown'
     };
   }
 
-  // Normalize country code
-  const countryCode = country === 'KENYA' ? 'KE' : country === 'UGANDA' ? 'UG' : country === 'TANZANIA' ? 'TZ' : country;
-
-  // Save country and move to age
+  // Save country (and the currency we will price in) and move to age
   const current = await getStateData(redis, userId);
-  await setStateData(redis, userId, { ...current, country: countryCode, step: 'age' }, 3600);
+  await setStateData(redis, userId, { ...current, country: countryCode, currency: currencyForCountry(countryCode), step: 'age' }, 3600);
   await setUserState(redis, userId, StateTypes.SIGNUP_AGE, 3600);
 
   return {
@@ -232,6 +233,7 @@ async function handleSignupAge(message, userId, chatId, redis) {
   const profileData = {
     name: current.name,
     country: current.country,
+    currency: current.currency,
     age,
     signup_paid: false
   };
@@ -1,10 +1,20 @@
 /**
  * Payment Router - Unified payment handling
- * Supports M-Pesa, Safaricom Till, PayPal, Binance, and SWIFT
+ * Supports M-Pesa, Safaricom Till, PayPal, Binance Pay, SWIFT, Bitcoin and USDT (TRC20)
  */
 
 import { Logger } from '../utils/logger.js';
 import * as paypal from '@paypal/checkout-server-sdk';
+import { SubscriptionLifecycleService, nextExpiry } from '../services/subscription-lifecycle.js';
+import { EntitlementService, PRODUCTS } from '../services/entitlement-service.js';
+import { getDefaultLedger } from '../services/payment-ledger.js';
+import { getCredit, consumeCredit, creditToApply } from '../services/account-credit.js';
+import { parseConfirmationSms } from '../lib/payment-sms.js';
+import { PromotionService } from '../services/promotions.js';
+import { listPrice, priceBook, priceList, convert, currencyForCountry, formatMoney, DEFAULT_FX_RATES } from '../lib/price-book.js';
+import { getRates, ratesUpdatedAt, refreshRates } from '../services/fx-rates.js';
+import { getDefaultBinancePayClient } from '../lib/binance-pay-client.js';
+import { InvoiceService } from '../services/invoice-service.js';
 
 const logger = new Logger('PaymentRouter');
 void logger;
@@ -65,7 +75,7 @@ export const PAYMENT_PROVIDERS = {
     minAmount: 5,
     maxAmount: 1000000,
     fee: 0.005, // 0.5%
-    currencies: ['USD', 'EUR', 'GBP'],
+    currencies: ['USD', 'EUR', 'GBP', 'NGN', 'ZAR', 'GHS', 'TZS', 'UGX', 'KES'],
     processor: 'swift',
     description: 'International bank transfer'
   },
@@ -74,11 +84,26 @@ export const PAYMENT_PROVIDERS = {
     symbol: '₿',
     icon: 'bitcoin',
     regions: ['GLOBAL'],
-    minAmount: 0.0001,
-    maxAmount: 100,
+    minAmount: 5,
+    maxAmount: 10000,
     fee: 0.001,
-    currencies: ['BTC'],
+    // Priced in USD, paid in BTC at the cached rate (services/crypto-payments.js)
+    currencies: ['USD'],
+    asset: 'BTC',
     processor: 'bitcoin'
+  },
+  USDT_TRC20: {
+    name: 'USDT (TRC20)',
+    symbol: '₮',
+    icon: 'usdt',
+    regions: ['GLOBAL'],
+    minAmount: 5,
+    maxAmount: 50000,
+    fee: 0,
+    currencies: ['USD'],
+    asset: 'USDT',
+    processor: 'tron',
+    description: 'Tether on the TRON network'
   }
 };
 
@@ -101,7 +126,11 @@ export function normalizePaymentMethod(method) {
     'bank_transfer': 'SWIFT',
     'bitcoin': 'BITCOIN',
     'btc': 'BITCOIN',
-    'eth': 'BITCOIN'
+    'eth': 'BITCOIN',
+    'usdt': 'USDT_TRC20',
+    'usdt_trc20': 'USDT_TRC20',
+    'trc20': 'USDT_TRC20',
+    'tron': 'USDT_TRC20'
   };
 
   // Direct uppercase match to keys
@@ -154,6 +183,9 @@ export function getPaymentGuide(paymentMethod) {
     case 'BITCOIN':
       steps = generateBitcoinInstructions('ORDER_ID', provider.minAmount).steps || [];
       break;
+    case 'USDT_TRC20':
+      steps = generateUsdtInstructions('ORDER_ID', provider.minAmount).steps || [];
+      break;
     default:
       steps = [`Use ${provider.name} to send ${provider.currencies && provider.currencies[0] ? provider.currencies[0] : 'the required currency'}.`];
   }
@@ -161,10 +193,31 @@ export function getPaymentGuide(paymentMethod) {
   return { id: pmKey, title, description, steps };
 }
 
+/**
+ * Currency an order is charged in: the user's preferred currency when the
+ * provider takes it, otherwise the provider's main currency
+ */
+export function orderCurrency(paymentMethod, country = null, preferred = null) {
+  const provider = PAYMENT_PROVIDERS[normalizePaymentMethod(paymentMethod) || paymentMethod];
+  if (!provider) return 'USD';
+  const wanted = preferred || currencyForCountry(country, null);
+  return wanted && provider.currencies.includes(wanted) ? wanted : provider.currencies[0];
+}
+
+/**
+ * Provider min/max amounts are set in its main currency; convert them for other currencies
+ */
+function providerLimit(provider, field, currency, rates = DEFAULT_FX_RATES) {
+  const base = provider.currencies[0];
+  if (!currency || currency === base) return provider[field];
+  const converted = convert(provider[field], base, currency, rates);
+  return converted === null ? provider[field] : Math.round(converted * 100) / 100;
+}
+
 /**
  * Calculate payment with fees
  */
-export function calculatePaymentWithFees(baseAmount, paymentMethod) {
+export function calculatePaymentWithFees(baseAmount, paymentMethod, currency = null) {
   const provider = PAYMENT_PROVIDERS[paymentMethod];
   if (!provider) throw new Error('Invalid payment method');
 
@@ -175,7 +228,7 @@ export function calculatePaymentWithFees(baseAmount, paymentMethod) {
     baseAmount,
     fee: Math.ceil(fee * 100) / 100,
     total: Math.ceil(total * 100) / 100,
-    currency: provider.currencies[0],
+    currency: currency || provider.currencies[0],
     provider: provider.name
   };
 }
@@ -183,24 +236,27 @@ export function calculatePaymentWithFees(baseAmount, paymentMethod) {
 /**
  * Validate payment amount
  */
-export function validatePaymentAmount(amount, paymentMethod) {
+export function validatePaymentAmount(amount, paymentMethod, currency = null, rates = DEFAULT_FX_RATES) {
   const pmKey = normalizePaymentMethod(paymentMethod) || paymentMethod;
   const provider = PAYMENT_PROVIDERS[pmKey];
   if (!provider) {
     return { valid: false, error: 'Invalid payment method' };
   }
+  const cur = currency || provider.currencies[0];
+  const minAmount = providerLimit(provider, 'minAmount', cur, rates);
+  const maxAmount = providerLimit(provider, 'maxAmount', cur, rates);
 
-  if (amount < provider.minAmount) {
+  if (amount < minAmount) {
     return { 
       valid: false, 
-      error: `Minimum amount is ${provider.minAmount} ${provider.currencies[0]}` 
+      error: `Minimum amount is ${minAmount} ${cur}` 
     };
   }
 
-  if (amount > provider.maxAmount) {
+  if (amount > maxAmount) {
     return { 
       valid: false, 
-      error: `Maximum amount is ${provider.maxAmount} ${provider.currencies[0]}` 
+      error: `Maximum amount is ${maxAmount} ${cur}` 
     };
   }
 
@@ -288,15 +344,60 @@ export async function createPaymentOrder(redis, userId, tier, paymentMethod, use
     // Use normalized key for subsequent logic
     paymentMethod = pmKey; 
 
-    // Determine price in the currency appropriate for the selected payment method
-    const tierPrice = getTierPrice(tier, pmKey);
-    const validation = validatePaymentAmount(tierPrice, paymentMethod);
+    // Charge in the user's currency (picked from their signup country) when the provider takes it
+    const rates = await getRates(redis);
+    let profile = {};
+    try {
+      const [signupProfile, user] = await Promise.all([
+        redis.hgetall(`user:${userId}:profile`),
+        redis.hgetall(`user:${userId}`)
+      ]);
+      profile = { country: user?.country, currency: user?.currency, ...(signupProfile || {}) };
+    } catch (e) {
+      logger.warn('Failed to read user profile for currency', e?.message || String(e));
+    }
+    const currency = orderCurrency(pmKey, profile.country || userRegion, metadata?.currency || profile.currency || null);
+    const minAmount = providerLimit(PAYMENT_PROVIDERS[pmKey], 'minAmount', currency, rates);
+
+    const tierPrice = getTierPrice(tier, pmKey, currency, { rates });
+    const validation = validatePaymentAmount(tierPrice, paymentMethod, currency, rates);
     if (!validation.valid) {
       throw new Error(validation.error);
     }
 
     const orderId = `ORD${userId}${Date.now()}`;
-    const payment = calculatePaymentWithFees(tierPrice, paymentMethod);
+
+    // Promo code from the caller, or the one the user saved with /promo (an invalid explicit code is an error);
+    // the order holds one use of the code until it is activated, fails or expires
+    let promo = null;
+    try {
+      const promos = new PromotionService(redis);
+      promo = await promos.quote({
+        userId,
+        tier,
+        country: profile.country || userRegion,
+        currency,
+        price: tierPrice,
+        minAmount,
+        code: metadata?.promoCode || null
+      });
+      if (promo) await promos.reserve({ orderId, promo });
+    } catch (e) {
+      promo = null;
+      if (metadata?.promoCode) throw e;
+      logger.warn('Failed to apply promo', e?.message || String(e));
+    }
+
+    const payment = calculatePaymentWithFees(promo ? Math.round((tierPrice - promo.discount) * 100) / 100 : tierPrice, paymentMethod, currency);
+
+    // Account credit (e.g. from a partial refund) is spent as a discount; it is only debited on activation
+    let creditApplied = 0;
+    try {
+      const balance = await getCredit(redis, userId, payment.currency);
+      creditApplied = creditToApply(balance, payment.total, minAmount);
+    } catch (e) {
+      logger.warn('Failed to read account credit', e?.message || String(e));
+    }
 
     const orderData = {
       orderId,
@@ -305,13 +406,18 @@ export async function createPaymentOrder(redis, userId, tier, paymentMethod, use
       paymentMethod,
       baseAmount: payment.baseAmount,
       fee: payment.fee,
-      totalAmount: payment.total,
+      totalAmount: Math.round((payment.total - creditApplied) * 100) / 100,
       currency: payment.currency,
       status: 'pending',
       createdAt: new Date().toISOString(),
       expiresAt: new Date(Date.now() + 15 * 60 * 1000).toISOString(), // 15 min expiry
       region: userRegion
     };
+    if (creditApplied > 0) orderData.creditApplied = creditApplied;
+    if (promo) {
+      orderData.listPrice = tierPrice;
+      orderData.promo = { code: promo.code, type: promo.type, label: promo.label, discount: promo.discount, referrerId: promo.referrerId };
+    }
 
     // If metadata provided, attach
     if (metadata && typeof metadata === 'object') {
@@ -321,7 +427,7 @@ export async function createPaymentOrder(redis, userId, tier, paymentMethod, use
     // For SAFARICOM_TILL, generate a provider reference (so user can include it when paying)
     if (paymentMethod === 'SAFARICOM_TILL') {
       try {
-        const tillInstr = generateSafaricomTillPayment(userId, payment.total, tier);
+        const tillInstr = generateSafaricomTillPayment(userId, orderData.totalAmount, tier);
         orderData.providerRef = tillInstr.reference;
         orderData.instructions = tillInstr;
       } catch (e) {
@@ -349,8 +455,14 @@ export async function createPaymentOrder(redis, userId, tier, paymentMethod, use
       }
     }
 
-    // Store order in Redis (15 min TTL)
+    // Binance Pay checkout, or the coin amount and address for on-chain payments
+    await attachCryptoCheckout(redis, orderData, rates);
+
+    // Store order in Redis (15 min TTL); the ledger keeps the durable copy
     await redis.setex(`payment:order:${orderId}`, 900, JSON.stringify(orderData));
+    await withLedger('order', ledger => ledger.recordOrder(orderData));
+    await trackPending(redis, orderData);
+    await watchCryptoOrder(redis, orderData);
 
     // Create quick lookup mappings
     try {
@@ -399,11 +511,19 @@ export async function createCustomPaymentOrder(redis, userId, amount, paymentMet
     // Use normalized key
     paymentMethod = pmKey;
 
-    const validation = validatePaymentAmount(amount, paymentMethod);
+    // `amount` is in metadata.currency when given; convert if the provider cannot take that currency
+    const rates = await getRates(redis);
+    const currency = orderCurrency(pmKey, userRegion, metadata?.currency || null);
+    if (metadata?.currency && metadata.currency !== currency) {
+      const converted = convert(amount, metadata.currency, currency, rates);
+      if (converted !== null) amount = Math.ceil(converted * 100) / 100;
+    }
+
+    const validation = validatePaymentAmount(amount, paymentMethod, currency, rates);
     if (!validation.valid) throw new Error(validation.error);
 
     const orderId = `ORD${userId}${Date.now()}`;
-    const payment = calculatePaymentWithFees(amount, paymentMethod);
+    const payment = calculatePaymentWithFees(amount, paymentMethod, currency);
 
     const orderData = {
       orderId,
@@ -446,8 +566,13 @@ export async function createCustomPaymentOrder(redis, userId, amount, paymentMet
       }
     }
 
+    await attachCryptoCheckout(redis, orderData, rates);
+
     // Store order
     await redis.setex(`payment:order:${orderId}`, 900, JSON.stringify(orderData));
+    await withLedger('order', ledger => ledger.recordOrder(orderData));
+    await trackPending(redis, orderData);
+    await watchCryptoOrder(redis, orderData);
     try {
       await redis.setex(`payment:by_user:${userId}:pending`, 900, orderId);
       if (orderData.providerRef) await redis.setex(`payment:by_provider_ref:${paymentMethod}:${orderData.providerRef}`, 900, orderId);
@@ -461,6 +586,21 @@ export async function createCustomPaymentOrder(redis, userId, amount, paymentMet
   }
 }
 
+/**
+ * Promo summary shown above the payment steps, e.g.
+ * "🎟️ Promo WELCOME20 (20% off): -179.8 KES, was 899 KES"
+ */
+export function promoLine(order) {
+  if (!order?.promo) return null;
+  const { code, label, discount } = order.promo;
+  return `🎟️ Promo ${code} (${label}): -${discount} ${order.currency}, was ${order.listPrice} ${order.currency}`;
+}
+
+function withPromoLine(instructions, order) {
+  const promo = promoLine(order);
+  return promo ? { ...instructions, promo } : instructions;
+}
+
 /**
  * Get payment instructions based on method
  */
@@ -474,7 +614,7 @@ export async function getPaymentInstructions(redis, orderId, paymentMethod) {
 
     // Use stored instructions if present (e.g., Safaricom Till reference)
     if (orderData.instructions && orderData.instructions.method) {
-      return orderData.instructions;
+      return withPromoLine(orderData.instructions, orderData);
     }
 
     const instructions = {
@@ -483,11 +623,12 @@ export async function getPaymentInstructions(redis, orderId, paymentMethod) {
       PAYPAL: (orderData.metadata && orderData.metadata.checkoutUrl) ? { method: 'paypal', amount: totalAmount, orderId, checkoutUrl: orderData.metadata.checkoutUrl, description: 'Click to open PayPal', steps: ['Click the PayPal link to complete payment'] } : generatePayPalInstructions(orderId, totalAmount, orderData.providerRef),
       BINANCE: generateBinanceInstructions(orderId, totalAmount),
       SWIFT: generateSwiftInstructions(orderId, totalAmount),
-      BITCOIN: generateBitcoinInstructions(orderId, totalAmount)
+      BITCOIN: generateBitcoinInstructions(orderId, totalAmount),
+      USDT_TRC20: generateUsdtInstructions(orderId, totalAmount)
     };
 
     const pmKey = normalizePaymentMethod(paymentMethod) || paymentMethod;
-    return instructions[pmKey] || null;
+    return instructions[pmKey] ? withPromoLine(instructions[pmKey], orderData) : null;
   } catch (err) {
     logger.error('Failed to get payment instructions', err);
     throw err;
@@ -679,85 +820,420 @@ function generateSwiftInstructions(orderId, amount) {
 }
 
 /**
- * Bitcoin instructions
+ * Bitcoin instructions (no wallet address or BTC rate configured)
  */
 function generateBitcoinInstructions(orderId, amount) {
-  // In production, this would generate a unique Bitcoin address
-  const btcAmount = (amount / 60000).toFixed(6); // Mock conversion
-  
   return {
     method: 'bitcoin',
-    amount: btcAmount,
+    amount,
     orderId,
     network: 'Bitcoin',
-    description: 'Send Bitcoin to address below',
+    description: 'Send Bitcoin to the address support gives you',
+    steps: [
+      `Send the BTC equivalent of ${amount} USD`,
+      'Ask support for the payment address, quoting order ' + orderId,
+      'Send us the transaction hash once it is broadcast',
+      'Your subscription activates after 2 confirmations'
+    ]
+  };
+}
+
+/**
+ * USDT (TRC20) instructions (no wallet address configured)
+ */
+function generateUsdtInstructions(orderId, amount) {
+  return {
+    method: 'usdt_trc20',
+    amount,
+    orderId,
+    network: 'TRON (TRC20)',
+    description: 'Send USDT on the TRON network',
     steps: [
-      `Send exactly ${btcAmount} BTC to address:`,
-      '1A7g6UTh2x3KxxxFffX7LxxxXxxxxxXxxx',
-      'Wait for 1-3 confirmations (10-30 minutes)',
-      'Your subscription will activate automatically'
+      `Send ${amount} USDT on TRON (TRC20) only`,
+      'Ask support for the payment address, quoting order ' + orderId,
+      'Send us the transaction hash once it is broadcast',
+      'Your subscription activates once the transfer is confirmed'
     ]
   };
 }
 
+/**
+ * Instructions for an on-chain quote: exact coin amount to one address
+ */
+function generateOnchainInstructions(orderData) {
+  const { asset, network, address, amount } = orderData.crypto;
+  return {
+    method: orderData.paymentMethod === 'BITCOIN' ? 'bitcoin' : 'usdt_trc20',
+    amount,
+    currency: asset,
+    orderId: orderData.orderId,
+    network,
+    address,
+    description: `Send exactly ${amount} ${asset} on ${network}`,
+    steps: [
+      `Send exactly *${amount} ${asset}* on ${network}`,
+      `To: \`${address}\``,
+      'The exact amount identifies your order; send it in one transfer',
+      'Paste the transaction hash here to speed things up',
+      'Your subscription activates once the payment is confirmed'
+    ]
+  };
+}
+
+/**
+ * Binance Pay checkout link, or an on-chain quote for BTC / USDT-TRC20.
+ * Without Binance Pay credentials, a wallet address or a rate, the manual
+ * instructions are kept. A BTC rate older than the quote allows is
+ * refreshed once first.
+ */
+async function attachCryptoCheckout(redis, orderData, rates) {
+  if (orderData.paymentMethod === 'BINANCE') {
+    try {
+      const client = getDefaultBinancePayClient();
+      if (!client.configured()) return;
+      const checkout = await client.createOrder({
+        orderId: orderData.orderId,
+        amount: orderData.totalAmount,
+        currency: orderData.currency,
+        description: `BETRIX ${orderData.tier} subscription`
+      });
+      if (!checkout.ok) {
+        logger.warn('Binance Pay order creation failed', checkout.reason);
+        return;
+      }
+      orderData.providerRef = checkout.prepayId;
+      orderData.metadata = orderData.metadata || {};
+      orderData.metadata.checkoutUrl = checkout.checkoutUrl;
+      orderData.instructions = {
+        method: 'binance_pay',
+        amount: orderData.totalAmount,
+        currency: orderData.currency,
+        orderId: orderData.orderId,
+        checkoutUrl: checkout.checkoutUrl,
+        qrcodeLink: checkout.qrcodeLink,
+        deeplink: checkout.deeplink,
+        description: 'Pay with Binance Pay',
+        steps: ['Open the Binance Pay link (or scan the QR code in the Binance app)', `Confirm ${orderData.totalAmount} ${orderData.currency}`, 'Your subscription activates as soon as Binance confirms']
+      };
+    } catch (e) {
+      logger.warn('Failed to create Binance Pay order', e?.message || String(e));
+    }
+    return;
+  }
+
+  try {
+    const { quoteCrypto, rateIsFresh } = await import('../services/crypto-payments.js');
+    let updatedAt = await ratesUpdatedAt(redis);
+    if (!rateIsFresh(orderData.paymentMethod, updatedAt)) {
+      const fresh = await refreshRates(redis).catch(err => {
+        logger.warn('FX rate refresh for crypto quote failed', err?.message || String(err));
+        return null;
+      });
+      if (fresh) {
+        rates = fresh;
+        updatedAt = await ratesUpdatedAt(redis);
+      }
+    }
+    const quote = quoteCrypto(orderData, orderData.paymentMethod, { rates, ratesUpdatedAt: updatedAt });
+    if (!quote) {
+      logger.warn('No crypto quote; keeping manual instructions', { orderId: orderData.orderId, method: orderData.paymentMethod });
+      return;
+    }
+    orderData.crypto = quote;
+    orderData.instructions = generateOnchainInstructions(orderData);
+  } catch (e) {
+    logger.warn('Failed to quote crypto payment', e?.message || String(e));
+  }
+}
+
+async function watchCryptoOrder(redis, orderData) {
+  if (!orderData.crypto) return;
+  try {
+    const { CryptoPaymentService } = await import('../services/crypto-payments.js');
+    await new CryptoPaymentService(redis).watch(orderData);
+  } catch (e) {
+    logger.warn('Failed to watch crypto order', e?.message || String(e));
+  }
+}
+
+/**
+ * Run a write against the payment ledger when Postgres is configured. Ledger
+ * failures are logged, never surfaced to the payer, unless `required` (then
+ * they throw so the caller stops before changing anything else).
+ */
+async function withLedger(action, fn, { required = false } = {}) {
+  try {
+    const ledger = await getDefaultLedger();
+    return ledger ? await fn(ledger) : null;
+  } catch (e) {
+    logger.error(`Payment ledger ${action} failed`, e);
+    if (required) throw new Error(`Payment ledger ${action} failed: ${e?.message || e}`);
+    return null;
+  }
+}
+
+/**
+ * Load an order: Redis first, then the ledger, then the 30 day record of the
+ * transaction that paid it (re-filling the cache)
+ */
+export async function getOrder(redis, orderId) {
+  const cached = await redis.get(`payment:order:${orderId}`);
+  if (cached) return JSON.parse(cached);
+  let order = await withLedger('lookup', ledger => ledger.getOrder(orderId));
+  if (!order) {
+    const transactionId = await redis.get(`payment:order_tx:${orderId}`);
+    const raw = transactionId ? await redis.get(`transaction:${transactionId}`) : null;
+    order = raw ? JSON.parse(raw) : null;
+  }
+  if (order) await redis.setex(`payment:order:${orderId}`, 86400, JSON.stringify(order));
+  return order;
+}
+
+/**
+ * Grant the entitlements of a paid product (see services/entitlement-service.js)
+ */
+async function grantEntitlements(entitlements, userId, tier, opts) {
+  if (!PRODUCTS[tier]) return null;
+  try {
+    return await entitlements.grant(userId, tier, opts);
+  } catch (e) {
+    logger.warn('Failed to grant entitlements', e?.message || String(e));
+    return null;
+  }
+}
+
+// Pending orders awaiting a provider outcome, scored by creation time (see services/payment-reconciler.js).
+// The snapshot outlives the 15 minute order cache so late or lost callbacks can still be resolved.
+export const PENDING_INDEX_KEY = 'payment:pending';
+const PENDING_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+async function trackPending(redis, orderData) {
+  try {
+    await redis.setex(`payment:pending:${orderData.orderId}`, PENDING_TTL_SECONDS, JSON.stringify(orderData));
+    await redis.zadd(PENDING_INDEX_KEY, Date.parse(orderData.createdAt) || Date.now(), orderData.orderId);
+  } catch (e) {
+    logger.warn('Failed to index pending order', e?.message || String(e));
+  }
+}
+
+async function untrackPending(redis, orderId) {
+  try {
+    await redis.zrem(PENDING_INDEX_KEY, orderId);
+    await redis.del(`payment:pending:${orderId}`);
+  } catch (e) {
+    logger.warn('Failed to clear pending order', e?.message || String(e));
+  }
+}
+
+/**
+ * Pending order snapshot (falls back to the order cache / ledger)
+ */
+export async function getPendingOrder(redis, orderId) {
+  const raw = await redis.get(`payment:pending:${orderId}`);
+  if (raw) return JSON.parse(raw);
+  return getOrder(redis, orderId);
+}
+
+/**
+ * Attach the provider's checkout/transaction id to an order once it is known
+ * (e.g. after an STK push), so webhooks and reconciliation can resolve it.
+ * @param {Object} opts - { gateway } e.g. LIPANA | DARAJA for M-Pesa
+ */
+export async function recordProviderRef(redis, orderId, providerRef, { gateway = null } = {}) {
+  if (!providerRef) return null;
+  const order = await getPendingOrder(redis, orderId);
+  if (!order) return null;
+  order.providerRef = providerRef;
+  if (gateway) order.gateway = gateway;
+  await redis.setex(`payment:by_provider_ref:${order.paymentMethod}:${providerRef}`, 900, orderId);
+  await redis.setex(`payment:order:${orderId}`, 900, JSON.stringify(order));
+  if (order.status === 'pending') await trackPending(redis, order);
+  return order;
+}
+
+/**
+ * Close a pending order without activating it (provider failure, cancellation, expiry)
+ */
+export async function failOrder(redis, orderId, { reason = 'failed', providerRef = null } = {}) {
+  const order = await getPendingOrder(redis, orderId);
+  if (!order) throw new Error('Order not found');
+  if (order.status !== 'pending') throw new Error('Order already processed');
+  order.status = 'failed';
+  order.failureReason = reason;
+  order.failedAt = new Date().toISOString();
+  await redis.setex(`payment:order:${orderId}`, 86400, JSON.stringify(order));
+  await untrackPending(redis, orderId);
+  if (order.promo) {
+    try {
+      await new PromotionService(redis).release(order);
+    } catch (e) {
+      logger.warn('Failed to release promo reservation', e?.message || String(e));
+    }
+  }
+  await withLedger('failure', ledger => ledger.recordProviderEvent({
+    orderId,
+    userId: order.userId,
+    provider: order.paymentMethod,
+    providerRef: providerRef || order.providerRef || null,
+    amount: order.totalAmount,
+    currency: order.currency,
+    status: 'failed',
+    payload: { reason }
+  }));
+  logger.info('Payment order failed', { orderId, reason });
+  return order;
+}
+
 /**
  * Verify payment and activate subscription
  */
 export async function verifyAndActivatePayment(redis, orderId, transactionId) {
+  let activationLock = null;
   try {
-    const order = await redis.get(`payment:order:${orderId}`);
-    if (!order) throw new Error('Order not found');
+    const orderData = await getOrder(redis, orderId) || await getPendingOrder(redis, orderId);
+    if (!orderData) throw new Error('Order not found');
 
-    const orderData = JSON.parse(order);
     const { userId, tier, status } = orderData;
 
     if (status !== 'pending') {
       throw new Error('Order already processed');
     }
 
+    // Concurrent callbacks for one order can both read 'pending'; only the first past here activates
+    activationLock = `payment:activating:${orderId}`;
+    const locked = await redis.set(activationLock, '1', 'EX', 300, 'NX');
+    if (!locked) {
+      activationLock = null;
+      throw new Error('Order already processed');
+    }
+
     // Update order status
     orderData.status = 'completed';
     orderData.transactionId = transactionId;
     orderData.completedAt = new Date().toISOString();
 
+    // Work out the period before anything is written
+    let period;
+    if (tier === 'SIGNUP') {
+      period = { startsAt: new Date().toISOString(), expiresAt: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString() };
+    } else {
+      // Renewing the same tier extends from the current end date
+      const current = await redis.hgetall(`user:${userId}`) || {};
+      const expiry = nextExpiry(current.subscriptionExpiry, { sameTier: current.tier === tier });
+      orderData.subscriptionExpiry = expiry;
+      const days = PRODUCTS[tier]?.days || 30;
+      period = {
+        startsAt: new Date(Math.max(Date.now(), Date.parse(expiry) - days * 24 * 60 * 60 * 1000)).toISOString(),
+        expiresAt: expiry
+      };
+    }
+
+    // Book the payment and the activation in the ledger first: no access is granted without it
+    await withLedger('activation', async ledger => {
+      await ledger.recordProviderEvent({
+        orderId,
+        userId,
+        provider: orderData.paymentMethod,
+        providerRef: transactionId,
+        amount: orderData.totalAmount,
+        currency: orderData.currency,
+        status: 'success'
+      });
+      await ledger.recordActivation(orderData, period);
+    }, { required: true });
+
     // Activate user subscription
+    const entitlements = new EntitlementService(redis);
     if (tier === 'SIGNUP') {
       // One-time signup fee: grant analysis access without changing main tier
       await redis.hset(`user:${userId}`, 'signupPaid', '1');
-      await redis.hset(`user:${userId}`, 'analysisAccessUntil', new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString());
+      await redis.hset(`user:${userId}`, 'analysisAccessUntil', period.expiresAt);
       // Do not overwrite existing tier; keep user's tier (default FREE)
+      await grantEntitlements(entitlements, userId, tier, { ...period, orderId });
     } else {
+      const expiry = orderData.subscriptionExpiry;
       await redis.hset(`user:${userId}`, 'tier', tier);
-      await redis.hset(
-        `user:${userId}`,
-        'subscriptionExpiry',
-        new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
-      );
+      await redis.hset(`user:${userId}`, 'subscriptionExpiry', expiry);
+      await grantEntitlements(entitlements, userId, tier, { ...period, orderId });
+      try {
+        await new SubscriptionLifecycleService(redis).onActivated(userId, {
+          tier,
+          expiry,
+          amount: orderData.baseAmount ?? orderData.totalAmount,
+          currency: orderData.currency,
+          orderId
+        });
+      } catch (e) {
+        logger.warn('Failed to register subscription lifecycle', e?.message || String(e));
+      }
     }
 
-    // Store transaction
+    if (orderData.promo) {
+      try {
+        await new PromotionService(redis).redeem(orderData);
+      } catch (e) {
+        logger.warn('Failed to record promo redemption', e?.message || String(e));
+      }
+    }
+
+    if (orderData.creditApplied) {
+      try {
+        await consumeCredit(redis, userId, orderData.creditApplied, { currency: orderData.currency, reference: orderId });
+      } catch (e) {
+        logger.warn('Failed to debit account credit', e?.message || String(e));
+      }
+    }
+
+    // Store transaction, findable from the order id once the order cache expires
     await redis.setex(
       `transaction:${transactionId}`,
       30 * 24 * 60 * 60,
       JSON.stringify(orderData)
     );
+    await redis.setex(`payment:order_tx:${orderId}`, 30 * 24 * 60 * 60, transactionId);
 
     // Store order completion
     await redis.setex(`payment:order:${orderId}`, 86400, JSON.stringify(orderData));
+    await untrackPending(redis, orderId);
+
+    // Numbered receipt, sent as a PDF when the bot is wired in (setInvoiceTelegram)
+    try {
+      await new InvoiceService(redis).issueAndSend(orderData);
+    } catch (e) {
+      logger.warn('Failed to issue invoice', e?.message || String(e));
+    }
 
     logger.info('Payment verified and activated', { orderId, userId, tier });
 
     return {
       success: true,
       tier,
-      message: `🎉 Welcome to BETRIX ${tier}! Your subscription is now active.`
+      message: `🎉 Welcome to BETRIX ${tier}! Your subscription is now active.\n\n🧾 Paid ${formatMoney(orderData.totalAmount, orderData.currency)} · Order ${orderId}`
     };
   } catch (err) {
     logger.error('Payment verification failed', err);
+    // Let a retry of a failed activation take the lock again
+    if (activationLock) {
+      try { await redis.del(activationLock); } catch (e) { void e; }
+    }
     throw err;
   }
 }
 
+/**
+ * Resolve the order paid by a provider transaction/capture id (used by refund
+ * and dispute webhooks, which only carry the provider's ids)
+ */
+export async function findOrderByTransaction(redis, transactionId) {
+  if (!transactionId) return null;
+  const raw = await redis.get(`transaction:${transactionId}`);
+  if (raw) {
+    const { orderId } = JSON.parse(raw);
+    return await getOrder(redis, orderId) || JSON.parse(raw);
+  }
+  return withLedger('lookup', ledger => ledger.findOrderByProviderRef(transactionId));
+}
+
 /**
  * Simulate a payment completion for testing/demo runs
  * This will mark the order as completed and activate the subscription
@@ -768,131 +1244,76 @@ export async function simulatePaymentComplete(redis, orderId) {
 }
 
 /**
- * Get tier pricing
+ * Get tier pricing in `currency` (0 for an unknown tier). Throws when the tier
+ * has no price in that currency rather than charging its USD amount.
  */
-function getTierPrice(tier, paymentMethod = 'PAYPAL') {
-  // Prices defined with KES and USD values
-  const prices = {
-    SIGNUP: { KES: 150, USD: 1 },
-    PRO: { KES: 899, USD: 8.99 },
-    VVIP: { KES: 2699, USD: 29.99 },
-    PLUS: { KES: 8999, USD: 99.99 },
-    FIXED_BRONZE: { KES: 499, USD: 4.99 },
-    FIXED_SILVER: { KES: 1299, USD: 12.99 },
-    FIXED_GOLD: { KES: 4499, USD: 44.99 }
-  };
-
-  const tierObj = prices[tier];
-  if (!tierObj) return 0;
-
+function getTierPrice(tier, paymentMethod = 'PAYPAL', currency = null, { rates = DEFAULT_FX_RATES } = {}) {
   const provider = PAYMENT_PROVIDERS[paymentMethod];
-  const currency = provider ? provider.currencies[0] : 'USD';
+  let cur = currency || (provider ? provider.currencies[0] : 'USD');
+  if (cur === 'KSH') cur = 'KES';
 
-  if (currency === 'KES' || currency === 'KSH') return tierObj.KES;
-  return tierObj.USD;
+  const price = listPrice(tier, cur, { rates });
+  if (price) return price.amount;
+  if (priceBook()[String(tier || '').toUpperCase()]) throw new Error(`No ${cur} price for ${tier}: FX rate unavailable`);
+  return 0;
 }
 
 export { getTierPrice };
 
 /**
- * Return available VVIP/fixed packages metadata
+ * Return available VVIP/fixed packages metadata, priced in every price-book currency
  */
-export function getAvailablePackages() {
-  return {
-    SIGNUP: { id: 'SIGNUP', name: 'Signup Fee (One-time)', description: 'Activate analyze & core features', price: { KES: 150, USD: 1 }, currency: 'KES' },
-    PRO: { id: 'PRO', name: 'Pro Monthly', description: 'Enhanced analytics', price: { KES: 899, USD: 8.99 }, currency: 'KES' },
-    VVIP: { id: 'VVIP', name: 'VVIP Monthly', description: 'Unlimited AI analysis & alerts', price: { KES: 2699, USD: 29.99 }, currency: 'KES' },
-    PLUS: { id: 'PLUS', name: 'BETRIX Plus', description: 'Enterprise bundle', price: { KES: 8999, USD: 99.99 }, currency: 'KES' },
-    FIXED_BRONZE: { id: 'FIXED_BRONZE', name: 'Fixed Bronze', description: '5 fixed-odds tips / month', price: { KES: 499, USD: 4.99 }, currency: 'KES' },
-    FIXED_SILVER: { id: 'FIXED_SILVER', name: 'Fixed Silver', description: '15 fixed-odds tips / month', price: { KES: 1299, USD: 12.99 }, currency: 'KES' },
-    FIXED_GOLD: { id: 'FIXED_GOLD', name: 'Fixed Gold', description: '50 fixed-odds tips / month', price: { KES: 4499, USD: 44.99 }, currency: 'KES' }
+export function getAvailablePackages({ currency = 'KES', rates = DEFAULT_FX_RATES } = {}) {
+  const packages = {
+    SIGNUP: { id: 'SIGNUP', name: 'Signup Fee (One-time)', description: 'Activate analyze & core features' },
+    PRO: { id: 'PRO', name: 'Pro Monthly', description: 'Enhanced analytics' },
+    VVIP: { id: 'VVIP', name: 'VVIP Monthly', description: 'Unlimited AI analysis & alerts' },
+    PLUS: { id: 'PLUS', name: 'BETRIX Plus', description: 'Enterprise bundle' },
+    FIXED_BRONZE: { id: 'FIXED_BRONZE', name: 'Fixed Bronze', description: '5 fixed-odds tips / month' },
+    FIXED_SILVER: { id: 'FIXED_SILVER', name: 'Fixed Silver', description: '15 fixed-odds tips / month' },
+    FIXED_GOLD: { id: 'FIXED_GOLD', name: 'Fixed Gold', description: '50 fixed-odds tips / month' }
   };
+  const prices = priceList({ rates });
+  for (const [id, pkg] of Object.entries(packages)) {
+    pkg.price = prices[id];
+    pkg.currency = currency;
+    pkg.amount = listPrice(id, currency, { rates })?.amount ?? null;
+  }
+  return packages;
 }
 
 /**
  * Parse a pasted transaction message and extract common fields
- * Supports common M-Pesa / Till / PayPal plaintext confirmations
+ * Supports M-Pesa / Till / Airtel / PayPal plaintext confirmations (see lib/payment-sms.js)
  */
 export function parseTransactionMessage(text) {
   if (!text || typeof text !== 'string') return {};
 
-  const normalized = text.replace(/[\n\r]/g, ' ').trim();
-
-  // Try to extract amount
-  const amountMatch = normalized.match(/(?:Ksh|KES|KES\.|KES|USD|\$|\b)(\s?\d{1,3}(?:[.,]\d{1,2})?)/i);
-  let amount = null;
-  if (amountMatch) {
-    const num = amountMatch[1].replace(/[,]/g, '.').replace(/\s/g, '');
-    amount = parseFloat(num);
-  }
-
-  // Try to find reference tokens e.g., Ref, Reference, Till
-  const refMatch = normalized.match(/(?:Ref(?:erence)?|Reference|Till|Trx|Transaction|Receipt)[:\s]*([A-Z0-9-]{3,32})/i);
-  const reference = refMatch ? refMatch[1] : null;
-
-  // Try to find phone number
-  const phoneMatch = normalized.match(/(\+?2547\d{8}|07\d{8}|\+?\d{9,15})/);
-  const phone = phoneMatch ? phoneMatch[1] : null;
-
-  // Transaction id (alphanumeric token)
-  const txIdMatch = normalized.match(/\b([A-Z0-9]{6,20})\b/);
-  const transactionId = txIdMatch ? txIdMatch[1] : null;
-
-  return { raw: text, normalized, amount, reference, phone, transactionId };
+  const parsed = parseConfirmationSms(text);
+  return {
+    ...parsed,
+    raw: text,
+    reference: parsed.account || parsed.receipt,
+    transactionId: parsed.receipt
+  };
 }
 
 /**
  * Attempt to verify payment by inspecting a pasted transaction message.
- * Strategy:
- *  - If reference present, lookup mapping payment:by_provider_ref across providers
- *  - If phone present, lookup payment:by_phone
- *  - Otherwise check user's pending order and compare amounts
+ * The message is scored against the user's pending orders (PaymentSmsVerifier);
+ * confident matches are activated, weaker ones wait for admin review.
+ * @returns activation result, or { success: false, pendingReview: true, reviewId, message }
  */
 export async function verifyPaymentFromMessage(redis, userId, text) {
-  const parsed = parseTransactionMessage(text);
-  const { reference, phone, amount, transactionId } = parsed;
-
-  // 1) Reference lookup across providers
-  if (reference) {
-    for (const key of Object.keys(PAYMENT_PROVIDERS)) {
-      try {
-        const oid = await redis.get(`payment:by_provider_ref:${key}:${reference}`);
-        if (oid) {
-          // Use reference as transactionId if none
-          const tx = transactionId || reference;
-          return await verifyAndActivatePayment(redis, oid, tx);
-        }
-      } catch (e) {
-        // ignore individual provider lookup failures
-      }
-    }
-  }
+  // Imported lazily: the verifier builds on this module
+  const { PaymentSmsVerifier } = await import('../services/payment-sms-verifier.js');
+  const result = await new PaymentSmsVerifier(redis).verify(userId, text);
 
-  // 2) Phone lookup
-  if (phone) {
-    const phoneNorm = String(phone).replace(/\+|\s|-/g, '');
-    const oid = await redis.get(`payment:by_phone:${phoneNorm}`);
-    if (oid) {
-      const tx = transactionId || (`PHONE-${Date.now()}`);
-      return await verifyAndActivatePayment(redis, oid, tx);
-    }
+  if (result.status === 'activated') return result.activation;
+  if (result.status === 'review') {
+    return { success: false, pendingReview: true, reviewId: result.reviewId, message: result.message };
   }
-
-  // 3) Check user's pending order and match by amount tolerance
-  const pending = await redis.get(`payment:by_user:${userId}:pending`);
-  if (pending) {
-    const orderRaw = await redis.get(`payment:order:${pending}`);
-    if (orderRaw) {
-      const order = JSON.parse(orderRaw);
-      // Compare amounts (allow small rounding differences)
-      if (amount && Math.abs(Number(order.totalAmount) - Number(amount)) <= 1) {
-        const tx = transactionId || (`MSG-${Date.now()}`);
-        return await verifyAndActivatePayment(redis, pending, tx);
-      }
-    }
-  }
-
-  throw new Error('Could not match the pasted transaction to any pending order. Please ensure your payment included the reference or pay the exact amount shown in the payment instructions.');
+  throw new Error(result.message);
 }
 
 export default {
@@ -905,6 +1326,11 @@ export default {
   createCustomPaymentOrder,
   getPaymentInstructions,
   verifyAndActivatePayment,
+  getOrder,
+  getPendingOrder,
+  recordProviderRef,
+  failOrder,
+  findOrderByTransaction,
   getTierPrice,
   parseTransactionMessage,
   verifyPaymentFromMessage
@@ -3,7 +3,13 @@
  */
 
 import { Logger } from '../utils/logger.js';
-import { verifyAndActivatePayment } from './payment-router.js';
+import { verifyAndActivatePayment, getOrder, getPendingOrder, findOrderByTransaction } from './payment-router.js';
+import { darajaResult } from '../lib/daraja-client.js';
+import { verifyBinanceSignature, binanceSignatureHeaders, binanceWebhookData, binanceBizId } from '../lib/binance-pay-client.js';
+import { MpesaStkService } from '../services/mpesa-stk.js';
+import { RefundService, refundableAmount } from '../services/refund-service.js';
+import { createDarajaAdapter } from '../adapters/payment-daraja.js';
+import { createLipanaAdapter } from '../adapters/payment-lipana.js';
 import crypto from 'crypto';
 import fetch from 'node-fetch';
 import { sendAdminNotification } from '../services/notifier.js';
@@ -27,12 +33,28 @@ async function alertAdmin(bot, subject, details = {}) {
   }
 }
 /**
- * Handle M-Pesa STK Push callback
+ * Ask the gateway that sent an STK push (Daraja STK query or Lipana) how it ended
+ * @returns {{ status: success|failed|pending|unknown, amount, reason }}
  */
-export async function handleMpesaCallback(req, redis, bot) {
+async function confirmStkPayment(order, checkoutId, adapters = {}) {
+  const gateway = order.gateway === 'DARAJA' ? 'DARAJA' : 'LIPANA';
+  const adapter = adapters[gateway] || (gateway === 'DARAJA' ? createDarajaAdapter() : createLipanaAdapter());
+  return adapter.lookup({ ...order, providerRef: checkoutId });
+}
+
+/**
+ * Handle M-Pesa STK Push callback.
+ * Daraja does not sign its callbacks, so the CheckoutRequestID must belong to
+ * one of our pushes and the push is confirmed with the gateway before the order
+ * is activated. Only a callback signed with MPESA_WEBHOOK_SECRET may fall back
+ * to the phone or receipt mappings.
+ * @param {Object} opts - { adapters: { DARAJA, LIPANA } } reconciliation adapters used to confirm the push
+ */
+export async function handleMpesaCallback(req, redis, bot, { adapters = {} } = {}) {
   try {
     // Optional signature validation
     const MPESA_SECRET = process.env.MPESA_WEBHOOK_SECRET || process.env.PAYMENT_WEBHOOK_SECRET || null;
+    const signed = Boolean(MPESA_SECRET);
     if (MPESA_SECRET) {
       const sig = req.headers['x-signature'] || req.headers['x-mpesa-signature'];
       if (!verifySignature(req, MPESA_SECRET, sig)) {
@@ -42,7 +64,18 @@ export async function handleMpesaCallback(req, redis, bot) {
     }
 
     const { Body } = req.body;
-    const result = Body?.stkCallback?.CallbackMetadata;
+    const callback = Body?.stkCallback;
+    if (!callback) {
+      logger.warn('M-Pesa callback missing stkCallback');
+      return { success: false, message: 'invalid payload' };
+    }
+
+    // Declined, cancelled or expired prompts carry no metadata; settle the order and tell the user why
+    if (Number(callback.ResultCode) !== 0) {
+      return await handleMpesaFailure(callback, redis, bot);
+    }
+
+    const result = callback.CallbackMetadata;
     if (!result || !result.Item) {
       logger.warn('M-Pesa callback missing metadata');
       return { success: false, message: 'invalid payload' };
@@ -66,65 +99,73 @@ export async function handleMpesaCallback(req, redis, bot) {
       phoneNumber
     });
 
-    // Find order by phone or transaction reference
-    const orderResultCode = Body.stkCallback.ResultCode;
+    // Find order by checkout id; signed callbacks may also use the phone or receipt
+    try {
+      const normalizedPhone = String(phoneNumber || '').replace(/\s|\+|-/g, '');
+      let orderId = null;
+      if (callback.CheckoutRequestID) {
+        orderId = await redis.get(`payment:by_provider_ref:MPESA:${callback.CheckoutRequestID}`);
+      }
+      if (!orderId && signed && normalizedPhone) {
+        orderId = await redis.get(`payment:by_phone:${normalizedPhone}`);
+      }
 
-    if (orderResultCode === 0) {
-      // Try quick lookup by phone
-      try {
-        const normalizedPhone = String(phoneNumber || '').replace(/\s|\+|-/g, '');
-        let orderId = null;
-        if (normalizedPhone) {
-          orderId = await redis.get(`payment:by_phone:${normalizedPhone}`);
-        }
+      // Fallback: try provider ref mapping (MPESA receipt)
+      if (!orderId && signed && mpesaReceiptNumber) {
+        orderId = await redis.get(`payment:by_provider_ref:MPESA:${mpesaReceiptNumber}`);
+      }
 
-        // Fallback: try provider ref mapping (MPESA receipt)
-        if (!orderId && mpesaReceiptNumber) {
-          orderId = await redis.get(`payment:by_provider_ref:MPESA:${mpesaReceiptNumber}`);
-        }
+      // Resolve order by quick mappings only (checkout id, phone or provider reference)
+      if (!orderId) {
+        logger.warn('No quick mapping found for M-Pesa payment', { amount, phoneNumber });
+        await alertAdmin(bot, 'M-Pesa mapping not found', { amount, phoneNumber, mpesaReceiptNumber, Body: Body?.stkCallback });
+        return { success: false, message: 'Order mapping not found' };
+      }
 
-        // Resolve order by quick mappings only (phone or provider reference)
-        if (!orderId) {
-          logger.warn('No quick mapping found for M-Pesa payment', { amount, phoneNumber });
-          await alertAdmin(bot, 'M-Pesa mapping not found', { amount, phoneNumber, mpesaReceiptNumber, Body: Body?.stkCallback });
-          return { success: false, message: 'Order mapping not found' };
-        }
+      const foundData = await getOrder(redis, orderId);
+      if (!foundData) {
+        logger.warn('Mapped order id not found in storage', { orderId });
+        return { success: false, message: 'Order not found' };
+      }
 
-        const raw = await redis.get(`payment:order:${orderId}`);
-        if (!raw) {
-          logger.warn('Mapped order id not found in storage', { orderId });
-          return { success: false, message: 'Order not found' };
-        }
+      // The callback itself proves nothing: the gateway has to report the push as paid
+      const checkoutId = callback.CheckoutRequestID || foundData.providerRef;
+      if (!checkoutId) return { success: false, message: 'Payment cannot be confirmed' };
+      const confirmed = await confirmStkPayment(foundData, checkoutId, adapters);
+      if (confirmed.status === 'failed') {
+        logger.warn('M-Pesa callback not confirmed by gateway', { orderId, checkoutId, reason: confirmed.reason });
+        return { success: false, message: 'Payment not confirmed by provider' };
+      }
+      if (confirmed.status !== 'success') return { success: false, error: `M-Pesa payment ${checkoutId} not confirmed yet (${confirmed.status})` };
+      if (Number.isFinite(confirmed.amount) && confirmed.amount + 1 < Number(foundData.totalAmount)) {
+        await alertAdmin(bot, 'M-Pesa STK underpayment', { orderId, checkoutId, amount: confirmed.amount, expected: foundData.totalAmount });
+        return { success: false, message: 'Amount below order total' };
+      }
 
-        const foundData = JSON.parse(raw);
-        const subscription = await verifyAndActivatePayment(redis, orderId, mpesaReceiptNumber);
+      const subscription = await verifyAndActivatePayment(redis, orderId, mpesaReceiptNumber);
 
-        if (subscription && foundData.userId) {
-          await bot.sendMessage(foundData.userId, `✅ *M-Pesa Payment Confirmed*\n\nAmount: KES ${amount}\nReceipt: ${mpesaReceiptNumber}\n\nYour ${subscription.tier} subscription is now active!`, { parse_mode: 'Markdown' });
-        }
+      if (subscription && foundData.userId) {
+        await bot.sendMessage(foundData.userId, `✅ *M-Pesa Payment Confirmed*\n\nAmount: KES ${amount}\nReceipt: ${mpesaReceiptNumber}\n\nYour ${subscription.tier} subscription is now active!`, { parse_mode: 'Markdown' });
+      }
 
-        // Update payments table if present
-        try {
-          const connStr = process.env.DATABASE_URL || null;
-          if (connStr) {
-            const { Pool } = await import('pg');
-            const pool = new Pool({ connectionString: connStr, ssl: { rejectUnauthorized: false } });
-            const upd = `UPDATE payments SET status = 'success', tx_id = $1, updated_at = now() WHERE (metadata->>'provider_checkout_id') = $2 OR tx_ref = $3`;
-            await pool.query(upd, [mpesaReceiptNumber, mpesaReceiptNumber, orderId]);
-            try { await pool.end(); } catch (e) { void e; }
-          }
-        } catch (ee) {
-          logger.warn('Failed to update payments table after MPESA activation', ee?.message || String(ee));
+      // Update payments table if present
+      try {
+        const connStr = process.env.DATABASE_URL || null;
+        if (connStr) {
+          const { Pool } = await import('pg');
+          const pool = new Pool({ connectionString: connStr, ssl: { rejectUnauthorized: false } });
+          const upd = `UPDATE payments SET status = 'success', tx_id = $1, updated_at = now() WHERE (metadata->>'provider_checkout_id') = $2 OR tx_ref = $3`;
+          await pool.query(upd, [mpesaReceiptNumber, mpesaReceiptNumber, orderId]);
+          try { await pool.end(); } catch (e) { void e; }
         }
-
-        return { success: true, message: 'Payment processed' };
-      } catch (err) {
-        logger.error('Error processing M-Pesa callback', err);
-        return { success: false, error: err.message };
+      } catch (ee) {
+        logger.warn('Failed to update payments table after MPESA activation', ee?.message || String(ee));
       }
-    } else {
-      logger.warn('M-Pesa payment failed:', { result: orderResultCode });
-      return { success: false, message: 'Payment failed' };
+
+      return { success: true, message: 'Payment processed' };
+    } catch (err) {
+      logger.error('Error processing M-Pesa callback', err);
+      return { success: false, error: err.message };
     }
   } catch (error) {
     logger.error('M-Pesa callback error:', error);
@@ -132,6 +173,76 @@ export async function handleMpesaCallback(req, redis, bot) {
   }
 }
 
+/**
+ * Failed STK result: close the pending order with the mapped reason
+ * (cancelled, timeout, insufficient_funds, ...) and send the user a status
+ */
+async function handleMpesaFailure(callback, redis, bot) {
+  const { reason } = darajaResult(callback);
+  logger.warn('M-Pesa payment failed:', { result: callback.ResultCode, reason, checkoutId: callback.CheckoutRequestID });
+  const orderId = callback.CheckoutRequestID ? await redis.get(`payment:by_provider_ref:MPESA:${callback.CheckoutRequestID}`) : null;
+  const order = orderId ? await getPendingOrder(redis, orderId) : null;
+  if (!order) return { success: false, message: 'Payment failed' };
+  const settled = await new MpesaStkService(redis, { telegram: bot }).settle(order, reason);
+  return { success: true, message: settled ? `Payment ${reason}` : 'Order already processed' };
+}
+
+// C2B payments can land a little after the confirmation; look back this far before the order
+const C2B_LOOKBACK_MS = 5 * 60 * 1000;
+
+const normalizeRef = (ref) => String(ref || '').trim().toUpperCase();
+
+/**
+ * Handle a Daraja C2B confirmation (paybill/till payment made from the M-Pesa
+ * menu, URLs registered with DarajaClient.registerC2BUrls). BillRefNumber is
+ * the account number the customer typed: an order id or a till reference.
+ *
+ * The confirmation is unsigned, so the order is only activated for a TransID
+ * that Pull Transactions lists for our shortcode, with that record's amount
+ * and account number. A payment not listed yet is retried by the pipeline.
+ * @param {Object} opts - { adapters: { DARAJA } } reconciliation adapter used to confirm the payment
+ */
+export async function handleMpesaC2BConfirmation(req, redis, bot, { adapters = {} } = {}) {
+  try {
+    const { TransID, TransAmount, BillRefNumber, MSISDN } = req.body || {};
+    if (!TransID) return { success: false, message: 'invalid payload' };
+    const ref = String(BillRefNumber || '').trim();
+    let orderId = ref ? await redis.get(`payment:by_provider_ref:SAFARICOM_TILL:${ref}`) : null;
+    if (!orderId && ref) orderId = await redis.get(`payment:by_provider_ref:MPESA:${ref}`);
+    const order = await getPendingOrder(redis, orderId || ref);
+    if (!order) {
+      logger.warn('No order found for M-Pesa C2B payment', { TransID, BillRefNumber });
+      await alertAdmin(bot, 'M-Pesa C2B mapping not found', { TransID, TransAmount, BillRefNumber, MSISDN });
+      return { success: false, message: 'Order mapping not found' };
+    }
+
+    const since = (Date.parse(order.createdAt) || Date.now()) - C2B_LOOKBACK_MS;
+    const payments = await (adapters.DARAJA || createDarajaAdapter()).listPayments({ since, until: Date.now() });
+    const payment = payments.find(p => String(p.providerRef) === String(TransID));
+    if (!payment) {
+      logger.warn('M-Pesa C2B payment not listed by Daraja', { TransID, orderId: order.orderId });
+      return { success: false, error: `M-Pesa payment ${TransID} not confirmed by Daraja` };
+    }
+    if (payment.reference && ![normalizeRef(ref), normalizeRef(order.orderId), normalizeRef(order.providerRef)].includes(normalizeRef(payment.reference))) {
+      await alertAdmin(bot, 'M-Pesa C2B reference mismatch', { TransID, BillRefNumber, listedReference: payment.reference, orderId: order.orderId });
+      return { success: false, message: 'Payment reference does not match the order' };
+    }
+    const amount = Number.isFinite(payment.amount) ? payment.amount : Number(TransAmount);
+    if (amount + 1 < Number(order.totalAmount)) {
+      await alertAdmin(bot, 'M-Pesa C2B underpayment', { TransID, TransAmount: amount, orderId: order.orderId, expected: order.totalAmount });
+      return { success: false, message: 'Amount below order total' };
+    }
+    const subscription = await verifyAndActivatePayment(redis, order.orderId, TransID);
+    if (subscription && order.userId && bot) {
+      await bot.sendMessage(order.userId, `✅ *M-Pesa Payment Confirmed*\n\nAmount: KES ${amount}\nReceipt: ${TransID}\n\nYour ${subscription.tier} subscription is now active!`, { parse_mode: 'Markdown' });
+    }
+    return { success: true, message: 'Payment processed' };
+  } catch (error) {
+    logger.error('M-Pesa C2B confirmation error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Handle Safaricom Till payment confirmation
  * This would typically come from Safaricom's API
@@ -190,13 +301,12 @@ export async function handleSafaricomTillCallback(req, redis, bot) {
           return { success: false, message: 'Order mapping not found' };
         }
 
-        const raw = await redis.get(`payment:order:${orderId}`);
-        if (!raw) {
+        const foundData = await getOrder(redis, orderId);
+        if (!foundData) {
           logger.warn('Mapped till order id not found in storage', { orderId });
           return { success: false, message: 'Order not found' };
         }
 
-        const foundData = JSON.parse(raw);
         const subscription = await verifyAndActivatePayment(redis, orderId, transaction_id);
 
         if (subscription && foundData.userId) {
@@ -308,6 +418,10 @@ export async function handlePayPalWebhook(req, redis, bot) {
       }
     }
 
+    if (PAYPAL_REVERSAL_EVENTS.includes(event.event_type)) {
+      return await handlePayPalReversal(event, redis, bot);
+    }
+
     return { success: true, message: 'Event received' };
   } catch (error) {
     logger.error('PayPal webhook error:', error);
@@ -315,46 +429,130 @@ export async function handlePayPalWebhook(req, redis, bot) {
   }
 }
 
+const PAYPAL_REVERSAL_EVENTS = ['PAYMENT.CAPTURE.REFUNDED', 'PAYMENT.CAPTURE.REVERSED', 'CUSTOMER.DISPUTE.CREATED', 'CUSTOMER.DISPUTE.RESOLVED'];
+
+/**
+ * Capture id a PayPal refund or dispute refers to: refunds link to their
+ * capture ("up"), disputes list the seller transaction
+ */
+export function paypalCaptureId(resource = {}) {
+  const up = (resource.links || []).find(l => l.rel === 'up' && /\/captures\//.test(l.href || ''));
+  if (up) return up.href.split('/captures/')[1].split(/[/?]/)[0];
+  const disputed = (resource.disputed_transactions || [])[0];
+  return disputed?.seller_transaction_id || resource.capture_id || null;
+}
+
+/**
+ * Refunds, reversals (chargebacks) and disputes on a PayPal capture
+ */
+async function handlePayPalReversal(event, redis, bot) {
+  const resource = event.resource || {};
+  const captureId = paypalCaptureId(resource);
+  const order = await findOrderByTransaction(redis, captureId);
+  if (!order) {
+    logger.warn('PayPal reversal received but no order found', { event: event.event_type, captureId });
+    await alertAdmin(bot, 'PayPal reversal without order', { event: event.event_type, captureId, id: resource.id || resource.dispute_id });
+    return { success: false, message: 'Order mapping not found' };
+  }
+
+  const refunds = new RefundService(redis, { telegram: bot });
+  const money = resource.amount || resource.dispute_outcome?.amount_refunded || resource.dispute_amount || null;
+  // Amounts in another currency than the order cannot be prorated; reverse what is left
+  const amount = money && money.currency_code === order.currency ? Math.min(Number(money.value), refundableAmount(order)) : null;
+
+  if (event.event_type === 'CUSTOMER.DISPUTE.CREATED') {
+    await refunds.dispute(order.orderId, { reference: resource.dispute_id, reason: resource.reason, amount });
+    return { success: true, message: 'Dispute recorded' };
+  }
+  if (event.event_type === 'CUSTOMER.DISPUTE.RESOLVED' && resource.dispute_outcome?.outcome_code !== 'RESOLVED_BUYER_FAVOUR') {
+    return { success: true, message: 'Dispute resolved in seller favour' };
+  }
+
+  if (!['completed', 'partially_refunded'].includes(order.status)) {
+    return { success: true, message: `Order already ${order.status}` };
+  }
+  const kind = event.event_type === 'PAYMENT.CAPTURE.REFUNDED' ? 'refund' : 'chargeback';
+  const result = await refunds.refund(order.orderId, {
+    amount,
+    kind,
+    reference: resource.dispute_id || resource.id || event.id,
+    reason: resource.reason || resource.status_details?.reason || event.event_type
+  });
+  return { success: true, message: result.duplicate ? 'Already processed' : `Order ${result.status}` };
+}
+
 /**
- * Handle Binance webhook
+ * Handle Binance Pay webhook (bizType PAY). Deliveries are signed like our
+ * requests (HMAC-SHA512 with BINANCE_PAY_SECRET over timestamp, nonce and body);
+ * the paid amount is settled against the order, so short payments leave it open
+ * and extra is credited to the user's account.
+ *
+ * The signature covers the body bytes Binance sent (`req.rawBody`); re-encoding
+ * the parsed body would round the numeric bizId. `req.verified` marks a stored
+ * event that already passed the check, so replaying it later is not refused
+ * for its old timestamp.
  */
 export async function handleBinanceWebhook(req, redis, bot) {
-  try {
-    const { data } = req.body;
+  const secret = process.env.BINANCE_PAY_SECRET || null;
+  if (!secret) return settleBinanceWebhook(req, redis, bot);
+
+  const body = req.rawBody ? String(req.rawBody) : JSON.stringify(req.body || {});
+  const check = verifyBinanceSignature({ ...binanceSignatureHeaders(req.headers), body }, secret, req.verified ? { toleranceMs: Infinity } : {});
+  if (!check.ok) {
+    logger.warn('Binance webhook signature rejected', check.reason);
+    return { success: false, message: `invalid signature: ${check.reason}` };
+  }
+  return { ...await settleBinanceWebhook(req, redis, bot), signatureVerified: true };
+}
 
-    if (data.status === 'SUCCESS') {
-      const { transactionId, totalFeeInUSD } = data;
-      
-      logger.info('Binance payment completed:', transactionId);
+async function settleBinanceWebhook(req, redis, bot) {
+  try {
+    const data = binanceWebhookData(req.body);
+    const bizStatus = req.body?.bizStatus || null;
+    if (bizStatus === 'PAY_CLOSED') return { success: false, message: 'Payment closed' };
+    if (bizStatus !== 'PAY_SUCCESS' && data.status !== 'SUCCESS') return { success: false, message: 'Payment not successful' };
+
+    const transactionId = data.transactionId || null;
+    const prepayId = binanceBizId(req.body, req.rawBody) || data.prepayId || null;
+    logger.info('Binance payment completed:', transactionId);
+
+    // Our order id is the merchantTradeNo; older deliveries only carry Binance's ids
+    let orderId = data.merchantTradeNo || null;
+    for (const ref of [prepayId, transactionId]) {
+      if (!orderId && ref) orderId = await redis.get(`payment:by_provider_ref:BINANCE:${ref}`);
+    }
+    const order = orderId ? await getOrder(redis, orderId) : null;
+    if (!order) {
+      logger.warn('No mapping found for Binance transaction', { transactionId, prepayId });
+      await alertAdmin(bot, 'Binance mapping not found', { transactionId, prepayId, merchantTradeNo: data.merchantTradeNo, totalFee: data.totalFee });
+      return { success: false, message: 'Order mapping not found' };
+    }
 
-      // try mapped order by provider ref
-      let subscription = null;
-      try {
-        const mapped = await redis.get(`payment:by_provider_ref:BINANCE:${transactionId}`);
-        if (mapped) {
-          try {
-            subscription = await verifyAndActivatePayment(redis, mapped, transactionId);
-          } catch (e) { logger.warn('verifyAndActivatePayment failed for mapped Binance order', e); subscription = null; }
-        } else {
-          logger.warn('No mapping found for Binance transaction', { transactionId });
-          await alertAdmin(bot, 'Binance mapping not found', { transactionId, totalFeeInUSD });
-          return { success: false, message: 'Order mapping not found' };
-        }
-      } catch (e) { /* ignore */ }
-      
+    const paid = data.totalFee ?? data.orderAmount;
+    const paidCurrency = data.currency || order.currency;
+    if (paid === undefined || paidCurrency !== order.currency) {
+      await alertAdmin(bot, 'Binance payment needs review', { orderId, paid, paidCurrency, due: order.totalAmount, currency: order.currency });
+      return { success: false, message: 'Payment amount needs review' };
+    }
 
-      if (subscription && subscription.telegramUserId) {
-        await bot.sendMessage(
-          subscription.telegramUserId,
-          `✅ *Binance Payment Confirmed*\n\nTransaction: ${transactionId}\n\nYour ${subscription.tier} subscription is now active!`,
-          { parse_mode: 'Markdown' }
-        );
-      }
+    const { CryptoPaymentService } = await import('../services/crypto-payments.js');
+    const result = await new CryptoPaymentService(redis, { telegram: bot, backends: {} }).settle(order, {
+      paid: Number(paid),
+      asset: paidCurrency,
+      reference: transactionId || prepayId
+    });
 
-      return { success: true, message: 'Payment processed' };
+    if (result.status === 'activated' && bot && order.userId) {
+      await bot.sendMessage(
+        order.userId,
+        `✅ *Binance Payment Confirmed*\n\nTransaction: ${transactionId}\n\n${result.message}`,
+        { parse_mode: 'Markdown' }
+      );
     }
 
-    return { success: false, message: 'Payment not successful' };
+    return result.status === 'activated'
+      ? { success: true, message: 'Payment processed', outcome: result.outcome }
+      : { success: false, message: `Underpaid: ${result.paid}/${result.due} ${paidCurrency}` };
   } catch (error) {
     logger.error('Binance webhook error:', error);
     return { success: false, error: error.message };
@@ -367,9 +565,8 @@ export async function handleBinanceWebhook(req, redis, bot) {
  */
 export async function verifyPaymentManual(req, redis, bot, orderId) {
   try {
-    const raw = await redis.get(`payment:order:${orderId}`);
-    if (!raw) return { success: false, error: 'Order not found' };
-    const orderData = JSON.parse(raw);
+    const orderData = await getOrder(redis, orderId);
+    if (!orderData) return { success: false, error: 'Order not found' };
 
     // For manual verification, ensure the order is at least a few seconds old
     const createdAt = new Date(orderData.createdAt).getTime();
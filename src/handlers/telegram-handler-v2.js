@@ -9,6 +9,17 @@
   this file explicitly and incrementally.
 */
 /* eslint-disable no-unused-vars, no-case-declarations, import/no-named-as-default-member */
+import { BetSettlementService, BetResult, formatResultLabel } from '../services/bet-settlement-service.js';
+import { BettingSlipService, decodeSelection, resolveMarketOdds, MARKET_LABELS } from '../services/betting-slip-service.js';
+import { TrackRecordService } from '../services/track-record-service.js';
+import { OddsHistoryService } from '../services/odds-history-service.js';
+import { OddsChartGenerator } from '../services/odds-chart-generator.js';
+import { BankrollService, modelProbability, combinedProbability, stakeOptions } from '../services/bankroll-service.js';
+import { SubscriptionLifecycleService } from '../services/subscription-lifecycle.js';
+import { EntitlementService } from '../services/entitlement-service.js';
+import { currencyForCountry, formatMoney } from '../lib/price-book.js';
+import { InvoiceService } from '../services/invoice-service.js';
+
 // Lightweight shims for missing helpers used across this large handler file.
 // These are intentionally minimal fallbacks to reduce lint noise while
 // we progressively restore full implementations. They are safe no-ops
@@ -69,8 +80,16 @@ const safeGetUserData = async (redis, key) => {
   try { const raw = await (redis && redis.get ? redis.get(key) : null); return raw ? JSON.parse(raw) : null; } catch (e) { return null; }
 };
 
+// Entitlement display tier -> label used by headers and upsell copy
+const TIER_LABELS = { free: 'FREE', member: 'PRO', vvip: 'VVIP' };
+
 const getUserSubscription = async (redis, userId) => {
-  try { const raw = await (redis && redis.hgetall ? redis.hgetall(`user:${userId}:profile`) : null); return (raw && raw.tier) ? { tier: raw.tier } : { tier: 'FREE' }; } catch (e) { return { tier: 'FREE' }; }
+  try {
+    const tier = await new EntitlementService(redis).tierOf(userId);
+    if (tier !== 'free') return { tier: TIER_LABELS[tier] };
+    const raw = await (redis && redis.hgetall ? redis.hgetall(`user:${userId}:profile`) : null);
+    return (raw && raw.tier) ? { tier: raw.tier } : { tier: 'FREE' };
+  } catch (e) { return { tier: 'FREE' }; }
 };
 
 // Normalizer stubs (real implementations live in src/services/normalizer.js)
@@ -132,15 +151,6 @@ async function getLiveMatchesBySport(sport, redis, sportsAggregator) {
       }
     } catch (e) { void e; }
 
-    if (sportsAggregator && typeof sportsAggregator._getLiveFromStatPal === 'function') {
-      try {
-        const statpal = await sportsAggregator._getLiveFromStatPal(sport, 'v1');
-        if (Array.isArray(statpal) && statpal.length > 0) return statpal;
-      } catch (e) {
-        logger.debug('StatPal fetch failed', e?.message || String(e));
-      }
-    }
-
     const demoEnabled = (process.env.DEMO_FALLBACK === 'true' || process.env.FORCE_DEMO_FALLBACK === '1');
     if (demoEnabled) {
       logger.info('Returning demo fallback matches');
@@ -170,6 +180,12 @@ export async function handleMessage(update, redis, services) {
       return { method: 'sendMessage', chat_id: chatId, text: payload.text, reply_markup: payload.reply_markup, parse_mode: 'Markdown' };
     }
 
+    if (text && text.startsWith('/record')) {
+      const trackRecord = (services && services.trackRecord) || new TrackRecordService(redis, { sportsAggregator: services && services.sportsAggregator });
+      const report = await trackRecord.getReport();
+      return { method: 'sendMessage', chat_id: chatId, text: trackRecord.formatReport(report), parse_mode: 'Markdown' };
+    }
+
     return { method: 'sendMessage', chat_id: chatId, text: 'Send /live to view live soccer matches.' };
   } catch (e) {
     logger.warn('handleMessage error', e?.message || String(e));
@@ -576,6 +592,11 @@ export async function handleCallbackQuery(callbackQuery, redis, services) {
       return handleSportCallback(data, chatId, userId, redis, services);
     }
 
+    // One-tap renewal from an expiry reminder: sub_renew_{tier}
+    if (data.startsWith('sub_renew_')) {
+      return handleSubscriptionRenew(data.replace('sub_renew_', ''), chatId, userId, redis, services);
+    }
+
     if (data.startsWith('sub_')) {
       return handleSubscriptionCallback(data, chatId, userId, redis, services);
     }
@@ -657,24 +678,19 @@ export async function handleCallbackQuery(callbackQuery, redis, services) {
       return handlePaymentMethodSelection(data, chatId, userId, redis, services);
     }
 
-    // Handle quick bet start
-    if (data.startsWith('bet_fixture_')) {
-      return handleBetCreate(data, chatId, userId, redis, services);
+    // Accumulator slip builder
+    if (data.startsWith('slip_')) {
+      return handleSlipCallback(data, chatId, userId, redis, services);
     }
 
-    // Handle bet placement confirmation
-    if (data.startsWith('place_bet_')) {
-      return handlePlaceBet(data, chatId, userId, redis, services);
-    }
-    
-    // Handle bet stake edit selection
-    if (data.startsWith('edit_bet_')) {
-      return handleEditBet(data, chatId, userId, redis);
+    // Line-movement chart for a fixture: odds_chart_{fixtureId}
+    if (data.startsWith('odds_chart_')) {
+      return handleOddsChart(data.replace('odds_chart_', ''), chatId, redis, services);
     }
 
-    // Handle stake set callbacks: set_bet_{betId}_{amount}
-    if (data.startsWith('set_bet_')) {
-      return handleSetBetStake(data, chatId, userId, redis);
+    // Quick bet, stake picker and placement: bet_fixture_, edit_bet_, set_bet_, place_bet_
+    if (BET_CALLBACK_PREFIXES.some(prefix => data.startsWith(prefix))) {
+      return handleBetCallback(data, chatId, userId, redis, services);
     }
 
     // Acknowledge callback
@@ -718,7 +734,7 @@ async function handleMenuCallback(data, chatId, userId, redis) {
     } else if (data === 'menu_news') {
       menu = { text: '📰 *Latest News*\n\nLoading latest sports news...', reply_markup: mainMenu.reply_markup };
     } else if (data === 'menu_profile') {
-      menu = { text: `👤 *Your Profile*\n\n*Name:* ${userData.name || 'BETRIX User'}\n*Tier:* ${tier}\n*Points:* ${userData.points || 0}`, reply_markup: { inline_keyboard: [[{ text: '🔙 Back', callback_data: 'menu_main' }]] } };
+      menu = { text: `👤 *Your Profile*\n\n*Name:* ${userData.name || 'BETRIX User'}\n*Tier:* ${tier}\n*Points:* ${userData.points || 0}`, reply_markup: { inline_keyboard: [[{ text: '💰 My Bets', callback_data: 'profile_bets' }, { text: '🏦 Bankroll', callback_data: 'profile_bankroll' }], [{ text: '🧾 Receipts', callback_data: 'profile_receipts' }, { text: '🔙 Back', callback_data: 'menu_main' }]] } };
     } else if (data === 'menu_vvip') {
       menu = subscriptionMenu;
     } else if (data === 'menu_help') {
@@ -1132,8 +1148,9 @@ async function handleMatchCallback(data, chatId, userId, redis, services) {
 
     const keyboard = [
       [{ text: '🤖 Analyze Match', callback_data: validateCallbackData(`analyze_match_${leagueId || 'live'}_${idx}`) }],
+      [{ text: '➕ Add to Slip', callback_data: validateCallbackData(`slip_add_${m.id}`) }, { text: '🧾 View Slip', callback_data: 'slip_view' }],
       [{ text: `⭐ Fav ${homeLabel.split(' ')[0]}`, callback_data: validateCallbackData(`fav_add_${homeKey}`) }, { text: `⭐ Fav ${awayLabel.split(' ')[0]}`, callback_data: validateCallbackData(`fav_add_${awayKey}`) }],
-      [{ text: '📊 View Odds', callback_data: validateCallbackData(leagueId ? `league_odds_${leagueId}` : 'menu_odds') }],
+      [{ text: '📊 View Odds', callback_data: validateCallbackData(leagueId ? `league_odds_${leagueId}` : 'menu_odds') }, { text: '📈 Line Movement', callback_data: validateCallbackData(`odds_chart_${m.id}`) }],
       [{ text: '🔙 Back', callback_data: backData }]
     ];
 
@@ -1168,8 +1185,8 @@ async function handleAnalyzeMatch(data, chatId, userId, redis, services) {
 
     const agg = services.sportsAggregator;
 
-    // Step 1: get live matches from Football-Data (normalized)
-    const liveMatches = await agg._getLiveFromFootballData().catch(() => []);
+    // Step 1: get live matches from the live providers (normalized)
+    const liveMatches = await agg.getAllLiveMatches().catch(() => []);
     const match = (liveMatches || []).find(m => String(m.id) === String(matchId));
 
     if (!match) {
@@ -1256,13 +1273,82 @@ async function handleAnalyzeMatch(data, chatId, userId, redis, services) {
 
     analysisText += `\n_Data from Football-Data & SportMonks_`;
 
-    return { method: 'editMessageText', chat_id: chatId, message_id: undefined, text: analysisText, parse_mode: 'Markdown' };
+    return {
+      method: 'editMessageText',
+      chat_id: chatId,
+      message_id: undefined,
+      text: analysisText,
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: [[{ text: '➕ Add to Slip', callback_data: validateCallbackData(`slip_add_${match.id}`) }, { text: '🧾 View Slip', callback_data: 'slip_view' }]] }
+    };
   } catch (e) {
     logger.error('handleAnalyzeMatch error', e);
     return { method: 'sendMessage', chat_id: chatId, text: '❌ Analysis failed. Please try again.', parse_mode: 'Markdown' };
   }
 }
 
+/**
+ * Renewal STK push for the tier named in an expiry reminder
+ */
+async function handleSubscriptionRenew(tier, chatId, userId, redis, services = {}) {
+  try {
+    const { createPaymentOrder } = await import('./payment-router.js');
+    const lifecycle = services.subscriptionLifecycle || new SubscriptionLifecycleService(redis, { createOrder: createPaymentOrder });
+    const result = await lifecycle.renew(userId, tier);
+    if (!result.ok && result.reason === 'no_phone') {
+      return { method: 'sendMessage', chat_id: chatId, text: '📱 Please send your M-Pesa phone number first (e.g. 2547XXXXXXXX) so we can send the renewal prompt.', parse_mode: 'Markdown' };
+    }
+    if (!result.ok) {
+      return { method: 'sendMessage', chat_id: chatId, text: '❌ Could not start the M-Pesa renewal. Please try again or pick a plan manually.', parse_mode: 'Markdown', reply_markup: { inline_keyboard: [[{ text: '💎 View Plans', callback_data: 'menu_vvip' }]] } };
+    }
+    return {
+      method: 'sendMessage',
+      chat_id: chatId,
+      text: `🔁 *Renewing ${tier}*\n\nAn M-Pesa prompt for KES ${result.order.totalAmount} has been sent to your phone. Enter your PIN to confirm — your new period starts when the current one ends.\n\nOrder: \`${result.order.orderId}\``,
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: [[{ text: '✅ Verify Payment', callback_data: validateCallbackData(`verify_payment_${result.order.orderId}`) }]] }
+    };
+  } catch (err) {
+    logger.error('handleSubscriptionRenew error', err);
+    return { method: 'sendMessage', chat_id: chatId, text: '❌ Renewal failed. Try again later.', parse_mode: 'Markdown' };
+  }
+}
+
+/**
+ * Send the line-movement chart for a fixture as an SVG document
+ */
+export async function handleOddsChart(fixtureId, chatId, redis, services) {
+  try {
+    const oddsHistory = (services && services.oddsHistory) || new OddsHistoryService(redis);
+    const match = await lookupSlipMatch(fixtureId, redis, services).catch(() => null);
+    const key = await oddsHistory.resolveFixtureKey(match || { id: fixtureId });
+    const history = key ? await oddsHistory.getHistory(key, { market: '1X2' }) : null;
+    if (!history || history.points.length === 0) {
+      return { method: 'answerCallbackQuery', text: '📈 No odds movement recorded for this match yet.', show_alert: true };
+    }
+
+    const movement = oddsHistory.summarizeMovement(history);
+    const book = OddsChartGenerator.pickBookmaker(history.points);
+    const lines = Object.entries(movement[book] || {}).map(([sel, s]) => `${sel}: ${s.open.toFixed(2)} → ${s.latest.toFixed(2)} (${s.changePct > 0 ? '+' : ''}${s.changePct}%)`);
+    const home = history.home || (match && match.home) || 'Home';
+    const away = history.away || (match && match.away) || 'Away';
+    return {
+      method: 'sendDocument',
+      chat_id: chatId,
+      document: {
+        filename: `line-movement-${key}.svg`,
+        content: OddsChartGenerator.generateLineMovementSVG({ ...history, home, away }, { bookmaker: book, now: Date.now() }),
+        contentType: 'image/svg+xml'
+      },
+      caption: `📈 *${home}* vs *${away}* — 1X2 line movement (${book})\n${lines.join('\n')}`,
+      parse_mode: 'Markdown'
+    };
+  } catch (e) {
+    logger.error('handleOddsChart error', e);
+    return { method: 'sendMessage', chat_id: chatId, text: '❌ Could not build the odds chart. Please try again.', parse_mode: 'Markdown' };
+  }
+}
+
 /**
  * Show fixtures or quick info for a favorite team (fav_view_{team})
  */
@@ -1323,16 +1409,18 @@ async function handleFavoriteView(data, chatId, userId, redis, services) {
 }
 
 /**
- * Return VVIP fixed matches (requires VVIP access)
+ * Return fixed matches. VVIP/PLUS see every pick; Fixed packs spend one tip
+ * from their monthly quota per pick revealed for the first time.
  */
 async function handleVvipFixedMatches(chatId, userId, redis, services) {
   try {
-    const subscription = await getUserSubscription(redis, userId).catch(() => ({ tier: 'FREE' }));
-    if (!subscription || (subscription.tier !== 'VVIP' && subscription.tier !== 'PLUS')) {
+    const entitlements = (services && services.entitlements) || new EntitlementService(redis);
+    const access = await entitlements.check(userId, 'fixed_tips');
+    if (!access.quota && !access.allowed) {
       return {
         method: 'sendMessage',
         chat_id: chatId,
-        text: '🔒 Fixed Matches are available for VVIP subscribers only. Upgrade to access.',
+        text: '🔒 Fixed Matches are available for VVIP subscribers and Fixed-odds packs. Upgrade to access.',
         parse_mode: 'Markdown',
         reply_markup: { inline_keyboard: [[{ text: '👑 Upgrade to VVIP', callback_data: 'menu_vvip' }, { text: '🔙 Back', callback_data: 'menu_main' }]] }
       };
@@ -1347,15 +1435,40 @@ async function handleVvipFixedMatches(chatId, userId, redis, services) {
       return { method: 'sendMessage', chat_id: chatId, text: 'No fixed matches available at the moment.', parse_mode: 'Markdown' };
     }
 
-    let text = `👑 *VVIP Fixed Matches*\n\n`;
-    fixed.slice(0, 8).forEach((f, i) => {
+    // Quota'd packs: picks already revealed stay visible, new ones cost a tip each
+    const picks = fixed.slice(0, 8);
+    let shown = picks;
+    let locked = 0;
+    let remaining = access.remaining;
+    if (access.quota !== null) {
+      const seenKey = `user:${userId}:fixed_tips:seen`;
+      const seen = new Set(await redis.smembers(seenKey).catch(() => []));
+      shown = [];
+      for (const f of picks) {
+        const tipId = `${f.home}|${f.away}|${f.market}|${f.pick}`;
+        if (seen.has(tipId)) { shown.push(f); continue; }
+        const spent = await entitlements.consume(userId, 'fixed_tips');
+        if (!spent.ok) { locked += 1; continue; }
+        remaining = spent.remaining;
+        await redis.sadd(seenKey, tipId);
+        await redis.expire(seenKey, 45 * 24 * 60 * 60).catch(() => {});
+        shown.push(f);
+      }
+    }
+
+    let text = `👑 *Fixed Matches*\n\n`;
+    shown.forEach((f, i) => {
       text += `${i + 1}. *${f.home}* vs *${f.away}* — ${f.market} ${f.pick} (Confidence: ${f.confidence}% | Odds: ${f.odds})\n`;
       if (f.reason) text += `   • ${f.reason}\n`;
     });
+    if (locked) text += `\n🔒 ${locked} more pick${locked === 1 ? '' : 's'} — your monthly tip quota is used up.\n`;
+    if (access.quota !== null) text += `\n🎟️ Tips left this period: *${remaining}/${access.quota}*\n`;
 
-    text += `\n⚠️ Fixed matches are curated for VVIP users. Bet responsibly.`;
+    text += `\n⚠️ Fixed matches are curated picks. Bet responsibly.`;
 
-    return { method: 'sendMessage', chat_id: chatId, text, parse_mode: 'Markdown' };
+    const reply = { method: 'sendMessage', chat_id: chatId, text, parse_mode: 'Markdown' };
+    if (locked) reply.reply_markup = { inline_keyboard: [[{ text: '👑 Upgrade to VVIP', callback_data: 'menu_vvip' }, { text: '🔙 Back', callback_data: 'menu_main' }]] };
+    return reply;
   } catch (e) {
     logger.error('handleVvipFixedMatches error', e);
     return { method: 'sendMessage', chat_id: chatId, text: 'Failed to load fixed matches.', parse_mode: 'Markdown' };
@@ -1367,8 +1480,8 @@ async function handleVvipFixedMatches(chatId, userId, redis, services) {
  */
 async function handleVvipAdvancedInfo(chatId, userId, redis, services) {
   try {
-    const subscription = await getUserSubscription(redis, userId).catch(() => ({ tier: 'FREE' }));
-    if (!subscription || (subscription.tier !== 'VVIP' && subscription.tier !== 'PLUS')) {
+    const entitlements = (services && services.entitlements) || new EntitlementService(redis);
+    if (!(await entitlements.has(userId, 'premium'))) {
       return {
         method: 'sendMessage',
         chat_id: chatId,
@@ -1528,64 +1641,41 @@ async function handleFavoriteCallback(data, chatId, userId, redis) {
     return { method: 'answerCallbackQuery', callback_query_id: undefined, text: 'Failed to update favorites', show_alert: true };
   }
 }
-async function createBetslip(redis, userId, fixtureId, fixtureText) {
-  const id = `BETS${userId}${Date.now()}`;
-  const bet = {
-    id,
-    userId,
-    fixtureId,
-    fixtureText,
-    stake: 100,
-    selection: 'home',
-    createdAt: new Date().toISOString()
-  };
-  // store for 1 hour
-  await redis.setex(`betslip:${id}`, 3600, JSON.stringify(bet));
-  return bet;
-}
-
-async function handleBetCreate(data, chatId, userId, redis, services) {
-  try {
-    const fixtureId = data.replace('bet_fixture_', '');
+export const BET_CALLBACK_PREFIXES = ['bet_fixture_', 'place_bet_', 'edit_bet_', 'set_bet_'];
 
-    // Try to resolve fixture info via apiFootball if available
-    let fixtureText = `Fixture ${fixtureId}`;
-    try {
-      if (services && services.apiFootball && typeof services.apiFootball.getFixture === 'function') {
-        const res = await services.apiFootball.getFixture(fixtureId);
-        const f = res?.response?.[0];
-        if (f) fixtureText = `${f.teams?.home?.name || 'Home'} vs ${f.teams?.away?.name || 'Away'}`;
-      }
-    } catch (e) {
-      logger.warn('Could not resolve fixture details', e);
-    }
+/**
+ * Quick bet and stake picker callbacks. Exported so the production callback
+ * handler can route the same flow.
+ */
+export async function handleBetCallback(data, chatId, userId, redis, services) {
+  // Handle quick bet start
+  if (data.startsWith('bet_fixture_')) {
+    return handleBetCreate(data, chatId, userId, redis, services);
+  }
 
-    const bet = await createBetslip(redis, userId, fixtureId, fixtureText);
+  // Handle bet placement confirmation
+  if (data.startsWith('place_bet_')) {
+    return handlePlaceBet(data, chatId, userId, redis);
+  }
 
-    const text = `🧾 *Betslip*\n\nFixture: *${bet.fixtureText}*\nStake: KES ${bet.stake}\nSelection: *${bet.selection}*\n\nTap to confirm your bet.`;
+  // Handle bet stake edit selection
+  if (data.startsWith('edit_bet_')) {
+    return handleEditBet(data, chatId, userId, redis);
+  }
 
-    return {
-      method: 'sendMessage',
-      chat_id: chatId,
-      text,
-      parse_mode: 'Markdown',
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '✅ Place Bet', callback_data: `place_bet_${bet.id}` }],
-          [{ text: '✏️ Change Stake', callback_data: `edit_bet_${bet.id}` }],
-          [{ text: '🔙 Back', callback_data: 'menu_live' }]
-        ]
-      }
-    };
-  } catch (err) {
-    logger.error('handleBetCreate error', err);
-    return {
-      method: 'sendMessage',
-      chat_id: chatId,
-      text: '❌ Failed to create betslip. Try again later.',
-      parse_mode: 'Markdown'
-    };
+  // Handle stake set callbacks: set_bet_{betId}_{amount}
+  if (data.startsWith('set_bet_')) {
+    return handleSetBetStake(data, chatId, userId, redis);
   }
+
+  return { method: 'answerCallbackQuery', callback_query_id: undefined, text: 'Unknown bet action' };
+}
+
+// Quick bet from a fixture list: open the market picker so the selection is
+// chosen explicitly and added as a leg of the user's accumulator slip.
+async function handleBetCreate(data, chatId, userId, redis, services) {
+  const fixtureId = data.replace('bet_fixture_', '');
+  return handleSlipMarketPicker(fixtureId, chatId, redis, services, 'sendMessage');
 }
 
 async function handlePlaceBet(data, chatId, userId, redis) {
@@ -1599,11 +1689,17 @@ async function handlePlaceBet(data, chatId, userId, redis) {
 
     // For free users, we mock placement and store in user's bets history
     const txId = `BTX${Date.now()}`;
-    await redis.rpush(`user:${userId}:bets`, JSON.stringify({ ...bet, placedAt: new Date().toISOString(), txId }));
+    const placed = { ...bet, status: BetResult.PENDING, placedAt: new Date().toISOString(), txId };
+    const bankroll = new BankrollService(redis);
+    const warnings = await bankroll.checkStake(userId, bet.stake);
+    await redis.rpush(`user:${userId}:bets`, JSON.stringify(placed));
+    // queue the user for the settlement scheduler (src/tasks/bet-settlement.js)
+    await new BetSettlementService(redis).trackPending(userId);
+    await bankroll.recordStake(userId, placed);
     // remove betslip
     await redis.del(`betslip:${betId}`);
 
-    const text = '✅ Bet placed!\n\nFixture: *' + bet.fixtureText + '*\nStake: KES ' + bet.stake + '\nSelection: *' + bet.selection + '*\nTransaction: `' + txId + '`\n\nGood luck!';
+    const text = '✅ Bet placed!\n\nFixture: *' + bet.fixtureText + '*\nStake: KES ' + bet.stake + '\nSelection: *' + bet.selection + '*\nTransaction: `' + txId + '`\n\nGood luck!' + formatStakeWarnings(warnings);
 
     return {
       method: 'sendMessage',
@@ -1618,6 +1714,45 @@ async function handlePlaceBet(data, chatId, userId, redis) {
   }
 }
 
+const FALLBACK_STAKES = [50, 100, 200, 500];
+
+function formatStakeWarnings(warnings = []) {
+  return warnings.length > 0 ? `\n\n⚠️ ${warnings.join('\n⚠️ ')}` : '';
+}
+
+/**
+ * Stake picker rows sized from the user's bankroll (1/2/5% plus the Kelly
+ * stake when a model probability is known). Users without a bankroll get a
+ * default ladder and a shortcut to set one up.
+ * @returns {{ rows: Array, note: string }}
+ */
+async function buildStakePicker(redis, userId, { probability = null, odds = null } = {}, toCallback) {
+  const bankroll = new BankrollService(redis);
+  const bank = await bankroll.getBankroll(userId);
+  if (!bank || bank.balance <= 0) {
+    const rows = [];
+    for (let i = 0; i < FALLBACK_STAKES.length; i += 2) {
+      rows.push(FALLBACK_STAKES.slice(i, i + 2).map(a => ({ text: `KES ${a}`, callback_data: toCallback(a) })));
+    }
+    rows.push([{ text: '🏦 Set Up Bankroll', callback_data: 'profile_bankroll' }]);
+    return { rows, note: '_Set up a bankroll to get stakes sized to your balance._\n\n' };
+  }
+
+  const suggestion = probability && odds ? await bankroll.suggestStake(userId, Number(probability), Number(odds)) : null;
+  const options = stakeOptions(bank.balance, suggestion ? suggestion.stake : 0);
+  const rows = [];
+  for (let i = 0; i < options.length; i += 2) {
+    rows.push(options.slice(i, i + 2).map(o => ({ text: o.label, callback_data: toCallback(o.amount) })));
+  }
+  let note = `Bankroll: KES ${bank.balance}\n`;
+  if (suggestion) {
+    note += suggestion.stake > 0
+      ? `⚖️ Kelly (${suggestion.multiplier}×): KES ${suggestion.stake} (${(suggestion.fraction * 100).toFixed(1)}%)\n`
+      : '⚖️ Kelly: no edge at this price — consider skipping\n';
+  }
+  return { rows, note: `${note}\n` };
+}
+
 // Present stake options to user
 async function handleEditBet(data, chatId, userId, redis) {
   try {
@@ -1626,17 +1761,14 @@ async function handleEditBet(data, chatId, userId, redis) {
     if (!raw) return { method: 'sendMessage', chat_id: chatId, text: '⚠️ Betslip not found or expired.', parse_mode: 'Markdown' };
     const bet = JSON.parse(raw);
 
-    const keyboard = [
-      [ { text: 'KES 50', callback_data: `set_bet_${bet.id}_50` }, { text: 'KES 100', callback_data: `set_bet_${bet.id}_100` } ],
-      [ { text: 'KES 200', callback_data: `set_bet_${bet.id}_200` }, { text: 'KES 500', callback_data: `set_bet_${bet.id}_500` } ],
-      [ { text: '🔙 Cancel', callback_data: `bet_fixture_${bet.fixtureId}` } ]
-    ];
+    const picker = await buildStakePicker(redis, userId, { probability: bet.probability, odds: bet.odds }, (amount) => `set_bet_${bet.id}_${amount}`);
+    const keyboard = [...picker.rows, [ { text: '🔙 Cancel', callback_data: `bet_fixture_${bet.fixtureId}` } ]];
 
     return {
       method: 'editMessageText',
       chat_id: chatId,
       message_id: undefined,
-      text: `✏️ *Edit Stake*\n\nCurrent stake: KES ${bet.stake}\nChoose a new stake:`,
+      text: `✏️ *Edit Stake*\n\nCurrent stake: KES ${bet.stake}\n${picker.note}Choose a new stake:`,
       parse_mode: 'Markdown',
       reply_markup: { inline_keyboard: keyboard }
     };
@@ -1675,6 +1807,224 @@ async function handleSetBetStake(data, chatId, userId, redis) {
   }
 }
 
+// Accumulator slip flow
+// ----------------------
+// slip_add_{fixtureId}          -> market picker for a fixture
+// slip_pick_{fixtureId}_{code}  -> add a leg (code from SELECTION_CODES)
+// slip_view                     -> legs, combined odds, correlation warnings
+// slip_rm_{index}               -> remove a leg
+// slip_stake / slip_stake_{amt} -> stake picker / set stake
+// slip_place / slip_clear       -> place as a bet / discard
+
+const SLIP_MARKET_ROWS = [['H', 'D', 'A'], ['1X', '12', 'X2'], ['O15', 'O25', 'O35'], ['U15', 'U25', 'U35'], ['BY', 'BN']];
+
+// Resolve a fixture for the slip, caching it briefly so the pick step does not refetch
+async function lookupSlipMatch(fixtureId, redis, services) {
+  const cacheKey = `slip:match:${fixtureId}`;
+  const cached = tryParseJson(await redis.get(cacheKey).catch(() => null));
+  if (cached) return cached;
+
+  const agg = services && services.sportsAggregator;
+  let match = null;
+  if (agg && typeof agg.getMatchById === 'function') {
+    match = await agg.getMatchById(fixtureId).catch(() => null);
+  }
+  if (!match && agg && typeof agg.getAllLiveMatches === 'function') {
+    const live = await agg.getAllLiveMatches().catch(() => []);
+    match = (live || []).find(m => String(m.id) === String(fixtureId)) || null;
+  }
+  if (!match) return null;
+
+  const slim = {
+    id: match.id,
+    home: teamNameOf(match.home),
+    away: teamNameOf(match.away),
+    homeOdds: match.homeOdds || null,
+    drawOdds: match.drawOdds || null,
+    awayOdds: match.awayOdds || null,
+    odds: match.odds || null
+  };
+  await redis.setex(cacheKey, 3600, JSON.stringify(slim)).catch(() => null);
+  return slim;
+}
+
+async function handleSlipMarketPicker(fixtureId, chatId, redis, services, method = 'editMessageText') {
+  try {
+    const match = await lookupSlipMatch(fixtureId, redis, services);
+    if (!match) {
+      return { method: 'answerCallbackQuery', callback_query_id: undefined, text: 'Match unavailable for betting', show_alert: true };
+    }
+
+    const keyboard = SLIP_MARKET_ROWS.map(row => row.map(code => {
+      const sel = decodeSelection(code);
+      const odds = resolveMarketOdds(match, code);
+      return odds ? { text: `${sel.label} @ ${odds}`, callback_data: validateCallbackData(`slip_pick_${fixtureId}_${code}`) } : null;
+    }).filter(Boolean)).filter(row => row.length > 0);
+    keyboard.push([{ text: '🧾 View Slip', callback_data: 'slip_view' }, { text: '🔙 Back', callback_data: 'menu_live' }]);
+
+    return {
+      method,
+      chat_id: chatId,
+      message_id: undefined,
+      text: `➕ *Add to Slip*\n\n*${match.home}* vs *${match.away}*\n\nChoose a market (1X2, Double Chance, Over/Under, BTTS):`,
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: keyboard }
+    };
+  } catch (err) {
+    logger.error('handleSlipMarketPicker error', err);
+    return { method: 'sendMessage', chat_id: chatId, text: '❌ Failed to load markets.', parse_mode: 'Markdown' };
+  }
+}
+
+async function buildSlipView(slipService, slipId, chatId, notice = '', userId = null) {
+  const slip = slipId ? await slipService.getSlip(slipId) : null;
+  if (!slip || slip.matches.length === 0) {
+    return {
+      method: 'editMessageText',
+      chat_id: chatId,
+      message_id: undefined,
+      text: `${notice ? `${notice}\n\n` : ''}🧾 *Your Slip*\n\nYour slip is empty. Open a match and tap *➕ Add to Slip*.`,
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: [[{ text: '⚽ Live Matches', callback_data: 'menu_live' }, { text: '🔙 Main Menu', callback_data: 'menu_main' }]] }
+    };
+  }
+
+  const correlated = new Set(slip.correlations.flatMap(c => c.legIds));
+  const lines = slip.matches.map((l, i) => `${i + 1}. ${l.team}\n   ${MARKET_LABELS[l.market] || l.market}: *${l.prediction}* @ ${l.odds || '—'}${correlated.has(l.legId) ? ' ⚠️' : ''}`);
+  const total = slip.totalOdds ? Number(slip.totalOdds) : null;
+  const potential = total ? (slip.stake * total).toFixed(2) : '—';
+
+  let text = `${notice ? `${notice}\n\n` : ''}🧾 *Your Slip* (${slip.matches.length} leg${slip.matches.length === 1 ? '' : 's'})\n\n${lines.join('\n')}\n\n`;
+  text += `📈 Combined odds: *${total ? total.toFixed(2) : '— (missing prices)'}*\n`;
+  text += `💵 Stake: KES ${slip.stake}\n💰 Potential return: KES ${potential}`;
+  if (userId) {
+    const bankroll = new BankrollService(slipService.redis);
+    const p = combinedProbability(slip.matches);
+    const suggestion = p && total ? await bankroll.suggestStake(userId, p, total) : null;
+    if (suggestion) {
+      text += suggestion.stake > 0
+        ? `\n⚖️ Kelly stake: KES ${suggestion.stake} (${(suggestion.fraction * 100).toFixed(1)}% of bankroll)`
+        : '\n⚖️ Kelly: no model edge at these odds';
+    }
+    text += formatStakeWarnings(await bankroll.checkStake(userId, slip.stake));
+  }
+  if (slip.correlations.length > 0) {
+    text += `\n\n⚠️ *Correlated legs*\n${slip.correlations.map(c => `• ${c.message}`).join('\n')}\n_Bookmakers may reject or reprice same-fixture combinations._`;
+  }
+
+  const removeRow = slip.matches.slice(0, 8).map((l, i) => ({ text: `❌ ${i + 1}`, callback_data: `slip_rm_${i}` }));
+  const keyboard = [];
+  for (let i = 0; i < removeRow.length; i += 4) keyboard.push(removeRow.slice(i, i + 4));
+  keyboard.push([{ text: '✏️ Change Stake', callback_data: 'slip_stake' }, { text: '✅ Place Bet', callback_data: 'slip_place' }]);
+  keyboard.push([{ text: '🗑 Clear Slip', callback_data: 'slip_clear' }, { text: '🔙 Main Menu', callback_data: 'menu_main' }]);
+
+  return { method: 'editMessageText', chat_id: chatId, message_id: undefined, text, parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } };
+}
+
+/**
+ * Accumulator slip builder callbacks (slip_add_, slip_pick_, slip_view, slip_rm_, slip_stake, slip_place, ...).
+ * Exported so the production callback handler can route the same flow.
+ */
+export async function handleSlipCallback(data, chatId, userId, redis, services) {
+  try {
+    const slipService = new BettingSlipService(redis);
+
+    if (data.startsWith('slip_add_')) {
+      return handleSlipMarketPicker(data.replace('slip_add_', ''), chatId, redis, services);
+    }
+
+    if (data.startsWith('slip_pick_')) {
+      const rest = data.replace('slip_pick_', '');
+      const cut = rest.lastIndexOf('_');
+      const fixtureId = rest.slice(0, cut);
+      const sel = decodeSelection(rest.slice(cut + 1));
+      if (!fixtureId || !sel) return { method: 'answerCallbackQuery', callback_query_id: undefined, text: 'Invalid selection', show_alert: true };
+
+      const match = await lookupSlipMatch(fixtureId, redis, services);
+      if (!match) return { method: 'answerCallbackQuery', callback_query_id: undefined, text: 'Match unavailable for betting', show_alert: true };
+
+      // An unpriced leg can never be settled as a win, so it must not reach the slip
+      const odds = resolveMarketOdds(match, sel.code);
+      if (!odds) return { method: 'answerCallbackQuery', callback_query_id: undefined, text: 'No price for this market yet', show_alert: true };
+
+      const slipId = await slipService.getActiveSlipId(userId);
+      const label = sel.market === '1X2' && sel.selection !== 'draw' ? (sel.selection === 'home' ? match.home : match.away) : sel.label;
+      await slipService.addMatch(slipId, match.id, `${match.home} vs ${match.away}`, odds, label, {
+        market: sel.market,
+        selection: sel.selection,
+        line: sel.line,
+        code: sel.code,
+        probability: modelProbability(match.home, match.away, sel)
+      });
+      return buildSlipView(slipService, slipId, chatId, `✅ Added *${label}*`, userId);
+    }
+
+    const slipId = await slipService.getActiveSlipId(userId, false);
+
+    if (data === 'slip_view') {
+      return buildSlipView(slipService, slipId, chatId, '', userId);
+    }
+
+    if (data.startsWith('slip_rm_')) {
+      const slip = slipId ? await slipService.getSlip(slipId) : null;
+      const leg = slip && slip.matches[Number(data.replace('slip_rm_', ''))];
+      if (leg) await slipService.removeMatch(slipId, leg.legId);
+      return buildSlipView(slipService, slipId, chatId, leg ? `🗑 Removed *${leg.prediction}*` : '', userId);
+    }
+
+    if (data === 'slip_stake') {
+      const slip = slipId ? await slipService.getSlip(slipId) : null;
+      const edge = slip ? { probability: combinedProbability(slip.matches), odds: slip.totalOdds } : {};
+      const picker = await buildStakePicker(redis, userId, edge, (amount) => `slip_stake_${amount}`);
+      const keyboard = [...picker.rows, [ { text: '🔙 Back to Slip', callback_data: 'slip_view' } ]];
+      return { method: 'editMessageText', chat_id: chatId, message_id: undefined, text: `✏️ *Slip Stake*\n\n${picker.note}Choose a stake:`, parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } };
+    }
+
+    if (data.startsWith('slip_stake_')) {
+      const amount = Number(data.replace('slip_stake_', ''));
+      if (slipId && amount > 0) await slipService.setStake(slipId, amount);
+      return buildSlipView(slipService, slipId, chatId, '', userId);
+    }
+
+    if (data === 'slip_clear') {
+      await slipService.clearActiveSlip(userId);
+      return buildSlipView(slipService, null, chatId, '🗑 Slip cleared');
+    }
+
+    if (data === 'slip_place') {
+      const slip = slipId ? await slipService.getSlip(slipId) : null;
+      if (!slip || slip.matches.length === 0) return buildSlipView(slipService, null, chatId);
+      const unpriced = slip.matches.filter(l => !(Number(l.odds) > 1));
+      if (unpriced.length > 0) {
+        return buildSlipView(slipService, slipId, chatId, `⚠️ No price for ${unpriced.map(l => `*${l.prediction}*`).join(', ')} — remove it to place the bet`, userId);
+      }
+
+      const txId = `BTX${Date.now()}`;
+      const bet = { ...slipService.toBet(slip, userId), status: BetResult.PENDING, placedAt: new Date().toISOString(), txId };
+      const bankroll = new BankrollService(redis);
+      const warnings = await bankroll.checkStake(userId, bet.stake);
+      await redis.rpush(`user:${userId}:bets`, JSON.stringify(bet));
+      await new BetSettlementService(redis).trackPending(userId);
+      await bankroll.recordStake(userId, bet);
+      await slipService.clearActiveSlip(userId);
+
+      const legs = bet.legs.map((l, i) => `${i + 1}. ${l.fixtureText} — ${slip.matches[i].prediction} @ ${l.odds || '—'}`).join('\n');
+      return {
+        method: 'sendMessage',
+        chat_id: chatId,
+        text: `✅ Bet placed!\n\n${legs}\n\nCombined odds: *${bet.odds || '—'}*\nStake: KES ${bet.stake}\nTransaction: \`${txId}\`\n\nGood luck!${formatStakeWarnings(warnings)}`,
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: [[{ text: '🎯 My Bets', callback_data: 'profile_bets' }, { text: '🔙 Main Menu', callback_data: 'menu_main' }]] }
+      };
+    }
+
+    return { method: 'answerCallbackQuery', callback_query_id: undefined, text: 'Unknown slip action' };
+  } catch (err) {
+    logger.error('handleSlipCallback error', err);
+    return { method: 'sendMessage', chat_id: chatId, text: '❌ Slip action failed. Try again later.', parse_mode: 'Markdown' };
+  }
+}
+
 /**
  * Start onboarding flow for new user
  */
@@ -1727,6 +2077,8 @@ async function handleOnboardingMessage(text, chatId, userId, redis, services) {
       // present country options
       const keyboard = [
         [ { text: '🇰🇪 Kenya', callback_data: 'signup_country_KE' }, { text: '🇳🇬 Nigeria', callback_data: 'signup_country_NG' } ],
+        [ { text: '🇺🇬 Uganda', callback_data: 'signup_country_UG' }, { text: '🇹🇿 Tanzania', callback_data: 'signup_country_TZ' } ],
+        [ { text: '🇿🇦 South Africa', callback_data: 'signup_country_ZA' }, { text: '🇬🇭 Ghana', callback_data: 'signup_country_GH' } ],
         [ { text: '🇺🇸 USA', callback_data: 'signup_country_US' }, { text: '🇬🇧 UK', callback_data: 'signup_country_UK' } ],
         [ { text: '🌍 Other', callback_data: 'signup_country_OTHER' } ]
       ];
@@ -1749,6 +2101,8 @@ async function handleSignupCountry(data, chatId, userId, redis, services) {
   try {
     const code = data.replace('signup_country_', '') || 'OTHER';
     await redis.hset(`user:${userId}:profile`, 'country', code);
+    // Orders are priced in this currency wherever the payment provider accepts it
+    await redis.hset(`user:${userId}:profile`, 'currency', currencyForCountry(code));
     
     // Move to payment method selection
     const state = { step: 'payment_method' };
@@ -1790,12 +2144,13 @@ async function handleSignupPaymentMethodSelection(data, chatId, userId, redis, s
     const age = profile.age || 'N/A';
     const country = profile.country || 'Unknown';
 
-    // Compute signup fee based on country
-    const feeMap = { KE: 150, NG: 500, US: 1, UK: 1, OTHER: 1 };
-    const amount = feeMap[country] || feeMap.OTHER;
-    const currency = { KE: 'KES', NG: 'NGN', US: 'USD', UK: 'GBP', OTHER: 'USD' }[country] || 'USD';
+    // Signup fee from the price book, in the user's currency if the chosen method takes it
+    const { orderCurrency, getTierPrice, normalizePaymentMethod: normalizeMethod } = await import('./payment-router.js');
+    const method = normalizeMethod(methodId) || methodId;
+    const currency = orderCurrency(method, country, profile.currency || null);
+    const amount = getTierPrice('SIGNUP', method, currency);
 
-    const text = `✅ *Signup Summary*\n\nName: ${name}\nAge: ${age} years\nCountry: ${country}\nPayment Method: ${methodId}\n\n💳 One-time signup fee: *${amount} ${currency}*\n\nClick the button below to complete payment and activate your account.`;
+    const text = `✅ *Signup Summary*\n\nName: ${name}\nAge: ${age} years\nCountry: ${country}\nPayment Method: ${methodId}\n\n💳 One-time signup fee: *${formatMoney(amount, currency)}*\n\nClick the button below to complete payment and activate your account.`;
 
     return { 
       method: 'sendMessage', 
@@ -1842,12 +2197,12 @@ async function handleSignupPaymentCallback(data, chatId, userId, redis, services
 
     // Create custom payment order
     const { createCustomPaymentOrder, getPaymentInstructions } = await import('./payment-router.js');
-    const order = await createCustomPaymentOrder(redis, userId, amount, method, country, { signup: true });
+    const order = await createCustomPaymentOrder(redis, userId, amount, method, country, { signup: true, currency });
     const instructions = await getPaymentInstructions(redis, order.orderId, method).catch(() => null);
 
     let instrText = `💳 *BETRIX PAYMENT*\n\n`;
     instrText += `Order ID: \`${order.orderId}\`\n`;
-    instrText += `Amount: *${amount} ${currency}*\n`;
+    instrText += `Amount: *${formatMoney(order.totalAmount, order.currency)}*\n`;
     instrText += `Method: *${method.replace('_', ' ').toUpperCase()}*\n`;
     instrText += `Status: ⏳ Awaiting Payment\n\n`;
     
@@ -2173,7 +2528,7 @@ function buildPaymentMethodButtons(methodIds, tier) {
 /**
  * Handle profile callbacks
  */
-async function handleProfileCallback(data, chatId, userId, redis) {
+export async function handleProfileCallback(data, chatId, userId, redis) {
   try {
     if (data === 'profile_stats') {
       const user = await safeGetUserData(redis, `user:${userId}`) || {};
@@ -2204,9 +2559,16 @@ async function handleProfileCallback(data, chatId, userId, redis) {
     }
 
     if (data === 'profile_bets') {
-      const bets = await redis.lrange(`user:${userId}:bets`, 0, 4) || [];
+      const bets = (await redis.lrange(`user:${userId}:bets`, -5, -1) || []).map(tryParseJson).filter(Boolean).reverse();
+      const stats = await new BetSettlementService(redis).getStats(userId);
+      const statsLine = stats && stats.settled > 0
+        ? `\n\nSettled: ${stats.settled} | Won: ${stats.won} | Lost: ${stats.lost}\nStaked: KES ${stats.staked} | Returned: KES ${stats.returned} | ROI: ${stats.roi}%`
+        : '';
       const betList = bets.length > 0 
-        ? `Recent bets:\n${bets.map((b, i) => `${i + 1}. ${b}`).join('\n')}`
+        ? `Recent bets:\n${bets.map((b, i) => {
+          const ret = Number.isFinite(b.payout) ? ` → KES ${b.payout}` : '';
+          return `${i + 1}. ${b.fixtureText || b.id} — ${b.selection || ''} @ KES ${b.stake}\n   ${formatResultLabel(b.status)}${ret}`;
+        }).join('\n')}${statsLine}`
         : 'No bets placed yet. Start by selecting a match!';
       
       const header = brandingUtils.generateBetrixHeader('FREE');
@@ -2248,6 +2610,14 @@ async function handleProfileCallback(data, chatId, userId, redis) {
       };
     }
 
+    if (data.startsWith('profile_bankroll')) {
+      return handleBankrollCallback(data, chatId, userId, redis);
+    }
+
+    if (data.startsWith('profile_receipt')) {
+      return handleReceiptsCallback(data, chatId, userId, redis);
+    }
+
     // Fallback
     return {
       method: 'sendMessage',
@@ -2261,6 +2631,106 @@ async function handleProfileCallback(data, chatId, userId, redis) {
   }
 }
 
+// Bankroll screens
+// ----------------
+// profile_bankroll                 -> summary
+// profile_bankroll_dep[_{amt}]     -> deposit picker / deposit
+// profile_bankroll_wd[_{amt}]      -> withdrawal picker / withdraw
+// profile_bankroll_limit[_{amt}]   -> daily loss limit picker / set (0 = off)
+// profile_bankroll_kelly[_{mult}]  -> Kelly multiplier picker / set
+// profile_bankroll_ledger          -> recent ledger entries
+
+const BANKROLL_AMOUNTS = [500, 1000, 5000, 10000];
+const LOSS_LIMITS = [500, 1000, 2500, 0];
+const KELLY_MULTIPLIERS = [0.25, 0.5, 1];
+
+async function handleBankrollCallback(data, chatId, userId, redis) {
+  const bankroll = new BankrollService(redis);
+  const back = [{ text: '🔙 Back', callback_data: 'profile_bankroll' }];
+  const picker = (prefix, values, label) => [
+    ...values.reduce((rows, v, i) => {
+      if (i % 2 === 0) rows.push([]);
+      rows[rows.length - 1].push({ text: label(v), callback_data: `${prefix}_${v}` });
+      return rows;
+    }, []),
+    back
+  ];
+  const screen = (text, keyboard) => ({ method: 'editMessageText', chat_id: chatId, message_id: undefined, text, parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } });
+  let notice = '';
+
+  if (data === 'profile_bankroll_dep') {
+    return screen('➕ *Add Funds*\n\nHow much are you adding to your betting bankroll?', picker('profile_bankroll_dep', BANKROLL_AMOUNTS, v => `KES ${v}`));
+  }
+  if (data === 'profile_bankroll_wd') {
+    return screen('➖ *Withdraw*\n\nHow much are you taking out of your bankroll?', picker('profile_bankroll_wd', BANKROLL_AMOUNTS, v => `KES ${v}`));
+  }
+  if (data === 'profile_bankroll_limit') {
+    return screen('🛑 *Daily Loss Limit*\n\nYou will be warned before stakes that could take you past this loss in one day.', picker('profile_bankroll_limit', LOSS_LIMITS, v => (v ? `KES ${v}` : 'Off')));
+  }
+  if (data === 'profile_bankroll_kelly') {
+    return screen('⚖️ *Kelly Multiplier*\n\nFull Kelly maximizes growth but swings hard; ¼ Kelly is the usual choice.', picker('profile_bankroll_kelly', KELLY_MULTIPLIERS, v => (v === 1 ? 'Full' : `${v}×`)));
+  }
+  if (data === 'profile_bankroll_ledger') {
+    const entries = (await bankroll.getLedger(userId, 10)).reverse();
+    const icons = { deposit: '➕', withdrawal: '➖', stake: '🎟', settle: '🧾' };
+    const lines = entries.map(e => `${icons[e.type] || '•'} ${new Date(e.ts).toISOString().slice(0, 10)} ${e.type} KES ${e.amount} → ${e.balance}`);
+    return screen(`📜 *Bankroll Ledger*\n\n${lines.length > 0 ? lines.join('\n') : 'No entries yet.'}`, [back]);
+  }
+
+  const [, , action, value] = data.split('_');
+  if (action === 'dep' && value) {
+    notice = (await bankroll.deposit(userId, Number(value))) ? `✅ Added KES ${value}\n\n` : '❌ Deposit failed\n\n';
+  } else if (action === 'wd' && value) {
+    notice = (await bankroll.withdraw(userId, Number(value))) ? `✅ Withdrew KES ${value}\n\n` : '⚠️ Not enough balance to withdraw that amount\n\n';
+  } else if (action === 'limit' && value) {
+    notice = (await bankroll.setLossLimit(userId, Number(value))) ? `✅ Daily loss limit ${Number(value) ? `set to KES ${value}` : 'turned off'}\n\n` : '';
+  } else if (action === 'kelly' && value) {
+    notice = (await bankroll.setKellyMultiplier(userId, Number(value))) ? `✅ Kelly multiplier set to ${value}\n\n` : '';
+  }
+
+  const stats = await bankroll.getStats(userId);
+  const keyboard = stats
+    ? [
+      [{ text: '➕ Add Funds', callback_data: 'profile_bankroll_dep' }, { text: '➖ Withdraw', callback_data: 'profile_bankroll_wd' }],
+      [{ text: '🛑 Loss Limit', callback_data: 'profile_bankroll_limit' }, { text: '⚖️ Kelly', callback_data: 'profile_bankroll_kelly' }],
+      [{ text: '📜 Ledger', callback_data: 'profile_bankroll_ledger' }, { text: '🔙 Back', callback_data: 'menu_profile' }]
+    ]
+    : [
+      [{ text: '➕ Set Starting Balance', callback_data: 'profile_bankroll_dep' }],
+      [{ text: '🔙 Back', callback_data: 'menu_profile' }]
+    ];
+  return screen(`${notice}${bankroll.formatSummary(stats)}`, keyboard);
+}
+
+// Receipts
+// --------
+// profile_receipts           -> list of recent invoices
+// profile_receipt_{number}   -> that invoice as a PDF document
+
+async function handleReceiptsCallback(data, chatId, userId, redis) {
+  const invoices = new InvoiceService(redis);
+  const back = [{ text: '🔙 Back', callback_data: 'menu_profile' }];
+
+  if (data.startsWith('profile_receipt_')) {
+    const invoice = await invoices.getForUser(userId, data.slice('profile_receipt_'.length));
+    if (!invoice) {
+      return { method: 'sendMessage', chat_id: chatId, text: '❌ Receipt not found.', reply_markup: { inline_keyboard: [[{ text: '🧾 Receipts', callback_data: 'profile_receipts' }]] } };
+    }
+    return { method: 'sendDocument', chat_id: chatId, document: invoices.render(invoice), caption: invoices.caption(invoice), parse_mode: 'Markdown' };
+  }
+
+  const list = await invoices.listForUser(userId, 10);
+  const rows = list.map(inv => [{ text: `${inv.number} · ${inv.issuedAt.slice(0, 10)} · ${formatMoney(inv.total, inv.currency)}`, callback_data: `profile_receipt_${inv.number}` }]);
+  return {
+    method: 'editMessageText',
+    chat_id: chatId,
+    message_id: undefined,
+    text: list.length > 0 ? '🧾 *Receipts*\n\nTap a receipt to download it as a PDF.' : '🧾 *Receipts*\n\nNo receipts yet. They appear here after each payment.',
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: [...rows, back] }
+  };
+}
+
 /**
  * Handle help callbacks
  */
@@ -2493,6 +2963,7 @@ async function handlePaymentMethodSelection(data, chatId, userId, redis, service
     if (instructions) {
       // Use provided descriptive text if available
       if (instructions.description) instrText += `*${instructions.description}*\n\n`;
+      if (instructions.promo) instrText += `${instructions.promo}\n\n`;
 
       // Steps may be in .steps or .manualSteps
       const steps = instructions.steps || instructions.manualSteps || [];
@@ -0,0 +1,171 @@
+/**
+ * Binance Pay merchant API client: order creation and order query, both
+ * signed with HMAC-SHA512, plus verification of signed webhook deliveries.
+ *
+ * Configuration comes from BINANCE_PAY_* environment variables unless passed
+ * in; `baseUrl` and `fetch` let tests point the client at a stub.
+ */
+
+import crypto from 'crypto';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+// Binance rejects requests whose timestamp is more than a second off; webhooks get more slack
+const WEBHOOK_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * Binance Pay signature: HMAC-SHA512 over "timestamp\nnonce\nbody\n", upper-case hex
+ */
+export function signBinancePayload(timestamp, nonce, body, secret) {
+  return crypto.createHmac('sha512', String(secret)).update(`${timestamp}\n${nonce}\n${body}\n`).digest('hex').toUpperCase();
+}
+
+/**
+ * Check a signed delivery (webhook or response)
+ * @param {Object} signed - { timestamp, nonce, body: raw JSON string, signature }
+ * @param {Object} opts - { now, toleranceMs }
+ * @returns {{ ok: boolean, reason: string|null }}
+ */
+export function verifyBinanceSignature({ timestamp, nonce, body, signature } = {}, secret, { now = Date.now(), toleranceMs = WEBHOOK_TOLERANCE_MS } = {}) {
+  if (!timestamp || !nonce || !signature) return { ok: false, reason: 'missing signature headers' };
+  if (Math.abs(now - Number(timestamp)) > toleranceMs) return { ok: false, reason: 'stale timestamp' };
+  const expected = Buffer.from(signBinancePayload(timestamp, nonce, body, secret));
+  const given = Buffer.from(String(signature).toUpperCase());
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return { ok: false, reason: 'signature mismatch' };
+  return { ok: true, reason: null };
+}
+
+/**
+ * Signature fields from request headers (any case)
+ */
+export function binanceSignatureHeaders(headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers || {}).map(([k, v]) => [String(k).toLowerCase(), v]));
+  return {
+    timestamp: lower['binancepay-timestamp'] || null,
+    nonce: lower['binancepay-nonce'] || null,
+    signature: lower['binancepay-signature'] || null
+  };
+}
+
+/**
+ * Binance's id for a webhook event. bizId is a 19-20 digit JSON number that
+ * JSON.parse rounds, so it is read from the raw body when there is one.
+ */
+export function binanceBizId(body = {}, rawBody = null) {
+  if (body?.bizIdStr) return String(body.bizIdStr);
+  const m = rawBody ? String(rawBody).match(/"bizId"\s*:\s*"?(\d+)/) : null;
+  if (m) return m[1];
+  return body?.bizId ? String(body.bizId) : null;
+}
+
+/**
+ * Webhook `data` arrives as a JSON string; older payloads sent an object
+ */
+export function binanceWebhookData(body = {}) {
+  const data = body?.data;
+  if (typeof data !== 'string') return data || {};
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * @param {Object} opts - { apiKey, secret, baseUrl, webhookUrl, returnUrl, cancelUrl, timeoutMs, fetch }
+ */
+export function createBinancePayClient(opts = {}) {
+  const config = {
+    apiKey: opts.apiKey || process.env.BINANCE_PAY_API_KEY || null,
+    secret: opts.secret || process.env.BINANCE_PAY_SECRET || null,
+    baseUrl: opts.baseUrl || process.env.BINANCE_PAY_API_BASE || 'https://bpay.binanceapi.com',
+    webhookUrl: opts.webhookUrl || process.env.BINANCE_PAY_WEBHOOK_URL || null,
+    returnUrl: opts.returnUrl || process.env.BINANCE_PAY_RETURN_URL || null,
+    cancelUrl: opts.cancelUrl || process.env.BINANCE_PAY_CANCEL_URL || null,
+    timeoutMs: Number(opts.timeoutMs || DEFAULT_TIMEOUT_MS)
+  };
+  const http = opts.fetch || fetch;
+
+  const configured = () => Boolean(config.apiKey && config.secret);
+
+  async function signedPost(path, payload) {
+    if (!configured()) throw new Error('BINANCE_PAY_API_KEY / BINANCE_PAY_SECRET not set');
+    const body = JSON.stringify(payload);
+    const timestamp = Date.now();
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const res = await http(config.baseUrl + path, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'BinancePay-Timestamp': String(timestamp),
+        'BinancePay-Nonce': nonce,
+        'BinancePay-Certificate-SN': config.apiKey,
+        'BinancePay-Signature': signBinancePayload(timestamp, nonce, body, config.secret)
+      },
+      body,
+      signal: AbortSignal.timeout(config.timeoutMs)
+    });
+    const json = await res.json().catch(() => null);
+    return { status: res.status, ok: res.ok && json?.status === 'SUCCESS', raw: json };
+  }
+
+  /**
+   * Create a checkout for one of our orders (merchantTradeNo = our order id)
+   * @param {Object} order - { orderId, amount, currency (USDT, BUSD, ...), description, expireMinutes }
+   * @returns {{ ok, status, prepayId, checkoutUrl, qrcodeLink, deeplink, universalUrl, expireTime, reason, raw }}
+   */
+  async function createOrder({ orderId, amount, currency = 'USDT', description = 'Betrix subscription', expireMinutes = 15 } = {}) {
+    if (!orderId) throw new Error('orderId is required');
+    if (!(Number(amount) > 0)) throw new Error('amount must be positive');
+    const payload = {
+      env: { terminalType: 'WEB' },
+      merchantTradeNo: String(orderId).replace(/[^A-Za-z0-9]/g, '').slice(0, 32),
+      orderAmount: Number(Number(amount).toFixed(2)),
+      currency,
+      description: String(description).slice(0, 256),
+      goodsDetails: [{ goodsType: '02', goodsCategory: 'Z000', referenceGoodsId: String(orderId).slice(0, 64), goodsName: String(description).slice(0, 256) }],
+      orderExpireTime: Date.now() + expireMinutes * 60 * 1000
+    };
+    if (config.webhookUrl) payload.webhookUrl = config.webhookUrl;
+    if (config.returnUrl) payload.returnUrl = config.returnUrl;
+    if (config.cancelUrl) payload.cancelUrl = config.cancelUrl;
+
+    const resp = await signedPost('/binancepay/openapi/v3/order', payload);
+    const data = resp.raw?.data || {};
+    return {
+      ok: resp.ok,
+      status: resp.status,
+      prepayId: data.prepayId || null,
+      checkoutUrl: data.checkoutUrl || null,
+      qrcodeLink: data.qrcodeLink || null,
+      deeplink: data.deeplink || null,
+      universalUrl: data.universalUrl || null,
+      expireTime: data.expireTime || null,
+      reason: resp.ok ? null : (resp.raw?.errorMessage || resp.raw?.code || `http_${resp.status}`),
+      raw: resp.raw
+    };
+  }
+
+  /**
+   * Order status by our order id
+   * @returns {{ status: http status, raw }}
+   */
+  async function queryOrder(merchantTradeNo) {
+    const resp = await signedPost('/binancepay/openapi/v2/order/query', { merchantTradeNo });
+    return { status: resp.status, raw: resp.raw };
+  }
+
+  return { config, configured, createOrder, queryOrder };
+}
+
+let defaultClient = null;
+
+export function getDefaultBinancePayClient() {
+  if (!defaultClient) defaultClient = createBinancePayClient();
+  return defaultClient;
+}
+
+export function setDefaultBinancePayClient(client) {
+  defaultClient = client;
+}
+
+export default { createBinancePayClient, getDefaultBinancePayClient, signBinancePayload, verifyBinanceSignature, binanceWebhookData };
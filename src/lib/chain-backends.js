@@ -0,0 +1,230 @@
+/**
+ * On-chain lookups behind crypto payment verification (services/crypto-payments.js).
+ *
+ * Every backend answers for one chain with the same two calls, amounts in
+ * whole coins (BTC, USDT):
+ *   getTransaction(txid, address) -> { txid, confirmations, time, outputs: [{ address, amount }] } | null
+ *     (address is the receiving address; only TronGrid needs it)
+ *   incoming(address)    -> [{ txid, confirmations, time, amount }]   (recent payments to the address)
+ * `time` is the block time in ms, or null while the transaction is unconfirmed.
+ *
+ * Backends: an Esplora block explorer (Blockstream, mempool.space or a
+ * self-hosted instance) or a local bitcoind over JSON-RPC for BTC, TronGrid
+ * for USDT-TRC20, and an in-memory stub for development and tests.
+ */
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const SATS_PER_BTC = 1e8;
+// Tether's TRC20 contract on TRON mainnet
+export const USDT_TRC20_CONTRACT = 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
+
+async function getJson(http, url, { headers = {}, method = 'GET', body, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const res = await http(url, {
+    method,
+    headers: { Accept: 'application/json', ...(body === undefined ? {} : { 'Content-Type': 'application/json' }), ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`${url} answered ${res.status}`);
+  return res.json();
+}
+
+/**
+ * Esplora REST API (blockstream.info/api, mempool.space/api)
+ * @param {Object} opts - { baseUrl, fetch, timeoutMs }
+ */
+export function createEsploraBackend(opts = {}) {
+  const baseUrl = String(opts.baseUrl || process.env.BTC_EXPLORER_URL || 'https://blockstream.info/api').replace(/\/$/, '');
+  const http = opts.fetch || fetch;
+  const timeoutMs = Number(opts.timeoutMs || DEFAULT_TIMEOUT_MS);
+
+  async function tipHeight() {
+    const res = await http(`${baseUrl}/blocks/tip/height`, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!res.ok) throw new Error(`tip height answered ${res.status}`);
+    return Number(await res.text());
+  }
+
+  const confirmations = (tx, tip) => (tx.status?.confirmed ? tip - Number(tx.status.block_height) + 1 : 0);
+  const blockTime = (tx) => (tx.status?.block_time ? Number(tx.status.block_time) * 1000 : null);
+
+  return {
+    name: 'esplora',
+    chain: 'BTC',
+    async getTransaction(txid) {
+      const tx = await getJson(http, `${baseUrl}/tx/${txid}`, { timeoutMs });
+      if (!tx) return null;
+      const tip = tx.status?.confirmed ? await tipHeight() : 0;
+      return {
+        txid: tx.txid,
+        confirmations: confirmations(tx, tip),
+        time: blockTime(tx),
+        outputs: (tx.vout || []).map(o => ({ address: o.scriptpubkey_address || null, amount: Number(o.value || 0) / SATS_PER_BTC }))
+      };
+    },
+    async incoming(address) {
+      const txs = await getJson(http, `${baseUrl}/address/${address}/txs`, { timeoutMs }) || [];
+      const tip = txs.some(tx => tx.status?.confirmed) ? await tipHeight() : 0;
+      return txs.map(tx => ({
+        txid: tx.txid,
+        confirmations: confirmations(tx, tip),
+        time: blockTime(tx),
+        amount: (tx.vout || []).filter(o => o.scriptpubkey_address === address).reduce((sum, o) => sum + Number(o.value || 0), 0) / SATS_PER_BTC
+      })).filter(tx => tx.amount > 0);
+    }
+  };
+}
+
+/**
+ * Local bitcoind JSON-RPC. Looking up arbitrary transactions needs txindex=1;
+ * incoming() lists the node wallet's receives, so import the payment address as watch-only.
+ * @param {Object} opts - { url, user, password, fetch, timeoutMs }
+ */
+export function createBitcoinRpcBackend(opts = {}) {
+  const url = opts.url || process.env.BTC_RPC_URL || 'http://127.0.0.1:8332';
+  const user = opts.user || process.env.BTC_RPC_USER || '';
+  const password = opts.password || process.env.BTC_RPC_PASSWORD || '';
+  const http = opts.fetch || fetch;
+  const timeoutMs = Number(opts.timeoutMs || DEFAULT_TIMEOUT_MS);
+  const auth = `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}`;
+
+  async function rpc(method, params = []) {
+    const res = await http(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: auth },
+      body: JSON.stringify({ jsonrpc: '1.0', id: 'betrix', method, params }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const json = await res.json().catch(() => null);
+    if (json?.error) {
+      // -5: no such transaction
+      if (json.error.code === -5) return null;
+      throw new Error(`bitcoind ${method}: ${json.error.message}`);
+    }
+    if (!res.ok) throw new Error(`bitcoind ${method} answered ${res.status}`);
+    return json?.result ?? null;
+  }
+
+  return {
+    name: 'bitcoind',
+    chain: 'BTC',
+    async getTransaction(txid) {
+      const tx = await rpc('getrawtransaction', [txid, true]);
+      if (!tx) return null;
+      return {
+        txid: tx.txid,
+        confirmations: Number(tx.confirmations || 0),
+        time: tx.blocktime ? Number(tx.blocktime) * 1000 : null,
+        outputs: (tx.vout || []).map(o => ({ address: o.scriptPubKey?.address || (o.scriptPubKey?.addresses || [])[0] || null, amount: Number(o.value || 0) }))
+      };
+    },
+    async incoming(address) {
+      const rows = await rpc('listtransactions', ['*', 200, 0, true]) || [];
+      return rows
+        .filter(r => r.category === 'receive' && r.address === address)
+        .map(r => ({ txid: r.txid, confirmations: Number(r.confirmations || 0), time: r.blocktime ? Number(r.blocktime) * 1000 : null, amount: Number(r.amount || 0) }));
+    }
+  };
+}
+
+/**
+ * TronGrid for TRC20 token transfers (USDT by default)
+ * @param {Object} opts - { baseUrl, apiKey, contract, fetch, timeoutMs }
+ */
+export function createTronGridBackend(opts = {}) {
+  const baseUrl = String(opts.baseUrl || process.env.TRON_API_URL || 'https://api.trongrid.io').replace(/\/$/, '');
+  const apiKey = opts.apiKey || process.env.TRON_API_KEY || null;
+  const contract = opts.contract || process.env.USDT_TRC20_CONTRACT || USDT_TRC20_CONTRACT;
+  const http = opts.fetch || fetch;
+  const timeoutMs = Number(opts.timeoutMs || DEFAULT_TIMEOUT_MS);
+  const headers = apiKey ? { 'TRON-PRO-API-KEY': apiKey } : {};
+
+  async function headBlock() {
+    const block = await getJson(http, `${baseUrl}/wallet/getnowblock`, { method: 'POST', body: {}, headers, timeoutMs });
+    return Number(block?.block_header?.raw_data?.number || 0);
+  }
+
+  async function blockOf(txid) {
+    const info = await getJson(http, `${baseUrl}/wallet/gettransactioninfobyid`, { method: 'POST', body: { value: txid }, headers, timeoutMs });
+    return info && info.blockNumber !== undefined ? Number(info.blockNumber) : null;
+  }
+
+  const transfers = async (address) => {
+    const page = await getJson(http, `${baseUrl}/v1/accounts/${address}/transactions/trc20?only_to=true&limit=50&contract_address=${contract}`, { headers, timeoutMs });
+    return (page?.data || []).map(t => ({
+      txid: t.transaction_id,
+      to: t.to,
+      time: t.block_timestamp ? Number(t.block_timestamp) : null,
+      amount: Number(t.value || 0) / 10 ** Number(t.token_info?.decimals ?? 6)
+    }));
+  };
+
+  return {
+    name: 'trongrid',
+    chain: 'TRON',
+    async getTransaction(txid, address) {
+      // Transfers are looked up on the receiving account, which also gives base58 addresses
+      if (!address) throw new Error('TronGrid lookups need the receiving address');
+      const matching = (await transfers(address)).filter(t => t.txid === txid);
+      if (!matching.length) return null;
+      const block = await blockOf(txid);
+      const head = block === null ? 0 : await headBlock();
+      const outputs = matching.map(t => ({ address: t.to, amount: t.amount }));
+      return { txid, confirmations: block === null ? 0 : Math.max(0, head - block + 1), time: matching[0].time, outputs };
+    },
+    async incoming(address) {
+      const list = (await transfers(address)).filter(t => t.to === address);
+      if (!list.length) return [];
+      const head = await headBlock();
+      const out = [];
+      for (const t of list) {
+        const block = await blockOf(t.txid);
+        out.push({ txid: t.txid, confirmations: block === null ? 0 : Math.max(0, head - block + 1), time: t.time, amount: t.amount });
+      }
+      return out;
+    }
+  };
+}
+
+/**
+ * In-memory chain for development and tests: add transactions, then confirm them
+ */
+export function createStubBackend(chain = 'BTC') {
+  const txs = new Map();
+  return {
+    name: 'stub',
+    chain,
+    addTransaction({ txid, outputs = [], confirmations = 0, time = Date.now() }) {
+      txs.set(txid, { txid, outputs, confirmations, time });
+    },
+    confirm(txid, confirmations) {
+      const tx = txs.get(txid);
+      if (tx) tx.confirmations = confirmations;
+    },
+    async getTransaction(txid) {
+      const tx = txs.get(txid);
+      return tx ? { ...tx, outputs: tx.outputs.map(o => ({ ...o })) } : null;
+    },
+    async incoming(address) {
+      return [...txs.values()]
+        .map(tx => ({ txid: tx.txid, confirmations: tx.confirmations, time: tx.time, amount: tx.outputs.filter(o => o.address === address).reduce((sum, o) => sum + Number(o.amount), 0) }))
+        .filter(tx => tx.amount > 0);
+    }
+  };
+}
+
+/**
+ * Backends picked from the environment: BTC_CHAIN_BACKEND=esplora|bitcoind|stub
+ * (default esplora) and TRON_CHAIN_BACKEND=trongrid|stub (default trongrid)
+ * @returns {{ BTC, TRON }}
+ */
+export function chainBackendsFromEnv(env = process.env) {
+  const btc = String(env.BTC_CHAIN_BACKEND || 'esplora').toLowerCase();
+  const tron = String(env.TRON_CHAIN_BACKEND || 'trongrid').toLowerCase();
+  return {
+    BTC: btc === 'bitcoind' ? createBitcoinRpcBackend() : btc === 'stub' ? createStubBackend('BTC') : createEsploraBackend(),
+    TRON: tron === 'stub' ? createStubBackend('TRON') : createTronGridBackend()
+  };
+}
+
+export default { createEsploraBackend, createBitcoinRpcBackend, createTronGridBackend, createStubBackend, chainBackendsFromEnv, USDT_TRC20_CONTRACT };
@@ -0,0 +1,240 @@
+/**
+ * Safaricom Daraja (M-Pesa) API client: OAuth token caching, STK push,
+ * STK query, C2B URL registration and Pull Transactions (the shortcode's
+ * received payments, used by the payment reconciler). The alternative M-Pesa backend to
+ * lib/lipana-client.js (pick one with MPESA_BACKEND, see lib/mpesa-backend.js).
+ *
+ * Configuration comes from MPESA_* environment variables unless passed in;
+ * `baseUrl` points the client at scripts/daraja-stub-server.js in tests.
+ */
+
+const TOKEN_MARGIN_MS = 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 20000;
+
+// STK result codes seen on the callback and on STK query
+export const DARAJA_RESULT_CODES = {
+  0: 'success',
+  1: 'insufficient_funds',
+  1001: 'busy',
+  1019: 'expired',
+  1025: 'failed',
+  1032: 'cancelled',
+  1037: 'timeout',
+  2001: 'wrong_pin',
+  9999: 'failed'
+};
+
+// "The transaction is being processed": the customer has not answered the prompt yet
+const PENDING_ERROR_CODES = ['500.001.1001'];
+
+/**
+ * Map an STK callback or query body to { status: success|failed|pending|unknown, reason, code }
+ */
+export function darajaResult(raw = {}) {
+  if (raw?.errorCode) {
+    return PENDING_ERROR_CODES.includes(raw.errorCode) || /being processed/i.test(raw.errorMessage || '')
+      ? { status: 'pending', reason: raw.errorMessage || raw.errorCode, code: null }
+      : { status: 'unknown', reason: raw.errorMessage || raw.errorCode, code: null };
+  }
+  if (raw?.ResultCode === undefined || raw?.ResultCode === null) return { status: 'unknown', reason: null, code: null };
+  const code = Number(raw.ResultCode);
+  if (code === 0) return { status: 'success', reason: null, code };
+  return { status: 'failed', reason: DARAJA_RESULT_CODES[code] || `result_${code}`, code };
+}
+
+export function baseUrlFor(env) {
+  return env === 'production' ? 'https://api.safaricom.co.ke' : 'https://sandbox.safaricom.co.ke';
+}
+
+/**
+ * Daraja timestamp, YYYYMMDDHHmmss in Kenyan time
+ */
+export function darajaTimestamp(date = new Date()) {
+  const eat = new Date(date.getTime() + 3 * 60 * 60 * 1000);
+  return eat.toISOString().replace(/[-T:]/g, '').slice(0, 14);
+}
+
+/**
+ * "YYYY-MM-DD HH:mm:ss" in Kenyan time, as Pull Transactions takes its range
+ */
+export function darajaDateTime(date = new Date()) {
+  const eat = new Date(new Date(date).getTime() + 3 * 60 * 60 * 1000);
+  return eat.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * 07XXXXXXXX / +2547XXXXXXXX / 7XXXXXXXX -> 2547XXXXXXXX
+ */
+export function normalizeMsisdn(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (/^254[17]\d{8}$/.test(digits)) return digits;
+  if (/^0[17]\d{8}$/.test(digits)) return `254${digits.slice(1)}`;
+  if (/^[17]\d{8}$/.test(digits)) return `254${digits}`;
+  return null;
+}
+
+export function stkPassword(shortcode, passkey, ts) {
+  return Buffer.from(`${shortcode}${passkey}${ts}`).toString('base64');
+}
+
+/**
+ * @param {Object} opts - { consumerKey, consumerSecret, shortcode, passkey, callbackUrl, env, baseUrl, transactionType, timeoutMs, fetch }
+ *   transactionType: CustomerPayBillOnline (paybill) or CustomerBuyGoodsOnline (till)
+ */
+export function createDarajaClient(opts = {}) {
+  const env = opts.env || process.env.MPESA_ENV || 'sandbox';
+  const config = {
+    consumerKey: opts.consumerKey || process.env.MPESA_CONSUMER_KEY || null,
+    consumerSecret: opts.consumerSecret || process.env.MPESA_CONSUMER_SECRET || null,
+    shortcode: opts.shortcode || process.env.MPESA_SHORTCODE || null,
+    passkey: opts.passkey || process.env.MPESA_PASSKEY || null,
+    callbackUrl: opts.callbackUrl || process.env.MPESA_CALLBACK_URL || null,
+    baseUrl: opts.baseUrl || process.env.MPESA_BASE_URL || baseUrlFor(env),
+    transactionType: opts.transactionType || process.env.MPESA_TRANSACTION_TYPE || 'CustomerPayBillOnline',
+    timeoutMs: Number(opts.timeoutMs || DEFAULT_TIMEOUT_MS)
+  };
+  const http = opts.fetch || fetch;
+  let cached = null;
+  let inflight = null;
+
+  async function request(path, { method = 'GET', headers = {}, body } = {}) {
+    const res = await http(config.baseUrl + path, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: AbortSignal.timeout(config.timeoutMs)
+    });
+    const json = await res.json().catch(() => null);
+    return { status: res.status, ok: res.ok, raw: json };
+  }
+
+  async function fetchToken() {
+    if (!config.consumerKey || !config.consumerSecret) throw new Error('Missing MPESA consumer key/secret in environment');
+    const auth = Buffer.from(`${config.consumerKey}:${config.consumerSecret}`).toString('base64');
+    const resp = await request('/oauth/v1/generate?grant_type=client_credentials', { headers: { Authorization: `Basic ${auth}` } });
+    if (!resp.ok || !resp.raw?.access_token) throw new Error(`Failed to get access token: ${resp.status} ${JSON.stringify(resp.raw)}`);
+    const ttlMs = Number(resp.raw.expires_in || 3599) * 1000;
+    cached = { token: resp.raw.access_token, expiresAt: Date.now() + Math.max(0, ttlMs - TOKEN_MARGIN_MS) };
+    return cached.token;
+  }
+
+  /**
+   * Cached OAuth token; concurrent callers share one token request
+   */
+  async function getAccessToken({ force = false } = {}) {
+    if (!force && cached && cached.expiresAt > Date.now()) return cached.token;
+    if (!inflight) inflight = fetchToken().finally(() => { inflight = null; });
+    return inflight;
+  }
+
+  // Authorised call; a rejected token (revoked or expired early) is refreshed once
+  async function authorised(path, body) {
+    let token = await getAccessToken();
+    let resp = await request(path, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body });
+    if (resp.status === 401) {
+      token = await getAccessToken({ force: true });
+      resp = await request(path, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body });
+    }
+    return resp;
+  }
+
+  function requireShortcode() {
+    if (!config.shortcode || !config.passkey) throw new Error('MPESA_SHORTCODE and MPESA_PASSKEY must be set in environment');
+  }
+
+  /**
+   * Send an STK prompt to the customer's phone
+   * @returns {{ ok, status, checkoutRequestId, merchantRequestId, reason, raw }}
+   */
+  async function stkPush({ amount, phone, accountReference = 'Betrix', transactionDesc = 'Betrix access', callbackUrl = null } = {}) {
+    requireShortcode();
+    const msisdn = normalizeMsisdn(phone);
+    if (!msisdn) throw new Error('A Safaricom phone number is required for STK push');
+    const ts = darajaTimestamp();
+    const resp = await authorised('/mpesa/stkpush/v1/processrequest', {
+      BusinessShortCode: config.shortcode,
+      Password: stkPassword(config.shortcode, config.passkey, ts),
+      Timestamp: ts,
+      TransactionType: config.transactionType,
+      Amount: Math.ceil(Number(amount)),
+      PartyA: msisdn,
+      PartyB: config.shortcode,
+      PhoneNumber: msisdn,
+      CallBackURL: callbackUrl || config.callbackUrl,
+      AccountReference: String(accountReference).slice(0, 12),
+      TransactionDesc: String(transactionDesc).slice(0, 13)
+    });
+    const accepted = resp.ok && String(resp.raw?.ResponseCode) === '0';
+    return {
+      ok: accepted,
+      status: resp.status,
+      checkoutRequestId: resp.raw?.CheckoutRequestID || null,
+      merchantRequestId: resp.raw?.MerchantRequestID || null,
+      reason: accepted ? null : (resp.raw?.errorMessage || resp.raw?.ResponseDescription || `http_${resp.status}`),
+      raw: resp.raw
+    };
+  }
+
+  /**
+   * Status of an earlier STK push
+   * @returns {{ status, reason, code, httpStatus, raw }}
+   */
+  async function stkQuery({ checkoutRequestId } = {}) {
+    if (!checkoutRequestId) throw new Error('CheckoutRequestID is required for STK query');
+    requireShortcode();
+    const ts = darajaTimestamp();
+    const resp = await authorised('/mpesa/stkpushquery/v1/query', {
+      BusinessShortCode: config.shortcode,
+      Password: stkPassword(config.shortcode, config.passkey, ts),
+      Timestamp: ts,
+      CheckoutRequestID: checkoutRequestId
+    });
+    return { ...darajaResult(resp.raw || {}), httpStatus: resp.status, raw: resp.raw };
+  }
+
+  /**
+   * Register the C2B confirmation/validation URLs for the shortcode (paybill/till payments made without an STK prompt)
+   * @param {Object} opts - { confirmationUrl, validationUrl, responseType: Completed|Cancelled, shortcode }
+   */
+  async function registerC2BUrls({ confirmationUrl, validationUrl = null, responseType = 'Completed', shortcode = config.shortcode } = {}) {
+    if (!shortcode) throw new Error('MPESA_SHORTCODE must be set in environment');
+    if (!confirmationUrl) throw new Error('Confirmation URL is required');
+    const resp = await authorised('/mpesa/c2b/v1/registerurl', {
+      ShortCode: shortcode,
+      ResponseType: responseType,
+      ConfirmationURL: confirmationUrl,
+      ValidationURL: validationUrl || confirmationUrl
+    });
+    const ok = resp.ok && !resp.raw?.errorCode;
+    return { ok, status: resp.status, reason: ok ? null : (resp.raw?.errorMessage || `http_${resp.status}`), raw: resp.raw };
+  }
+
+  /**
+   * Payments received by the shortcode in a time range (the shortcode must be
+   * registered for Pull Transactions)
+   * @returns {{ ok, status, transactions: [{ transactionId, trxDate, msisdn, billreference, amount }], reason, raw }}
+   */
+  async function pullTransactions({ since, until, offset = 0 } = {}) {
+    if (!config.shortcode) throw new Error('MPESA_SHORTCODE must be set in environment');
+    const resp = await authorised('/pulltransactions/v1/query', {
+      ShortCode: config.shortcode,
+      StartDate: darajaDateTime(since),
+      EndDate: darajaDateTime(until),
+      OffSetValue: String(offset)
+    });
+    const ok = resp.ok && String(resp.raw?.ResponseCode) === '1000';
+    const rows = Array.isArray(resp.raw?.Response) ? resp.raw.Response.flat() : [];
+    return { ok, status: resp.status, transactions: rows.filter(r => r && r.transactionId), reason: ok ? null : (resp.raw?.ResponseMessage || resp.raw?.errorMessage || `http_${resp.status}`), raw: resp.raw };
+  }
+
+  return { config, getAccessToken, stkPush, stkQuery, registerC2BUrls, pullTransactions };
+}
+
+let defaultClient = null;
+
+export function getDefaultDarajaClient() {
+  if (!defaultClient) defaultClient = createDarajaClient();
+  return defaultClient;
+}
+
+export default { createDarajaClient, getDefaultDarajaClient, darajaResult, normalizeMsisdn };
@@ -0,0 +1,130 @@
+/**
+ * Invoice / receipt PDF: a single A4 page written directly as PDF 1.4 with
+ * the built-in Helvetica fonts, so no rendering library is needed.
+ *
+ * Text is WinAnsi (Latin-1); characters outside it (emoji, non-Latin
+ * scripts) print as "?".
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+// Helvetica advance widths (per 1000 units) for the characters amounts are made of
+const NARROW = { ' ': 278, '.': 278, ',': 278, '-': 333, ':': 278, '%': 889 };
+
+function pdfText(value) {
+  return String(value ?? '')
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+}
+
+function textWidth(value, size) {
+  let units = 0;
+  for (const ch of String(value)) units += NARROW[ch] ?? (/[0-9]/.test(ch) ? 556 : 600);
+  return units * size / 1000;
+}
+
+const money = (amount, currency) => `${currency} ${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Page content stream for an invoice
+ */
+function contentStream(invoice) {
+  const ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+  const text = (x, str, { size = 10, bold = false, right = false } = {}) => {
+    const left = right ? x - textWidth(str, size) : x;
+    ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td (${pdfText(str)}) Tj ET`);
+  };
+  const rule = () => ops.push(`0.6 w ${MARGIN} ${y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${y.toFixed(2)} l S`);
+  const right = PAGE_WIDTH - MARGIN;
+  const seller = invoice.seller || {};
+
+  text(MARGIN, seller.name || 'BETRIX', { size: 18, bold: true });
+  text(right, invoice.tax ? 'TAX INVOICE / RECEIPT' : 'RECEIPT', { size: 14, bold: true, right: true });
+  y -= 18;
+  for (const line of [seller.address, seller.taxId ? `Tax ID: ${seller.taxId}` : null, seller.email].filter(Boolean)) {
+    text(MARGIN, line, { size: 9 });
+    y -= 12;
+  }
+
+  y -= 12;
+  text(MARGIN, 'Invoice no.', { bold: true });
+  text(150, invoice.number);
+  text(330, 'Date', { bold: true });
+  text(400, String(invoice.issuedAt || '').slice(0, 10));
+  y -= 14;
+  text(MARGIN, 'Order', { bold: true });
+  text(150, invoice.orderId);
+  text(330, 'Paid via', { bold: true });
+  text(400, invoice.paymentMethod || '-');
+  y -= 14;
+  text(MARGIN, 'Billed to', { bold: true });
+  text(150, `${invoice.customer?.name || `User ${invoice.userId}`}${invoice.customer?.country ? ` (${invoice.customer.country})` : ''}`);
+  if (invoice.transactionId) {
+    text(330, 'Reference', { bold: true });
+    text(400, invoice.transactionId);
+  }
+
+  y -= 28;
+  text(MARGIN, 'Description', { bold: true });
+  text(right, 'Amount', { bold: true, right: true });
+  y -= 6;
+  rule();
+  y -= 16;
+  for (const line of invoice.lines || []) {
+    text(MARGIN, line.description);
+    text(right, money(line.amount, invoice.currency), { right: true });
+    y -= 16;
+  }
+  y += 10;
+  rule();
+  y -= 18;
+
+  if (invoice.tax) {
+    text(330, 'Net');
+    text(right, money(invoice.net, invoice.currency), { right: true });
+    y -= 14;
+    text(330, `${invoice.tax.name} ${invoice.tax.rate}%${invoice.tax.inclusive ? ' (included)' : ''}`);
+    text(right, money(invoice.tax.amount, invoice.currency), { right: true });
+    y -= 16;
+  }
+  text(330, 'Total paid', { size: 12, bold: true });
+  text(right, money(invoice.total, invoice.currency), { size: 12, bold: true, right: true });
+
+  y = MARGIN + 20;
+  text(MARGIN, invoice.footer || 'Thank you for subscribing. Keep this receipt for your records.', { size: 8 });
+  return ops.join('\n');
+}
+
+/**
+ * Render an invoice (see services/invoice-service.js) as a PDF
+ * @returns {Buffer}
+ */
+export function renderInvoicePdf(invoice) {
+  const stream = contentStream(invoice);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`,
+    `<< /Title (${pdfText(`Invoice ${invoice.number}`)}) /Producer (BETRIX) >>`
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(Buffer.byteLength(pdf, 'latin1'));
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xref = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+export default { renderInvoicePdf };
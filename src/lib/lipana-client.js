@@ -45,4 +45,26 @@ async function getTransaction(transactionId) {
   return { status: resp.status, raw: parsed || null };
 }
 
-export default { stkPush, getTransaction };
+/**
+ * Transactions created between two dates (ISO strings or ms)
+ */
+async function listTransactions({ since, until } = {}) {
+  if (!LIPANA_PUBLISHABLE) throw new Error('LIPANA_API_KEY (publishable) not set');
+  const params = new URLSearchParams();
+  if (since) params.set('from', new Date(since).toISOString());
+  if (until) params.set('to', new Date(until).toISOString());
+  const url = `${LIPANA_BASE}/v1/transactions?${params}`;
+  const resp = await fetch(url, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': LIPANA_PUBLISHABLE
+    },
+    timeout: 15000
+  });
+  let parsed = null;
+  try { parsed = await resp.json(); } catch (e) { void e; }
+  return { status: resp.status, raw: parsed || null };
+}
+
+export default { stkPush, getTransaction, listTransactions };
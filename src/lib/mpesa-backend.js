@@ -0,0 +1,70 @@
+/**
+ * M-Pesa STK backend selection: Lipana (lib/lipana-client.js) or a direct
+ * Safaricom Daraja integration (lib/daraja-client.js).
+ *
+ * MPESA_BACKEND=lipana|daraja picks one explicitly; otherwise Lipana is used
+ * when LIPANA_API_KEY is set and Daraja when MPESA_CONSUMER_KEY is.
+ *
+ * Both backends keep Lipana's call shape, stkPush({ amount, phone, tx_ref,
+ * reference, callback_url }), and add normalised fields to the response:
+ * { ok, gateway, checkoutId, reason, status, raw }. `callbackUrl` is the
+ * callback configured for that backend.
+ */
+
+import lipana from './lipana-client.js';
+import { getDefaultDarajaClient } from './daraja-client.js';
+
+export const MPESA_BACKENDS = ['LIPANA', 'DARAJA'];
+
+export function mpesaBackendName(env = process.env) {
+  const configured = String(env.MPESA_BACKEND || '').toUpperCase();
+  if (MPESA_BACKENDS.includes(configured)) return configured;
+  if (env.LIPANA_API_KEY) return 'LIPANA';
+  if (env.MPESA_CONSUMER_KEY) return 'DARAJA';
+  return 'LIPANA';
+}
+
+function lipanaBackend(client) {
+  return {
+    name: 'LIPANA',
+    callbackUrl: process.env.LIPANA_CALLBACK_URL || process.env.MPESA_CALLBACK_URL || null,
+    async stkPush(args) {
+      try {
+        const resp = await client.stkPush(args);
+        const checkoutId = resp?.raw?.data?.transactionId || resp?.raw?.data?._id || null;
+        const ok = Boolean(checkoutId) && resp.status >= 200 && resp.status < 300;
+        return { ...resp, ok, gateway: 'LIPANA', checkoutId, reason: ok ? null : (resp?.raw?.message || `http_${resp?.status}`) };
+      } catch (err) {
+        return { ok: false, gateway: 'LIPANA', checkoutId: null, reason: err?.message || String(err), status: null, raw: null };
+      }
+    }
+  };
+}
+
+function darajaBackend(client) {
+  return {
+    name: 'DARAJA',
+    // Daraja posts Body.stkCallback to the payment webhook route (/webhooks/payments/mpesa)
+    callbackUrl: process.env.MPESA_CALLBACK_URL || null,
+    async stkPush({ amount, phone, tx_ref, reference, callback_url } = {}) {
+      try {
+        const resp = await client.stkPush({ amount, phone, accountReference: reference || tx_ref || 'Betrix', callbackUrl: callback_url || null });
+        return { ok: resp.ok, gateway: 'DARAJA', checkoutId: resp.checkoutRequestId, reason: resp.reason, status: resp.status, raw: resp.raw };
+      } catch (err) {
+        return { ok: false, gateway: 'DARAJA', checkoutId: null, reason: err?.message || String(err), status: null, raw: null };
+      }
+    },
+    stkQuery: (args) => client.stkQuery(args)
+  };
+}
+
+/**
+ * @param {Object} opts - { name: LIPANA|DARAJA, lipanaClient, darajaClient }
+ */
+export function createStkBackend({ name = mpesaBackendName(), lipanaClient = lipana, darajaClient = null } = {}) {
+  return String(name).toUpperCase() === 'DARAJA'
+    ? darajaBackend(darajaClient || getDefaultDarajaClient())
+    : lipanaBackend(lipanaClient);
+}
+
+export default createStkBackend;
@@ -0,0 +1,230 @@
+/**
+ * Payment confirmation SMS parsing and order matching.
+ *
+ * parseConfirmationSms() understands the confirmations users paste back into
+ * the chat: Safaricom M-Pesa (send money, paybill, buy goods, received),
+ * Airtel Money (KE/UG/TZ) and PayPal receipts. It extracts the receipt code,
+ * amount (thousands separators allowed), currency, counterparty name,
+ * account/till/paybill, phone and timestamp.
+ *
+ * scoreMatch() rates how well a parsed message fits a pending order (0..1,
+ * with the reasons); services/payment-sms-verifier.js decides whether that is
+ * good enough to activate or needs an admin to look at it.
+ */
+
+// East Africa Time; M-Pesa and Airtel print local times without an offset
+const EAT_OFFSET = '+03:00';
+
+const CURRENCY_ALIASES = {
+  KSH: 'KES', KES: 'KES', 'KSH.': 'KES', 'KES.': 'KES',
+  UGX: 'UGX', USH: 'UGX', TZS: 'TZS', TSH: 'TZS',
+  USD: 'USD', $: 'USD', US$: 'USD', EUR: 'EUR', '€': 'EUR', GBP: 'GBP', '£': 'GBP'
+};
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+const AMOUNT = '(Ksh\\.?|KES\\.?|UGX|USh|TZS|TSh|USD|US\\$|\\$|EUR|€|GBP|£)\\s?([0-9]{1,3}(?:,[0-9]{3})+(?:\\.[0-9]{1,2})?|[0-9]+(?:\\.[0-9]{1,2})?)';
+
+export function parseAmount(value) {
+  if (value === null || value === undefined) return null;
+  const n = Number(String(value).replace(/,/g, '').trim());
+  return Number.isFinite(n) ? n : null;
+}
+
+function currencyOf(symbol) {
+  return CURRENCY_ALIASES[String(symbol || '').toUpperCase()] || null;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function isoLocal(year, month, day, hour = 0, minute = 0) {
+  if (!year || !month || !day || month > 12 || day > 31) return null;
+  const y = year < 100 ? 2000 + year : year;
+  const date = new Date(`${y}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:00${EAT_OFFSET}`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Timestamps as printed in confirmations:
+ *   M-Pesa  "on 12/3/24 at 4:05 PM" (day/month/year)
+ *   Airtel  "on 12/03/2024 15:30", "12-03-24 15:30"
+ *   PayPal  "Mar 12, 2024" / "12 Mar 2024"
+ * @returns {string|null} ISO timestamp
+ */
+export function parseSmsTimestamp(text) {
+  const numeric = text.match(/\b(\d{1,2})[/-](\d{1,2})[/-](\d{2,4})(?:\s+(?:at\s+)?(\d{1,2}):(\d{2})(?:\s*([AP]M))?)?/i);
+  if (numeric) {
+    let hour = Number(numeric[4] || 0);
+    const meridiem = (numeric[6] || '').toUpperCase();
+    if (meridiem === 'PM' && hour < 12) hour += 12;
+    if (meridiem === 'AM' && hour === 12) hour = 0;
+    return isoLocal(Number(numeric[3]), Number(numeric[2]), Number(numeric[1]), hour, Number(numeric[5] || 0));
+  }
+  const named = text.match(/\b([A-Z][a-z]{2})[a-z]*\.? (\d{1,2}),? (\d{4})\b/) || text.match(/\b(\d{1,2}) ([A-Z][a-z]{2})[a-z]* (\d{4})\b/);
+  if (named) {
+    const [monthName, day] = /^\d/.test(named[1]) ? [named[2], named[1]] : [named[1], named[2]];
+    const month = MONTHS[monthName.toLowerCase()];
+    if (month) return isoLocal(Number(named[3]), month, Number(day));
+  }
+  return null;
+}
+
+function cleanName(name) {
+  const value = String(name || '').replace(/\s+/g, ' ').replace(/[.,]+$/, '').trim();
+  return value || null;
+}
+
+const DIALING_CODES = { KES: '254', UGX: '256', TZS: '255' };
+
+function normalizePhone(phone, currency = 'KES') {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (/^0[17]\d{8}$/.test(digits)) return `${DIALING_CODES[currency] || DIALING_CODES.KES}${digits.slice(1)}`;
+  return digits || null;
+}
+
+function parseMpesa(text) {
+  const receipt = text.match(/\b([A-Z0-9]{10})\s+Confirmed\b/i);
+  if (!receipt) return null;
+  const out = { provider: 'MPESA', receipt: receipt[1].toUpperCase() };
+  const amountRe = new RegExp(AMOUNT, 'i');
+
+  let m;
+  if ((m = text.match(new RegExp(`${AMOUNT}\\s+sent to\\s+(.+?)\\s+for account\\s+(\\S+?)\\s+on\\b`, 'i')))) {
+    Object.assign(out, { kind: 'paybill', currency: currencyOf(m[1]), amount: parseAmount(m[2]), counterparty: cleanName(m[3]), account: m[4].replace(/[.,]$/, '') });
+  } else if ((m = text.match(new RegExp(`${AMOUNT}\\s+paid to\\s+(.+?)\\.?\\s+on\\b`, 'i')))) {
+    Object.assign(out, { kind: 'till', currency: currencyOf(m[1]), amount: parseAmount(m[2]), counterparty: cleanName(m[3]) });
+  } else if ((m = text.match(new RegExp(`received\\s+${AMOUNT}\\s+from\\s+(.+?)\\s+(\\+?\\d[\\d ]{8,13}\\d)?\\s*on\\b`, 'i')))) {
+    Object.assign(out, { kind: 'received', currency: currencyOf(m[1]), amount: parseAmount(m[2]), counterparty: cleanName(m[3]), phone: m[4] || null });
+  } else if ((m = text.match(new RegExp(`${AMOUNT}\\s+sent to\\s+(.+?)\\s+(\\+?\\d[\\d ]{8,13}\\d)\\s+on\\b`, 'i')))) {
+    Object.assign(out, { kind: 'send_money', currency: currencyOf(m[1]), amount: parseAmount(m[2]), counterparty: cleanName(m[3]), phone: m[4] });
+  } else if ((m = text.match(amountRe))) {
+    Object.assign(out, { kind: 'unknown', currency: currencyOf(m[1]), amount: parseAmount(m[2]) });
+  }
+  return out;
+}
+
+function parseAirtel(text) {
+  if (!/airtel|\bTID\b|Trans(?:action)?\.?\s*ID/i.test(text) || /paypal/i.test(text)) return null;
+  const receipt = text.match(/(?:Trans(?:action)?\.?\s*ID|TID)\s*[:.]?\s*([A-Z0-9][A-Z0-9.]{5,30}[A-Z0-9])/i);
+  const amount = text.match(new RegExp(`(?:sent|paid|payment of|received)\\s+(?:you\\s+)?${AMOUNT}`, 'i')) || text.match(new RegExp(AMOUNT, 'i'));
+  if (!receipt && !amount) return null;
+  const out = { provider: 'AIRTEL', receipt: receipt ? receipt[1].toUpperCase() : null, kind: /received/i.test(text) ? 'received' : 'send_money' };
+  if (amount) Object.assign(out, { currency: currencyOf(amount[1]), amount: parseAmount(amount[2]) });
+  const to = text.match(/\b(?:to|from)\s+([A-Z][A-Za-z .'&-]+?)\s*(?:\(?(\+?\d[\d ]{8,13}\d)\)?)?(?=\s+(?:on|at|\d)|[.,])/);
+  if (to) Object.assign(out, { counterparty: cleanName(to[1]), phone: to[2] || null });
+  return out;
+}
+
+function parsePayPal(text) {
+  if (!/paypal|transaction id[:\s]+[A-Z0-9]{17}\b/i.test(text)) return null;
+  const receipt = text.match(/Transaction ID[:\s#]*([A-Z0-9]{17})\b/i);
+  const amount = text.match(new RegExp(`(?:sent|paid|payment of)\\s+(?:a payment of\\s+)?${AMOUNT}(?:\\s*(USD|EUR|GBP))?`, 'i')) || text.match(new RegExp(`${AMOUNT}(?:\\s*(USD|EUR|GBP))?`, 'i'));
+  const out = { provider: 'PAYPAL', kind: 'sent', receipt: receipt ? receipt[1].toUpperCase() : null };
+  if (amount) Object.assign(out, { currency: currencyOf(amount[3] || amount[1]), amount: parseAmount(amount[2]) });
+  const to = text.match(/\bto\s+([A-Z][A-Za-z0-9 .'&-]+?)(?=\s*(?:[.,]|\bon\b|\bTransaction\b|$))/);
+  if (to) out.counterparty = cleanName(to[1]);
+  return out;
+}
+
+/**
+ * Quick check before treating a chat message as a payment confirmation
+ */
+export function looksLikePaymentSms(text) {
+  if (!text || typeof text !== 'string' || text.length < 25) return false;
+  if (/\b[A-Z0-9]{10}\s+Confirmed\b/i.test(text)) return true;
+  return /(?:Trans(?:action)?\.?\s*ID|TID)\s*[:.#]?\s*[A-Z0-9]/i.test(text) && new RegExp(AMOUNT, 'i').test(text);
+}
+
+/**
+ * @returns {{ provider, kind, receipt, amount, currency, counterparty, account, till, paybill, phone, timestamp, reference }}
+ *   provider is null when no known format matched
+ */
+export function parseConfirmationSms(text) {
+  const normalized = String(text || '').replace(/[\r\n]+/g, ' ').replace(/\s{2,}/g, ' ').trim();
+  const parsed = parseMpesa(normalized) || parsePayPal(normalized) || parseAirtel(normalized) || { provider: null, kind: 'unknown' };
+
+  // Till/paybill numbers and references are only present when the sender typed them or the format prints them
+  const till = normalized.match(/\b(?:Till(?:\s*(?:No\.?|Number))?|Buy Goods)\s*[:#]?\s*(\d{5,7})\b/i);
+  const paybill = normalized.match(/\b(?:Pay\s?bill|Business(?:\s*No\.?)?)\s*[:#]?\s*(\d{5,7})\b/i);
+  const reference = normalized.match(/\b(?:Ref(?:erence)?|Acc(?:ount)?(?:\s*No\.?)?)\s*[:#]\s*([A-Z0-9-]{4,32})\b/i);
+  const phone = parsed.phone || (normalized.match(/(?:\+?25[456]|\b0)[17]\d{8}\b/) || [])[0] || null;
+
+  const currency = parsed.currency || (parsed.provider === 'MPESA' ? 'KES' : null);
+
+  return {
+    provider: parsed.provider,
+    kind: parsed.kind || 'unknown',
+    receipt: parsed.receipt || null,
+    amount: parsed.amount ?? null,
+    currency,
+    counterparty: parsed.counterparty || null,
+    account: parsed.account || (reference ? reference[1] : null),
+    till: till ? till[1] : null,
+    paybill: paybill ? paybill[1] : null,
+    phone: normalizePhone(phone, currency),
+    timestamp: parseSmsTimestamp(normalized),
+    normalized
+  };
+}
+
+const PROVIDER_METHODS = {
+  MPESA: ['MPESA', 'SAFARICOM_TILL'],
+  AIRTEL: ['AIRTEL', 'MPESA'],
+  PAYPAL: ['PAYPAL']
+};
+
+/**
+ * How well a parsed confirmation fits a pending order
+ * @param {Object} parsed - parseConfirmationSms() result
+ * @param {Object} order - payment-router order
+ * @param {Object} merchant - { names: [], tills: [], paybills: [] } our own identifiers
+ * @returns {{ score: number, reasons: string[] }} score in 0..1
+ */
+export function scoreMatch(parsed, order, merchant = {}) {
+  const reasons = [];
+  let score = 0;
+  const expected = Number(order.totalAmount || 0);
+
+  if (parsed.amount !== null && expected > 0) {
+    const diff = parsed.amount - expected;
+    if (Math.abs(diff) <= 1) { score += 0.4; reasons.push('amount_exact'); }
+    else if (diff > 0 && diff <= expected * 0.05) { score += 0.25; reasons.push('amount_over'); }
+    else { score -= 0.4; reasons.push(diff < 0 ? 'amount_short' : 'amount_mismatch'); }
+  } else {
+    reasons.push('amount_missing');
+  }
+  if (parsed.currency && order.currency && parsed.currency !== order.currency) { score -= 0.3; reasons.push('currency_mismatch'); }
+
+  const refs = [order.orderId, order.providerRef, order.instructions?.reference].filter(Boolean).map(r => String(r).toUpperCase());
+  if (parsed.account && refs.includes(String(parsed.account).toUpperCase())) { score += 0.35; reasons.push('reference'); }
+  else if (refs.some(r => parsed.normalized?.toUpperCase().includes(r))) { score += 0.3; reasons.push('reference_in_text'); }
+
+  const names = (merchant.names || []).map(n => String(n).toUpperCase());
+  const counterparty = String(parsed.counterparty || '').toUpperCase();
+  if ((parsed.till && (merchant.tills || []).includes(parsed.till)) || (parsed.paybill && (merchant.paybills || []).includes(parsed.paybill))) {
+    score += 0.2; reasons.push('merchant_number');
+  } else if (counterparty && names.some(n => counterparty.includes(n))) {
+    score += 0.15; reasons.push('merchant_name');
+  } else if (parsed.kind === 'send_money') {
+    score -= 0.2; reasons.push('sent_to_person');
+  }
+
+  if (parsed.timestamp && order.createdAt) {
+    const paidAt = Date.parse(parsed.timestamp);
+    const created = Date.parse(order.createdAt);
+    // Receipts print minutes only; allow a little clock skew before the order
+    if (paidAt < created - 5 * 60 * 1000) { score -= 0.3; reasons.push('before_order'); }
+    else if (paidAt <= created + 24 * 60 * 60 * 1000) { score += 0.15; reasons.push('timely'); }
+  }
+
+  const orderPhone = normalizePhone(order.metadata?.phone, order.currency);
+  if (parsed.phone && orderPhone && parsed.phone === orderPhone) { score += 0.1; reasons.push('phone'); }
+  if (parsed.provider && (PROVIDER_METHODS[parsed.provider] || []).includes(order.paymentMethod)) { score += 0.05; reasons.push('provider'); }
+  if (!parsed.receipt) { score -= 0.2; reasons.push('no_receipt'); }
+
+  return { score: Math.max(0, Math.min(1, Math.round(score * 100) / 100)), reasons };
+}
+
+export default { parseConfirmationSms, parseSmsTimestamp, parseAmount, looksLikePaymentSms, scoreMatch };
@@ -0,0 +1,149 @@
+/**
+ * Price book: list prices per tier and currency.
+ *
+ * KES, USD, GBP and EUR prices are set by hand. Any other currency (NGN, ZAR,
+ * TZS, UGX, GHS, ...) is derived from the USD price with the FX rate table
+ * (services/fx-rates.js; per 1 USD) and rounded with that currency's rule, so
+ * 8.99 USD becomes "13,500 NGN" rather than "13,485.00 NGN". Set a price by
+ * hand for any currency with PRICE_BOOK, e.g. {"PRO":{"NGN":12900}}, and
+ * change rounding with PRICE_ROUNDING, e.g. {"NGN":{"step":100,"end":1}}.
+ *
+ * A rounding rule rounds up to a multiple of `step` and takes `end` off,
+ * giving charm prices: KES { step: 10, end: 1 } turns 1,163 into 1,169.
+ */
+
+export const BASE_PRICE_BOOK = {
+  SIGNUP: { KES: 150, USD: 1, GBP: 0.99, EUR: 0.99 },
+  PRO: { KES: 899, USD: 8.99, GBP: 6.99, EUR: 7.99 },
+  VVIP: { KES: 2699, USD: 29.99, GBP: 23.99, EUR: 27.99 },
+  PLUS: { KES: 8999, USD: 99.99, GBP: 79.99, EUR: 89.99 },
+  FIXED_BRONZE: { KES: 499, USD: 4.99, GBP: 3.99, EUR: 4.49 },
+  FIXED_SILVER: { KES: 1299, USD: 12.99, GBP: 9.99, EUR: 11.99 },
+  FIXED_GOLD: { KES: 4499, USD: 44.99, GBP: 34.99, EUR: 40.99 }
+};
+
+// Currencies shown in the price list; anything else is priced on demand
+export const PRICE_CURRENCIES = ['KES', 'USD', 'NGN', 'ZAR', 'TZS', 'UGX', 'GHS', 'GBP', 'EUR'];
+
+export const DEFAULT_ROUNDING = {
+  KES: { step: 10, end: 1 },
+  NGN: { step: 500, end: 0 },
+  ZAR: { step: 10, end: 1 },
+  TZS: { step: 500, end: 0 },
+  UGX: { step: 500, end: 0 },
+  GHS: { step: 5, end: 0 },
+  GBP: { step: 1, end: 0.01 },
+  EUR: { step: 1, end: 0.01 },
+  USD: { step: 1, end: 0.01 }
+};
+
+// Per 1 USD; used until a rate table has been fetched and cached
+export const DEFAULT_FX_RATES = {
+  USD: 1,
+  USDT: 1,
+  KES: 129,
+  NGN: 1500,
+  ZAR: 18,
+  TZS: 2500,
+  UGX: 3700,
+  GHS: 12,
+  GBP: 0.78,
+  EUR: 0.92,
+  AUD: 1.52
+};
+
+export const COUNTRY_CURRENCIES = {
+  KE: 'KES', UG: 'UGX', TZ: 'TZS', NG: 'NGN', ZA: 'ZAR', GH: 'GHS',
+  GB: 'GBP', UK: 'GBP', US: 'USD', CA: 'USD', AU: 'AUD',
+  DE: 'EUR', FR: 'EUR', IT: 'EUR', ES: 'EUR', NL: 'EUR', IE: 'EUR', PT: 'EUR', BE: 'EUR', AT: 'EUR', FI: 'EUR'
+};
+
+// Currencies without minor units in day-to-day prices
+const WHOLE_CURRENCIES = ['UGX', 'TZS', 'NGN', 'KES'];
+
+function parseJsonEnv(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Hand-set prices merged with PRICE_BOOK overrides
+ */
+export function priceBook(env = process.env) {
+  const overrides = parseJsonEnv(env.PRICE_BOOK);
+  const book = {};
+  for (const tier of new Set([...Object.keys(BASE_PRICE_BOOK), ...Object.keys(overrides)])) {
+    book[tier] = { ...(BASE_PRICE_BOOK[tier] || {}), ...(overrides[tier] || {}) };
+  }
+  return book;
+}
+
+export function roundingRules(env = process.env) {
+  return { ...DEFAULT_ROUNDING, ...parseJsonEnv(env.PRICE_ROUNDING) };
+}
+
+export function currencyForCountry(country, fallback = 'USD') {
+  return COUNTRY_CURRENCIES[String(country || '').toUpperCase()] || fallback;
+}
+
+export function roundPrice(amount, currency, rules = DEFAULT_ROUNDING) {
+  const rule = rules[currency] || { step: 0.01, end: 0 };
+  const step = Number(rule.step) || 0.01;
+  const rounded = Math.ceil(Number(amount) / step - 1e-9) * step - Number(rule.end || 0);
+  return Math.round(Math.max(rounded, step - Number(rule.end || 0)) * 100) / 100;
+}
+
+/**
+ * Convert between currencies with a per-USD rate table; null when either rate is missing
+ */
+export function convert(amount, from, to, rates = DEFAULT_FX_RATES) {
+  if (from === to) return Number(amount);
+  const fromRate = Number(rates[from]);
+  const toRate = Number(rates[to]);
+  if (!fromRate || !toRate) return null;
+  return Number(amount) / fromRate * toRate;
+}
+
+/**
+ * List price of `tier` in `currency`
+ * @param {Object} opts - { book, rates, rounding }
+ * @returns {{ amount, currency, source: 'book'|'fx' } | null} null for an unknown tier, or a
+ *   currency with neither a book price nor an FX rate (never a USD amount in its place)
+ */
+export function listPrice(tier, currency, { book = priceBook(), rates = DEFAULT_FX_RATES, rounding = roundingRules() } = {}) {
+  const prices = book[String(tier || '').toUpperCase()];
+  if (!prices) return null;
+  const cur = String(currency || 'USD').toUpperCase();
+  if (prices[cur] !== undefined) return { amount: Number(prices[cur]), currency: cur, source: 'book' };
+  const converted = prices.USD !== undefined ? convert(prices.USD, 'USD', cur, rates) : null;
+  if (converted === null) return null;
+  return { amount: roundPrice(converted, cur, rounding), currency: cur, source: 'fx' };
+}
+
+/**
+ * Every tier's price in each of PRICE_CURRENCIES
+ */
+export function priceList(opts = {}) {
+  const book = opts.book || priceBook();
+  const list = {};
+  for (const tier of Object.keys(book)) {
+    list[tier] = Object.fromEntries(PRICE_CURRENCIES.map(cur => [cur, listPrice(tier, cur, { ...opts, book })?.amount ?? null]));
+  }
+  return list;
+}
+
+/**
+ * "NGN 13,500", "KES 899", "GBP 6.99"
+ */
+export function formatMoney(amount, currency) {
+  const value = Number(amount || 0);
+  const whole = WHOLE_CURRENCIES.includes(currency) && Number.isInteger(value);
+  const digits = whole ? 0 : 2;
+  return `${currency} ${value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+}
+
+export default { BASE_PRICE_BOOK, PRICE_CURRENCIES, DEFAULT_ROUNDING, DEFAULT_FX_RATES, COUNTRY_CURRENCIES, priceBook, roundingRules, currencyForCountry, roundPrice, convert, listPrice, priceList, formatMoney };
@@ -4,11 +4,13 @@
  */
 
 import { UIBuilder, EMOJIS } from "../utils/ui-builder.js";
+import { EntitlementService, FREE_FEATURES, MEMBER_FEATURES } from "../services/entitlement-service.js";
 
 class SubscriptionGatekeeper {
-  constructor(userService, telegram) {
+  constructor(userService, telegram, entitlements = null) {
     this.userService = userService;
     this.telegram = telegram;
+    this.entitlements = entitlements || new EntitlementService(userService?.redis, { userService });
   }
 
   /**
@@ -18,50 +20,24 @@ class SubscriptionGatekeeper {
     try {
       const user = await this.userService.getUser(userId);
       if (!user?.signupComplete) return "free";
-      if (this.userService.isVVIP(user)) return "vvip";
-      if (this.userService.isPaid(user)) return "member";
-      return "free";
+      return await this.entitlements.tierOf(userId);
     } catch {
       return "free";
     }
   }
 
   /**
-   * Check if user can access feature
+   * Check if user can access feature (see services/entitlement-service.js)
    */
   async canAccess(userId, feature) {
-    const tier = await this.getUserTier(userId);
-    const requirements = {
-      // Free features
-      live: "free",
-      standings: "free",
-      odds: "free",
-      tips: "free",
-      help: "free",
-      pricing: "free",
-      refer: "free",
-      
-      // Member features
-      analysis: "member",
-      predictions: "member",
-      stats: "member",
-      insights: "member",
-      compete: "member",
-      watch: "member",
-      
-      // VVIP features
-      dossier: "vvip",
-      coach: "vvip",
-      trends: "vvip",
-      premium: "vvip",
-      alerts: "vvip",
-      live_commentary: "vvip",
-      advanced_metrics: "vvip",
-    };
-
-    const required = requirements[feature] || "free";
-    const tierLevels = { free: 0, member: 1, vvip: 2 };
-    return tierLevels[tier] >= tierLevels[required];
+    try {
+      if (FREE_FEATURES.includes(feature)) return true;
+      const user = await this.userService.getUser(userId);
+      if (!user?.signupComplete) return false;
+      return await this.entitlements.has(userId, feature);
+    } catch {
+      return false;
+    }
   }
 
   /**
@@ -97,14 +73,7 @@ class SubscriptionGatekeeper {
    * Get feature requirement
    */
   getFeatureRequirement(feature) {
-    const map = {
-      analysis: "Member",
-      predictions: "Member",
-      dossier: "VVIP",
-      coach: "VVIP",
-      premium: "VVIP",
-    };
-    return map[feature] || "Member";
+    return MEMBER_FEATURES.includes(feature) ? "Member" : "VVIP";
   }
 
   /**
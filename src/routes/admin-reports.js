@@ -0,0 +1,265 @@
+import express from 'express';
+
+// Same shared-secret check as the webhook admin routes: `x-admin-key` must match ADMIN_KEY
+export function requireAdminKey(req, res, next) {
+  const adminKey = String(req.get('x-admin-key') || '');
+  if (!adminKey || adminKey !== String(process.env.ADMIN_KEY || '')) {
+    return res.status(401).json({ ok: false, error: 'unauthorized' });
+  }
+  return next();
+}
+
+/**
+ * JSON reports for operators, mounted at /admin/reports.
+ * @param {Object} services - { trackRecord, clv, ledger, webhooks, reconciler, refunds, smsReviews, promotions, cryptoPayments, invoices, breakers, budget }
+ */
+export default function createAdminReportsRouter(services = {}) {
+  const router = express.Router();
+  router.use(requireAdminKey);
+
+  // Track record of published tips: ?since=2025-01-01&until=...&source=vvip_fixed
+  router.get('/track-record', async (req, res) => {
+    try {
+      if (!services.trackRecord) return res.status(503).json({ ok: false, error: 'track record unavailable' });
+      const { since = null, until = null, source = null } = req.query || {};
+      const report = await services.trackRecord.getReport({ since, until, source });
+      if (!report) return res.status(500).json({ ok: false, error: 'report failed' });
+      return res.json({ ok: true, report });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // Closing line value per tip source (tipster) and market: ?since=&until=&source=
+  router.get('/clv', async (req, res) => {
+    try {
+      if (!services.clv) return res.status(503).json({ ok: false, error: 'clv unavailable' });
+      const { since = null, until = null, source = null } = req.query || {};
+      const report = await services.clv.getReport({ since, until, source });
+      if (!report) return res.status(500).json({ ok: false, error: 'report failed' });
+      return res.json({ ok: true, report });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // Payment ledger trial balance per account: ?from=2026-10-01&to=2026-11-01
+  router.get('/ledger', async (req, res) => {
+    try {
+      if (!services.ledger) return res.status(503).json({ ok: false, error: 'ledger unavailable' });
+      const { from = null, to = null } = req.query || {};
+      const accounts = await services.ledger.trialBalance({ from, to });
+      return res.json({ ok: true, accounts });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // One user's payment events and balances
+  router.get('/ledger/users/:userId', async (req, res) => {
+    try {
+      if (!services.ledger) return res.status(503).json({ ok: false, error: 'ledger unavailable' });
+      const { userId } = req.params;
+      const [events, balances] = await Promise.all([services.ledger.getUserEvents(userId), services.ledger.getUserBalance(userId)]);
+      return res.json({ ok: true, userId, balances, events });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // Stored payment webhooks: ?status=dead&provider=MPESA&limit=50
+  router.get('/webhooks', async (req, res) => {
+    try {
+      if (!services.webhooks) return res.status(503).json({ ok: false, error: 'webhook pipeline unavailable' });
+      const { status = null, provider = null } = req.query || {};
+      const limit = Math.min(500, Number(req.query?.limit || 50));
+      const events = await services.webhooks.list({ status, provider, limit });
+      return res.json({ ok: true, events });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // Re-run a stored webhook (typically a dead-lettered or unmapped one)
+  router.post('/webhooks/:id/replay', async (req, res) => {
+    try {
+      if (!services.webhooks) return res.status(503).json({ ok: false, error: 'webhook pipeline unavailable' });
+      const event = await services.webhooks.replay(req.params.id);
+      if (!event) return res.status(404).json({ ok: false, error: 'event not found' });
+      return res.json({ ok: true, event });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // Daily payment reconciliation report: ?date=2026-10-18 (defaults to today, UTC)
+  router.get('/reconciliation', async (req, res) => {
+    try {
+      if (!services.reconciler) return res.status(503).json({ ok: false, error: 'reconciliation unavailable' });
+      const report = await services.reconciler.getReport(req.query?.date || undefined);
+      return res.json({ ok: true, report });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // Run a reconciliation pass now
+  router.post('/reconciliation/run', async (_req, res) => {
+    try {
+      if (!services.reconciler) return res.status(503).json({ ok: false, error: 'reconciliation unavailable' });
+      const summary = await services.reconciler.run();
+      return res.json({ ok: true, summary });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // Refund or book a chargeback on a paid order: { amount (default: all that is left), reason, reference, kind: refund|chargeback }
+  router.post('/payments/:orderId/refund', async (req, res) => {
+    try {
+      if (!services.refunds) return res.status(503).json({ ok: false, error: 'refunds unavailable' });
+      const { amount = null, reason = 'admin', reference = null, kind = 'refund' } = req.body || {};
+      const result = await services.refunds.refund(req.params.orderId, { amount: amount === null ? null : Number(amount), reason, reference, kind });
+      return res.json({ ok: true, result });
+    } catch (e) {
+      return res.status(reversalErrorStatus(e)).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // Account credit instead of a cash refund: { amount, currency, reason, reference, orderId }
+  router.post('/users/:userId/credit', async (req, res) => {
+    try {
+      if (!services.refunds) return res.status(503).json({ ok: false, error: 'refunds unavailable' });
+      const { amount, currency = 'KES', reason = 'goodwill', reference = null, orderId = null } = req.body || {};
+      const credit = await services.refunds.credit(req.params.userId, Number(amount), { currency, reason, reference, orderId });
+      return res.json({ ok: true, credit });
+    } catch (e) {
+      return res.status(reversalErrorStatus(e)).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // Users flagged for repeated chargebacks
+  router.get('/payments/flagged', async (_req, res) => {
+    try {
+      if (!services.refunds) return res.status(503).json({ ok: false, error: 'refunds unavailable' });
+      const users = await services.refunds.flaggedUsers();
+      return res.json({ ok: true, users });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // Pasted payment SMS that matched a pending order with low confidence: ?limit=50
+  router.get('/payments/sms-reviews', async (req, res) => {
+    try {
+      if (!services.smsReviews) return res.status(503).json({ ok: false, error: 'sms reviews unavailable' });
+      const reviews = await services.smsReviews.listReviews({ limit: Math.min(500, Number(req.query?.limit || 50)) });
+      return res.json({ ok: true, count: reviews.length, reviews });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // Approve (activates the order) or reject ({ reason }) a queued SMS match
+  router.post('/payments/sms-reviews/:id/:decision(approve|reject)', async (req, res) => {
+    try {
+      if (!services.smsReviews) return res.status(503).json({ ok: false, error: 'sms reviews unavailable' });
+      const { reason = null, by = 'admin' } = req.body || {};
+      const review = req.params.decision === 'approve'
+        ? await services.smsReviews.approve(req.params.id, { by })
+        : await services.smsReviews.reject(req.params.id, { reason, by });
+      return res.json({ ok: true, review });
+    } catch (e) {
+      return res.status(reviewErrorStatus(e)).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // Open BTC / USDT-TRC20 orders: quoted amount, transactions seen, confirmations, underpayments
+  router.get('/payments/crypto-watch', async (req, res) => {
+    try {
+      if (!services.cryptoPayments) return res.status(503).json({ ok: false, error: 'crypto payments unavailable' });
+      const watched = await services.cryptoPayments.listWatched();
+      return res.json({ ok: true, count: watched.length, watched });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // Promo code redemption stats: ?code=WELCOME20 for one code
+  router.get('/promos', async (req, res) => {
+    try {
+      if (!services.promotions) return res.status(503).json({ ok: false, error: 'promotions unavailable' });
+      const promos = await services.promotions.report(req.query?.code || null);
+      return res.json({ ok: true, promos });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // Invoice export for finance: ?from=2026-01-01&to=2026-03-31 (dates inclusive)
+  router.get('/invoices.csv', async (req, res) => {
+    try {
+      if (!services.invoices) return res.status(503).json({ ok: false, error: 'invoices unavailable' });
+      const { from = null, to = null } = req.query || {};
+      const csv = await services.invoices.exportCsv({ from, to });
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="invoices_${String(from || 'all').replace(/[^0-9A-Za-z-]/g, '')}_${String(to || 'now').replace(/[^0-9A-Za-z-]/g, '')}.csv"`);
+      return res.send(csv);
+    } catch (e) {
+      const status = /invalid date/i.test(e?.message || '') ? 400 : 500;
+      return res.status(status).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // Provider circuit breakers with recent state changes: ?provider=sportsmonks&limit=50
+  router.get('/providers/breakers', async (req, res) => {
+    try {
+      if (!services.breakers) return res.status(503).json({ ok: false, error: 'circuit breakers unavailable' });
+      const limit = Math.min(500, Number(req.query?.limit || 50));
+      const report = await services.breakers.report({ provider: req.query?.provider || null, limit });
+      return res.json({ ok: true, ...report });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // Close a provider's circuits by hand: ?endpoint=live for one capability
+  router.post('/providers/breakers/:provider/reset', async (req, res) => {
+    try {
+      if (!services.breakers) return res.status(503).json({ ok: false, error: 'circuit breakers unavailable' });
+      await services.breakers.clear(req.params.provider, req.query?.endpoint || null);
+      return res.json({ ok: true, circuits: services.breakers.describe(req.params.provider) });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // Paid API spend per provider for a UTC day, with what is left on each key: ?date=2026-10-18
+  router.get('/providers/budget', async (req, res) => {
+    try {
+      if (!services.budget) return res.status(503).json({ ok: false, error: 'api budget unavailable' });
+      const date = req.query?.date || null;
+      if (date && !/^\d{4}-\d{2}-\d{2}$/.test(String(date))) return res.status(400).json({ ok: false, error: 'date must be YYYY-MM-DD' });
+      const report = await services.budget.report({ date });
+      return res.json({ ok: true, ...report });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  return router;
+}
+
+function reversalErrorStatus(e) {
+  const message = e?.message || '';
+  if (/not found/i.test(message)) return 404;
+  if (/must be|exceeds|nothing to refund|unknown reversal|reference required/i.test(message)) return 400;
+  return 500;
+}
+
+function reviewErrorStatus(e) {
+  const message = e?.message || '';
+  if (/not found/i.test(message)) return 404;
+  if (/already/i.test(message)) return 409;
+  return 500;
+}
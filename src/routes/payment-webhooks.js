@@ -0,0 +1,56 @@
+// Provider payment webhooks, mounted at /webhooks/payments.
+// Events are stored and queued by the webhook pipeline before we answer, so a
+// 200 means "stored" (or already stored) and a 500 asks the provider to redeliver.
+// Daraja C2B calls are unsigned: their URLs carry MPESA_C2B_TOKEN as ?token=
+// (scripts/register-daraja-c2b.js) and calls without it are refused.
+import crypto from 'crypto';
+import express from 'express';
+
+// URL segment -> provider name used by payment-router and the pipeline
+export const PROVIDER_PATHS = {
+  mpesa: 'MPESA',
+  c2b: 'MPESA_C2B',
+  till: 'SAFARICOM_TILL',
+  paypal: 'PAYPAL',
+  binance: 'BINANCE'
+};
+
+// No token configured means C2B is not set up: refuse everything
+export function c2bAuthorised(req, expected) {
+  const token = String(req.query?.token || '');
+  if (!expected || token.length !== String(expected).length) return false;
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(String(expected)));
+}
+
+/**
+ * @param {Object} services - { pipeline, c2bToken } (c2bToken defaults to MPESA_C2B_TOKEN)
+ */
+export default function createPaymentWebhooksRouter(services = {}) {
+  const router = express.Router();
+  const c2bToken = services.c2bToken ?? process.env.MPESA_C2B_TOKEN ?? null;
+
+  // Daraja C2B validation: accept every payment, orders are matched on confirmation
+  router.post('/c2b/validate', (req, res) => {
+    if (!c2bAuthorised(req, c2bToken)) return res.status(403).json({ ResultCode: 'C2B00016', ResultDesc: 'Rejected' });
+    return res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  });
+
+  router.post('/:provider', async (req, res) => {
+    const provider = PROVIDER_PATHS[String(req.params.provider || '').toLowerCase()];
+    if (!provider) return res.status(404).json({ ok: false, error: 'unknown provider' });
+    if (provider === 'MPESA_C2B' && !c2bAuthorised(req, c2bToken)) return res.status(403).json({ ok: false, error: 'forbidden' });
+    if (!services.pipeline) return res.status(503).json({ ok: false, error: 'webhook pipeline unavailable' });
+    try {
+      const rawBody = req.rawBody ? req.rawBody.toString('utf8') : null;
+      const stored = await services.pipeline.ingest(provider, { body: req.body || {}, rawBody, headers: req.headers || {} });
+      // M-Pesa and Binance Pay expect their own acknowledgement shapes
+      if (provider === 'MPESA' || provider === 'MPESA_C2B') return res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+      if (provider === 'BINANCE') return res.status(200).json({ returnCode: 'SUCCESS', returnMessage: null });
+      return res.status(200).json({ ok: true, id: stored.id, duplicate: stored.duplicate });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  return router;
+}
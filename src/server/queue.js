@@ -1,11 +1,25 @@
-﻿/**
+/**
  * queue.js
  * Minimal BullMQ queue wrapper. Expects REDIS_URL env var (redis://:pass@host:port)
  */
-const { Queue } = require('bullmq');
-const IORedis = require('ioredis');
+import { Queue, Worker } from 'bullmq';
+import IORedis from 'ioredis';
 
-const connection = new IORedis(process.env.REDIS_URL || process.env.REDIS_URI || process.env.REDIS);
+// BullMQ requires maxRetriesPerRequest: null on connections used by workers
+const connection = new IORedis(process.env.REDIS_URL || process.env.REDIS_URI || process.env.REDIS, { maxRetriesPerRequest: null });
 const jobsQueue = new Queue('jobs', { connection });
 
-module.exports = { jobsQueue, connection };
+// Provider webhooks persisted by src/services/webhook-pipeline.js, one job per stored event
+const paymentWebhooksQueue = new Queue('payment-webhooks', { connection });
+
+/**
+ * Start a worker on the shared connection
+ * @param {string} name - queue name
+ * @param {Function} processor - async (job) => result
+ * @param {Object} opts - extra BullMQ worker options (concurrency etc.)
+ */
+function createWorker(name, processor, opts = {}) {
+  return new Worker(name, processor, { connection, ...opts });
+}
+
+export { jobsQueue, paymentWebhooksQueue, createWorker, connection };
@@ -0,0 +1,63 @@
+/**
+ * Account Credit
+ * Store credit a user spends on their next order, issued instead of (or next
+ * to) a cash refund. Balances are kept per currency in the `user:{id}:credit`
+ * hash; every change is also an adjustment on the user's account in the
+ * payment ledger (credit when issued, debit when spent).
+ */
+
+import { Logger } from '../utils/logger.js';
+import { getDefaultLedger } from './payment-ledger.js';
+
+const logger = new Logger('AccountCredit');
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+/**
+ * Credit usable on an order: never more than the balance, and never so much
+ * that the amount left to pay drops below the provider's minimum
+ */
+export function creditToApply(balance, total, minAmount = 0) {
+  return round2(Math.max(0, Math.min(Number(balance || 0), Number(total || 0) - Number(minAmount || 0))));
+}
+
+async function ledgerAdjustment(entry) {
+  try {
+    const ledger = await getDefaultLedger();
+    if (ledger) await ledger.recordAdjustment(entry);
+  } catch (err) {
+    logger.warn('Ledger adjustment failed', err?.message || String(err));
+  }
+}
+
+export async function getCredit(redis, userId, currency = 'KES') {
+  const balances = await redis.hgetall(`user:${userId}:credit`) || {};
+  return round2(balances[currency] || 0);
+}
+
+/**
+ * @returns {number} new balance
+ */
+export async function addCredit(redis, userId, amount, { currency = 'KES', reason = 'credit', reference } = {}) {
+  const value = round2(amount);
+  if (!(value > 0)) throw new Error('Credit amount must be positive');
+  if (!reference) throw new Error('Credit reference required');
+  const balance = round2(await redis.hincrbyfloat(`user:${userId}:credit`, currency, value));
+  await ledgerAdjustment({ userId, amount: value, currency, reason, reference });
+  logger.info('Account credit issued', { userId, amount: value, currency, reference });
+  return balance;
+}
+
+/**
+ * Spend up to `amount` of a user's credit (e.g. on order activation)
+ * @returns {number} amount actually spent
+ */
+export async function consumeCredit(redis, userId, amount, { currency = 'KES', reference } = {}) {
+  const spend = Math.min(round2(amount), await getCredit(redis, userId, currency));
+  if (!(spend > 0)) return 0;
+  await redis.hincrbyfloat(`user:${userId}:credit`, currency, -spend);
+  await ledgerAdjustment({ userId, amount: -spend, currency, reason: 'credit_spent', reference: `spend:${reference}` });
+  return spend;
+}
+
+export default { creditToApply, getCredit, addCredit, consumeCredit };
@@ -2,6 +2,7 @@
  * Lightweight analytics for betting: implied probability, Kelly fraction, simple model
  */
 import { Logger } from '../utils/logger.js';
+import { getDefaultGoalModel, lambdasFromStrength } from '../ai/goal-model.js';
 
 const logger = new Logger('Analytics');
 
@@ -19,19 +20,23 @@ function kellyFraction(p, b) {
   return Math.max(0, Math.min(1, f || 0));
 }
 
-// Simple estimator combining standings points and basic home advantage
-function simpleModelProbability(homePointsPerGame, awayPointsPerGame, homeAdv = 0.06) {
-  // Convert to relative strength
+// Home-win probability from the goal model, using standings points per game as
+// relative strength when the teams have no fitted ratings
+function simpleModelProbability(homePointsPerGame, awayPointsPerGame, model = getDefaultGoalModel()) {
   const h = homePointsPerGame || 0.5;
   const a = awayPointsPerGame || 0.5;
-  const raw = (h * (1 + homeAdv)) / (h * (1 + homeAdv) + a);
+  const xg = lambdasFromStrength(h, a, model.params);
+  const raw = model.predict(null, null, xg).markets['1X2'].home;
   return Math.max(0.01, Math.min(0.99, raw));
 }
 
 async function predictMatch({ home, away, homeOdds = null, _awayOdds = null, homePtsPerGame = null, awayPtsPerGame = null }) {
   try {
-    // Estimate model probability using points per game if available
-    const pHome = simpleModelProbability(homePtsPerGame, awayPtsPerGame);
+    // Prefer fitted team strengths, else estimate from points per game
+    const model = getDefaultGoalModel();
+    const pHome = (model.hasTeam(home) && model.hasTeam(away))
+      ? model.predict(home, away).markets['1X2'].home
+      : simpleModelProbability(homePtsPerGame, awayPtsPerGame, model);
 
     // If odds provided, compute implied
     const impliedHome = homeOdds ? decimalToImplied(homeOdds) : null;
@@ -0,0 +1,436 @@
+/**
+ * API budget
+ * Request quotas of the paid data providers (SportMonks, Football-Data), shared by
+ * every caller: user commands, the prefetch scheduler and background analytics.
+ *
+ * A provider with a quota declares it in its contract (quota: { perMinute, perDay },
+ * apiKeys(); see services/provider-registry.js). Every API key has that allowance,
+ * counted per UTC minute and day in Redis so all processes spend from the same
+ * budget. A call takes one unit from the key with the most left, so traffic rotates
+ * across keys. What a provider says is left (Football-Data X-Requests-Available-Minute,
+ * SportMonks rate_limit) caps the local count until it resets, and a 429 spends the
+ * key until its Retry-After.
+ *
+ * Callers say how much a call matters:
+ *   live        live scores someone is waiting on (VVIP live matches)
+ *   prefetch    the prefetch scheduler keeping the caches warm
+ *   background  analytics: head-to-head, team form, settlement and CLV sweeps
+ * Lower priorities leave a reserve for the ones above them (RESERVE, overridable with
+ * API_BUDGET_RESERVE, e.g. {"prefetch":0.3}): prefetch stops with 20% of a window left,
+ * background work with 50%. Refused calls are counted as deferred; the aggregator then
+ * degrades to the next provider or cached rows and the prefetch scheduler waits.
+ *
+ * Keys:
+ *   budget:{provider}:{keyId}:m:{minute}   calls in a UTC minute
+ *   budget:{provider}:{keyId}:d:{day}      calls on a UTC day
+ *   budget:{provider}:{keyId}:reported     { remaining, limit, until } as last reported by the provider
+ *   budget:{provider}:{keyId}:blocked      { until, reason } after a 429
+ *   budget:spend:{day}                     hash of {provider}:{priority}, {provider}:deferred:{priority}
+ *                                          and {provider}:key:{keyId} counts
+ * keyId is a short hash of the key; API keys themselves never reach Redis or the admin view
+ * (GET /admin/reports/providers/budget, /admin_budget, the spend lines of /admin_health).
+ * Without Redis the counters stay in memory (useful for tests).
+ */
+
+import crypto from 'crypto';
+import { Logger } from '../utils/logger.js';
+
+const logger = new Logger('ApiBudget');
+
+export const PRIORITIES = ['live', 'prefetch', 'background'];
+// Share of each window a priority leaves for the priorities above it
+export const RESERVE = { live: 0, prefetch: 0.2, background: 0.5 };
+// Priority of calls that do not name one, by provider capability
+export const CAPABILITY_PRIORITIES = {
+  live: 'live',
+  fixtures: 'prefetch',
+  results: 'background',
+  odds: 'prefetch',
+  standings: 'prefetch',
+  leagues: 'background',
+  h2h: 'background',
+  form: 'background'
+};
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const SPEND_TTL_SECONDS = 8 * 24 * 60 * 60;
+
+export const keyIdOf = (key) => crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 8);
+const dayOf = (ms) => new Date(ms).toISOString().slice(0, 10);
+const spendKey = (day) => `budget:spend:${day}`;
+
+/**
+ * Reserve table with API_BUDGET_RESERVE overrides applied
+ */
+export function reserveFromEnv(env = process.env) {
+  const table = { ...RESERVE };
+  if (!env.API_BUDGET_RESERVE) return table;
+  try {
+    for (const [priority, value] of Object.entries(JSON.parse(env.API_BUDGET_RESERVE))) {
+      if (PRIORITIES.includes(priority) && Number(value) >= 0 && Number(value) < 1) table[priority] = Number(value);
+    }
+  } catch (e) {
+    logger.warn('Ignoring invalid API_BUDGET_RESERVE', e?.message || String(e));
+  }
+  return table;
+}
+
+export class ApiBudget {
+  /**
+   * @param {Object} redis - optional Redis client
+   * @param {Object} opts - { now, reserve }
+   */
+  constructor(redis = null, opts = {}) {
+    this.redis = redis;
+    this.now = opts.now || (() => Date.now());
+    this.reserve = { ...reserveFromEnv(), ...(opts.reserve || {}) };
+    // provider -> { keys, perMinute, perDay }
+    this.quotas = new Map();
+    // In-memory store when there is no Redis: key -> { value, expiresAt }
+    this.memory = new Map();
+  }
+
+  /**
+   * Start (or update) budgeting a provider from its contract: { name, quota, apiKeys() }
+   */
+  configure(provider) {
+    const keys = typeof provider.apiKeys === 'function' ? (provider.apiKeys() || []).filter(Boolean) : [];
+    const quota = provider.quota || {};
+    this.quotas.set(provider.name, {
+      keys,
+      perMinute: Number(quota.perMinute) > 0 ? Number(quota.perMinute) : null,
+      perDay: Number(quota.perDay) > 0 ? Number(quota.perDay) : null
+    });
+    return this;
+  }
+
+  /**
+   * Whether calls to a provider go through the budget
+   */
+  covers(name) {
+    return (this.quotas.get(name)?.keys || []).length > 0;
+  }
+
+  // ---- storage (Redis, or memory without it) ----
+
+  async _get(key) {
+    if (this.redis) return this.redis.get(key);
+    const entry = this.memory.get(key);
+    if (!entry || (entry.expiresAt && entry.expiresAt <= this.now())) return null;
+    return entry.value;
+  }
+
+  async _setJson(key, value, ttlSeconds) {
+    const ttl = Math.max(1, Math.ceil(ttlSeconds));
+    if (this.redis) {
+      await this.redis.set(key, JSON.stringify(value));
+      await this.redis.expire(key, ttl);
+      return;
+    }
+    this.memory.set(key, { value: JSON.stringify(value), expiresAt: this.now() + ttl * 1000 });
+  }
+
+  async _getJson(key) {
+    try {
+      const raw = await this._get(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async _incr(key, ttlSeconds) {
+    if (this.redis) {
+      const value = await this.redis.incr(key);
+      if (Number(value) === 1) await this.redis.expire(key, ttlSeconds);
+      return Number(value);
+    }
+    const current = Number(await this._get(key) || 0) + 1;
+    this.memory.set(key, { value: String(current), expiresAt: this.now() + ttlSeconds * 1000 });
+    return current;
+  }
+
+  async _decr(key) {
+    if (this.redis) return Number(await this.redis.decr(key));
+    const entry = this.memory.get(key);
+    if (!entry) return 0;
+    entry.value = String(Math.max(0, Number(entry.value) - 1));
+    return Number(entry.value);
+  }
+
+  async _spend(field) {
+    const key = spendKey(dayOf(this.now()));
+    try {
+      if (this.redis) {
+        await this.redis.hincrby(key, field, 1);
+        await this.redis.expire(key, SPEND_TTL_SECONDS);
+        return;
+      }
+      const hash = JSON.parse(await this._get(key) || '{}');
+      hash[field] = (hash[field] || 0) + 1;
+      this.memory.set(key, { value: JSON.stringify(hash), expiresAt: this.now() + SPEND_TTL_SECONDS * 1000 });
+    } catch (e) {
+      logger.warn(`Failed to record API spend ${field}`, e?.message || String(e));
+    }
+  }
+
+  async _spendOf(day) {
+    if (this.redis) return (await this.redis.hgetall(spendKey(day))) || {};
+    return JSON.parse(await this._get(spendKey(day)) || '{}');
+  }
+
+  // ---- quota ----
+
+  /**
+   * Calls used and left on one key: { keyId, minute, day, reported, blockedUntil } (limit null = none)
+   */
+  async _usage(name, keyId) {
+    const quota = this.quotas.get(name);
+    const now = this.now();
+    const prefix = `budget:${name}:${keyId}`;
+    const [minuteCalls, dayCalls, reported, blocked] = await Promise.all([
+      this._get(`${prefix}:m:${Math.floor(now / MINUTE)}`),
+      this._get(`${prefix}:d:${dayOf(now)}`),
+      this._getJson(`${prefix}:reported`),
+      this._getJson(`${prefix}:blocked`)
+    ]);
+    const nextMinute = (Math.floor(now / MINUTE) + 1) * MINUTE - now;
+    const nextDay = (Math.floor(now / DAY) + 1) * DAY - now;
+    const usage = {
+      keyId,
+      minute: { used: Number(minuteCalls || 0), limit: quota.perMinute, resetInMs: nextMinute },
+      day: { used: Number(dayCalls || 0), limit: quota.perDay, resetInMs: nextDay },
+      reported: reported && reported.until > now ? { remaining: Number(reported.remaining), limit: reported.limit || null, resetInMs: reported.until - now } : null,
+      blockedUntil: blocked && blocked.until > now ? blocked.until : null
+    };
+    for (const w of [usage.minute, usage.day]) w.remaining = w.limit === null ? null : Math.max(0, w.limit - w.used);
+    return usage;
+  }
+
+  /**
+   * Whether a key can take a call of this priority; { ok, score, retryInMs }
+   */
+  _allows(usage, priority) {
+    const now = this.now();
+    if (usage.blockedUntil) return { ok: false, retryInMs: usage.blockedUntil - now };
+    const reserve = this.reserve[priority] ?? 0;
+    let score = 1;
+    let retryInMs = 0;
+    for (const w of [usage.minute, usage.day]) {
+      if (w.limit === null) continue;
+      const floor = reserve * w.limit;
+      if (w.remaining <= 0 || w.remaining <= floor) retryInMs = Math.max(retryInMs, w.resetInMs);
+      score = Math.min(score, w.remaining / w.limit);
+    }
+    const reported = usage.reported;
+    if (reported) {
+      // Without the provider's limit only an empty allowance counts
+      if (reported.remaining <= 0 || (reported.limit && reported.remaining <= reserve * reported.limit)) {
+        retryInMs = Math.max(retryInMs, reported.resetInMs);
+      }
+      if (reported.limit) score = Math.min(score, reported.remaining / reported.limit);
+    }
+    return retryInMs > 0 ? { ok: false, retryInMs } : { ok: true, score };
+  }
+
+  /**
+   * Take one call from a provider's budget for a priority.
+   * Returns { ok: true, key, keyId } with the key to use, or
+   * { ok: false, reason, retryInMs } when the call should be deferred or served from cache.
+   */
+  async acquire(name, { priority = 'live' } = {}) {
+    const quota = this.quotas.get(name);
+    if (!quota || quota.keys.length === 0) return { ok: false, reason: 'no_keys', retryInMs: null };
+    if (!PRIORITIES.includes(priority)) priority = 'background';
+
+    const candidates = [];
+    let retryInMs = null;
+    try {
+      for (const key of quota.keys) {
+        const usage = await this._usage(name, keyIdOf(key));
+        const verdict = this._allows(usage, priority);
+        if (verdict.ok) candidates.push({ key, keyId: usage.keyId, score: verdict.score });
+        else retryInMs = retryInMs === null ? verdict.retryInMs : Math.min(retryInMs, verdict.retryInMs);
+      }
+    } catch (e) {
+      // Counters unavailable: let the call through rather than starve every caller
+      logger.warn(`Budget check for ${name} failed`, e?.message || String(e));
+      return { ok: true, key: quota.keys[0], keyId: keyIdOf(quota.keys[0]) };
+    }
+
+    // The key with most left goes first; another caller may take its last call between the check and the claim
+    candidates.sort((a, b) => b.score - a.score);
+    let best = null;
+    for (const candidate of candidates) {
+      let claimed = true;
+      try {
+        claimed = await this._claim(name, candidate.keyId, priority);
+      } catch (e) {
+        logger.warn(`Failed to count ${name} call`, e?.message || String(e));
+      }
+      if (claimed) {
+        best = candidate;
+        break;
+      }
+      const verdict = this._allows(await this._usage(name, candidate.keyId), priority);
+      if (!verdict.ok) retryInMs = retryInMs === null ? verdict.retryInMs : Math.min(retryInMs, verdict.retryInMs);
+    }
+
+    if (!best) {
+      await this._spend(`${name}:deferred:${priority}`);
+      logger.info(`${name} ${priority} call deferred: budget low, retry in ${Math.ceil((retryInMs || 0) / 1000)}s`);
+      return { ok: false, reason: 'budget_low', retryInMs };
+    }
+
+    const now = this.now();
+    const prefix = `budget:${name}:${best.keyId}`;
+    try {
+      const reported = await this._getJson(`${prefix}:reported`);
+      if (reported && reported.until > now) {
+        await this._setJson(`${prefix}:reported`, { ...reported, remaining: Math.max(0, Number(reported.remaining) - 1) }, (reported.until - now) / 1000);
+      }
+    } catch (e) {
+      logger.warn(`Failed to count ${name} call`, e?.message || String(e));
+    }
+    await this._spend(`${name}:${priority}`);
+    await this._spend(`${name}:key:${best.keyId}`);
+    return { ok: true, key: best.key, keyId: best.keyId };
+  }
+
+  /**
+   * Count a call on a key's minute and day windows, then take it back if that went past what the
+   * priority may use. Counting first means callers racing for the last call (in this process or
+   * another) cannot both get it. Returns whether the call is the caller's.
+   */
+  async _claim(name, keyId, priority) {
+    const quota = this.quotas.get(name);
+    const now = this.now();
+    const prefix = `budget:${name}:${keyId}`;
+    const reserve = this.reserve[priority] ?? 0;
+    const windows = [
+      { key: `${prefix}:m:${Math.floor(now / MINUTE)}`, ttlSeconds: 120, limit: quota.perMinute },
+      { key: `${prefix}:d:${dayOf(now)}`, ttlSeconds: 2 * 24 * 60 * 60, limit: quota.perDay }
+    ];
+    const counted = [];
+    for (const w of windows) {
+      const used = await this._incr(w.key, w.ttlSeconds);
+      counted.push(w.key);
+      if (w.limit === null) continue;
+      // What was left before this call, checked like _allows does
+      const remaining = w.limit - (used - 1);
+      if (remaining <= 0 || remaining <= reserve * w.limit) {
+        for (const key of counted) await this._decr(key);
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Calls left as reported by the provider for a key: { remaining, resetInMs, limit? }
+   */
+  async observe(name, key, info) {
+    if (!info || !Number.isFinite(Number(info.remaining)) || !(Number(info.resetInMs) > 0)) return;
+    const reported = { remaining: Number(info.remaining), limit: Number(info.limit) > 0 ? Number(info.limit) : null, until: this.now() + Number(info.resetInMs) };
+    try {
+      await this._setJson(`budget:${name}:${keyIdOf(key)}:reported`, reported, Number(info.resetInMs) / 1000);
+    } catch (e) {
+      logger.warn(`Failed to store ${name} quota report`, e?.message || String(e));
+    }
+  }
+
+  /**
+   * A key was throttled (429): skip it until retryAfterMs passes (a minute without one).
+   * Returns true when another key of the provider can still take a live call.
+   */
+  async exhaust(name, key, retryAfterMs = null) {
+    const waitMs = Number(retryAfterMs) > 0 ? Number(retryAfterMs) : MINUTE;
+    try {
+      await this._setJson(`budget:${name}:${keyIdOf(key)}:blocked`, { until: this.now() + waitMs, reason: 'throttled' }, waitMs / 1000);
+    } catch (e) {
+      logger.warn(`Failed to block ${name} key`, e?.message || String(e));
+    }
+    const others = (this.quotas.get(name)?.keys || []).filter(k => k !== key);
+    for (const other of others) {
+      if (this._allows(await this._usage(name, keyIdOf(other)), 'live').ok) return true;
+    }
+    return false;
+  }
+
+  /**
+   * How long a call of this priority has to wait before one of the providers can take it; 0 when one can now
+   */
+  async waitFor(names, priority) {
+    let wait = null;
+    for (const name of names) {
+      const quota = this.quotas.get(name);
+      if (!quota || quota.keys.length === 0) continue;
+      for (const key of quota.keys) {
+        const verdict = this._allows(await this._usage(name, keyIdOf(key)), priority);
+        if (verdict.ok) return 0;
+        wait = wait === null ? verdict.retryInMs : Math.min(wait, verdict.retryInMs);
+      }
+    }
+    return wait || 0;
+  }
+
+  /**
+   * Daily spend per provider, by priority and key, with what is left on each key
+   */
+  async report({ date = null } = {}) {
+    const day = date || dayOf(this.now());
+    const spend = await this._spendOf(day).catch(() => ({}));
+    const names = new Set([...this.quotas.keys(), ...Object.keys(spend).map(f => f.split(':')[0])]);
+    const providers = [];
+    for (const name of [...names].sort()) {
+      const count = (field) => Number(spend[`${name}:${field}`] || 0);
+      const calls = Object.fromEntries(PRIORITIES.map(p => [p, count(p)]));
+      const deferred = Object.fromEntries(PRIORITIES.map(p => [p, count(`deferred:${p}`)]));
+      const quota = this.quotas.get(name);
+      const keys = [];
+      for (const key of quota?.keys || []) {
+        const usage = await this._usage(name, keyIdOf(key));
+        keys.push({
+          keyId: usage.keyId,
+          calls: count(`key:${usage.keyId}`),
+          minute: usage.minute,
+          day: usage.day,
+          reported: usage.reported,
+          blockedUntil: usage.blockedUntil ? new Date(usage.blockedUntil).toISOString() : null
+        });
+      }
+      providers.push({
+        provider: name,
+        total: PRIORITIES.reduce((sum, p) => sum + calls[p], 0),
+        calls,
+        deferred,
+        perMinute: quota?.perMinute ?? null,
+        perDay: quota?.perDay ?? null,
+        keys
+      });
+    }
+    return { date: day, providers };
+  }
+}
+
+/**
+ * Telegram (Markdown) summary of ApiBudget.report()
+ */
+export function formatBudgetReport(report) {
+  const lines = [`💸 *API spend* — ${report.date} (UTC)`, ''];
+  if (!report.providers.length) lines.push('No paid provider calls recorded yet.');
+  for (const p of report.providers) {
+    const byPriority = PRIORITIES.map(pr => `${pr} ${p.calls[pr]}`).join(' · ');
+    const deferred = PRIORITIES.reduce((sum, pr) => sum + p.deferred[pr], 0);
+    lines.push(`*${p.provider}*: ${p.total} calls${p.perDay ? ` of ${p.perDay * Math.max(1, p.keys.length)}` : ''}\n  ${byPriority}${deferred ? `\n  deferred: ${PRIORITIES.filter(pr => p.deferred[pr]).map(pr => `${pr} ${p.deferred[pr]}`).join(' · ')}` : ''}`);
+    for (const k of p.keys) {
+      const left = [k.minute.remaining !== null ? `${k.minute.remaining}/${k.minute.limit} this minute` : null, k.day.remaining !== null ? `${k.day.remaining}/${k.day.limit} today` : null]
+        .filter(Boolean).join(', ');
+      lines.push(`  🔑 ${k.keyId}: ${k.calls} calls${left ? ` · ${left} left` : ''}${k.blockedUntil ? ` · ⛔ until ${k.blockedUntil.slice(11, 19)}` : ''}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+export default ApiBudget;
@@ -0,0 +1,413 @@
+/**
+ * Arbitrage Scanner
+ * Merges odds for the same event across scraped bookmakers, finds surebets
+ * (2-way and 3-way) and middles, sizes stakes for a bankroll and alerts VVIP
+ * users. Quotes older than ARB_MAX_ODDS_AGE_SECONDS are ignored so an "arb"
+ * built on a price that has already moved is never pushed.
+ *
+ * A quote is { home, away, bookmaker, source, market, line, prices, scrapedAt }
+ * where scrapedAt is when the price was read from its source (not when the
+ * scanner picked it up from a cache) and market is '1X2' (home/draw/away), 'ML' (home/away), 'OU' (over/under)
+ * or 'AH' (home/away, line is the home handicap).
+ */
+
+import crypto from 'crypto';
+import { Logger } from '../utils/logger.js';
+import { normalizeToDecimal } from '../utils/odds-normalizer.js';
+import { getDefaultEntityRegistry } from './entity-registry.js';
+import { getOddsFromBetExplorer } from './odds-scraper.js';
+import { getOddscheckerOdds } from './oddschecker-scraper.js';
+import { getBetfairExchangeOdds } from './betfair-scraper.js';
+import { EntitlementService } from './entitlement-service.js';
+
+const logger = new Logger('ArbitrageScanner');
+
+const MAX_AGE_SECONDS = Number(process.env.ARB_MAX_ODDS_AGE_SECONDS || 120);
+const MIN_MARGIN = Number(process.env.ARB_MIN_MARGIN || 0.005);
+const DEFAULT_BANKROLL = Number(process.env.ARB_BANKROLL || 1000);
+const MIDDLE_MAX_COST = Number(process.env.ARB_MIDDLE_MAX_COST || 0.03);
+const ALERT_TTL_SECONDS = Number(process.env.ARB_ALERT_TTL_SECONDS || 6 * 3600);
+const BETFAIR_COMMISSION = Number(process.env.BETFAIR_COMMISSION || 0.05);
+
+const OUTCOMES = { '1X2': ['home', 'draw', 'away'], ML: ['home', 'away'], OU: ['over', 'under'], AH: ['home', 'away'] };
+
+const dec = (v) => {
+  if (v === null || typeof v === 'undefined' || v === '') return null;
+  const n = normalizeToDecimal(v);
+  return Number.isFinite(n) && n > 1 ? Math.round(n * 1000) / 1000 : null;
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Effective decimal price after exchange commission on winnings
+ */
+export function netOfCommission(price, commission = BETFAIR_COMMISSION) {
+  if (!price || price <= 1) return null;
+  return Math.round((1 + (price - 1) * (1 - commission)) * 1000) / 1000;
+}
+
+/**
+ * Quotes from SportsAggregator.getOdds() style entries, timed by the provider's
+ * update time or the aggregator's fetch (its cache can be minutes old)
+ */
+export function quotesFromProviderOdds(entries = []) {
+  const out = [];
+  for (const e of entries || []) {
+    if (!e || !e.home || !e.away) continue;
+    const o = e.odds || {};
+    const base = { home: e.home, away: e.away, bookmaker: String(e.bookmaker || e.provider || 'unknown'), source: e.source || 'provider', scrapedAt: Date.parse(e.updatedAt || e.scrapedAt || e.fetchedAt || '') || null };
+    const prices = { home: dec(e.homeOdds ?? o.home), draw: dec(e.drawOdds ?? o.draw), away: dec(e.awayOdds ?? o.away) };
+    if (prices.home && prices.away) out.push({ ...base, market: prices.draw ? '1X2' : 'ML', line: null, prices: prices.draw ? prices : { home: prices.home, away: prices.away } });
+    for (const line of ['1.5', '2.5', '3.5']) {
+      const k = line.replace('.', '');
+      const ou = { over: dec(o[`over${k}`] ?? o[`over_${line}`]), under: dec(o[`under${k}`] ?? o[`under_${line}`]) };
+      if (ou.over || ou.under) out.push({ ...base, market: 'OU', line: Number(line), prices: ou });
+    }
+  }
+  return out;
+}
+
+/**
+ * Quotes from getOddsFromBetExplorer() rows ("Home - Away", string prices).
+ * The page shows the best available price, so bookmaker is the site itself.
+ */
+export function quotesFromBetExplorer(rows) {
+  if (!Array.isArray(rows)) return [];
+  const out = [];
+  for (const r of rows) {
+    const [home, away] = String(r.match || '').split(/\s+-\s+/);
+    if (!home || !away) continue;
+    const prices = { home: dec(r.odds?.home), draw: dec(r.odds?.draw), away: dec(r.odds?.away) };
+    if (!prices.home || !prices.draw || !prices.away) continue;
+    out.push({ home: home.trim(), away: away.trim(), bookmaker: 'BetExplorer', source: 'betexplorer', market: '1X2', line: null, prices, scrapedAt: Date.parse(r.scrapedAt || '') || null });
+  }
+  return out;
+}
+
+/**
+ * Quotes from getOddscheckerOdds() rows for a known fixture
+ */
+export function quotesFromOddschecker(rows = [], { home, away }) {
+  return (rows || []).map(r => ({
+    home, away,
+    bookmaker: String(r.bookmaker || 'unknown').trim(),
+    source: 'oddschecker',
+    market: '1X2',
+    line: null,
+    prices: { home: dec(r.homeWin), draw: dec(r.draw), away: dec(r.awayWin) },
+    scrapedAt: Date.parse(r.scrapedAt || '') || null
+  })).filter(q => q.prices.home && q.prices.draw && q.prices.away);
+}
+
+/**
+ * Quotes from getBetfairExchangeOdds() runners for a known fixture.
+ * Back prices are taken net of commission.
+ */
+export function quotesFromBetfair(runners = [], { home, away }, commission = BETFAIR_COMMISSION, { entities = getDefaultEntityRegistry() } = {}) {
+  const prices = {};
+  let scrapedAt = null;
+  for (const r of runners || []) {
+    const name = String(r.runner || '');
+    let sel = null;
+    if (/^(the )?draw$/i.test(name.trim())) sel = 'draw';
+    else if (entities.sameTeam(name, home)) sel = 'home';
+    else if (entities.sameTeam(name, away)) sel = 'away';
+    if (!sel || !r.backOdds) continue;
+    prices[sel] = netOfCommission(Number(r.backOdds), commission);
+    scrapedAt = Math.max(scrapedAt || 0, Date.parse(r.scrapedAt || '') || 0) || null;
+  }
+  if (!prices.home || !prices.away) return [];
+  const market = prices.draw ? '1X2' : 'ML';
+  return [{ home, away, bookmaker: 'Betfair Exchange', source: 'betfair', market, line: null, prices, scrapedAt }];
+}
+
+/**
+ * Runners of one fixture out of Betfair's football page, which lists every
+ * match's runners together (home, away, then the draw)
+ */
+export function betfairRunnersFor(runners = [], { home, away }, { entities = getDefaultEntityRegistry() } = {}) {
+  const list = runners || [];
+  const start = list.findIndex((r, i) => entities.sameTeam(r.runner, home) && list.slice(i + 1, i + 3).some(n => entities.sameTeam(n.runner, away)));
+  if (start < 0) return [];
+  return list.slice(start, start + 3).filter(r => /^(the )?draw$/i.test(String(r.runner || '').trim()) || entities.sameTeam(r.runner, home) || entities.sameTeam(r.runner, away));
+}
+
+/**
+ * Drop quotes older than maxAgeSeconds; quotes without a timestamp are stale
+ */
+export function filterFresh(quotes = [], maxAgeSeconds = MAX_AGE_SECONDS, now = Date.now()) {
+  return quotes.filter(q => q.scrapedAt && now - Number(q.scrapedAt) <= maxAgeSeconds * 1000);
+}
+
+/**
+ * Group quotes by event, matching teams through the entity registry so a
+ * club and its women's/reserve side ("Arsenal" / "Arsenal Women") stay apart.
+ * The first spelling seen becomes the event's display name.
+ */
+export function groupByEvent(quotes = [], { entities = getDefaultEntityRegistry() } = {}) {
+  const events = [];
+  for (const q of quotes) {
+    let ev = events.find(e => entities.sameFixture(e, q));
+    if (!ev) {
+      ev = { home: q.home, away: q.away, quotes: [] };
+      events.push(ev);
+    }
+    ev.quotes.push(q);
+  }
+  return events;
+}
+
+/**
+ * Stake per outcome so every outcome returns the same amount
+ * @param {Object} prices - { outcome: decimal price }
+ */
+export function stakeSplit(prices, bankroll = DEFAULT_BANKROLL, roundTo = 1) {
+  const entries = Object.entries(prices || {}).filter(([, p]) => p > 1);
+  const inverse = entries.reduce((s, [, p]) => s + 1 / p, 0);
+  if (!entries.length || inverse <= 0) return null;
+  const stakes = {};
+  for (const [k, p] of entries) stakes[k] = Math.round((bankroll * (1 / p) / inverse) / roundTo) * roundTo;
+  const total = Object.values(stakes).reduce((s, v) => s + v, 0);
+  const payouts = entries.map(([k, p]) => stakes[k] * p);
+  const guaranteed = Math.min(...payouts);
+  return { stakes, total: round2(total), guaranteedReturn: round2(guaranteed), profit: round2(guaranteed - total) };
+}
+
+// Best price per outcome within one market (and line) of an event
+function bestPrices(quotes, outcomes) {
+  const best = {};
+  for (const q of quotes) {
+    for (const o of outcomes) {
+      const p = q.prices[o];
+      if (p && (!best[o] || p > best[o].price)) best[o] = { price: p, bookmaker: q.bookmaker, source: q.source, scrapedAt: q.scrapedAt };
+    }
+  }
+  return best;
+}
+
+/**
+ * Surebets in one event: best price per outcome across bookmakers with
+ * sum(1/price) < 1. Legs must come from at least two bookmakers.
+ */
+export function findArbs(event, { minMargin = MIN_MARGIN, bankroll = DEFAULT_BANKROLL } = {}) {
+  const groups = {};
+  for (const q of event.quotes || []) {
+    const key = `${q.market}|${q.line ?? ''}`;
+    (groups[key] = groups[key] || []).push(q);
+  }
+  const out = [];
+  for (const [key, quotes] of Object.entries(groups)) {
+    const market = key.split('|')[0];
+    const outcomes = OUTCOMES[market];
+    if (!outcomes) continue;
+    const best = bestPrices(quotes, outcomes);
+    if (!outcomes.every(o => best[o])) continue;
+    if (new Set(outcomes.map(o => best[o].bookmaker)).size < 2) continue;
+    const inverse = outcomes.reduce((s, o) => s + 1 / best[o].price, 0);
+    const margin = 1 / inverse - 1;
+    if (margin < minMargin) continue;
+    const prices = Object.fromEntries(outcomes.map(o => [o, best[o].price]));
+    out.push({
+      type: outcomes.length === 3 ? '3-way' : '2-way',
+      home: event.home,
+      away: event.away,
+      market,
+      line: quotes[0].line ?? null,
+      legs: outcomes.map(o => ({ outcome: o, ...best[o] })),
+      margin: Math.round(margin * 10000) / 10000,
+      split: stakeSplit(prices, bankroll)
+    });
+  }
+  return out.sort((a, b) => b.margin - a.margin);
+}
+
+/**
+ * Middles in one event: opposing sides at different lines where both bets
+ * can win. OU: over at a lower total than the under. AH: home line plus
+ * away line (from the away side) greater than zero. `cost` is the loss when
+ * the middle misses, as a fraction of a balanced total stake.
+ */
+export function findMiddles(event, { maxCost = MIDDLE_MAX_COST } = {}) {
+  const out = [];
+  const quotes = event.quotes || [];
+  const pairs = (market, a, b, isMiddle) => {
+    const qs = quotes.filter(q => q.market === market && q.line !== null && typeof q.line !== 'undefined');
+    for (const qa of qs) {
+      for (const qb of qs) {
+        if (qa === qb || qa.bookmaker === qb.bookmaker) continue;
+        const pa = qa.prices[a];
+        const pb = qb.prices[b];
+        if (!pa || !pb || !isMiddle(qa.line, qb.line)) continue;
+        const cost = 1 - 1 / (1 / pa + 1 / pb);
+        if (cost > maxCost) continue;
+        out.push({
+          type: 'middle',
+          home: event.home,
+          away: event.away,
+          market,
+          legs: [
+            { outcome: a, line: qa.line, price: pa, bookmaker: qa.bookmaker, source: qa.source },
+            { outcome: b, line: qb.line, price: pb, bookmaker: qb.bookmaker, source: qb.source }
+          ],
+          window: Math.abs(qb.line - qa.line),
+          cost: Math.round(cost * 10000) / 10000
+        });
+      }
+    }
+  };
+  pairs('OU', 'over', 'under', (overLine, underLine) => overLine < underLine);
+  // AH quotes carry the home handicap; the away side of the same quote is -line
+  pairs('AH', 'home', 'away', (homeLine, awayHomeLine) => homeLine - awayHomeLine > 0);
+  return out.sort((x, y) => x.cost - y.cost || y.window - x.window);
+}
+
+/**
+ * Stable id for an opportunity, used to avoid repeat alerts
+ */
+export function opportunityId(opp) {
+  const legs = opp.legs.map(l => `${l.outcome}:${l.line ?? ''}:${l.bookmaker}:${l.price}`).join(',');
+  return crypto.createHash('sha1').update(`${opp.type}|${opp.home}|${opp.away}|${opp.market}|${legs}`).digest('hex').slice(0, 16);
+}
+
+class ArbitrageScanner {
+  /**
+   * @param {Object} redis
+   * @param {Object} opts - { sportsAggregator, telegram, userService, entitlements, entities, sources, scrapers, maxAgeSeconds, minMargin, bankroll, oddscheckerLimit }
+   *   sources: optional array of async () => quotes[] replacing the built-in scrapers
+   *   scrapers: { betExplorer, oddschecker, betfair } overriding the built-in scraper functions
+   *   entitlements: EntitlementService deciding who receives alerts (`alerts` entitlement)
+   */
+  constructor(redis, opts = {}) {
+    this.redis = redis;
+    this.sportsAggregator = opts.sportsAggregator || null;
+    this.telegram = opts.telegram || null;
+    this.userService = opts.userService || null;
+    this.entitlements = opts.entitlements || new EntitlementService(redis, { userService: this.userService });
+    this.entities = opts.entities || this.sportsAggregator?.entities || getDefaultEntityRegistry();
+    this.sources = opts.sources || null;
+    this.maxAgeSeconds = opts.maxAgeSeconds || MAX_AGE_SECONDS;
+    this.minMargin = typeof opts.minMargin === 'number' ? opts.minMargin : MIN_MARGIN;
+    this.bankroll = opts.bankroll || DEFAULT_BANKROLL;
+    this.oddscheckerLimit = opts.oddscheckerLimit ?? Number(process.env.ARB_ODDSCHECKER_LIMIT || 10);
+    this.scrapers = { betExplorer: getOddsFromBetExplorer, oddschecker: getOddscheckerOdds, betfair: getBetfairExchangeOdds, ...(opts.scrapers || {}) };
+  }
+
+  async _collectQuotes() {
+    if (this.sources) {
+      const batches = await Promise.all(this.sources.map(src => Promise.resolve().then(src).catch(err => {
+        logger.warn('Arbitrage source failed', err?.message || String(err));
+        return [];
+      })));
+      return batches.flat();
+    }
+
+    const quotes = [];
+    try {
+      quotes.push(...quotesFromBetExplorer(await this.scrapers.betExplorer()));
+    } catch (err) {
+      logger.warn('BetExplorer odds unavailable', err?.message || String(err));
+    }
+    if (this.sportsAggregator && typeof this.sportsAggregator.getOdds === 'function') {
+      try {
+        quotes.push(...quotesFromProviderOdds(await this.sportsAggregator.getOdds()));
+      } catch (err) {
+        logger.warn('Provider odds unavailable', err?.message || String(err));
+      }
+    }
+    let runners = [];
+    try {
+      runners = await this.scrapers.betfair() || [];
+    } catch (err) {
+      logger.warn('Betfair odds unavailable', err?.message || String(err));
+    }
+    // Oddschecker and Betfair runners are per fixture, so only enrich events we already know about
+    const entities = this.entities;
+    for (const ev of groupByEvent(quotes, { entities }).slice(0, this.oddscheckerLimit)) {
+      try {
+        quotes.push(...quotesFromOddschecker(await this.scrapers.oddschecker(ev.home, ev.away), ev));
+      } catch (err) {
+        logger.debug('Oddschecker odds unavailable', err?.message || String(err));
+      }
+      quotes.push(...quotesFromBetfair(betfairRunnersFor(runners, ev, { entities }), ev, BETFAIR_COMMISSION, { entities }));
+    }
+    return quotes;
+  }
+
+  /**
+   * Collect fresh quotes and return current opportunities
+   */
+  async scan(now = Date.now()) {
+    const all = await this._collectQuotes();
+    const fresh = filterFresh(all, this.maxAgeSeconds, now);
+    const events = groupByEvent(fresh, { entities: this.entities });
+    const arbs = [];
+    const middles = [];
+    for (const ev of events) {
+      arbs.push(...findArbs(ev, { minMargin: this.minMargin, bankroll: this.bankroll }));
+      middles.push(...findMiddles(ev));
+    }
+    return { quotes: all.length, stale: all.length - fresh.length, events: events.length, arbs, middles };
+  }
+
+  formatAlert(opp) {
+    const legs = opp.legs.map(l => `• ${l.outcome.toUpperCase()}${l.line !== null && typeof l.line !== 'undefined' ? ` ${l.line}` : ''} @ *${l.price}* (${l.bookmaker})${opp.split ? ` — stake ${opp.split.stakes[l.outcome]}` : ''}`);
+    if (opp.type === 'middle') {
+      return `🎯 *Middle* — ${opp.home} vs ${opp.away}\n${opp.market} window ${opp.window}\n${legs.join('\n')}\nCost if it misses: ${(opp.cost * 100).toFixed(2)}%`;
+    }
+    return `💰 *${opp.type} Arbitrage* — ${opp.home} vs ${opp.away}\n${opp.market}${opp.line !== null ? ` ${opp.line}` : ''} • margin *${(opp.margin * 100).toFixed(2)}%*\n${legs.join('\n')}\nStake ${opp.split.total} → return ${opp.split.guaranteedReturn} (profit ${opp.split.profit})\n_Prices move fast — confirm before placing._`;
+  }
+
+  async _vvipUserIds() {
+    const ids = await this.redis.zrange('users:all', 0, -1) || [];
+    const out = [];
+    for (const id of ids) {
+      if (await this.entitlements.has(id, 'alerts')) out.push(id);
+    }
+    return out;
+  }
+
+  /**
+   * Send each new opportunity once to every VVIP user
+   */
+  async alert(opportunities = []) {
+    const summary = { opportunities: opportunities.length, alerted: 0, sent: 0 };
+    if (!this.telegram || opportunities.length === 0) return summary;
+    try {
+      const fresh = [];
+      for (const opp of opportunities) {
+        const ok = await this.redis.set(`arb:alerted:${opportunityId(opp)}`, '1', 'EX', ALERT_TTL_SECONDS, 'NX');
+        if (ok) fresh.push(opp);
+      }
+      if (!fresh.length) return summary;
+      const users = await this._vvipUserIds();
+      for (const opp of fresh) {
+        const text = this.formatAlert(opp);
+        summary.alerted += 1;
+        for (const id of users) {
+          try {
+            await this.telegram.sendMessage(id, text, { parse_mode: 'Markdown' });
+            summary.sent += 1;
+          } catch (err) {
+            logger.warn(`Arb alert to ${id} failed`, err?.message || String(err));
+          }
+        }
+      }
+    } catch (err) {
+      logger.error('Arbitrage alerts failed', err);
+    }
+    return summary;
+  }
+
+  /**
+   * Scan and alert; used by the scheduler
+   */
+  async run(now = Date.now()) {
+    const result = await this.scan(now);
+    const sent = await this.alert([...result.arbs, ...result.middles]);
+    return { quotes: result.quotes, stale: result.stale, events: result.events, arbs: result.arbs.length, middles: result.middles.length, alerted: sent.alerted, sent: sent.sent };
+  }
+}
+
+export { ArbitrageScanner };
+export default ArbitrageScanner;
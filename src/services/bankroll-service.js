@@ -0,0 +1,360 @@
+/**
+ * Bankroll Service
+ * Per-user bankroll ledger (deposits, withdrawals, stakes, settled returns),
+ * fractional-Kelly stake suggestions, drawdown/variance stats and loss limits.
+ *
+ * Redis layout:
+ *   user:{id}:bankroll          hash: balance, deposited, withdrawn, staked, returned,
+ *                               kellyMultiplier, dailyLossLimit, createdAt
+ *   user:{id}:bankroll:ledger   list of JSON entries { type, amount, balance, ref, ts, ... };
+ *                               drawdown and variance are derived from it
+ *
+ * Stakes and returns are only booked once the user has opened a bankroll with a
+ * first deposit, so users who never set one up see no change.
+ */
+
+import { Logger } from '../utils/logger.js';
+import { kellyFraction } from './analytics.js';
+import { getDefaultGoalModel } from '../ai/goal-model.js';
+
+const logger = new Logger('Bankroll');
+
+const LEDGER_MAX = Number(process.env.BANKROLL_LEDGER_MAX || 1000);
+const DEFAULT_KELLY_MULTIPLIER = Number(process.env.BANKROLL_KELLY_MULTIPLIER || 0.25);
+const MAX_STAKE_PCT = Number(process.env.BANKROLL_MAX_STAKE_PCT || 0.05);
+
+export const LedgerType = {
+  DEPOSIT: 'deposit',
+  WITHDRAWAL: 'withdrawal',
+  STAKE: 'stake',
+  SETTLE: 'settle'
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Fraction of bankroll to stake: Kelly scaled by `multiplier` and capped
+ * @param {number} p - win probability 0..1
+ * @param {number} odds - decimal odds
+ */
+export function fractionalKelly(p, odds, multiplier = DEFAULT_KELLY_MULTIPLIER, cap = MAX_STAKE_PCT) {
+  const o = Number(odds);
+  if (!(p > 0 && p < 1) || !(o > 1)) return 0;
+  return Math.round(Math.min(cap, kellyFraction(p, o - 1) * multiplier) * 10000) / 10000;
+}
+
+/**
+ * Model probability for a slip selection ({ market, selection, line }) from a
+ * GoalModel prediction. Returns null for markets the model does not price.
+ */
+export function selectionProbability(prediction, sel = {}) {
+  const m = prediction && prediction.markets;
+  if (!m || !sel) return null;
+  if (sel.market === '1X2') return m['1X2'][sel.selection] ?? null;
+  if (sel.market === 'DC') return m.doubleChance[sel.selection] ?? null;
+  if (sel.market === 'OU') return (m.overUnder[String(sel.line)] || {})[sel.selection] ?? null;
+  if (sel.market === 'BTTS') return m.btts[sel.selection] ?? null;
+  return null;
+}
+
+/**
+ * Goal-model probability for a selection, only when both teams are rated
+ * (league-average guesses would make every Kelly suggestion noise)
+ */
+export function modelProbability(home, away, sel, model = getDefaultGoalModel()) {
+  try {
+    if (!model.hasTeam(home) || !model.hasTeam(away)) return null;
+    const p = selectionProbability(model.predict(home, away), sel);
+    return Number.isFinite(p) ? Math.round(p * 10000) / 10000 : null;
+  } catch (err) {
+    logger.debug('Model probability unavailable', err?.message || String(err));
+    return null;
+  }
+}
+
+/**
+ * Combined win probability of an accumulator; null if any leg is unpriced
+ */
+export function combinedProbability(legs = []) {
+  if (!legs.length) return null;
+  let p = 1;
+  for (const leg of legs) {
+    const lp = Number(leg.probability);
+    if (!(lp > 0 && lp <= 1)) return null;
+    p *= lp;
+  }
+  return p;
+}
+
+/**
+ * Drawdown and variance from ledger entries (oldest first)
+ */
+export function drawdownStats(entries = []) {
+  let peak = 0;
+  let maxDrawdown = 0;
+  const profits = [];
+  for (const e of entries) {
+    const balance = Number(e.balance) || 0;
+    if (e.type === LedgerType.DEPOSIT || e.type === LedgerType.WITHDRAWAL) {
+      // cash movements shift the high-water mark instead of counting as swings
+      peak = Math.max(balance, peak + (e.type === LedgerType.DEPOSIT ? 1 : -1) * (Number(e.amount) || 0));
+      continue;
+    }
+    peak = Math.max(peak, balance);
+    if (peak > 0) maxDrawdown = Math.max(maxDrawdown, (peak - balance) / peak);
+    if (e.type === LedgerType.SETTLE) profits.push(Number(e.profit) || 0);
+  }
+  const current = entries.length ? Number(entries[entries.length - 1].balance) || 0 : 0;
+  const mean = profits.length ? profits.reduce((s, v) => s + v, 0) / profits.length : 0;
+  const variance = profits.length > 1 ? profits.reduce((s, v) => s + (v - mean) ** 2, 0) / (profits.length - 1) : 0;
+  return {
+    peak: round2(peak),
+    drawdown: peak > 0 ? round2(((peak - current) / peak) * 100) : 0,
+    maxDrawdown: round2(maxDrawdown * 100),
+    settled: profits.length,
+    avgProfit: round2(mean),
+    stdDev: round2(Math.sqrt(variance))
+  };
+}
+
+/**
+ * Stake buttons for a balance: 1%, 2% and 5% of bankroll plus the Kelly
+ * suggestion, rounded to sensible amounts and de-duplicated
+ */
+export function stakeOptions(balance, kellyStake = 0) {
+  const bal = Number(balance) || 0;
+  const step = bal >= 5000 ? 50 : 10;
+  const roundStake = (v) => Math.max(step, Math.round(v / step) * step);
+  const out = [];
+  const seen = new Set();
+  const push = (amount, label) => {
+    if (amount <= 0 || amount > bal || seen.has(amount)) return;
+    seen.add(amount);
+    out.push({ amount, label });
+  };
+  if (kellyStake > 0) push(roundStake(kellyStake), `🎯 Kelly KES ${roundStake(kellyStake)}`);
+  for (const pct of [0.01, 0.02, 0.05]) push(roundStake(bal * pct), `KES ${roundStake(bal * pct)} (${pct * 100}%)`);
+  return out;
+}
+
+function startOfDay(now) {
+  const d = new Date(now);
+  d.setUTCHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+class BankrollService {
+  constructor(redis) {
+    this.redis = redis;
+  }
+
+  _key(userId) { return `user:${userId}:bankroll`; }
+  _ledgerKey(userId) { return `user:${userId}:bankroll:ledger`; }
+
+  /**
+   * Current bankroll, or null when the user has not opened one
+   */
+  async getBankroll(userId) {
+    try {
+      const h = await this.redis.hgetall(this._key(userId)) || {};
+      if (!h.createdAt) return null;
+      return {
+        balance: round2(Number(h.balance || 0)),
+        deposited: round2(Number(h.deposited || 0)),
+        withdrawn: round2(Number(h.withdrawn || 0)),
+        staked: round2(Number(h.staked || 0)),
+        returned: round2(Number(h.returned || 0)),
+        kellyMultiplier: Number(h.kellyMultiplier || DEFAULT_KELLY_MULTIPLIER),
+        dailyLossLimit: Number(h.dailyLossLimit || 0) || null,
+        createdAt: Number(h.createdAt)
+      };
+    } catch (err) {
+      logger.error('Get bankroll failed', err);
+      return null;
+    }
+  }
+
+  async _append(userId, entry) {
+    await this.redis.rpush(this._ledgerKey(userId), JSON.stringify(entry));
+    await this.redis.ltrim(this._ledgerKey(userId), -LEDGER_MAX, -1);
+  }
+
+  async _move(userId, type, amount, fields = {}, now = Date.now()) {
+    const balance = round2(Number(await this.redis.hincrbyfloat(this._key(userId), 'balance', amount)));
+    const entry = { type, amount: round2(Math.abs(amount)), balance, ts: now, ...fields };
+    await this._append(userId, entry);
+    return entry;
+  }
+
+  async deposit(userId, amount, now = Date.now()) {
+    const value = Number(amount);
+    if (!(value > 0)) return null;
+    try {
+      const key = this._key(userId);
+      if (!(await this.redis.hget(key, 'createdAt'))) {
+        await this.redis.hset(key, 'createdAt', String(now), 'kellyMultiplier', String(DEFAULT_KELLY_MULTIPLIER));
+      }
+      await this.redis.hincrbyfloat(key, 'deposited', value);
+      return await this._move(userId, LedgerType.DEPOSIT, value, {}, now);
+    } catch (err) {
+      logger.error('Bankroll deposit failed', err);
+      return null;
+    }
+  }
+
+  async withdraw(userId, amount, now = Date.now()) {
+    const value = Number(amount);
+    const bank = await this.getBankroll(userId);
+    if (!bank || !(value > 0) || value > bank.balance) return null;
+    try {
+      await this.redis.hincrbyfloat(this._key(userId), 'withdrawn', value);
+      return await this._move(userId, LedgerType.WITHDRAWAL, -value, {}, now);
+    } catch (err) {
+      logger.error('Bankroll withdrawal failed', err);
+      return null;
+    }
+  }
+
+  /**
+   * Book a placed bet's stake. No-op without an open bankroll.
+   */
+  async recordStake(userId, bet, now = Date.now()) {
+    const stake = Number(bet && bet.stake) || 0;
+    if (stake <= 0 || !(await this.getBankroll(userId))) return null;
+    try {
+      await this.redis.hincrbyfloat(this._key(userId), 'staked', stake);
+      return await this._move(userId, LedgerType.STAKE, -stake, { ref: bet.txId || bet.id || null }, now);
+    } catch (err) {
+      logger.error('Bankroll stake failed', err);
+      return null;
+    }
+  }
+
+  /**
+   * Book a settled bet's payout (0 for a loss). Bets placed before the
+   * bankroll was opened are skipped so their stake is not double counted,
+   * and so are bets whose payout is unknown (the stake stays open).
+   */
+  async recordSettlement(userId, bet, now = Date.now()) {
+    const bank = await this.getBankroll(userId);
+    if (!bank) return null;
+    const placedAt = Date.parse(bet.placedAt || '') || 0;
+    if (placedAt && placedAt < bank.createdAt) return null;
+    const stake = Number(bet.stake) || 0;
+    if (!Number.isFinite(bet.payout)) {
+      logger.warn(`Bet ${bet.txId || bet.id} settled without a payout; not booked to the bankroll`);
+      return null;
+    }
+    const payout = bet.payout;
+    try {
+      if (payout > 0) await this.redis.hincrbyfloat(this._key(userId), 'returned', payout);
+      return await this._move(userId, LedgerType.SETTLE, payout, { ref: bet.txId || bet.id || null, stake, profit: round2(payout - stake), status: bet.status }, now);
+    } catch (err) {
+      logger.error('Bankroll settlement failed', err);
+      return null;
+    }
+  }
+
+  async getLedger(userId, limit = 20) {
+    try {
+      return (await this.redis.lrange(this._ledgerKey(userId), -limit, -1) || [])
+        .map(raw => { try { return JSON.parse(raw); } catch (e) { return null; } })
+        .filter(Boolean);
+    } catch (err) {
+      logger.error('Get bankroll ledger failed', err);
+      return [];
+    }
+  }
+
+  async setKellyMultiplier(userId, multiplier) {
+    const m = Number(multiplier);
+    if (!(m > 0 && m <= 1) || !(await this.getBankroll(userId))) return false;
+    await this.redis.hset(this._key(userId), 'kellyMultiplier', String(m));
+    return true;
+  }
+
+  /**
+   * Daily loss limit in KES; 0 clears it
+   */
+  async setLossLimit(userId, amount) {
+    const v = Number(amount);
+    if (!(v >= 0) || !(await this.getBankroll(userId))) return false;
+    await this.redis.hset(this._key(userId), 'dailyLossLimit', String(v));
+    return true;
+  }
+
+  /**
+   * Net result of stakes and settlements since UTC midnight (negative = loss)
+   */
+  async todayNet(userId, now = Date.now()) {
+    const since = startOfDay(now);
+    const entries = await this.getLedger(userId, LEDGER_MAX);
+    return round2(entries
+      .filter(e => e.ts >= since && (e.type === LedgerType.STAKE || e.type === LedgerType.SETTLE))
+      .reduce((s, e) => s + (e.type === LedgerType.STAKE ? -e.amount : e.amount), 0));
+  }
+
+  /**
+   * Warnings for a prospective stake: loss limit, oversized stake, empty bankroll
+   */
+  async checkStake(userId, stake, now = Date.now()) {
+    const bank = await this.getBankroll(userId);
+    const warnings = [];
+    if (!bank) return warnings;
+    const amount = Number(stake) || 0;
+    if (amount > bank.balance) warnings.push(`Stake exceeds your bankroll balance (KES ${bank.balance})`);
+    else if (bank.balance > 0 && amount / bank.balance > MAX_STAKE_PCT) warnings.push(`Stake is ${Math.round((amount / bank.balance) * 100)}% of your bankroll (suggested max ${MAX_STAKE_PCT * 100}%)`);
+    if (bank.dailyLossLimit) {
+      const lost = Math.max(0, -(await this.todayNet(userId, now)));
+      if (lost >= bank.dailyLossLimit) warnings.push(`Daily loss limit reached (KES ${lost} of ${bank.dailyLossLimit})`);
+      else if (lost + amount > bank.dailyLossLimit) warnings.push(`This stake could take you past your daily loss limit (KES ${lost} lost today, limit ${bank.dailyLossLimit})`);
+    }
+    return warnings;
+  }
+
+  /**
+   * Suggested stake in KES for a bet with win probability p at decimal odds
+   */
+  async suggestStake(userId, p, odds) {
+    const bank = await this.getBankroll(userId);
+    if (!bank || bank.balance <= 0) return null;
+    const fraction = fractionalKelly(p, odds, bank.kellyMultiplier);
+    return { fraction, stake: Math.floor(bank.balance * fraction), balance: bank.balance, multiplier: bank.kellyMultiplier };
+  }
+
+  async getStats(userId, now = Date.now()) {
+    const bank = await this.getBankroll(userId);
+    if (!bank) return null;
+    const entries = await this.getLedger(userId, LEDGER_MAX);
+    const dd = drawdownStats(entries);
+    const profit = round2(bank.returned - bank.staked);
+    return {
+      ...bank,
+      ...dd,
+      profit,
+      roi: bank.staked > 0 ? Math.round((profit / bank.staked) * 1000) / 10 : 0,
+      todayNet: await this.todayNet(userId, now)
+    };
+  }
+
+  formatSummary(stats) {
+    if (!stats) {
+      return '🏦 *Bankroll*\n\nYou have not set up a bankroll yet.\nAdd a starting balance to get Kelly stake suggestions, drawdown tracking and loss limits.';
+    }
+    const kelly = stats.kellyMultiplier === 1 ? 'full' : `${stats.kellyMultiplier}×`;
+    let text = '🏦 *Bankroll*\n\n';
+    text += `Balance: *KES ${stats.balance}*\n`;
+    text += `Deposited: KES ${stats.deposited} | Withdrawn: KES ${stats.withdrawn}\n`;
+    text += `Staked: KES ${stats.staked} | Returned: KES ${stats.returned}\n`;
+    text += `P/L: KES ${stats.profit} | ROI: ${stats.roi}%\n\n`;
+    text += `📉 Drawdown: ${stats.drawdown}% (max ${stats.maxDrawdown}%) from peak KES ${stats.peak}\n`;
+    text += `📊 Settled bets: ${stats.settled} | Avg P/L: KES ${stats.avgProfit} | Std dev: KES ${stats.stdDev}\n\n`;
+    text += `⚖️ Kelly: ${kelly} (max ${MAX_STAKE_PCT * 100}% per bet)\n`;
+    text += `🛑 Daily loss limit: ${stats.dailyLossLimit ? `KES ${stats.dailyLossLimit} (today ${stats.todayNet >= 0 ? '+' : ''}${stats.todayNet})` : 'off'}`;
+    if (stats.dailyLossLimit && -stats.todayNet >= stats.dailyLossLimit) text += '\n\n⚠️ *Daily loss limit reached* — consider stopping for today.';
+    return text;
+  }
+}
+
+export { BankrollService };
+export default BankrollService;
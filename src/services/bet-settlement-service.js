@@ -0,0 +1,412 @@
+/**
+ * Bet Settlement Service
+ * Grades bets stored under `user:{id}:bets` once their fixtures reach full time,
+ * records the payout and notifies the user.
+ *
+ * Supported markets (per leg):
+ *   1X2   selection home | draw | away
+ *   DC    selection 1X | 12 | X2            (double chance)
+ *   DNB   selection home | away             (draw no bet)
+ *   OU    selection over | under, line      (quarter lines split into halves)
+ *   AH    selection home | away, line       (Asian handicap applied to the selection)
+ *   BTTS  selection yes | no
+ */
+
+import { Logger } from '../utils/logger.js';
+import { BankrollService } from './bankroll-service.js';
+
+const logger = new Logger('BetSettlement');
+
+export const BetResult = {
+  PENDING: 'pending',
+  WON: 'won',
+  HALF_WON: 'half_won',
+  PUSH: 'push',
+  VOID: 'void',
+  HALF_LOST: 'half_lost',
+  LOST: 'lost'
+};
+
+export const PENDING_USERS_KEY = 'bets:pending:users';
+
+const FINISHED_STATUSES = ['FINISHED', 'FT', 'AET', 'PEN', 'FT_PEN', 'AWARDED', 'ENDED'];
+const VOID_STATUSES = ['CANCELLED', 'CANCELED', 'ABANDONED', 'AWARDED_VOID'];
+const POSTPONED_STATUSES = ['POSTPONED', 'SUSPENDED', 'DELAYED'];
+
+/**
+ * Classify a normalized match status into finished | void | postponed | open
+ */
+export function classifyMatchStatus(status) {
+  const s = String(status || '').toUpperCase().replace(/\s+/g, '_');
+  if (FINISHED_STATUSES.includes(s)) return 'finished';
+  if (VOID_STATUSES.includes(s)) return 'void';
+  if (POSTPONED_STATUSES.includes(s)) return 'postponed';
+  return 'open';
+}
+
+// Grade a single goal-difference style line (no quarter split)
+function gradeMargin(margin) {
+  if (margin > 0) return BetResult.WON;
+  if (margin < 0) return BetResult.LOST;
+  return BetResult.PUSH;
+}
+
+// Combine the two halves of a quarter line into a single result
+function combineHalves(a, b) {
+  if (a === b) return a;
+  const pair = [a, b].sort().join('+');
+  if (pair === `${BetResult.PUSH}+${BetResult.WON}`) return BetResult.HALF_WON;
+  if (pair === `${BetResult.LOST}+${BetResult.PUSH}`) return BetResult.HALF_LOST;
+  // won+lost cannot happen for adjacent half lines, treat defensively as push
+  return BetResult.PUSH;
+}
+
+// Grade a line market, splitting quarter lines (x.25 / x.75) into two half stakes
+function gradeLine(marginFn, line) {
+  const l = Number(line) || 0;
+  const isQuarter = Math.abs((l * 4) % 2) === 1;
+  if (!isQuarter) return gradeMargin(marginFn(l));
+  return combineHalves(gradeMargin(marginFn(l - 0.25)), gradeMargin(marginFn(l + 0.25)));
+}
+
+/**
+ * Grade one selection against a final score.
+ * @param {Object} leg - { market, selection, line }
+ * @param {Object} score - { home, away }
+ * @returns {string} one of BetResult
+ */
+export function gradeSelection(leg, score) {
+  const home = Number(score && score.home);
+  const away = Number(score && score.away);
+  if (!Number.isFinite(home) || !Number.isFinite(away)) return BetResult.PENDING;
+
+  const market = String((leg && leg.market) || '1X2').toUpperCase();
+  const selection = String((leg && leg.selection) || '').toLowerCase();
+
+  switch (market) {
+    case '1X2': {
+      const outcome = home > away ? 'home' : (home < away ? 'away' : 'draw');
+      return selection === outcome ? BetResult.WON : BetResult.LOST;
+    }
+    case 'DC': {
+      const outcome = home > away ? '1' : (home < away ? '2' : 'x');
+      return selection.includes(outcome) ? BetResult.WON : BetResult.LOST;
+    }
+    case 'DNB': {
+      if (home === away) return BetResult.PUSH;
+      const diff = selection === 'away' ? away - home : home - away;
+      return diff > 0 ? BetResult.WON : BetResult.LOST;
+    }
+    case 'OU': {
+      const total = home + away;
+      const sign = selection === 'under' ? -1 : 1;
+      return gradeLine((l) => sign * (total - l), leg.line);
+    }
+    case 'AH': {
+      const diff = selection === 'away' ? away - home : home - away;
+      return gradeLine((l) => diff + l, leg.line);
+    }
+    case 'BTTS': {
+      const both = home > 0 && away > 0;
+      return (selection === 'yes') === both ? BetResult.WON : BetResult.LOST;
+    }
+    default:
+      logger.warn(`Unknown market ${market}, leaving leg pending`);
+      return BetResult.PENDING;
+  }
+}
+
+/**
+ * Return multiplier of the stake for a graded leg at the given decimal odds.
+ * null when the leg won but its price is missing or not a decimal price.
+ */
+export function resultFactor(result, odds) {
+  const o = (odds === null || odds === undefined || odds === '') ? NaN : Number(odds);
+  const price = Number.isFinite(o) && o >= 1 ? o : null;
+  switch (result) {
+    case BetResult.WON: return price;
+    case BetResult.HALF_WON: return price === null ? null : (price + 1) / 2;
+    case BetResult.PUSH:
+    case BetResult.VOID: return 1;
+    case BetResult.HALF_LOST: return 0.5;
+    case BetResult.LOST: return 0;
+    default: return null;
+  }
+}
+
+/**
+ * Normalize a stored bet into its legs. Single bets created by the Telegram
+ * flow carry the selection on the bet itself.
+ */
+export function betLegs(bet) {
+  if (Array.isArray(bet.legs) && bet.legs.length > 0) return bet.legs;
+  return [{
+    fixtureId: bet.fixtureId,
+    fixtureText: bet.fixtureText,
+    market: bet.market || '1X2',
+    selection: bet.selection,
+    line: bet.line,
+    odds: bet.odds
+  }];
+}
+
+/**
+ * Combine graded legs into a bet outcome and payout.
+ * @returns {{ result: string, payout: number|null }}
+ */
+export function settleLegs(legs, stake) {
+  const results = legs.map(l => l.result || BetResult.PENDING);
+  if (results.includes(BetResult.LOST)) return { result: BetResult.LOST, payout: 0 };
+  if (results.includes(BetResult.PENDING)) return { result: BetResult.PENDING, payout: null };
+  if (results.every(r => r === BetResult.VOID)) return { result: BetResult.VOID, payout: Number(stake) };
+
+  let factor = 1;
+  for (const leg of legs) {
+    const f = resultFactor(leg.result, leg.odds);
+    // A winning leg without a price: the payout is unknown, so the bet stays unsettled
+    if (!Number.isFinite(f)) return { result: BetResult.PENDING, payout: null };
+    factor *= f;
+  }
+  const payout = Math.round(Number(stake) * factor * 100) / 100;
+
+  if (legs.length === 1) return { result: results[0], payout };
+  if (payout > stake) return { result: BetResult.WON, payout };
+  if (payout === Number(stake)) return { result: BetResult.PUSH, payout };
+  return { result: BetResult.HALF_LOST, payout };
+}
+
+const RESULT_LABELS = {
+  [BetResult.WON]: '✅ Won',
+  [BetResult.HALF_WON]: '🟢 Half won',
+  [BetResult.PUSH]: '↩️ Push (stake returned)',
+  [BetResult.VOID]: '⚪ Void (stake returned)',
+  [BetResult.HALF_LOST]: '🟠 Half lost',
+  [BetResult.LOST]: '❌ Lost',
+  [BetResult.PENDING]: '⏳ Pending'
+};
+
+export function formatResultLabel(result) {
+  return RESULT_LABELS[result] || RESULT_LABELS[BetResult.PENDING];
+}
+
+class BetSettlementService {
+  /**
+   * @param {Object} redis
+   * @param {Object} opts - { sportsAggregator, telegram, bankroll, postponedVoidHours=48 }
+   */
+  constructor(redis, opts = {}) {
+    this.redis = redis;
+    this.sportsAggregator = opts.sportsAggregator || null;
+    this.telegram = opts.telegram || null;
+    this.bankroll = opts.bankroll || new BankrollService(redis);
+    this.postponedVoidHours = Number(opts.postponedVoidHours || process.env.BET_POSTPONED_VOID_HOURS || 48);
+  }
+
+  /**
+   * Mark a user as holding unsettled bets so the scheduler picks them up.
+   */
+  async trackPending(userId) {
+    try {
+      await this.redis.sadd(PENDING_USERS_KEY, String(userId));
+    } catch (err) {
+      logger.warn('Failed to track pending bets', err?.message || String(err));
+    }
+  }
+
+  /**
+   * Resolve the current state of a fixture. Live matches are fetched once per
+   * run and reused; anything not in the live feed is looked up by id.
+   */
+  async _lookupMatch(fixtureId, liveIndex) {
+    const key = String(fixtureId);
+    if (liveIndex.has(key)) return liveIndex.get(key);
+    if (!this.sportsAggregator || typeof this.sportsAggregator.getMatchById !== 'function') return null;
+    try {
+      const match = await this.sportsAggregator.getMatchById(fixtureId);
+      liveIndex.set(key, match || null);
+      return match || null;
+    } catch (err) {
+      logger.debug(`getMatchById failed for ${fixtureId}`, err?.message || String(err));
+      return null;
+    }
+  }
+
+  async _buildLiveIndex() {
+    const index = new Map();
+    if (!this.sportsAggregator || typeof this.sportsAggregator.getAllLiveMatches !== 'function') return index;
+    try {
+      const live = await this.sportsAggregator.getAllLiveMatches({ priority: 'background' });
+      for (const m of (live || [])) {
+        if (m && m.id !== null && typeof m.id !== 'undefined') index.set(String(m.id), m);
+      }
+    } catch (err) {
+      logger.warn('getAllLiveMatches failed during settlement', err?.message || String(err));
+    }
+    return index;
+  }
+
+  /**
+   * Grade each leg of a bet against the fixtures it references.
+   * Returns the updated bet, or null when nothing changed.
+   */
+  async gradeBet(bet, liveIndex = new Map(), now = Date.now()) {
+    if (bet.status && bet.status !== BetResult.PENDING) return null;
+
+    let changed = false;
+    const legs = betLegs(bet).map(leg => ({ ...leg }));
+    for (const leg of legs) {
+      if (leg.result && leg.result !== BetResult.PENDING) continue;
+      const match = await this._lookupMatch(leg.fixtureId, liveIndex);
+      if (!match) continue;
+
+      const state = classifyMatchStatus(match.status);
+      if (state === 'finished') {
+        const score = { home: match.homeScore, away: match.awayScore };
+        const result = gradeSelection(leg, score);
+        if (result !== BetResult.PENDING) {
+          leg.result = result;
+          leg.finalScore = `${score.home}-${score.away}`;
+          changed = true;
+        }
+      } else if (state === 'void') {
+        leg.result = BetResult.VOID;
+        changed = true;
+      } else if (state === 'postponed') {
+        const placedAt = Date.parse(bet.placedAt || bet.createdAt || '') || now;
+        if (now - placedAt > this.postponedVoidHours * 3600 * 1000) {
+          leg.result = BetResult.VOID;
+          changed = true;
+        }
+      }
+    }
+    if (!changed) return null;
+
+    const { result, payout } = settleLegs(legs, bet.stake);
+    const updated = { ...bet };
+    if (Array.isArray(bet.legs) && bet.legs.length > 0) {
+      updated.legs = legs;
+    } else {
+      updated.result = legs[0].result;
+      updated.finalScore = legs[0].finalScore;
+    }
+    if (result !== BetResult.PENDING) {
+      updated.status = result;
+      updated.payout = payout;
+      updated.settledAt = new Date(now).toISOString();
+    } else if (legs.every(l => l.result && l.result !== BetResult.PENDING)) {
+      logger.warn(`Bet ${bet.id || bet.txId} is graded but a winning leg has no price; left unsettled`);
+    }
+    return updated;
+  }
+
+  /**
+   * Settle all pending bets for one user. Returns the bets settled in this pass.
+   */
+  async settleUser(userId, liveIndex = new Map()) {
+    const key = `user:${userId}:bets`;
+    const raw = await this.redis.lrange(key, 0, -1) || [];
+    const settled = [];
+    let stillPending = 0;
+
+    for (let i = 0; i < raw.length; i++) {
+      let bet;
+      try { bet = JSON.parse(raw[i]); } catch (e) { continue; }
+      if (bet.status && bet.status !== BetResult.PENDING) continue;
+
+      const updated = await this.gradeBet(bet, liveIndex);
+      if (updated) await this.redis.lset(key, i, JSON.stringify(updated));
+      if (updated && updated.status && updated.status !== BetResult.PENDING) {
+        settled.push(updated);
+        await this._recordStats(userId, updated);
+        await this.bankroll.recordSettlement(userId, updated);
+      } else {
+        stillPending += 1;
+      }
+    }
+
+    if (stillPending === 0) await this.redis.srem(PENDING_USERS_KEY, String(userId));
+    for (const bet of settled) await this._notify(userId, bet);
+    return settled;
+  }
+
+  /**
+   * Run one settlement pass over every user with pending bets.
+   */
+  async settlePending() {
+    const summary = { users: 0, settled: 0, errors: 0 };
+    let users = [];
+    try {
+      users = await this.redis.smembers(PENDING_USERS_KEY) || [];
+    } catch (err) {
+      logger.error('Failed to read pending bet users', err);
+      return summary;
+    }
+    if (users.length === 0) return summary;
+
+    const liveIndex = await this._buildLiveIndex();
+    for (const userId of users) {
+      summary.users += 1;
+      try {
+        const settled = await this.settleUser(userId, liveIndex);
+        summary.settled += settled.length;
+      } catch (err) {
+        summary.errors += 1;
+        logger.warn(`Settlement failed for user ${userId}`, err?.message || String(err));
+      }
+    }
+    if (summary.settled > 0) logger.info('Settlement pass complete', summary);
+    return summary;
+  }
+
+  /**
+   * Running totals used by "My Bets", leaderboard and ROI figures
+   */
+  async _recordStats(userId, bet) {
+    try {
+      const key = `user:${userId}:betstats`;
+      const stake = Number(bet.stake) || 0;
+      await this.redis.hincrbyfloat(key, 'staked', stake);
+      await this.redis.hincrby(key, 'settled', 1);
+      await this.redis.hincrby(key, bet.status, 1);
+      if (Number.isFinite(bet.payout)) await this.redis.hincrbyfloat(key, 'returned', bet.payout);
+    } catch (err) {
+      logger.warn('Failed to record bet stats', err?.message || String(err));
+    }
+  }
+
+  async getStats(userId) {
+    try {
+      const s = await this.redis.hgetall(`user:${userId}:betstats`) || {};
+      const staked = Number(s.staked || 0);
+      const returned = Number(s.returned || 0);
+      return {
+        settled: Number(s.settled || 0),
+        won: Number(s[BetResult.WON] || 0) + Number(s[BetResult.HALF_WON] || 0),
+        lost: Number(s[BetResult.LOST] || 0) + Number(s[BetResult.HALF_LOST] || 0),
+        staked,
+        returned,
+        profit: Math.round((returned - staked) * 100) / 100,
+        roi: staked > 0 ? Math.round(((returned - staked) / staked) * 1000) / 10 : 0
+      };
+    } catch (err) {
+      logger.error('Get bet stats failed', err);
+      return null;
+    }
+  }
+
+  async _notify(userId, bet) {
+    if (!this.telegram || typeof this.telegram.sendMessage !== 'function') return;
+    try {
+      const fixture = bet.fixtureText || (Array.isArray(bet.legs) ? `${bet.legs.length}-leg accumulator` : 'Your bet');
+      const payout = Number.isFinite(bet.payout) ? `KES ${bet.payout}` : 'n/a (odds not recorded)';
+      const score = bet.finalScore ? `\nFinal score: *${bet.finalScore}*` : '';
+      const text = `🧾 *Bet Settled*\n\n${fixture}${score}\nStake: KES ${bet.stake}\nResult: ${formatResultLabel(bet.status)}\nReturn: ${payout}\nTransaction: \`${bet.txId || bet.id}\``;
+      await this.telegram.sendMessage(userId, text, { parse_mode: 'Markdown' });
+    } catch (err) {
+      logger.warn(`Failed to notify user ${userId} of settlement`, err?.message || String(err));
+    }
+  }
+}
+
+export { BetSettlementService };
+export default BetSettlementService;
@@ -7,6 +7,110 @@ import { Logger } from "../utils/logger.js";
 
 const logger = new Logger("BettingSlip");
 
+// Slips survive for 30 days by default and the TTL is refreshed on every change
+const SLIP_TTL_SECONDS = Number(process.env.SLIP_TTL_SECONDS || 30 * 86400);
+
+/**
+ * Compact selection codes used in Telegram callback data (64 byte limit).
+ * Each code maps to a market/selection/line understood by bet settlement.
+ */
+export const SELECTION_CODES = {
+  H: { market: "1X2", selection: "home", label: "Home" },
+  D: { market: "1X2", selection: "draw", label: "Draw" },
+  A: { market: "1X2", selection: "away", label: "Away" },
+  "1X": { market: "DC", selection: "1X", label: "1X" },
+  "12": { market: "DC", selection: "12", label: "12" },
+  X2: { market: "DC", selection: "X2", label: "X2" },
+  O15: { market: "OU", selection: "over", line: 1.5, label: "Over 1.5" },
+  U15: { market: "OU", selection: "under", line: 1.5, label: "Under 1.5" },
+  O25: { market: "OU", selection: "over", line: 2.5, label: "Over 2.5" },
+  U25: { market: "OU", selection: "under", line: 2.5, label: "Under 2.5" },
+  O35: { market: "OU", selection: "over", line: 3.5, label: "Over 3.5" },
+  U35: { market: "OU", selection: "under", line: 3.5, label: "Under 3.5" },
+  BY: { market: "BTTS", selection: "yes", label: "BTTS Yes" },
+  BN: { market: "BTTS", selection: "no", label: "BTTS No" },
+};
+
+export const MARKET_LABELS = { "1X2": "1X2", DC: "Double Chance", OU: "Over/Under", BTTS: "Both Teams To Score" };
+
+export function decodeSelection(code) {
+  const def = SELECTION_CODES[String(code || "").toUpperCase()];
+  return def ? { code: String(code).toUpperCase(), ...def } : null;
+}
+
+const toOdds = (v) => {
+  const n = parseFloat(v);
+  return Number.isFinite(n) && n > 1 ? n : null;
+};
+
+/**
+ * Best-effort odds for a market from a normalized match object.
+ * 1X2 comes from homeOdds/drawOdds/awayOdds (or match.odds), double chance is
+ * derived from 1X2 when the bookmaker price is missing, O/U and BTTS only use
+ * prices supplied with the match. Returns null when unknown.
+ */
+export function resolveMarketOdds(match, code) {
+  const sel = decodeSelection(code);
+  if (!match || !sel) return null;
+  const o = match.odds || {};
+  const h = toOdds(match.homeOdds || o.home);
+  const d = toOdds(match.drawOdds || o.draw);
+  const a = toOdds(match.awayOdds || o.away);
+
+  switch (sel.code) {
+    case "H": return h;
+    case "D": return d;
+    case "A": return a;
+    case "1X": case "12": case "X2": {
+      const direct = toOdds(o[`dc${sel.code}`] || o[sel.code]);
+      if (direct) return direct;
+      const pair = { "1X": [h, d], "12": [h, a], X2: [d, a] }[sel.code];
+      if (!pair[0] || !pair[1]) return null;
+      return Math.round((1 / (1 / pair[0] + 1 / pair[1])) * 100) / 100;
+    }
+    case "BY": return toOdds(o.bttsYes || o.btts_yes);
+    case "BN": return toOdds(o.bttsNo || o.btts_no);
+    default: {
+      const key = `${sel.selection}${String(sel.line).replace(".", "")}`; // e.g. over25
+      return toOdds(o[key] || o[`${sel.selection}_${sel.line}`]);
+    }
+  }
+}
+
+/**
+ * Flag legs that come from the same fixture. Bookmakers usually refuse (or
+ * reprice) same-game combinations, and the combined odds overstate the value.
+ */
+export function detectCorrelations(legs = []) {
+  const byFixture = new Map();
+  for (const leg of legs) {
+    const key = String(leg.matchId);
+    if (!byFixture.has(key)) byFixture.set(key, []);
+    byFixture.get(key).push(leg);
+  }
+  const warnings = [];
+  for (const [matchId, group] of byFixture.entries()) {
+    if (group.length < 2) continue;
+    warnings.push({
+      matchId,
+      team: group[0].team,
+      legIds: group.map(l => l.legId),
+      message: `${group.length} selections on ${group[0].team || `fixture ${matchId}`} are correlated`,
+    });
+  }
+  return warnings;
+}
+
+export function combinedOdds(legs = []) {
+  let total = 1;
+  for (const leg of legs) {
+    const o = toOdds(leg.odds);
+    if (!o) return null;
+    total *= o;
+  }
+  return legs.length > 0 ? Math.round(total * 100) / 100 : null;
+}
+
 class BettingSlipService {
   constructor(redis) {
     this.redis = redis;
@@ -18,9 +122,9 @@ class BettingSlipService {
   async createSlip(userId, name = "Slip") {
     try {
       const slipId = `slip:${userId}:${Date.now()}`;
-      await this.redis.hset(slipId, "name", name, "created", new Date().toISOString(), "matches", "0", "totalOdds", "1");
-      await this.redis.expire(slipId, 86400); // 24 hours
-      
+      await this.redis.hset(slipId, "name", name, "created", new Date().toISOString(), "matches", "0", "totalOdds", "1", "stake", "100");
+      await this.redis.expire(slipId, SLIP_TTL_SECONDS);
+
       logger.info(`Betting slip created: ${slipId}`);
       return slipId;
     } catch (err) {
@@ -30,26 +134,60 @@ class BettingSlipService {
   }
 
   /**
-   * Add match to betting slip
+   * Get the user's open slip, creating one if needed
    */
-  async addMatch(slipId, matchId, team, odds, prediction) {
+  async getActiveSlipId(userId, create = true) {
     try {
-      const match = { matchId, team, odds, prediction, timestamp: Date.now() };
-      await this.redis.hset(slipId, `match:${matchId}`, JSON.stringify(match));
-      
-      // Recalculate total odds
-      const slip = await this.redis.hgetall(slipId);
-      let totalOdds = 1;
-      
-      for (const [key, value] of Object.entries(slip)) {
-        if (key.startsWith("match:")) {
-          const m = JSON.parse(value);
-          totalOdds *= parseFloat(m.odds);
-        }
-      }
-      
-      await this.redis.hset(slipId, "totalOdds", totalOdds.toFixed(2));
-      return { matchId, odds: totalOdds.toFixed(2) };
+      const pointer = `user:${userId}:slip:active`;
+      const current = await this.redis.get(pointer);
+      if (current && (await this.redis.hget(current, "created"))) return current;
+      if (!create) return null;
+
+      const slipId = await this.createSlip(userId, "Accumulator");
+      if (slipId) await this.redis.set(pointer, slipId, "EX", SLIP_TTL_SECONDS);
+      return slipId;
+    } catch (err) {
+      logger.error("Get active slip failed", err);
+      return null;
+    }
+  }
+
+  async clearActiveSlip(userId) {
+    try {
+      const pointer = `user:${userId}:slip:active`;
+      const current = await this.redis.get(pointer);
+      if (current) await this.redis.del(current);
+      await this.redis.del(pointer);
+      return true;
+    } catch (err) {
+      logger.error("Clear active slip failed", err);
+      return false;
+    }
+  }
+
+  /**
+   * Add match to betting slip. When `opts.market` is given the leg is keyed by
+   * fixture + market + selection so several markets from one fixture can coexist.
+   */
+  async addMatch(slipId, matchId, team, odds, prediction, opts = {}) {
+    try {
+      const legId = opts.market ? `${matchId}:${opts.market}:${opts.selection}${opts.line ?? ""}` : String(matchId);
+      const match = {
+        legId,
+        matchId,
+        team,
+        odds,
+        prediction,
+        market: opts.market || null,
+        selection: opts.selection || null,
+        line: opts.line ?? null,
+        code: opts.code || null,
+        probability: opts.probability ?? null,
+        timestamp: Date.now(),
+      };
+      await this.redis.hset(slipId, `match:${legId}`, JSON.stringify(match));
+      const totalOdds = await this._recalculate(slipId);
+      return { matchId, legId, odds: totalOdds };
     } catch (err) {
       logger.error("Add match failed", err);
       return null;
@@ -57,11 +195,12 @@ class BettingSlipService {
   }
 
   /**
-   * Remove match from slip
+   * Remove match (or a single leg id) from slip
    */
   async removeMatch(slipId, matchId) {
     try {
       await this.redis.hdel(slipId, `match:${matchId}`);
+      await this._recalculate(slipId);
       logger.info(`Match removed from slip: ${matchId}`);
       return true;
     } catch (err) {
@@ -70,6 +209,28 @@ class BettingSlipService {
     }
   }
 
+  async setStake(slipId, amount) {
+    try {
+      await this.redis.hset(slipId, "stake", String(Number(amount) || 0));
+      await this.redis.expire(slipId, SLIP_TTL_SECONDS);
+      return true;
+    } catch (err) {
+      logger.error("Set stake failed", err);
+      return false;
+    }
+  }
+
+  // Recalculate total odds and leg count, refreshing the slip TTL
+  async _recalculate(slipId) {
+    const slip = await this.redis.hgetall(slipId);
+    const legs = Object.entries(slip || {}).filter(([k]) => k.startsWith("match:")).map(([, v]) => JSON.parse(v));
+    const total = combinedOdds(legs);
+    const totalOdds = total ? total.toFixed(2) : (legs.length > 0 ? "" : "1");
+    await this.redis.hset(slipId, "totalOdds", totalOdds, "matches", String(legs.length));
+    await this.redis.expire(slipId, SLIP_TTL_SECONDS);
+    return totalOdds;
+  }
+
   /**
    * Get betting slip
    */
@@ -77,19 +238,22 @@ class BettingSlipService {
     try {
       const slip = await this.redis.hgetall(slipId);
       if (!slip || !slip.created) return null;
-      
+
       const matches = [];
       for (const [key, value] of Object.entries(slip)) {
         if (key.startsWith("match:")) {
           matches.push(JSON.parse(value));
         }
       }
-      
+      matches.sort((a, b) => a.timestamp - b.timestamp);
+
       return {
         id: slipId,
         name: slip.name,
         matches,
         totalOdds: slip.totalOdds,
+        stake: Number(slip.stake || 0),
+        correlations: detectCorrelations(matches),
         created: slip.created,
       };
     } catch (err) {
@@ -105,11 +269,11 @@ class BettingSlipService {
     try {
       const slip = await this.getSlip(slipId);
       if (!slip) return null;
-      
+
       const totalOdds = parseFloat(slip.totalOdds);
       const potentialWinning = stakeAmount * totalOdds;
       const profit = potentialWinning - stakeAmount;
-      
+
       return {
         stake: stakeAmount,
         odds: totalOdds,
@@ -123,6 +287,31 @@ class BettingSlipService {
     }
   }
 
+  /**
+   * Convert a slip into the bet record stored under `user:{id}:bets`
+   * (legs are graded by BetSettlementService).
+   */
+  toBet(slip, userId) {
+    return {
+      id: `ACCA${userId}${Date.now()}`,
+      userId,
+      fixtureText: slip.matches.length === 1 ? slip.matches[0].team : `${slip.matches.length}-leg accumulator`,
+      stake: slip.stake,
+      odds: combinedOdds(slip.matches),
+      selection: slip.matches.map(l => l.prediction).join(" + "),
+      legs: slip.matches.map(l => ({
+        fixtureId: l.matchId,
+        fixtureText: l.team,
+        market: l.market || "1X2",
+        selection: l.selection,
+        line: l.line,
+        odds: l.odds,
+        ...(l.probability ? { probability: l.probability } : {}),
+      })),
+      createdAt: slip.created,
+    };
+  }
+
   /**
    * Format slip for display
    */
@@ -130,17 +319,18 @@ class BettingSlipService {
     try {
       const slip = await this.getSlip(slipId);
       if (!slip) return "Slip not found";
-      
+
       let text = `📋 <b>${slip.name}</b>\n\n`;
       text += `Matches in slip: ${slip.matches.length}\n`;
-      
+
       slip.matches.forEach((m, i) => {
-        text += `${i + 1}. ${m.team}\n   Prediction: ${m.prediction}\n   Odds: ${m.odds}\n`;
+        text += `${i + 1}. ${m.team}\n   Prediction: ${m.prediction}\n   Odds: ${m.odds || "—"}\n`;
       });
-      
-      text += `\n💰 Total Odds: <b>${slip.totalOdds}</b>\n`;
+
+      text += `\n💰 Total Odds: <b>${slip.totalOdds || "—"}</b>\n`;
+      slip.correlations.forEach(c => { text += `⚠️ ${c.message}\n`; });
       text += `\nEnter stake amount to calculate winnings.`;
-      
+
       return text;
     } catch (err) {
       logger.error("Format slip display failed", err);
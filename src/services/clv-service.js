@@ -0,0 +1,297 @@
+/**
+ * Closing Line Value (CLV) Service
+ * Snapshots the market price of every published tip when it is recorded and
+ * again just before kickoff, then scores the tip against the closing line.
+ *
+ *   clv       = taken odds / closing odds - 1       (> 0 means we beat the close)
+ *   clvNoVig  = taken odds * fair closing prob - 1  (1X2 only, margin removed)
+ *
+ * Redis layout:
+ *   clv:tip:{tipId}   JSON snapshot record
+ *   clv:tips          sorted set of tip ids scored by opening time
+ *   clv:open          tip ids still waiting for their closing price
+ *
+ * Odds rows and live matches are matched to a tip through the entity registry
+ * (canonical fixture ID, else its team aliases), so provider spellings of a
+ * fixture still find it and a women's or youth side never stands in for it.
+ */
+
+import { Logger } from '../utils/logger.js';
+import { normalizeToDecimal, decimalToImplied } from '../utils/odds-normalizer.js';
+import { SELECTION_CODES, resolveMarketOdds } from './betting-slip-service.js';
+import { classifyMatchStatus } from './bet-settlement-service.js';
+import { getDefaultEntityRegistry } from './entity-registry.js';
+
+const logger = new Logger('CLV');
+
+export const CLV_KEY_PREFIX = 'clv:tip:';
+export const CLV_INDEX_KEY = 'clv:tips';
+export const CLV_OPEN_KEY = 'clv:open';
+
+const PRE_MATCH_STATUSES = ['', 'SCHEDULED', 'TIMED', 'NS', 'NOT_STARTED', 'TBD', 'UPCOMING'];
+
+/**
+ * Slip selection code (H, O25, BY...) for a settlement-style selection
+ */
+export function selectionCode(selection = {}) {
+  const code = Object.keys(SELECTION_CODES).find(c => {
+    const def = SELECTION_CODES[c];
+    return def.market === selection.market && def.selection === selection.selection && (def.line ?? null) === (selection.line ?? null);
+  });
+  return code || null;
+}
+
+/**
+ * Normalize a provider odds entry so every 1X2 price is decimal
+ */
+export function normalizeOddsEntry(entry = {}) {
+  const dec = (v) => (v === null || typeof v === 'undefined' || v === '' ? null : normalizeToDecimal(v));
+  return { ...entry, homeOdds: dec(entry.homeOdds), drawOdds: dec(entry.drawOdds), awayOdds: dec(entry.awayOdds) };
+}
+
+/**
+ * Market price and margin-free probability for a selection in an odds entry.
+ * @returns {{ price: number, fair: number|null, bookmaker: string|null }|null}
+ */
+export function priceSelection(entry, selection) {
+  const code = selectionCode(selection);
+  if (!entry || !code) return null;
+  const normalized = normalizeOddsEntry(entry);
+  const price = resolveMarketOdds(normalized, code);
+  if (!price) return null;
+
+  let fair = null;
+  if (selection.market === '1X2') {
+    const implied = [normalized.homeOdds, normalized.drawOdds, normalized.awayOdds].map(decimalToImplied);
+    if (implied.every(p => p)) {
+      const total = implied[0] + implied[1] + implied[2];
+      fair = implied[['home', 'draw', 'away'].indexOf(selection.selection)] / total;
+    }
+  }
+  return { price, fair, bookmaker: entry.bookmaker || null };
+}
+
+export function computeClv(takenOdds, closing) {
+  const taken = Number(takenOdds);
+  if (!closing || !Number.isFinite(taken) || taken <= 1) return null;
+  const clv = taken / closing.price - 1;
+  const clvNoVig = Number.isFinite(closing.fair) ? taken * closing.fair - 1 : null;
+  return {
+    clv: Math.round(clv * 10000) / 10000,
+    clvNoVig: clvNoVig === null ? null : Math.round(clvNoVig * 10000) / 10000,
+    beatClose: clv > 0
+  };
+}
+
+/**
+ * True once a fixture is under way (or over), i.e. the closing line is final
+ */
+export function hasKickedOff(match, kickoff = null, now = Date.now()) {
+  const ko = Date.parse(kickoff || '');
+  if (Number.isFinite(ko) && now >= ko) return true;
+  if (!match) return false;
+  const status = String(match.status || '').toUpperCase();
+  if (PRE_MATCH_STATUSES.includes(status)) return false;
+  return classifyMatchStatus(status) !== 'postponed';
+}
+
+function aggregate(records) {
+  const scored = records.filter(r => r.result && Number.isFinite(r.result.clv));
+  const noVig = scored.filter(r => Number.isFinite(r.result.clvNoVig));
+  const avg = (arr, fn) => (arr.length ? Math.round((arr.reduce((s, r) => s + fn(r), 0) / arr.length) * 10000) / 10000 : null);
+  return {
+    tips: records.length,
+    scored: scored.length,
+    avgClv: avg(scored, r => r.result.clv),
+    avgClvNoVig: avg(noVig, r => r.result.clvNoVig),
+    beatCloseRate: avg(scored, r => (r.result.beatClose ? 1 : 0))
+  };
+}
+
+class ClvService {
+  /**
+   * @param {Object} redis
+   * @param {Object} opts - { sportsAggregator, entities, staleDays=7 }
+   */
+  constructor(redis, opts = {}) {
+    this.redis = redis;
+    this.sportsAggregator = opts.sportsAggregator || null;
+    this.entities = opts.entities || this.sportsAggregator?.entities || getDefaultEntityRegistry();
+    this.staleDays = Number(opts.staleDays || process.env.CLV_STALE_DAYS || 7);
+  }
+
+  async _fetchOdds(leagueId = null, cache = null) {
+    const key = String(leagueId ?? 'all');
+    if (cache && cache.has(key)) return cache.get(key);
+    let odds = [];
+    if (this.sportsAggregator && typeof this.sportsAggregator.getOdds === 'function') {
+      try {
+        odds = await this.sportsAggregator.getOdds(leagueId) || [];
+      } catch (err) {
+        logger.warn('getOdds failed during CLV snapshot', err?.message || String(err));
+      }
+    }
+    if (cache) cache.set(key, odds);
+    return odds;
+  }
+
+  // The tip as a fixture the registry can compare with odds rows and live matches
+  _fixtureOf(record) {
+    return { home: record.home, away: record.away, canonical: record.fixtureId ? { fixtureId: record.fixtureId } : null };
+  }
+
+  async _snapshot(record, cache = null) {
+    const odds = await this._fetchOdds(record.leagueId, cache);
+    const fixture = this._fixtureOf(record);
+    const entry = odds.find(o => this.entities.sameFixture(o, fixture));
+    const priced = priceSelection(entry, record.selection);
+    return priced ? { ...priced, at: new Date().toISOString() } : null;
+  }
+
+  async _save(record) {
+    await this.redis.set(`${CLV_KEY_PREFIX}${record.tipId}`, JSON.stringify(record));
+  }
+
+  async get(tipId) {
+    try {
+      const raw = await this.redis.get(`${CLV_KEY_PREFIX}${tipId}`);
+      return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+      logger.warn(`Failed to load CLV record ${tipId}`, err?.message || String(err));
+      return null;
+    }
+  }
+
+  /**
+   * Take the opening snapshot for a freshly recorded tip (see TrackRecordService)
+   */
+  async captureOpening(tip) {
+    try {
+      if (!tip || !tip.id || !tip.selection) return null;
+      if (await this.get(tip.id)) return null;
+      const record = {
+        tipId: tip.id,
+        source: tip.source || 'manual',
+        home: tip.home,
+        away: tip.away,
+        league: tip.league || null,
+        leagueId: tip.leagueId ?? null,
+        market: tip.selection.market,
+        selection: tip.selection,
+        takenOdds: Number(tip.odds) || null,
+        kickoff: tip.kickoff || null,
+        // Tips carry the provider's fixture ID; store the canonical one so odds and live rows match
+        fixtureId: this.entities.fixtureByRef(tip.fixtureId)?.id || this.entities.findFixture(tip.home, tip.away, { kickoff: tip.kickoff || null })?.id || null,
+        openedAt: tip.publishedAt || new Date().toISOString(),
+        opening: null,
+        closing: null,
+        result: null
+      };
+      record.opening = await this._snapshot(record);
+      record.latest = record.opening;
+      await this._save(record);
+      await this.redis.zadd(CLV_INDEX_KEY, Date.parse(record.openedAt) || Date.now(), record.tipId);
+      await this.redis.sadd(CLV_OPEN_KEY, record.tipId);
+      return record;
+    } catch (err) {
+      logger.warn('Failed to capture opening odds', err?.message || String(err));
+      return null;
+    }
+  }
+
+  // Live feed, so fixtures without a kickoff time can be tracked
+  async _liveMatches() {
+    if (!this.sportsAggregator || typeof this.sportsAggregator.getAllLiveMatches !== 'function') return [];
+    try {
+      const live = await this.sportsAggregator.getAllLiveMatches({ priority: 'background' });
+      return (live || []).filter(m => m && m.home && m.away);
+    } catch (err) {
+      logger.warn('getAllLiveMatches failed during CLV capture', err?.message || String(err));
+      return [];
+    }
+  }
+
+  /**
+   * One pass over open tips: refresh the latest pre-match price, and freeze it
+   * as the closing line once the fixture kicks off.
+   */
+  async captureClosing(now = Date.now()) {
+    const summary = { checked: 0, refreshed: 0, closed: 0, expired: 0 };
+    let ids = [];
+    try {
+      ids = await this.redis.smembers(CLV_OPEN_KEY) || [];
+    } catch (err) {
+      logger.error('Failed to read open CLV tips', err);
+      return summary;
+    }
+    if (ids.length === 0) return summary;
+
+    const live = await this._liveMatches();
+    const oddsCache = new Map();
+    for (const id of ids) {
+      summary.checked += 1;
+      try {
+        const record = await this.get(id);
+        if (!record) { await this.redis.srem(CLV_OPEN_KEY, id); continue; }
+
+        const fixture = this._fixtureOf(record);
+        const match = live.find(m => this.entities.sameFixture(m, fixture)) || null;
+        if (hasKickedOff(match, record.kickoff, now)) {
+          record.closing = record.latest || null;
+          record.result = record.closing ? computeClv(record.takenOdds, record.closing) : null;
+          record.closedAt = new Date(now).toISOString();
+          await this._save(record);
+          await this.redis.srem(CLV_OPEN_KEY, id);
+          summary.closed += 1;
+          continue;
+        }
+
+        if (now - (Date.parse(record.openedAt) || now) > this.staleDays * 86400 * 1000) {
+          await this.redis.srem(CLV_OPEN_KEY, id);
+          summary.expired += 1;
+          continue;
+        }
+
+        const snap = await this._snapshot(record, oddsCache);
+        if (snap) {
+          record.latest = snap;
+          await this._save(record);
+          summary.refreshed += 1;
+        }
+      } catch (err) {
+        logger.warn(`CLV capture failed for tip ${id}`, err?.message || String(err));
+      }
+    }
+    if (summary.closed > 0) logger.info('CLV capture pass complete', summary);
+    return summary;
+  }
+
+  /**
+   * Average CLV and beat-the-close rate, overall and per source (tipster) and market
+   */
+  async getReport({ since = null, until = null, source = null } = {}) {
+    try {
+      const min = since ? (Date.parse(since) || Number(since)) : '-inf';
+      const max = until ? (Date.parse(until) || Number(until)) : '+inf';
+      const ids = await this.redis.zrangebyscore(CLV_INDEX_KEY, min, max) || [];
+      const records = [];
+      for (const id of ids) {
+        const r = await this.get(id);
+        if (r && (!source || r.source === source)) records.push(r);
+      }
+
+      const group = (keyFn) => {
+        const groups = {};
+        for (const r of records) (groups[keyFn(r) || 'unknown'] = groups[keyFn(r) || 'unknown'] || []).push(r);
+        return Object.fromEntries(Object.entries(groups).map(([k, v]) => [k, aggregate(v)]));
+      };
+      return { overall: aggregate(records), bySource: group(r => r.source), byMarket: group(r => r.market) };
+    } catch (err) {
+      logger.error('CLV report failed', err);
+      return null;
+    }
+  }
+}
+
+export { ClvService };
+export default ClvService;
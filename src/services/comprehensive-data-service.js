@@ -32,8 +32,8 @@ export class ComprehensiveDataService {
     try {
       logger.info('📡 Fetching COMPLETE SportMonks live data');
       
-      // Call the service directly to get raw data
-      const rawData = await this.aggregator.sportmonks?.getAllLiveMatches();
+      // Call the provider directly to get raw data
+      const rawData = await this.aggregator.fetchFromProvider('sportsmonks', 'live', null);
       
       if (!rawData || rawData.length === 0) {
         logger.warn('No SportMonks live data available');
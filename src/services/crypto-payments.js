@@ -0,0 +1,371 @@
+/**
+ * Crypto Payments
+ * Settles Binance Pay and on-chain (BTC, USDT-TRC20) payments against orders,
+ * including under- and over-payments.
+ *
+ * On-chain orders are priced in USD and quoted in the coin at the cached FX
+ * rate (services/fx-rates.js). Every quote is nudged by a few units in the
+ * last decimal so concurrent orders paying the same address can be told apart
+ * by amount. Orders are watched in `payment:crypto_watch` until paid or
+ * expired; a payment is found either from a transaction hash the user sends
+ * or by scanning the address for the exact quoted amount, and is only settled
+ * once it has enough confirmations (lib/chain-backends.js does the lookups).
+ * A transaction only counts for an order when it was mined after the order was
+ * created. Anyone can see what arrives at the address, so the scan only claims
+ * a payment of exactly the amount the order is waiting for; a hash the user
+ * sends counts at whatever amount it pays. BTC is only quoted from a rate
+ * fetched within the last few hours.
+ *
+ * Settlement compares what arrived with what was due:
+ *   match     - the order is activated
+ *   overpaid  - activated, and the extra is issued as account credit
+ *   underpaid - the order stays open; the user is asked for the remainder,
+ *               which can arrive as a second transaction
+ * A transaction hash is only ever claimed by one order, and the claim never expires.
+ */
+
+import { Logger } from '../utils/logger.js';
+import { chainBackendsFromEnv } from '../lib/chain-backends.js';
+import { convert, formatMoney } from '../lib/price-book.js';
+import { addCredit } from './account-credit.js';
+import { compareAmounts } from './payment-reconciler.js';
+import { getOrder, verifyAndActivatePayment } from '../handlers/payment-router.js';
+
+const logger = new Logger('CryptoPayments');
+
+export const CRYPTO_WATCH_KEY = 'payment:crypto_watch';
+
+const txKey = (txid) => `payment:crypto_tx:${txid}`;
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+// Payment methods settled on-chain; `decimals` is the precision quoted to the payer,
+// `clockSkewMs` how far a block timestamp may lag real time (Bitcoin allows about two hours)
+// and `maxRateAgeMs` how old the cached FX rate may be when quoting
+export const CRYPTO_METHODS = {
+  BITCOIN: { asset: 'BTC', chain: 'BTC', network: 'Bitcoin', decimals: 8, confirmations: 2, clockSkewMs: 2 * 60 * 60 * 1000, maxRateAgeMs: 3 * 60 * 60 * 1000, addressEnv: 'BTC_WALLET_ADDRESS', confirmationsEnv: 'BTC_CONFIRMATIONS' },
+  USDT_TRC20: { asset: 'USDT', chain: 'TRON', network: 'TRON (TRC20)', decimals: 4, confirmations: 19, clockSkewMs: 60 * 1000, addressEnv: 'USDT_TRC20_ADDRESS', confirmationsEnv: 'USDT_TRC20_CONFIRMATIONS' }
+};
+
+export function paymentAddress(method, env = process.env) {
+  const spec = CRYPTO_METHODS[method];
+  return spec ? env[spec.addressEnv] || null : null;
+}
+
+export function requiredConfirmations(method, env = process.env) {
+  const spec = CRYPTO_METHODS[method];
+  return spec ? Number(env[spec.confirmationsEnv] || spec.confirmations) : 0;
+}
+
+/**
+ * A bare transaction hash (BTC and TRON: 64 hex characters, optional 0x)
+ */
+export function looksLikeTxid(text) {
+  return /^(0x)?[0-9a-f]{64}$/i.test(String(text || '').trim());
+}
+
+const roundTo = (amount, decimals) => Math.round(Number(amount) * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * True when a rate table fetched at `updatedAt` (ms) is recent enough to quote `method`
+ */
+export function rateIsFresh(method, updatedAt, now = Date.now()) {
+  const spec = CRYPTO_METHODS[method];
+  if (!spec || !spec.maxRateAgeMs) return true;
+  return Number(updatedAt) > 0 && now - Number(updatedAt) <= spec.maxRateAgeMs;
+}
+
+/**
+ * Amount of coin to ask for an order
+ * @param {Object} order - { orderId, totalAmount, currency }
+ * @param {Object} opts - { rates (per 1 USD), ratesUpdatedAt (ms), now, address }
+ * @returns {{ asset, network, address, amount, rate } | null} null without an address, an FX rate for the coin,
+ *   or (BTC) a rate fetched within CRYPTO_METHODS[method].maxRateAgeMs
+ */
+export function quoteCrypto(order, method, { rates, ratesUpdatedAt = null, now = Date.now(), address = paymentAddress(method) } = {}) {
+  const spec = CRYPTO_METHODS[method];
+  if (!spec || !address) return null;
+  if (!rateIsFresh(method, ratesUpdatedAt, now)) return null;
+  const converted = convert(order.totalAmount, order.currency || 'USD', spec.asset, rates);
+  if (converted === null) return null;
+  let hash = 0;
+  for (const ch of String(order.orderId)) hash = (hash * 31 + ch.charCodeAt(0)) % 9973;
+  const nudge = ((hash % 97) + 1) / 10 ** spec.decimals;
+  return {
+    asset: spec.asset,
+    network: spec.network,
+    address,
+    amount: roundTo(roundTo(converted, spec.decimals) + nudge, spec.decimals),
+    rate: Number(rates[spec.asset])
+  };
+}
+
+class CryptoPaymentService {
+  /**
+   * @param {Object} redis
+   * @param {Object} opts - { backends: { BTC, TRON }, telegram, adminId, tolerance (fraction of the amount due), watchHours }
+   */
+  constructor(redis, opts = {}) {
+    this.redis = redis;
+    this.backends = opts.backends || chainBackendsFromEnv();
+    this.telegram = opts.telegram || null;
+    this.adminId = opts.adminId || process.env.ADMIN_TELEGRAM_ID || null;
+    this.tolerance = Number(opts.tolerance ?? process.env.CRYPTO_PAYMENT_TOLERANCE ?? 0.005);
+    this.watchHours = Number(opts.watchHours ?? process.env.CRYPTO_WATCH_HOURS ?? 24);
+  }
+
+  /**
+   * Start watching an on-chain order; its Redis copy is kept as long as the watch
+   */
+  async watch(order) {
+    if (!CRYPTO_METHODS[order.paymentMethod] || !order.crypto) return null;
+    const entry = {
+      orderId: order.orderId,
+      userId: order.userId,
+      method: order.paymentMethod,
+      asset: order.crypto.asset,
+      address: order.crypto.address,
+      amount: order.crypto.amount,
+      expect: order.crypto.amount,
+      txs: [],
+      createdAt: order.createdAt || new Date().toISOString(),
+      expiresAt: new Date(Date.now() + this.watchHours * 60 * 60 * 1000).toISOString()
+    };
+    await this._save(entry);
+    await this.redis.setex(`payment:order:${order.orderId}`, Math.ceil(this.watchHours * 3600), JSON.stringify(order));
+    return entry;
+  }
+
+  async getWatch(orderId) {
+    const raw = await this.redis.hget(CRYPTO_WATCH_KEY, orderId);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async listWatched() {
+    const all = await this.redis.hgetall(CRYPTO_WATCH_KEY) || {};
+    return Object.values(all).map(raw => JSON.parse(raw)).sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  }
+
+  async _save(entry) {
+    await this.redis.hset(CRYPTO_WATCH_KEY, entry.orderId, JSON.stringify(entry));
+  }
+
+  async _unwatch(orderId) {
+    await this.redis.hdel(CRYPTO_WATCH_KEY, orderId);
+  }
+
+  // Mined before the order existed (confirmed transactions without a block time count as old)
+  _predatesOrder(entry, tx) {
+    const created = Date.parse(entry.createdAt);
+    if (!Number.isFinite(created)) return false;
+    if (tx.time === null || tx.time === undefined) return Number(tx.confirmations || 0) > 0;
+    return Number(tx.time) < created - CRYPTO_METHODS[entry.method].clockSkewMs;
+  }
+
+  _backend(entry) {
+    const backend = this.backends[CRYPTO_METHODS[entry.method].chain];
+    if (!backend) throw new Error(`No ${CRYPTO_METHODS[entry.method].network} backend configured`);
+    return backend;
+  }
+
+  /**
+   * A transaction hash the user sent for their open crypto order (the latest one unless `orderId` is given)
+   * @returns {{ status: activated|confirming|underpaid|review, message, ... }}
+   */
+  async submitTransaction(userId, txid, { orderId = null } = {}) {
+    if (!looksLikeTxid(txid)) throw new Error('That does not look like a transaction hash');
+    const hash = String(txid).trim().replace(/^0x/i, '').toLowerCase();
+
+    const entry = orderId
+      ? await this.getWatch(orderId)
+      : (await this.listWatched()).filter(e => String(e.userId) === String(userId)).pop();
+    if (!entry) throw new Error('No crypto payment is waiting on your account');
+    if (String(entry.userId) !== String(userId)) throw new Error('Order not found');
+    if (entry.txs.some(t => t.txid === hash)) return this._evaluate(entry);
+
+    const claimed = await this.redis.set(txKey(hash), entry.orderId, 'NX');
+    if (!claimed) throw new Error('This transaction was already used for another payment');
+
+    let tx = null;
+    try {
+      tx = await this._backend(entry).getTransaction(hash, entry.address);
+    } catch (err) {
+      await this.redis.del(txKey(hash));
+      throw err;
+    }
+    const decimals = CRYPTO_METHODS[entry.method].decimals;
+    const amount = roundTo((tx?.outputs || []).filter(o => o.address === entry.address).reduce((sum, o) => sum + Number(o.amount), 0), decimals);
+    if (!tx || !(amount > 0)) {
+      await this.redis.del(txKey(hash));
+      throw new Error(tx ? 'That transaction does not pay our address' : `Transaction not found on ${CRYPTO_METHODS[entry.method].network} yet; try again in a minute`);
+    }
+    if (this._predatesOrder(entry, tx)) {
+      await this.redis.del(txKey(hash));
+      throw new Error('That transaction was sent before this order was created');
+    }
+
+    // Any amount counts here; settle() treats a short or excess payment as under- or over-paid
+    entry.txs.push({ txid: hash, amount, confirmations: Number(tx.confirmations || 0) });
+    await this._save(entry);
+    logger.info('Crypto transaction submitted', { orderId: entry.orderId, txid: hash, amount });
+    return this._evaluate(entry);
+  }
+
+  /**
+   * Refresh confirmations and settle once every transaction is deep enough
+   */
+  async _evaluate(entry) {
+    const spec = CRYPTO_METHODS[entry.method];
+    const required = requiredConfirmations(entry.method);
+    for (const t of entry.txs) {
+      if (t.confirmations >= required) continue;
+      try {
+        const tx = await this._backend(entry).getTransaction(t.txid, entry.address);
+        if (tx) t.confirmations = Number(tx.confirmations || 0);
+      } catch (err) {
+        logger.warn('Confirmation lookup failed', err?.message || String(err));
+      }
+    }
+    await this._save(entry);
+
+    const confirming = entry.txs.filter(t => t.confirmations < required);
+    if (confirming.length) {
+      const confirmations = Math.min(...confirming.map(t => t.confirmations));
+      return { status: 'confirming', orderId: entry.orderId, confirmations, required, message: `⏳ Payment seen on ${spec.network}: ${confirmations}/${required} confirmations. We will activate your order once it is confirmed.` };
+    }
+
+    const paid = roundTo(entry.txs.reduce((sum, t) => sum + Number(t.amount), 0), spec.decimals);
+    const order = await getOrder(this.redis, entry.orderId);
+    if (!order) {
+      await this._alertAdmin(`⚠️ Crypto payment for missing order ${entry.orderId}: ${paid} ${entry.asset} (${entry.txs.map(t => t.txid).join(', ')})`);
+      return { status: 'review', orderId: entry.orderId, paid, message: '⚠️ Your payment arrived but the order has expired. Support has been notified and will activate it manually.' };
+    }
+
+    // Still short by the amount we already asked for: nothing new to tell anyone
+    if (entry.underpaid === paid) {
+      return { status: 'underpaid', outcome: 'underpaid', orderId: entry.orderId, paid, due: entry.amount, remaining: entry.expect, message: `⚠️ Still waiting for the remaining ${entry.expect} ${entry.asset} on order ${entry.orderId}.` };
+    }
+
+    const result = await this.settle(order, { paid, due: entry.amount, asset: entry.asset, reference: entry.txs.map(t => t.txid).join(',') });
+    if (result.status === 'underpaid') {
+      entry.expect = result.remaining;
+      entry.underpaid = paid;
+      await this._save(entry);
+    } else {
+      await this._unwatch(entry.orderId);
+    }
+    return result;
+  }
+
+  /**
+   * Settle a completed payment against its order (on-chain or Binance Pay)
+   * @param {Object} order
+   * @param {Object} payment - { paid, due (default order.totalAmount), asset (unit of paid/due), reference }
+   * @returns {{ status: activated|underpaid, outcome: match|overpaid|underpaid, paid, due, remaining?, credit?, message }}
+   */
+  async settle(order, { paid, due = order.totalAmount, asset = order.currency, reference }) {
+    const spec = CRYPTO_METHODS[order.paymentMethod];
+    const decimals = spec ? spec.decimals : 2;
+    const outcome = compareAmounts(due, paid, Number(due) * this.tolerance);
+
+    if (outcome === 'underpaid' || outcome === 'unknown') {
+      const remaining = roundTo(Number(due) - Number(paid || 0), decimals);
+      const where = order.crypto ? ` to \`${order.crypto.address}\`` : '';
+      const message = `⚠️ We received ${paid} ${asset} for order ${order.orderId}, but ${due} ${asset} is due.\n\nPlease send the remaining *${remaining} ${asset}*${where} to activate your subscription.`;
+      await this._notifyUser(order.userId, message);
+      await this._alertAdmin(`⚠️ Underpayment on ${order.orderId}: ${paid}/${due} ${asset} (${reference})`);
+      logger.warn('Crypto underpayment', { orderId: order.orderId, paid, due, asset });
+      return { status: 'underpaid', outcome: 'underpaid', orderId: order.orderId, paid, due, remaining, message };
+    }
+
+    const activation = await verifyAndActivatePayment(this.redis, order.orderId, reference);
+    const result = { status: 'activated', outcome, orderId: order.orderId, paid, due, message: activation?.message || '✅ Payment confirmed.' };
+
+    if (outcome === 'overpaid') {
+      // Extra coin is credited in the order's own currency, at the order's rate
+      const extra = round2((Number(paid) - Number(due)) / Number(due) * Number(order.totalAmount));
+      if (extra > 0) {
+        try {
+          await addCredit(this.redis, order.userId, extra, { currency: order.currency, reason: 'overpayment', reference: `overpay:${order.orderId}` });
+          result.credit = { amount: extra, currency: order.currency };
+          result.message += `\n\n💰 You sent ${roundTo(Number(paid) - Number(due), decimals)} ${asset} more than due; ${formatMoney(extra, order.currency)} was added to your account credit.`;
+        } catch (err) {
+          logger.warn('Failed to credit overpayment', err?.message || String(err));
+        }
+      }
+      await this._alertAdmin(`ℹ️ Overpayment on ${order.orderId}: ${paid}/${due} ${asset} (${reference})`);
+    }
+    return result;
+  }
+
+  /**
+   * One pass over watched orders: refresh confirmations, pick up payments to the
+   * address matching the amount still expected, and drop expired watches
+   * @returns {{ checked, activated, underpaid, confirming, expired, errors }}
+   */
+  async checkWatched({ now = Date.now() } = {}) {
+    const summary = { checked: 0, activated: 0, underpaid: 0, confirming: 0, expired: 0, errors: 0 };
+    for (const entry of await this.listWatched()) {
+      summary.checked += 1;
+      try {
+        if (!entry.txs.length && Date.parse(entry.expiresAt) < now) {
+          await this._unwatch(entry.orderId);
+          summary.expired += 1;
+          continue;
+        }
+        await this._scanAddress(entry);
+        if (!entry.txs.length) continue;
+        const result = await this._evaluate(entry);
+        if (result.status === 'activated') {
+          summary.activated += 1;
+          await this._notifyUser(entry.userId, result.message);
+        } else if (result.status === 'underpaid') {
+          summary.underpaid += 1;
+        } else if (result.status === 'confirming') {
+          summary.confirming += 1;
+        }
+      } catch (err) {
+        summary.errors += 1;
+        logger.warn('Crypto watch check failed', { orderId: entry.orderId, error: err?.message || String(err) });
+      }
+    }
+    return summary;
+  }
+
+  // Claim an unclaimed payment of exactly the expected amount (quotes are unique per order)
+  async _scanAddress(entry) {
+    const decimals = CRYPTO_METHODS[entry.method].decimals;
+    const seen = await this._backend(entry).incoming(entry.address);
+    for (const tx of seen) {
+      if (entry.txs.some(t => t.txid === tx.txid)) continue;
+      if (roundTo(tx.amount, decimals) !== roundTo(entry.expect, decimals)) continue;
+      if (this._predatesOrder(entry, tx)) continue;
+      const claimed = await this.redis.set(txKey(tx.txid), entry.orderId, 'NX');
+      if (!claimed) continue;
+      entry.txs.push({ txid: tx.txid, amount: roundTo(tx.amount, decimals), confirmations: Number(tx.confirmations || 0) });
+      await this._save(entry);
+      logger.info('Crypto payment found on address', { orderId: entry.orderId, txid: tx.txid });
+      return;
+    }
+  }
+
+  async _notifyUser(userId, text) {
+    if (!this.telegram || !userId) return;
+    try {
+      await this.telegram.sendMessage(userId, text, { parse_mode: 'Markdown' });
+    } catch (err) {
+      logger.warn('Failed to notify user about crypto payment', err?.message || String(err));
+    }
+  }
+
+  async _alertAdmin(text) {
+    if (!this.telegram || !this.adminId) return;
+    try {
+      await this.telegram.sendMessage(this.adminId, text, { parse_mode: 'Markdown' });
+    } catch (err) {
+      logger.warn('Failed to alert admin', err?.message || String(err));
+    }
+  }
+}
+
+export { CryptoPaymentService };
+export default CryptoPaymentService;
@@ -0,0 +1,377 @@
+/**
+ * Data merger
+ * One record per fixture (and per standings row) built from every source,
+ * remembering which source supplied each field and when.
+ *
+ * Every formatted match the aggregator sees (SportMonks, Football-Data, ESPN,
+ * OpenLigaDB, the scrapers) is kept as an observation of its canonical fixture
+ * (services/entity-registry.js): the source, when it was observed and the
+ * fields it reported. Merging then picks each field on its own:
+ *   - a candidate weighs its source's reliability (SOURCE_RELIABILITY,
+ *     overridable with MERGE_SOURCE_RELIABILITY, e.g. {"espn":0.85}); for
+ *     volatile fields (score, minute, status) that halves every
+ *     VOLATILE_HALF_LIFE_MS of age, so a fresh scrape beats a stale API poll
+ *   - sources reporting the same value add their weights; the heaviest wins
+ *   - live minutes are projected to the merge time before being compared
+ * provenance[field] names the source that supplied the value, when it was
+ * observed and which sources agreed; fields the sources disagreed on are
+ * listed in conflicts with every candidate.
+ *
+ * Standings rows are matched by canonical team; a table that has played fewer
+ * games for a team is a matchday behind and is left out for that row.
+ *
+ * Keys:
+ *   merge:fixture:{fixtureId}  hash of source -> latest observation JSON
+ */
+
+import { Logger } from '../utils/logger.js';
+import { normalizeTeamName, transliterate } from '../utils/team-names.js';
+import { getDefaultEntityRegistry, kickoffOf, providerKey } from './entity-registry.js';
+
+const logger = new Logger('DataMerger');
+
+export const SOURCE_RELIABILITY = {
+  sportsmonks: 0.9,
+  footballdata: 0.9,
+  openligadb: 0.85,
+  'api-sports': 0.85,
+  espn: 0.8,
+  flashscore: 0.7,
+  statpal: 0.7,
+  goal: 0.6
+};
+export const DEFAULT_RELIABILITY = 0.5;
+
+export const MATCH_FIELDS = ['home', 'away', 'score', 'status', 'minute', 'kickoff', 'venue', 'league'];
+export const STANDINGS_FIELDS = ['played', 'won', 'draw', 'lost', 'goalsFor', 'goalsAgainst', 'points'];
+const VOLATILE_FIELDS = new Set(['score', 'status', 'minute']);
+export const VOLATILE_HALF_LIFE_MS = 2 * 60 * 1000;
+export const OBSERVATION_TTL_SECONDS = 6 * 60 * 60;
+const MAX_MINUTE = 130;
+const MAX_MEMORY_FIXTURES = 2000;
+
+const STATUS_ALIASES = {
+  LIVE: ['live', 'in_play', 'in play', 'inplay', 'paused', 'ht', 'half time', 'halftime', '1h', '2h', 'et', 'in progress', '1st half', '2nd half', 'first half', 'second half', 'extra time'],
+  FINISHED: ['finished', 'ft', 'aet', 'pen', 'ended', 'full time', 'fulltime', 'match finished', 'awarded'],
+  POSTPONED: ['postponed', 'suspended', 'cancelled', 'canceled', 'abandoned', 'pst', 'canc'],
+  SCHEDULED: ['scheduled', 'timed', 'ns', 'not started', 'upcoming']
+};
+const STATUS_LOOKUP = new Map(Object.entries(STATUS_ALIASES).flatMap(([status, aliases]) => aliases.map(a => [a, status])));
+const PLACEHOLDERS = new Set(['', 'tba', 'unknown', 'n/a']);
+
+const observationKey = (fixtureId) => `merge:fixture:${fixtureId}`;
+
+/**
+ * Source reliability table with MERGE_SOURCE_RELIABILITY overrides applied
+ */
+export function reliabilityFromEnv(env = process.env) {
+  const table = { ...SOURCE_RELIABILITY };
+  if (!env.MERGE_SOURCE_RELIABILITY) return table;
+  try {
+    for (const [source, value] of Object.entries(JSON.parse(env.MERGE_SOURCE_RELIABILITY))) {
+      if (Number(value) >= 0) table[providerKey(source)] = Number(value);
+    }
+  } catch (e) {
+    logger.warn('Ignoring invalid MERGE_SOURCE_RELIABILITY', e?.message || String(e));
+  }
+  return table;
+}
+
+/**
+ * LIVE / SCHEDULED / FINISHED / POSTPONED for a provider status, null when unknown
+ */
+export function normalizeStatus(status) {
+  const s = String(status ?? '').trim().toLowerCase();
+  if (!s) return null;
+  if (STATUS_LOOKUP.has(s)) return STATUS_LOOKUP.get(s);
+  if (/^\d{1,3}(\+\d+)?'$/.test(s)) return 'LIVE';
+  return null;
+}
+
+/**
+ * Match minute from a formatted row ("67'", "45+2'", raw.minute, API-Sports elapsed)
+ */
+export function parseMinute(match = {}) {
+  const raw = match.raw || {};
+  const direct = match.minute ?? raw.minute ?? raw.fixture?.status?.elapsed;
+  if (direct !== null && direct !== undefined && direct !== '' && Number.isFinite(Number(direct))) return Number(direct);
+  const m = String(match.time ?? '').match(/^(\d{1,3})(?:\+(\d{1,2}))?'/);
+  return m ? Number(m[1]) + Number(m[2] || 0) : null;
+}
+
+const text = (value) => {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const s = String(value).trim();
+  return PLACEHOLDERS.has(s.toLowerCase()) ? null : s;
+};
+
+const number = (value) => (value === null || value === undefined || value === '' || !Number.isFinite(Number(value)) ? null : Number(value));
+
+/**
+ * Comparable fields of a formatted match (services/sports-aggregator.js) or scraped row
+ */
+export function matchFields(match = {}) {
+  const homeScore = number(match.homeScore ?? match.home?.score);
+  const awayScore = number(match.awayScore ?? match.away?.score);
+  const status = normalizeStatus(match.status);
+  const league = match.league?.name ?? match.league;
+  return {
+    home: text(match.home?.name ?? match.home),
+    away: text(match.away?.name ?? match.away),
+    score: homeScore !== null && awayScore !== null ? [homeScore, awayScore] : null,
+    status,
+    minute: status === 'LIVE' ? parseMinute(match) : null,
+    kickoff: kickoffOf(match),
+    venue: text(match.venue?.name ?? match.venue),
+    league: typeof league === 'string' ? text(league) : null
+  };
+}
+
+/**
+ * When a row was observed: the provider's own update time where it sends one
+ */
+export function observedAtOf(match = {}, now = Date.now()) {
+  const raw = match.raw || {};
+  for (const value of [match.observedAt, raw.lastUpdated, match.lastUpdated, raw.scrapedAt, match.scrapedAt]) {
+    const ms = Date.parse(value);
+    if (!Number.isNaN(ms) && ms <= now) return new Date(ms).toISOString();
+  }
+  return new Date(now).toISOString();
+}
+
+const defaultKey = (field, value) => (typeof value === 'string' ? transliterate(value).replace(/[^a-z0-9]+/g, ' ').trim() : JSON.stringify(value));
+
+/**
+ * Merge observations field by field
+ * @param {Array} observations - [{ source, observedAt, fields }]
+ * @param {Object} opts - { now, reliability, fields, keyOf(field, value) for custom equality }
+ * @returns {{ values, provenance, conflicts }}
+ */
+export function mergeRecords(observations = [], { now = Date.now(), reliability = SOURCE_RELIABILITY, fields = null, keyOf = null } = {}) {
+  const values = {};
+  const provenance = {};
+  const conflicts = [];
+  const names = fields || [...new Set(observations.flatMap(o => Object.keys(o.fields || {})))];
+
+  for (const field of names) {
+    const candidates = [];
+    for (const obs of observations) {
+      let value = obs.fields?.[field];
+      if (value === null || value === undefined) continue;
+      const at = Date.parse(obs.observedAt);
+      const age = Number.isNaN(at) ? 0 : Math.max(0, now - at);
+      if (field === 'minute') value = Math.min(MAX_MINUTE, value + Math.floor(age / 60000));
+      const base = reliability[providerKey(obs.source)] ?? DEFAULT_RELIABILITY;
+      const weight = VOLATILE_FIELDS.has(field) ? base * 0.5 ** (age / VOLATILE_HALF_LIFE_MS) : base;
+      candidates.push({ source: obs.source, value, observedAt: obs.observedAt, weight });
+    }
+    if (candidates.length === 0) continue;
+
+    const groups = new Map();
+    for (const c of candidates) {
+      const key = (keyOf && keyOf(field, c.value)) ?? defaultKey(field, c.value);
+      const group = groups.get(key) || { weight: 0, members: [] };
+      group.weight += c.weight;
+      group.members.push(c);
+      groups.set(key, group);
+    }
+    const [winner] = [...groups.values()].sort((a, b) => b.weight - a.weight);
+    const [lead] = winner.members.sort((a, b) => b.weight - a.weight);
+    values[field] = lead.value;
+    provenance[field] = { source: lead.source, observedAt: lead.observedAt, agreedBy: winner.members.map(c => c.source) };
+    if (groups.size > 1) {
+      conflicts.push({ field, chosen: lead.value, candidates: candidates.map(({ source, value, observedAt }) => ({ source, value, observedAt })) });
+    }
+  }
+  return { values, provenance, conflicts };
+}
+
+/**
+ * Comparable fields of a standings row (Football-Data, SportMonks or API-Sports shape)
+ */
+export function standingsRow(row = {}) {
+  return {
+    team: text(row.team?.name ?? row.participant?.name ?? row.team_name ?? row.teamName ?? row.name),
+    teamRef: row.team?.id ?? row.participant_id ?? row.team_id ?? null,
+    position: number(row.position ?? row.rank),
+    played: number(row.playedGames ?? row.played ?? row.games_played ?? row.all?.played),
+    won: number(row.won ?? row.wins ?? row.all?.win),
+    draw: number(row.draw ?? row.draws ?? row.all?.draw),
+    lost: number(row.lost ?? row.losses ?? row.all?.lose),
+    goalsFor: number(row.goalsFor ?? row.goals_for ?? row.all?.goals?.for),
+    goalsAgainst: number(row.goalsAgainst ?? row.goals_against ?? row.all?.goals?.against),
+    points: number(row.points ?? row.pts)
+  };
+}
+
+/**
+ * One table from several providers' standings
+ * @param {Array} tables - [{ source, rows, observedAt? }]
+ * @param {Object} opts - { entities, reliability, league, now }
+ */
+export function mergeStandings(tables = [], { entities = getDefaultEntityRegistry(), reliability = SOURCE_RELIABILITY, league = null, now = Date.now() } = {}) {
+  const leagueId = league ? entities.league(league)?.id || null : null;
+  const byTeam = new Map();
+  for (const table of tables) {
+    const source = providerKey(table.source);
+    for (const raw of table.rows || []) {
+      const row = standingsRow(raw);
+      if (!row.team) continue;
+      const team = entities.resolveTeam(row.team, { provider: source, providerId: row.teamRef, league: leagueId });
+      const teamId = team?.id || normalizeTeamName(row.team);
+      const entry = byTeam.get(teamId) || { teamId, team: team?.name || row.team, observations: [] };
+      entry.observations.push({ source, observedAt: table.observedAt || new Date(now).toISOString(), fields: row });
+      byTeam.set(teamId, entry);
+    }
+  }
+
+  const rows = [...byTeam.values()].map(({ teamId, team, observations }) => {
+    // A table with fewer games played for this team has not caught up with the last matchday
+    const played = Math.max(...observations.map(o => o.fields.played ?? -1));
+    const current = observations.filter(o => (o.fields.played ?? -1) === played);
+    const behind = observations.filter(o => !current.includes(o)).map(o => o.source);
+    const merged = mergeRecords(current, { now, reliability, fields: STANDINGS_FIELDS });
+    return { teamId, team, ...merged.values, sources: observations.map(o => o.source), behind, provenance: merged.provenance, conflicts: merged.conflicts };
+  });
+
+  const goalDifference = (r) => (r.goalsFor ?? 0) - (r.goalsAgainst ?? 0);
+  rows.sort((a, b) => (b.points ?? 0) - (a.points ?? 0) || goalDifference(b) - goalDifference(a) || (b.goalsFor ?? 0) - (a.goalsFor ?? 0) || a.team.localeCompare(b.team));
+  return rows.map((row, i) => ({ position: i + 1, ...row }));
+}
+
+class DataMerger {
+  /**
+   * @param {Object} opts - { entities, env, reliability, now }
+   */
+  constructor(redis = null, opts = {}) {
+    this.redis = redis;
+    this.entities = opts.entities || getDefaultEntityRegistry();
+    this.reliability = opts.reliability || reliabilityFromEnv(opts.env || process.env);
+    this.now = opts.now || (() => Date.now());
+    // fixtureId -> { expires, sources } when there is no Redis
+    this.memory = new Map();
+  }
+
+  /**
+   * Record formatted matches (annotated with canonical IDs) as observations;
+   * an older observation never replaces a newer one from the same source
+   * @returns {Promise<number>} observations stored
+   */
+  async observe(matches, source) {
+    if (!Array.isArray(matches)) return 0;
+    const now = this.now();
+    let stored = 0;
+    for (const m of matches) {
+      const fixtureId = m?.canonical?.fixtureId;
+      if (!fixtureId) continue;
+      const observation = {
+        source: providerKey(m.provider || source),
+        providerId: m.id ?? null,
+        observedAt: observedAtOf(m, now),
+        fields: matchFields(m)
+      };
+      try {
+        if (await this._record(fixtureId, observation)) stored++;
+      } catch (err) {
+        logger.warn('Failed to record observation', err?.message || String(err));
+      }
+    }
+    return stored;
+  }
+
+  async _record(fixtureId, observation) {
+    if (!this.redis) {
+      const now = this.now();
+      const entry = this.memory.get(fixtureId);
+      const sources = entry && entry.expires > now ? entry.sources : {};
+      const current = sources[observation.source];
+      if (current && Date.parse(current.observedAt) > Date.parse(observation.observedAt)) return false;
+      sources[observation.source] = observation;
+      this.memory.delete(fixtureId);
+      this.memory.set(fixtureId, { expires: now + OBSERVATION_TTL_SECONDS * 1000, sources });
+      if (this.memory.size > MAX_MEMORY_FIXTURES) this.memory.delete(this.memory.keys().next().value);
+      return true;
+    }
+
+    const key = observationKey(fixtureId);
+    const raw = await this.redis.hget(key, observation.source);
+    if (raw) {
+      try {
+        if (Date.parse(JSON.parse(raw).observedAt) > Date.parse(observation.observedAt)) return false;
+      } catch (e) {
+        // unreadable observation, overwrite it
+      }
+    }
+    await this.redis.hset(key, observation.source, JSON.stringify(observation));
+    await this.redis.expire(key, OBSERVATION_TTL_SECONDS);
+    return true;
+  }
+
+  /**
+   * Latest observation per source for a canonical fixture
+   */
+  async getObservations(fixtureId) {
+    if (!this.redis) {
+      const entry = this.memory.get(fixtureId);
+      return entry && entry.expires > this.now() ? Object.values(entry.sources) : [];
+    }
+    const hash = await this.redis.hgetall(observationKey(fixtureId)) || {};
+    const observations = [];
+    for (const value of Object.values(hash)) {
+      try {
+        observations.push(JSON.parse(value));
+      } catch (e) {
+        // skip unreadable entries
+      }
+    }
+    return observations;
+  }
+
+  /**
+   * Merge observations of one fixture into a single match with provenance
+   */
+  mergeMatch(fixtureId, observations) {
+    const teamKey = (name) => this.entities.findTeam(name)?.id || normalizeTeamName(name);
+    const { values, provenance, conflicts } = mergeRecords(observations, {
+      now: this.now(),
+      reliability: this.reliability,
+      fields: MATCH_FIELDS,
+      keyOf: (field, value) => (field === 'home' || field === 'away' ? teamKey(value) : null)
+    });
+    return {
+      fixtureId,
+      home: values.home ?? null,
+      away: values.away ?? null,
+      homeScore: values.score ? values.score[0] : null,
+      awayScore: values.score ? values.score[1] : null,
+      status: values.status ?? null,
+      minute: values.minute ?? null,
+      kickoff: values.kickoff ?? null,
+      venue: values.venue ?? null,
+      league: values.league ?? null,
+      sources: observations.map(({ source, providerId, observedAt }) => ({ source, providerId, observedAt })),
+      provenance,
+      conflicts,
+      mergedAt: new Date(this.now()).toISOString()
+    };
+  }
+
+  /**
+   * Merged match for a canonical fixture ID or a provider's match ID (null when unseen)
+   */
+  async getMergedMatch(ref, { provider = null } = {}) {
+    const fixtureId = this.entities.fixtureByRef(ref, provider)?.id || String(ref);
+    const observations = await this.getObservations(fixtureId);
+    return observations.length > 0 ? this.mergeMatch(fixtureId, observations) : null;
+  }
+
+  /**
+   * Merged standings table (see mergeStandings)
+   */
+  mergeStandings(tables, { league = null } = {}) {
+    return mergeStandings(tables, { entities: this.entities, reliability: this.reliability, league, now: this.now() });
+  }
+}
+
+export { DataMerger };
+export default DataMerger;
@@ -0,0 +1,375 @@
+/**
+ * Entitlement Service
+ * Single source of truth for what a user may access. Products (the tiers sold
+ * through payment-router and the per-sport plans in services/pricing.js)
+ * grant named entitlements, optionally with a quota per billing period:
+ *
+ *   analysis          unlimited while the grant is active
+ *   fixed_tips: 15    counted per grant, so every monthly renewal starts fresh
+ *   sport:tennis      per-sport access; `sport:*` covers every sport
+ *
+ * Redis layout:
+ *   user:{id}:grants                     hash grantId -> { id, product, startsAt, expiresAt, source, orderId }
+ *   entitlement:usage:{id}:{grant}:{name} usage counter for a quota'd entitlement
+ *
+ * Users activated before grants existed are resolved from the legacy fields
+ * (`user:{id}` hash tier/subscriptionExpiry/signupPaid, or the UserService
+ * JSON role/vvip_expires_at/paid_at) so nobody loses access on upgrade.
+ */
+
+import { Logger } from '../utils/logger.js';
+import { PRICING_TIERS } from './pricing.js';
+import { subscriptionState } from './subscription-lifecycle.js';
+
+const logger = new Logger('EntitlementService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRACE_DAYS = Number(process.env.SUBSCRIPTION_GRACE_DAYS || 3);
+
+export const FREE_FEATURES = ['live', 'standings', 'odds', 'tips', 'help', 'pricing', 'refer'];
+export const MEMBER_FEATURES = ['analysis', 'predictions', 'stats', 'insights', 'compete', 'watch'];
+export const VVIP_FEATURES = ['dossier', 'coach', 'trends', 'premium', 'alerts', 'live_commentary', 'advanced_metrics'];
+
+const unlimited = (names) => Object.fromEntries(names.map(n => [n, null]));
+
+function sportProducts() {
+  const products = {};
+  for (const [sport, plans] of Object.entries(PRICING_TIERS)) {
+    if (sport === 'allAccess') continue;
+    const key = sport.toUpperCase();
+    products[`${key}_STARTER`] = { name: plans.starter.name, days: 30, entitlements: { [`sport:${sport}`]: null, ...unlimited(['predictions', 'insights']) } };
+    products[`${key}_PRO`] = { name: plans.pro.name, days: 30, entitlements: { [`sport:${sport}`]: null, ...unlimited([...MEMBER_FEATURES, 'alerts']) } };
+    products[`${key}_ELITE`] = { name: plans.elite.name, days: 30, entitlements: { [`sport:${sport}`]: null, ...unlimited([...MEMBER_FEATURES, ...VVIP_FEATURES]) } };
+  }
+  products.ALL_ACCESS = { name: PRICING_TIERS.allAccess.bundle.name, days: 30, entitlements: { 'sport:*': null, ...unlimited([...MEMBER_FEATURES, ...VVIP_FEATURES]) } };
+  return products;
+}
+
+/**
+ * Product catalog. `entitlements` maps name -> quota per grant (null = unlimited);
+ * `days` is the default grant length.
+ */
+export const PRODUCTS = {
+  FREE: { name: 'Free', days: null, entitlements: unlimited(FREE_FEATURES) },
+  SIGNUP: { name: 'Signup Fee (One-time)', days: 365, entitlements: unlimited(MEMBER_FEATURES) },
+  PRO: { name: 'Pro Monthly', days: 30, entitlements: unlimited(MEMBER_FEATURES) },
+  VVIP: { name: 'VVIP Monthly', days: 30, entitlements: { 'sport:*': null, fixed_tips: null, ...unlimited([...MEMBER_FEATURES, ...VVIP_FEATURES]) } },
+  PLUS: { name: 'BETRIX Plus', days: 30, entitlements: { 'sport:*': null, fixed_tips: null, ...unlimited([...MEMBER_FEATURES, ...VVIP_FEATURES]) } },
+  FIXED_BRONZE: { name: 'Fixed Bronze', days: 30, entitlements: { fixed_tips: 5 } },
+  FIXED_SILVER: { name: 'Fixed Silver', days: 30, entitlements: { fixed_tips: 15 } },
+  FIXED_GOLD: { name: 'Fixed Gold', days: 30, entitlements: { fixed_tips: 50 } },
+  ...sportProducts()
+};
+
+/**
+ * Whether a granted entitlement name covers the requested one (`sport:*` covers `sport:tennis`)
+ */
+export function entitlementMatches(granted, requested) {
+  if (granted === requested) return true;
+  return granted.endsWith(':*') && requested.startsWith(granted.slice(0, -1));
+}
+
+/**
+ * Quota a product grants for `name`: undefined when not granted, null when unlimited
+ */
+export function productQuota(product, name) {
+  const entitlements = PRODUCTS[String(product).toUpperCase()]?.entitlements || {};
+  const key = Object.keys(entitlements).find(k => entitlementMatches(k, name));
+  return typeof key === 'undefined' ? undefined : entitlements[key];
+}
+
+/**
+ * Display tier (free | member | vvip) for a set of entitlement names
+ */
+export function tierFromEntitlements(names) {
+  const has = (n) => names.some(g => entitlementMatches(g, n));
+  if (has('premium')) return 'vvip';
+  if (has('analysis')) return 'member';
+  return 'free';
+}
+
+function isActive(grant, now, graceDays) {
+  if (grant.startsAt && Date.parse(grant.startsAt) > now) return false;
+  if (!grant.expiresAt) return true;
+  return subscriptionState(grant.expiresAt, now, graceDays) !== 'expired';
+}
+
+class EntitlementService {
+  /**
+   * @param {Object} redis
+   * @param {Object} opts - { userService, graceDays }
+   *   userService: read for legacy role/paid_at grants
+   */
+  constructor(redis, opts = {}) {
+    this.redis = redis;
+    this.userService = opts.userService || null;
+    this.graceDays = typeof opts.graceDays === 'number' ? opts.graceDays : GRACE_DAYS;
+  }
+
+  /**
+   * Grant a product. Defaults to starting now for the product's standard length.
+   */
+  async grant(userId, product, { startsAt = new Date(), expiresAt = null, source = 'payment', orderId = null } = {}) {
+    const id = String(product).toUpperCase();
+    const def = PRODUCTS[id];
+    if (!def) throw new Error(`Unknown product: ${product}`);
+    const start = new Date(startsAt);
+    const end = expiresAt ? new Date(expiresAt) : (def.days ? new Date(start.getTime() + def.days * DAY_MS) : null);
+    const grant = {
+      id: `${id}:${start.getTime()}`,
+      product: id,
+      startsAt: start.toISOString(),
+      expiresAt: end ? end.toISOString() : null,
+      source,
+      orderId
+    };
+    await this.redis.hset(`user:${userId}:grants`, grant.id, JSON.stringify(grant));
+    logger.info('Entitlement granted', { userId, product: id, expiresAt: grant.expiresAt });
+    return grant;
+  }
+
+  /**
+   * Remove every grant of a product (or a single grant by id)
+   * @returns {number} grants removed
+   */
+  async revoke(userId, productOrGrantId) {
+    const key = String(productOrGrantId).toUpperCase();
+    const stored = await this._storedGrants(userId);
+    const ids = stored.filter(g => g.id === productOrGrantId || g.product === key).map(g => g.id);
+    for (const id of ids) await this.redis.hdel(`user:${userId}:grants`, id);
+    if (ids.length) logger.info('Entitlement revoked', { userId, grants: ids });
+    return ids.length;
+  }
+
+  /**
+   * Take back the time bought by an order after a refund or chargeback.
+   * `fraction` of the grant's paid length is removed from its end (1 removes
+   * the whole grant); later grants of the same product that were stacked
+   * after it move earlier by the same amount.
+   * @returns {{ product, deltaMs, removed }|null} null when the order granted nothing
+   */
+  async reverseOrder(userId, orderId, fraction = 1, now = Date.now()) {
+    const stored = await this._storedGrants(userId);
+    const grant = stored.find(g => g.orderId === orderId);
+    if (!grant) return null;
+    const key = `user:${userId}:grants`;
+    const start = grant.startsAt ? Date.parse(grant.startsAt) : now;
+    const end = grant.expiresAt ? Date.parse(grant.expiresAt) : null;
+    const full = fraction >= 1;
+
+    if (end === null) {
+      // Non-expiring grants cannot be prorated; only a full reversal removes them
+      if (full) await this.redis.hdel(key, grant.id);
+      return { product: grant.product, deltaMs: 0, removed: full };
+    }
+
+    const unused = Math.max(0, end - Math.max(start, now));
+    const deltaMs = full ? unused : Math.min(unused, Math.round(fraction * (end - start)));
+    const removed = full || end - deltaMs <= Math.max(start, now);
+    if (removed) {
+      await this.redis.hdel(key, grant.id);
+    } else {
+      await this.redis.hset(key, grant.id, JSON.stringify({ ...grant, expiresAt: new Date(end - deltaMs).toISOString() }));
+    }
+    for (const later of stored) {
+      if (later.id === grant.id || later.product !== grant.product || !later.startsAt || Date.parse(later.startsAt) < end) continue;
+      await this.redis.hset(key, later.id, JSON.stringify({
+        ...later,
+        startsAt: new Date(Date.parse(later.startsAt) - deltaMs).toISOString(),
+        expiresAt: later.expiresAt ? new Date(Date.parse(later.expiresAt) - deltaMs).toISOString() : null
+      }));
+    }
+    logger.info('Entitlement reversed', { userId, orderId, product: grant.product, deltaMs, removed });
+    return { product: grant.product, deltaMs, removed };
+  }
+
+  /**
+   * Drop every stored grant (used when rebuilding from the payment ledger)
+   */
+  async reset(userId) {
+    await this.redis.del(`user:${userId}:grants`);
+  }
+
+  async _storedGrants(userId) {
+    try {
+      const raw = await this.redis.hgetall(`user:${userId}:grants`) || {};
+      return Object.values(raw).map(v => { try { return JSON.parse(v); } catch { return null; } }).filter(Boolean);
+    } catch (err) {
+      logger.warn(`Failed to read grants for ${userId}`, err?.message || String(err));
+      return [];
+    }
+  }
+
+  /**
+   * Grants implied by fields written before this service existed
+   */
+  async _legacyGrants(userId) {
+    const grants = [];
+    try {
+      const h = await this.redis.hgetall(`user:${userId}`) || {};
+      const tier = String(h.tier || '').toUpperCase();
+      if (PRODUCTS[tier] && tier !== 'FREE' && h.subscriptionExpiry) {
+        grants.push({ id: `${tier}:legacy`, product: tier, startsAt: null, expiresAt: h.subscriptionExpiry, source: 'legacy' });
+      }
+      if (h.signupPaid === '1') {
+        grants.push({ id: 'SIGNUP:legacy', product: 'SIGNUP', startsAt: null, expiresAt: h.analysisAccessUntil || null, source: 'legacy' });
+      }
+    } catch (e) { void e; }
+
+    if (this.userService) {
+      try {
+        const user = await this.userService.getUser(userId);
+        if (user?.role === 'vvip') {
+          const end = user.vvip_expires_at ? new Date(Number(user.vvip_expires_at)).toISOString() : (user.subscriptionExpiry || null);
+          grants.push({ id: 'VVIP:legacy-role', product: 'VVIP', startsAt: null, expiresAt: end, source: 'legacy' });
+        } else if (user?.paid_at) {
+          grants.push({ id: 'SIGNUP:legacy-role', product: 'SIGNUP', startsAt: null, expiresAt: user.subscriptionExpiry || null, source: 'legacy' });
+        }
+      } catch (e) { void e; }
+    }
+    return grants;
+  }
+
+  /**
+   * Active grants at `now`, soonest expiry first. Legacy fields fill in what
+   * stored grants do not cover: products without a stored grant, and time past
+   * the end of the last stored grant of the same product.
+   */
+  async getGrants(userId, now = Date.now()) {
+    const stored = await this._storedGrants(userId);
+    const end = (g) => (g.expiresAt ? Date.parse(g.expiresAt) : Infinity);
+    const grants = [...stored];
+    for (const legacy of await this._legacyGrants(userId)) {
+      const same = stored.filter(g => g.product === legacy.product);
+      if (!same.length) {
+        grants.push(legacy);
+        continue;
+      }
+      const covered = Math.max(...same.map(end));
+      if (end(legacy) > covered) grants.push({ ...legacy, startsAt: new Date(covered).toISOString() });
+    }
+    return grants.filter(g => isActive(g, now, this.graceDays)).sort((a, b) => end(a) - end(b));
+  }
+
+  _usageKey(userId, grantId, name) {
+    return `entitlement:usage:${userId}:${grantId}:${name}`;
+  }
+
+  async _used(userId, grantId, name) {
+    try {
+      return Number(await this.redis.get(this._usageKey(userId, grantId, name))) || 0;
+    } catch {
+      return 0;
+    }
+  }
+
+  /**
+   * Quota status for one entitlement
+   * @returns {{ allowed: boolean, quota: number|null, used: number, remaining: number|null }}
+   *   quota/remaining are null when unlimited
+   */
+  async check(userId, name, now = Date.now()) {
+    if (productQuota('FREE', name) === null) return { allowed: true, quota: null, used: 0, remaining: null };
+    const grants = await this.getGrants(userId, now);
+    let quota = 0;
+    let used = 0;
+    let granted = false;
+    for (const g of grants) {
+      const q = productQuota(g.product, name);
+      if (typeof q === 'undefined') continue;
+      granted = true;
+      if (q === null) return { allowed: true, quota: null, used: 0, remaining: null };
+      quota += q;
+      used += Math.min(q, await this._used(userId, g.id, name));
+    }
+    const remaining = Math.max(0, quota - used);
+    return { allowed: granted && remaining > 0, quota: granted ? quota : 0, used, remaining };
+  }
+
+  async has(userId, name, now = Date.now()) {
+    return (await this.check(userId, name, now)).allowed;
+  }
+
+  /**
+   * Consume `amount` units of a quota'd entitlement. Each grant's counter is
+   * incremented atomically and rolled back if it overshoots, so concurrent
+   * requests cannot spend the same unit twice. Unlimited entitlements succeed
+   * without counting.
+   * @returns {{ ok: boolean, remaining: number|null, grantId?: string }}
+   */
+  async consume(userId, name, amount = 1, now = Date.now()) {
+    const grants = await this.getGrants(userId, now);
+    const quotaGrants = [];
+    for (const g of grants) {
+      const q = productQuota(g.product, name);
+      if (typeof q === 'undefined') continue;
+      if (q === null) return { ok: true, remaining: null, grantId: g.id };
+      quotaGrants.push({ grant: g, quota: q });
+    }
+    for (const { grant, quota } of quotaGrants) {
+      const key = this._usageKey(userId, grant.id, name);
+      const used = await this.redis.incrby(key, amount);
+      if (used > quota) {
+        await this.redis.decrby(key, amount);
+        continue;
+      }
+      if (grant.expiresAt) {
+        const ttl = Math.ceil((Date.parse(grant.expiresAt) - now) / 1000 + (this.graceDays + 1) * 86400);
+        if (ttl > 0) await this.redis.expire(key, ttl);
+      }
+      const after = await this.check(userId, name, now);
+      return { ok: true, remaining: after.remaining, grantId: grant.id };
+    }
+    return { ok: false, remaining: 0 };
+  }
+
+  /**
+   * Every entitlement the user holds with merged quota and soonest expiry
+   * @returns {Array<{ name, quota, used, remaining, expiresAt, products }>}
+   */
+  async list(userId, now = Date.now()) {
+    const grants = [{ id: 'FREE', product: 'FREE', expiresAt: null }, ...(await this.getGrants(userId, now))];
+    const names = new Map();
+    for (const g of grants) {
+      for (const name of Object.keys(PRODUCTS[g.product]?.entitlements || {})) {
+        const entry = names.get(name) || { name, expiresAt: null, products: [] };
+        if (!entry.products.includes(g.product)) entry.products.push(g.product);
+        if (g.expiresAt && (!entry.expiresAt || g.expiresAt > entry.expiresAt)) entry.expiresAt = g.expiresAt;
+        names.set(name, entry);
+      }
+    }
+    const out = [];
+    for (const entry of names.values()) {
+      const { quota, used, remaining } = await this.check(userId, entry.name, now);
+      out.push({ ...entry, quota, used, remaining });
+    }
+    return out;
+  }
+
+  /**
+   * Display tier: free | member | vvip
+   */
+  async tierOf(userId, now = Date.now()) {
+    const grants = await this.getGrants(userId, now);
+    const names = grants.flatMap(g => Object.keys(PRODUCTS[g.product]?.entitlements || {}));
+    return tierFromEntitlements(names);
+  }
+
+  /**
+   * Short plan summary for profile screens
+   */
+  async formatSummary(userId, now = Date.now()) {
+    const grants = await this.getGrants(userId, now);
+    if (!grants.length) return '🎁 Free plan';
+    const lines = grants.map(g => {
+      const until = g.expiresAt ? ` — until ${new Date(g.expiresAt).toUTCString().slice(0, 16)}` : '';
+      return `• ${PRODUCTS[g.product]?.name || g.product}${until}`;
+    });
+    const tips = await this.check(userId, 'fixed_tips', now);
+    if (tips.quota) lines.push(`• Fixed tips left: ${tips.remaining}/${tips.quota}`);
+    return lines.join('\n');
+  }
+}
+
+export { EntitlementService };
+export default EntitlementService;
@@ -0,0 +1,543 @@
+/**
+ * Entity registry
+ * Canonical IDs for leagues, teams and fixtures across every data source.
+ *
+ * Providers all use their own IDs and spellings: API-Sports league 140 is
+ * Football-Data "PD" and SportMonks 564, and "Man Utd", "Manchester United FC"
+ * and "Манчестер Юнайтед" are one club. The registry keeps
+ *   - leagues, seeded from SEED_LEAGUES with per-provider IDs and aliases
+ *   - teams, seeded from SEED_TEAMS; a name that is not known yet is fuzzy
+ *     matched (utils/team-names.js) against the known aliases and, failing
+ *     that, registered as a new team so later spellings link to it
+ *   - fixtures, a canonical home/away pair plus kickoff; rows for the same
+ *     pair within FIXTURE_WINDOW_MS of each other are the same fixture
+ * plus cross-references from (provider, provider ID) to the canonical ID.
+ *
+ * Lookups are synchronous against memory so formatters can call them inline.
+ * Everything learned is written through to Redis (entity:teams, entity:xref,
+ * entity:fixtures) and read back by load() at startup.
+ *
+ * League IDs passed around the bot (getLiveMatches(39), /odds 140, ...) are
+ * API-Sports numbers; league() accepts those as well as canonical IDs,
+ * provider IDs and league names.
+ */
+
+import { Logger } from '../utils/logger.js';
+import { normalizeTeamName, teamSimilarity, transliterate } from '../utils/team-names.js';
+
+const logger = new Logger('EntityRegistry');
+
+export const TEAMS_KEY = 'entity:teams';
+export const XREF_KEY = 'entity:xref';
+export const FIXTURES_KEY = 'entity:fixtures';
+
+// Same pairing within this distance of a known kickoff is the same fixture
+export const FIXTURE_WINDOW_MS = 36 * 60 * 60 * 1000;
+// Fuzzy team matches below this score register a new team instead
+export const TEAM_MATCH_THRESHOLD = 0.85;
+const FIXTURE_RETENTION_MS = 14 * 24 * 60 * 60 * 1000;
+const MAX_FIXTURES = 5000;
+
+// Spellings of provider names used by formatters and scrapers
+const PROVIDER_ALIASES = {
+  'football-data': 'footballdata',
+  'football-data.org': 'footballdata',
+  sportmonks: 'sportsmonks',
+  apisports: 'api-sports',
+  'api-football': 'api-sports',
+  'flashscore.com': 'flashscore',
+  'goal.com': 'goal'
+};
+
+export const SEED_LEAGUES = [
+  { id: 'eng-premier-league', name: 'Premier League', country: 'England', code: 'E0', aliases: ['EPL', 'English Premier League', 'Barclays Premier League'], refs: { 'api-sports': '39', footballdata: 'PL', sportsmonks: '8', flashscore: '17', goal: 'premier-league' } },
+  { id: 'esp-la-liga', name: 'La Liga', country: 'Spain', code: 'SP1', aliases: ['LaLiga', 'Primera Division', 'LaLiga EA Sports', 'Spanish La Liga'], refs: { 'api-sports': '140', footballdata: 'PD', sportsmonks: '564', flashscore: '87', goal: 'la-liga' } },
+  { id: 'ita-serie-a', name: 'Serie A', country: 'Italy', code: 'I1', aliases: ['Italian Serie A', 'Serie A TIM'], refs: { 'api-sports': '135', footballdata: 'SA', sportsmonks: '384', flashscore: '106', goal: 'serie-a' } },
+  { id: 'fra-ligue-1', name: 'Ligue 1', country: 'France', code: 'F1', aliases: ['French Ligue 1', 'Ligue 1 McDonald\'s', 'Ligue 1 Uber Eats'], refs: { 'api-sports': '61', footballdata: 'FL1', sportsmonks: '301', goal: 'ligue-1' } },
+  { id: 'ger-bundesliga', name: 'Bundesliga', country: 'Germany', code: 'D1', aliases: ['German Bundesliga', '1. Bundesliga'], refs: { 'api-sports': '78', footballdata: 'BL1', sportsmonks: '82', openligadb: 'bl1', goal: 'bundesliga' } },
+  { id: 'uefa-champions-league', name: 'Champions League', country: 'Europe', code: 'C1', aliases: ['UEFA Champions League', 'UCL'], refs: { 'api-sports': '2', footballdata: 'CL', sportsmonks: '2', goal: 'champions-league' } }
+];
+
+export const SEED_TEAMS = [
+  { id: 'arsenal', name: 'Arsenal', country: 'England', leagues: ['eng-premier-league'], aliases: ['Arsenal FC', 'Арсенал'] },
+  { id: 'aston-villa', name: 'Aston Villa', country: 'England', leagues: ['eng-premier-league'], aliases: ['Villa'] },
+  { id: 'brighton-hove-albion', name: 'Brighton & Hove Albion', country: 'England', leagues: ['eng-premier-league'], aliases: ['Brighton'] },
+  { id: 'chelsea', name: 'Chelsea', country: 'England', leagues: ['eng-premier-league'], aliases: ['Chelsea FC', 'Челси'] },
+  { id: 'everton', name: 'Everton', country: 'England', leagues: ['eng-premier-league'], aliases: [] },
+  { id: 'liverpool', name: 'Liverpool', country: 'England', leagues: ['eng-premier-league'], aliases: ['Liverpool FC', 'Ливерпуль'] },
+  { id: 'manchester-city', name: 'Manchester City', country: 'England', leagues: ['eng-premier-league'], aliases: ['Man City', 'Манчестер Сити'] },
+  { id: 'manchester-united', name: 'Manchester United', country: 'England', leagues: ['eng-premier-league'], aliases: ['Man Utd', 'Man United', 'Манчестер Юнайтед'] },
+  { id: 'newcastle-united', name: 'Newcastle United', country: 'England', leagues: ['eng-premier-league'], aliases: ['Newcastle'] },
+  { id: 'nottingham-forest', name: 'Nottingham Forest', country: 'England', leagues: ['eng-premier-league'], aliases: ['Nott\'m Forest'] },
+  { id: 'tottenham-hotspur', name: 'Tottenham Hotspur', country: 'England', leagues: ['eng-premier-league'], aliases: ['Tottenham', 'Spurs'] },
+  { id: 'west-ham-united', name: 'West Ham United', country: 'England', leagues: ['eng-premier-league'], aliases: ['West Ham'] },
+  { id: 'wolverhampton-wanderers', name: 'Wolverhampton Wanderers', country: 'England', leagues: ['eng-premier-league'], aliases: ['Wolves', 'Wolverhampton'] },
+  { id: 'athletic-club', name: 'Athletic Club', country: 'Spain', leagues: ['esp-la-liga'], aliases: ['Athletic Bilbao', 'Ath Bilbao'] },
+  { id: 'atletico-madrid', name: 'Atlético Madrid', country: 'Spain', leagues: ['esp-la-liga'], aliases: ['Club Atlético de Madrid', 'Atlético de Madrid', 'Atl. Madrid', 'Ath Madrid'] },
+  { id: 'barcelona', name: 'Barcelona', country: 'Spain', leagues: ['esp-la-liga'], aliases: ['FC Barcelona', 'Barça', 'Барселона'] },
+  { id: 'real-betis', name: 'Real Betis', country: 'Spain', leagues: ['esp-la-liga'], aliases: ['Real Betis Balompié', 'Betis'] },
+  { id: 'real-madrid', name: 'Real Madrid', country: 'Spain', leagues: ['esp-la-liga'], aliases: ['Real Madrid CF', 'Реал Мадрид'] },
+  { id: 'real-sociedad', name: 'Real Sociedad', country: 'Spain', leagues: ['esp-la-liga'], aliases: ['Real Sociedad de Fútbol', 'Sociedad'] },
+  { id: 'sevilla', name: 'Sevilla', country: 'Spain', leagues: ['esp-la-liga'], aliases: ['Sevilla FC', 'Seville'] },
+  { id: 'ac-milan', name: 'AC Milan', country: 'Italy', leagues: ['ita-serie-a'], aliases: ['Milan', 'Милан'] },
+  { id: 'inter', name: 'Inter', country: 'Italy', leagues: ['ita-serie-a'], aliases: ['Internazionale', 'Inter Milan', 'FC Internazionale Milano', 'Интер'] },
+  { id: 'juventus', name: 'Juventus', country: 'Italy', leagues: ['ita-serie-a'], aliases: ['Juventus FC', 'Juve', 'Ювентус'] },
+  { id: 'lazio', name: 'Lazio', country: 'Italy', leagues: ['ita-serie-a'], aliases: ['SS Lazio'] },
+  { id: 'napoli', name: 'Napoli', country: 'Italy', leagues: ['ita-serie-a'], aliases: ['SSC Napoli', 'Naples'] },
+  { id: 'roma', name: 'Roma', country: 'Italy', leagues: ['ita-serie-a'], aliases: ['AS Roma'] },
+  { id: 'bayer-leverkusen', name: 'Bayer Leverkusen', country: 'Germany', leagues: ['ger-bundesliga'], aliases: ['Bayer 04 Leverkusen', 'Leverkusen'] },
+  { id: 'bayern-munich', name: 'Bayern Munich', country: 'Germany', leagues: ['ger-bundesliga'], aliases: ['FC Bayern München', 'Bayern München', 'Bayern', 'Бавария'] },
+  { id: 'borussia-dortmund', name: 'Borussia Dortmund', country: 'Germany', leagues: ['ger-bundesliga'], aliases: ['Dortmund', 'BVB', 'Боруссия Дортмунд'] },
+  { id: 'borussia-monchengladbach', name: 'Borussia Mönchengladbach', country: 'Germany', leagues: ['ger-bundesliga'], aliases: ['Mönchengladbach', 'Borussia M\'gladbach', 'Gladbach'] },
+  { id: 'rb-leipzig', name: 'RB Leipzig', country: 'Germany', leagues: ['ger-bundesliga'], aliases: ['RasenBallsport Leipzig', 'Leipzig'] },
+  { id: 'lyon', name: 'Lyon', country: 'France', leagues: ['fra-ligue-1'], aliases: ['Olympique Lyonnais', 'Olympique Lyon'] },
+  { id: 'marseille', name: 'Marseille', country: 'France', leagues: ['fra-ligue-1'], aliases: ['Olympique de Marseille', 'Olympique Marseille'] },
+  { id: 'monaco', name: 'Monaco', country: 'France', leagues: ['fra-ligue-1'], aliases: ['AS Monaco'] },
+  { id: 'paris-saint-germain', name: 'Paris Saint-Germain', country: 'France', leagues: ['fra-ligue-1'], aliases: ['PSG', 'Paris SG', 'Пари Сен-Жермен'] }
+];
+
+export function providerKey(provider) {
+  const p = String(provider || '').trim().toLowerCase();
+  return PROVIDER_ALIASES[p] || p;
+}
+
+export function normalizeLeagueName(name) {
+  return transliterate(name).replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+const xrefKey = (type, provider, providerId) => `${type}:${providerKey(provider)}:${providerId}`;
+const slug = (normalized) => normalized.replace(/\s+/g, '-') || 'team';
+const isPlaceholder = (name) => !name || ['home', 'away', 'tba', 'unknown'].includes(String(name).trim().toLowerCase());
+
+/**
+ * True when a normalized name is one of the aliases padded with words the team
+ * never goes by ("Inter Miami" is not Inter, "Arsenal Women" is not Arsenal)
+ */
+function paddedAlias(aliases, normalized) {
+  const tokens = normalized.split(' ');
+  const known = [...new Set(aliases.flatMap(alias => alias.split(' ')))];
+  const foreign = tokens.some(t => !known.some(k => k === t || teamSimilarity(k, t) >= TEAM_MATCH_THRESHOLD));
+  return foreign && aliases.some(alias => alias.split(' ').every(t => tokens.includes(t)));
+}
+
+/**
+ * Kickoff of a formatted match as ISO, from whichever field the provider filled
+ */
+export function kickoffOf(match = {}) {
+  const candidates = [match.kickoff, match.utcDate, match.raw?.utcDate, match.raw?.starting_at, match.raw?.fixture?.date, match.startTime, match.date, match.time];
+  for (const value of candidates) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) continue;
+    // SportMonks sends "2026-10-18 15:00:00" in UTC
+    const iso = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(value) ? `${value.replace(' ', 'T')}Z` : value;
+    const ms = Date.parse(iso);
+    if (!Number.isNaN(ms)) return new Date(ms).toISOString();
+  }
+  return null;
+}
+
+class EntityRegistry {
+  /**
+   * @param {Object} opts - { seed (default true), now }
+   */
+  constructor(redis = null, opts = {}) {
+    this.redis = redis;
+    this.now = opts.now || (() => Date.now());
+    this.leagues = new Map();
+    this.leagueAliases = new Map();
+    this.teams = new Map();
+    this.teamAliases = new Map();
+    this.fixtures = new Map();
+    this.fixturesByPair = new Map();
+    this.xrefs = new Map();
+    this.fuzzyCache = new Map();
+    this.writes = Promise.resolve();
+
+    if (opts.seed !== false) {
+      for (const league of SEED_LEAGUES) this._addLeague(league);
+      for (const team of SEED_TEAMS) this._addTeam({ ...team, seeded: true });
+    }
+  }
+
+  // ---------------------------------------------------------------- leagues
+
+  _addLeague(league) {
+    const record = { ...league, refs: { ...(league.refs || {}) } };
+    this.leagues.set(record.id, record);
+    for (const alias of [record.name, ...(record.aliases || [])]) {
+      const key = normalizeLeagueName(alias);
+      if (key && !this.leagueAliases.has(key)) this.leagueAliases.set(key, record.id);
+    }
+    for (const [provider, providerId] of Object.entries(record.refs)) this.xrefs.set(xrefKey('league', provider, providerId), record.id);
+    return record;
+  }
+
+  /**
+   * League by canonical ID, provider ID (with `provider`), API-Sports ID or name
+   */
+  league(ref, provider = null) {
+    if (ref === null || ref === undefined || ref === '') return null;
+    const key = String(ref);
+    if (this.leagues.has(key)) return this.leagues.get(key);
+    const id = (provider && this.xrefs.get(xrefKey('league', provider, key)))
+      || this.xrefs.get(xrefKey('league', 'api-sports', key))
+      || this.leagueAliases.get(normalizeLeagueName(key));
+    return id ? this.leagues.get(id) || null : null;
+  }
+
+  /**
+   * A provider's ID for a league given in any form, e.g. (140, 'footballdata') -> 'PD'
+   */
+  providerLeagueId(ref, provider, fallbackProvider = null) {
+    const league = this.league(ref, fallbackProvider);
+    return league?.refs[providerKey(provider)] ?? null;
+  }
+
+  /**
+   * Built-in leagues in the shape getLeagues() returns
+   */
+  leagueSummaries() {
+    return [...this.leagues.values()].map(l => ({
+      id: Number(l.refs['api-sports']) || l.id,
+      name: l.name,
+      country: l.country,
+      code: l.code,
+      footballDataId: l.refs.footballdata || null,
+      canonicalId: l.id
+    }));
+  }
+
+  // ------------------------------------------------------------------ teams
+
+  _addTeam(team) {
+    const record = {
+      id: team.id,
+      name: team.name,
+      country: team.country || null,
+      leagues: [...new Set(team.leagues || [])],
+      aliases: [...new Set([team.name, ...(team.aliases || [])].map(normalizeTeamName).filter(Boolean))],
+      refs: { ...(team.refs || {}) },
+      seeded: Boolean(team.seeded)
+    };
+    this.teams.set(record.id, record);
+    for (const alias of record.aliases) if (!this.teamAliases.has(alias)) this.teamAliases.set(alias, record.id);
+    for (const [provider, providerId] of Object.entries(record.refs)) this.xrefs.set(xrefKey('team', provider, providerId), record.id);
+    this.fuzzyCache.clear();
+    return record;
+  }
+
+  _fuzzyTeam(normalized, leagueId) {
+    const cacheKey = `${leagueId || ''}|${normalized}`;
+    if (this.fuzzyCache.has(cacheKey)) return this.fuzzyCache.get(cacheKey);
+    const scores = [];
+    for (const team of this.teams.values()) {
+      // A team known to play elsewhere is not a candidate
+      if (leagueId && team.leagues.length > 0 && !team.leagues.includes(leagueId)) continue;
+      // Neither is one whose name is padded with words it never goes by
+      if (paddedAlias(team.aliases, normalized)) continue;
+      const score = Math.max(...team.aliases.map(alias => teamSimilarity(alias, normalized)));
+      if (score >= TEAM_MATCH_THRESHOLD) scores.push({ team, score });
+    }
+    scores.sort((a, b) => b.score - a.score);
+    // Equally good candidates ("Manchester" vs United and City) resolve to nothing
+    const match = scores.length > 0 && !(scores.length > 1 && scores[1].score === scores[0].score) ? scores[0] : null;
+    this.fuzzyCache.set(cacheKey, match);
+    return match;
+  }
+
+  /**
+   * Known team for a name or provider ID, without registering anything
+   * @param {Object} opts - { provider, providerId, league (canonical league ID) }
+   */
+  findTeam(name, { provider = null, providerId = null, league = null } = {}) {
+    if (provider && providerId !== null && providerId !== undefined) {
+      const id = this.xrefs.get(xrefKey('team', provider, providerId));
+      if (id && this.teams.has(id)) return this.teams.get(id);
+    }
+    const normalized = normalizeTeamName(name);
+    if (!normalized) return null;
+    const exact = this.teamAliases.get(normalized);
+    if (exact) return this.teams.get(exact);
+    return this._fuzzyTeam(normalized, league)?.team || null;
+  }
+
+  /**
+   * Canonical team for a provider's team, learning the spelling and ID, or
+   * registering a new team when nothing matches
+   */
+  resolveTeam(name, { provider = null, providerId = null, league = null } = {}) {
+    if (isPlaceholder(name)) return null;
+    const normalized = normalizeTeamName(name);
+    if (!normalized) return null;
+    let team = this.findTeam(name, { provider, providerId, league });
+    let changed = false;
+
+    if (!team) {
+      let id = slug(normalized);
+      for (let n = 2; this.teams.has(id); n++) id = `${slug(normalized)}-${n}`;
+      team = this._addTeam({ id, name: String(name).trim(), leagues: league ? [league] : [] });
+      changed = true;
+      logger.debug('Registered team', { id, name, provider });
+    }
+    if (!team.aliases.includes(normalized)) {
+      team.aliases.push(normalized);
+      if (!this.teamAliases.has(normalized)) this.teamAliases.set(normalized, team.id);
+      changed = true;
+    }
+    if (league && !team.leagues.includes(league) && !team.seeded) {
+      team.leagues.push(league);
+      changed = true;
+    }
+    if (provider && providerId !== null && providerId !== undefined && team.refs[providerKey(provider)] !== String(providerId)) {
+      team.refs[providerKey(provider)] = String(providerId);
+      this._link('team', provider, providerId, team.id);
+      changed = true;
+    }
+    if (changed) this._write(() => this.redis.hset(TEAMS_KEY, team.id, JSON.stringify(team)));
+    return team;
+  }
+
+  /**
+   * True when two names are the same team (canonical IDs, else fuzzy score
+   * over the known aliases, never across a name padded with extra words)
+   */
+  sameTeam(a, b) {
+    const ta = this.findTeam(a);
+    const tb = this.findTeam(b);
+    if (ta && tb) return ta.id === tb.id;
+    const na = normalizeTeamName(a);
+    const nb = normalizeTeamName(b);
+    if (!na || !nb) return false;
+    const aliasesA = ta ? ta.aliases : [na];
+    const aliasesB = tb ? tb.aliases : [nb];
+    if (paddedAlias(aliasesA, nb) || paddedAlias(aliasesB, na)) return false;
+    const score = Math.max(...aliasesA.flatMap(x => aliasesB.map(y => teamSimilarity(x, y))));
+    return score >= TEAM_MATCH_THRESHOLD;
+  }
+
+  /**
+   * True when two matches/odds rows ({ home, away, canonical? }) are the same fixture
+   */
+  sameFixture(a, b) {
+    if (!a || !b) return false;
+    if (a.canonical?.fixtureId && b.canonical?.fixtureId) return a.canonical.fixtureId === b.canonical.fixtureId;
+    return this.sameTeam(a.home, b.home) && this.sameTeam(a.away, b.away);
+  }
+
+  // --------------------------------------------------------------- fixtures
+
+  _indexFixture(fixture) {
+    this.fixtures.set(fixture.id, fixture);
+    const pair = `${fixture.homeId}|${fixture.awayId}`;
+    const ids = this.fixturesByPair.get(pair) || [];
+    if (!ids.includes(fixture.id)) ids.push(fixture.id);
+    this.fixturesByPair.set(pair, ids);
+  }
+
+  _nearestFixture(homeId, awayId, at) {
+    let best = null;
+    for (const id of this.fixturesByPair.get(`${homeId}|${awayId}`) || []) {
+      const fixture = this.fixtures.get(id);
+      if (!fixture) continue;
+      const distance = Math.abs(Date.parse(fixture.kickoff || fixture.createdAt) - at);
+      if (distance <= FIXTURE_WINDOW_MS && (!best || distance < best.distance)) best = { fixture, distance };
+    }
+    return best?.fixture || null;
+  }
+
+  /**
+   * Known fixture for a pairing around a kickoff (default: now), without registering
+   */
+  findFixture(home, away, { kickoff = null, league = null } = {}) {
+    const homeTeam = this.findTeam(home, { league });
+    const awayTeam = this.findTeam(away, { league });
+    if (!homeTeam || !awayTeam) return null;
+    const at = kickoff ? Date.parse(kickoff) : NaN;
+    return this._nearestFixture(homeTeam.id, awayTeam.id, Number.isNaN(at) ? this.now() : at);
+  }
+
+  /**
+   * Fixture by canonical ID or by a provider's fixture ID (any provider when none is given)
+   */
+  fixtureByRef(ref, provider = null) {
+    if (ref === null || ref === undefined || ref === '') return null;
+    if (this.fixtures.has(String(ref))) return this.fixtures.get(String(ref));
+    if (provider) return this.fixtures.get(this.xrefs.get(xrefKey('fixture', provider, ref))) || null;
+    for (const [key, id] of this.xrefs) {
+      if (key.startsWith('fixture:') && key.slice(key.indexOf(':', 8) + 1) === String(ref) && this.fixtures.has(id)) return this.fixtures.get(id);
+    }
+    return null;
+  }
+
+  /**
+   * Canonical fixture for a provider row, registering it (and any new teams) when needed
+   * @param {Object} row - { provider, providerId, home, away, kickoff, league, homeRef, awayRef }
+   */
+  resolveFixture({ provider = null, providerId = null, home, away, kickoff = null, league = null, homeRef = null, awayRef = null } = {}) {
+    const hasRef = provider && providerId !== null && providerId !== undefined && providerId !== '';
+    if (hasRef) {
+      const id = this.xrefs.get(xrefKey('fixture', provider, providerId));
+      if (id && this.fixtures.has(id)) return this.fixtures.get(id);
+    }
+
+    const leagueId = this.league(league, provider)?.id || null;
+    const homeTeam = this.resolveTeam(home, { provider, providerId: homeRef, league: leagueId });
+    const awayTeam = this.resolveTeam(away, { provider, providerId: awayRef, league: leagueId });
+    if (!homeTeam || !awayTeam || homeTeam.id === awayTeam.id) return null;
+
+    const at = kickoff ? Date.parse(kickoff) : NaN;
+    let fixture = this._nearestFixture(homeTeam.id, awayTeam.id, Number.isNaN(at) ? this.now() : at);
+    let changed = false;
+    if (!fixture) {
+      const date = new Date(Number.isNaN(at) ? this.now() : at).toISOString().slice(0, 10);
+      fixture = { id: `${homeTeam.id}-v-${awayTeam.id}-${date}`, homeId: homeTeam.id, awayId: awayTeam.id, leagueId, kickoff: Number.isNaN(at) ? null : new Date(at).toISOString(), createdAt: new Date(this.now()).toISOString(), refs: {} };
+      for (let n = 2; this.fixtures.has(fixture.id); n++) fixture.id = `${homeTeam.id}-v-${awayTeam.id}-${date}-${n}`;
+      this._indexFixture(fixture);
+      this._pruneFixtures();
+      changed = true;
+    }
+    if (!fixture.kickoff && !Number.isNaN(at)) {
+      fixture.kickoff = new Date(at).toISOString();
+      changed = true;
+    }
+    if (!fixture.leagueId && leagueId) {
+      fixture.leagueId = leagueId;
+      changed = true;
+    }
+    if (hasRef && fixture.refs[providerKey(provider)] !== String(providerId)) {
+      fixture.refs[providerKey(provider)] = String(providerId);
+      this._link('fixture', provider, providerId, fixture.id);
+      changed = true;
+    }
+    if (changed) this._write(() => this.redis.hset(FIXTURES_KEY, fixture.id, JSON.stringify(fixture)));
+    return fixture;
+  }
+
+  _pruneFixtures() {
+    if (this.fixtures.size <= MAX_FIXTURES) return;
+    const oldest = [...this.fixtures.values()]
+      .sort((a, b) => Date.parse(a.kickoff || a.createdAt) - Date.parse(b.kickoff || b.createdAt))
+      .slice(0, this.fixtures.size - MAX_FIXTURES);
+    for (const fixture of oldest) this._dropFixture(fixture);
+  }
+
+  _dropFixture(fixture) {
+    this.fixtures.delete(fixture.id);
+    const pair = `${fixture.homeId}|${fixture.awayId}`;
+    const ids = (this.fixturesByPair.get(pair) || []).filter(id => id !== fixture.id);
+    if (ids.length > 0) this.fixturesByPair.set(pair, ids);
+    else this.fixturesByPair.delete(pair);
+    for (const [provider, providerId] of Object.entries(fixture.refs || {})) this.xrefs.delete(xrefKey('fixture', provider, providerId));
+    this._write(async () => {
+      await this.redis.hdel(FIXTURES_KEY, fixture.id);
+      for (const [provider, providerId] of Object.entries(fixture.refs || {})) await this.redis.hdel(XREF_KEY, xrefKey('fixture', provider, providerId));
+    });
+  }
+
+  /**
+   * Tag formatted matches (or odds rows) with canonical IDs:
+   * match.canonical = { fixtureId, homeId, awayId, leagueId }
+   */
+  annotateMatches(matches, provider) {
+    if (!Array.isArray(matches)) return matches;
+    for (const m of matches) {
+      if (!m || isPlaceholder(m.home) || isPlaceholder(m.away)) continue;
+      try {
+        const source = m.provider || provider;
+        const raw = m.raw || {};
+        const league = this.league(raw.competition?.code || raw.league_id || raw.league?.id, source) || this.league(m.league);
+        const participants = Array.isArray(raw.participants) ? raw.participants : [];
+        const fixture = this.resolveFixture({
+          provider: source,
+          providerId: m.id ?? null,
+          home: m.home,
+          away: m.away,
+          kickoff: kickoffOf(m),
+          league: league?.id || null,
+          homeRef: raw.homeTeam?.id ?? participants[0]?.id ?? raw.teams?.home?.id ?? null,
+          awayRef: raw.awayTeam?.id ?? participants[1]?.id ?? raw.teams?.away?.id ?? null
+        });
+        if (fixture) m.canonical = { fixtureId: fixture.id, homeId: fixture.homeId, awayId: fixture.awayId, leagueId: fixture.leagueId };
+      } catch (e) {
+        logger.debug('Failed to resolve fixture', e?.message || String(e));
+      }
+    }
+    return matches;
+  }
+
+  // ------------------------------------------------------------ persistence
+
+  _link(type, provider, providerId, canonicalId) {
+    const key = xrefKey(type, provider, providerId);
+    this.xrefs.set(key, canonicalId);
+    this._write(() => this.redis.hset(XREF_KEY, key, canonicalId));
+  }
+
+  _write(fn) {
+    if (!this.redis) return;
+    this.writes = this.writes.then(fn).catch(err => logger.warn('Failed to persist entity', err?.message || String(err)));
+  }
+
+  /**
+   * Wait for pending Redis writes
+   */
+  flush() {
+    return this.writes;
+  }
+
+  /**
+   * Read learned teams, fixtures and cross-references back from Redis,
+   * dropping fixtures past the retention window
+   */
+  async load() {
+    if (!this.redis) return { teams: 0, fixtures: 0, xrefs: 0 };
+    const [teams, fixtures, xrefs] = await Promise.all([
+      this.redis.hgetall(TEAMS_KEY),
+      this.redis.hgetall(FIXTURES_KEY),
+      this.redis.hgetall(XREF_KEY)
+    ]);
+    for (const raw of Object.values(teams || {})) {
+      try {
+        const team = JSON.parse(raw);
+        const seeded = this.teams.get(team.id);
+        // Learned aliases and IDs on a seeded team are added to the seed
+        this._addTeam(seeded ? { ...seeded, aliases: [...seeded.aliases, ...team.aliases], refs: { ...seeded.refs, ...team.refs } } : team);
+      } catch (e) { void e; }
+    }
+    const cutoff = this.now() - FIXTURE_RETENTION_MS;
+    let fixtureCount = 0;
+    for (const raw of Object.values(fixtures || {})) {
+      try {
+        const fixture = JSON.parse(raw);
+        if (Date.parse(fixture.kickoff || fixture.createdAt) < cutoff) this._dropFixture(fixture);
+        else {
+          this._indexFixture(fixture);
+          fixtureCount += 1;
+        }
+      } catch (e) { void e; }
+    }
+    for (const [key, id] of Object.entries(xrefs || {})) {
+      if (key.startsWith('fixture:') && !this.fixtures.has(id)) continue;
+      this.xrefs.set(key, id);
+    }
+    await this.flush();
+    return { teams: Object.keys(teams || {}).length, fixtures: fixtureCount, xrefs: Object.keys(xrefs || {}).length };
+  }
+}
+
+let defaultRegistry = null;
+
+/**
+ * Registry shared by the aggregator and analyzers; worker-final replaces it
+ * with a Redis-backed one at startup
+ */
+export function getDefaultEntityRegistry() {
+  if (!defaultRegistry) defaultRegistry = new EntityRegistry();
+  return defaultRegistry;
+}
+
+export function setDefaultEntityRegistry(registry) {
+  defaultRegistry = registry;
+}
+
+export { EntityRegistry };
+export default EntityRegistry;
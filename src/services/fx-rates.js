@@ -0,0 +1,70 @@
+/**
+ * FX rate table (per 1 USD) used to derive local-currency prices.
+ * Rates are cached in the `fx:rates` hash; until a table has been fetched
+ * (FX_RATES_URL, any endpoint answering { rates: { KES: 129.1, ... } } for
+ * base USD) the bundled DEFAULT_FX_RATES apply.
+ */
+
+import { Logger } from '../utils/logger.js';
+import { DEFAULT_FX_RATES } from '../lib/price-book.js';
+
+const logger = new Logger('FxRates');
+
+export const FX_RATES_KEY = 'fx:rates';
+const UPDATED_FIELD = '_updatedAt';
+
+/**
+ * Cached rates over the defaults
+ */
+export async function getRates(redis) {
+  let cached = {};
+  try {
+    cached = await redis.hgetall(FX_RATES_KEY) || {};
+  } catch (err) {
+    logger.warn('Failed to read cached FX rates', err?.message || String(err));
+  }
+  const rates = { ...DEFAULT_FX_RATES };
+  for (const [currency, rate] of Object.entries(cached)) {
+    if (currency !== UPDATED_FIELD && Number(rate) > 0) rates[currency] = Number(rate);
+  }
+  return rates;
+}
+
+/**
+ * When the cached table was last fetched (ms), or null before the first fetch
+ */
+export async function ratesUpdatedAt(redis) {
+  try {
+    const at = Date.parse(await redis.hget(FX_RATES_KEY, UPDATED_FIELD) || '');
+    return Number.isNaN(at) ? null : at;
+  } catch (err) {
+    logger.warn('Failed to read FX rates timestamp', err?.message || String(err));
+    return null;
+  }
+}
+
+/**
+ * Fetch a fresh table and cache it
+ * @param {Object} opts - { url (default FX_RATES_URL), fetchImpl, currencies: only keep these }
+ * @returns {Object|null} the cached rates, or null when no URL is configured
+ */
+export async function refreshRates(redis, { url = process.env.FX_RATES_URL, fetchImpl = fetch, currencies = null } = {}) {
+  if (!url) return null;
+  const res = await fetchImpl(url, { signal: AbortSignal.timeout(10000) });
+  if (!res.ok) throw new Error(`FX rates request failed (${res.status})`);
+  const body = await res.json();
+  const table = body?.rates || body?.conversion_rates || {};
+  // BTC has no bundled default: on-chain BTC quotes need a fetched rate
+  const wanted = currencies || [...Object.keys(DEFAULT_FX_RATES), 'BTC'];
+  const fields = [];
+  for (const currency of wanted) {
+    const rate = Number(table[currency]);
+    if (rate > 0) fields.push(currency, String(rate));
+  }
+  if (!fields.length) throw new Error('FX rates response had no usable rates');
+  await redis.hset(FX_RATES_KEY, ...fields, UPDATED_FIELD, new Date().toISOString());
+  logger.info('FX rates refreshed', { currencies: fields.length / 2 });
+  return getRates(redis);
+}
+
+export default { getRates, ratesUpdatedAt, refreshRates, FX_RATES_KEY };
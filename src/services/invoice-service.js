@@ -0,0 +1,308 @@
+/**
+ * Invoices
+ * Numbered receipts for activated orders, sent to the user as a PDF.
+ *
+ * Numbers run sequentially per fiscal year: INV-{FY}-{000001}. The fiscal
+ * year starts in INVOICE_FISCAL_YEAR_START_MONTH (1-12, default January) and
+ * is named after the calendar year it ends in, so with a July start an
+ * invoice from August 2026 is INV-2027-.... A number is only taken once an
+ * order has claimed its invoice, so retried activations never leave gaps.
+ *
+ * List prices include tax; the tax line (VAT and friends) is worked out of
+ * the total from the order's country (DEFAULT_TAX_RULES, overridable with
+ * INVOICE_TAX_RULES, e.g. {"KE":{"name":"VAT","rate":16},"US":null}).
+ * Seller details come from INVOICE_COMPANY_* variables.
+ *
+ * Keys:
+ *   invoice:seq:{FY}           sequence counter
+ *   invoice:{number}           invoice JSON
+ *   invoice:by_order:{orderId} invoice number for an order
+ *   user:{id}:invoices         zset of numbers by issue time
+ *   invoices:by_date           zset of all numbers by issue time (CSV export)
+ */
+
+import { Logger } from '../utils/logger.js';
+import { PRODUCTS } from './entitlement-service.js';
+import { formatMoney } from '../lib/price-book.js';
+import { renderInvoicePdf } from '../lib/invoice-pdf.js';
+
+const logger = new Logger('Invoices');
+
+export const INVOICES_BY_DATE_KEY = 'invoices:by_date';
+
+export const DEFAULT_TAX_RULES = {
+  KE: { name: 'VAT', rate: 16 },
+  UG: { name: 'VAT', rate: 18 },
+  TZ: { name: 'VAT', rate: 18 },
+  NG: { name: 'VAT', rate: 7.5 },
+  ZA: { name: 'VAT', rate: 15 },
+  GH: { name: 'VAT', rate: 15 },
+  GB: { name: 'VAT', rate: 20 },
+  UK: { name: 'VAT', rate: 20 }
+};
+
+export const CSV_COLUMNS = [
+  'number', 'fiscal_year', 'issued_at', 'order_id', 'user_id', 'country', 'tier', 'payment_method',
+  'transaction_id', 'currency', 'net', 'tax_name', 'tax_rate', 'tax_amount', 'total', 'promo_code'
+];
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+const invoiceKey = (number) => `invoice:${number}`;
+const byOrderKey = (orderId) => `invoice:by_order:${orderId}`;
+const userKey = (userId) => `user:${userId}:invoices`;
+// Placeholder held in invoice:by_order while the number is being allocated; it expires
+// so an issue that dies mid-way does not block the order for good
+const ISSUING = 'issuing';
+const ISSUING_TTL_SECONDS = 60;
+
+function parseJsonEnv(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Tax rule for a country ({ name, rate } or null when no tax line applies)
+ */
+export function taxRuleFor(country, env = process.env) {
+  const code = String(country || '').toUpperCase();
+  const overrides = parseJsonEnv(env.INVOICE_TAX_RULES);
+  const rule = code in overrides ? overrides[code] : DEFAULT_TAX_RULES[code];
+  if (!rule || !(Number(rule.rate) > 0)) return null;
+  return { name: rule.name || 'Tax', rate: Number(rule.rate) };
+}
+
+/**
+ * Fiscal year an instant falls in, named after the calendar year it ends in
+ */
+export function fiscalYear(date = new Date(), startMonth = Number(process.env.INVOICE_FISCAL_YEAR_START_MONTH || 1)) {
+  const d = new Date(date);
+  const start = Math.min(12, Math.max(1, Math.floor(Number(startMonth) || 1)));
+  return start === 1 || d.getUTCMonth() + 1 < start ? d.getUTCFullYear() : d.getUTCFullYear() + 1;
+}
+
+export function formatInvoiceNumber(year, seq) {
+  return `INV-${year}-${String(seq).padStart(6, '0')}`;
+}
+
+/**
+ * Net and tax parts of a tax-inclusive total
+ */
+export function splitTax(total, rate) {
+  const tax = round2(Number(total || 0) * Number(rate) / (100 + Number(rate)));
+  return { net: round2(Number(total || 0) - tax), tax };
+}
+
+/**
+ * Invoice lines for an order: the product at list price, then promo discount,
+ * provider fee and account credit, adding up to the amount paid
+ */
+export function invoiceLines(order) {
+  const name = PRODUCTS[order.tier]?.name || order.tier || 'Subscription';
+  const base = Number(order.baseAmount ?? order.totalAmount ?? 0);
+  const lines = [{ description: `BETRIX ${name}`, amount: round2(order.listPrice ?? base) }];
+  if (order.promo && order.listPrice !== undefined && round2(base - order.listPrice) !== 0) {
+    lines.push({ description: `Promo ${order.promo.code}${order.promo.label ? ` (${order.promo.label})` : ''}`, amount: round2(base - order.listPrice) });
+  }
+  if (Number(order.fee) > 0) lines.push({ description: 'Payment processing fee', amount: round2(order.fee) });
+  if (Number(order.creditApplied) > 0) lines.push({ description: 'Account credit', amount: -round2(order.creditApplied) });
+  return lines;
+}
+
+/**
+ * Seller block printed on invoices
+ */
+export function sellerFromEnv(env = process.env) {
+  return {
+    name: env.INVOICE_COMPANY_NAME || 'BETRIX',
+    address: env.INVOICE_COMPANY_ADDRESS || null,
+    taxId: env.INVOICE_COMPANY_TAX_ID || null,
+    email: env.INVOICE_COMPANY_EMAIL || null
+  };
+}
+
+function csvField(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function invoiceCsvRow(invoice) {
+  const row = {
+    number: invoice.number,
+    fiscal_year: invoice.fiscalYear,
+    issued_at: invoice.issuedAt,
+    order_id: invoice.orderId,
+    user_id: invoice.userId,
+    country: invoice.customer?.country,
+    tier: invoice.tier,
+    payment_method: invoice.paymentMethod,
+    transaction_id: invoice.transactionId,
+    currency: invoice.currency,
+    net: invoice.net,
+    tax_name: invoice.tax?.name,
+    tax_rate: invoice.tax?.rate,
+    tax_amount: invoice.tax?.amount ?? 0,
+    total: invoice.total,
+    promo_code: invoice.promoCode
+  };
+  return CSV_COLUMNS.map(col => csvField(row[col])).join(',');
+}
+
+// Bot used to deliver invoices issued from payment-router (set by worker-final)
+let defaultTelegram = null;
+
+export function setInvoiceTelegram(telegram) {
+  defaultTelegram = telegram;
+}
+
+class InvoiceService {
+  /**
+   * @param {Object} opts - { telegram, seller, env }
+   */
+  constructor(redis, opts = {}) {
+    this.redis = redis;
+    this.telegram = opts.telegram || defaultTelegram;
+    this.env = opts.env || process.env;
+    this.seller = opts.seller || sellerFromEnv(this.env);
+  }
+
+  /**
+   * Invoice for a completed order; issuing the same order again returns the
+   * existing invoice (null while another call is still numbering it)
+   */
+  async issue(order, { now = new Date() } = {}) {
+    if (!order?.orderId) throw new Error('order is required');
+    const claimed = await this.redis.set(byOrderKey(order.orderId), ISSUING, 'EX', ISSUING_TTL_SECONDS, 'NX');
+    if (!claimed) {
+      const number = await this.redis.get(byOrderKey(order.orderId));
+      return number && number !== ISSUING ? this.get(number) : null;
+    }
+
+    let number = null;
+    try {
+      // Everything that can fail is read before the number is taken, so a failed issue leaves no gap
+      const issuedAt = new Date(now);
+      const year = fiscalYear(issuedAt, this.env.INVOICE_FISCAL_YEAR_START_MONTH || 1);
+      const user = await this.redis.hgetall(`user:${order.userId}`) || {};
+      const country = String(order.region || user.country || '').toUpperCase() || null;
+      const total = round2(order.totalAmount);
+      const rule = taxRuleFor(country, this.env);
+      const split = rule ? splitTax(total, rule.rate) : { net: total, tax: 0 };
+      const lines = invoiceLines(order);
+
+      number = formatInvoiceNumber(year, await this.redis.incr(`invoice:seq:${year}`));
+      const invoice = {
+        number,
+        fiscalYear: year,
+        issuedAt: issuedAt.toISOString(),
+        orderId: order.orderId,
+        userId: String(order.userId),
+        tier: order.tier,
+        paymentMethod: order.paymentMethod || null,
+        transactionId: order.transactionId || null,
+        seller: this.seller,
+        customer: { name: user.name || user.username || null, country },
+        currency: order.currency,
+        lines,
+        net: split.net,
+        tax: rule ? { ...rule, amount: split.tax, inclusive: true } : null,
+        total,
+        promoCode: order.promo?.code || null
+      };
+
+      const ts = issuedAt.getTime();
+      await this.redis.set(invoiceKey(invoice.number), JSON.stringify(invoice));
+      await this.redis.set(byOrderKey(order.orderId), invoice.number);
+      await this.redis.zadd(userKey(invoice.userId), ts, invoice.number);
+      await this.redis.zadd(INVOICES_BY_DATE_KEY, ts, invoice.number);
+      logger.info('Invoice issued', { number: invoice.number, orderId: order.orderId });
+      return invoice;
+    } catch (err) {
+      // Only a failed write can still lose a number; log it so the gap in the sequence is explained
+      if (number) logger.error('Invoice number left unused', { number, orderId: order.orderId, error: err?.message || String(err) });
+      await this.redis.del(byOrderKey(order.orderId));
+      throw err;
+    }
+  }
+
+  async get(number) {
+    const raw = await this.redis.get(invoiceKey(number));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * One of the user's own invoices (null for anyone else's number)
+   */
+  async getForUser(userId, number) {
+    const invoice = await this.get(number);
+    return invoice && String(invoice.userId) === String(userId) ? invoice : null;
+  }
+
+  /**
+   * Most recent invoices first
+   */
+  async listForUser(userId, limit = 10) {
+    const numbers = await this.redis.zrevrange(userKey(userId), 0, limit - 1) || [];
+    const invoices = await Promise.all(numbers.map(n => this.get(n)));
+    return invoices.filter(Boolean);
+  }
+
+  /**
+   * Invoices issued between two dates (inclusive; Date, ISO string or ms)
+   */
+  async listBetween(from = null, to = null) {
+    const min = from ? new Date(from).getTime() : '-inf';
+    const max = to ? new Date(to).getTime() : '+inf';
+    if (Number.isNaN(min) || Number.isNaN(max)) throw new Error('invalid date range');
+    const numbers = await this.redis.zrangebyscore(INVOICES_BY_DATE_KEY, min, max) || [];
+    const invoices = await Promise.all(numbers.map(n => this.get(n)));
+    return invoices.filter(Boolean);
+  }
+
+  /**
+   * CSV of every invoice in a date range, for finance. A bare `to` date
+   * (YYYY-MM-DD) covers that whole day.
+   */
+  async exportCsv({ from = null, to = null } = {}) {
+    const end = typeof to === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to;
+    const invoices = await this.listBetween(from, end);
+    return [CSV_COLUMNS.join(','), ...invoices.map(invoiceCsvRow)].join('\n') + '\n';
+  }
+
+  /**
+   * Telegram document for an invoice
+   */
+  render(invoice) {
+    return { filename: `${invoice.number}.pdf`, content: renderInvoicePdf(invoice), contentType: 'application/pdf' };
+  }
+
+  caption(invoice) {
+    return `🧾 Receipt *${invoice.number}* · ${formatMoney(invoice.total, invoice.currency)}`;
+  }
+
+  async send(invoice, chatId = invoice.userId) {
+    if (!this.telegram || typeof this.telegram.sendDocument !== 'function') return false;
+    try {
+      await this.telegram.sendDocument(chatId, this.render(invoice), { caption: this.caption(invoice), parse_mode: 'Markdown' });
+      return true;
+    } catch (err) {
+      logger.warn('Failed to send invoice', err?.message || String(err));
+      return false;
+    }
+  }
+
+  /**
+   * Issue the invoice for an activated order and send it to the user
+   */
+  async issueAndSend(order) {
+    const invoice = await this.issue(order);
+    if (invoice) await this.send(invoice);
+    return invoice;
+  }
+}
+
+export { InvoiceService };
+export default InvoiceService;
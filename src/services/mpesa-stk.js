@@ -0,0 +1,147 @@
+/**
+ * M-Pesa STK Service
+ * Sends the STK prompt for a payment order through the configured backend
+ * (lib/mpesa-backend.js) and keeps the user told where it stands in
+ * Telegram: request sent, paid, cancelled, timed out, insufficient funds.
+ *
+ * Outcomes normally arrive on the Daraja/Lipana callback (handleMpesaCallback).
+ * For Daraja pushes the service also queries the STK status once the prompt
+ * should have expired, so a lost callback still settles the order; anything
+ * left pending after that is picked up by the payment reconciler.
+ */
+
+import { Logger } from '../utils/logger.js';
+import { createStkBackend } from '../lib/mpesa-backend.js';
+import { recordProviderRef, failOrder, getPendingOrder, verifyAndActivatePayment } from '../handlers/payment-router.js';
+
+const logger = new Logger('MpesaStk');
+
+// Daraja prompts expire after about a minute; query a little after that
+const DEFAULT_QUERY_DELAY_MS = 90 * 1000;
+
+/**
+ * Telegram text for an STK outcome
+ * @param {string} outcome - sent | success | cancelled | timeout | insufficient_funds | wrong_pin | busy | expired | failed
+ * @param {Object} ctx - { amount, orderId, reason }
+ */
+export function stkStatusMessage(outcome, { amount = null, orderId = null, reason = null } = {}) {
+  const kes = amount !== null && amount !== undefined ? `KES ${amount}` : 'the amount shown';
+  const ref = orderId ? `\n\nOrder: ${orderId}` : '';
+  switch (outcome) {
+    case 'sent':
+      return `📲 *Payment request sent*\n\nCheck your phone and enter your M-Pesa PIN to pay ${kes}.${ref}`;
+    case 'success':
+      return `✅ *M-Pesa payment received*\n\nThank you! Your payment of ${kes} is confirmed.${ref}`;
+    case 'cancelled':
+      return `❌ *Payment cancelled*\n\nThe M-Pesa prompt was dismissed, so nothing was charged. Tap Retry to send it again.${ref}`;
+    case 'timeout':
+    case 'expired':
+      return `⌛ *Payment timed out*\n\nThe M-Pesa prompt expired before a PIN was entered. Keep your phone unlocked and tap Retry.${ref}`;
+    case 'insufficient_funds':
+      return `💳 *Insufficient M-Pesa balance*\n\nTop up your M-Pesa account with at least ${kes} and tap Retry.${ref}`;
+    case 'wrong_pin':
+      return `🔒 *Wrong M-Pesa PIN*\n\nThe PIN entered was incorrect. Tap Retry to try again.${ref}`;
+    case 'busy':
+      return `⏳ *M-Pesa is busy*\n\nAnother M-Pesa transaction is in progress on your line. Wait a moment and tap Retry.${ref}`;
+    default:
+      return `⚠️ *Payment request failed*\n\nWe could not complete the M-Pesa payment${reason ? ` (${reason})` : ''}. Please try again.${ref}`;
+  }
+}
+
+class MpesaStkService {
+  /**
+   * @param {Object} redis
+   * @param {Object} opts - { backend, telegram, queryDelayMs }
+   *   backend: lib/mpesa-backend.js backend (defaults to MPESA_BACKEND)
+   *   queryDelayMs: delay before the Daraja status query, 0 disables it
+   */
+  constructor(redis, opts = {}) {
+    this.redis = redis;
+    this.backend = opts.backend || createStkBackend();
+    this.telegram = opts.telegram || null;
+    this.queryDelayMs = Number(opts.queryDelayMs ?? process.env.MPESA_STK_QUERY_DELAY_MS ?? DEFAULT_QUERY_DELAY_MS);
+  }
+
+  /**
+   * Send the STK prompt for a pending order
+   * @param {Object} order - payment-router order
+   * @param {string} phone
+   * @param {Object} opts - { notify } send the status to the user (callers that reply themselves pass false)
+   * @returns {{ ok, outcome: sent|failed, gateway, checkoutId, reason, message }}
+   */
+  async request(order, phone, { notify = true } = {}) {
+    const resp = await this.backend.stkPush({
+      amount: order.totalAmount,
+      phone,
+      tx_ref: order.orderId,
+      reference: order.orderId,
+      callback_url: this.backend.callbackUrl
+    });
+    const outcome = resp.ok ? 'sent' : 'failed';
+    if (resp.ok && resp.checkoutId) {
+      await recordProviderRef(this.redis, order.orderId, resp.checkoutId, { gateway: resp.gateway });
+      this._scheduleCheck(order.orderId);
+    } else {
+      logger.warn('STK push rejected', { orderId: order.orderId, gateway: resp.gateway, reason: resp.reason });
+    }
+    const message = stkStatusMessage(outcome, { amount: order.totalAmount, orderId: order.orderId, reason: resp.reason });
+    if (notify) await this._notify(order.userId, message);
+    return { ok: resp.ok, outcome, gateway: resp.gateway, checkoutId: resp.checkoutId, reason: resp.reason, message };
+  }
+
+  _scheduleCheck(orderId) {
+    if (!this.queryDelayMs || typeof this.backend.stkQuery !== 'function') return;
+    const timer = setTimeout(() => {
+      this.check(orderId).catch(err => logger.warn('STK status check failed', err?.message || String(err)));
+    }, this.queryDelayMs);
+    if (typeof timer.unref === 'function') timer.unref();
+  }
+
+  /**
+   * Query a still-pending STK push and settle the order from the answer
+   * @returns {{ outcome, reason }|null} null when the order was already settled or cannot be queried
+   */
+  async check(orderId) {
+    const order = await getPendingOrder(this.redis, orderId);
+    if (!order || order.status !== 'pending' || !order.providerRef || typeof this.backend.stkQuery !== 'function') return null;
+    const result = await this.backend.stkQuery({ checkoutRequestId: order.providerRef });
+    if (result.status === 'success') {
+      await this.settle(order, 'success', { transactionId: order.providerRef });
+      return { outcome: 'success', reason: null };
+    }
+    if (result.status === 'failed') {
+      await this.settle(order, result.reason || 'failed');
+      return { outcome: result.reason || 'failed', reason: result.reason };
+    }
+    return { outcome: 'pending', reason: result.reason || null };
+  }
+
+  /**
+   * Apply a final STK outcome to an order and tell the user
+   * @param {string} outcome - success or a failure reason (see DARAJA_RESULT_CODES)
+   */
+  async settle(order, outcome, { transactionId = null } = {}) {
+    try {
+      if (outcome === 'success') await verifyAndActivatePayment(this.redis, order.orderId, transactionId || order.providerRef);
+      else await failOrder(this.redis, order.orderId, { reason: outcome, providerRef: order.providerRef });
+    } catch (err) {
+      // The callback got there first
+      if (/already processed/i.test(err?.message || '')) return false;
+      throw err;
+    }
+    await this._notify(order.userId, stkStatusMessage(outcome, { amount: order.totalAmount, orderId: order.orderId, reason: outcome }));
+    return true;
+  }
+
+  async _notify(userId, text) {
+    if (!this.telegram || !userId) return;
+    try {
+      await this.telegram.sendMessage(userId, text, { parse_mode: 'Markdown' });
+    } catch (err) {
+      logger.warn('Failed to send STK status', err?.message || String(err));
+    }
+  }
+}
+
+export { MpesaStkService };
+export default MpesaStkService;
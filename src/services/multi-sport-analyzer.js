@@ -8,6 +8,7 @@
 import { Logger } from '../utils/logger.js';
 import fetch from 'node-fetch';
 import { CONFIG } from '../config.js';
+import { getDefaultGoalModel } from '../ai/goal-model.js';
 
 const logger = new Logger('MultiSportAnalyzer');
 void fetch;
@@ -653,38 +654,44 @@ Provide a 2-3 sentence expert analysis on why this prediction has high confidenc
     }
   }
 
+  /**
+   * Goal model prediction for a match. Uses fitted team strengths when both
+   * teams are rated, otherwise expected goals from the teams' scoring stats.
+   */
+  _goalModelPrediction(matchData = {}) {
+    const model = getDefaultGoalModel();
+    const home = matchData.homeTeam || matchData.home || null;
+    const away = matchData.awayTeam || matchData.away || null;
+    if (home && away && model.hasTeam(home) && model.hasTeam(away)) return model.predict(home, away);
+
+    const avg = (a, b) => (Number.isFinite(a) && Number.isFinite(b) ? (a + b) / 2 : (Number.isFinite(a) ? a : b));
+    const hs = matchData.homeStats || {};
+    const as = matchData.awayStats || {};
+    const lambdaHome = avg(Number(hs.goalsFor), Number(as.goalsAgainst));
+    const lambdaAway = avg(Number(as.goalsFor), Number(hs.goalsAgainst));
+    const fallback = model.expectedGoals(home, away);
+    return model.predict(home, away, {
+      lambdaHome: Number.isFinite(lambdaHome) && lambdaHome > 0 ? lambdaHome : fallback.lambdaHome,
+      lambdaAway: Number.isFinite(lambdaAway) && lambdaAway > 0 ? lambdaAway : fallback.lambdaAway
+    });
+  }
+
   /**
    * Predict halftime/fulltime outcomes (e.g., 1/X, X/1, 1/2, etc.) with confidence
    */
   predictHalftimeFulltime(matchData) {
     try {
-      // Simple heuristic: use possession and shots to estimate early lead
-      const hPoss = matchData.homeStats?.possession || 52;
-      const aPoss = matchData.awayStats?.possession || 48;
-      const hSOT = matchData.homeStats?.shotsOnTarget || 3;
-      const aSOT = matchData.awayStats?.shotsOnTarget || 2;
-
-      // Probabilities rough heuristic
-      const homeStrength = (hPoss * 0.4) + (hSOT * 5);
-      const awayStrength = (aPoss * 0.4) + (aSOT * 5);
-
-      let htft = 'X/X';
-      let confidence = 50;
-      if (homeStrength > awayStrength + 15) {
-        htft = '1/1';
-        confidence = 70;
-      } else if (awayStrength > homeStrength + 15) {
-        htft = '2/2';
-        confidence = 68;
-      } else if (Math.abs(homeStrength - awayStrength) < 8) {
-        htft = 'X/1';
-        confidence = 55;
-      } else {
-        htft = '1/X';
-        confidence = 56;
-      }
+      const prediction = this._goalModelPrediction(matchData);
+      const ranked = Object.entries(prediction.markets.htft).sort((a, b) => b[1] - a[1]);
+      const [htft, prob] = ranked[0];
+      const runnerUp = ranked[1] ? `, next ${ranked[1][0]} (${Math.round(ranked[1][1] * 100)}%)` : '';
 
-      return { htft, confidence, reasoning: `Heuristic based on possession (${hPoss}% vs ${aPoss}%) and shots on target (${hSOT} vs ${aSOT}).` };
+      return {
+        htft,
+        confidence: Math.round(prob * 100),
+        probabilities: Object.fromEntries(ranked.map(([k, p]) => [k, Number(p.toFixed(3))])),
+        reasoning: `Goal model: xG ${prediction.lambdaHome.toFixed(2)}-${prediction.lambdaAway.toFixed(2)}${runnerUp}.`
+      };
     } catch (e) {
       logger.warn('predictHalftimeFulltime failed', e.message);
       return { htft: 'X/X', confidence: 45, reasoning: 'Insufficient data' };
@@ -692,29 +699,16 @@ Provide a 2-3 sentence expert analysis on why this prediction has high confidenc
   }
 
   /**
-   * Predict top likely correct scores with simple Poisson-like heuristic
+   * Predict top likely correct scores from the goal model score matrix
    */
   predictCorrectScores(matchData) {
     try {
-      const lambdaHome = (matchData.homeStats?.goalsFor || 1.2);
-      const lambdaAway = (matchData.awayStats?.goalsFor || 1.0);
-
-      // Build small set of likely scores
-      const candidates = [
-        { score: '1-0', prob: 0.18 },
-        { score: '2-1', prob: 0.14 },
-        { score: '1-1', prob: 0.12 },
-        { score: '0-1', prob: 0.08 },
-        { score: '2-0', prob: 0.06 }
-      ];
-
-      // Adjust probabilities slightly by lambda ratio
-      const factor = Math.max(0.6, Math.min(1.4, (lambdaHome / Math.max(0.1, lambdaAway))));
-      const adjusted = candidates.map(c => ({ score: c.score, prob: Math.min(0.95, Math.max(0.01, c.prob * factor)) }));
-
-      // Derive odds approximate
-      const result = adjusted.map(c => ({ score: c.score, confidence: Math.round(c.prob * 100), odds: (1 / Math.max(0.01, c.prob)).toFixed(2) }));
-      return result.slice(0, 3);
+      const prediction = this._goalModelPrediction(matchData);
+      return prediction.markets.correctScores.slice(0, 3).map(c => ({
+        score: c.score,
+        confidence: Math.round(c.prob * 100),
+        odds: (1 / Math.max(0.01, c.prob)).toFixed(2)
+      }));
     } catch (e) {
       logger.warn('predictCorrectScores failed', e.message);
       return [{ score: '1-0', confidence: 40, odds: '2.50' }];
@@ -1,4 +1,6 @@
 // Normalize match and standings data from multiple sources and provide confidence score
+import { mergeRecords } from './data-merger.js';
+import { providerKey } from './entity-registry.js';
 
 function normalizeMatch(raw, source) {
   // raw is source specific; try to extract common fields
@@ -12,9 +14,18 @@ function normalizeMatch(raw, source) {
 
 function chooseBestMatch(matches = []) {
   if (!matches || matches.length === 0) return null;
-  // pick highest confidence then recent date
-  matches.sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
-  return matches[0];
+  // merge field by field, each source weighted by its confidence, rather than keeping one record
+  const reliability = Object.fromEntries(matches.map(m => [providerKey(m.source), m.confidence || 0]));
+  const observations = matches.map(m => ({ source: m.source, fields: { home: m.home, away: m.away, date: m.date, score: m.score } }));
+  const { values, provenance, conflicts } = mergeRecords(observations, { reliability });
+  return {
+    ...values,
+    source: provenance.home?.source || matches[0].source,
+    confidence: Math.max(...matches.map(m => m.confidence || 0)),
+    sources: matches.map(m => m.source),
+    provenance,
+    conflicts
+  };
 }
 
 export { normalizeMatch, chooseBestMatch };
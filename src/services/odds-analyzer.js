@@ -5,14 +5,25 @@
  */
 
 import { Logger } from '../utils/logger.js';
+import { fractionalKelly } from './bankroll-service.js';
+import { getDefaultEntityRegistry } from './entity-registry.js';
 
 const logger = new Logger('OddsAnalyzer');
 
+// Suggested stake as a share of bankroll, or "0% (no edge)"
+const formatKellyPct = (p, odds) => {
+  const f = fractionalKelly(p, odds);
+  return f > 0 ? `${(f * 100).toFixed(1)}%` : '0% (no edge)';
+};
+
 export class OddsAnalyzer {
-  constructor(redis, sportsAggregator, aiService = null) {
+  constructor(redis, sportsAggregator, aiService = null, trackRecord = null) {
     this.redis = redis;
     this.sportsAggregator = sportsAggregator;
     this.aiService = aiService;
+    this.trackRecord = trackRecord; // TrackRecordService: published plays are graded after full time
+    // Odds rows are matched to the requested fixture by canonical team, not by spelling
+    this.entities = sportsAggregator?.entities || getDefaultEntityRegistry();
     this.cache = new Map();
     this.cacheTTL = 5 * 60 * 1000; // 5 min cache for analysis
   }
@@ -33,10 +44,7 @@ export class OddsAnalyzer {
 
       // Get odds from aggregator
       const odds = await this.sportsAggregator.getOdds(leagueId);
-      const matchOdds = odds.find(o => 
-        o.home?.toLowerCase() === homeTeam.toLowerCase() &&
-        o.away?.toLowerCase() === awayTeam.toLowerCase()
-      );
+      const matchOdds = odds.find(o => this.entities.sameFixture(o, { home: homeTeam, away: awayTeam }));
 
       if (!matchOdds) {
         return {
@@ -120,6 +128,7 @@ export class OddsAnalyzer {
             analyses.push({
               ...analysis,
               match: `${homeTeam} vs ${awayTeam}`,
+              fixtureId: match.id ?? null,
               score: `${homeScore}-${awayScore}`,
               status: match.status || 'UNKNOWN',
               time: match.time
@@ -254,7 +263,7 @@ export class OddsAnalyzer {
     }
 
     text += `💡 Staking: Only bet if confidence >60% & edge >5%\n`;
-    text += `⚠️ Always use bankroll management (max 2% per bet)`;
+    text += `⚖️ Kelly stake: ${formatKellyPct(prediction.probability / 100, prediction.odds)} of bankroll`;
 
     return text;
   }
@@ -278,14 +287,31 @@ export class OddsAnalyzer {
         return tips;
       }
 
+      if (this.trackRecord) {
+        await this.trackRecord.recordTips(plays.map(play => {
+          const [home, away] = play.match.split(' vs ');
+          return {
+            fixtureId: play.fixtureId,
+            home,
+            away,
+            market: '1X2',
+            pick: play.prediction.outcome,
+            odds: play.prediction.odds,
+            probability: play.prediction.probability / 100,
+            confidence: play.confidence
+          };
+        }), { source: 'quick_tips', leagueId });
+      }
+
       plays.forEach((play, idx) => {
         tips += `${idx + 1}. *${play.match}*\n`;
         tips += `   ${play.prediction.outcome.replace(/_/g, ' ')} @ ${play.prediction.odds}\n`;
-        tips += `   Confidence: ${play.confidence}% | Edge: ${play.value.edge}%\n\n`;
+        tips += `   Confidence: ${play.confidence}% | Edge: ${play.value.edge}%\n`;
+        tips += `   Kelly stake: ${formatKellyPct(play.prediction.probability / 100, play.prediction.odds)} of bankroll\n\n`;
       });
 
       tips += `✅ All plays have >5% edge & >60% confidence\n`;
-      tips += `💰 Stake guideline: Risk 1-2% bankroll per play`;
+      tips += `💰 Stakes are fractional Kelly, capped per bet. Set your bankroll in 👤 Profile → 🏦 Bankroll.`;
 
       return tips;
     } catch (err) {
@@ -300,10 +326,7 @@ export class OddsAnalyzer {
   async compareOdds(homeTeam, awayTeam, leagueId = null) {
     try {
       const odds = await this.sportsAggregator.getOdds(leagueId);
-      const matchOdds = odds.filter(o =>
-        o.home?.toLowerCase() === homeTeam.toLowerCase() &&
-        o.away?.toLowerCase() === awayTeam.toLowerCase()
-      );
+      const matchOdds = odds.filter(o => this.entities.sameFixture(o, { home: homeTeam, away: awayTeam }));
 
       if (matchOdds.length === 0) {
         return `No odds comparison available for ${homeTeam} vs ${awayTeam}`;
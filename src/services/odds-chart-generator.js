@@ -0,0 +1,128 @@
+/**
+ * Odds Chart Generator - renders line-movement charts as SVG
+ * Input is the output of OddsHistoryService.getHistory().
+ */
+
+import { Logger } from "../utils/logger.js";
+
+const logger = new Logger("OddsChartGenerator");
+
+const SERIES_COLOURS = {
+  home: "#2980b9",
+  draw: "#7f8c8d",
+  away: "#c0392b",
+  over: "#27ae60",
+  under: "#8e44ad",
+  yes: "#27ae60",
+  no: "#c0392b",
+};
+
+const SERIES_LABELS = { home: "Home", draw: "Draw", away: "Away", over: "Over", under: "Under", yes: "Yes", no: "No" };
+
+function escapeXml(value) {
+  return String(value ?? "").replace(/[<>&'"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" }[c]));
+}
+
+function formatTime(ts) {
+  const d = new Date(ts);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(d.getUTCDate())}/${pad(d.getUTCMonth() + 1)} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}`;
+}
+
+class OddsChartGenerator {
+  /**
+   * Pick the bookmaker to chart: the requested one, else the one with most points
+   */
+  static pickBookmaker(points, requested = null) {
+    if (requested) return requested;
+    const counts = {};
+    for (const p of points) counts[p.bookmaker] = (counts[p.bookmaker] || 0) + 1;
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+  }
+
+  /**
+   * Generate a line-movement SVG (step lines, prices hold until the next change)
+   * @param {Object} history - { home, away, market, points: [{ ts, bookmaker, prices }] }
+   * @param {Object} opts - { bookmaker, width=640, height=360, now }
+   */
+  static generateLineMovementSVG(history, opts = {}) {
+    const width = opts.width || 640;
+    const height = opts.height || 360;
+    const pad = { top: 60, right: 20, bottom: 50, left: 50 };
+    const title = `${history?.home || "Home"} vs ${history?.away || "Away"}`;
+    const bookmaker = this.pickBookmaker(history?.points || [], opts.bookmaker);
+    const points = (history?.points || []).filter((p) => p.bookmaker === bookmaker).sort((a, b) => a.ts - b.ts);
+
+    const header = `
+  <rect width="${width}" height="${height}" fill="#f8f9fa" stroke="#ddd" stroke-width="2" rx="10"/>
+  <text x="${pad.left}" y="28" font-family="Arial, sans-serif" font-size="16" font-weight="bold" fill="#2c3e50">${escapeXml(title)}</text>
+  <text x="${pad.left}" y="46" font-family="Arial, sans-serif" font-size="12" fill="#7f8c8d">${escapeXml(history?.market || "1X2")} line movement${bookmaker ? ` • ${escapeXml(bookmaker)}` : ""}</text>`;
+
+    if (points.length === 0) {
+      return `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${header}
+  <text x="${width / 2}" y="${height / 2}" text-anchor="middle" font-family="Arial, sans-serif" font-size="14" fill="#7f8c8d">No odds history recorded yet</text>
+</svg>`;
+    }
+
+    try {
+      const selections = Array.from(new Set(points.flatMap((p) => Object.keys(p.prices).filter((k) => p.prices[k]))));
+      const prices = points.flatMap((p) => selections.map((s) => p.prices[s]).filter(Boolean));
+      const t0 = points[0].ts;
+      const t1 = Math.max(opts.now || points[points.length - 1].ts, t0 + 60 * 1000);
+      const spread = Math.max(...prices) - Math.min(...prices);
+      const yMin = Math.max(1, Math.min(...prices) - Math.max(spread * 0.1, 0.05));
+      const yMax = Math.max(...prices) + Math.max(spread * 0.1, 0.05);
+
+      const plotW = width - pad.left - pad.right;
+      const plotH = height - pad.top - pad.bottom;
+      const x = (ts) => pad.left + ((ts - t0) / (t1 - t0)) * plotW;
+      const y = (price) => pad.top + (1 - (price - yMin) / (yMax - yMin)) * plotH;
+
+      let grid = "";
+      for (let i = 0; i <= 4; i++) {
+        const value = yMin + ((yMax - yMin) * i) / 4;
+        const gy = y(value).toFixed(1);
+        grid += `
+  <line x1="${pad.left}" y1="${gy}" x2="${width - pad.right}" y2="${gy}" stroke="#e1e4e8" stroke-width="1"/>
+  <text x="${pad.left - 8}" y="${gy}" dy="4" text-anchor="end" font-family="Arial, sans-serif" font-size="11" fill="#7f8c8d">${value.toFixed(2)}</text>`;
+      }
+      grid += `
+  <text x="${pad.left}" y="${height - 20}" font-family="Arial, sans-serif" font-size="11" fill="#7f8c8d">${formatTime(t0)} UTC</text>
+  <text x="${width - pad.right}" y="${height - 20}" text-anchor="end" font-family="Arial, sans-serif" font-size="11" fill="#7f8c8d">${formatTime(t1)} UTC</text>`;
+
+      let lines = "";
+      let legend = "";
+      selections.forEach((sel, i) => {
+        const colour = SERIES_COLOURS[sel] || "#34495e";
+        const coords = [];
+        let last = null;
+        for (const p of points) {
+          const price = p.prices[sel];
+          if (!price) continue;
+          if (last !== null) coords.push(`${x(p.ts).toFixed(1)},${y(last).toFixed(1)}`);
+          coords.push(`${x(p.ts).toFixed(1)},${y(price).toFixed(1)}`);
+          last = price;
+        }
+        if (last === null) return;
+        coords.push(`${x(t1).toFixed(1)},${y(last).toFixed(1)}`);
+        lines += `
+  <polyline points="${coords.join(" ")}" fill="none" stroke="${colour}" stroke-width="2"/>`;
+
+        const first = points.find((p) => p.prices[sel]).prices[sel];
+        const lx = pad.left + i * 150;
+        legend += `
+  <rect x="${lx}" y="${height - 12}" width="10" height="3" fill="${colour}"/>
+  <text x="${lx + 14}" y="${height - 8}" font-family="Arial, sans-serif" font-size="11" fill="#2c3e50">${SERIES_LABELS[sel] || escapeXml(sel)} ${first.toFixed(2)} → ${last.toFixed(2)}</text>`;
+      });
+
+      return `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${header}${grid}${lines}${legend}
+</svg>`;
+    } catch (err) {
+      logger.error("Generate line movement chart failed", err);
+      return `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${header}</svg>`;
+    }
+  }
+}
+
+export { OddsChartGenerator };
+export default OddsChartGenerator;
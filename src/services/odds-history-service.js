@@ -0,0 +1,198 @@
+/**
+ * Odds History Service
+ * Time-series store of odds per fixture, market and bookmaker, kept in Redis
+ * streams so line movement can be queried and charted.
+ *
+ * Redis layout:
+ *   oddshist:{fixture}         stream, one entry per price change: bookmaker, market, prices (JSON)
+ *   oddshist:last:{fixture}    hash "{market}|{bookmaker}" -> last prices, used to skip unchanged snapshots
+ *   oddshist:meta:{fixture}    hash with home, away, league and updatedAt
+ *   oddshist:fixtures          sorted set of fixture keys scored by last update
+ *
+ * Stream ids are the server's millisecond timestamps, so time range queries map
+ * onto XRANGE; each entry also carries the snapshot time in its `ts` field.
+ */
+
+import { Logger } from '../utils/logger.js';
+import { normalizeToDecimal } from '../utils/odds-normalizer.js';
+
+const logger = new Logger('OddsHistory');
+
+export const ODDS_FIXTURES_KEY = 'oddshist:fixtures';
+const STREAM_MAXLEN = Number(process.env.ODDS_HISTORY_MAXLEN || 5000);
+const TTL_SECONDS = Number(process.env.ODDS_HISTORY_TTL_DAYS || 14) * 86400;
+
+const dec = (v) => {
+  if (v === null || typeof v === 'undefined' || v === '') return null;
+  const n = normalizeToDecimal(v);
+  return Number.isFinite(n) && n > 1 ? Math.round(n * 1000) / 1000 : null;
+};
+
+/**
+ * Stable key for a fixture: provider id when the odds entry carries one,
+ * otherwise a slug of the team names.
+ */
+export function fixtureKey(entry = {}) {
+  const id = entry.fixtureId ?? entry.matchId ?? entry.id;
+  if (id !== null && typeof id !== 'undefined' && id !== '') return String(id);
+  const slug = (s) => String(s || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  if (!entry.home || !entry.away) return null;
+  return `${slug(entry.home)}-vs-${slug(entry.away)}`;
+}
+
+/**
+ * Split a provider odds entry into per-market price maps.
+ * @returns {Array<{ market: string, prices: Object }>}
+ */
+export function extractMarkets(entry = {}) {
+  const o = entry.odds || {};
+  const markets = [];
+  const oneX2 = { home: dec(entry.homeOdds ?? o.home), draw: dec(entry.drawOdds ?? o.draw), away: dec(entry.awayOdds ?? o.away) };
+  if (oneX2.home || oneX2.draw || oneX2.away) markets.push({ market: '1X2', prices: oneX2 });
+
+  for (const line of ['1.5', '2.5', '3.5']) {
+    const k = line.replace('.', '');
+    const ou = { over: dec(o[`over${k}`] ?? o[`over_${line}`]), under: dec(o[`under${k}`] ?? o[`under_${line}`]) };
+    if (ou.over || ou.under) markets.push({ market: `OU_${line}`, prices: ou });
+  }
+
+  const btts = { yes: dec(o.bttsYes ?? o.btts_yes), no: dec(o.bttsNo ?? o.btts_no) };
+  if (btts.yes || btts.no) markets.push({ market: 'BTTS', prices: btts });
+  return markets;
+}
+
+// XRANGE reply [[id, [field, value, ...]], ...] -> points
+function parseStreamEntries(entries = []) {
+  return entries.map(([id, fields]) => {
+    const f = {};
+    for (let i = 0; i < fields.length; i += 2) f[fields[i]] = fields[i + 1];
+    let prices = {};
+    try { prices = JSON.parse(f.prices || '{}'); } catch (e) { void e; }
+    return { ts: Number(f.ts) || Number(String(id).split('-')[0]), bookmaker: f.bookmaker || 'unknown', market: f.market, prices };
+  });
+}
+
+class OddsHistoryService {
+  constructor(redis) {
+    this.redis = redis;
+  }
+
+  /**
+   * Append a snapshot of provider odds (e.g. SportsAggregator.getOdds()).
+   * Only prices that changed since the previous snapshot are written.
+   */
+  async recordSnapshot(oddsList = [], ts = Date.now()) {
+    const summary = { fixtures: 0, points: 0 };
+    for (const entry of (oddsList || [])) {
+      const key = fixtureKey(entry);
+      if (!key) continue;
+      try {
+        const written = await this._recordEntry(key, entry, ts);
+        summary.fixtures += 1;
+        summary.points += written;
+      } catch (err) {
+        logger.warn(`Failed to record odds for ${key}`, err?.message || String(err));
+      }
+    }
+    return summary;
+  }
+
+  async _recordEntry(key, entry, ts) {
+    const bookmaker = String(entry.bookmaker || 'unknown');
+    let written = 0;
+    for (const { market, prices } of extractMarkets(entry)) {
+      const field = `${market}|${bookmaker}`;
+      const serialized = JSON.stringify(prices);
+      const last = await this.redis.hget(`oddshist:last:${key}`, field);
+      if (last === serialized) continue;
+
+      await this.redis.xadd(`oddshist:${key}`, 'MAXLEN', '~', STREAM_MAXLEN, '*', 'ts', String(ts), 'bookmaker', bookmaker, 'market', market, 'prices', serialized);
+      await this.redis.hset(`oddshist:last:${key}`, field, serialized);
+      written += 1;
+    }
+
+    await this.redis.hset(`oddshist:meta:${key}`, 'home', entry.home || '', 'away', entry.away || '', 'league', entry.league || '', 'updatedAt', String(ts));
+    await this.redis.zadd(ODDS_FIXTURES_KEY, ts, key);
+    for (const k of [`oddshist:${key}`, `oddshist:last:${key}`, `oddshist:meta:${key}`]) {
+      await this.redis.expire(k, TTL_SECONDS);
+    }
+    return written;
+  }
+
+  /**
+   * Resolve a match (id and/or team names) to the key its odds are stored under
+   */
+  async resolveFixtureKey(match = {}) {
+    const candidates = [];
+    if (match.id !== null && typeof match.id !== 'undefined') candidates.push(String(match.id));
+    const slug = fixtureKey({ home: match.home, away: match.away });
+    if (slug) candidates.push(slug);
+    for (const key of candidates) {
+      const score = await this.redis.zscore(ODDS_FIXTURES_KEY, key);
+      if (score !== null && typeof score !== 'undefined') return key;
+    }
+    return null;
+  }
+
+  /**
+   * Fixtures with recorded odds, most recently updated first
+   */
+  async listFixtures({ limit = 50 } = {}) {
+    try {
+      const keys = await this.redis.zrevrange(ODDS_FIXTURES_KEY, 0, Math.max(0, limit - 1)) || [];
+      const out = [];
+      for (const key of keys) {
+        const meta = await this.redis.hgetall(`oddshist:meta:${key}`) || {};
+        out.push({ fixture: key, home: meta.home || null, away: meta.away || null, league: meta.league || null, updatedAt: Number(meta.updatedAt) || null });
+      }
+      return out;
+    } catch (err) {
+      logger.error('List odds fixtures failed', err);
+      return [];
+    }
+  }
+
+  /**
+   * Price points for one fixture.
+   * @param {string} key - fixture key
+   * @param {Object} opts - { market='1X2', bookmaker, from, to (ms or ISO) }
+   */
+  async getHistory(key, { market = '1X2', bookmaker = null, from = null, to = null } = {}) {
+    if (!key) return null;
+    try {
+      const start = from ? String(Date.parse(from) || Number(from)) : '-';
+      const end = to ? String(Date.parse(to) || Number(to)) : '+';
+      const entries = await this.redis.xrange(`oddshist:${key}`, start, end) || [];
+      const points = parseStreamEntries(entries)
+        .filter(p => (!market || p.market === market) && (!bookmaker || p.bookmaker === bookmaker));
+      const meta = await this.redis.hgetall(`oddshist:meta:${key}`) || {};
+      return { fixture: key, home: meta.home || null, away: meta.away || null, league: meta.league || null, market, points };
+    } catch (err) {
+      logger.error(`Get odds history failed for ${key}`, err);
+      return null;
+    }
+  }
+
+  /**
+   * Opening vs latest price per bookmaker and selection
+   */
+  summarizeMovement(history) {
+    const out = {};
+    for (const p of (history && history.points) || []) {
+      const book = (out[p.bookmaker] = out[p.bookmaker] || {});
+      for (const [sel, price] of Object.entries(p.prices)) {
+        if (!price) continue;
+        const s = book[sel] || (book[sel] = { open: price, latest: price, min: price, max: price, openedAt: p.ts });
+        s.latest = price;
+        s.min = Math.min(s.min, price);
+        s.max = Math.max(s.max, price);
+        s.updatedAt = p.ts;
+        s.changePct = Math.round(((price - s.open) / s.open) * 1000) / 10;
+      }
+    }
+    return out;
+  }
+}
+
+export { OddsHistoryService };
+export default OddsHistoryService;
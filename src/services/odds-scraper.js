@@ -13,6 +13,7 @@ export async function getOddsFromBetExplorer({ sport = 'football' } = {}) {
     });
     if (!res.ok) throw new Error(`BetExplorer fetch failed: ${res.status}`);
     const html = await res.text();
+    const scrapedAt = new Date().toISOString();
 
     // Parse with cheerio
     const $ = cheerio.load(html);
@@ -36,6 +37,7 @@ export async function getOddsFromBetExplorer({ sport = 'football' } = {}) {
           match,
           odds: { home: odds1, draw: oddsX, away: odds2 },
           raw_row: $(row).html(),
+          scrapedAt,
         });
       }
     });
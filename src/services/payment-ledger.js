@@ -0,0 +1,358 @@
+/**
+ * Payment Ledger
+ * Authoritative, append-only record of payments in Postgres
+ * (migrations/003_create_payment_ledger.sql). Each order, provider event,
+ * activation, refund and adjustment is one `payment_events` row; money
+ * movements are balanced debit/credit lines in `ledger_entries`:
+ *
+ *   provider payment   Dr cash:{method}         Cr customer:{user}
+ *   activation         Dr customer:{user}       Cr revenue:{tier} + fee_income:{method}
+ *   refund/chargeback  Dr refunds|chargebacks:{tier}  Cr cash:{method}
+ *   adjustment         Dr adjustments           Cr customer:{user}   (negative flips)
+ *
+ * Events carry an idempotency key, so replayed webhooks or retries post once.
+ * Redis `payment:order:{id}` blobs are only a cache; getOrder() rebuilds an
+ * order from its events when the blob has expired.
+ */
+
+import { randomUUID } from 'crypto';
+import { Logger } from '../utils/logger.js';
+
+const logger = new Logger('PaymentLedger');
+
+export const EventType = {
+  ORDER_CREATED: 'order_created',
+  PROVIDER_EVENT: 'provider_event',
+  ACTIVATION: 'activation',
+  REFUND: 'refund',
+  CHARGEBACK: 'chargeback',
+  ADJUSTMENT: 'adjustment'
+};
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+/**
+ * Ledger lines for an event. Amounts are positive; `side` is debit|credit.
+ * @returns {Array<{ account, userId, side, amount, currency }>}
+ */
+export function postingLines(type, { userId, amount, fee = 0, currency = 'KES', provider = 'UNKNOWN', tier = 'UNKNOWN' } = {}) {
+  const total = round2(amount);
+  const customer = `customer:${userId}`;
+  const line = (account, side, value, uid = null) => ({ account, userId: uid, side, amount: round2(value), currency });
+  switch (type) {
+    case 'payment':
+      return [line(`cash:${provider}`, 'debit', total), line(customer, 'credit', total, userId)];
+    case EventType.ACTIVATION: {
+      // A fee that takes the whole total (or a fully discounted order) leaves no revenue line
+      const feePart = Math.min(round2(fee), total);
+      return [line(customer, 'debit', total, userId), line(`revenue:${tier}`, 'credit', total - feePart), line(`fee_income:${provider}`, 'credit', feePart)]
+        .filter(l => l.amount > 0);
+    }
+    case EventType.REFUND:
+    case EventType.CHARGEBACK:
+      return [line(`${type === EventType.REFUND ? 'refunds' : 'chargebacks'}:${tier}`, 'debit', total, userId), line(`cash:${provider}`, 'credit', total)];
+    case EventType.ADJUSTMENT:
+      return total >= 0
+        ? [line('adjustments', 'debit', total), line(customer, 'credit', total, userId)]
+        : [line(customer, 'debit', -total, userId), line('adjustments', 'credit', -total)];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Throws unless debits equal credits per currency
+ */
+export function assertBalanced(lines) {
+  const sums = {};
+  for (const l of lines) {
+    if (!(l.amount > 0)) throw new Error(`Ledger line for ${l.account} must be positive`);
+    sums[l.currency] = round2((sums[l.currency] || 0) + (l.side === 'debit' ? l.amount : -l.amount));
+  }
+  for (const [currency, diff] of Object.entries(sums)) {
+    if (diff !== 0) throw new Error(`Unbalanced ledger event (${currency} off by ${diff})`);
+  }
+  return true;
+}
+
+/**
+ * Rebuild the order object stored in Redis from its events (oldest first)
+ */
+export function foldOrder(events) {
+  const created = events.find(e => e.event_type === EventType.ORDER_CREATED);
+  if (!created) return null;
+  const order = { ...(created.payload || {}) };
+  for (const e of events) {
+    if (e.event_type === EventType.PROVIDER_EVENT && e.status === 'success') {
+      order.providerRef = order.providerRef || e.provider_ref;
+    } else if (e.event_type === EventType.PROVIDER_EVENT && e.status === 'failed' && order.status === 'pending') {
+      order.status = 'failed';
+      order.failureReason = e.payload?.reason || null;
+    } else if (e.event_type === EventType.ACTIVATION) {
+      order.status = 'completed';
+      order.transactionId = e.provider_ref || order.transactionId;
+      order.completedAt = new Date(e.created_at).toISOString();
+      if (e.payload?.expiresAt) order.subscriptionExpiry = e.payload.expiresAt;
+    } else if (e.event_type === EventType.REFUND || e.event_type === EventType.CHARGEBACK) {
+      order.refundedAmount = round2((order.refundedAmount || 0) + Number(e.amount || 0));
+      if (order.refundedAmount >= Number(order.totalAmount || 0)) order.status = e.event_type === EventType.REFUND ? 'refunded' : 'charged_back';
+      else order.status = 'partially_refunded';
+    }
+  }
+  return order;
+}
+
+/**
+ * Subscription grants implied by a user's events: activations whose order was
+ * not fully refunded or charged back, shortened by any partial refund
+ * @returns {Array<{ orderId, tier, startsAt, expiresAt }>}
+ */
+export function grantsFromHistory(events) {
+  const reversed = {};
+  const paid = {};
+  for (const e of events) {
+    if (e.event_type === EventType.REFUND || e.event_type === EventType.CHARGEBACK) {
+      reversed[e.order_id] = round2((reversed[e.order_id] || 0) + Number(e.amount || 0));
+    }
+  }
+  const out = [];
+  for (const e of events) {
+    if (e.event_type !== EventType.ACTIVATION) continue;
+    paid[e.order_id] = Number(e.amount || 0);
+    const ratio = paid[e.order_id] ? (reversed[e.order_id] || 0) / paid[e.order_id] : 0;
+    if (ratio >= 1) continue;
+    const startsAt = e.payload?.startsAt || new Date(e.created_at).toISOString();
+    let expiresAt = e.payload?.expiresAt || null;
+    // Partial refunds shorten the paid period proportionally (see EntitlementService.reverseOrder)
+    if (ratio > 0 && expiresAt) {
+      const start = Date.parse(startsAt);
+      const end = Date.parse(expiresAt);
+      expiresAt = new Date(end - Math.round(ratio * (end - start))).toISOString();
+    }
+    out.push({ orderId: e.order_id, tier: e.tier, startsAt, expiresAt });
+  }
+  return out;
+}
+
+class PaymentLedger {
+  /**
+   * @param {Object} pool - pg Pool
+   */
+  constructor(pool) {
+    if (!pool) throw new Error('Postgres pool required');
+    this.pool = pool;
+  }
+
+  /**
+   * Insert an event and its lines in one transaction
+   * @returns {{ id, duplicate: boolean }}
+   */
+  async post(event, lines = []) {
+    if (lines.length) assertBalanced(lines);
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query(
+        `INSERT INTO payment_events (event_type, order_id, user_id, provider, provider_ref, tier, amount, currency, status, payload, idempotency_key)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+         ON CONFLICT (idempotency_key) DO NOTHING RETURNING id`,
+        [event.type, event.orderId || null, event.userId ?? null, event.provider || null, event.providerRef || null, event.tier || null,
+          event.amount ?? null, event.currency || null, event.status || null, event.payload || {}, event.key]
+      );
+      if (!rows.length) {
+        await client.query('ROLLBACK');
+        const existing = await this.pool.query('SELECT id FROM payment_events WHERE idempotency_key = $1', [event.key]);
+        return { id: existing.rows[0]?.id || null, duplicate: true };
+      }
+      const id = rows[0].id;
+      for (const l of lines) {
+        await client.query(
+          'INSERT INTO ledger_entries (event_id, account, user_id, debit, credit, currency) VALUES ($1,$2,$3,$4,$5,$6)',
+          [id, l.account, l.userId ?? null, l.side === 'debit' ? l.amount : 0, l.side === 'credit' ? l.amount : 0, l.currency]
+        );
+      }
+      await client.query('COMMIT');
+      return { id, duplicate: false };
+    } catch (err) {
+      try { await client.query('ROLLBACK'); } catch (e) { void e; }
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async recordOrder(order) {
+    return this.post({
+      type: EventType.ORDER_CREATED,
+      key: `order:${order.orderId}`,
+      orderId: order.orderId,
+      userId: order.userId,
+      provider: order.paymentMethod,
+      providerRef: order.providerRef || null,
+      tier: order.tier,
+      amount: order.totalAmount,
+      currency: order.currency,
+      status: 'pending',
+      payload: order
+    });
+  }
+
+  /**
+   * Provider notification. Successful payments move cash into the customer's account.
+   */
+  async recordProviderEvent({ orderId, userId, provider, providerRef, amount, currency = 'KES', status = 'success', payload = {} }) {
+    const lines = status === 'success' && Number(amount) > 0 ? postingLines('payment', { userId, amount, currency, provider }) : [];
+    return this.post({
+      type: EventType.PROVIDER_EVENT,
+      key: `provider:${provider}:${providerRef || orderId}:${status}`,
+      orderId, userId, provider, providerRef, amount, currency, status, payload
+    }, lines);
+  }
+
+  async recordActivation(order, { startsAt = null, expiresAt = null } = {}) {
+    return this.post({
+      type: EventType.ACTIVATION,
+      key: `activation:${order.orderId}`,
+      orderId: order.orderId,
+      userId: order.userId,
+      provider: order.paymentMethod,
+      providerRef: order.transactionId || null,
+      tier: order.tier,
+      amount: order.totalAmount,
+      currency: order.currency,
+      status: 'completed',
+      payload: { startsAt, expiresAt }
+    }, postingLines(EventType.ACTIVATION, { userId: order.userId, amount: order.totalAmount, fee: order.fee, currency: order.currency, provider: order.paymentMethod, tier: order.tier }));
+  }
+
+  /**
+   * Refund or chargeback against an order (kind: refund | chargeback).
+   * `reference` (provider refund/dispute id) posts once; without one every call is a new refund.
+   */
+  async recordRefund({ orderId, userId, amount, currency = 'KES', provider, tier, reference = null, reason = null, kind = EventType.REFUND }) {
+    return this.post({
+      type: kind,
+      key: `${kind}:${orderId}:${reference || randomUUID()}`,
+      orderId, userId, provider, providerRef: reference, tier, amount, currency,
+      status: 'completed',
+      payload: { reason }
+    }, postingLines(kind, { userId, amount, currency, provider, tier }));
+  }
+
+  /**
+   * Manual credit (positive) or debit (negative) on a user's account
+   */
+  async recordAdjustment({ userId, amount, currency = 'KES', reason, reference }) {
+    if (!reference) throw new Error('Adjustment reference required');
+    return this.post({
+      type: EventType.ADJUSTMENT,
+      key: `adjustment:${reference}`,
+      userId, amount, currency,
+      status: 'completed',
+      payload: { reason }
+    }, postingLines(EventType.ADJUSTMENT, { userId, amount, currency }));
+  }
+
+  async getOrderEvents(orderId) {
+    const { rows } = await this.pool.query('SELECT * FROM payment_events WHERE order_id = $1 ORDER BY id', [orderId]);
+    return rows;
+  }
+
+  async getOrder(orderId) {
+    return foldOrder(await this.getOrderEvents(orderId));
+  }
+
+  /**
+   * Order settled by a provider transaction/capture id
+   */
+  async findOrderByProviderRef(providerRef) {
+    const { rows } = await this.pool.query(
+      'SELECT order_id FROM payment_events WHERE provider_ref = $1 AND order_id IS NOT NULL ORDER BY id LIMIT 1',
+      [providerRef]
+    );
+    return rows[0] ? this.getOrder(rows[0].order_id) : null;
+  }
+
+  async getUserEvents(userId, limit = 500) {
+    const { rows } = await this.pool.query('SELECT * FROM payment_events WHERE user_id = $1 ORDER BY id LIMIT $2', [userId, limit]);
+    return rows;
+  }
+
+  /**
+   * Credit held per currency plus lifetime paid and refunded totals
+   */
+  async getUserBalance(userId) {
+    const { rows } = await this.pool.query(
+      `SELECT currency,
+              SUM(CASE WHEN account = $1 THEN credit - debit ELSE 0 END) AS balance,
+              SUM(CASE WHEN account LIKE 'cash:%' THEN debit ELSE 0 END) AS paid,
+              SUM(CASE WHEN account LIKE 'refunds:%' OR account LIKE 'chargebacks:%' THEN debit ELSE 0 END) AS refunded
+       FROM ledger_entries e
+       WHERE e.event_id IN (SELECT id FROM payment_events WHERE user_id = $2)
+       GROUP BY currency`,
+      [`customer:${userId}`, userId]
+    );
+    return Object.fromEntries(rows.map(r => [r.currency, { balance: round2(r.balance), paid: round2(r.paid), refunded: round2(r.refunded) }]));
+  }
+
+  /**
+   * Per-account totals for a period; debits and credits net to zero overall
+   */
+  async trialBalance({ from = null, to = null } = {}) {
+    const { rows } = await this.pool.query(
+      `SELECT account, currency, SUM(debit) AS debit, SUM(credit) AS credit
+       FROM ledger_entries
+       WHERE ($1::timestamptz IS NULL OR created_at >= $1) AND ($2::timestamptz IS NULL OR created_at < $2)
+       GROUP BY account, currency ORDER BY account`,
+      [from, to]
+    );
+    return rows.map(r => ({ account: r.account, currency: r.currency, debit: round2(r.debit), credit: round2(r.credit) }));
+  }
+
+  /**
+   * Replace a user's stored grants with the ones implied by ledger history
+   * @param {EntitlementService} entitlements
+   */
+  async rebuildEntitlements(userId, entitlements) {
+    const grants = grantsFromHistory(await this.getUserEvents(userId, 5000));
+    await entitlements.reset(userId);
+    for (const g of grants) {
+      try {
+        await entitlements.grant(userId, g.tier, { startsAt: g.startsAt, expiresAt: g.expiresAt, source: 'ledger', orderId: g.orderId });
+      } catch (err) {
+        logger.warn(`Skipping grant for order ${g.orderId}`, err?.message || String(err));
+      }
+    }
+    logger.info('Entitlements rebuilt from ledger', { userId, grants: grants.length });
+    return grants;
+  }
+}
+
+let defaultLedger;
+
+/**
+ * Shared ledger for payment-router. Created from DATABASE_URL on first use;
+ * null when Postgres is not configured.
+ */
+export async function getDefaultLedger() {
+  if (typeof defaultLedger !== 'undefined') return defaultLedger;
+  if (!process.env.DATABASE_URL) {
+    defaultLedger = null;
+    return null;
+  }
+  try {
+    const { default: pg } = await import('pg');
+    defaultLedger = new PaymentLedger(new pg.Pool({ connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false } }));
+  } catch (err) {
+    logger.warn('Payment ledger unavailable', err?.message || String(err));
+    defaultLedger = null;
+  }
+  return defaultLedger;
+}
+
+export function setDefaultLedger(ledger) {
+  defaultLedger = ledger;
+}
+
+export { PaymentLedger };
+export default PaymentLedger;
@@ -0,0 +1,367 @@
+/**
+ * Payment Reconciler
+ * Resolves payment orders whose provider callback never arrived. Stale
+ * pending orders (payment-router's `payment:pending` index, plus legacy
+ * `payments` rows with a Lipana checkout id) are looked up at the provider
+ * through an adapter and then activated with verifyAndActivatePayment or
+ * closed with failOrder.
+ *
+ * Adapters live in src/adapters/payment-*.js and implement:
+ *   name, methods: ['MPESA', ...]
+ *   supports(order)        optional, pick between adapters for one method
+ *   lookup(order)          -> { status: success|failed|pending|unknown, amount, currency, providerRef, reason }
+ *   listPayments({ since, until, orders })
+ *                          optional, provider-side payments for orphan detection; `orders` are
+ *                          the adapter's orders closed that day, for providers without a listing
+ *
+ * A success whose amount the provider does not report (Daraja's STK query) is
+ * not activated; it stays pending for the callback or an admin.
+ *
+ * Every outcome is written to a daily report (`reconcile:report:{YYYY-MM-DD}`)
+ * with matched orders, amount mismatches and orphan provider payments.
+ */
+
+import { Logger } from '../utils/logger.js';
+import { verifyAndActivatePayment, failOrder, getOrder, getPendingOrder, PENDING_INDEX_KEY } from '../handlers/payment-router.js';
+import { createLipanaAdapter } from '../adapters/payment-lipana.js';
+import { createDarajaAdapter } from '../adapters/payment-daraja.js';
+import { createPayPalAdapter } from '../adapters/payment-paypal.js';
+import { createBinanceAdapter } from '../adapters/payment-binance.js';
+
+const logger = new Logger('PaymentReconciler');
+
+const REPORT_TTL_SECONDS = 35 * 24 * 60 * 60;
+const MINUTE = 60 * 1000;
+
+export function defaultAdapters() {
+  return [createLipanaAdapter(), createDarajaAdapter(), createPayPalAdapter(), createBinanceAdapter()];
+}
+
+export function reportDate(ts = Date.now()) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+/**
+ * Compare what the provider received with what the order expected.
+ * @returns {'match'|'underpaid'|'overpaid'|'unknown'}
+ */
+export function compareAmounts(expected, received, tolerance = 1) {
+  if (received === null || received === undefined || Number.isNaN(Number(received))) return 'unknown';
+  const diff = Number(received) - Number(expected || 0);
+  if (Math.abs(diff) <= tolerance) return 'match';
+  return diff < 0 ? 'underpaid' : 'overpaid';
+}
+
+/**
+ * Counts per outcome for a daily report's entries
+ */
+export function summarizeReport(entries = []) {
+  const summary = { matched: 0, mismatched: 0, orphans: 0, failed: 0, expired: 0, pending: 0, errors: 0 };
+  for (const e of entries) {
+    if (e.outcome === 'orphan') summary.orphans += 1;
+    else if (e.outcome === 'mismatch' || e.amountCheck === 'overpaid') summary.mismatched += 1;
+    else if (e.outcome === 'activated' || e.outcome === 'already_active') summary.matched += 1;
+    else if (e.outcome === 'failed') summary.failed += 1;
+    else if (e.outcome === 'expired') summary.expired += 1;
+    else if (e.outcome === 'pending') summary.pending += 1;
+    else if (e.outcome === 'error') summary.errors += 1;
+  }
+  return summary;
+}
+
+export function formatReport(report) {
+  const s = report.summary;
+  const lines = [
+    `🧾 *Payment reconciliation — ${report.date}*`,
+    '',
+    `✅ Matched: ${s.matched}`,
+    `⚠️ Amount mismatches: ${s.mismatched}`,
+    `❓ Orphan provider payments: ${s.orphans}`,
+    `❌ Failed: ${s.failed} · ⌛ Expired: ${s.expired} · ⏳ Still pending: ${s.pending}`
+  ];
+  if (s.errors) lines.push(`🛑 Lookup errors: ${s.errors}`);
+  const flagged = report.entries.filter(e => e.outcome === 'mismatch' || e.amountCheck === 'overpaid' || e.outcome === 'orphan').slice(0, 10);
+  if (flagged.length) {
+    lines.push('', '*Needs review:*');
+    for (const e of flagged) {
+      lines.push(e.outcome === 'orphan'
+        ? `• ${e.provider} ${e.providerRef}: ${e.received ?? '?'} ${e.currency || ''} with no order`
+        : `• ${e.orderId}: expected ${e.expected}, received ${e.received ?? 'unknown'} ${e.currency || ''}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+class PaymentReconciler {
+  /**
+   * @param {Object} redis
+   * @param {Object} opts - { adapters, pool, webhooks, telegram, adminId, staleMinutes, expireHours, limit, tolerance }
+   *   pool: pg pool, also reconciles legacy `payments` rows
+   *   webhooks: WebhookPipeline, unmapped provider webhooks count as orphans
+   */
+  constructor(redis, opts = {}) {
+    this.redis = redis;
+    this.adapters = opts.adapters || defaultAdapters();
+    this.pool = opts.pool || null;
+    this.webhooks = opts.webhooks || null;
+    this.telegram = opts.telegram || null;
+    this.adminId = opts.adminId || process.env.ADMIN_TELEGRAM_ID || null;
+    this.staleMinutes = Number(opts.staleMinutes ?? process.env.RECONCILE_THRESHOLD_MINUTES ?? 15);
+    this.expireHours = Number(opts.expireHours ?? process.env.RECONCILE_EXPIRE_HOURS ?? 24);
+    this.limit = Number(opts.limit ?? process.env.RECONCILE_LIMIT ?? 200);
+    this.tolerance = Number(opts.tolerance ?? 1);
+  }
+
+  adapterFor(order) {
+    return this.adapters.find(a => (a.methods || []).includes(order.paymentMethod) && (!a.supports || a.supports(order))) || null;
+  }
+
+  /**
+   * Pending orders older than the stale threshold
+   */
+  async stalePending(now = Date.now()) {
+    const ids = await this.redis.zrangebyscore(PENDING_INDEX_KEY, 0, now - this.staleMinutes * MINUTE, 'LIMIT', 0, this.limit);
+    const orders = [];
+    for (const id of ids || []) {
+      const order = await getPendingOrder(this.redis, id);
+      if (!order || order.status !== 'pending') {
+        await this.redis.zrem(PENDING_INDEX_KEY, id);
+        continue;
+      }
+      orders.push(order);
+    }
+    for (const order of await this._legacyPending(now)) {
+      if (!orders.some(o => o.orderId === order.orderId)) orders.push(order);
+    }
+    return orders;
+  }
+
+  // Lipana STK rows written by the deposit flow before orders carried a providerRef
+  async _legacyPending(now) {
+    if (!this.pool) return [];
+    try {
+      const { rows } = await this.pool.query(
+        `SELECT tx_ref, metadata->>'provider_checkout_id' AS provider_checkout_id, metadata->>'orderId' AS order_id
+         FROM payments WHERE status = 'pending' AND (metadata->>'provider_checkout_id') IS NOT NULL AND created_at < $1 LIMIT $2`,
+        [new Date(now - this.staleMinutes * MINUTE), this.limit]
+      );
+      const orders = [];
+      for (const r of rows) {
+        const order = await getPendingOrder(this.redis, r.order_id || r.tx_ref);
+        if (!order || order.status !== 'pending') continue;
+        orders.push({ ...order, providerRef: order.providerRef || r.provider_checkout_id, gateway: order.gateway || 'LIPANA' });
+      }
+      return orders;
+    } catch (err) {
+      logger.warn('Legacy payments lookup failed', err?.message || String(err));
+      return [];
+    }
+  }
+
+  async _markPaymentsRow(orderId, status, providerRef) {
+    if (!this.pool) return;
+    try {
+      await this.pool.query(
+        `UPDATE payments SET status = $1, tx_id = COALESCE($2, tx_id), updated_at = now() WHERE tx_ref = $3 OR (metadata->>'orderId') = $3`,
+        [status, providerRef || null, orderId]
+      );
+    } catch (err) {
+      logger.warn('Failed to update payments row', err?.message || String(err));
+    }
+  }
+
+  /**
+   * Look one order up at its provider and settle it
+   * @returns {Object} report entry
+   */
+  async resolve(order, now = Date.now()) {
+    const ageMs = now - (Date.parse(order.createdAt) || now);
+    const expired = ageMs > this.expireHours * 60 * MINUTE;
+    const entry = { orderId: order.orderId, userId: order.userId, method: order.paymentMethod, expected: order.totalAmount, currency: order.currency, at: new Date(now).toISOString() };
+
+    const adapter = this.adapterFor(order);
+    if (!adapter) {
+      // Till / bank / manual payments are settled by the user or an admin
+      return { ...entry, outcome: 'unsupported' };
+    }
+    entry.adapter = adapter.name;
+
+    let result;
+    try {
+      result = await adapter.lookup(order);
+    } catch (err) {
+      logger.warn(`Lookup failed for ${order.orderId}`, err?.message || String(err));
+      return { ...entry, outcome: 'error', reason: err?.message || String(err) };
+    }
+    entry.providerRef = result?.providerRef || order.providerRef || null;
+    entry.received = result?.amount ?? null;
+
+    if (result?.status === 'success') {
+      entry.amountCheck = compareAmounts(order.totalAmount, result.amount, this.tolerance);
+      if (entry.amountCheck === 'underpaid') {
+        // Money arrived but short: leave pending for an admin to top up or refund
+        return { ...entry, outcome: 'mismatch' };
+      }
+      if (entry.amountCheck === 'unknown') {
+        // Paid, but for how much is unknown: never activate blind
+        return { ...entry, outcome: 'mismatch', reason: 'amount_unknown' };
+      }
+      try {
+        const activated = await verifyAndActivatePayment(this.redis, order.orderId, entry.providerRef || `reconcile_${order.orderId}`);
+        await this._markPaymentsRow(order.orderId, 'success', entry.providerRef);
+        await this._notifyUser(order, activated);
+        return { ...entry, outcome: 'activated' };
+      } catch (err) {
+        if (/already processed/i.test(err?.message || '')) return { ...entry, outcome: 'already_active' };
+        return { ...entry, outcome: 'error', reason: err?.message || String(err) };
+      }
+    }
+
+    if (result?.status === 'failed' || expired) {
+      const reason = result?.status === 'failed' ? (result.reason || 'failed') : 'expired';
+      try {
+        await failOrder(this.redis, order.orderId, { reason, providerRef: entry.providerRef });
+        await this._markPaymentsRow(order.orderId, 'failed', entry.providerRef);
+      } catch (err) {
+        if (!/already processed/i.test(err?.message || '')) return { ...entry, outcome: 'error', reason: err?.message || String(err) };
+      }
+      return { ...entry, outcome: result?.status === 'failed' ? 'failed' : 'expired', reason };
+    }
+
+    return { ...entry, outcome: 'pending', reason: result?.reason || null };
+  }
+
+  async _notifyUser(order, activated) {
+    if (!this.telegram || !order.userId || !activated?.tier) return;
+    try {
+      await this.telegram.sendMessage(order.userId, `✅ *Payment Confirmed*\n\nWe confirmed your ${order.paymentMethod} payment for order ${order.orderId}.\n\nYour ${activated.tier} subscription is now active!`, { parse_mode: 'Markdown' });
+    } catch (err) {
+      logger.warn('Failed to notify user after reconciliation', err?.message || String(err));
+    }
+  }
+
+  /**
+   * A provider payment we can account for: a live checkout mapping, the
+   * transaction that activated an order, or its order reference on an order
+   * that was not closed as failed
+   */
+  async _knownPayment(method, p) {
+    if (await this.redis.get(`payment:by_provider_ref:${method}:${p.providerRef}`)) return true;
+    if (await this.redis.get(`transaction:${p.providerRef}`)) return true;
+    if (!p.reference) return false;
+    const order = await getOrder(this.redis, p.reference);
+    return Boolean(order) && order.status !== 'failed';
+  }
+
+  /**
+   * Provider payments with no matching order: adapter listings plus webhooks
+   * the pipeline could not map to an order
+   * @param {Object} range - { since, until, orders: orders closed in the range ({ orderId, paymentMethod, providerRef }) }
+   */
+  async findOrphans({ since, until, orders = [] }) {
+    const orphans = [];
+    for (const adapter of this.adapters) {
+      if (typeof adapter.listPayments !== 'function') continue;
+      try {
+        const closed = orders.filter(o => (adapter.methods || []).includes(o.paymentMethod));
+        const payments = await adapter.listPayments({ since, until, orders: closed });
+        for (const p of payments || []) {
+          if (p.status && p.status !== 'success') continue;
+          const method = (adapter.methods || [])[0];
+          if (await this._knownPayment(method, p)) continue;
+          orphans.push({ outcome: 'orphan', provider: adapter.name, providerRef: p.providerRef, received: p.amount ?? null, currency: p.currency || null, reference: p.reference || null });
+        }
+      } catch (err) {
+        logger.warn(`Listing payments failed for ${adapter.name}`, err?.message || String(err));
+      }
+    }
+    if (this.webhooks) {
+      try {
+        const ignored = await this.webhooks.list({ status: 'ignored', limit: 500 });
+        for (const event of ignored) {
+          if (!/mapping not found/i.test(event.lastError || '')) continue;
+          const at = Date.parse(event.receivedAt);
+          if (at < since || at > until) continue;
+          orphans.push({ outcome: 'orphan', provider: event.provider, providerRef: event.providerEventId, received: null, currency: null, webhookId: event.id });
+        }
+      } catch (err) {
+        logger.warn('Listing unmapped webhooks failed', err?.message || String(err));
+      }
+    }
+    return orphans;
+  }
+
+  async _record(date, entry) {
+    const key = `reconcile:report:${date}`;
+    const field = entry.outcome === 'orphan' ? `orphan:${entry.provider}:${entry.providerRef}` : `order:${entry.orderId}`;
+    await this.redis.hset(key, field, JSON.stringify(entry));
+    await this.redis.expire(key, REPORT_TTL_SECONDS);
+  }
+
+  /**
+   * One reconciliation pass
+   * @returns {Object} summary of this pass
+   */
+  async run({ now = Date.now() } = {}) {
+    const summary = { checked: 0, activated: 0, failed: 0, expired: 0, pending: 0, mismatched: 0, orphans: 0, errors: 0 };
+    const date = reportDate(now);
+    try {
+      const orders = await this.stalePending(now);
+      for (const order of orders) {
+        const entry = await this.resolve(order, now);
+        if (entry.outcome === 'unsupported') continue;
+        summary.checked += 1;
+        if (entry.outcome === 'activated') summary.activated += 1;
+        if (entry.outcome === 'failed') summary.failed += 1;
+        if (entry.outcome === 'expired') summary.expired += 1;
+        if (entry.outcome === 'pending') summary.pending += 1;
+        if (entry.outcome === 'error') summary.errors += 1;
+        if (entry.outcome === 'mismatch' || entry.amountCheck === 'overpaid') summary.mismatched += 1;
+        await this._record(date, entry);
+      }
+
+      const dayStart = Date.parse(`${date}T00:00:00.000Z`);
+      const closed = (await this.getReport(date)).entries
+        .filter(e => e.outcome === 'failed' || e.outcome === 'expired')
+        .map(e => ({ orderId: e.orderId, paymentMethod: e.method, providerRef: e.providerRef || null }));
+      for (const orphan of await this.findOrphans({ since: dayStart, until: now, orders: closed })) {
+        summary.orphans += 1;
+        await this._record(date, orphan);
+      }
+    } catch (err) {
+      logger.warn('Reconciliation run failed', err?.message || String(err));
+      summary.errors += 1;
+    }
+    if (summary.checked || summary.orphans) logger.info('Reconciliation pass', summary);
+    return summary;
+  }
+
+  /**
+   * Daily report: every outcome recorded on `date` (YYYY-MM-DD)
+   */
+  async getReport(date = reportDate()) {
+    const raw = await this.redis.hgetall(`reconcile:report:${date}`) || {};
+    const entries = Object.values(raw).map(v => JSON.parse(v));
+    return { date, summary: summarizeReport(entries), entries };
+  }
+
+  /**
+   * Send yesterday's report to the admin, once
+   */
+  async sendDailyReport({ now = Date.now() } = {}) {
+    if (!this.telegram || !this.adminId) return null;
+    const date = reportDate(now - 24 * 60 * MINUTE);
+    const claimed = await this.redis.set(`reconcile:report:${date}:sent`, '1', 'EX', REPORT_TTL_SECONDS, 'NX');
+    if (!claimed) return null;
+    const report = await this.getReport(date);
+    try {
+      await this.telegram.sendMessage(this.adminId, formatReport(report), { parse_mode: 'Markdown' });
+    } catch (err) {
+      logger.warn('Failed to send reconciliation report', err?.message || String(err));
+    }
+    return report;
+  }
+}
+
+export { PaymentReconciler };
+export default PaymentReconciler;
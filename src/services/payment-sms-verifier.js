@@ -0,0 +1,246 @@
+/**
+ * Payment SMS Verifier
+ * Matches a confirmation SMS the user pasted into the chat (M-Pesa, Airtel,
+ * PayPal; parsed by lib/payment-sms.js) to one of their pending orders.
+ *
+ * Candidates are the user's pending order plus any order whose provider
+ * reference or phone the message mentions. The best-scoring candidate is
+ * activated with the SMS receipt code as its transaction id when the score
+ * reaches `autoThreshold`; between `reviewThreshold` and that, or when the
+ * order belongs to another user, the match waits in an admin review queue
+ * (`payment:sms_reviews`). A receipt code is only ever claimed once, so the
+ * same SMS cannot pay for two orders.
+ */
+
+import { Logger } from '../utils/logger.js';
+import { parseConfirmationSms, scoreMatch } from '../lib/payment-sms.js';
+import { PAYMENT_PROVIDERS, getOrder, verifyAndActivatePayment } from '../handlers/payment-router.js';
+
+const logger = new Logger('PaymentSmsVerifier');
+
+export const SMS_REVIEWS_KEY = 'payment:sms_reviews';
+const RECEIPT_TTL_SECONDS = 90 * 24 * 60 * 60;
+const REVIEW_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const receiptKey = (receipt) => `payment:sms_receipt:${receipt}`;
+const reviewKey = (id) => `payment:sms_review:${id}`;
+
+/**
+ * Our own names and numbers as they appear on customers' confirmations
+ */
+export function merchantIdentifiers(env = process.env) {
+  const list = (value) => String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+  return {
+    names: list(env.PAYMENT_MERCHANT_NAMES || 'BETRIX'),
+    tills: list(PAYMENT_PROVIDERS.SAFARICOM_TILL.tillNumber),
+    paybills: [...list(env.MPESA_PAYBILL), ...list(env.MPESA_SHORTCODE)]
+  };
+}
+
+class PaymentSmsVerifier {
+  /**
+   * @param {Object} redis
+   * @param {Object} opts - { telegram, adminId, autoThreshold, reviewThreshold, merchant }
+   */
+  constructor(redis, opts = {}) {
+    this.redis = redis;
+    this.telegram = opts.telegram || null;
+    this.adminId = opts.adminId || process.env.ADMIN_TELEGRAM_ID || null;
+    this.autoThreshold = Number(opts.autoThreshold ?? process.env.PAYMENT_SMS_AUTO_THRESHOLD ?? 0.75);
+    this.reviewThreshold = Number(opts.reviewThreshold ?? process.env.PAYMENT_SMS_REVIEW_THRESHOLD ?? 0.4);
+    this.merchant = opts.merchant || merchantIdentifiers();
+  }
+
+  /**
+   * Pending orders the message could be paying for
+   */
+  async candidates(userId, parsed) {
+    const ids = new Set();
+    const pending = await this.redis.get(`payment:by_user:${userId}:pending`);
+    if (pending) ids.add(pending);
+
+    const refs = [parsed.account].filter(Boolean);
+    for (const ref of refs) {
+      for (const method of Object.keys(PAYMENT_PROVIDERS)) {
+        try {
+          const oid = await this.redis.get(`payment:by_provider_ref:${method}:${ref}`);
+          if (oid) ids.add(oid);
+        } catch (e) {
+          // ignore individual provider lookup failures
+        }
+      }
+    }
+    if (parsed.phone) {
+      const oid = await this.redis.get(`payment:by_phone:${parsed.phone}`);
+      if (oid) ids.add(oid);
+    }
+
+    const orders = [];
+    for (const id of ids) {
+      const order = await getOrder(this.redis, id);
+      if (order && order.status === 'pending') orders.push(order);
+    }
+    return orders;
+  }
+
+  /**
+   * Verify a pasted confirmation for `userId`.
+   * @returns {{ status: 'activated'|'review'|'duplicate'|'no_match'|'unparsed', message, parsed, orderId?, score?, reasons?, reviewId?, activation? }}
+   */
+  async verify(userId, text) {
+    const parsed = parseConfirmationSms(text);
+    if (!parsed.provider || parsed.amount === null) {
+      return { status: 'unparsed', parsed, message: 'I could not read that as a payment confirmation. Please paste the full M-Pesa, Airtel Money or PayPal message.' };
+    }
+    if (parsed.receipt && (await this.redis.get(receiptKey(parsed.receipt)) || await this.redis.get(`transaction:${parsed.receipt}`))) {
+      return { status: 'duplicate', parsed, message: `Transaction ${parsed.receipt} has already been used for a payment.` };
+    }
+
+    const ranked = (await this.candidates(userId, parsed))
+      .map(order => ({ order, ...scoreMatch(parsed, order, this.merchant) }))
+      .sort((a, b) => b.score - a.score);
+    const best = ranked[0];
+    if (!best || best.score < this.reviewThreshold) {
+      logger.info('Payment SMS not matched', { userId, receipt: parsed.receipt, best: best ? { orderId: best.order.orderId, score: best.score, reasons: best.reasons } : null });
+      return {
+        status: 'no_match',
+        parsed,
+        score: best ? best.score : 0,
+        reasons: best ? best.reasons : [],
+        message: 'Could not match this payment to a pending order. Please make sure you paid the exact amount shown in the payment instructions, or contact support with your transaction code.'
+      };
+    }
+
+    const receipt = parsed.receipt || `SMS${userId}${Date.now()}`;
+    if (!await this.redis.set(receiptKey(receipt), best.order.orderId, 'EX', RECEIPT_TTL_SECONDS, 'NX')) {
+      return { status: 'duplicate', parsed, message: `Transaction ${receipt} has already been used for a payment.` };
+    }
+
+    const sameUser = String(best.order.userId) === String(userId);
+    if (best.score >= this.autoThreshold && sameUser && parsed.receipt) {
+      try {
+        const activation = await verifyAndActivatePayment(this.redis, best.order.orderId, receipt);
+        logger.info('Payment SMS matched', { userId, orderId: best.order.orderId, receipt, score: best.score });
+        return { status: 'activated', parsed, orderId: best.order.orderId, score: best.score, reasons: best.reasons, activation, message: activation.message };
+      } catch (err) {
+        await this.redis.del(receiptKey(receipt));
+        throw err;
+      }
+    }
+
+    const reasons = sameUser ? best.reasons : [...best.reasons, 'other_user'];
+    const review = await this._queueReview({ userId, order: best.order, parsed, receipt, score: best.score, reasons });
+    return {
+      status: 'review',
+      parsed,
+      orderId: best.order.orderId,
+      score: best.score,
+      reasons,
+      reviewId: review.id,
+      message: '🔎 Thanks! We could not confirm this payment automatically, so it has been sent for a quick manual check. You will be notified once it is approved.'
+    };
+  }
+
+  async _queueReview({ userId, order, parsed, receipt, score, reasons }) {
+    const review = {
+      id: receipt,
+      userId,
+      orderId: order.orderId,
+      receipt,
+      score,
+      reasons,
+      expected: { amount: order.totalAmount, currency: order.currency, method: order.paymentMethod },
+      parsed: { ...parsed, normalized: undefined },
+      text: parsed.normalized,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    };
+    await this.redis.setex(reviewKey(review.id), REVIEW_TTL_SECONDS, JSON.stringify(review));
+    await this.redis.lpush(SMS_REVIEWS_KEY, review.id);
+    logger.info('Payment SMS queued for review', { userId, orderId: order.orderId, receipt, score, reasons });
+    await this._alertAdmin([
+      '🔎 *Payment SMS needs review*',
+      '',
+      `User ${userId}, order ${order.orderId}`,
+      `Expected ${order.totalAmount} ${order.currency}, SMS says ${parsed.amount} ${parsed.currency || ''}`.trim(),
+      `Receipt: ${receipt} (score ${score}: ${reasons.join(', ')})`,
+      '',
+      `Approve: POST /admin/reports/payments/sms-reviews/${review.id}/approve`
+    ].join('\n'));
+    return review;
+  }
+
+  async getReview(id) {
+    const raw = await this.redis.get(reviewKey(id));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Reviews waiting for a decision, newest first
+   */
+  async listReviews({ limit = 50 } = {}) {
+    const ids = await this.redis.lrange(SMS_REVIEWS_KEY, 0, limit - 1) || [];
+    const reviews = [];
+    for (const id of ids) {
+      const review = await this.getReview(id);
+      if (review) reviews.push(review);
+      else await this.redis.lrem(SMS_REVIEWS_KEY, 0, id);
+    }
+    return reviews;
+  }
+
+  /**
+   * Activate the reviewed order with the SMS receipt as its transaction id
+   */
+  async approve(id, { by = null } = {}) {
+    const review = await this.getReview(id);
+    if (!review) throw new Error('Review not found');
+    if (review.status !== 'pending') throw new Error(`Review already ${review.status}`);
+    const activation = await verifyAndActivatePayment(this.redis, review.orderId, review.receipt);
+    await this._decide(review, 'approved', { by });
+    await this._notifyUser(review.userId, activation.message);
+    return { ...review, activation };
+  }
+
+  /**
+   * Turn the match down; the receipt is released so a corrected claim can be made
+   */
+  async reject(id, { reason = null, by = null } = {}) {
+    const review = await this.getReview(id);
+    if (!review) throw new Error('Review not found');
+    if (review.status !== 'pending') throw new Error(`Review already ${review.status}`);
+    await this.redis.del(receiptKey(review.receipt));
+    const decided = await this._decide(review, 'rejected', { by, reason });
+    await this._notifyUser(review.userId, `❌ We could not confirm payment ${review.receipt} for order ${review.orderId}.${reason ? `\n\nReason: ${reason}` : ''}\n\nPlease contact support if you believe this is a mistake.`);
+    return decided;
+  }
+
+  async _decide(review, status, { by = null, reason = null } = {}) {
+    const decided = { ...review, status, decidedAt: new Date().toISOString(), decidedBy: by, decisionReason: reason };
+    await this.redis.setex(reviewKey(review.id), REVIEW_TTL_SECONDS, JSON.stringify(decided));
+    await this.redis.lrem(SMS_REVIEWS_KEY, 0, review.id);
+    logger.info('Payment SMS review decided', { id: review.id, orderId: review.orderId, status });
+    return decided;
+  }
+
+  async _notifyUser(userId, text) {
+    if (!this.telegram || !userId) return;
+    try {
+      await this.telegram.sendMessage(userId, text, { parse_mode: 'Markdown' });
+    } catch (err) {
+      logger.warn('Failed to notify user about SMS review', err?.message || String(err));
+    }
+  }
+
+  async _alertAdmin(text) {
+    if (!this.telegram || !this.adminId) return;
+    try {
+      await this.telegram.sendMessage(this.adminId, text, { parse_mode: 'Markdown' });
+    } catch (err) {
+      logger.warn('Failed to alert admin', err?.message || String(err));
+    }
+  }
+}
+
+export { PaymentSmsVerifier };
+export default PaymentSmsVerifier;
@@ -97,4 +97,58 @@ export class PayPalService {
       return { success: false, error: error.message };
     }
   }
+
+  /**
+   * Transaction Search (needs the Transaction Search permission on the app);
+   * the range may not exceed 31 days
+   */
+  static async listTransactions({ startDate, endDate }) {
+    try {
+      const accessToken = await getAccessToken();
+      const params = new URLSearchParams({
+        start_date: new Date(startDate).toISOString(),
+        end_date: new Date(endDate).toISOString(),
+        fields: 'transaction_info',
+        page_size: '500'
+      });
+
+      const response = await fetch(`${PAYPAL_API}/v1/reporting/transactions?${params}`, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${accessToken}`
+        }
+      });
+
+      const data = await response.json();
+      return {
+        success: response.ok,
+        data
+      };
+    } catch (error) {
+      console.error('PayPal transaction search error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getOrder(orderId) {
+    try {
+      const accessToken = await getAccessToken();
+
+      const response = await fetch(`${PAYPAL_API}/v2/checkout/orders/${orderId}`, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${accessToken}`
+        }
+      });
+
+      const data = await response.json();
+      return {
+        success: response.ok,
+        data
+      };
+    } catch (error) {
+      console.error('PayPal order lookup error:', error);
+      return { success: false, error: error.message };
+    }
+  }
 }
@@ -0,0 +1,362 @@
+/**
+ * Promotions
+ * Coupon codes and promo campaigns applied to subscription orders.
+ *
+ * A promo is `promo:code:{CODE}` with a type:
+ *   percent - `value`% off the list price
+ *   fixed   - `value` off, only for orders in the promo's `currency`
+ *   trial   - `value`% off (default 100) the first paid month; once per user
+ * and optional limits: tiers, countries (order region), maxRedemptions,
+ * perUserLimit (default 1), startsAt/expiresAt, firstPurchaseOnly. Referral
+ * codes (REF{userId}) are percent promos linked to a referrer, who earns
+ * account credit when one is redeemed.
+ *
+ * createPaymentOrder quotes the code passed in metadata (or the one the user
+ * saved with /promo) and charges the discounted price. The order holds one use
+ * of a capped code (`promo:reserved:{CODE}`, reserve) until it is activated,
+ * fails or expires (release), so unpaid orders cannot push a code past
+ * maxRedemptions; the redemption itself is only counted when the order is
+ * activated (redeem), which is also where the per-code stats
+ * (`promo:stats:{CODE}`) are kept. The discount never takes an order below the
+ * provider's minimum amount.
+ */
+
+import { Logger } from '../utils/logger.js';
+import { addCredit } from './account-credit.js';
+
+const logger = new Logger('Promotions');
+
+export const PROMO_CODES_KEY = 'promo:codes';
+export const TRIAL_USERS_KEY = 'promo:trial_users';
+export const PROMO_TYPES = ['percent', 'fixed', 'trial'];
+
+const SAVED_PROMO_TTL_SECONDS = 7 * 24 * 60 * 60;
+const REDEEMED_TTL_SECONDS = 180 * 24 * 60 * 60;
+// Longest an unpaid order can still be activated (the reconciler expires it after RECONCILE_EXPIRE_HOURS)
+const RESERVATION_TTL_SECONDS = 24 * 60 * 60;
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+const codeKey = (code) => `promo:code:${code}`;
+const statsKey = (code) => `promo:stats:${code}`;
+const usersKey = (code) => `promo:users:${code}`;
+const reservedKey = (code) => `promo:reserved:${code}`;
+const savedKey = (userId) => `user:${userId}:promo`;
+
+export function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase().replace(/[^A-Z0-9_-]/g, '');
+}
+
+const list = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(s => String(s).trim().toUpperCase()).filter(Boolean);
+
+/**
+ * Why `promo` cannot be used for this order, or null when it can
+ * @param {Object} ctx - { userId, tier, country, currency, now, userRedemptions, firstPurchase }
+ */
+export function promoIneligibility(promo, ctx = {}) {
+  const now = ctx.now ?? Date.now();
+  if (!promo) return 'unknown code';
+  if (!promo.active) return 'no longer active';
+  if (promo.startsAt && now < Date.parse(promo.startsAt)) return 'not active yet';
+  if (promo.expiresAt && now > Date.parse(promo.expiresAt)) return 'expired';
+  if (promo.maxRedemptions && Number(promo.redemptions || 0) + Number(promo.reserved || 0) >= Number(promo.maxRedemptions)) return 'fully redeemed';
+  if (promo.tiers?.length && !promo.tiers.includes(String(ctx.tier || '').toUpperCase())) return `not valid for ${ctx.tier}`;
+  if (promo.countries?.length && !promo.countries.includes(String(ctx.country || '').toUpperCase())) return 'not available in your country';
+  if (promo.type === 'fixed' && ctx.currency && promo.currency !== ctx.currency) return `only valid for ${promo.currency} payments`;
+  if (promo.referrerId && String(promo.referrerId) === String(ctx.userId)) return 'you cannot use your own referral code';
+  if (Number(ctx.userRedemptions || 0) >= Number(promo.perUserLimit || 1)) return 'already used';
+  if ((promo.type === 'trial' || promo.firstPurchaseOnly) && ctx.firstPurchase === false) return 'only for first-time subscribers';
+  return null;
+}
+
+/**
+ * Discount `promo` gives on `price`, leaving at least `minAmount` to pay
+ */
+export function discountAmount(promo, price, { minAmount = 0 } = {}) {
+  const base = Number(price || 0);
+  let discount = 0;
+  if (promo.type === 'fixed') discount = Number(promo.value || 0);
+  else discount = base * Math.min(100, Number(promo.value ?? (promo.type === 'trial' ? 100 : 0))) / 100;
+  return round2(Math.max(0, Math.min(discount, base - Number(minAmount || 0))));
+}
+
+/**
+ * Short user-facing description, e.g. "20% off" / "KES 100 off" / "first month 100% off"
+ */
+export function promoLabel(promo) {
+  if (promo.type === 'fixed') return `${promo.currency} ${promo.value} off`;
+  if (promo.type === 'trial') return `first month ${promo.value ?? 100}% off`;
+  return `${promo.value}% off`;
+}
+
+/**
+ * Admin command arguments: CODE TYPE VALUE [key=value ...]
+ *   /admin_promo_create WELCOME20 percent 20 max=500 expires=2026-12-31 countries=KE,UG tiers=PRO,VVIP
+ *   /admin_promo_create SAVE100 fixed 100 currency=KES per_user=2
+ */
+export function parsePromoArgs(args = []) {
+  const [code, type, value, ...rest] = args;
+  const spec = { code, type: String(type || '').toLowerCase(), value: value === undefined ? undefined : Number(value) };
+  const keys = { max: 'maxRedemptions', per_user: 'perUserLimit', expires: 'expiresAt', starts: 'startsAt', first: 'firstPurchaseOnly', referrer: 'referrerId' };
+  for (const pair of rest) {
+    const [rawKey, ...v] = String(pair).split('=');
+    const key = keys[rawKey] || rawKey;
+    spec[key] = v.join('=');
+  }
+  return spec;
+}
+
+class PromotionService {
+  /**
+   * @param {Object} redis
+   * @param {Object} opts - { referralPercent, referralRewardPercent }
+   */
+  constructor(redis, opts = {}) {
+    this.redis = redis;
+    this.referralPercent = Number(opts.referralPercent ?? process.env.PROMO_REFERRAL_PERCENT ?? 10);
+    this.referralRewardPercent = Number(opts.referralRewardPercent ?? process.env.PROMO_REFERRAL_REWARD_PERCENT ?? 10);
+  }
+
+  /**
+   * @param {Object} spec - { code, type, value, currency, tiers, countries, maxRedemptions, perUserLimit, startsAt, expiresAt, firstPurchaseOnly, referrerId, campaign }
+   */
+  async create(spec, { by = null } = {}) {
+    const code = normalizeCode(spec.code);
+    if (code.length < 3) throw new Error('Promo code must be at least 3 characters');
+    const type = String(spec.type || '').toLowerCase();
+    if (!PROMO_TYPES.includes(type)) throw new Error(`Promo type must be one of ${PROMO_TYPES.join(', ')}`);
+    const value = spec.value === undefined && type === 'trial' ? 100 : Number(spec.value);
+    if (!(value > 0) || (type !== 'fixed' && value > 100)) throw new Error('Promo value must be a positive amount (percent up to 100)');
+    for (const field of ['startsAt', 'expiresAt']) {
+      if (spec[field] && Number.isNaN(Date.parse(spec[field]))) throw new Error(`Promo ${field} must be a date`);
+    }
+
+    const promo = {
+      code,
+      type,
+      value,
+      currency: type === 'fixed' ? String(spec.currency || 'KES').toUpperCase() : null,
+      tiers: list(spec.tiers),
+      countries: list(spec.countries),
+      maxRedemptions: spec.maxRedemptions ? Number(spec.maxRedemptions) : null,
+      perUserLimit: Number(spec.perUserLimit || 1),
+      startsAt: spec.startsAt ? new Date(spec.startsAt).toISOString() : null,
+      expiresAt: spec.expiresAt ? new Date(spec.expiresAt).toISOString() : null,
+      firstPurchaseOnly: spec.firstPurchaseOnly === true || spec.firstPurchaseOnly === 'true' || spec.firstPurchaseOnly === '1',
+      referrerId: spec.referrerId ? String(spec.referrerId) : null,
+      campaign: spec.campaign || null,
+      active: true,
+      createdBy: by,
+      createdAt: new Date().toISOString()
+    };
+    if (!await this.redis.set(codeKey(code), JSON.stringify(promo), 'NX')) throw new Error(`Promo code ${code} already exists`);
+    await this.redis.sadd(PROMO_CODES_KEY, code);
+    logger.info('Promo created', { code, type, value, by });
+    return promo;
+  }
+
+  /**
+   * The promo with its redemption count and the uses held by unpaid orders, or null
+   */
+  async get(code, { now = Date.now() } = {}) {
+    const normalized = normalizeCode(code);
+    if (!normalized) return null;
+    const raw = await this.redis.get(codeKey(normalized));
+    if (!raw) return null;
+    const stats = await this.redis.hgetall(statsKey(normalized)) || {};
+    const reserved = await this.redis.zcount(reservedKey(normalized), now, '+inf');
+    return { ...JSON.parse(raw), redemptions: Number(stats.redemptions || 0), reserved: Number(reserved || 0) };
+  }
+
+  async setActive(code, active) {
+    const raw = await this.redis.get(codeKey(normalizeCode(code)));
+    if (!raw) throw new Error('Promo not found');
+    const stored = JSON.parse(raw);
+    stored.active = Boolean(active);
+    stored[active ? 'enabledAt' : 'disabledAt'] = new Date().toISOString();
+    await this.redis.set(codeKey(stored.code), JSON.stringify(stored));
+    logger.info(active ? 'Promo enabled' : 'Promo disabled', { code: stored.code });
+    return stored;
+  }
+
+  disable(code) {
+    return this.setActive(code, false);
+  }
+
+  /**
+   * The referral code a user shares; created on first use
+   */
+  async referralCode(referrerId) {
+    const code = `REF${referrerId}`;
+    const existing = await this.get(code);
+    if (existing) return existing;
+    try {
+      return await this.create({ code, type: 'percent', value: this.referralPercent, referrerId, firstPurchaseOnly: true, campaign: 'referral' });
+    } catch (err) {
+      if (/already exists/.test(err.message)) return this.get(code);
+      throw err;
+    }
+  }
+
+  async _context(userId, promo, order) {
+    const user = await this.redis.hgetall(`user:${userId}`) || {};
+    const userRedemptions = Number(await this.redis.hget(usersKey(promo.code), String(userId)) || 0);
+    const trialUsed = promo.type === 'trial' ? await this.redis.sismember(TRIAL_USERS_KEY, String(userId)) : 0;
+    return {
+      userId,
+      tier: order.tier,
+      country: order.country,
+      currency: order.currency,
+      now: order.now,
+      userRedemptions,
+      firstPurchase: !user.subscriptionExpiry && !Number(trialUsed)
+    };
+  }
+
+  /**
+   * Check a code for a user without an order (the /promo command) and keep it for their next order
+   */
+  async attach(userId, code, { country = null } = {}) {
+    const promo = await this.get(code);
+    const reason = promoIneligibility(promo, await this._context(userId, promo || { code: normalizeCode(code) }, { country }));
+    // Tier, country and currency are checked again against the order itself
+    if (reason && !/^not valid for|country|only valid for/.test(reason)) throw new Error(`Promo code ${normalizeCode(code)}: ${reason}`);
+    await this.redis.setex(savedKey(userId), SAVED_PROMO_TTL_SECONDS, promo.code);
+    return promo;
+  }
+
+  /**
+   * Discount for an order about to be created.
+   * @param {Object} order - { userId, tier, country, currency, price, minAmount, code, now }
+   *   code: explicit code (an invalid one throws); otherwise the user's saved code is tried
+   * @returns {{ code, type, label, discount, listPrice, referrerId } | null}
+   */
+  async quote({ userId, tier, country = null, currency, price, minAmount = 0, code = null, now = Date.now() }) {
+    const explicit = Boolean(code);
+    const chosen = code || await this.redis.get(savedKey(userId));
+    if (!chosen) return null;
+
+    const promo = await this.get(chosen);
+    const reason = promoIneligibility(promo, await this._context(userId, promo || { code: normalizeCode(chosen) }, { tier, country, currency, now }));
+    if (reason) {
+      if (explicit) throw new Error(`Promo code ${normalizeCode(chosen)}: ${reason}`);
+      logger.info('Saved promo not applicable', { userId, code: chosen, reason });
+      return null;
+    }
+    const discount = discountAmount(promo, price, { minAmount });
+    if (!(discount > 0)) return null;
+    return { code: promo.code, type: promo.type, label: promoLabel(promo), discount, listPrice: price, referrerId: promo.referrerId };
+  }
+
+  /**
+   * Hold one use of the order's promo until the order is activated, fails or expires.
+   * The hold is added before the cap is checked, so two orders racing for the last use
+   * cannot both keep it.
+   * @throws when the code has no uses left
+   */
+  async reserve(order, { now = Date.now() } = {}) {
+    const code = order?.promo?.code;
+    if (!code) return false;
+    const key = reservedKey(code);
+    await this.redis.zremrangebyscore(key, '-inf', now);
+    await this.redis.zadd(key, now + RESERVATION_TTL_SECONDS * 1000, String(order.orderId));
+    await this.redis.expire(key, RESERVATION_TTL_SECONDS);
+    const promo = await this.get(code, { now });
+    if (promo?.maxRedemptions && promo.redemptions + promo.reserved > Number(promo.maxRedemptions)) {
+      await this.redis.zrem(key, String(order.orderId));
+      throw new Error(`Promo code ${code}: fully redeemed`);
+    }
+    return true;
+  }
+
+  /**
+   * Give back the use held by an order that failed or expired
+   */
+  async release(order) {
+    const code = order?.promo?.code;
+    if (!code) return false;
+    return Number(await this.redis.zrem(reservedKey(code), String(order.orderId))) > 0;
+  }
+
+  /**
+   * Count the promo on an activated order and reward the referrer; safe to call twice
+   */
+  async redeem(order) {
+    const promo = order?.promo;
+    if (!promo?.code) return false;
+    if (!await this.redis.set(`promo:redeemed:${order.orderId}`, '1', 'EX', REDEEMED_TTL_SECONDS, 'NX')) return false;
+
+    const { code } = promo;
+    const currency = order.currency || 'KES';
+    await this.redis.hincrby(statsKey(code), 'redemptions', 1);
+    await this.redis.zrem(reservedKey(code), String(order.orderId));
+    await this.redis.hincrbyfloat(statsKey(code), `discount:${currency}`, Number(promo.discount || 0));
+    await this.redis.hincrbyfloat(statsKey(code), `revenue:${currency}`, Number(order.totalAmount || 0));
+    await this.redis.hincrby(usersKey(code), String(order.userId), 1);
+    if (promo.type === 'trial') await this.redis.sadd(TRIAL_USERS_KEY, String(order.userId));
+    if (await this.redis.get(savedKey(order.userId)) === code) await this.redis.del(savedKey(order.userId));
+
+    if (promo.referrerId && this.referralRewardPercent > 0) {
+      const reward = round2(Number(order.totalAmount || 0) * this.referralRewardPercent / 100);
+      if (reward > 0) {
+        try {
+          await addCredit(this.redis, promo.referrerId, reward, { currency, reason: 'referral', reference: `referral:${order.orderId}` });
+          await this.redis.hincrbyfloat(statsKey(code), `rewards:${currency}`, reward);
+        } catch (err) {
+          logger.warn('Failed to credit referrer', err?.message || String(err));
+        }
+      }
+    }
+    logger.info('Promo redeemed', { code, orderId: order.orderId, userId: order.userId, discount: promo.discount });
+    return true;
+  }
+
+  /**
+   * Redemption stats per code (all codes, or one)
+   * @returns {Array<{ code, type, label, active, redemptions, maxRedemptions, uniqueUsers, discount, revenue, rewards, expiresAt }>}
+   */
+  async report(code = null) {
+    const codes = code ? [normalizeCode(code)] : (await this.redis.smembers(PROMO_CODES_KEY) || []).sort();
+    const rows = [];
+    for (const c of codes) {
+      const promo = await this.get(c);
+      if (!promo) continue;
+      const stats = await this.redis.hgetall(statsKey(c)) || {};
+      const users = await this.redis.hgetall(usersKey(c)) || {};
+      const byCurrency = (prefix) => Object.fromEntries(Object.entries(stats)
+        .filter(([k]) => k.startsWith(`${prefix}:`))
+        .map(([k, v]) => [k.slice(prefix.length + 1), round2(v)]));
+      rows.push({
+        code: c,
+        type: promo.type,
+        label: promoLabel(promo),
+        active: promo.active,
+        campaign: promo.campaign,
+        redemptions: promo.redemptions,
+        maxRedemptions: promo.maxRedemptions,
+        uniqueUsers: Object.keys(users).length,
+        discount: byCurrency('discount'),
+        revenue: byCurrency('revenue'),
+        rewards: byCurrency('rewards'),
+        expiresAt: promo.expiresAt
+      });
+    }
+    return rows;
+  }
+}
+
+/**
+ * Telegram summary of report() rows
+ */
+export function formatPromoReport(rows) {
+  if (!rows.length) return '🎟️ No promo codes yet.';
+  const money = (m) => Object.entries(m).map(([cur, v]) => `${cur} ${v}`).join(', ') || '0';
+  return ['🎟️ *Promo codes*', ''].concat(rows.map(r =>
+    `*${r.code}* (${r.label})${r.active ? '' : ' ⛔ disabled'}\n` +
+    `  ${r.redemptions}${r.maxRedemptions ? `/${r.maxRedemptions}` : ''} redeemed by ${r.uniqueUsers} users · discount ${money(r.discount)} · revenue ${money(r.revenue)}` +
+    (r.expiresAt ? ` · expires ${r.expiresAt.slice(0, 10)}` : '')
+  )).join('\n');
+}
+
+export { PromotionService };
+export default PromotionService;
@@ -0,0 +1,211 @@
+/**
+ * Sports data provider registry
+ * The plugin contract between SportsAggregator and the data providers behind it.
+ *
+ * Providers live in src/adapters/sports-*.js, register themselves with the
+ * default registry when imported (src/adapters/sports-providers.js imports
+ * them all) and implement:
+ *   name               provider key, as entity-registry providerKey() spells it
+ *   label              display name (optional)
+ *   priority           lower answers first; a number or { default, live, ... } per capability
+ *   sports             sports covered, e.g. ['football']
+ *   capabilities       any of CAPABILITIES, each backed by its method:
+ *     live       getLive(leagueId|null, ctx)             -> raw match rows
+ *     fixtures   getFixtures(leagueId, ctx)              -> raw match rows
+ *     results    getResults(date, ctx)                   -> raw rows of matches finished that day (YYYY-MM-DD, UTC)
+ *     odds       getOdds(leagueId, ctx)                  -> odds rows ({ home, away, ... })
+ *     standings  getStandings(leagueId, { season }, ctx) -> table rows
+ *     h2h        getHeadToHead(homeId, awayId, ctx)      -> { totalMatches, homeWins, awayWins, draws }
+ *     form       getForm(teamId, { limit }, ctx)         -> recent matches
+ *     leagues    getLeagues({ region }, ctx)             -> [{ id, name, country }]
+ *   rateLimit          { perMinute } calls this process may make (optional)
+ *   quota              { perMinute, perDay } requests per API key, for paid APIs (optional);
+ *                      calls are then spent through services/api-budget.js
+ *   apiKeys()          the API keys the budget rotates across (with quota)
+ *   isConfigured()     false while an API key is missing (optional)
+ *   formatMatch(row)   raw row -> formatted match (optional; rows already formatted otherwise)
+ *   health(ctx)        cheap probe -> { ok, message } (optional)
+ *
+ * ctx is { sport, entities, redis, fetchJson(url, options, retries, onResponse) } from the
+ * aggregator; budgeted providers also get apiKey (the key to call with) and
+ * reportQuota({ remaining, resetInMs, limit }) for what the API says is left on it.
+ * Whether a provider is switched on is decided by the aggregator (CONFIG.PROVIDERS,
+ * allowedProviders and the Redis toggle in services/provider-toggle.js).
+ */
+
+import { Logger } from '../utils/logger.js';
+
+const logger = new Logger('ProviderRegistry');
+
+export const CAPABILITY_METHODS = {
+  live: 'getLive',
+  fixtures: 'getFixtures',
+  results: 'getResults',
+  odds: 'getOdds',
+  standings: 'getStandings',
+  h2h: 'getHeadToHead',
+  form: 'getForm',
+  leagues: 'getLeagues'
+};
+export const CAPABILITIES = Object.keys(CAPABILITY_METHODS);
+// Arguments each capability method takes before ctx
+const CAPABILITY_ARITY = { live: 1, fixtures: 1, results: 1, odds: 1, standings: 2, h2h: 2, form: 2, leagues: 1 };
+
+const MINUTE = 60 * 1000;
+const DEFAULT_PRIORITY = 100;
+
+/**
+ * Check a provider against the contract; throws on the first problem
+ */
+export function validateProvider(provider) {
+  if (!provider || typeof provider !== 'object') throw new Error('provider must be an object');
+  if (!provider.name || typeof provider.name !== 'string') throw new Error('provider name is required');
+  if (!Array.isArray(provider.capabilities) || provider.capabilities.length === 0) {
+    throw new Error(`provider ${provider.name}: capabilities are required`);
+  }
+  for (const capability of provider.capabilities) {
+    const method = CAPABILITY_METHODS[capability];
+    if (!method) throw new Error(`provider ${provider.name}: unknown capability ${capability}`);
+    if (typeof provider[method] !== 'function') throw new Error(`provider ${provider.name}: ${capability} needs ${method}()`);
+  }
+  if (provider.sports !== undefined && !Array.isArray(provider.sports)) throw new Error(`provider ${provider.name}: sports must be an array`);
+  return provider;
+}
+
+/**
+ * Priority of a provider for one capability
+ */
+export function priorityFor(provider, capability) {
+  const p = provider.priority;
+  if (p && typeof p === 'object') return Number(p[capability] ?? p.default ?? DEFAULT_PRIORITY);
+  return Number.isFinite(Number(p)) ? Number(p) : DEFAULT_PRIORITY;
+}
+
+/**
+ * Call a provider's method for a capability, padding missing arguments so ctx lands last
+ */
+export function callCapability(provider, capability, args, ctx) {
+  const method = CAPABILITY_METHODS[capability];
+  if (!method || !provider.capabilities.includes(capability)) throw new Error(`provider ${provider.name} does not provide ${capability}`);
+  const padded = Array.from({ length: CAPABILITY_ARITY[capability] }, (_, i) => args[i]);
+  return provider[method](...padded, ctx);
+}
+
+/**
+ * Text for display from a provider value that may be a string, number or { name } object
+ */
+export function safeText(val, fallback = 'TBA') {
+  try {
+    if (val === null || typeof val === 'undefined') return fallback;
+    if (typeof val === 'string' || typeof val === 'number') return String(val);
+    if (typeof val === 'object') {
+      if (val.name) return String(val.name);
+      if (val.fullName) return String(val.fullName);
+      return JSON.stringify(val);
+    }
+    return String(val);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+class ProviderRegistry {
+  /**
+   * @param {Array} providers - initial providers
+   * @param {Object} opts - { now }
+   */
+  constructor(providers = [], opts = {}) {
+    this.providers = new Map();
+    this.now = opts.now || (() => Date.now());
+    // name -> timestamps of calls in the last minute
+    this.calls = new Map();
+    for (const provider of providers) this.register(provider);
+  }
+
+  /**
+   * Add (or replace) a provider
+   */
+  register(provider) {
+    validateProvider(provider);
+    if (this.providers.has(provider.name)) logger.info(`Replacing provider ${provider.name}`);
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  unregister(name) {
+    this.calls.delete(name);
+    return this.providers.delete(name);
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  list() {
+    return [...this.providers.values()];
+  }
+
+  /**
+   * Providers with a capability that cover a sport, best priority first
+   */
+  providersFor(capability, { sport = null } = {}) {
+    return this.list()
+      .filter(p => p.capabilities.includes(capability))
+      .filter(p => !sport || !Array.isArray(p.sports) || p.sports.length === 0 || p.sports.includes(sport) || (sport === 'soccer' && p.sports.includes('football')))
+      .sort((a, b) => priorityFor(a, capability) - priorityFor(b, capability));
+  }
+
+  _recentCalls(name) {
+    const since = this.now() - MINUTE;
+    const recent = (this.calls.get(name) || []).filter(ts => ts > since);
+    this.calls.set(name, recent);
+    return recent;
+  }
+
+  /**
+   * Take one call from a provider's per-minute allowance; false when it is used up
+   */
+  acquire(name) {
+    const provider = this.get(name);
+    const limit = Number(provider?.rateLimit?.perMinute);
+    const recent = this._recentCalls(name);
+    if (limit > 0 && recent.length >= limit) return false;
+    recent.push(this.now());
+    return true;
+  }
+
+  /**
+   * Contract summary of every provider, for diagnostics
+   */
+  describe() {
+    return this.list().map(p => ({
+      name: p.name,
+      label: p.label || p.name,
+      priority: p.priority ?? DEFAULT_PRIORITY,
+      sports: p.sports || [],
+      capabilities: [...p.capabilities],
+      rateLimit: p.rateLimit || null,
+      quota: p.quota || null,
+      callsLastMinute: this._recentCalls(p.name).length,
+      configured: typeof p.isConfigured === 'function' ? Boolean(p.isConfigured()) : true
+    }));
+  }
+}
+
+// Registry the adapters in src/adapters/sports-*.js add themselves to
+let defaultRegistry = new ProviderRegistry();
+
+export function getDefaultProviderRegistry() {
+  return defaultRegistry;
+}
+
+export function setDefaultProviderRegistry(registry) {
+  defaultRegistry = registry;
+}
+
+export function registerProvider(provider) {
+  return defaultRegistry.register(provider);
+}
+
+export { ProviderRegistry };
+export default ProviderRegistry;
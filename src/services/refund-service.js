@@ -0,0 +1,267 @@
+/**
+ * Refund Service
+ * Reverses paid orders: admin refunds, provider refunds and chargebacks
+ * (PayPal PAYMENT.CAPTURE.REFUNDED / REVERSED and lost disputes).
+ *
+ * A reversal of `amount` out of an order's `totalAmount` takes back the same
+ * fraction of the time the order bought: the entitlement grant is shortened
+ * (or removed) via EntitlementService.reverseOrder and the tier's end date is
+ * pulled back via SubscriptionLifecycleService.shorten, which drops the user
+ * to Free when nothing paid-for is left. The money side is a refund or
+ * chargeback event in the payment ledger.
+ *
+ * Users whose chargebacks reach CHARGEBACK_FLAG_THRESHOLD are flagged for
+ * review (`payment:flagged_users`). Account credit (services/account-credit.js)
+ * is the alternative to a cash refund: it keeps access as is and is spent as
+ * a discount on the next order.
+ */
+
+import { randomUUID } from 'crypto';
+import { Logger } from '../utils/logger.js';
+import { getDefaultLedger, EventType } from './payment-ledger.js';
+import { EntitlementService, PRODUCTS } from './entitlement-service.js';
+import { SubscriptionLifecycleService } from './subscription-lifecycle.js';
+import { getOrder } from '../handlers/payment-router.js';
+import { addCredit } from './account-credit.js';
+
+const logger = new Logger('RefundService');
+
+export const CHARGEBACKS_KEY = 'payment:chargebacks';
+export const FLAGGED_USERS_KEY = 'payment:flagged_users';
+// Amount refunded per order, moved with HINCRBYFLOAT so concurrent refunds cannot both pass the cap
+export const REFUNDED_KEY = 'payment:refunded';
+const REVERSAL_TTL_SECONDS = 180 * 24 * 60 * 60;
+const DAY = 24 * 60 * 60 * 1000;
+
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+/**
+ * Amount still refundable on an order
+ */
+export function refundableAmount(order) {
+  return round2(Number(order?.totalAmount || 0) - Number(order?.refundedAmount || 0));
+}
+
+/**
+ * Order status after `refunded` of its total has been reversed
+ */
+export function reversalStatus(order, refunded, kind = EventType.REFUND) {
+  if (refunded < Number(order.totalAmount || 0)) return 'partially_refunded';
+  return kind === EventType.CHARGEBACK ? 'charged_back' : 'refunded';
+}
+
+class RefundService {
+  /**
+   * @param {Object} redis
+   * @param {Object} opts - { ledger, entitlements, lifecycle, telegram, adminId, chargebackThreshold }
+   */
+  constructor(redis, opts = {}) {
+    this.redis = redis;
+    this.ledger = typeof opts.ledger !== 'undefined' ? opts.ledger : undefined;
+    this.entitlements = opts.entitlements || new EntitlementService(redis);
+    this.lifecycle = opts.lifecycle || new SubscriptionLifecycleService(redis, { telegram: opts.telegram });
+    this.telegram = opts.telegram || null;
+    this.adminId = opts.adminId || process.env.ADMIN_TELEGRAM_ID || null;
+    this.chargebackThreshold = Number(opts.chargebackThreshold ?? process.env.CHARGEBACK_FLAG_THRESHOLD ?? 2);
+  }
+
+  async _ledger() {
+    return typeof this.ledger !== 'undefined' ? this.ledger : getDefaultLedger();
+  }
+
+  /**
+   * Refund (or book a chargeback on) a paid order.
+   * @param {string} orderId
+   * @param {Object} opts - { amount (default: all that is left), reason, reference, kind: refund|chargeback, now }
+   *   reference: provider refund/dispute id; the same reference is only applied once
+   * @returns {{ orderId, userId, amount, refundedAmount, status, duplicate, reversal }}
+   */
+  async refund(orderId, { amount = null, reason = null, reference = null, kind = EventType.REFUND, now = Date.now() } = {}) {
+    if (![EventType.REFUND, EventType.CHARGEBACK].includes(kind)) throw new Error(`Unknown reversal kind: ${kind}`);
+    const order = await getOrder(this.redis, orderId);
+    if (!order) throw new Error('Order not found');
+    const ref = reference || `${kind}-${randomUUID()}`;
+    const claimKey = `payment:reversal:${orderId}:${ref}`;
+    const duplicate = { orderId, userId: order.userId, amount: 0, refundedAmount: round2(order.refundedAmount), status: order.status, duplicate: true, reversal: null };
+    if (await this.redis.get(claimKey)) return duplicate;
+    if (!REFUNDABLE_STATUSES.includes(order.status)) throw new Error(`Order is ${order.status}, nothing to refund`);
+
+    const remaining = refundableAmount(order);
+    const value = round2(amount === null || amount === undefined ? remaining : amount);
+    if (!(value > 0)) throw new Error('Refund amount must be positive');
+    if (value > remaining) throw new Error(`Refund exceeds refundable amount (${remaining} ${order.currency})`);
+    if (!await this.redis.set(claimKey, '1', 'EX', REVERSAL_TTL_SECONDS, 'NX')) return duplicate;
+
+    const refundedAmount = await this._reserve(order, value, claimKey);
+    const fraction = Number(order.totalAmount) > 0 ? value / Number(order.totalAmount) : 1;
+
+    try {
+      const ledger = await this._ledger();
+      if (ledger) {
+        await ledger.recordRefund({
+          orderId,
+          userId: order.userId,
+          amount: value,
+          currency: order.currency,
+          provider: order.paymentMethod,
+          tier: order.tier,
+          reference: ref,
+          reason,
+          kind
+        });
+      }
+    } catch (err) {
+      logger.error('Ledger refund failed', err);
+    }
+
+    const reversal = await this._revokeAccess(order, refundedAmount >= Number(order.totalAmount) ? 1 : fraction, { kind, now });
+
+    order.refundedAmount = refundedAmount;
+    order.status = reversalStatus(order, refundedAmount, kind);
+    order.refunds = [...(order.refunds || []), { amount: value, kind, reference: ref, reason, at: new Date(now).toISOString() }];
+    await this.redis.setex(`payment:order:${orderId}`, 86400, JSON.stringify(order));
+    if (order.transactionId) {
+      await this.redis.setex(`transaction:${order.transactionId}`, 30 * 24 * 60 * 60, JSON.stringify(order));
+    }
+
+    logger.info('Order reversed', { orderId, userId: order.userId, amount: value, kind, status: order.status });
+    await this._notifyUser(order, value, kind, reversal);
+    if (kind === EventType.CHARGEBACK) await this._countChargeback(order, ref);
+
+    return { orderId, userId: order.userId, amount: value, refundedAmount, status: order.status, duplicate: false, reversal };
+  }
+
+  /**
+   * Add `value` to the order's refunded total, checking the cap after the
+   * increment and backing it out (and the reference claim) when it overshoots
+   * @returns {number} refunded total including this refund
+   */
+  async _reserve(order, value, claimKey) {
+    await this.redis.hsetnx(REFUNDED_KEY, order.orderId, String(round2(order.refundedAmount)));
+    const total = round2(await this.redis.hincrbyfloat(REFUNDED_KEY, order.orderId, value));
+    if (total <= round2(order.totalAmount)) return total;
+    await this.redis.hincrbyfloat(REFUNDED_KEY, order.orderId, -value);
+    await this.redis.del(claimKey);
+    throw new Error(`Refund exceeds refundable amount (${round2(Number(order.totalAmount) - (total - value))} ${order.currency})`);
+  }
+
+  /**
+   * Shorten or remove what the order granted; the signup fee's analysis access
+   * is tracked on the user hash rather than by the lifecycle service
+   */
+  async _revokeAccess(order, fraction, { kind, now }) {
+    const { userId, tier, orderId } = order;
+    let reversal = null;
+    try {
+      reversal = await this.entitlements.reverseOrder(userId, orderId, fraction, now);
+    } catch (err) {
+      logger.warn('Failed to reverse entitlements', err?.message || String(err));
+    }
+    const reason = kind === EventType.CHARGEBACK ? 'charged_back' : 'refunded';
+
+    if (tier === 'SIGNUP') {
+      const user = await this.redis.hgetall(`user:${userId}`) || {};
+      const until = Date.parse(user.analysisAccessUntil || '') || now;
+      const deltaMs = reversal ? reversal.deltaMs : Math.round(fraction * Math.max(0, until - now));
+      if (fraction >= 1 || until - deltaMs <= now) {
+        await this.redis.hset(`user:${userId}`, 'signupPaid', '0', 'analysisAccessUntil', new Date(now).toISOString());
+      } else {
+        await this.redis.hset(`user:${userId}`, 'analysisAccessUntil', new Date(until - deltaMs).toISOString());
+      }
+      return reversal;
+    }
+
+    // Orders granted before entitlements existed: prorate from the product length
+    let deltaMs = reversal ? reversal.deltaMs : Math.round(fraction * (PRODUCTS[tier]?.days || 30) * DAY);
+    if (!reversal && fraction >= 1) deltaMs = Infinity;
+    try {
+      const user = await this.redis.hgetall(`user:${userId}`) || {};
+      if (String(user.tier || '').toUpperCase() !== String(tier).toUpperCase()) return reversal;
+      const expiry = await this.lifecycle.shorten(userId, tier, deltaMs, { reason, now });
+      return { ...(reversal || { product: tier, removed: fraction >= 1 }), subscriptionExpiry: expiry, downgraded: !expiry };
+    } catch (err) {
+      logger.warn('Failed to shorten subscription', err?.message || String(err));
+      return reversal;
+    }
+  }
+
+  async _notifyUser(order, amount, kind, reversal) {
+    if (!this.telegram || !order.userId) return;
+    const lines = kind === EventType.CHARGEBACK
+      ? [`⚠️ *Payment Reversed*`, '', `Your payment of ${amount} ${order.currency} for order ${order.orderId} was charged back by your provider.`]
+      : [`💸 *Refund Issued*`, '', `We refunded ${amount} ${order.currency} for order ${order.orderId}.`];
+    if (reversal?.subscriptionExpiry) {
+      lines.push('', `Your ${order.tier} plan now ends on ${reversal.subscriptionExpiry.slice(0, 10)}.`);
+    } else if (reversal?.downgraded) {
+      lines.push('', `Your ${order.tier} plan has ended and your account is back on Free.`);
+    }
+    try {
+      await this.telegram.sendMessage(order.userId, lines.join('\n'), { parse_mode: 'Markdown' });
+    } catch (err) {
+      logger.warn('Failed to notify user about refund', err?.message || String(err));
+    }
+  }
+
+  async _countChargeback(order, reference) {
+    const userId = String(order.userId);
+    const count = Number(await this.redis.hincrby(CHARGEBACKS_KEY, userId, 1));
+    if (count < this.chargebackThreshold) return count;
+    await this.redis.sadd(FLAGGED_USERS_KEY, userId);
+    await this.redis.hset(`user:${userId}`, 'paymentFlag', 'chargebacks', 'chargebackCount', String(count));
+    logger.warn('User flagged for repeated chargebacks', { userId, count });
+    await this._alertAdmin(`🚩 *Chargeback flag*\n\nUser ${userId} has ${count} chargebacks (latest: order ${order.orderId}, ${reference}).`);
+    return count;
+  }
+
+  /**
+   * An opened dispute does not move money yet; keep it on the order and tell the admin
+   */
+  async dispute(orderId, { reference = null, reason = null, amount = null } = {}) {
+    const order = await getOrder(this.redis, orderId);
+    if (!order) throw new Error('Order not found');
+    order.dispute = { reference, reason, amount, openedAt: new Date().toISOString() };
+    await this.redis.setex(`payment:order:${orderId}`, 86400, JSON.stringify(order));
+    await this._alertAdmin(`⚖️ *Payment dispute opened*\n\nOrder ${orderId} (user ${order.userId}, ${order.totalAmount} ${order.currency})${reason ? `\nReason: ${reason}` : ''}`);
+    return order;
+  }
+
+  /**
+   * Issue account credit instead of a cash refund. Access is left untouched.
+   * @param {Object} opts - { currency, reason, reference, orderId }
+   * @returns {{ userId, amount, currency, balance }}
+   */
+  async credit(userId, amount, { currency = 'KES', reason = 'goodwill', reference = null, orderId = null } = {}) {
+    const ref = `credit:${reference || orderId || Date.now()}`;
+    const balance = await addCredit(this.redis, userId, amount, { currency, reason, reference: ref });
+    if (this.telegram) {
+      try {
+        await this.telegram.sendMessage(userId, `🎁 *Account Credit*\n\n${round2(amount)} ${currency} has been added to your account and will be taken off your next payment.\n\nBalance: ${balance} ${currency}`, { parse_mode: 'Markdown' });
+      } catch (err) {
+        logger.warn('Failed to notify user about credit', err?.message || String(err));
+      }
+    }
+    return { userId, amount: round2(amount), currency, balance };
+  }
+
+  /**
+   * Users flagged for repeated chargebacks, with their counts
+   */
+  async flaggedUsers() {
+    const ids = await this.redis.smembers(FLAGGED_USERS_KEY) || [];
+    const counts = await this.redis.hgetall(CHARGEBACKS_KEY) || {};
+    return ids.map(userId => ({ userId, chargebacks: Number(counts[userId] || 0) }));
+  }
+
+  async _alertAdmin(text) {
+    if (!this.telegram || !this.adminId) return;
+    try {
+      await this.telegram.sendMessage(this.adminId, text, { parse_mode: 'Markdown' });
+    } catch (err) {
+      logger.warn('Failed to alert admin', err?.message || String(err));
+    }
+  }
+}
+
+export { RefundService };
+export default RefundService;
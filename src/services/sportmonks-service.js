@@ -29,6 +29,12 @@ export default class SportMonksService {
     // Accept multiple possible env var names for the API token to be resilient
     this.key = (CONFIG.SPORTSMONKS && CONFIG.SPORTSMONKS.KEY) || process.env.SPORTSMONKS_API_KEY || process.env.SPORTSMONKS_API || process.env.SPORTSMONKS_TOKEN || null;
     
+    // Last failed request ({ status, retryAfter, message }), null after a success;
+    // _fetch returns null on failure, so callers that need the reason read it here
+    this.lastError = null;
+    // rate_limit block of the last response ({ remaining, resets_in_seconds, requested_entity })
+    this.lastRateLimit = null;
+
     // Do NOT override DNS globally - that affects all Node requests
     // Instead, we'll use proxy/agent per-request
     logger.info(`[SportMonksService] Initialized with base URL: ${this.base}`);
@@ -83,6 +89,8 @@ export default class SportMonksService {
           const safeUrl = url.replace(/(api_token|api_token=[^&]+)/gi, 'api_token=REDACTED');
           throw new Error(`Empty response from SportMonks (url: ${safeUrl})`);
         }
+        this.lastError = null;
+        this.lastRateLimit = data.rate_limit || null;
         return data && (data.data || data) ? (data.data || data) : data;
       } catch (e) {
         try {
@@ -95,6 +103,10 @@ export default class SportMonksService {
         } catch (logErr) {
           logger.error('Error logging SportMonks fetch failure:', logErr.message);
         }
+        const status = e && e.response && e.response.status ? e.response.status : null;
+        this.lastError = { status, retryAfter: (e && e.response && e.response.headers && e.response.headers['retry-after']) || null, message: e?.message || String(e) };
+        // Client errors (bad token, unknown resource, throttled) will not change on retry
+        if (status && status >= 400 && status < 500 && status !== 408) return null;
         if (attempt < attempts) {
           // exponential backoff
           const waitMs = 300 * Math.pow(2, attempt - 1);
@@ -0,0 +1,310 @@
+/**
+ * Subscription Lifecycle Service
+ * Tracks paid subscriptions from activation to expiry: reminders before the
+ * end date, one-tap M-Pesa STK renewal, a grace period after expiry and the
+ * final downgrade to FREE. Every transition is written to the `subscriptions`
+ * table (database/schema.js) when Postgres is configured.
+ *
+ * Redis layout:
+ *   user:{id}                        hash written by verifyAndActivatePayment: tier, subscriptionExpiry
+ *   subscriptions:expiry             sorted set of user ids scored by expiry (ms)
+ *   sub:notice:{id}:{expiry}:{stage} dedupe flag per reminder/grace/downgrade notice
+ */
+
+import { Logger } from '../utils/logger.js';
+import { createStkBackend } from '../lib/mpesa-backend.js';
+import { db } from '../database/db.js';
+import { subscriptions, users } from '../database/schema.js';
+import { and, eq, inArray } from 'drizzle-orm';
+
+const logger = new Logger('SubscriptionLifecycle');
+
+export const EXPIRY_INDEX_KEY = 'subscriptions:expiry';
+export const FREE_TIER = 'FREE';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRACE_DAYS = Number(process.env.SUBSCRIPTION_GRACE_DAYS || 3);
+const REMINDER_DAYS = String(process.env.SUBSCRIPTION_REMINDER_DAYS || '3,1').split(',').map(Number).filter(n => n > 0).sort((a, b) => b - a);
+// Tiers that never expire through this flow
+const NON_EXPIRING = ['FREE', 'SIGNUP'];
+
+/**
+ * Where a subscription stands at `now`: active | grace | expired | none
+ */
+export function subscriptionState(expiry, now = Date.now(), graceDays = GRACE_DAYS) {
+  const end = Date.parse(expiry || '') || Number(expiry) || 0;
+  if (!end) return 'none';
+  if (now < end) return 'active';
+  if (now < end + graceDays * DAY_MS) return 'grace';
+  return 'expired';
+}
+
+/**
+ * Reminder due at `now` (days-before value) or null. Stages are checked from
+ * the furthest out so a late run still sends the most relevant one.
+ */
+export function dueReminder(expiry, now = Date.now(), reminderDays = REMINDER_DAYS) {
+  const end = Date.parse(expiry || '') || 0;
+  if (!end || now >= end) return null;
+  const left = end - now;
+  const due = reminderDays.filter(d => left <= d * DAY_MS);
+  return due.length ? due[due.length - 1] : null;
+}
+
+/**
+ * New expiry for a payment: renewals of the same tier extend from the current
+ * end date (including during grace) rather than from today
+ */
+export function nextExpiry(current, { sameTier = true, now = Date.now(), days = 30, graceDays = GRACE_DAYS } = {}) {
+  const end = Date.parse(current || '') || 0;
+  const state = subscriptionState(current, now, graceDays);
+  const base = sameTier && (state === 'active' || state === 'grace') ? end : now;
+  return new Date(base + days * DAY_MS).toISOString();
+}
+
+/**
+ * History rows in the Postgres `subscriptions` table. Users are matched on
+ * users.telegramId; users without a row are skipped.
+ */
+class SubscriptionHistoryStore {
+  constructor(database = db) {
+    this.db = database;
+  }
+
+  async _userRowId(telegramId) {
+    const row = await this.db.query.users.findFirst({ where: eq(users.telegramId, String(telegramId)) });
+    return row ? row.id : null;
+  }
+
+  async recordActivation({ userId, tier, amount = 0, currency = 'KES', plan = 'monthly', startDate = new Date(), endDate }) {
+    const id = await this._userRowId(userId);
+    if (!id) return null;
+    await this.db.update(subscriptions)
+      .set({ status: 'renewed', updatedAt: new Date() })
+      .where(and(eq(subscriptions.userId, id), inArray(subscriptions.status, ['active', 'grace'])));
+    const [row] = await this.db.insert(subscriptions).values({
+      userId: id,
+      tier: String(tier).toLowerCase(),
+      plan,
+      amount: String(amount),
+      currency,
+      startDate: new Date(startDate),
+      endDate: new Date(endDate),
+      status: 'active'
+    }).returning();
+    await this.db.update(users).set({ tier: String(tier).toLowerCase(), updatedAt: new Date() }).where(eq(users.id, id));
+    return row || null;
+  }
+
+  async markStatus(userId, status) {
+    const id = await this._userRowId(userId);
+    if (!id) return 0;
+    const rows = await this.db.update(subscriptions)
+      .set({ status, updatedAt: new Date() })
+      .where(and(eq(subscriptions.userId, id), inArray(subscriptions.status, ['active', 'grace'])))
+      .returning();
+    if (status === 'expired' || status === 'cancelled') {
+      await this.db.update(users).set({ tier: 'free', updatedAt: new Date() }).where(eq(users.id, id));
+    }
+    return rows.length;
+  }
+}
+
+class SubscriptionLifecycleService {
+  /**
+   * @param {Object} redis
+   * @param {Object} opts - { telegram, store, stk, createOrder, recordProviderRef, graceDays, reminderDays }
+   *   store: history store (defaults to Postgres when DATABASE_URL is set)
+   *   stk: { stkPush } client used for one-tap renewal (defaults to the MPESA_BACKEND backend, lib/mpesa-backend.js)
+   *   createOrder: payment-router createPaymentOrder, required for renewals
+   *   recordProviderRef: payment-router recordProviderRef, links the STK checkout to the order
+   */
+  constructor(redis, opts = {}) {
+    this.redis = redis;
+    this.telegram = opts.telegram || null;
+    this.store = typeof opts.store !== 'undefined' ? opts.store : (process.env.DATABASE_URL ? new SubscriptionHistoryStore() : null);
+    this.stk = opts.stk || createStkBackend();
+    this.createOrder = opts.createOrder || null;
+    this.recordProviderRef = opts.recordProviderRef || null;
+    this.graceDays = typeof opts.graceDays === 'number' ? opts.graceDays : GRACE_DAYS;
+    this.reminderDays = opts.reminderDays || REMINDER_DAYS;
+  }
+
+  async _history(method, ...args) {
+    if (!this.store) return null;
+    try {
+      return await this.store[method](...args);
+    } catch (err) {
+      logger.warn(`Subscription history ${method} failed`, err?.message || String(err));
+      return null;
+    }
+  }
+
+  /**
+   * Called after a payment activates or renews a tier
+   */
+  async onActivated(userId, { tier, expiry, amount = 0, currency = 'KES', orderId = null } = {}) {
+    const end = Date.parse(expiry || '');
+    if (!end || NON_EXPIRING.includes(String(tier).toUpperCase())) return false;
+    await this.redis.zadd(EXPIRY_INDEX_KEY, end, String(userId));
+    await this.redis.hset(`user:${userId}`, 'subscriptionStatus', 'active');
+    await this._history('recordActivation', { userId, tier, amount, currency, endDate: expiry });
+    logger.info('Subscription active', { userId, tier, expiry, orderId });
+    return true;
+  }
+
+  /**
+   * Pull a tier's end date back after a refund or chargeback. With nothing
+   * paid-for left the user drops to Free immediately, without a grace period.
+   * @returns {string|null} new expiry, or null when downgraded (or the tier is no longer current)
+   */
+  async shorten(userId, tier, ms, { reason = 'refunded', now = Date.now() } = {}) {
+    const user = await this.redis.hgetall(`user:${userId}`) || {};
+    if (String(user.tier || '').toUpperCase() !== String(tier).toUpperCase() || !user.subscriptionExpiry) return null;
+    const end = Date.parse(user.subscriptionExpiry) - ms;
+    if (end > now) {
+      const expiry = new Date(end).toISOString();
+      await this.redis.hset(`user:${userId}`, 'subscriptionExpiry', expiry);
+      await this.redis.zadd(EXPIRY_INDEX_KEY, end, String(userId));
+      return expiry;
+    }
+    await this.redis.hset(`user:${userId}`, 'tier', FREE_TIER, 'subscriptionStatus', reason, 'previousTier', tier, 'subscriptionExpiry', new Date(now).toISOString());
+    await this.redis.zrem(EXPIRY_INDEX_KEY, String(userId));
+    await this._history('markStatus', userId, 'cancelled');
+    logger.info('Subscription ended early', { userId, tier, reason });
+    return null;
+  }
+
+  async _once(userId, expiry, stage) {
+    const ttl = Math.ceil((this.graceDays + 45) * 86400);
+    const ok = await this.redis.set(`sub:notice:${userId}:${Date.parse(expiry)}:${stage}`, '1', 'EX', ttl, 'NX');
+    return Boolean(ok);
+  }
+
+  async _notify(userId, text, keyboard = null) {
+    if (!this.telegram) return false;
+    try {
+      const options = { parse_mode: 'Markdown' };
+      if (keyboard) options.reply_markup = { inline_keyboard: keyboard };
+      await this.telegram.sendMessage(userId, text, options);
+      return true;
+    } catch (err) {
+      logger.warn(`Subscription notice to ${userId} failed`, err?.message || String(err));
+      return false;
+    }
+  }
+
+  _renewKeyboard(tier) {
+    return [[{ text: `🔁 Renew ${tier} (M-Pesa)`, callback_data: `sub_renew_${tier}` }], [{ text: '💎 View Plans', callback_data: 'menu_vvip' }]];
+  }
+
+  /**
+   * Apply reminders, grace and downgrades for one user
+   * @returns {string|null} action taken: reminder_{n} | grace | downgraded
+   */
+  async processUser(userId, now = Date.now()) {
+    const user = await this.redis.hgetall(`user:${userId}`) || {};
+    const tier = String(user.tier || FREE_TIER).toUpperCase();
+    const expiry = user.subscriptionExpiry;
+    if (!expiry || NON_EXPIRING.includes(tier)) {
+      await this.redis.zrem(EXPIRY_INDEX_KEY, String(userId));
+      return null;
+    }
+
+    const state = subscriptionState(expiry, now, this.graceDays);
+    const endLabel = new Date(expiry).toUTCString().slice(0, 16);
+
+    if (state === 'active') {
+      const days = dueReminder(expiry, now, this.reminderDays);
+      if (days === null || !(await this._once(userId, expiry, `r${days}`))) return null;
+      const when = days === 1 ? 'tomorrow' : `in ${days} days`;
+      await this._notify(userId, `⏰ *Your ${tier} subscription ends ${when}* (${endLabel}).\n\nRenew now to keep your access — one tap sends an M-Pesa prompt to your phone.`, this._renewKeyboard(tier));
+      return `reminder_${days}`;
+    }
+
+    if (state === 'grace') {
+      if (user.subscriptionStatus !== 'grace') {
+        await this.redis.hset(`user:${userId}`, 'subscriptionStatus', 'grace');
+        await this._history('markStatus', userId, 'grace');
+      }
+      if (!(await this._once(userId, expiry, 'grace'))) return null;
+      const until = new Date(Date.parse(expiry) + this.graceDays * DAY_MS).toUTCString().slice(0, 16);
+      await this._notify(userId, `⚠️ *Your ${tier} subscription expired* on ${endLabel}.\n\nYou keep access during a grace period until *${until}*. Renew before then to avoid losing your ${tier} features.`, this._renewKeyboard(tier));
+      return 'grace';
+    }
+
+    // expired beyond grace: downgrade
+    await this.redis.hset(`user:${userId}`, 'tier', FREE_TIER, 'subscriptionStatus', 'expired', 'previousTier', tier);
+    await this.redis.zrem(EXPIRY_INDEX_KEY, String(userId));
+    await this._history('markStatus', userId, 'expired');
+    if (await this._once(userId, expiry, 'expired')) {
+      await this._notify(userId, `🔒 *Your ${tier} subscription has ended* and your account is now on the Free plan.\n\nYou can resubscribe any time.`, this._renewKeyboard(tier));
+    }
+    logger.info('Subscription downgraded', { userId, tier });
+    return 'downgraded';
+  }
+
+  /**
+   * One scheduler pass over every subscription ending within the reminder window
+   */
+  async run(now = Date.now()) {
+    const summary = { checked: 0, reminders: 0, grace: 0, downgraded: 0, errors: 0 };
+    let ids = [];
+    try {
+      const horizon = now + Math.max(...this.reminderDays, 0) * DAY_MS;
+      ids = await this.redis.zrangebyscore(EXPIRY_INDEX_KEY, '-inf', horizon) || [];
+    } catch (err) {
+      logger.error('Failed to read subscription expiry index', err);
+      return summary;
+    }
+    for (const id of ids) {
+      summary.checked += 1;
+      try {
+        const action = await this.processUser(id, now);
+        if (action && action.startsWith('reminder_')) summary.reminders += 1;
+        else if (action === 'grace') summary.grace += 1;
+        else if (action === 'downgraded') summary.downgraded += 1;
+      } catch (err) {
+        summary.errors += 1;
+        logger.warn(`Lifecycle check failed for ${id}`, err?.message || String(err));
+      }
+    }
+    if (summary.reminders || summary.grace || summary.downgraded) logger.info('Subscription lifecycle pass', summary);
+    return summary;
+  }
+
+  /**
+   * One-tap renewal: create an M-Pesa order and send an STK prompt to the
+   * phone on the user's profile. The payment webhook then runs
+   * verifyAndActivatePayment, which extends the current expiry.
+   * @returns {{ ok: boolean, reason?: string, order?: Object, checkoutId?: string }}
+   */
+  async renew(userId, tier) {
+    if (!this.createOrder) return { ok: false, reason: 'unavailable' };
+    const profile = await this.redis.hgetall(`user:${userId}:profile`) || {};
+    const phone = profile.msisdn || profile.phone || null;
+    if (!phone) return { ok: false, reason: 'no_phone' };
+    try {
+      const order = await this.createOrder(this.redis, userId, tier, 'MPESA', 'KE', { phone, renewal: true });
+      const callback = this.stk.callbackUrl || process.env.LIPANA_CALLBACK_URL || process.env.MPESA_CALLBACK_URL || null;
+      const resp = await this.stk.stkPush({ amount: order.totalAmount, phone, tx_ref: order.orderId, reference: order.orderId, callback_url: callback });
+      if (resp?.ok === false) {
+        logger.warn(`Renewal STK push rejected for ${userId}`, resp.reason);
+        return { ok: false, reason: 'stk_failed' };
+      }
+      const checkoutId = resp?.checkoutId || resp?.raw?.data?.transactionId || resp?.raw?.data?._id || null;
+      if (checkoutId && this.recordProviderRef) {
+        await this.recordProviderRef(this.redis, order.orderId, checkoutId, { gateway: resp?.gateway || 'LIPANA' });
+      } else if (checkoutId) {
+        await this.redis.setex(`payment:by_provider_ref:MPESA:${checkoutId}`, 900, order.orderId);
+      }
+      return { ok: true, order, checkoutId };
+    } catch (err) {
+      logger.warn(`Renewal STK push failed for ${userId}`, err?.message || String(err));
+      return { ok: false, reason: 'stk_failed' };
+    }
+  }
+}
+
+export { SubscriptionLifecycleService, SubscriptionHistoryStore };
+export default SubscriptionLifecycleService;
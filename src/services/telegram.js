@@ -4,6 +4,7 @@
  */
 
 import { Logger } from "../utils/logger.js";
+import { FormData, Blob } from "node-fetch";
 import { HttpClient } from "./http-client.js";
 import { chunkText } from "../utils/formatters.js";
 
@@ -110,6 +111,24 @@ class TelegramService {
     }, `answerCallback ${callbackQueryId}`);
   }
 
+  /**
+   * Send an in-memory file (e.g. an SVG chart) as a document
+   * @param {Object} document - { filename, content, contentType }
+   */
+  async sendDocument(chatId, document, options = {}) {
+    const form = new FormData();
+    form.set("chat_id", String(chatId));
+    form.set("document", new Blob([document.content], { type: document.contentType || "application/octet-stream" }), document.filename);
+    if (options.caption) form.set("caption", options.caption);
+    if (options.parse_mode) form.set("parse_mode", options.parse_mode);
+    if (options.reply_markup) form.set("reply_markup", JSON.stringify(options.reply_markup));
+
+    return HttpClient.fetch(`${this.baseUrl}/sendDocument`, {
+      method: "POST",
+      body: form,
+    }, `sendDocument to ${chatId}`);
+  }
+
   /**
    * Set webhook
    */
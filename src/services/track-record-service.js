@@ -0,0 +1,499 @@
+/**
+ * Track Record Service
+ * Stores every published tip, grades it once the fixture reaches full time and
+ * reports hit rate, ROI at the quoted odds, Brier score and calibration.
+ *
+ * Redis layout:
+ *   trackrecord:tip:{id}   JSON tip (id derived from source, teams, selection and kickoff day)
+ *   trackrecord:tips       sorted set of tip ids scored by publish time
+ *   trackrecord:pending    set of tip ids still waiting for a result
+ *
+ * Pending tips are graded from the aggregator's final results for their match
+ * days (by fixture id when the tip has one, else by teams through the entity
+ * registry, so "Man Utd" finds "Manchester United") and its live feed.
+ *
+ * Every tip is scored as a flat 1 unit stake at the odds quoted when it was
+ * published. Push and void results are excluded from hit rate and Brier score.
+ */
+
+import crypto from 'crypto';
+import { Logger } from '../utils/logger.js';
+import { BetResult, classifyMatchStatus, gradeSelection, resultFactor } from './bet-settlement-service.js';
+import { teamKey } from '../ai/goal-model.js';
+import { getDefaultEntityRegistry } from './entity-registry.js';
+
+const logger = new Logger('TrackRecord');
+
+export const TIP_KEY_PREFIX = 'trackrecord:tip:';
+export const TIPS_INDEX_KEY = 'trackrecord:tips';
+export const PENDING_TIPS_KEY = 'trackrecord:pending';
+
+// Tips read per MGET when building reports
+const TIP_BATCH = 200;
+
+const CONFIDENCE_BANDS = [
+  { label: '90+', min: 90 },
+  { label: '80-89', min: 80 },
+  { label: '70-79', min: 70 },
+  { label: '60-69', min: 60 },
+  { label: '50-59', min: 50 },
+  { label: '<50', min: -Infinity }
+];
+
+const PICK_ALIASES = {
+  '1': 'home', HOME: 'home', HOME_WIN: 'home', H: 'home',
+  X: 'draw', DRAW: 'draw', D: 'draw',
+  '2': 'away', AWAY: 'away', AWAY_WIN: 'away', A: 'away'
+};
+
+/**
+ * Map the different tip formats used across the bot onto a settlement leg.
+ * Accepts VVIP fixed matches ({ market: 'OVER_UNDER', pick: 'OVER_2.5' }),
+ * OddsAnalyzer outcomes ({ pick: 'HOME_WIN' }) and already normalized legs.
+ * @returns {{ market: string, selection: string, line?: number }|null}
+ */
+export function normalizeTipSelection(tip = {}) {
+  const market = String(tip.market || '1X2').toUpperCase().replace(/[\s/-]+/g, '_');
+  const pick = String(tip.selection || tip.pick || '').toUpperCase().replace(/\s+/g, '_');
+  if (!pick) return null;
+
+  if (market === '1X2' || market === 'MATCH_RESULT' || market === 'FT') {
+    const selection = PICK_ALIASES[pick];
+    return selection ? { market: '1X2', selection } : null;
+  }
+  if (market === 'DC' || market === 'DOUBLE_CHANCE') {
+    const selection = pick.replace(/_/g, '');
+    return ['1X', '12', 'X2'].includes(selection) ? { market: 'DC', selection } : null;
+  }
+  if (market === 'OU' || market === 'OVER_UNDER' || market === 'TOTALS') {
+    const m = pick.match(/^(OVER|UNDER)_?([\d.]+)?$/);
+    const line = Number(m && m[2] ? m[2] : tip.line);
+    if (!m || !Number.isFinite(line)) return null;
+    return { market: 'OU', selection: m[1].toLowerCase(), line };
+  }
+  if (market === 'BTTS' || market === 'GG') {
+    if (['YES', 'GG', 'BY'].includes(pick)) return { market: 'BTTS', selection: 'yes' };
+    if (['NO', 'NG', 'BN'].includes(pick)) return { market: 'BTTS', selection: 'no' };
+    return null;
+  }
+  if (market === 'DNB' || market === 'AH') {
+    const selection = PICK_ALIASES[pick];
+    if (!selection || selection === 'draw') return null;
+    return market === 'AH' ? { market, selection, line: Number(tip.line) || 0 } : { market, selection };
+  }
+  return null;
+}
+
+/**
+ * Probability the tip claimed, as 0..1. Falls back to the published confidence.
+ */
+export function tipProbability(tip = {}) {
+  const p = Number(tip.probability);
+  if (Number.isFinite(p) && p > 0) return p > 1 ? p / 100 : p;
+  const c = Number(tip.confidence);
+  if (Number.isFinite(c) && c > 0) return c > 1 ? c / 100 : c;
+  return null;
+}
+
+export function confidenceBand(confidence) {
+  const c = Number(confidence);
+  if (!Number.isFinite(c)) return 'unknown';
+  const pct = c <= 1 ? c * 100 : c;
+  return CONFIDENCE_BANDS.find(b => pct >= b.min).label;
+}
+
+/**
+ * Stable id for a tip. Tips without a kickoff (e.g. VVIP fixed matches) are keyed
+ * on teams and selection only, so re-reading the same list does not duplicate them.
+ */
+export function tipId(tip, salt = '') {
+  const day = tip.kickoff ? new Date(tip.kickoff).toISOString().slice(0, 10) : '';
+  const sel = tip.selection || {};
+  const raw = [tip.source, teamKey(tip.home), teamKey(tip.away), sel.market, sel.selection, sel.line ?? '', day, salt].join('|');
+  return crypto.createHash('sha1').update(raw).digest('hex').slice(0, 16);
+}
+
+const DAY_MS = 86400 * 1000;
+const dayOf = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+/**
+ * Days (YYYY-MM-DD, UTC) whose final results may settle the given tips: the
+ * kickoff day and the day after it, or for tips without a kickoff (fixed
+ * matches) every day from publication to today. Nothing past `now` or older
+ * than `maxDays`.
+ */
+export function resultDays(tips, now = Date.now(), maxDays = 8) {
+  const days = new Set();
+  const oldest = now - maxDays * DAY_MS;
+  for (const tip of tips) {
+    const kickoff = Date.parse(tip.kickoff || '');
+    const from = Number.isFinite(kickoff) ? kickoff : Date.parse(tip.publishedAt || '');
+    if (!Number.isFinite(from)) continue;
+    const to = Number.isFinite(kickoff) ? Math.min(kickoff + DAY_MS, now) : now;
+    for (let t = Date.parse(dayOf(Math.max(from, oldest))); t <= to; t += DAY_MS) days.add(dayOf(t));
+  }
+  return Array.from(days).sort();
+}
+
+// 1 = the tip landed, 0 = it lost, null = excluded (pending, push, void)
+function tipOutcome(result) {
+  if (result === BetResult.WON || result === BetResult.HALF_WON) return 1;
+  if (result === BetResult.LOST || result === BetResult.HALF_LOST) return 0;
+  return null;
+}
+
+const round = (n, dp = 3) => Math.round(n * 10 ** dp) / 10 ** dp;
+
+/**
+ * Aggregate a list of tips into hit rate, ROI and Brier score.
+ */
+export function summarizeTips(tips) {
+  const s = { tips: tips.length, pending: 0, won: 0, lost: 0, void: 0, staked: 0, profit: 0, hitRate: null, roi: null, brier: null, avgOdds: null };
+  let brierSum = 0;
+  let brierCount = 0;
+  let oddsSum = 0;
+
+  for (const tip of tips) {
+    const result = tip.result || BetResult.PENDING;
+    if (result === BetResult.PENDING) { s.pending += 1; continue; }
+    const outcome = tipOutcome(result);
+    if (outcome === null) { s.void += 1; continue; }
+    if (outcome === 1) s.won += 1; else s.lost += 1;
+
+    const odds = Number(tip.odds);
+    if (Number.isFinite(odds) && odds > 1) {
+      s.staked += 1;
+      s.profit += resultFactor(result, odds) - 1;
+      oddsSum += odds;
+    }
+    const p = tipProbability(tip);
+    if (p !== null) {
+      brierSum += (p - outcome) ** 2;
+      brierCount += 1;
+    }
+  }
+
+  const decided = s.won + s.lost;
+  if (decided > 0) s.hitRate = round(s.won / decided);
+  if (s.staked > 0) {
+    s.roi = round(s.profit / s.staked);
+    s.avgOdds = round(oddsSum / s.staked, 2);
+  }
+  if (brierCount > 0) s.brier = round(brierSum / brierCount, 4);
+  s.profit = round(s.profit, 2);
+  return s;
+}
+
+/**
+ * Reliability table: claimed probability vs observed hit rate in 10% buckets.
+ */
+export function calibrationBuckets(tips, width = 0.1) {
+  const buckets = new Map();
+  for (const tip of tips) {
+    const outcome = tipOutcome(tip.result);
+    const p = tipProbability(tip);
+    if (outcome === null || p === null) continue;
+    const lo = Math.min(Math.floor(p / width + 1e-9), Math.round(1 / width) - 1) * width;
+    const key = lo.toFixed(1);
+    const b = buckets.get(key) || { range: `${lo.toFixed(1)}-${(lo + width).toFixed(1)}`, count: 0, predictedSum: 0, hits: 0 };
+    b.count += 1;
+    b.predictedSum += p;
+    b.hits += outcome;
+    buckets.set(key, b);
+  }
+  return Array.from(buckets.keys()).sort().map(k => {
+    const b = buckets.get(k);
+    return { range: b.range, count: b.count, predicted: round(b.predictedSum / b.count), observed: round(b.hits / b.count) };
+  });
+}
+
+function groupBy(tips, keyFn) {
+  const groups = {};
+  for (const tip of tips) {
+    const key = keyFn(tip) || 'unknown';
+    (groups[key] = groups[key] || []).push(tip);
+  }
+  const out = {};
+  for (const key of Object.keys(groups)) out[key] = summarizeTips(groups[key]);
+  return out;
+}
+
+class TrackRecordService {
+  /**
+   * @param {Object} redis
+   * @param {Object} opts - { sportsAggregator, clv, entities, staleDays=7 }
+   */
+  constructor(redis, opts = {}) {
+    this.redis = redis;
+    this.sportsAggregator = opts.sportsAggregator || null;
+    this.entities = opts.entities || this.sportsAggregator?.entities || getDefaultEntityRegistry();
+    this.clv = opts.clv || null; // ClvService: snapshots market prices for closing line value
+    this.staleDays = Number(opts.staleDays || process.env.TRACK_RECORD_STALE_DAYS || 7);
+  }
+
+  /**
+   * Store a published tip. Re-publishing a tip that is already tracked is a
+   * no-op; a rematch published after the old tip went stale gets a new id.
+   * @param {Object} tip - { source, home, away, league, market, pick, odds, confidence, probability, fixtureId, kickoff }
+   * @returns {Promise<Object|null>} stored tip, or null when it cannot be graded
+   */
+  async recordTip(tip = {}) {
+    try {
+      const selection = normalizeTipSelection(tip);
+      if (!tip.home || !tip.away || !selection) {
+        logger.debug('Skipping ungradable tip', { home: tip.home, away: tip.away, market: tip.market, pick: tip.pick });
+        return null;
+      }
+
+      const now = Date.now();
+      const record = {
+        source: tip.source || 'manual',
+        fixtureId: tip.fixtureId ?? tip.matchId ?? null,
+        home: tip.home,
+        away: tip.away,
+        league: tip.league || null,
+        leagueId: tip.leagueId ?? null,
+        market: selection.market,
+        pick: tip.pick || selection.selection,
+        selection,
+        odds: Number(tip.odds) || null,
+        confidence: Number.isFinite(Number(tip.confidence)) ? Number(tip.confidence) : null,
+        probability: tipProbability(tip),
+        kickoff: tip.kickoff || null,
+        publishedAt: tip.publishedAt || new Date(now).toISOString(),
+        result: BetResult.PENDING
+      };
+      record.id = tipId(record);
+
+      const existing = await this.getTip(record.id);
+      if (existing) {
+        const resolvedAt = Date.parse(existing.resolvedAt || '');
+        if (!resolvedAt || now - resolvedAt < this.staleDays * 86400 * 1000) return existing;
+        record.id = tipId(record, record.publishedAt.slice(0, 10));
+        if (await this.getTip(record.id)) return existing;
+      }
+
+      await this.redis.set(`${TIP_KEY_PREFIX}${record.id}`, JSON.stringify(record));
+      await this.redis.zadd(TIPS_INDEX_KEY, Date.parse(record.publishedAt) || now, record.id);
+      await this.redis.sadd(PENDING_TIPS_KEY, record.id);
+      if (this.clv) await this.clv.captureOpening(record);
+      return record;
+    } catch (err) {
+      logger.warn('Failed to record tip', err?.message || String(err));
+      return null;
+    }
+  }
+
+  async recordTips(tips = [], defaults = {}) {
+    const stored = [];
+    for (const tip of tips) {
+      const r = await this.recordTip({ ...defaults, ...tip });
+      if (r) stored.push(r);
+    }
+    return stored;
+  }
+
+  async getTip(id) {
+    try {
+      const raw = await this.redis.get(`${TIP_KEY_PREFIX}${id}`);
+      return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+      logger.warn(`Failed to load tip ${id}`, err?.message || String(err));
+      return null;
+    }
+  }
+
+  // Many tips in MGET batches; ids without a stored tip are skipped
+  async _getTips(ids = []) {
+    const tips = [];
+    for (let i = 0; i < ids.length; i += TIP_BATCH) {
+      const raws = await this.redis.mget(...ids.slice(i, i + TIP_BATCH).map(id => `${TIP_KEY_PREFIX}${id}`)) || [];
+      for (const raw of raws) {
+        if (!raw) continue;
+        try {
+          tips.push(JSON.parse(raw));
+        } catch (err) {
+          logger.warn('Skipping unreadable tip', err?.message || String(err));
+        }
+      }
+    }
+    return tips;
+  }
+
+  /**
+   * Grade a tip against a final score (or void it) and persist the result.
+   */
+  async resolveTip(tip, { home, away, result = null } = {}) {
+    const graded = result || gradeSelection(tip.selection, { home, away });
+    if (graded === BetResult.PENDING) return null;
+    const updated = {
+      ...tip,
+      result: graded,
+      finalScore: Number.isFinite(Number(home)) && Number.isFinite(Number(away)) ? `${home}-${away}` : null,
+      resolvedAt: new Date().toISOString()
+    };
+    await this.redis.set(`${TIP_KEY_PREFIX}${tip.id}`, JSON.stringify(updated));
+    await this.redis.srem(PENDING_TIPS_KEY, tip.id);
+    return updated;
+  }
+
+  // Index the live feed and the final results of the tips' match days by fixture id, and keep
+  // every row for matching by teams (fixed matches carry no id); a finished row wins over a live one
+  async _buildMatchIndex(tips = [], now = Date.now()) {
+    const index = { byId: new Map(), rows: [] };
+    const add = (m) => {
+      if (!m) return;
+      if (m.id !== null && typeof m.id !== 'undefined') index.byId.set(String(m.id), m);
+      if (m.home && m.away) index.rows.push(m);
+    };
+    const agg = this.sportsAggregator;
+    if (!agg) return index;
+    if (typeof agg.getAllLiveMatches === 'function') {
+      try {
+        for (const m of (await agg.getAllLiveMatches({ priority: 'background' })) || []) add(m);
+      } catch (err) {
+        logger.warn('getAllLiveMatches failed during tip resolution', err?.message || String(err));
+      }
+    }
+    if (typeof agg.getResults === 'function') {
+      for (const day of resultDays(tips, now, this.staleDays + 1)) {
+        try {
+          for (const m of (await agg.getResults(day, { priority: 'background' })) || []) add(m);
+        } catch (err) {
+          logger.warn(`getResults failed for ${day} during tip resolution`, err?.message || String(err));
+        }
+      }
+    }
+    return index;
+  }
+
+  async _findMatch(tip, index) {
+    if (tip.fixtureId !== null && typeof tip.fixtureId !== 'undefined') {
+      const byId = index.byId.get(String(tip.fixtureId));
+      if (byId) return byId;
+      if (this.sportsAggregator && typeof this.sportsAggregator.getMatchById === 'function') {
+        try {
+          const match = await this.sportsAggregator.getMatchById(tip.fixtureId);
+          if (match) return match;
+        } catch (err) {
+          logger.debug(`getMatchById failed for ${tip.fixtureId}`, err?.message || String(err));
+        }
+      }
+    }
+    // Results are added after the live feed, so the last row for the pairing is the most final
+    return index.rows.findLast(m => this.entities.sameFixture(m, { home: tip.home, away: tip.away })) || null;
+  }
+
+  /**
+   * Run one resolution pass over pending tips. Tips that never show up in the
+   * feed are voided after `staleDays` so they stop counting as pending.
+   */
+  async resolvePending(now = Date.now()) {
+    const summary = { checked: 0, resolved: 0, expired: 0 };
+    let ids = [];
+    try {
+      ids = await this.redis.smembers(PENDING_TIPS_KEY) || [];
+    } catch (err) {
+      logger.error('Failed to read pending tips', err);
+      return summary;
+    }
+    if (ids.length === 0) return summary;
+
+    const tips = new Map((await this._getTips(ids)).map(tip => [tip.id, tip]));
+    const index = await this._buildMatchIndex(Array.from(tips.values()), now);
+    for (const id of ids) {
+      summary.checked += 1;
+      try {
+        const tip = tips.get(id);
+        if (!tip) { await this.redis.srem(PENDING_TIPS_KEY, id); continue; }
+
+        const match = await this._findMatch(tip, index);
+        const state = match ? classifyMatchStatus(match.status) : 'open';
+        if (state === 'finished') {
+          if (await this.resolveTip(tip, { home: match.homeScore, away: match.awayScore })) summary.resolved += 1;
+        } else if (state === 'void') {
+          await this.resolveTip(tip, { result: BetResult.VOID });
+          summary.resolved += 1;
+        } else {
+          const since = Date.parse(tip.kickoff || tip.publishedAt) || now;
+          if (now - since > this.staleDays * 86400 * 1000) {
+            await this.resolveTip(tip, { result: BetResult.VOID });
+            summary.expired += 1;
+          }
+        }
+      } catch (err) {
+        logger.warn(`Failed to resolve tip ${id}`, err?.message || String(err));
+      }
+    }
+    if (summary.resolved > 0 || summary.expired > 0) logger.info('Tip resolution pass complete', summary);
+    return summary;
+  }
+
+  /**
+   * Build the track record report.
+   * @param {Object} opts - { since, until (ms or ISO), source }
+   */
+  async getReport({ since = null, until = null, source = null } = {}) {
+    try {
+      const min = since ? (Date.parse(since) || Number(since)) : '-inf';
+      const max = until ? (Date.parse(until) || Number(until)) : '+inf';
+      const ids = await this.redis.zrangebyscore(TIPS_INDEX_KEY, min, max) || [];
+      const tips = (await this._getTips(ids)).filter(tip => !source || tip.source === source);
+
+      return {
+        generatedAt: new Date().toISOString(),
+        since: since || null,
+        until: until || null,
+        overall: summarizeTips(tips),
+        byMarket: groupBy(tips, t => t.market),
+        byLeague: groupBy(tips, t => t.league),
+        byConfidence: groupBy(tips, t => confidenceBand(t.confidence)),
+        bySource: groupBy(tips, t => t.source),
+        calibration: calibrationBuckets(tips),
+        clv: this.clv ? await this.clv.getReport({ since, until, source }) : null
+      };
+    } catch (err) {
+      logger.error('Track record report failed', err);
+      return null;
+    }
+  }
+
+  /**
+   * Telegram summary used by the /record command
+   */
+  formatReport(report) {
+    if (!report || report.overall.tips === 0) {
+      return '📈 *Track Record*\n\nNo tips have been recorded yet. Check back after our next picks settle.';
+    }
+    const pct = (v) => (v === null ? 'n/a' : `${(v * 100).toFixed(1)}%`);
+    const line = (label, s) => `• ${label}: ${s.won}W-${s.lost}L | Hit ${pct(s.hitRate)} | ROI ${pct(s.roi)}`;
+    const o = report.overall;
+
+    let text = '📈 *Track Record*\n\n';
+    text += `Tips: *${o.tips}* (${o.pending} pending, ${o.void} void)\n`;
+    text += `Won/Lost: *${o.won}-${o.lost}* | Hit rate: *${pct(o.hitRate)}*\n`;
+    text += `Profit: *${o.profit >= 0 ? '+' : ''}${o.profit}u* on ${o.staked}u staked | ROI: *${pct(o.roi)}*\n`;
+    if (o.brier !== null) text += `Brier score: *${o.brier}* (lower is better)\n`;
+
+    const markets = Object.entries(report.byMarket).filter(([, s]) => s.won + s.lost > 0);
+    if (markets.length) text += `\n*By market*\n${markets.map(([k, s]) => line(k, s)).join('\n')}\n`;
+
+    const bands = Object.entries(report.byConfidence).filter(([, s]) => s.won + s.lost > 0);
+    if (bands.length) text += `\n*By confidence*\n${bands.map(([k, s]) => line(k, s)).join('\n')}\n`;
+
+    if (report.calibration.length) {
+      text += '\n*Calibration* (claimed → actual)\n';
+      text += report.calibration.map(b => `• ${b.range}: ${pct(b.predicted)} → ${pct(b.observed)} (${b.count})`).join('\n');
+      text += '\n';
+    }
+    if (report.clv && report.clv.overall.scored > 0) {
+      const c = report.clv.overall;
+      text += `\n*Closing line value*\nAvg CLV: *${c.avgClv >= 0 ? '+' : ''}${pct(c.avgClv)}* | Beat the close: *${pct(c.beatCloseRate)}* (${c.scored} tips)\n`;
+    }
+    text += '\n_Flat 1 unit per tip at the odds quoted when published._';
+    return text;
+  }
+}
+
+export { TrackRecordService };
+export default TrackRecordService;
@@ -6,6 +6,7 @@ import { Logger } from "../utils/logger.js";
 import { db } from "../database/db.js";
 import { payments, users } from "../database/schema.js";
 import { eq, desc } from "drizzle-orm";
+import { formatMoney } from "../lib/price-book.js";
 
 const logger = new Logger("TransactionService");
 
@@ -23,7 +24,7 @@ class TransactionService {
 
       return txns.map((t) => ({
         id: t.id,
-        amount: `${t.currency} ${t.amount}`,
+        amount: formatMoney(t.amount, t.currency || "KES"),
         method: t.method,
         tier: t.tier,
         status: t.status,
@@ -53,7 +54,7 @@ class TransactionService {
 
       return `📄 <b>RECEIPT</b>\n\n` +
         `Name: ${user?.name}\n` +
-        `Amount: ${payment.currency} ${payment.amount}\n` +
+        `Amount: ${formatMoney(payment.amount, payment.currency || "KES")}\n` +
         `Method: ${payment.method}\n` +
         `Tier: ${payment.tier}\n` +
         `Status: ${payment.status}\n` +
@@ -76,8 +77,14 @@ class TransactionService {
       });
 
       const total = txns.reduce((sum, t) => sum + Number(t.amount), 0);
+      const byCurrency = {};
       const byTier = {};
 
+      txns.forEach((t) => {
+        const currency = t.currency || "KES";
+        byCurrency[currency] = (byCurrency[currency] || 0) + Number(t.amount);
+      });
+
       txns.forEach((t) => {
         byTier[t.tier] = (byTier[t.tier] || 0) + Number(t.amount);
       });
@@ -89,6 +96,7 @@ class TransactionService {
 
       return {
         totalSpent: total,
+        byCurrency,
         transactionCount: txns.length,
         byTier,
         byMethod,
@@ -103,11 +111,12 @@ class TransactionService {
   /**
    * Record transaction
    */
-  async recordTransaction(userId, amount, method, tier, reference = null) {
+  async recordTransaction(userId, amount, method, tier, reference = null, currency = "KES") {
     try {
       const payment = await db.insert(payments).values({
         userId,
         amount,
+        currency,
         method,
         tier,
         reference: reference || `TXN-${userId}-${Date.now()}`,
@@ -0,0 +1,399 @@
+/**
+ * Webhook Pipeline
+ * Shared ingestion for payment provider webhooks (M-Pesa STK, Safaricom Till,
+ * PayPal, Binance). The raw event, including the exact request body that
+ * provider signatures are computed over, is stored before anything else
+ * (migrations/004_create_webhook_events.sql and 005, or Redis when Postgres is
+ * not configured) and deduplicated on (provider, provider event id), so provider
+ * redeliveries are acknowledged without being processed twice.
+ *
+ * Stored events are processed off the request path on the `payment-webhooks`
+ * BullMQ queue (src/server/queue.js) with exponential backoff. Events that
+ * still fail after the last attempt are marked `dead` and can be listed and
+ * replayed from the admin API. Activation itself is guarded per order in
+ * verifyAndActivatePayment, so a replay never activates an order twice.
+ */
+
+import crypto from 'crypto';
+import { Logger } from '../utils/logger.js';
+import { handleMpesaCallback, handleMpesaC2BConfirmation, handleSafaricomTillCallback, handlePayPalWebhook, handleBinanceWebhook } from '../handlers/payment-webhook.js';
+import { binanceBizId, binanceWebhookData } from '../lib/binance-pay-client.js';
+
+const logger = new Logger('WebhookPipeline');
+
+export const QUEUE_NAME = 'payment-webhooks';
+
+export const DEFAULT_HANDLERS = {
+  MPESA: handleMpesaCallback,
+  MPESA_C2B: handleMpesaC2BConfirmation,
+  SAFARICOM_TILL: handleSafaricomTillCallback,
+  PAYPAL: handlePayPalWebhook,
+  BINANCE: handleBinanceWebhook
+};
+
+// Headers never worth keeping alongside the payload
+const DROPPED_HEADERS = ['authorization', 'cookie', 'x-admin-key'];
+
+// Handlers report an already-activated order as an error; for a webhook that is success
+const ALREADY_DONE = /already processed/i;
+
+// A redelivery of an event in these states may be the only copy that reaches the queue
+const REQUEUE_STATUSES = ['received', 'queued', 'failed'];
+
+/**
+ * Provider's own id for an event, used for deduplication. Falls back to a
+ * hash of the payload so byte-identical redeliveries still collapse.
+ * `rawBody` is the request body as received, for ids JSON.parse would round.
+ */
+export function providerEventId(provider, body = {}, rawBody = null) {
+  let id = null;
+  switch (provider) {
+    case 'MPESA': {
+      const cb = body?.Body?.stkCallback || {};
+      id = cb.CheckoutRequestID || cb.MerchantRequestID || null;
+      break;
+    }
+    case 'MPESA_C2B':
+      id = body?.TransID || null;
+      break;
+    case 'SAFARICOM_TILL':
+      id = body?.transaction_id ? `${body.transaction_id}:${body.status || ''}` : null;
+      break;
+    case 'PAYPAL':
+      id = body?.id || null;
+      break;
+    case 'BINANCE': {
+      // Binance Pay sends `data` as a JSON string with bizId/bizStatus alongside
+      const data = binanceWebhookData(body);
+      const bizId = binanceBizId(body, rawBody);
+      if (body?.bizStatus && bizId) id = `${bizId}:${body.bizStatus}`;
+      else id = data.transactionId ? `${data.transactionId}:${data.status || ''}` : null;
+      break;
+    }
+    default:
+      break;
+  }
+  if (id) return String(id);
+  return 'sha256:' + crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+}
+
+/**
+ * Short event type for listings (result code, PayPal event type, status)
+ */
+export function providerEventType(provider, body = {}) {
+  switch (provider) {
+    case 'MPESA': {
+      const code = body?.Body?.stkCallback?.ResultCode;
+      return code === undefined ? null : `stk_result:${code}`;
+    }
+    case 'MPESA_C2B': return body?.TransactionType || null;
+    case 'SAFARICOM_TILL': return body?.status || null;
+    case 'PAYPAL': return body?.event_type || null;
+    case 'BINANCE': return body?.bizStatus || binanceWebhookData(body).status || body?.bizType || null;
+    default: return null;
+  }
+}
+
+function keptHeaders(headers = {}) {
+  const out = {};
+  for (const [k, v] of Object.entries(headers || {})) {
+    if (!DROPPED_HEADERS.includes(String(k).toLowerCase())) out[k] = v;
+  }
+  return out;
+}
+
+/**
+ * Postgres store over the webhook_events table
+ */
+class PgWebhookStore {
+  constructor(pool) {
+    if (!pool) throw new Error('Postgres pool required');
+    this.pool = pool;
+  }
+
+  static toEvent(row) {
+    if (!row) return null;
+    return {
+      id: String(row.id),
+      provider: row.provider,
+      providerEventId: row.provider_event_id,
+      eventType: row.event_type,
+      payload: row.payload || {},
+      rawBody: row.raw_body ?? null,
+      headers: row.headers || {},
+      status: row.status,
+      attempts: Number(row.attempts || 0),
+      lastError: row.last_error || null,
+      result: row.result || null,
+      receivedAt: row.received_at ? new Date(row.received_at).toISOString() : null,
+      processedAt: row.processed_at ? new Date(row.processed_at).toISOString() : null
+    };
+  }
+
+  /**
+   * @returns {{ id, duplicate: boolean, status }}
+   */
+  async insert({ provider, providerEventId, eventType, payload, rawBody, headers }) {
+    const { rows } = await this.pool.query(
+      `INSERT INTO webhook_events (provider, provider_event_id, event_type, payload, raw_body, headers)
+       VALUES ($1,$2,$3,$4,$5,$6)
+       ON CONFLICT (provider, provider_event_id) DO NOTHING RETURNING id`,
+      [provider, providerEventId, eventType, payload || {}, rawBody ?? null, headers || {}]
+    );
+    if (rows.length) return { id: String(rows[0].id), duplicate: false, status: 'received' };
+    const existing = await this.pool.query('SELECT id, status FROM webhook_events WHERE provider = $1 AND provider_event_id = $2', [provider, providerEventId]);
+    return { id: existing.rows[0] ? String(existing.rows[0].id) : null, duplicate: true, status: existing.rows[0]?.status || null };
+  }
+
+  async get(id) {
+    const { rows } = await this.pool.query('SELECT * FROM webhook_events WHERE id = $1', [id]);
+    return PgWebhookStore.toEvent(rows[0]);
+  }
+
+  async update(id, { status, attempts = null, lastError = null, result = null }) {
+    await this.pool.query(
+      `UPDATE webhook_events SET status = $2, attempts = COALESCE($3, attempts), last_error = $4,
+         result = COALESCE($5, result), processed_at = CASE WHEN $2 IN ('processed','ignored','dead') THEN now() ELSE processed_at END
+       WHERE id = $1`,
+      [id, status, attempts, lastError, result]
+    );
+  }
+
+  async list({ status = null, provider = null, limit = 50 } = {}) {
+    const { rows } = await this.pool.query(
+      `SELECT * FROM webhook_events
+       WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR provider = $2)
+       ORDER BY id DESC LIMIT $3`,
+      [status, provider, limit]
+    );
+    return rows.map(PgWebhookStore.toEvent);
+  }
+}
+
+/**
+ * Redis store used when Postgres is not configured. Dedupe keys use SET NX;
+ * events expire after `ttlSeconds` and the most recent ones are indexed in a list.
+ */
+class RedisWebhookStore {
+  constructor(redis, { ttlSeconds = 30 * 24 * 60 * 60, indexSize = 1000 } = {}) {
+    this.redis = redis;
+    this.ttlSeconds = ttlSeconds;
+    this.indexSize = indexSize;
+  }
+
+  async insert({ provider, providerEventId, eventType, payload, rawBody, headers }) {
+    const id = String(await this.redis.incr('webhook:events:seq'));
+    const dedupeKey = `webhook:dedupe:${provider}:${providerEventId}`;
+    const claimed = await this.redis.set(dedupeKey, id, 'EX', this.ttlSeconds, 'NX');
+    if (!claimed) {
+      const existingId = await this.redis.get(dedupeKey);
+      const existing = existingId ? await this.get(existingId) : null;
+      return { id: existingId, duplicate: true, status: existing?.status || null };
+    }
+    const event = {
+      id, provider, providerEventId, eventType, payload: payload || {}, rawBody: rawBody ?? null, headers: headers || {},
+      status: 'received', attempts: 0, lastError: null, result: null, receivedAt: new Date().toISOString(), processedAt: null
+    };
+    await this.redis.setex(`webhook:event:${id}`, this.ttlSeconds, JSON.stringify(event));
+    await this.redis.lpush('webhook:events', id);
+    await this.redis.ltrim('webhook:events', 0, this.indexSize - 1);
+    return { id, duplicate: false, status: 'received' };
+  }
+
+  async get(id) {
+    const raw = await this.redis.get(`webhook:event:${id}`);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async update(id, { status, attempts = null, lastError = null, result = null }) {
+    const event = await this.get(id);
+    if (!event) return;
+    event.status = status;
+    if (attempts !== null) event.attempts = attempts;
+    event.lastError = lastError;
+    if (result !== null) event.result = result;
+    if (['processed', 'ignored', 'dead'].includes(status)) event.processedAt = new Date().toISOString();
+    await this.redis.setex(`webhook:event:${id}`, this.ttlSeconds, JSON.stringify(event));
+  }
+
+  async list({ status = null, provider = null, limit = 50 } = {}) {
+    const ids = await this.redis.lrange('webhook:events', 0, this.indexSize - 1);
+    const out = [];
+    for (const id of ids) {
+      const event = await this.get(id);
+      if (!event) continue;
+      if (status && event.status !== status) continue;
+      if (provider && event.provider !== provider) continue;
+      out.push(event);
+      if (out.length >= limit) break;
+    }
+    return out;
+  }
+}
+
+class WebhookPipeline {
+  /**
+   * @param {Object} redis
+   * @param {Object} opts - { store, queue, bot, handlers, adapters, maxAttempts, backoffMs }
+   *   adapters: reconciliation adapters handlers confirm payments with (default: the configured providers)
+   */
+  constructor(redis, opts = {}) {
+    this.redis = redis;
+    this.store = opts.store || new RedisWebhookStore(redis);
+    this.queue = opts.queue || null;
+    this.bot = opts.bot || null;
+    this.handlers = opts.handlers || DEFAULT_HANDLERS;
+    this.adapters = opts.adapters || {};
+    this.maxAttempts = Number(opts.maxAttempts || process.env.WEBHOOK_MAX_ATTEMPTS || 5);
+    this.backoffMs = Number(opts.backoffMs ?? process.env.WEBHOOK_BACKOFF_MS ?? 15000);
+  }
+
+  /**
+   * Store a provider webhook and schedule processing.
+   * Callers answer 200 once this returns; a thrown error means the event
+   * was not stored and the provider should redeliver.
+   * @param {string} provider - MPESA | MPESA_C2B | SAFARICOM_TILL | PAYPAL | BINANCE
+   * @param {Object} req - { body, rawBody: request body as received (string), headers }
+   * @returns {{ id, duplicate: boolean, status }}
+   */
+  async ingest(provider, req = {}) {
+    const body = req.body || {};
+    const rawBody = Buffer.isBuffer(req.rawBody) ? req.rawBody.toString('utf8') : (req.rawBody ?? null);
+    const stored = await this.store.insert({
+      provider,
+      providerEventId: providerEventId(provider, body, rawBody),
+      eventType: providerEventType(provider, body),
+      payload: body,
+      rawBody,
+      headers: keptHeaders(req.headers)
+    });
+    if (stored.duplicate) {
+      // Stored earlier but the enqueue may have failed (the provider saw a 500 and redelivered):
+      // queue it again under its stable job id, a no-op while the first job is still there
+      if (stored.id && REQUEUE_STATUSES.includes(stored.status)) {
+        await this.enqueue(stored.id);
+        logger.info('Duplicate webhook re-queued', { provider, id: stored.id, status: stored.status });
+        return { ...stored, status: 'queued' };
+      }
+      logger.info('Duplicate webhook ignored', { provider, id: stored.id, status: stored.status });
+      return stored;
+    }
+    await this.enqueue(stored.id);
+    return { ...stored, status: 'queued' };
+  }
+
+  /**
+   * Hand a stored event to the queue, or process it inline when no queue is configured
+   */
+  async enqueue(id, { replay = false } = {}) {
+    if (!this.queue) {
+      await this.process(id, { final: true });
+      return;
+    }
+    await this.store.update(id, { status: 'queued' });
+    await this.queue.add('process', { eventId: id }, {
+      // Stable job id: re-adding a stored event while its job is pending is a no-op
+      jobId: replay ? `webhook-${id}-replay-${Date.now()}` : `webhook-${id}`,
+      attempts: this.maxAttempts,
+      backoff: { type: 'exponential', delay: this.backoffMs },
+      removeOnComplete: 1000,
+      removeOnFail: 5000
+    });
+  }
+
+  /**
+   * Run the provider handler for a stored event.
+   * Handler errors are thrown so the queue retries; `final` marks the last
+   * attempt, after which the event is dead-lettered instead.
+   * @returns {{ status, result }}
+   */
+  async process(id, { final = false } = {}) {
+    const event = await this.store.get(id);
+    if (!event) {
+      logger.warn('Webhook event not found', { id });
+      return { status: 'missing', result: null };
+    }
+    if (event.status === 'processed' || event.status === 'ignored') {
+      return { status: event.status, result: event.result };
+    }
+
+    const attempts = Number(event.attempts || 0) + 1;
+    await this.store.update(id, { status: 'processing', attempts });
+
+    const handler = this.handlers[event.provider];
+    if (!handler) {
+      await this.store.update(id, { status: 'ignored', lastError: `no handler for ${event.provider}` });
+      return { status: 'ignored', result: null };
+    }
+
+    let result;
+    try {
+      // `verified`: an earlier attempt passed the signature check, so a replay is not held to its timestamp window
+      const req = { body: event.payload, rawBody: event.rawBody ?? null, headers: event.headers || {}, verified: Boolean(event.result?.signatureVerified) };
+      result = await handler(req, this.redis, this.bot, { adapters: this.adapters });
+    } catch (err) {
+      result = { success: false, error: err?.message || String(err) };
+    }
+
+    if (result?.success || ALREADY_DONE.test(result?.error || '')) {
+      await this.store.update(id, { status: 'processed', result });
+      return { status: 'processed', result };
+    }
+
+    if (result?.error) {
+      // Unexpected failure (Redis, Postgres, provider API): retry, then dead-letter
+      await this.store.update(id, { status: final ? 'dead' : 'failed', lastError: result.error, result });
+      if (final) {
+        logger.error('Webhook dead-lettered', { id, provider: event.provider, attempts, error: result.error });
+        return { status: 'dead', result };
+      }
+      throw new Error(result.error);
+    }
+
+    // Handled but not actionable (bad signature, failed payment, unmapped order); replay once fixed
+    await this.store.update(id, { status: 'ignored', lastError: result?.message || null, result: result || null });
+    return { status: 'ignored', result };
+  }
+
+  /**
+   * Re-run a stored event (dead, ignored or processed)
+   */
+  async replay(id) {
+    const event = await this.store.get(id);
+    if (!event) return null;
+    await this.store.update(id, { status: 'received', attempts: 0, lastError: null });
+    await this.enqueue(id, { replay: true });
+    logger.info('Webhook replayed', { id, provider: event.provider, previous: event.status });
+    return this.store.get(id);
+  }
+
+  async list(opts = {}) {
+    return this.store.list(opts);
+  }
+
+  async deadLetters(limit = 50) {
+    return this.store.list({ status: 'dead', limit });
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Start a BullMQ worker for the queue
+   * @param {Function} createWorker - (name, processor, opts) => Worker, see src/server/queue.js
+   */
+  startWorker(createWorker, { concurrency = 4 } = {}) {
+    const worker = createWorker(QUEUE_NAME, async (job) => {
+      const final = job.attemptsMade + 1 >= (job.opts?.attempts || 1);
+      return this.process(job.data.eventId, { final });
+    }, { concurrency });
+    worker.on('failed', (job, err) => {
+      logger.warn('Webhook job failed', { id: job?.data?.eventId, attempt: job?.attemptsMade, error: err?.message || String(err) });
+    });
+    return worker;
+  }
+}
+
+export { WebhookPipeline, PgWebhookStore, RedisWebhookStore };
+export default WebhookPipeline;
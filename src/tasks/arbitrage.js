@@ -0,0 +1,40 @@
+/**
+ * Arbitrage scheduler: scans scraped bookmaker odds for surebets and middles
+ * and alerts VVIP users. The interval should stay below
+ * ARB_MAX_ODDS_AGE_SECONDS or every quote will be stale by the next scan.
+ * Configurable via env var ARB_SCAN_INTERVAL_SECONDS (default 90).
+ */
+import { ArbitrageScanner } from '../services/arbitrage-scanner.js';
+
+export function startArbitrageScheduler({ redis, sportsAggregator, telegram, userService, service = null, intervalSeconds = null } = {}) {
+  if (!redis) throw new Error('redis required');
+  intervalSeconds = intervalSeconds || Number(process.env.ARB_SCAN_INTERVAL_SECONDS || 90);
+
+  service = service || new ArbitrageScanner(redis, { sportsAggregator, telegram, userService });
+  let running = false;
+  let lastRun = 0;
+  let lastSummary = null;
+
+  const job = async () => {
+    if (running) return; // avoid overlap
+    running = true;
+    try {
+      lastSummary = await service.run();
+      lastRun = Date.now();
+    } catch (err) {
+      try { await redis.publish('arbitrage:error', JSON.stringify({ error: err.message || String(err), ts: Date.now() })); } catch (e) { void e; }
+    } finally {
+      running = false;
+    }
+  };
+
+  job();
+  const handle = setInterval(job, Math.max(1, intervalSeconds) * 1000);
+
+  return {
+    service,
+    stop: () => clearInterval(handle),
+    lastRun: () => lastRun,
+    lastSummary: () => lastSummary,
+  };
+}
@@ -0,0 +1,38 @@
+/**
+ * Bet settlement scheduler: periodically grades pending bets against final scores.
+ * Configurable via env var BET_SETTLEMENT_INTERVAL_SECONDS (default 300).
+ */
+import { BetSettlementService } from '../services/bet-settlement-service.js';
+
+export function startBetSettlementScheduler({ redis, sportsAggregator, telegram, intervalSeconds = null } = {}) {
+  if (!redis) throw new Error('redis required');
+  intervalSeconds = intervalSeconds || Number(process.env.BET_SETTLEMENT_INTERVAL_SECONDS || 300);
+
+  const service = new BetSettlementService(redis, { sportsAggregator, telegram });
+  let running = false;
+  let lastRun = 0;
+  let lastSummary = null;
+
+  const job = async () => {
+    if (running) return; // avoid overlap
+    running = true;
+    try {
+      lastSummary = await service.settlePending();
+      lastRun = Date.now();
+    } catch (err) {
+      try { await redis.publish('settlement:error', JSON.stringify({ error: err.message || String(err), ts: Date.now() })); } catch (e) { void e; }
+    } finally {
+      running = false;
+    }
+  };
+
+  job();
+  const handle = setInterval(job, Math.max(1, intervalSeconds) * 1000);
+
+  return {
+    service,
+    stop: () => clearInterval(handle),
+    lastRun: () => lastRun,
+    lastSummary: () => lastSummary,
+  };
+}
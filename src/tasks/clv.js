@@ -0,0 +1,40 @@
+/**
+ * CLV scheduler: keeps the latest pre-match price of every open tip and freezes
+ * it as the closing line at kickoff. Run it more often than the odds cache TTL
+ * allows a line to move unnoticed.
+ * Configurable via env var CLV_INTERVAL_SECONDS (default 300).
+ */
+import { ClvService } from '../services/clv-service.js';
+
+export function startClvScheduler({ redis, sportsAggregator, service = null, intervalSeconds = null } = {}) {
+  if (!redis) throw new Error('redis required');
+  intervalSeconds = intervalSeconds || Number(process.env.CLV_INTERVAL_SECONDS || 300);
+
+  service = service || new ClvService(redis, { sportsAggregator });
+  let running = false;
+  let lastRun = 0;
+  let lastSummary = null;
+
+  const job = async () => {
+    if (running) return; // avoid overlap
+    running = true;
+    try {
+      lastSummary = await service.captureClosing();
+      lastRun = Date.now();
+    } catch (err) {
+      try { await redis.publish('clv:error', JSON.stringify({ error: err.message || String(err), ts: Date.now() })); } catch (e) { void e; }
+    } finally {
+      running = false;
+    }
+  };
+
+  job();
+  const handle = setInterval(job, Math.max(1, intervalSeconds) * 1000);
+
+  return {
+    service,
+    stop: () => clearInterval(handle),
+    lastRun: () => lastRun,
+    lastSummary: () => lastSummary,
+  };
+}
@@ -0,0 +1,43 @@
+/**
+ * Crypto payment watcher: confirmations and address scans for open BTC /
+ * USDT-TRC20 orders. Runs only when a payment address is configured
+ * (BTC_WALLET_ADDRESS or USDT_TRC20_ADDRESS); interval via
+ * CRYPTO_WATCH_INTERVAL_SECONDS (default 120).
+ */
+import { CryptoPaymentService, paymentAddress, CRYPTO_METHODS } from '../services/crypto-payments.js';
+
+export function startCryptoPaymentScheduler({ redis, telegram, service = null, intervalSeconds = null } = {}) {
+  if (!redis) throw new Error('redis required');
+  if (!Object.keys(CRYPTO_METHODS).some(method => paymentAddress(method))) return null;
+  intervalSeconds = intervalSeconds || Number(process.env.CRYPTO_WATCH_INTERVAL_SECONDS || 120);
+
+  service = service || new CryptoPaymentService(redis, { telegram });
+  let running = false;
+  let lastRun = 0;
+  let lastSummary = null;
+
+  const job = async () => {
+    if (running) return; // avoid overlap
+    running = true;
+    try {
+      lastSummary = await service.checkWatched();
+      lastRun = Date.now();
+    } catch (err) {
+      try { await redis.publish('crypto-payments:error', JSON.stringify({ error: err.message || String(err), ts: Date.now() })); } catch (e) { void e; }
+    } finally {
+      running = false;
+    }
+  };
+
+  job();
+  const handle = setInterval(job, Math.max(30, intervalSeconds) * 1000);
+
+  return {
+    service,
+    stop: () => clearInterval(handle),
+    lastRun: () => lastRun,
+    lastSummary: () => lastSummary,
+  };
+}
+
+export default { startCryptoPaymentScheduler };
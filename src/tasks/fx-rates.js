@@ -0,0 +1,31 @@
+/**
+ * FX rate refresh: keeps the cached rate table behind local-currency prices fresh.
+ * Runs only when FX_RATES_URL is set; interval via FX_RATES_INTERVAL_SECONDS (default 86400).
+ */
+import { refreshRates } from '../services/fx-rates.js';
+
+export function startFxRatesScheduler({ redis, url = process.env.FX_RATES_URL, intervalSeconds = null } = {}) {
+  if (!redis) throw new Error('redis required');
+  if (!url) return null;
+  intervalSeconds = intervalSeconds || Number(process.env.FX_RATES_INTERVAL_SECONDS || 86400);
+  let lastRun = 0;
+
+  const job = async () => {
+    try {
+      await refreshRates(redis, { url });
+      lastRun = Date.now();
+    } catch (err) {
+      try { await redis.publish('fx-rates:error', JSON.stringify({ error: err.message || String(err), ts: Date.now() })); } catch (e) { void e; }
+    }
+  };
+
+  job();
+  const handle = setInterval(job, Math.max(60, intervalSeconds) * 1000);
+
+  return {
+    stop: () => clearInterval(handle),
+    lastRun: () => lastRun
+  };
+}
+
+export default { startFxRatesScheduler };
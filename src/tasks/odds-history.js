@@ -0,0 +1,49 @@
+/**
+ * Odds history scheduler: snapshots SportsAggregator.getOdds() into the odds
+ * history store so line movement can be queried and charted.
+ * Configurable via env vars ODDS_HISTORY_INTERVAL_SECONDS (default 300) and
+ * ODDS_HISTORY_LEAGUES (comma separated league ids, default: all).
+ */
+import { OddsHistoryService } from '../services/odds-history-service.js';
+
+export function startOddsHistoryScheduler({ redis, sportsAggregator, service = null, leagues = null, intervalSeconds = null } = {}) {
+  if (!redis) throw new Error('redis required');
+  if (!sportsAggregator) throw new Error('sportsAggregator required');
+  intervalSeconds = intervalSeconds || Number(process.env.ODDS_HISTORY_INTERVAL_SECONDS || 300);
+  leagues = leagues || (process.env.ODDS_HISTORY_LEAGUES ? process.env.ODDS_HISTORY_LEAGUES.split(',').map(s => s.trim()).filter(Boolean) : [null]);
+
+  service = service || new OddsHistoryService(redis);
+  let running = false;
+  let lastRun = 0;
+  let lastSummary = null;
+
+  const job = async () => {
+    if (running) return; // avoid overlap
+    running = true;
+    try {
+      const summary = { fixtures: 0, points: 0 };
+      for (const leagueId of leagues) {
+        const odds = await sportsAggregator.getOdds(leagueId);
+        const s = await service.recordSnapshot(odds || []);
+        summary.fixtures += s.fixtures;
+        summary.points += s.points;
+      }
+      lastSummary = summary;
+      lastRun = Date.now();
+    } catch (err) {
+      try { await redis.publish('oddshistory:error', JSON.stringify({ error: err.message || String(err), ts: Date.now() })); } catch (e) { void e; }
+    } finally {
+      running = false;
+    }
+  };
+
+  job();
+  const handle = setInterval(job, Math.max(1, intervalSeconds) * 1000);
+
+  return {
+    service,
+    stop: () => clearInterval(handle),
+    lastRun: () => lastRun,
+    lastSummary: () => lastSummary,
+  };
+}
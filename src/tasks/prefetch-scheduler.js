@@ -2,6 +2,8 @@
  * Prefetch scheduler: warms caches for free-data sources and publishes Redis notifications.
  * Configurable via env var PREFETCH_INTERVAL_SECONDS (default 60).
  * WARNING: setting this below ~10s may stress remote APIs and trigger rate limits.
+ * Calls to the paid providers are made at 'prefetch' priority of the API budget
+ * (services/api-budget.js); when it runs low the run is deferred until quota frees up.
  */
 import { setTimeout as wait } from 'timers/promises';
 void wait;
@@ -54,6 +56,19 @@ export function startPrefetchScheduler({ redis, openLiga, rss, scorebat, footbal
         return { fails, next, delay };
       } catch (e) { void e; return null; }
     };
+
+    // Defer a run while the paid providers' budget is held back for live requests
+    const deferForBudget = async (type) => {
+      try {
+        if (typeof sportsAggregator.budgetWait !== 'function') return false;
+        const waitMs = await sportsAggregator.budgetWait('prefetch');
+        if (!(waitMs > 0)) return false;
+        const retryInSeconds = Math.max(1, Math.ceil(waitMs / 1000));
+        await redis.set(`prefetch:next:${type}`, String(nowSec + retryInSeconds), 'EX', retryInSeconds + 60).catch(()=>{});
+        await redis.publish('prefetch:deferred', JSON.stringify({ type, reason: 'api_budget', retryInSeconds, ts }));
+        return true;
+      } catch (e) { void e; return false; }
+    };
     try {
       // 1) News feeds - lightweight, good to run frequently
       if (rss) {
@@ -127,9 +142,10 @@ export function startPrefetchScheduler({ redis, openLiga, rss, scorebat, footbal
       if (sportsAggregator) {
         try {
           if (!await isAllowedToRun('sportsmonks')) { /* skip due to backoff */ }
+          else if (await deferForBudget('sportsmonks')) { /* budget low: leave the quota to live requests */ }
           else {
             // Fetch full lists (but cap to MAX_PREFETCH_STORE to avoid unbounded Redis usage)
-            const live = await sportsAggregator.getAllLiveMatches().catch(async (err) => { await recordFailure('sportsmonks'); throw err; });
+            const live = await sportsAggregator.getAllLiveMatches({ priority: 'prefetch' }).catch(async (err) => { await recordFailure('sportsmonks'); throw err; });
             if (live && live.length > 0) {
               const cappedLive = Array.isArray(live) ? live.slice(0, Math.min(MAX_PREFETCH_STORE, live.length)) : [];
               await safeSet('prefetch:sportsmonks:live', { fetchedAt: ts, count: live.length, data: cappedLive }, 30);
@@ -138,7 +154,7 @@ export function startPrefetchScheduler({ redis, openLiga, rss, scorebat, footbal
               await safeSet('betrix:prefetch:live:by-sport', bySport, 30);
               await recordSuccess('sportsmonks');
             }
-            const fixtures = await sportsAggregator.getFixtures().catch(async (_err) => { await recordFailure('sportsmonks-fixtures'); return []; });
+            const fixtures = await sportsAggregator.getFixtures(null, { priority: 'prefetch' }).catch(async (_err) => { await recordFailure('sportsmonks-fixtures'); return []; });
             if (fixtures && fixtures.length > 0) {
               const cappedFixtures = Array.isArray(fixtures) ? fixtures.slice(0, Math.min(MAX_PREFETCH_STORE, fixtures.length)) : [];
               await safeSet('prefetch:sportsmonks:fixtures', { fetchedAt: ts, count: fixtures.length, data: cappedFixtures }, 60);
@@ -1,7 +1,9 @@
 import lipana from '../lib/lipana-client.js';
 
 /**
- * Reconcile pending payments with Lipana
+ * Reconcile pending payments with Lipana (legacy `payments` table only).
+ * The worker runs tasks/reconcile-payments.js, which covers every provider;
+ * this remains for scripts/reconcile_with_lipana.js.
  * @param {Object} opts - { pool, telegram, redis, thresholdMinutes=5, limit=200, adminId=null }
  */
 export async function reconcileWithLipana(opts = {}) {
@@ -0,0 +1,44 @@
+/**
+ * Payment reconciliation scheduler: resolves stale pending orders at every
+ * provider and sends the previous day's reconciliation report to the admin.
+ * Configurable via env vars RECONCILE_INTERVAL_MINUTES (default 10),
+ * RECONCILE_THRESHOLD_MINUTES (default 15), RECONCILE_EXPIRE_HOURS (default 24)
+ * and RECONCILE_LIMIT (default 200).
+ */
+import { PaymentReconciler } from '../services/payment-reconciler.js';
+
+export function startPaymentReconciliationScheduler({ redis, pool = null, telegram = null, webhooks = null, adminId = null, service = null, intervalSeconds = null } = {}) {
+  if (!redis) throw new Error('redis required');
+  intervalSeconds = intervalSeconds || Number(process.env.RECONCILE_INTERVAL_MINUTES || 10) * 60;
+
+  service = service || new PaymentReconciler(redis, { pool, telegram, webhooks, adminId });
+  let running = false;
+  let lastRun = 0;
+  let lastSummary = null;
+
+  const job = async () => {
+    if (running) return; // avoid overlap
+    running = true;
+    try {
+      lastSummary = await service.run();
+      await service.sendDailyReport();
+      lastRun = Date.now();
+    } catch (err) {
+      try { await redis.publish('reconcile:error', JSON.stringify({ error: err.message || String(err), ts: Date.now() })); } catch (e) { void e; }
+    } finally {
+      running = false;
+    }
+  };
+
+  job();
+  const handle = setInterval(job, Math.max(1, intervalSeconds) * 1000);
+
+  return {
+    service,
+    stop: () => clearInterval(handle),
+    lastRun: () => lastRun,
+    lastSummary: () => lastSummary,
+  };
+}
+
+export default { startPaymentReconciliationScheduler };
@@ -0,0 +1,41 @@
+/**
+ * Subscription lifecycle scheduler: expiry reminders, grace period notices and
+ * downgrades for paid tiers.
+ * Configurable via env vars SUBSCRIPTION_LIFECYCLE_INTERVAL_SECONDS (default 3600),
+ * SUBSCRIPTION_GRACE_DAYS (default 3) and SUBSCRIPTION_REMINDER_DAYS (default "3,1").
+ */
+import { SubscriptionLifecycleService } from '../services/subscription-lifecycle.js';
+import { createPaymentOrder, recordProviderRef } from '../handlers/payment-router.js';
+
+export function startSubscriptionLifecycleScheduler({ redis, telegram, service = null, intervalSeconds = null } = {}) {
+  if (!redis) throw new Error('redis required');
+  intervalSeconds = intervalSeconds || Number(process.env.SUBSCRIPTION_LIFECYCLE_INTERVAL_SECONDS || 3600);
+
+  service = service || new SubscriptionLifecycleService(redis, { telegram, createOrder: createPaymentOrder, recordProviderRef });
+  let running = false;
+  let lastRun = 0;
+  let lastSummary = null;
+
+  const job = async () => {
+    if (running) return; // avoid overlap
+    running = true;
+    try {
+      lastSummary = await service.run();
+      lastRun = Date.now();
+    } catch (err) {
+      try { await redis.publish('subscription-lifecycle:error', JSON.stringify({ error: err.message || String(err), ts: Date.now() })); } catch (e) { void e; }
+    } finally {
+      running = false;
+    }
+  };
+
+  job();
+  const handle = setInterval(job, Math.max(1, intervalSeconds) * 1000);
+
+  return {
+    service,
+    stop: () => clearInterval(handle),
+    lastRun: () => lastRun,
+    lastSummary: () => lastSummary,
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * Track record scheduler: snapshots published VVIP fixed matches and resolves
+ * pending tips against final scores.
+ * Configurable via env var TRACK_RECORD_INTERVAL_SECONDS (default 600).
+ */
+import { TrackRecordService } from '../services/track-record-service.js';
+
+export function startTrackRecordScheduler({ redis, sportsAggregator, multiSportAnalyzer, service = null, intervalSeconds = null } = {}) {
+  if (!redis) throw new Error('redis required');
+  intervalSeconds = intervalSeconds || Number(process.env.TRACK_RECORD_INTERVAL_SECONDS || 600);
+
+  service = service || new TrackRecordService(redis, { sportsAggregator });
+  let running = false;
+  let lastRun = 0;
+  let lastSummary = null;
+
+  const job = async () => {
+    if (running) return; // avoid overlap
+    running = true;
+    try {
+      let captured = 0;
+      if (multiSportAnalyzer && typeof multiSportAnalyzer.getFixedMatches === 'function') {
+        const fixed = await multiSportAnalyzer.getFixedMatches();
+        captured = (await service.recordTips(fixed || [], { source: 'vvip_fixed' })).length;
+      }
+      lastSummary = { captured, ...(await service.resolvePending()) };
+      lastRun = Date.now();
+    } catch (err) {
+      try { await redis.publish('trackrecord:error', JSON.stringify({ error: err.message || String(err), ts: Date.now() })); } catch (e) { void e; }
+    } finally {
+      running = false;
+    }
+  };
+
+  job();
+  const handle = setInterval(job, Math.max(1, intervalSeconds) * 1000);
+
+  return {
+    service,
+    stop: () => clearInterval(handle),
+    lastRun: () => lastRun,
+    lastSummary: () => lastSummary,
+  };
+}
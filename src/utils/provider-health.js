@@ -1,11 +1,93 @@
 /**
- * Provider Health / Circuit Breaker helper
- * - Uses Redis when available to mark providers disabled with TTL
- * - Falls back to an in-memory map when Redis is unavailable (useful for tests)
+ * Provider Health / Circuit Breaker
+ * One circuit per provider endpoint (e.g. footballdata + live), fed with the outcome of every call:
+ * - closed: calls go through and land in a sliding window (error rate, latency percentiles).
+ *   The circuit opens when the window holds at least minRequests calls and the error rate
+ *   reaches errorRate, and straight away on 401/403 (credentials) or 429 (throttled).
+ * - open: calls are refused for a cool-down that doubles with each consecutive trip
+ *   (baseCooldownMs up to maxCooldownMs). A Retry-After from the provider is honoured.
+ * - half_open: one trial call at a time; halfOpenSuccesses successes close the circuit,
+ *   a failure re-opens it with the next, longer cool-down.
+ * Other 4xx responses (unknown league and the like) mean the provider answered, so they
+ * count as successes.
+ *
+ * markDisabled() switches a whole provider off by hand and is kept in Redis so every
+ * process sees it. Circuit snapshots and state changes are written to Redis for the admin
+ * view (GET /admin/reports/providers/breakers, /admin_breakers); without Redis everything
+ * stays in memory (useful for tests).
  */
+import { Logger } from './logger.js';
+
+const logger = new Logger('ProviderHealth');
+
+export const BREAKERS_KEY = 'betrix:provider:breakers';
+export const BREAKER_HISTORY_KEY = 'betrix:provider:breakers:history';
+const HISTORY_LIMIT = 500;
+const SAMPLE_LIMIT = 200;
+
+export const DEFAULT_BREAKER_OPTIONS = {
+  windowMs: 5 * 60 * 1000,
+  minRequests: 5,
+  errorRate: 0.5,
+  baseCooldownMs: 30 * 1000,
+  maxCooldownMs: 30 * 60 * 1000,
+  halfOpenSuccesses: 1,
+  // A trial that never reports back frees its slot after this long
+  trialTimeoutMs: 60 * 1000
+};
+
+/**
+ * Retry-After header value (delta seconds or HTTP date) in ms, or null
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(String(value));
+  return Number.isFinite(at) ? Math.max(0, at - now) : null;
+}
+
+/**
+ * Status code and Retry-After (ms) carried by a provider error: fetch errors
+ * (err.status / err.retryAfterMs), axios errors (err.response) or "HTTP 503 ..." messages
+ */
+export function failureDetails(err) {
+  const fromMessage = String(err?.message || '').match(/HTTP (\d{3})/);
+  const status = Number(err?.status || err?.response?.status || (fromMessage && fromMessage[1]) || 0) || null;
+  const header = err?.retryAfter ?? err?.response?.headers?.['retry-after'] ?? null;
+  const retryAfterMs = Number.isFinite(err?.retryAfterMs) ? err.retryAfterMs : parseRetryAfter(header);
+  return { status, retryAfterMs };
+}
+
+// Nearest-rank percentile of sorted numbers
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+// How a failed call counts: network errors, 408 and 5xx are provider trouble
+function classify(status) {
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 429) return 'throttled';
+  if (status && status >= 400 && status < 500 && status !== 408) return 'answered';
+  return 'failure';
+}
+
+const circuitKey = (name, endpoint) => `${String(name).toLowerCase()}:${endpoint}`;
+const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
 export class ProviderHealth {
-  constructor(redis = null) {
+  /**
+   * @param {Object} redis - optional Redis client
+   * @param {Object} opts - { now, ...DEFAULT_BREAKER_OPTIONS overrides }
+   */
+  constructor(redis = null, opts = {}) {
+    const { now, ...options } = opts;
     this.redis = redis;
+    this.now = now || (() => Date.now());
+    this.options = { ...DEFAULT_BREAKER_OPTIONS, ...options };
+    this.circuits = new Map(); // "provider:endpoint" -> circuit
+    this.history = []; // newest first, when Redis is unavailable
     this.mem = new Map(); // name -> { disabledUntil, reason }
   }
 
@@ -13,7 +95,20 @@ export class ProviderHealth {
     return `betrix:provider:disabled:${name.toLowerCase()}`;
   }
 
-  async isDisabled(name) {
+  _circuit(name, endpoint) {
+    const key = circuitKey(name, endpoint);
+    if (!this.circuits.has(key)) {
+      this.circuits.set(key, {
+        key, provider: String(name).toLowerCase(), endpoint,
+        state: 'closed', reason: '', trips: 0, successes: 0,
+        openedAt: null, openUntil: null, trialStartedAt: null, changedAt: this.now(),
+        lastError: null, samples: []
+      });
+    }
+    return this.circuits.get(key);
+  }
+
+  async _manuallyDisabled(name) {
     try {
       if (this.redis) {
         const v = await this.redis.get(this._redisKey(name)).catch(() => null);
@@ -23,52 +118,216 @@ export class ProviderHealth {
       // ignore redis check failures
     }
     const mem = this.mem.get(name);
-    if (!mem) return false;
-    return (Date.now() < (mem.disabledUntil || 0));
+    return Boolean(mem && this.now() < (mem.disabledUntil || 0));
   }
 
-  async markDisabled(name, seconds, reason = '') {
-    const disabledUntil = Date.now() + (Number(seconds || 0) * 1000);
-    this.mem.set(name, { disabledUntil, reason });
+  /**
+   * Whether a call may go out now. In half-open state this claims the single trial slot,
+   * so a granted call must be followed by record() (or release() if it is not made).
+   */
+  async allowRequest(name, endpoint = '*') {
+    if (await this._manuallyDisabled(name)) return false;
+    const c = this._circuit(name, endpoint);
+    const now = this.now();
+    if (c.state === 'open') {
+      if (now < c.openUntil) return false;
+      await this._transition(c, 'half_open', 'cool-down over, trying one call');
+    }
+    if (c.state === 'half_open') {
+      if (c.trialStartedAt && now - c.trialStartedAt < this.options.trialTimeoutMs) return false;
+      c.trialStartedAt = now;
+    }
+    return true;
+  }
+
+  /**
+   * Give back a slot from allowRequest() for a call that was not made
+   */
+  release(name, endpoint = '*') {
+    const c = this.circuits.get(circuitKey(name, endpoint));
+    if (c) c.trialStartedAt = null;
+  }
+
+  /**
+   * Record the outcome of a call: { ok, latencyMs, status, retryAfterMs, message }.
+   * Returns the circuit state afterwards.
+   */
+  async record(name, endpoint = '*', { ok, latencyMs = null, status = null, retryAfterMs = null, message = '' } = {}) {
+    const c = this._circuit(name, endpoint);
+    const now = this.now();
+    const kind = ok ? 'success' : classify(status);
+    const success = kind === 'success' || kind === 'answered';
+    c.samples.push({ ts: now, ok: success, latencyMs: Number.isFinite(latencyMs) ? latencyMs : null, status });
+    this._prune(c, now);
+    if (!success) c.lastError = { status, message: String(message || '').slice(0, 200), at: iso(now) };
+
+    let entry = null;
+    if (success) {
+      if (c.state === 'half_open') {
+        c.trialStartedAt = null;
+        c.successes += 1;
+        if (c.successes >= this.options.halfOpenSuccesses) {
+          c.trips = 0;
+          c.samples = c.samples.filter(s => s.ok);
+          entry = await this._transition(c, 'closed', 'trial call succeeded');
+        }
+      }
+    } else if (c.state === 'half_open') {
+      entry = await this._open(c, `trial call failed: ${status || message || 'error'}`, kind, retryAfterMs);
+    } else if (c.state === 'closed') {
+      const { requests, errorRate } = this._stats(c);
+      if (kind === 'auth') entry = await this._open(c, `credentials rejected (${status})`, kind, retryAfterMs);
+      else if (kind === 'throttled') entry = await this._open(c, 'rate limited (429)', kind, retryAfterMs);
+      else if (requests >= this.options.minRequests && errorRate >= this.options.errorRate) {
+        entry = await this._open(c, `error rate ${Math.round(errorRate * 100)}% over ${requests} calls`, kind, retryAfterMs);
+      }
+    }
+    if (!entry) await this._persist(c);
+    return c.state;
+  }
+
+  _prune(c, now) {
+    const since = now - this.options.windowMs;
+    c.samples = c.samples.filter(s => s.ts > since).slice(-SAMPLE_LIMIT);
+  }
+
+  async _open(c, reason, kind, retryAfterMs) {
+    const { baseCooldownMs, maxCooldownMs } = this.options;
+    c.trips += 1;
+    // Exponential cool-down; bad credentials will not fix themselves, so wait the longest
+    let cooldownMs = kind === 'auth' ? maxCooldownMs : Math.min(maxCooldownMs, baseCooldownMs * 2 ** (c.trips - 1));
+    if (Number.isFinite(retryAfterMs)) cooldownMs = kind === 'throttled' ? retryAfterMs : Math.max(cooldownMs, retryAfterMs);
+    const now = this.now();
+    c.openedAt = now;
+    c.openUntil = now + cooldownMs;
+    c.successes = 0;
+    c.trialStartedAt = null;
+    return this._transition(c, 'open', reason, { cooldownMs });
+  }
+
+  async _transition(c, to, reason, extra = {}) {
+    const entry = { ts: iso(this.now()), circuit: c.key, provider: c.provider, endpoint: c.endpoint, from: c.state, to, reason, ...extra };
+    c.state = to;
+    c.reason = reason;
+    c.changedAt = this.now();
+    if (to === 'open') logger.warn(`Circuit ${c.key} open for ${Math.round(extra.cooldownMs / 1000)}s: ${reason}`);
+    else logger.info(`Circuit ${c.key} ${to}: ${reason}`);
+    this.history.unshift(entry);
+    this.history.length = Math.min(this.history.length, HISTORY_LIMIT);
+    await this._persist(c, entry);
+    return entry;
+  }
+
+  async _persist(c, entry = null) {
+    if (!this.redis) return;
     try {
-      if (this.redis) {
-        const key = this._redisKey(name);
-        await this.redis.set(key, JSON.stringify({ reason: String(reason || ''), ts: Date.now() }));
-        await this.redis.expire(key, Number(seconds || 60));
+      await this.redis.hset(BREAKERS_KEY, c.key, JSON.stringify(this._snapshot(c)));
+      if (entry) {
+        await this.redis.lpush(BREAKER_HISTORY_KEY, JSON.stringify(entry));
+        await this.redis.ltrim(BREAKER_HISTORY_KEY, 0, HISTORY_LIMIT - 1);
       }
     } catch (e) {
-      // ignore redis write failures
+      logger.warn(`Failed to store circuit ${c.key}`, e?.message || String(e));
     }
   }
 
-  async markFailure(name, statusCode, message = '') {
-    // Non-retryable errors: 401,403,404 -> disable for 30m
-    // Rate limit: 429 -> disable for 5m
-    // Server errors: 500-599 -> short backoff 1m
-    const code = Number(statusCode || 0);
-    if ([401, 403, 404].includes(code)) {
-      await this.markDisabled(name, 30 * 60, `non-retryable:${code} ${message}`);
-      return;
-    }
-    if (code === 429) {
-      await this.markDisabled(name, 5 * 60, `rate-limit:${message}`);
-      return;
+  _stats(c) {
+    const requests = c.samples.length;
+    const errors = c.samples.filter(s => !s.ok).length;
+    const latencies = c.samples.map(s => s.latencyMs).filter(v => v !== null).sort((a, b) => a - b);
+    return {
+      requests,
+      errors,
+      errorRate: requests ? Number((errors / requests).toFixed(3)) : 0,
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95),
+      p99: percentile(latencies, 99)
+    };
+  }
+
+  _snapshot(c) {
+    this._prune(c, this.now());
+    return {
+      circuit: c.key,
+      provider: c.provider,
+      endpoint: c.endpoint,
+      state: c.state,
+      reason: c.reason,
+      trips: c.trips,
+      openedAt: iso(c.openedAt),
+      openUntil: c.state === 'open' ? iso(c.openUntil) : null,
+      changedAt: iso(c.changedAt),
+      lastError: c.lastError,
+      window: this._stats(c),
+      updatedAt: iso(this.now())
+    };
+  }
+
+  /**
+   * Snapshots of this process's circuits, optionally for one provider
+   */
+  describe(name = null) {
+    return [...this.circuits.values()]
+      .filter(c => !name || c.provider === String(name).toLowerCase())
+      .map(c => this._snapshot(c));
+  }
+
+  /**
+   * Admin view: every circuit stored in Redis (all processes) and recent state changes
+   */
+  async report({ provider = null, limit = 50 } = {}) {
+    let circuits = this.describe(provider);
+    let history = this.history;
+    if (this.redis) {
+      try {
+        const stored = await this.redis.hgetall(BREAKERS_KEY) || {};
+        const local = new Set(circuits.map(c => c.circuit));
+        const remote = Object.values(stored).map(v => JSON.parse(v)).filter(c => !local.has(c.circuit) && (!provider || c.provider === String(provider).toLowerCase()));
+        circuits = circuits.concat(remote);
+        history = (await this.redis.lrange(BREAKER_HISTORY_KEY, 0, HISTORY_LIMIT - 1) || []).map(v => JSON.parse(v));
+      } catch (e) {
+        logger.warn('Failed to read stored circuits', e?.message || String(e));
+      }
     }
-    if (code >= 500 && code < 600) {
-      await this.markDisabled(name, 60, `server-error:${code}`);
-      return;
+    const manual = [];
+    for (const [name, mem] of this.mem.entries()) {
+      if (this.now() < (mem.disabledUntil || 0)) manual.push({ provider: name, until: iso(mem.disabledUntil), reason: mem.reason });
     }
-    // Default short backoff
-    await this.markDisabled(name, 30, `failure:${code} ${message}`);
+    return {
+      circuits: circuits.sort((a, b) => a.circuit.localeCompare(b.circuit)),
+      disabled: manual,
+      history: history.filter(h => !provider || h.provider === String(provider).toLowerCase()).slice(0, limit)
+    };
+  }
+
+  /**
+   * Whether a provider is switched off by hand, or its circuits (one endpoint's, or all) are open
+   */
+  async isDisabled(name, endpoint = null) {
+    if (await this._manuallyDisabled(name)) return true;
+    const circuits = [...this.circuits.values()].filter(c => c.provider === String(name).toLowerCase() && (!endpoint || c.endpoint === endpoint));
+    return circuits.length > 0 && circuits.every(c => c.state === 'open' && this.now() < c.openUntil);
   }
 
-  async clear(name) {
-    // Remove any disabled markers for a provider (in-memory and Redis)
+  async markDisabled(name, seconds, reason = '') {
+    const disabledUntil = this.now() + (Number(seconds || 0) * 1000);
+    this.mem.set(name, { disabledUntil, reason });
     try {
-      this.mem.delete(name);
+      if (this.redis) {
+        const key = this._redisKey(name);
+        await this.redis.set(key, JSON.stringify({ reason: String(reason || ''), ts: this.now() }));
+        await this.redis.expire(key, Number(seconds || 60));
+      }
     } catch (e) {
-      // ignore
+      // ignore redis write failures
     }
+  }
+
+  /**
+   * Close a provider's circuits (one endpoint, or all) and lift any manual disable
+   */
+  async clear(name, endpoint = null) {
+    this.mem.delete(name);
     try {
       if (this.redis) {
         await this.redis.del(this._redisKey(name)).catch(() => null);
@@ -76,5 +335,36 @@ export class ProviderHealth {
     } catch (e) {
       // ignore redis delete failures
     }
+    for (const c of this.circuits.values()) {
+      if (c.provider !== String(name).toLowerCase() || (endpoint && c.endpoint !== endpoint)) continue;
+      c.trips = 0;
+      c.samples = [];
+      c.trialStartedAt = null;
+      if (c.state !== 'closed') await this._transition(c, 'closed', 'reset by admin');
+      else await this._persist(c);
+    }
+  }
+}
+
+/**
+ * Telegram summary of report()
+ */
+export function formatBreakerReport(report) {
+  const icons = { closed: '🟢', half_open: '🟡', open: '🔴' };
+  const ms = (v) => (v === null ? '-' : `${v}ms`);
+  const lines = ['🔌 *Provider circuits*', ''];
+  if (!report.circuits.length) lines.push('No provider calls recorded yet.');
+  for (const c of report.circuits) {
+    lines.push(`${icons[c.state] || '⚪'} *${c.circuit}* ${c.state}${c.openUntil ? ` until ${c.openUntil.slice(11, 19)}` : ''}` +
+      `\n  ${c.window.requests} calls · ${Math.round(c.window.errorRate * 100)}% errors · p50 ${ms(c.window.p50)} · p95 ${ms(c.window.p95)}` +
+      (c.state !== 'closed' && c.reason ? `\n  ${c.reason}` : ''));
   }
+  for (const d of report.disabled || []) lines.push(`⛔ *${d.provider}* disabled until ${d.until.slice(11, 19)}${d.reason ? ` (${d.reason})` : ''}`);
+  if (report.history.length) {
+    lines.push('', '*Recent changes*');
+    for (const h of report.history.slice(0, 10)) lines.push(`${h.ts.slice(5, 16).replace('T', ' ')} ${h.circuit}: ${h.from} → ${h.to} (${h.reason})`);
+  }
+  return lines.join('\n');
 }
+
+export default ProviderHealth;
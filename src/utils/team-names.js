@@ -0,0 +1,97 @@
+/**
+ * Team name matching helpers
+ * Bookmakers and data providers spell clubs differently ("Man Utd",
+ * "Manchester United FC"). These helpers reduce names to comparable tokens
+ * and score how likely two names refer to the same team.
+ */
+
+// Club-type affixes that carry no identity ("FC Barcelona" == "Barcelona")
+const NOISE_TOKENS = new Set(['fc', 'afc', 'cf', 'sc', 'ac', 'as', 'ss', 'sk', 'fk', 'bk', 'if', 'cd', 'ud', 'sd', 'club', 'de', 'the', 'calcio']);
+
+// Common abbreviations, applied per token after lowercasing
+const TOKEN_ALIASES = {
+  utd: 'united',
+  man: 'manchester',
+  st: 'saint',
+  'nott\'m': 'nottingham',
+  nottm: 'nottingham',
+  wolves: 'wolverhampton',
+  spurs: 'tottenham',
+  psg: 'paris saint germain'
+};
+
+// Letters that do not decompose into base letter + accent, and Cyrillic/Greek
+// club names as scraped from local-language pages ("Спартак" -> "spartak")
+const TRANSLITERATIONS = {
+  ß: 'ss', ø: 'o', æ: 'ae', œ: 'oe', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i',
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i', й: 'y', к: 'k', л: 'l', м: 'm',
+  н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch',
+  ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya', і: 'i', ї: 'yi', є: 'ye', ґ: 'g',
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k', λ: 'l', μ: 'm', ν: 'n', ξ: 'x',
+  ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't', υ: 'y', φ: 'f', χ: 'ch', ψ: 'ps', ω: 'o'
+};
+
+export function transliterate(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u0080-\uffff]/g, ch => TRANSLITERATIONS[ch] ?? ch);
+}
+
+/**
+ * Lowercase, transliterate, strip accents/punctuation, expand aliases and drop noise tokens
+ */
+export function normalizeTeamName(name) {
+  const base = transliterate(name)
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9' ]+/g, ' ');
+  const tokens = base.split(/\s+/).filter(Boolean)
+    .flatMap(t => (TOKEN_ALIASES[t] || t.replace(/'/g, '')).split(' '))
+    .filter(t => t && !NOISE_TOKENS.has(t));
+  return tokens.join(' ');
+}
+
+function bigrams(s) {
+  const out = [];
+  const compact = s.replace(/\s+/g, '');
+  for (let i = 0; i < compact.length - 1; i++) out.push(compact.slice(i, i + 2));
+  return out;
+}
+
+/**
+ * Similarity between two team names in 0..1 (Dice coefficient on character
+ * bigrams, with full credit when one name's tokens are a subset of the other's)
+ */
+export function teamSimilarity(a, b) {
+  const na = normalizeTeamName(a);
+  const nb = normalizeTeamName(b);
+  if (!na || !nb) return 0;
+  if (na === nb) return 1;
+
+  const ta = na.split(' ');
+  const tb = nb.split(' ');
+  const [small, large] = ta.length <= tb.length ? [ta, tb] : [tb, ta];
+  if (small.every(t => large.includes(t))) return 0.95;
+
+  const ba = bigrams(na);
+  const bb = bigrams(nb);
+  if (ba.length === 0 || bb.length === 0) return 0;
+  const pool = [...bb];
+  let overlap = 0;
+  for (const g of ba) {
+    const idx = pool.indexOf(g);
+    if (idx >= 0) { overlap += 1; pool.splice(idx, 1); }
+  }
+  return (2 * overlap) / (ba.length + bb.length);
+}
+
+/**
+ * True when both sides of two fixtures match
+ */
+export function sameFixture(a, b, threshold = 0.8) {
+  if (!a || !b) return false;
+  return teamSimilarity(a.home, b.home) >= threshold && teamSimilarity(a.away, b.away) >= threshold;
+}
+
+export default { normalizeTeamName, transliterate, teamSimilarity, sameFixture };
@@ -35,6 +35,7 @@ import FootballDataService from "./services/footballdata.js";
 import ScoreBatService from "./services/scorebat-enhanced.js";
 import Scrapers from "./services/scrapers.js";
 import { SportsAggregator } from "./services/sports-aggregator.js";
+import { EntityRegistry, setDefaultEntityRegistry } from './services/entity-registry.js';
 import OddsAnalyzer from "./services/odds-analyzer.js";
 import { MultiSportAnalyzer } from "./services/multi-sport-analyzer.js";
 import { startPrefetchScheduler } from "./tasks/prefetch-scheduler.js";
@@ -49,9 +50,30 @@ import v2Handler from "./handlers/telegram-handler-v2-clean.js";
 import completeHandler from "./handlers/handler-complete.js";
 import SportMonksAPI from "./services/sportmonks-api.js";
 import SportsDataAPI from "./services/sportsdata-api.js";
-import { registerDataExposureAPI } from "./app.js";
+import { registerDataExposureAPI, registerAdminReportsAPI, registerPaymentWebhooksAPI } from "./app.js";
 import { Pool } from 'pg';
-import { reconcileWithLipana } from './tasks/reconcile-lipana.js';
+import { startPaymentReconciliationScheduler } from './tasks/reconcile-payments.js';
+import { startBetSettlementScheduler } from './tasks/bet-settlement.js';
+import { startTrackRecordScheduler } from './tasks/track-record.js';
+import { TrackRecordService } from './services/track-record-service.js';
+import { startClvScheduler } from './tasks/clv.js';
+import { ClvService } from './services/clv-service.js';
+import { startOddsHistoryScheduler } from './tasks/odds-history.js';
+import { startArbitrageScheduler } from './tasks/arbitrage.js';
+import { startSubscriptionLifecycleScheduler } from './tasks/subscription-lifecycle.js';
+import { startFxRatesScheduler } from './tasks/fx-rates.js';
+import { startCryptoPaymentScheduler } from './tasks/crypto-payments.js';
+import { CryptoPaymentService, looksLikeTxid } from './services/crypto-payments.js';
+import { PaymentLedger, setDefaultLedger } from './services/payment-ledger.js';
+import { WebhookPipeline, PgWebhookStore } from './services/webhook-pipeline.js';
+import { RefundService } from './services/refund-service.js';
+import { MpesaStkService } from './services/mpesa-stk.js';
+import { PaymentSmsVerifier } from './services/payment-sms-verifier.js';
+import { looksLikePaymentSms } from './lib/payment-sms.js';
+import { PromotionService, parsePromoArgs, formatPromoReport, promoLabel } from './services/promotions.js';
+import { InvoiceService, setInvoiceTelegram } from './services/invoice-service.js';
+import { formatBreakerReport } from './utils/provider-health.js';
+import { formatBudgetReport } from './services/api-budget.js';
 
 // ===== PREMIUM ENHANCEMENT MODULES =====
 import premiumUI from "./utils/premium-ui-builder.js";
@@ -136,27 +158,10 @@ setInterval(async () => {
 // Initialize all services
 const telegram = new TelegramService(CONFIG.TELEGRAM_TOKEN, CONFIG.TELEGRAM.SAFE_CHUNK);
 const userService = new UserService(redis);
-// Periodic Lipana reconciliation (runs only if Postgres pool is available)
-if (pgPool) {
-  const minutes = Number(process.env.RECONCILE_INTERVAL_MINUTES || 10);
-  const intervalMs = Math.max(1, minutes) * 60 * 1000;
-  setInterval(async () => {
-    try {
-      logger.info('Running scheduled Lipana reconciliation');
-      await reconcileWithLipana({
-        pool: pgPool,
-        telegram,
-        redis,
-        thresholdMinutes: Number(process.env.RECONCILE_THRESHOLD_MINUTES || 15),
-        limit: Number(process.env.RECONCILE_LIMIT || 200),
-        adminId: process.env.ADMIN_TELEGRAM_ID || (CONFIG && CONFIG.ADMIN_TELEGRAM_ID) || null,
-      });
-      logger.info('Scheduled Lipana reconciliation complete');
-    } catch (err) {
-      logger.error('Scheduled Lipana reconciliation failed', err?.message || String(err));
-    }
-  }, intervalMs);
-}
+// Payment ledger shares the worker's pool (see migrations/003_create_payment_ledger.sql)
+const paymentLedger = pgPool ? new PaymentLedger(pgPool) : null;
+setDefaultLedger(paymentLedger);
+
 // Do not instantiate API-Football service — set to null so handlers fall back to SportMonks/Football-Data
 const apiFootball = null;
 const gemini = new GeminiService(CONFIG.GEMINI.API_KEY);
@@ -176,9 +181,19 @@ const rssAggregator = new RSSAggregator(cache, { ttlSeconds: 60 });
 const footballDataService = new FootballDataService();
 const scorebatService = new ScoreBatService(process.env.SCOREBAT_TOKEN || null, cache, { retries: Number(process.env.SCOREBAT_RETRIES || 3), cacheTtlSeconds: Number(process.env.SCOREBAT_CACHE_TTL || 60) });
 const scrapers = new Scrapers(redis);
+// Canonical team/league/fixture IDs shared by all providers; learned names and IDs persist in Redis
+const entityRegistry = new EntityRegistry(redis);
+setDefaultEntityRegistry(entityRegistry);
+try {
+  logger.info('Entity registry loaded', await entityRegistry.load());
+} catch (e) {
+  logger.warn('Entity registry load failed', e?.message || String(e));
+}
 // Initialize SportsAggregator with enforced provider priority: only SportMonks and Football-Data
-const sportsAggregator = new SportsAggregator(redis, { scorebat: scorebatService, rss: rssAggregator, openLiga, allowedProviders: ['SPORTSMONKS','FOOTBALLDATA'] });
-const oddsAnalyzer = new OddsAnalyzer(redis, sportsAggregator, null);
+const sportsAggregator = new SportsAggregator(redis, { scorebat: scorebatService, rss: rssAggregator, openLiga, allowedProviders: ['SPORTSMONKS','FOOTBALLDATA'], entities: entityRegistry });
+const clv = new ClvService(redis, { sportsAggregator });
+const trackRecord = new TrackRecordService(redis, { sportsAggregator, clv });
+const oddsAnalyzer = new OddsAnalyzer(redis, sportsAggregator, null, trackRecord);
 const multiSportAnalyzer = new MultiSportAnalyzer(redis, sportsAggregator, null);
 const sportMonksAPI = new SportMonksAPI();
 const sportsDataAPI = new SportsDataAPI();
@@ -328,6 +343,113 @@ try {
   logger.warn('Prefetch scheduler failed to start', e?.message || String(e));
 }
 
+// Start bet settlement scheduler: grades pending bets once fixtures reach full time
+try {
+  startBetSettlementScheduler({ redis, sportsAggregator, telegram, intervalSeconds: Number(process.env.BET_SETTLEMENT_INTERVAL_SECONDS || 300) });
+  logger.info('Bet settlement scheduler started', { intervalSeconds: Number(process.env.BET_SETTLEMENT_INTERVAL_SECONDS || 300) });
+} catch (e) {
+  logger.warn('Bet settlement scheduler failed to start', e?.message || String(e));
+}
+
+// Start track record scheduler: captures published tips and grades them after full time
+try {
+  startTrackRecordScheduler({ redis, sportsAggregator, multiSportAnalyzer, service: trackRecord, intervalSeconds: Number(process.env.TRACK_RECORD_INTERVAL_SECONDS || 600) });
+  logger.info('Track record scheduler started', { intervalSeconds: Number(process.env.TRACK_RECORD_INTERVAL_SECONDS || 600) });
+} catch (e) {
+  logger.warn('Track record scheduler failed to start', e?.message || String(e));
+}
+
+// Start CLV scheduler: freezes the closing price of each tip at kickoff
+try {
+  startClvScheduler({ redis, sportsAggregator, service: clv, intervalSeconds: Number(process.env.CLV_INTERVAL_SECONDS || 300) });
+  logger.info('CLV scheduler started', { intervalSeconds: Number(process.env.CLV_INTERVAL_SECONDS || 300) });
+} catch (e) {
+  logger.warn('CLV scheduler failed to start', e?.message || String(e));
+}
+
+// Start odds history scheduler: records line movement for /api/data/odds-history
+try {
+  startOddsHistoryScheduler({ redis, sportsAggregator, intervalSeconds: Number(process.env.ODDS_HISTORY_INTERVAL_SECONDS || 300) });
+  logger.info('Odds history scheduler started', { intervalSeconds: Number(process.env.ODDS_HISTORY_INTERVAL_SECONDS || 300) });
+} catch (e) {
+  logger.warn('Odds history scheduler failed to start', e?.message || String(e));
+}
+
+// Start arbitrage scanner: surebets and middles across scraped bookmakers, alerted to VVIP users
+try {
+  startArbitrageScheduler({ redis, sportsAggregator, telegram, userService, intervalSeconds: Number(process.env.ARB_SCAN_INTERVAL_SECONDS || 90) });
+  logger.info('Arbitrage scheduler started', { intervalSeconds: Number(process.env.ARB_SCAN_INTERVAL_SECONDS || 90) });
+} catch (e) {
+  logger.warn('Arbitrage scheduler failed to start', e?.message || String(e));
+}
+
+// Start subscription lifecycle scheduler: expiry reminders, grace period and downgrades
+try {
+  startSubscriptionLifecycleScheduler({ redis, telegram, intervalSeconds: Number(process.env.SUBSCRIPTION_LIFECYCLE_INTERVAL_SECONDS || 3600) });
+  logger.info('Subscription lifecycle scheduler started', { intervalSeconds: Number(process.env.SUBSCRIPTION_LIFECYCLE_INTERVAL_SECONDS || 3600) });
+} catch (e) {
+  logger.warn('Subscription lifecycle scheduler failed to start', e?.message || String(e));
+}
+
+// Refresh the FX rate table behind local-currency prices (only when FX_RATES_URL is set)
+try {
+  if (startFxRatesScheduler({ redis })) logger.info('FX rates scheduler started', { intervalSeconds: Number(process.env.FX_RATES_INTERVAL_SECONDS || 86400) });
+} catch (e) {
+  logger.warn('FX rates scheduler failed to start', e?.message || String(e));
+}
+
+// Payment webhooks: stored first, then processed on the payment-webhooks BullMQ queue
+const webhookPipeline = new WebhookPipeline(redis, { store: pgPool ? new PgWebhookStore(pgPool) : null, bot: telegram });
+try {
+  const { paymentWebhooksQueue, createWorker } = await import('./server/queue.js');
+  webhookPipeline.queue = paymentWebhooksQueue;
+  webhookPipeline.startWorker(createWorker);
+  logger.info('Payment webhook worker started', { store: pgPool ? 'postgres' : 'redis' });
+} catch (e) {
+  logger.warn('Payment webhook queue unavailable - processing inline', e?.message || String(e));
+}
+try {
+  registerPaymentWebhooksAPI(webhookPipeline);
+  logger.info('✅ Payment webhooks registered - POST /webhooks/payments/{mpesa|till|paypal|binance}');
+} catch (e) {
+  logger.warn('Failed to register payment webhooks', e?.message || String(e));
+}
+
+// Payment reconciliation: stale pending orders at Lipana, Daraja, PayPal and Binance, plus a daily report
+let paymentReconciler = null;
+try {
+  const adminId = process.env.ADMIN_TELEGRAM_ID || (CONFIG && CONFIG.ADMIN_TELEGRAM_ID) || null;
+  paymentReconciler = startPaymentReconciliationScheduler({ redis, pool: pgPool, telegram, webhooks: webhookPipeline, adminId }).service;
+  logger.info('Payment reconciliation scheduler started', { intervalMinutes: Number(process.env.RECONCILE_INTERVAL_MINUTES || 10) });
+} catch (e) {
+  logger.warn('Payment reconciliation scheduler failed to start', e?.message || String(e));
+}
+
+// M-Pesa STK prompts through the configured backend (MPESA_BACKEND: lipana | daraja)
+const mpesaStk = new MpesaStkService(redis, { telegram });
+logger.info('M-Pesa STK backend', { backend: mpesaStk.backend.name });
+
+// Admin refunds, chargebacks and account credit (PayPal refund/dispute webhooks create their own)
+const refundService = new RefundService(redis, { ledger: paymentLedger, telegram, adminId: process.env.ADMIN_TELEGRAM_ID || (CONFIG && CONFIG.ADMIN_TELEGRAM_ID) || null });
+
+// Confirmation SMS pasted into the chat; low-confidence matches go to admin review
+const smsVerifier = new PaymentSmsVerifier(redis, { telegram, adminId: process.env.ADMIN_TELEGRAM_ID || (CONFIG && CONFIG.ADMIN_TELEGRAM_ID) || null });
+
+// Coupon codes, trials and referral codes (applied by createPaymentOrder)
+const promotions = new PromotionService(redis);
+
+// Numbered receipts: issued on activation (payment-router) and sent through this bot
+setInvoiceTelegram(telegram);
+const invoices = new InvoiceService(redis, { telegram });
+
+// BTC / USDT-TRC20 payments: transaction hashes pasted into the chat, plus a watcher for confirmations
+const cryptoPayments = new CryptoPaymentService(redis, { telegram, adminId: process.env.ADMIN_TELEGRAM_ID || (CONFIG && CONFIG.ADMIN_TELEGRAM_ID) || null });
+try {
+  if (startCryptoPaymentScheduler({ redis, telegram, service: cryptoPayments })) logger.info('Crypto payment watcher started', { intervalSeconds: Number(process.env.CRYPTO_WATCH_INTERVAL_SECONDS || 120) });
+} catch (e) {
+  logger.warn('Crypto payment watcher failed to start', e?.message || String(e));
+}
+
 // Register Data Exposure API endpoints for accessing cached sports data
 try {
   registerDataExposureAPI(sportsAggregator);
@@ -336,6 +458,14 @@ try {
   logger.warn('Failed to register Data Exposure API', e?.message || String(e));
 }
 
+// Admin JSON reports (requires x-admin-key header)
+try {
+  registerAdminReportsAPI({ trackRecord, clv, ledger: paymentLedger, webhooks: webhookPipeline, reconciler: paymentReconciler, refunds: refundService, smsReviews: smsVerifier, promotions, cryptoPayments, invoices, breakers: sportsAggregator.providerHealth, budget: sportsAggregator.budget });
+  logger.info('✅ Admin reports API registered - access at /admin/reports/*');
+} catch (e) {
+  logger.warn('Failed to register admin reports API', e?.message || String(e));
+}
+
 // Subscribe to prefetch events for internal observability and reactive caching
 try {
   const sub = new Redis(CONFIG.REDIS_URL);
@@ -449,7 +579,7 @@ setInterval(async () => {
 
 const advancedHandler = new AdvancedHandler(basicHandlers, redis, telegram, userService, ai);
 const premiumService = new PremiumService(redis, ai);
-const adminDashboard = new AdminDashboard(redis, telegram, analytics);
+const adminDashboard = new AdminDashboard(redis, telegram, analytics, sportsAggregator.budget);
 
 logger.info("🚀 BETRIX Final Worker - All Services Initialized");
 
@@ -612,6 +742,26 @@ async function handleUpdate(update) {
 
       if (cmd.startsWith("/")) {
         await handleCommand(chatId, userId, cmd, args, text);
+      } else if (looksLikePaymentSms(text)) {
+        // A pasted M-Pesa / Airtel / PayPal confirmation: match it to the pending order
+        let reply;
+        try {
+          reply = (await smsVerifier.verify(userId, text)).message;
+        } catch (e) {
+          logger.warn('Payment SMS verification failed', e?.message || String(e));
+          reply = `❌ ${e?.message || 'Payment verification failed'}. Please contact support with your transaction code.`;
+        }
+        await telegram.sendMessage(chatId, reply);
+      } else if (looksLikeTxid(text)) {
+        // A BTC / USDT-TRC20 transaction hash for the user's open crypto order
+        let reply;
+        try {
+          reply = (await cryptoPayments.submitTransaction(userId, text)).message;
+        } catch (e) {
+          logger.warn('Crypto transaction check failed', e?.message || String(e));
+          reply = `❌ ${e?.message || 'Could not check that transaction'}`;
+        }
+        await telegram.sendMessage(chatId, reply, { parse_mode: 'Markdown' });
       } else {
         // Natural language - use composite AI (Gemini -> HuggingFace -> LocalAI)
         // Build a compact context object: minimal user info + recent messages
@@ -660,7 +810,7 @@ async function handleUpdate(update) {
       }
 
       try {
-        const services = { openLiga, footballData: footballDataService, rss: rssAggregator, scrapers, sportsAggregator, oddsAnalyzer, multiSportAnalyzer, cache, sportMonks: sportMonksAPI, sportsData: sportsDataAPI };
+        const services = { openLiga, footballData: footballDataService, rss: rssAggregator, scrapers, sportsAggregator, oddsAnalyzer, multiSportAnalyzer, cache, sportMonks: sportMonksAPI, sportsData: sportsDataAPI, trackRecord, mpesaStk };
         const res = await completeHandler.handleCallbackQuery(callbackQuery, redis, services);
         if (!res) return;
 
@@ -702,6 +852,14 @@ async function handleUpdate(update) {
               continue;
             }
 
+            // Send a generated file (e.g. line-movement chart)
+            if (method === 'sendDocument' && action.document) {
+              const target = action.chat_id || chatId;
+              await telegram.sendDocument(target, action.document, { caption: action.caption, parse_mode: action.parse_mode, reply_markup: action.reply_markup });
+              logger.info('Dispatched sendDocument', { target });
+              continue;
+            }
+
             // Send a new message to chat or specific chat_id
             if (method === 'sendMessage' || action.chat_id || action.text) {
               const target = action.chat_id || chatId;
@@ -855,7 +1013,24 @@ async function handleCommand(chatId, userId, cmd, args, fullText) {
       },
       "/status": () => basicHandlers.status(chatId, userId),
       "/refer": () => basicHandlers.refer(chatId, userId),
+      "/promo": async () => {
+        if (!args.length) {
+          const ref = await promotions.referralCode(userId);
+          return telegram.sendMessage(chatId, `🎟️ *Your referral code:* \`${ref.code}\`\n\nFriends get ${ref.value}% off their first subscription and you earn account credit when they pay.\n\nHave a promo code? Send /promo CODE`, { parse_mode: 'Markdown' });
+        }
+        try {
+          const region = await redis.hget(`user:${userId}:profile`, 'region').catch(() => null);
+          const promo = await promotions.attach(userId, args[0], { country: region });
+          return telegram.sendMessage(chatId, `✅ Promo *${promo.code}* saved: ${promoLabel(promo)} your next payment.`, { parse_mode: 'Markdown' });
+        } catch (e) {
+          return telegram.sendMessage(chatId, `❌ ${e.message}`);
+        }
+      },
       "/leaderboard": () => basicHandlers.leaderboard(chatId),
+      "/record": async () => {
+        const report = await trackRecord.getReport();
+        await telegram.sendMessage(chatId, trackRecord.formatReport(report), { parse_mode: 'Markdown' });
+      },
       "/signup": async () => {
         const services = { openLiga, footballData: footballDataService, rss: rssAggregator, scrapers, sportsAggregator, oddsAnalyzer, multiSportAnalyzer, cache, sportMonks: sportMonksAPI, sportsData: sportsDataAPI };
         const msg = await v2Handler.handleCommand('/signup', chatId, userId, redis, services);
@@ -906,6 +1081,44 @@ async function handleCommand(chatId, userId, cmd, args, fullText) {
         const result = await adminDashboard.suspendUser(parseInt(args[0]), args.slice(1).join(" "));
         return telegram.sendMessage(chatId, result ? "✅ User suspended" : "❌ Failed");
       },
+      "/admin_promo_create": async () => {
+        try {
+          const promo = await promotions.create(parsePromoArgs(args), { by: userId });
+          return telegram.sendMessage(chatId, `✅ Promo ${promo.code} created (${promoLabel(promo)})`);
+        } catch (e) {
+          return telegram.sendMessage(chatId, `❌ ${e.message}\nUsage: /admin_promo_create CODE percent|fixed|trial VALUE [max=N] [per_user=N] [expires=YYYY-MM-DD] [countries=KE,UG] [tiers=PRO,VVIP] [currency=KES] [first=true]`);
+        }
+      },
+      "/admin_promo_disable": async () => {
+        try {
+          const promo = await promotions.disable(args[0]);
+          return telegram.sendMessage(chatId, `⛔ Promo ${promo.code} disabled`);
+        } catch (e) {
+          return telegram.sendMessage(chatId, `❌ ${e.message}`);
+        }
+      },
+      "/admin_promo_report": async () => {
+        const rows = await promotions.report(args[0] || null);
+        return telegram.sendMessage(chatId, formatPromoReport(rows), { parse_mode: 'Markdown' });
+      },
+      "/admin_invoices_csv": async () => {
+        try {
+          const [from = null, to = null] = args;
+          const csv = await invoices.exportCsv({ from, to });
+          const count = csv.trim().split('\n').length - 1;
+          return telegram.sendDocument(chatId, { filename: `invoices_${from || 'all'}_${to || 'now'}.csv`, content: csv, contentType: 'text/csv' }, { caption: `🧾 ${count} invoice(s)` });
+        } catch (e) {
+          return telegram.sendMessage(chatId, `❌ ${e.message}\nUsage: /admin_invoices_csv [FROM YYYY-MM-DD] [TO YYYY-MM-DD]`);
+        }
+      },
+      "/admin_breakers": async () => {
+        const report = await sportsAggregator.providerHealth.report({ provider: args[0] || null, limit: 10 });
+        return telegram.sendMessage(chatId, formatBreakerReport(report), { parse_mode: 'Markdown' });
+      },
+      "/admin_budget": async () => {
+        const report = await sportsAggregator.budget.report({ date: args[0] || null });
+        return telegram.sendMessage(chatId, formatBudgetReport(report), { parse_mode: 'Markdown' });
+      },
       "/admin_revenue": async () => {
         const rev = await adminDashboard.getRevenueMetrics();
         return telegram.sendMessage(chatId,
@@ -0,0 +1,190 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ApiBudget, RESERVE, reserveFromEnv, keyIdOf, formatBudgetReport } from '../src/services/api-budget.js';
+import { ProviderRegistry } from '../src/services/provider-registry.js';
+import { ProviderHealth } from '../src/utils/provider-health.js';
+import { EntityRegistry } from '../src/services/entity-registry.js';
+import { SportsAggregator } from '../src/services/sports-aggregator.js';
+import { quotaFromHeaders } from '../src/adapters/sports-footballdata.js';
+import { startPrefetchScheduler } from '../src/tasks/prefetch-scheduler.js';
+
+// Mock Redis with the string, counter, hash and pub/sub commands the budget, aggregator and scheduler use
+class MockRedis {
+  constructor() { this.kv = new Map(); this.hashes = new Map(); this.published = []; }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async set(k, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async expire() { return 1; }
+  async del(k) { return this.kv.delete(k) ? 1 : 0; }
+  async incr(k) { const n = Number(this.kv.get(k) || 0) + 1; this.kv.set(k, String(n)); return n; }
+  async decr(k) { const n = Number(this.kv.get(k) || 0) - 1; this.kv.set(k, String(n)); return n; }
+  async hset(k, f, v) { const h = this.hashes.get(k) || {}; h[f] = String(v); this.hashes.set(k, h); return 1; }
+  async hget(k, f) { return (this.hashes.get(k) || {})[f] ?? null; }
+  async hgetall(k) { return { ...(this.hashes.get(k) || {}) }; }
+  async hincrby(k, f, n) { const h = this.hashes.get(k) || {}; h[f] = String(Number(h[f] || 0) + n); this.hashes.set(k, h); return Number(h[f]); }
+  async publish(channel, message) { this.published.push({ channel, message: JSON.parse(message) }); return 1; }
+}
+
+const NOW = Date.parse('2026-10-18T16:00:00Z');
+
+function clock() {
+  const c = { t: NOW, now: () => c.t, tick: (ms) => { c.t += ms; } };
+  return c;
+}
+
+const paidProvider = (name, keys, quota, extra = {}) => ({ name, quota, apiKeys: () => keys, ...extra });
+const liveRow = (id) => ({ id, home: 'Arsenal', away: 'Chelsea', status: 'LIVE' });
+
+test('api budget - priorities keep a reserve for live calls; windows reset by the minute and day', async () => {
+  const c = clock();
+  const budget = new ApiBudget(null, { now: c.now }).configure(paidProvider('footballdata', ['fd-key'], { perMinute: 10, perDay: 14 }));
+  const take = async (priority, n) => {
+    const grants = [];
+    for (let i = 0; i < n; i++) grants.push(await budget.acquire('footballdata', { priority }));
+    return grants.map(g => g.ok);
+  };
+
+  assert.deepEqual(await take('background', 6), [true, true, true, true, true, false], 'background leaves half the minute');
+  assert.deepEqual(await take('prefetch', 4), [true, true, true, false], 'prefetch leaves 20%');
+  assert.deepEqual(await take('live', 3), [true, true, false], 'live spends the rest');
+  const refused = await budget.acquire('footballdata', { priority: 'live' });
+  assert.deepEqual(refused, { ok: false, reason: 'budget_low', retryInMs: 60 * 1000 });
+  assert.equal(await budget.waitFor(['footballdata'], 'prefetch'), 60 * 1000);
+
+  // Next minute: the daily cap (14) now binds, 4 left of it
+  c.tick(60 * 1000);
+  assert.deepEqual(await take('prefetch', 3), [true, true, false], 'prefetch stops at 20% of the day');
+  assert.deepEqual(await take('live', 3), [true, true, false]);
+  assert.equal((await budget.acquire('footballdata')).retryInMs, 8 * 60 * 60 * 1000 - 60 * 1000, 'until midnight UTC');
+  c.tick(8 * 60 * 60 * 1000);
+  assert.equal((await budget.acquire('footballdata', { priority: 'background' })).ok, true, 'new day');
+
+  assert.deepEqual(reserveFromEnv({ API_BUDGET_RESERVE: '{"prefetch":0.3,"background":2,"bogus":0.1}' }), { ...RESERVE, prefetch: 0.3 });
+  assert.deepEqual(reserveFromEnv({ API_BUDGET_RESERVE: 'nope' }), RESERVE);
+  assert.equal((await budget.acquire('sportsmonks')).reason, 'no_keys');
+});
+
+test('api budget - rotates across keys, honours provider-reported quota and throttled keys', async () => {
+  const c = clock();
+  const budget = new ApiBudget(null, { now: c.now }).configure(paidProvider('sportsmonks', ['key-a', 'key-b'], { perMinute: 4 }));
+  const keys = [];
+  for (let i = 0; i < 4; i++) keys.push((await budget.acquire('sportsmonks')).key);
+  assert.deepEqual(keys, ['key-a', 'key-b', 'key-a', 'key-b'], 'the key with most left goes next');
+
+  // SportMonks says key-a has nothing left this hour; key-b carries on alone
+  await budget.observe('sportsmonks', 'key-a', { remaining: 0, resetInMs: 30 * 60 * 1000 });
+  assert.deepEqual([(await budget.acquire('sportsmonks')).key, (await budget.acquire('sportsmonks')).key], ['key-b', 'key-b']);
+  assert.equal((await budget.acquire('sportsmonks')).ok, false);
+  c.tick(60 * 1000);
+  assert.equal((await budget.acquire('sportsmonks')).key, 'key-b', 'key-a still out until the reported reset');
+
+  // A 429 sets a key aside; the provider only counts as spent once every key is
+  assert.equal(await budget.exhaust('sportsmonks', 'key-b', 90 * 1000), false, 'key-a is still reported empty');
+  c.tick(30 * 60 * 1000);
+  assert.equal((await budget.acquire('sportsmonks')).key, 'key-a');
+  assert.equal(await budget.exhaust('sportsmonks', 'key-a'), true, 'key-b is back after its Retry-After');
+
+  // Football-Data reports what is left in its headers
+  const headers = new Map([['x-requests-available-minute', '3'], ['x-requestcounter-reset', '42']]);
+  assert.deepEqual(quotaFromHeaders(headers, 10), { remaining: 3, limit: 10, resetInMs: 42000 });
+  assert.equal(quotaFromHeaders(new Map()), null);
+  assert.equal(keyIdOf('key-a').length, 8);
+});
+
+test('api budget - aggregator hands out keys by priority, degrades when the budget is low, rotates on 429', async () => {
+  const c = clock();
+  const entities = new EntityRegistry(null, { now: () => NOW });
+  const used = [];
+  const paid = paidProvider('paid', ['k1', 'k2'], { perMinute: 2 }, {
+    priority: 1, sports: ['football'], capabilities: ['live', 'h2h'],
+    async getLive(leagueId, ctx) { used.push(ctx.apiKey); return [liveRow(leagueId)]; },
+    async getHeadToHead(home, away, ctx) { used.push(`h2h:${ctx.apiKey}`); return { totalMatches: 3, homeWins: 1, awayWins: 1, draws: 1 }; }
+  });
+  const free = { name: 'free', priority: 2, sports: ['football'], capabilities: ['live'], getLive: async () => [liveRow(99)] };
+  const budget = new ApiBudget(null, { now: c.now });
+  const aggregator = new SportsAggregator(null, { entities, providers: new ProviderRegistry([paid, free]), budget });
+
+  assert.equal((await aggregator.getLiveMatches(39))[0].provider, 'paid');
+  assert.equal((await aggregator.getLiveMatches(140))[0].provider, 'paid');
+  assert.equal((await aggregator.getHeadToHead(1, 2)).totalMatches, 0, 'background analytics wait for half of each key');
+  assert.equal((await aggregator.getHeadToHead(1, 2, { priority: 'live' })).totalMatches, 3);
+  assert.equal((await aggregator.getLiveMatches(135))[0].provider, 'paid');
+  assert.equal((await aggregator.getLiveMatches(61))[0].provider, 'free', 'out of quota: next provider answers');
+  assert.deepEqual(used, ['k1', 'k2', 'h2h:k1', 'k2']);
+  assert.equal(await aggregator.budgetWait('prefetch'), 0, 'a provider without a quota can still answer');
+
+  // A throttled key hands over to the next one without opening the provider's circuit
+  const health = new ProviderHealth(null, { now: c.now });
+  const keysTried = [];
+  const throttled = paidProvider('throttled', ['t1', 't2'], { perMinute: 100 }, {
+    priority: 1, sports: ['football'], capabilities: ['live'],
+    async getLive(leagueId, ctx) {
+      keysTried.push(ctx.apiKey);
+      if (ctx.apiKey === 't1') throw Object.assign(new Error('HTTP 429 Too Many Requests'), { status: 429, retryAfterMs: 120 * 1000 });
+      return [liveRow(leagueId)];
+    }
+  });
+  const rotating = new SportsAggregator(null, { entities, providers: new ProviderRegistry([throttled, free]), providerHealth: health, budget: new ApiBudget(null, { now: c.now }) });
+  assert.equal((await rotating.getLiveMatches(39))[0].provider, 'free');
+  assert.equal((await rotating.getLiveMatches(140))[0].provider, 'throttled');
+  assert.deepEqual(keysTried, ['t1', 't2']);
+  assert.equal(await health.isDisabled('throttled', 'live'), false);
+  assert.equal(await rotating.budgetWait('prefetch', { capability: 'live' }), 0);
+});
+
+test('api budget - daily spend report from Redis, admin summary and prefetch deferral', async () => {
+  const c = clock();
+  const redis = new MockRedis();
+  const budget = new ApiBudget(redis, { now: c.now })
+    .configure(paidProvider('footballdata', ['fd-key'], { perMinute: 1 }))
+    .configure(paidProvider('sportsmonks', ['sm-1', 'sm-2'], { perMinute: 50, perDay: 1000 }));
+  await budget.acquire('sportsmonks', { priority: 'live' });
+  await budget.acquire('sportsmonks', { priority: 'prefetch' });
+  await budget.acquire('footballdata', { priority: 'live' });
+  await budget.acquire('footballdata', { priority: 'prefetch' });
+
+  const report = await budget.report();
+  assert.equal(report.date, '2026-10-18');
+  const [fd, sm] = report.providers;
+  assert.deepEqual([fd.provider, fd.total, fd.calls.live, fd.deferred.prefetch], ['footballdata', 1, 1, 1]);
+  assert.deepEqual(sm.keys.map(k => [k.calls, k.day.remaining]), [[1, 999], [1, 999]]);
+  assert.ok(![...redis.kv.keys()].some(k => k.includes('sm-1')), 'raw keys stay out of Redis');
+
+  // Another process (the admin API) sees the spend without knowing the keys
+  const admin = await new ApiBudget(redis, { now: c.now }).report();
+  assert.deepEqual(admin.providers.map(p => [p.provider, p.total]), [['footballdata', 1], ['sportsmonks', 2]]);
+  const text = formatBudgetReport(report);
+  assert.match(text, /\*sportsmonks\*: 2 calls of 2000/);
+  assert.match(text, /deferred: prefetch 1/);
+  assert.match(text, new RegExp(`🔑 ${keyIdOf('fd-key')}: 1 calls · 0/1 this minute left`));
+
+  // Prefetch holds off while the only usable paid provider is out of quota
+  const provider = paidProvider('footballdata', ['fd-key'], { perMinute: 1 }, { priority: 1, sports: ['football'], capabilities: ['live', 'fixtures'], getLive: async () => [], getFixtures: async () => [] });
+  const aggregator = new SportsAggregator(redis, { entities: new EntityRegistry(null, { now: () => NOW }), providers: new ProviderRegistry([provider]), budget });
+  assert.equal(await aggregator.budgetWait('prefetch'), 60 * 1000);
+  const scheduler = startPrefetchScheduler({ redis, sportsAggregator: aggregator, intervalSeconds: 3600 });
+  for (let i = 0; i < 50 && !redis.published.length; i++) await new Promise(r => setImmediate(r));
+  scheduler.stop();
+  assert.deepEqual(redis.published.map(p => [p.channel, p.message.reason, p.message.retryInSeconds]), [['prefetch:deferred', 'api_budget', 60]]);
+  assert.ok(redis.kv.get('prefetch:next:sportsmonks'));
+});
+
+test('api budget - callers racing for the last call cannot both take it', async () => {
+  const c = clock();
+  const redis = new MockRedis();
+  const provider = paidProvider('footballdata', ['fd-key'], { perMinute: 10 });
+  const workers = [0, 1, 2].map(() => new ApiBudget(redis, { now: c.now }).configure(provider));
+
+  // Two processes both see the last live call free; the second to count it gives it back
+  for (let i = 0; i < 9; i++) await workers[0].acquire('footballdata');
+  const results = await Promise.all(workers.map(w => w.acquire('footballdata', { priority: 'live' })));
+  assert.deepEqual(results.map(r => r.ok).sort(), [false, false, true]);
+  assert.equal(results.find(r => !r.ok).retryInMs, 60 * 1000);
+  assert.equal(redis.kv.get(`budget:footballdata:${keyIdOf('fd-key')}:m:${Math.floor(NOW / 60000)}`), '10', 'refused calls are not counted');
+
+  // Prefetch keeps its 20% floor under the same race
+  c.tick(60 * 1000);
+  for (let i = 0; i < 7; i++) await workers[0].acquire('footballdata', { priority: 'prefetch' });
+  const prefetch = await Promise.all(workers.map(w => w.acquire('footballdata', { priority: 'prefetch' })));
+  assert.equal(prefetch.filter(r => r.ok).length, 1);
+  assert.equal((await workers[1].acquire('footballdata', { priority: 'live' })).ok, true, 'live still has the reserve');
+});
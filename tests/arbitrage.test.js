@@ -0,0 +1,143 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ArbitrageScanner, findArbs, findMiddles, stakeSplit, groupByEvent, filterFresh, quotesFromBetfair, quotesFromBetExplorer, betfairRunnersFor } from '../src/services/arbitrage-scanner.js';
+import { teamSimilarity } from '../src/utils/team-names.js';
+
+// Mock Redis covering the commands used for alert dedupe and VVIP lookup
+class MockRedis {
+  constructor() { this.kv = new Map(); this.zsets = new Map(); }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async set(k, v, ...args) {
+    if (args.includes('NX') && this.kv.has(k)) return null;
+    this.kv.set(k, String(v));
+    return 'OK';
+  }
+  async zrange(k) { return Array.from((this.zsets.get(k) || new Map()).keys()); }
+  async zadd(k, score, member) { const z = this.zsets.get(k) || new Map(); z.set(member, Number(score)); this.zsets.set(k, z); return 1; }
+}
+
+const NOW = Date.parse('2026-10-18T12:00:00Z');
+const q = (home, away, bookmaker, prices, extra = {}) => ({ home, away, bookmaker, source: 'test', market: '1X2', line: null, prices, scrapedAt: NOW - 10000, ...extra });
+
+test('team names match across bookmaker spellings', () => {
+  assert.equal(teamSimilarity('Man Utd', 'Manchester United FC'), 1);
+  assert.ok(teamSimilarity('Brighton', 'Brighton & Hove Albion') >= 0.8);
+  assert.ok(teamSimilarity('Manchester City', 'Manchester United') < 0.8);
+  const events = groupByEvent([q('Man Utd', 'Spurs', 'A', {}), q('Manchester United', 'Tottenham Hotspur', 'B', {}), q('Man City', 'Spurs', 'C', {})]);
+  assert.equal(events.length, 2);
+  assert.equal(events[0].quotes.length, 2);
+});
+
+test('a club and its women\'s, reserve or namesake side are different events', () => {
+  const events = groupByEvent([
+    q('Arsenal', 'Chelsea', 'A', {}), q('Arsenal Women', 'Chelsea Women', 'B', {}),
+    q('Real Madrid', 'Sevilla', 'A', {}), q('Real Madrid Castilla', 'Sevilla', 'B', {}),
+    q('Inter', 'Milan', 'A', {}), q('Inter Miami', 'Milan', 'B', {}),
+    q('Newcastle', 'Everton', 'A', {}), q('Newcastle Jets', 'Everton', 'B', {})
+  ]);
+  assert.equal(events.length, 8);
+
+  const runners = [{ runner: 'Arsenal Women', backOdds: 1.5 }, { runner: 'Chelsea Women', backOdds: 5 }, { runner: 'The Draw', backOdds: 4 }];
+  assert.deepEqual(betfairRunnersFor(runners, { home: 'Arsenal', away: 'Chelsea' }), []);
+  assert.deepEqual(quotesFromBetfair(runners, { home: 'Arsenal', away: 'Chelsea' }, 0), []);
+});
+
+test('findArbs - 3-way and 2-way surebets with stake split', () => {
+  const event = {
+    home: 'Arsenal', away: 'Chelsea',
+    quotes: [
+      q('Arsenal', 'Chelsea', 'A', { home: 2.6, draw: 3.2, away: 2.9 }),
+      q('Arsenal', 'Chelsea', 'B', { home: 2.3, draw: 3.9, away: 3.1 }),
+      q('Arsenal', 'Chelsea', 'A', { over: 2.1, under: 1.8 }, { market: 'OU', line: 2.5 }),
+      q('Arsenal', 'Chelsea', 'B', { over: 1.8, under: 2.05 }, { market: 'OU', line: 2.5 })
+    ]
+  };
+  const arbs = findArbs(event, { minMargin: 0, bankroll: 1000 });
+  assert.deepEqual(arbs.map(a => a.type).sort(), ['2-way', '3-way']);
+  const three = arbs.find(a => a.type === '3-way');
+  assert.deepEqual(three.legs.map(l => l.bookmaker), ['A', 'B', 'B']);
+  assert.ok(three.split.profit > 0);
+  assert.ok(three.split.guaranteedReturn > three.split.total);
+
+  // Same bookmaker on every leg is a pricing error, not an arb
+  assert.equal(findArbs({ home: 'X', away: 'Y', quotes: [q('X', 'Y', 'A', { home: 3, draw: 4, away: 4 })] }, { minMargin: 0 }).length, 0);
+
+  const split = stakeSplit({ home: 2, away: 2.2 }, 100);
+  assert.deepEqual(split.stakes, { home: 52, away: 48 });
+  assert.equal(split.total, 100);
+});
+
+test('findMiddles - over/under and asian handicap windows', () => {
+  const middles = findMiddles({
+    home: 'A', away: 'B',
+    quotes: [
+      q('A', 'B', 'Book1', { over: 1.95, under: 1.85 }, { market: 'OU', line: 2.5 }),
+      q('A', 'B', 'Book2', { over: 1.8, under: 1.95 }, { market: 'OU', line: 3.5 }),
+      q('A', 'B', 'Book1', { home: 1.95, away: 1.9 }, { market: 'AH', line: 0.5 }),
+      q('A', 'B', 'Book2', { home: 1.9, away: 1.95 }, { market: 'AH', line: -0.5 })
+    ]
+  }, { maxCost: 0.05 });
+  const ou = middles.find(m => m.market === 'OU');
+  assert.deepEqual(ou.legs.map(l => [l.outcome, l.line]), [['over', 2.5], ['under', 3.5]]);
+  assert.equal(ou.window, 1);
+  const ah = middles.find(m => m.market === 'AH');
+  assert.deepEqual(ah.legs.map(l => [l.outcome, l.line, l.bookmaker]), [['home', 0.5, 'Book1'], ['away', -0.5, 'Book2']]);
+});
+
+test('stale quotes are ignored and alerts go to VVIP users once', async () => {
+  assert.equal(filterFresh([q('A', 'B', 'A', {}, { scrapedAt: NOW - 600000 }), q('A', 'B', 'A', {}, { scrapedAt: null })], 120, NOW).length, 0);
+
+  const redis = new MockRedis();
+  await redis.zadd('users:all', 1, '1');
+  await redis.zadd('users:all', 2, '2');
+  const users = { 1: { role: 'vvip' }, 2: { role: 'free' } };
+  const userService = { getUser: async (id) => users[id], isVVIP: (u) => u?.role === 'vvip' };
+  const sent = [];
+  const telegram = { sendMessage: async (chatId, text) => { sent.push({ chatId, text }); } };
+
+  const betfair = quotesFromBetfair([
+    { runner: 'Arsenal FC', backOdds: 2.8, scrapedAt: new Date(NOW - 5000).toISOString() },
+    { runner: 'The Draw', backOdds: 3.3, scrapedAt: new Date(NOW - 5000).toISOString() },
+    { runner: 'Chelsea', backOdds: 3.0, scrapedAt: new Date(NOW - 5000).toISOString() }
+  ], { home: 'Arsenal', away: 'Chelsea' }, 0);
+  const explorer = quotesFromBetExplorer([{ match: 'Arsenal - Chelsea', odds: { home: '2.1', draw: '4.2', away: '3.9' }, scrapedAt: new Date(NOW - 5000).toISOString() }]);
+  const stale = [q('Arsenal', 'Chelsea', 'Old', { home: 9, draw: 9, away: 9 }, { scrapedAt: NOW - 3600000 })];
+
+  const scanner = new ArbitrageScanner(redis, { sources: [async () => betfair, async () => explorer, async () => stale], telegram, userService, minMargin: 0 });
+  const first = await scanner.run(NOW);
+  assert.equal(first.stale, 1);
+  assert.equal(first.arbs, 1);
+  assert.deepEqual(sent.map(s => s.chatId), ['1']);
+  assert.ok(sent[0].text.includes('Arsenal vs Chelsea'));
+
+  const second = await scanner.run(NOW);
+  assert.equal(second.alerted, 0);
+  assert.equal(sent.length, 1);
+});
+
+test('built-in sources - cached provider odds keep their fetch time, Betfair runners join known events', async () => {
+  const at = (ms) => new Date(NOW - ms).toISOString();
+  const runner = (name, backOdds) => ({ runner: name, backOdds, scrapedAt: at(5000) });
+  const runners = [runner('Liverpool', 1.6), runner('Everton', 3), runner('The Draw', 3), runner('Arsenal FC', 2.8), runner('Chelsea', 3), runner('The Draw', 3.3)];
+  assert.deepEqual(betfairRunnersFor(runners, { home: 'Arsenal', away: 'Chelsea' }).map(r => r.backOdds), [2.8, 3, 3.3]);
+  assert.deepEqual(betfairRunnersFor(runners, { home: 'Arsenal', away: 'Everton' }), []);
+
+  const scanner = new ArbitrageScanner(new MockRedis(), {
+    minMargin: 0,
+    scrapers: {
+      betExplorer: async () => [
+        { match: 'Arsenal - Chelsea', odds: { home: '2.1', draw: '4.2', away: '3.9' }, scrapedAt: at(5000) },
+        { match: 'Liverpool - Everton', odds: { home: '1.5', draw: '3.0', away: '3.0' } }
+      ],
+      oddschecker: async () => [],
+      betfair: async () => runners
+    },
+    // Served from the aggregator's 10 minute cache: a price this old must not make an arb
+    sportsAggregator: { getOdds: async () => [{ home: 'Arsenal', away: 'Chelsea', bookmaker: 'Bet365', odds: { home: 9, draw: 9, away: 9 }, fetchedAt: at(9 * 60 * 1000) }] }
+  });
+  const result = await scanner.scan(NOW);
+  assert.equal(result.quotes, 5);
+  assert.equal(result.stale, 2, 'the cached provider row and the undated BetExplorer row');
+  assert.equal(result.arbs.length, 1);
+  assert.deepEqual(result.arbs[0].legs.map(l => [l.outcome, l.bookmaker]), [['home', 'Betfair Exchange'], ['draw', 'BetExplorer'], ['away', 'BetExplorer']]);
+});
@@ -0,0 +1,143 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BankrollService, fractionalKelly, modelProbability, combinedProbability, drawdownStats, stakeOptions } from '../src/services/bankroll-service.js';
+import { BetSettlementService } from '../src/services/bet-settlement-service.js';
+import { GoalModel, setDefaultGoalModel } from '../src/ai/goal-model.js';
+import { handleCallbackQuery } from '../src/handlers/telegram-handler-v2.js';
+import { handleCallbackQuery as handleCompleteCallback } from '../src/handlers/handler-complete.js';
+import { buildProfileMenu } from '../src/handlers/menu-handler-complete.js';
+
+// Mock Redis with the string/hash/list/set commands used by the bankroll, slip and settlement flows
+class MockRedis {
+  constructor() { this.kv = new Map(); this.hashes = new Map(); this.lists = new Map(); this.sets = new Map(); }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async set(k, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async setex(k, _ttl, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async del(k) { this.kv.delete(k); this.hashes.delete(k); return 1; }
+  async expire() { return 1; }
+  async hset(k, ...args) {
+    const h = this.hashes.get(k) || {};
+    for (let i = 0; i < args.length; i += 2) h[args[i]] = String(args[i + 1]);
+    this.hashes.set(k, h);
+    return 1;
+  }
+  async hget(k, f) { return (this.hashes.get(k) || {})[f] ?? null; }
+  async hgetall(k) { return { ...(this.hashes.get(k) || {}) }; }
+  async hdel(k, f) { delete (this.hashes.get(k) || {})[f]; return 1; }
+  async hincrby(k, f, n) { const h = this.hashes.get(k) || {}; h[f] = String(Number(h[f] || 0) + Number(n)); this.hashes.set(k, h); return Number(h[f]); }
+  async hincrbyfloat(k, f, n) { return this.hincrby(k, f, n); }
+  async rpush(k, v) { const l = this.lists.get(k) || []; l.push(v); this.lists.set(k, l); return l.length; }
+  async lrange(k, start, stop) { const l = this.lists.get(k) || []; return l.slice(start < 0 ? Math.max(0, l.length + start) : start, stop === -1 ? undefined : stop + 1); }
+  async lset(k, i, v) { this.lists.get(k)[i] = v; return 'OK'; }
+  async ltrim() { return 'OK'; }
+  async sadd(k, v) { const s = this.sets.get(k) || new Set(); s.add(String(v)); this.sets.set(k, s); return 1; }
+  async srem(k, v) { (this.sets.get(k) || new Set()).delete(String(v)); return 1; }
+  async smembers(k) { return Array.from(this.sets.get(k) || []); }
+}
+
+const model = new GoalModel({ teams: { arsenal: { attack: 1.6, defence: 0.8 }, chelsea: { attack: 1.0, defence: 1.1 } } });
+
+test('fractionalKelly, model probability and stake options', () => {
+  // p=0.55 at 2.0: full Kelly 10%, quarter Kelly 2.5%
+  assert.equal(fractionalKelly(0.55, 2.0, 0.25, 0.05), 0.025);
+  assert.equal(fractionalKelly(0.55, 2.0, 1, 0.05), 0.05, 'capped');
+  assert.equal(fractionalKelly(0.4, 2.0), 0);
+
+  const pHome = modelProbability('Arsenal', 'Chelsea', { market: '1X2', selection: 'home' }, model);
+  assert.ok(pHome > 0.5 && pHome < 1);
+  assert.equal(modelProbability('Arsenal', 'Unknown FC', { market: '1X2', selection: 'home' }, model), null);
+  assert.equal(combinedProbability([{ probability: 0.5 }, { probability: 0.6 }]), 0.3);
+  assert.equal(combinedProbability([{ probability: 0.5 }, { probability: null }]), null);
+
+  assert.deepEqual(stakeOptions(2000, 96).map(o => o.amount), [100, 20, 40]);
+  assert.ok(stakeOptions(2000, 96)[0].label.includes('Kelly'));
+});
+
+test('BankrollService - ledger, drawdown, loss limit and settlement booking', async () => {
+  const redis = new MockRedis();
+  const bank = new BankrollService(redis);
+  const t0 = Date.parse('2026-10-18T08:00:00Z');
+
+  assert.equal(await bank.recordStake(1, { stake: 100 }), null, 'no bankroll, nothing booked');
+  await bank.deposit(1, 1000, t0);
+  await bank.recordStake(1, { stake: 100, txId: 'T1' }, t0 + 1);
+  await bank.recordStake(1, { stake: 200, txId: 'T2' }, t0 + 2);
+
+  const settlement = new BetSettlementService(redis, { bankroll: bank });
+  await redis.rpush('user:1:bets', JSON.stringify({ id: 'a', fixtureId: '10', market: '1X2', selection: 'home', odds: 2.5, stake: 100, status: 'pending', txId: 'T1', placedAt: new Date(t0 + 1).toISOString() }));
+  await redis.rpush('user:1:bets', JSON.stringify({ id: 'b', fixtureId: '20', market: '1X2', selection: 'home', odds: 1.5, stake: 200, status: 'pending', txId: 'T2', placedAt: new Date(t0 + 2).toISOString() }));
+  const live = new Map([['10', { id: 10, status: 'FT', homeScore: 2, awayScore: 0 }], ['20', { id: 20, status: 'FT', homeScore: 0, awayScore: 1 }]]);
+  await settlement.settleUser(1, live);
+
+  const stats = await bank.getStats(1, t0 + 10);
+  assert.equal(stats.balance, 950);
+  assert.equal(stats.returned, 250);
+  assert.equal(stats.profit, -50);
+  assert.equal(stats.settled, 2);
+  assert.equal(stats.todayNet, -50);
+  assert.ok(stats.maxDrawdown >= 30, 'both stakes out before the win came back');
+  assert.equal(await bank.recordSettlement(1, { txId: 'T3', stake: 50, status: 'won', payout: null }, t0 + 11), null, 'unknown payout is not booked as a loss');
+  assert.equal((await bank.getStats(1, t0 + 12)).balance, 950);
+
+  await bank.setLossLimit(1, 100);
+  const warnings = await bank.checkStake(1, 80, t0 + 10);
+  assert.ok(warnings.some(w => w.includes('daily loss limit')));
+  assert.ok(warnings.some(w => w.includes('% of your bankroll')));
+
+  const dd = drawdownStats([{ type: 'deposit', amount: 100, balance: 100 }, { type: 'settle', balance: 80, profit: -20 }, { type: 'deposit', amount: 100, balance: 180 }]);
+  assert.equal(dd.drawdown, 10, 'a deposit does not erase an open drawdown');
+});
+
+test('telegram-handler-v2 - bankroll screens and bankroll-sized slip stake picker', async () => {
+  setDefaultGoalModel(model);
+  const redis = new MockRedis();
+  const match = { id: 55, home: 'Arsenal', away: 'Chelsea', homeOdds: 2.6, drawOdds: 3.5, awayOdds: 3.0 };
+  const services = { sportsAggregator: { getMatchById: async () => match } };
+  const cb = (data) => ({ id: 'cb', from: { id: 4 }, message: { chat: { id: 4 } }, data });
+
+  let picker = await handleCallbackQuery(cb('slip_stake'), redis, services);
+  assert.ok(picker.reply_markup.inline_keyboard.flat().some(b => b.callback_data === 'profile_bankroll'), 'offers bankroll setup');
+
+  const empty = await handleCallbackQuery(cb('profile_bankroll'), redis, services);
+  assert.ok(empty.text.includes('not set up a bankroll'));
+  const funded = await handleCallbackQuery(cb('profile_bankroll_dep_5000'), redis, services);
+  assert.ok(funded.text.includes('Balance: *KES 5000*'));
+
+  await handleCallbackQuery(cb('slip_pick_55_H'), redis, services);
+  picker = await handleCallbackQuery(cb('slip_stake'), redis, services);
+  const buttons = picker.reply_markup.inline_keyboard.flat();
+  assert.ok(!buttons.some(b => b.text === 'KES 50'), 'fixed ladder replaced');
+  assert.ok(buttons.some(b => b.callback_data === 'slip_stake_250'), '5% of bankroll');
+  assert.ok(buttons[0].text.startsWith('🎯 Kelly'));
+
+  await handleCallbackQuery(cb(buttons[0].callback_data), redis, services);
+  await handleCallbackQuery(cb('slip_place'), redis, services);
+  const ledger = await new BankrollService(redis).getLedger(4);
+  assert.deepEqual(ledger.map(e => e.type), ['deposit', 'stake']);
+  setDefaultGoalModel(new GoalModel());
+});
+
+test('handler-complete - production callbacks reach bankroll screens and the stake picker', async () => {
+  const redis = new MockRedis();
+  // The production bot routes callbacks through handler-complete.js
+  const cb = (data) => ({ id: 'cb2', from: { id: 6 }, message: { chat: { id: 6 }, message_id: 11 }, data });
+
+  assert.ok(buildProfileMenu().reply_markup.inline_keyboard.flat().some(b => b.callback_data === 'profile_bankroll'));
+  const empty = await handleCompleteCallback(cb('profile_bankroll'), redis, {});
+  assert.ok(empty.text.includes('not set up a bankroll'));
+  assert.equal(empty.message_id, 11);
+  const funded = await handleCompleteCallback(cb('profile_bankroll_dep_2000'), redis, {});
+  assert.ok(funded.text.includes('Balance: *KES 2000*'));
+  const back = funded.reply_markup.inline_keyboard.flat().find(b => b.text.includes('Back'));
+  assert.ok((await handleCompleteCallback(cb(back.callback_data), redis, {})).text.includes('Your Profile'));
+
+  await redis.set('betslip:b1', JSON.stringify({ id: 'b1', fixtureId: 55, fixtureText: 'Arsenal vs Chelsea', selection: 'home', stake: 100, odds: 2.6, probability: 0.5 }));
+  const picker = await handleCompleteCallback(cb('edit_bet_b1'), redis, {});
+  assert.equal(picker.message_id, 11);
+  assert.ok(picker.reply_markup.inline_keyboard.flat().some(b => b.callback_data === 'set_bet_b1_100'), '5% of bankroll');
+  await handleCompleteCallback(cb('set_bet_b1_100'), redis, {});
+  const placed = await handleCompleteCallback(cb('place_bet_b1'), redis, {});
+  assert.ok(placed.text.includes('Bet placed'));
+  const ledger = await new BankrollService(redis).getLedger(6);
+  assert.deepEqual(ledger.map(e => [e.type, e.amount]), [['deposit', 2000], ['stake', 100]]);
+});
@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BetSettlementService,
+  BetResult,
+  gradeSelection,
+  settleLegs,
+  resultFactor,
+  PENDING_USERS_KEY
+} from '../src/services/bet-settlement-service.js';
+
+// Mock Redis covering the list/set/hash commands used by settlement
+class MockRedis {
+  constructor() {
+    this.lists = new Map();
+    this.sets = new Map();
+    this.hashes = new Map();
+  }
+  async rpush(k, v) { const l = this.lists.get(k) || []; l.push(v); this.lists.set(k, l); return l.length; }
+  async lrange(k, start, stop) { const l = this.lists.get(k) || []; return l.slice(start, stop === -1 ? undefined : stop + 1); }
+  async lset(k, i, v) { this.lists.get(k)[i] = v; return 'OK'; }
+  async sadd(k, v) { const s = this.sets.get(k) || new Set(); s.add(v); this.sets.set(k, s); return 1; }
+  async srem(k, v) { (this.sets.get(k) || new Set()).delete(v); return 1; }
+  async smembers(k) { return Array.from(this.sets.get(k) || []); }
+  async hincrby(k, f, n) { const h = this.hashes.get(k) || {}; h[f] = Number(h[f] || 0) + n; this.hashes.set(k, h); return h[f]; }
+  async hincrbyfloat(k, f, n) { return this.hincrby(k, f, Number(n)); }
+  async hgetall(k) { return this.hashes.get(k) || {}; }
+}
+
+test('gradeSelection - 1X2, double chance and BTTS', () => {
+  assert.equal(gradeSelection({ market: '1X2', selection: 'home' }, { home: 2, away: 1 }), BetResult.WON);
+  assert.equal(gradeSelection({ market: '1X2', selection: 'draw' }, { home: 2, away: 1 }), BetResult.LOST);
+  assert.equal(gradeSelection({ market: 'DC', selection: 'X2' }, { home: 1, away: 1 }), BetResult.WON);
+  assert.equal(gradeSelection({ market: 'BTTS', selection: 'yes' }, { home: 1, away: 0 }), BetResult.LOST);
+  assert.equal(gradeSelection({ market: 'DNB', selection: 'away' }, { home: 0, away: 0 }), BetResult.PUSH);
+});
+
+test('gradeSelection - Asian lines split into halves', () => {
+  assert.equal(gradeSelection({ market: 'OU', selection: 'over', line: 2.5 }, { home: 2, away: 1 }), BetResult.WON);
+  assert.equal(gradeSelection({ market: 'OU', selection: 'over', line: 2 }, { home: 1, away: 1 }), BetResult.PUSH);
+  assert.equal(gradeSelection({ market: 'OU', selection: 'over', line: 2.25 }, { home: 1, away: 1 }), BetResult.HALF_LOST);
+  assert.equal(gradeSelection({ market: 'OU', selection: 'under', line: 2.75 }, { home: 2, away: 1 }), BetResult.HALF_LOST);
+  assert.equal(gradeSelection({ market: 'AH', selection: 'home', line: -0.25 }, { home: 0, away: 0 }), BetResult.HALF_LOST);
+  assert.equal(gradeSelection({ market: 'AH', selection: 'away', line: 0.25 }, { home: 0, away: 0 }), BetResult.HALF_WON);
+  assert.equal(gradeSelection({ market: 'AH', selection: 'home', line: -1.5 }, { home: 3, away: 1 }), BetResult.WON);
+});
+
+test('settleLegs - payouts for singles and accumulators', () => {
+  assert.deepEqual(settleLegs([{ result: BetResult.WON, odds: 2.5 }], 100), { result: BetResult.WON, payout: 250 });
+  assert.deepEqual(settleLegs([{ result: BetResult.HALF_WON, odds: 2 }], 100), { result: BetResult.HALF_WON, payout: 150 });
+  assert.deepEqual(settleLegs([{ result: BetResult.VOID, odds: 2 }], 100), { result: BetResult.VOID, payout: 100 });
+  assert.deepEqual(settleLegs([{ result: BetResult.WON, odds: 2 }, { result: BetResult.VOID, odds: 3 }], 100), { result: BetResult.WON, payout: 200 });
+  assert.deepEqual(settleLegs([{ result: BetResult.WON, odds: 2 }, { result: BetResult.LOST, odds: 3 }], 100), { result: BetResult.LOST, payout: 0 });
+  assert.equal(settleLegs([{ result: BetResult.WON, odds: 2 }, { result: BetResult.PENDING, odds: 3 }], 100).result, BetResult.PENDING);
+
+  // A winning leg without a price leaves the bet unsettled rather than paying 0
+  assert.equal(resultFactor(BetResult.WON, null), null);
+  assert.equal(resultFactor(BetResult.HALF_WON, 'n/a'), null);
+  assert.equal(resultFactor(BetResult.PUSH, null), 1);
+  assert.deepEqual(settleLegs([{ result: BetResult.WON, odds: 2 }, { result: BetResult.WON, odds: null }], 100), { result: BetResult.PENDING, payout: null });
+  assert.deepEqual(settleLegs([{ result: BetResult.WON }], 100), { result: BetResult.PENDING, payout: null });
+  assert.deepEqual(settleLegs([{ result: BetResult.WON, odds: 2 }, { result: BetResult.VOID }], 100), { result: BetResult.WON, payout: 200 });
+});
+
+test('BetSettlementService - settles finished fixtures and notifies user', async () => {
+  const redis = new MockRedis();
+  const sent = [];
+  const sportsAggregator = {
+    getAllLiveMatches: async () => [{ id: 10, homeScore: 1, awayScore: 0, status: 'LIVE' }],
+    getMatchById: async (id) => (String(id) === '20' ? { id: 20, homeScore: 2, awayScore: 0, status: 'FINISHED' } : null)
+  };
+  const telegram = { sendMessage: async (chatId, text) => { sent.push({ chatId, text }); } };
+  const svc = new BetSettlementService(redis, { sportsAggregator, telegram });
+
+  await redis.rpush('user:7:bets', JSON.stringify({ id: 'a', fixtureId: '10', market: '1X2', selection: 'home', odds: 1.8, stake: 100, status: 'pending', txId: 'T1' }));
+  await redis.rpush('user:7:bets', JSON.stringify({ id: 'b', fixtureId: '20', market: '1X2', selection: 'home', odds: 1.5, stake: 200, status: 'pending', txId: 'T2' }));
+  await svc.trackPending(7);
+
+  const summary = await svc.settlePending();
+  assert.equal(summary.settled, 1);
+
+  const stored = (await redis.lrange('user:7:bets', 0, -1)).map(s => JSON.parse(s));
+  assert.equal(stored[0].status, 'pending');
+  assert.equal(stored[1].status, BetResult.WON);
+  assert.equal(stored[1].payout, 300);
+  assert.equal(stored[1].finalScore, '2-0');
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].chatId, '7');
+  assert.deepEqual(await redis.smembers(PENDING_USERS_KEY), ['7']);
+
+  const stats = await svc.getStats(7);
+  assert.equal(stats.staked, 200);
+  assert.equal(stats.returned, 300);
+  assert.equal(stats.roi, 50);
+});
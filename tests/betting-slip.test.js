@@ -0,0 +1,145 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BettingSlipService, resolveMarketOdds, detectCorrelations, combinedOdds } from '../src/services/betting-slip-service.js';
+import { handleCallbackQuery } from '../src/handlers/telegram-handler-v2.js';
+import { handleCallbackQuery as handleCompleteCallback } from '../src/handlers/handler-complete.js';
+import { buildMatchDetailsMenu } from '../src/handlers/menu-handler-complete.js';
+
+// Mock Redis with the string/hash/list/set commands used by the slip flow
+class MockRedis {
+  constructor() { this.kv = new Map(); this.hashes = new Map(); this.lists = new Map(); this.sets = new Map(); }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async set(k, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async setex(k, _ttl, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async del(k) { this.kv.delete(k); this.hashes.delete(k); return 1; }
+  async expire() { return 1; }
+  async hset(k, ...args) {
+    const h = this.hashes.get(k) || {};
+    for (let i = 0; i < args.length; i += 2) h[args[i]] = String(args[i + 1]);
+    this.hashes.set(k, h);
+    return 1;
+  }
+  async hget(k, f) { return (this.hashes.get(k) || {})[f] ?? null; }
+  async hgetall(k) { return { ...(this.hashes.get(k) || {}) }; }
+  async hdel(k, f) { delete (this.hashes.get(k) || {})[f]; return 1; }
+  async rpush(k, v) { const l = this.lists.get(k) || []; l.push(v); this.lists.set(k, l); return l.length; }
+  async lrange(k, start, stop) { const l = this.lists.get(k) || []; return l.slice(start < 0 ? Math.max(l.length + start, 0) : start, stop < 0 ? l.length + stop + 1 : stop + 1); }
+  async sadd(k, v) { const s = this.sets.get(k) || new Set(); s.add(String(v)); this.sets.set(k, s); return 1; }
+}
+
+const match = { id: 55, home: 'Arsenal', away: 'Chelsea', homeOdds: 2.0, drawOdds: 3.5, awayOdds: 4.0, odds: { over25: 1.9, bttsYes: 1.75 } };
+
+test('resolveMarketOdds - direct and derived prices', () => {
+  assert.equal(resolveMarketOdds(match, 'H'), 2.0);
+  assert.equal(resolveMarketOdds(match, 'O25'), 1.9);
+  assert.equal(resolveMarketOdds(match, 'BY'), 1.75);
+  assert.equal(resolveMarketOdds(match, '1X'), 1.27); // 1 / (1/2 + 1/3.5)
+  assert.equal(resolveMarketOdds(match, 'U35'), null);
+});
+
+test('detectCorrelations and combinedOdds', () => {
+  const legs = [
+    { legId: '55:1X2:home', matchId: 55, team: 'Arsenal vs Chelsea', odds: 2 },
+    { legId: '55:OU:over2.5', matchId: 55, team: 'Arsenal vs Chelsea', odds: 1.9 },
+    { legId: '77:BTTS:yes', matchId: 77, team: 'Spurs vs Everton', odds: 1.5 }
+  ];
+  const warnings = detectCorrelations(legs);
+  assert.equal(warnings.length, 1);
+  assert.deepEqual(warnings[0].legIds, ['55:1X2:home', '55:OU:over2.5']);
+  assert.equal(combinedOdds(legs), 5.7);
+  assert.equal(combinedOdds([{ odds: 2 }, { odds: null }]), null);
+});
+
+test('BettingSlipService - add, remove and convert to bet', async () => {
+  const redis = new MockRedis();
+  const svc = new BettingSlipService(redis);
+  const slipId = await svc.getActiveSlipId(1);
+  await svc.addMatch(slipId, 55, 'Arsenal vs Chelsea', 2, 'Arsenal', { market: '1X2', selection: 'home' });
+  await svc.addMatch(slipId, 77, 'Spurs vs Everton', 1.5, 'Over 2.5', { market: 'OU', selection: 'over', line: 2.5 });
+  let slip = await svc.getSlip(slipId);
+  assert.equal(slip.matches.length, 2);
+  assert.equal(slip.totalOdds, '3.00');
+
+  await svc.removeMatch(slipId, slip.matches[0].legId);
+  slip = await svc.getSlip(slipId);
+  assert.equal(slip.totalOdds, '1.50');
+
+  const bet = svc.toBet(slip, 1);
+  assert.deepEqual(bet.legs[0], { fixtureId: 77, fixtureText: 'Spurs vs Everton', market: 'OU', selection: 'over', line: 2.5, odds: 1.5 });
+  assert.equal(await svc.getActiveSlipId(1, false), slipId);
+});
+
+test('telegram-handler-v2 - slip flow adds legs and places an accumulator', async () => {
+  const redis = new MockRedis();
+  const services = { sportsAggregator: { getMatchById: async (id) => (String(id) === '55' ? match : null) } };
+  const cb = (data) => ({ id: 'cb', from: { id: 9 }, message: { chat: { id: 9 } }, data });
+
+  const picker = await handleCallbackQuery(cb('slip_add_55'), redis, services);
+  assert.ok(picker.text.includes('Arsenal'));
+  assert.ok(picker.reply_markup.inline_keyboard.flat().some(b => b.callback_data === 'slip_pick_55_O25'));
+
+  await handleCallbackQuery(cb('slip_pick_55_H'), redis, services);
+  const view = await handleCallbackQuery(cb('slip_pick_55_O25'), redis, services);
+  assert.ok(view.text.includes('3.80'), 'combined odds should be shown');
+  assert.ok(view.text.includes('Correlated'), 'same-fixture legs should be flagged');
+
+  const placed = await handleCallbackQuery(cb('slip_place'), redis, services);
+  assert.ok(placed.text.includes('Bet placed'));
+  const stored = JSON.parse(redis.lists.get('user:9:bets')[0]);
+  assert.equal(stored.legs.length, 2);
+  assert.equal(stored.status, 'pending');
+  assert.equal(await redis.get('user:9:slip:active'), null);
+});
+
+test('telegram-handler-v2 - unpriced legs are refused and never placed', async () => {
+  const redis = new MockRedis();
+  const services = { sportsAggregator: { getMatchById: async (id) => (String(id) === '55' ? match : null) } };
+  const cb = (data) => ({ id: 'cb', from: { id: 9 }, message: { chat: { id: 9 } }, data });
+
+  const picker = await handleCallbackQuery(cb('slip_add_55'), redis, services);
+  assert.ok(!picker.reply_markup.inline_keyboard.flat().some(b => b.callback_data === 'slip_pick_55_U35'));
+  const refused = await handleCallbackQuery(cb('slip_pick_55_U35'), redis, services);
+  assert.equal(refused.method, 'answerCallbackQuery');
+  assert.equal(await redis.get('user:9:slip:active'), null);
+
+  // A slip saved before prices were required can still hold an unpriced leg
+  const slips = new BettingSlipService(redis);
+  const slipId = await slips.getActiveSlipId(9);
+  await slips.addMatch(slipId, 55, 'Arsenal vs Chelsea', 2, 'Arsenal', { market: '1X2', selection: 'home' });
+  await slips.addMatch(slipId, 55, 'Arsenal vs Chelsea', null, 'Under 3.5', { market: 'OU', selection: 'under', line: 3.5 });
+
+  const placed = await handleCallbackQuery(cb('slip_place'), redis, services);
+  assert.ok(placed.text.includes('No price for *Under 3.5*'));
+  assert.equal(redis.lists.get('user:9:bets'), undefined);
+  assert.equal(redis.sets.get('bets:pending:users'), undefined);
+  assert.ok(await redis.get('user:9:slip:active'), 'slip stays open so the leg can be removed');
+});
+
+test('handler-complete - production callbacks reach the slip flow', async () => {
+  const redis = new MockRedis();
+  const services = { sportsAggregator: { getMatchById: async (id) => (String(id) === '55' ? match : null) } };
+  // The production bot routes callbacks through handler-complete.js
+  const cb = (data) => ({ id: 'cb1', from: { id: 9 }, message: { chat: { id: 9 }, message_id: 42 }, data });
+
+  const details = buildMatchDetailsMenu(match);
+  assert.ok(details.reply_markup.inline_keyboard.flat().some(b => b.callback_data === 'slip_add_55'));
+
+  const picker = await handleCompleteCallback(cb('slip_add_55'), redis, services);
+  assert.equal(picker.method, 'editMessageText');
+  assert.equal(picker.message_id, 42);
+  assert.ok(picker.reply_markup.inline_keyboard.flat().some(b => b.callback_data === 'slip_pick_55_H'));
+
+  const refused = await handleCompleteCallback(cb('slip_pick_55_U35'), redis, services);
+  assert.equal(refused.callback_query_id, 'cb1');
+
+  await handleCompleteCallback(cb('slip_pick_55_H'), redis, services);
+  const placed = await handleCompleteCallback(cb('slip_place'), redis, services);
+  assert.ok(placed.text.includes('Bet placed'));
+  assert.equal(redis.lists.get('user:9:bets').length, 1);
+
+  const bets = await handleCompleteCallback(cb(placed.reply_markup.inline_keyboard[0][0].callback_data), redis, services);
+  assert.ok(bets.text.includes('Arsenal vs Chelsea'));
+  const back = bets.reply_markup.inline_keyboard.flat().find(b => b.text.includes('Back'));
+  const profile = await handleCompleteCallback(cb(back.callback_data), redis, services);
+  assert.ok(profile.text.includes('Your Profile'));
+});
@@ -0,0 +1,113 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ClvService, priceSelection, computeClv, hasKickedOff, CLV_OPEN_KEY } from '../src/services/clv-service.js';
+import { TrackRecordService } from '../src/services/track-record-service.js';
+import { EntityRegistry } from '../src/services/entity-registry.js';
+
+// Mock Redis covering the string/set/sorted-set commands used by CLV tracking
+class MockRedis {
+  constructor() { this.kv = new Map(); this.sets = new Map(); this.zsets = new Map(); }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async mget(...keys) { return keys.map(k => this.kv.get(k) ?? null); }
+  async set(k, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async sadd(k, v) { const s = this.sets.get(k) || new Set(); s.add(String(v)); this.sets.set(k, s); return 1; }
+  async srem(k, v) { (this.sets.get(k) || new Set()).delete(String(v)); return 1; }
+  async smembers(k) { return Array.from(this.sets.get(k) || []); }
+  async zadd(k, score, member) { const z = this.zsets.get(k) || new Map(); z.set(member, Number(score)); this.zsets.set(k, z); return 1; }
+  async zrangebyscore(k) { return Array.from((this.zsets.get(k) || new Map()).keys()); }
+}
+
+test('priceSelection - normalizes formats and removes the margin for 1X2', () => {
+  const entry = { home: 'A', away: 'B', homeOdds: '+100', drawOdds: '5/2', awayOdds: 4.0, bookmaker: 'Book' };
+  const p = priceSelection(entry, { market: '1X2', selection: 'home' });
+  assert.equal(p.price, 2);
+  assert.ok(Math.abs(p.fair - 0.5 / (0.5 + 1 / 3.5 + 0.25)) < 1e-9);
+  assert.equal(priceSelection(entry, { market: 'DC', selection: '1X' }).fair, null);
+  assert.equal(priceSelection(entry, { market: 'OU', selection: 'over', line: 2.5 }), null);
+});
+
+test('computeClv and hasKickedOff', () => {
+  assert.deepEqual(computeClv(2.2, { price: 2.0, fair: 0.5 }), { clv: 0.1, clvNoVig: 0.1, beatClose: true });
+  assert.equal(computeClv(1.8, { price: 2.0, fair: null }).beatClose, false);
+  assert.equal(hasKickedOff({ status: 'SCHEDULED' }), false);
+  assert.equal(hasKickedOff({ status: 'LIVE' }), true);
+  assert.equal(hasKickedOff({ status: 'POSTPONED' }), false);
+  assert.equal(hasKickedOff(null, '2020-01-01T15:00:00Z'), true);
+});
+
+test('ClvService - opening snapshot on record, closing frozen at kickoff, report by source', async () => {
+  const redis = new MockRedis();
+  let odds = [{ home: 'Arsenal', away: 'Chelsea', homeOdds: 2.1, drawOdds: 3.4, awayOdds: 3.6, bookmaker: 'Book' }];
+  let status = 'SCHEDULED';
+  const sportsAggregator = {
+    getOdds: async () => odds,
+    getAllLiveMatches: async () => [{ id: 1, home: 'Arsenal', away: 'Chelsea', status }]
+  };
+  const clv = new ClvService(redis, { sportsAggregator });
+  const trackRecord = new TrackRecordService(redis, { sportsAggregator, clv });
+
+  const tip = await trackRecord.recordTip({ source: 'quick_tips', home: 'Arsenal', away: 'Chelsea', pick: 'HOME_WIN', odds: 2.1, confidence: 70 });
+  assert.equal((await clv.get(tip.id)).opening.price, 2.1);
+
+  // Line shortens before kickoff: we took the better price
+  odds = [{ home: 'Arsenal', away: 'Chelsea', homeOdds: 1.75, drawOdds: 3.8, awayOdds: 4.8, bookmaker: 'Book' }];
+  assert.equal((await clv.captureClosing()).refreshed, 1);
+
+  status = 'LIVE';
+  odds = [{ home: 'Arsenal', away: 'Chelsea', homeOdds: 1.3, drawOdds: 5, awayOdds: 9, bookmaker: 'Book' }];
+  assert.equal((await clv.captureClosing()).closed, 1);
+  assert.equal((await redis.smembers(CLV_OPEN_KEY)).length, 0);
+
+  const record = await clv.get(tip.id);
+  assert.equal(record.closing.price, 1.75, 'in-play prices must not be used as the close');
+  assert.equal(record.result.clv, 0.2);
+  assert.ok(record.result.clvNoVig > 0);
+
+  const report = await trackRecord.getReport();
+  assert.equal(report.clv.bySource.quick_tips.avgClv, 0.2);
+  assert.equal(report.clv.overall.beatCloseRate, 1);
+  assert.ok(trackRecord.formatReport(report).includes('Beat the close'));
+});
+
+test('ClvService - matches odds and live rows through the entity registry, not exact names', async () => {
+  const redis = new MockRedis();
+  const entities = new EntityRegistry(null);
+  const kickoff = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString();
+  entities.resolveFixture({ provider: 'footballdata', providerId: 9, home: 'Tottenham Hotspur', away: 'Manchester United', kickoff, homeRef: 73, awayRef: 66 });
+
+  // The odds feed spells the fixture its own way and also prices the women's match
+  const oddsRow = (home, away, homeOdds) => ({ provider: 'oddsapi', home, away, kickoff, homeOdds, drawOdds: 3.5, awayOdds: 3.2, bookmaker: 'Book' });
+  let odds = entities.annotateMatches([oddsRow('Tottenham Hotspur Women', 'Manchester United Women', 1.5), oddsRow('Spurs', 'Man Utd', 2.4)], 'oddsapi');
+  let live = [{ id: 2, home: 'Tottenham Hotspur Women', away: 'Manchester United Women', status: 'LIVE' }];
+  const sportsAggregator = { entities, getOdds: async () => odds, getAllLiveMatches: async () => live };
+  const clv = new ClvService(redis, { sportsAggregator });
+
+  const record = await clv.captureOpening({ id: 'tip-spurs', home: 'Tottenham Hotspur', away: 'Manchester United', kickoff, odds: 2.4, selection: { market: '1X2', selection: 'home' } });
+  assert.equal(record.fixtureId, 'tottenham-hotspur-v-manchester-united-' + kickoff.slice(0, 10));
+  assert.equal(record.opening.price, 2.4, 'canonical fixture ID, not the women\'s row');
+
+  odds = [oddsRow('Tottenham Hotspurs', 'Manchester Utd', 2.2)];
+  assert.deepEqual(await clv.captureClosing(), { checked: 1, refreshed: 1, closed: 0, expired: 0 }, 'the women\'s match kicking off does not close the tip');
+  assert.equal((await clv.get('tip-spurs')).latest.price, 2.2, 'team aliases when the row has no canonical ID');
+
+  live = [{ id: 1, home: 'Tottenham Hotspurs', away: 'Manchester Utd', status: 'LIVE' }];
+  assert.equal((await clv.captureClosing()).closed, 1);
+  assert.equal((await clv.get('tip-spurs')).result.clv, 0.0909);
+});
+
+test('ClvService - resolves a provider fixture ID on the tip to the canonical fixture', async () => {
+  const redis = new MockRedis();
+  const entities = new EntityRegistry(null);
+  const kickoff = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString();
+  const fixture = entities.resolveFixture({ provider: 'footballdata', providerId: 9, home: 'Tottenham Hotspur', away: 'Manchester United', kickoff, homeRef: 73, awayRef: 66 });
+  const odds = entities.annotateMatches([{ provider: 'oddsapi', home: 'Spurs', away: 'Man Utd', kickoff, homeOdds: 2.4, drawOdds: 3.5, awayOdds: 3.2, bookmaker: 'Book' }], 'oddsapi');
+  const clv = new ClvService(redis, { sportsAggregator: { entities, getOdds: async () => odds, getAllLiveMatches: async () => [] } });
+
+  // Names the registry cannot place on their own, so only the fixture ID can match
+  const record = await clv.captureOpening({ id: 'tip-9', fixtureId: 9, home: 'THFC', away: 'MUFC', kickoff, odds: 2.4, selection: { market: '1X2', selection: 'home' } });
+  assert.equal(record.fixtureId, fixture.id);
+  assert.equal(record.opening.price, 2.4);
+
+  const unknown = await clv.captureOpening({ id: 'tip-404', fixtureId: 404, home: 'Spurs', away: 'Man Utd', kickoff, odds: 2.4, selection: { market: '1X2', selection: 'home' } });
+  assert.equal(unknown.fixtureId, fixture.id, 'unknown provider IDs fall back to the team names');
+});
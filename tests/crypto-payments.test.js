@@ -0,0 +1,254 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createBinancePayClient, setDefaultBinancePayClient, signBinancePayload, verifyBinanceSignature } from '../src/lib/binance-pay-client.js';
+import { createStubBackend } from '../src/lib/chain-backends.js';
+import { CryptoPaymentService, quoteCrypto, looksLikeTxid } from '../src/services/crypto-payments.js';
+import { handleBinanceWebhook } from '../src/handlers/payment-webhook.js';
+import { WebhookPipeline, providerEventId } from '../src/services/webhook-pipeline.js';
+import { createPaymentOrder, getOrder } from '../src/handlers/payment-router.js';
+
+// Mock Redis with the string, counter, list, hash, set and sorted-set commands used by orders, grants and the webhook pipeline
+class MockRedis {
+  constructor() { this.kv = new Map(); this.hashes = new Map(); this.sets = new Map(); this.lists = new Map(); }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async set(k, v, ...args) {
+    if (args.includes('NX') && this.kv.has(k)) return null;
+    this.kv.set(k, String(v));
+    return 'OK';
+  }
+  async setex(k, _ttl, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async del(k) { this.kv.delete(k); this.hashes.delete(k); return 1; }
+  async expire() { return 1; }
+  async incr(k) { const n = Number(this.kv.get(k) || 0) + 1; this.kv.set(k, String(n)); return n; }
+  async lpush(k, v) { const l = this.lists.get(k) || []; l.unshift(String(v)); this.lists.set(k, l); return l.length; }
+  async ltrim() { return 'OK'; }
+  async hset(k, ...args) {
+    const h = this.hashes.get(k) || {};
+    for (let i = 0; i < args.length; i += 2) h[args[i]] = String(args[i + 1]);
+    this.hashes.set(k, h);
+    return 1;
+  }
+  async hget(k, f) { return (this.hashes.get(k) || {})[f] ?? null; }
+  async hgetall(k) { return { ...(this.hashes.get(k) || {}) }; }
+  async hdel(k, f) { delete (this.hashes.get(k) || {})[f]; return 1; }
+  async hincrby(k, f, n) { return this.hincrbyfloat(k, f, n); }
+  async hincrbyfloat(k, f, n) {
+    const h = this.hashes.get(k) || {};
+    h[f] = String(Number(h[f] || 0) + Number(n));
+    this.hashes.set(k, h);
+    return h[f];
+  }
+  async sadd(k, v) { const s = this.sets.get(k) || new Set(); s.add(String(v)); this.sets.set(k, s); return 1; }
+  async smembers(k) { return [...(this.sets.get(k) || [])]; }
+  async sismember(k, v) { return (this.sets.get(k) || new Set()).has(String(v)) ? 1 : 0; }
+  async zadd() { return 1; }
+  async zrem() { return 1; }
+}
+
+const BTC_ADDRESS = 'bc1qbetrixtestaddress0000000000000000000';
+const TRON_ADDRESS = 'TBetrixTestAddress00000000000000000';
+const txid = (n) => String(n).padStart(64, 'a');
+
+function signedDelivery(body, secret, { timestamp = Date.now(), nonce = 'n0nce', raw = JSON.stringify(body) } = {}) {
+  return { body, rawBody: raw, headers: { 'binancepay-timestamp': String(timestamp), 'binancepay-nonce': nonce, 'binancepay-signature': signBinancePayload(timestamp, nonce, raw, secret) } };
+}
+
+test('crypto payments - Binance Pay orders are created with signed requests and a checkout link', async () => {
+  const calls = [];
+  const fetchStub = async (url, init) => {
+    calls.push({ url, init });
+    return { status: 200, ok: true, json: async () => ({ status: 'SUCCESS', code: '000000', data: { prepayId: '2938393749303836', checkoutUrl: 'https://pay.binance.com/checkout/abc', qrcodeLink: 'https://qr/abc', deeplink: 'bnc://app/abc', expireTime: 1 } }) };
+  };
+  const client = createBinancePayClient({ apiKey: 'KEY', secret: 'SECRET', baseUrl: 'https://bpay.test', fetch: fetchStub });
+  setDefaultBinancePayClient(client);
+  try {
+    const redis = new MockRedis();
+    const order = await createPaymentOrder(redis, 1901, 'PRO', 'BINANCE', 'NG');
+    assert.equal(order.currency, 'USDT');
+    assert.equal(order.providerRef, '2938393749303836');
+    assert.equal(order.instructions.checkoutUrl, 'https://pay.binance.com/checkout/abc');
+    assert.equal(redis.kv.get('payment:by_provider_ref:BINANCE:2938393749303836'), order.orderId);
+
+    const { url, init } = calls[0];
+    assert.equal(url, 'https://bpay.test/binancepay/openapi/v3/order');
+    const sent = JSON.parse(init.body);
+    assert.equal(sent.merchantTradeNo, order.orderId);
+    assert.equal(sent.orderAmount, order.totalAmount);
+    const h = init.headers;
+    assert.equal(h['BinancePay-Certificate-SN'], 'KEY');
+    assert.equal(h['BinancePay-Signature'], signBinancePayload(h['BinancePay-Timestamp'], h['BinancePay-Nonce'], init.body, 'SECRET'));
+  } finally {
+    setDefaultBinancePayClient(null);
+  }
+
+  const signed = { timestamp: 1700000000000, nonce: 'abc', body: '{"a":1}' };
+  signed.signature = signBinancePayload(signed.timestamp, signed.nonce, signed.body, 'SECRET');
+  assert.deepEqual(verifyBinanceSignature(signed, 'SECRET', { now: 1700000001000 }), { ok: true, reason: null });
+  assert.equal(verifyBinanceSignature({ ...signed, body: '{"a":2}' }, 'SECRET', { now: 1700000001000 }).reason, 'signature mismatch');
+  assert.equal(verifyBinanceSignature(signed, 'SECRET', { now: 1700000000000 + 10 * 60 * 1000 }).reason, 'stale timestamp');
+});
+
+test('crypto payments - signed Binance Pay webhooks settle the order; tampered, short and over payments are handled', async () => {
+  process.env.BINANCE_PAY_SECRET = 'WEBHOOKSECRET';
+  const sent = [];
+  const bot = { sendMessage: async (chatId, text) => { sent.push({ chatId, text }); } };
+  try {
+    const redis = new MockRedis();
+    const order = await createPaymentOrder(redis, 1911, 'PRO', 'BINANCE', 'KE');
+    const body = (fee) => ({
+      bizType: 'PAY',
+      bizIdStr: '29383937493038367292',
+      bizStatus: 'PAY_SUCCESS',
+      data: JSON.stringify({ merchantTradeNo: order.orderId, totalFee: fee, currency: 'USDT', transactionId: 'M_P_715051' })
+    });
+    assert.equal(providerEventId('BINANCE', body(1)), '29383937493038367292:PAY_SUCCESS');
+
+    const tampered = signedDelivery(body(order.totalAmount), 'WEBHOOKSECRET');
+    tampered.body = body(order.totalAmount + 1);
+    tampered.rawBody = JSON.stringify(tampered.body);
+    assert.match((await handleBinanceWebhook(tampered, redis, bot)).message, /invalid signature: signature mismatch/);
+    assert.match((await handleBinanceWebhook({ body: body(order.totalAmount), headers: {} }, redis, bot)).message, /missing signature headers/);
+
+    const short = await handleBinanceWebhook(signedDelivery(body(5), 'WEBHOOKSECRET'), redis, bot);
+    assert.equal(short.success, false);
+    assert.match(short.message, /Underpaid: 5\//);
+    assert.equal((await getOrder(redis, order.orderId)).status, 'pending');
+    assert.match(sent.at(-1).text, /send the remaining/);
+
+    const over = await handleBinanceWebhook(signedDelivery(body(order.totalAmount + 2), 'WEBHOOKSECRET'), redis, bot);
+    assert.deepEqual([over.success, over.outcome], [true, 'overpaid']);
+    assert.equal(redis.hashes.get('user:1911').tier, 'PRO');
+    assert.equal(redis.hashes.get('user:1911:credit').USDT, '2');
+    assert.match(sent.find(m => m.chatId === 1911 && /Binance Payment Confirmed/.test(m.text)).text, /USDT 2\.00 was added to your account credit/);
+
+    const again = await handleBinanceWebhook(signedDelivery(body(order.totalAmount), 'WEBHOOKSECRET'), redis, bot);
+    assert.match(again.error, /already processed/);
+  } finally {
+    delete process.env.BINANCE_PAY_SECRET;
+  }
+});
+
+test('crypto payments - Binance Pay signatures are checked against the raw body, and verified events replay after the time window', async () => {
+  process.env.BINANCE_PAY_SECRET = 'WEBHOOKSECRET';
+  const realNow = Date.now;
+  try {
+    const redis = new MockRedis();
+    const order = await createPaymentOrder(redis, 1915, 'PRO', 'BINANCE', 'KE');
+    // bizId is a JSON number past 2^53; JSON.parse turns it into 29383937493038370000
+    const data = JSON.stringify({ merchantTradeNo: order.orderId, totalFee: order.totalAmount, currency: 'USDT', transactionId: 'M_P_715099' });
+    const raw = `{"bizType":"PAY","bizId":29383937493038367292,"bizStatus":"PAY_SUCCESS","data":${JSON.stringify(data)}}`;
+    const delivery = signedDelivery(JSON.parse(raw), 'WEBHOOKSECRET', { raw });
+    assert.equal(providerEventId('BINANCE', delivery.body, raw), '29383937493038367292:PAY_SUCCESS');
+
+    const pipeline = new WebhookPipeline(redis, { bot: { sendMessage: async () => {} } });
+    const { id } = await pipeline.ingest('BINANCE', delivery);
+    const stored = await pipeline.get(id);
+    assert.equal(stored.status, 'processed', stored.lastError);
+    assert.equal(stored.rawBody, raw);
+    assert.equal((await getOrder(redis, order.orderId)).status, 'completed');
+    assert.match((await handleBinanceWebhook({ ...delivery, rawBody: null }, redis, null)).message, /signature mismatch/, 're-encoding the parsed body breaks the signature');
+
+    // Ten minutes later: a verified event still replays, a fresh copy of the old delivery does not
+    Date.now = () => realNow() + 10 * 60 * 1000;
+    await pipeline.replay(id);
+    assert.equal((await pipeline.get(id)).status, 'processed');
+    assert.match((await pipeline.get(id)).result.error, /already processed/);
+    assert.match((await handleBinanceWebhook(delivery, redis, null)).message, /stale timestamp/);
+  } finally {
+    Date.now = realNow;
+    delete process.env.BINANCE_PAY_SECRET;
+  }
+});
+
+test('crypto payments - BTC orders get a unique quote from a recent rate and activate after enough confirmations', async () => {
+  process.env.BTC_WALLET_ADDRESS = BTC_ADDRESS;
+  try {
+    const redis = new MockRedis();
+    await redis.hset('fx:rates', 'BTC', '0.00002', '_updatedAt', new Date(Date.now() - 4 * 60 * 60 * 1000).toISOString());
+    const stale = await createPaymentOrder(redis, 1920, 'PRO', 'BITCOIN', 'KE');
+    assert.equal(stale.crypto, undefined, 'no quote from a four-hour-old BTC rate');
+
+    await redis.hset('fx:rates', '_updatedAt', new Date().toISOString());
+    const order = await createPaymentOrder(redis, 1921, 'PRO', 'BITCOIN', 'KE');
+    assert.equal(order.currency, 'USD');
+    assert.equal(order.crypto.address, BTC_ADDRESS);
+    assert.ok(Math.abs(order.crypto.amount - order.totalAmount * 0.00002) < 1e-6, 'USD total at the BTC rate');
+    const quote = (orderId, opts = {}) => quoteCrypto({ ...order, orderId }, 'BITCOIN', { rates: { USD: 1, BTC: 0.00002 }, ratesUpdatedAt: Date.now(), ...opts });
+    assert.notEqual(quote('ORD1').amount, quote('ORD2').amount, 'orders differ by amount');
+    assert.match(order.instructions.steps[0], new RegExp(`${order.crypto.amount} BTC`));
+    assert.equal(quote('ORD1', { rates: { USD: 1 } }), null, 'no BTC rate, no quote');
+    assert.equal(quote('ORD1', { ratesUpdatedAt: null }), null, 'no rate timestamp, no quote');
+
+    const btc = createStubBackend('BTC');
+    const service = new CryptoPaymentService(redis, { backends: { BTC: btc } });
+    btc.addTransaction({ txid: txid(1), outputs: [{ address: 'bc1qsomeoneelse', amount: 1 }], confirmations: 3 });
+    await assert.rejects(service.submitTransaction(1921, txid(1)), /does not pay our address/);
+    await assert.rejects(service.submitTransaction(1921, txid(9)), /not found on Bitcoin/);
+    await assert.rejects(service.submitTransaction(1921, 'hello'), /does not look like a transaction hash/);
+    btc.addTransaction({ txid: txid(3), outputs: [{ address: BTC_ADDRESS, amount: order.crypto.amount }], confirmations: 40, time: Date.parse(order.createdAt) - 3 * 60 * 60 * 1000 });
+    await assert.rejects(service.submitTransaction(1921, txid(3)), /sent before this order was created/);
+    assert.equal(looksLikeTxid(`0x${txid(2)}`), true);
+
+    btc.addTransaction({ txid: txid(2), outputs: [{ address: BTC_ADDRESS, amount: order.crypto.amount }], confirmations: 1 });
+    const seen = await service.submitTransaction(1921, `0x${txid(2).toUpperCase()}`);
+    assert.deepEqual([seen.status, seen.confirmations, seen.required], ['confirming', 1, 2]);
+    await assert.rejects(service.submitTransaction(1922, txid(2)), /No crypto payment is waiting/);
+
+    btc.confirm(txid(2), 2);
+    const summary = await service.checkWatched();
+    assert.deepEqual([summary.checked, summary.activated], [1, 1]);
+    assert.equal(redis.hashes.get('user:1921').tier, 'PRO');
+    assert.equal((await service.listWatched()).length, 0);
+  } finally {
+    delete process.env.BTC_WALLET_ADDRESS;
+  }
+});
+
+test('crypto payments - submitted USDT-TRC20 hashes settle short and excess amounts, scans need the exact quote; hashes are claimed for good', async () => {
+  process.env.USDT_TRC20_ADDRESS = TRON_ADDRESS;
+  try {
+    const redis = new MockRedis();
+    const claims = [];
+    const set = redis.set.bind(redis);
+    redis.set = async (k, v, ...args) => {
+      if (k.startsWith('payment:crypto_tx:')) claims.push(args);
+      return set(k, v, ...args);
+    };
+    const order = await createPaymentOrder(redis, 1931, 'VVIP', 'usdt', 'KE');
+    assert.equal(order.paymentMethod, 'USDT_TRC20');
+    assert.equal(order.crypto.asset, 'USDT');
+    const due = order.crypto.amount;
+
+    const tron = createStubBackend('TRON');
+    const sent = [];
+    const service = new CryptoPaymentService(redis, { backends: { TRON: tron }, adminId: 99, telegram: { sendMessage: async (chatId, text) => { sent.push({ chatId, text }); } } });
+
+    // Other people's payments to the shared address: a different amount, or the right amount mined before the order
+    const half = Math.round(due * 5000) / 10000;
+    tron.addTransaction({ txid: txid(11), outputs: [{ address: TRON_ADDRESS, amount: half }], confirmations: 25, time: Date.now() });
+    tron.addTransaction({ txid: txid(12), outputs: [{ address: TRON_ADDRESS, amount: due }], confirmations: 25, time: Date.parse(order.createdAt) - 60 * 60 * 1000 });
+    await assert.rejects(service.submitTransaction(1931, txid(12)), /sent before this order was created/);
+    assert.equal((await service.checkWatched()).activated, 0, 'the address scan skips both');
+    assert.equal((await service.getWatch(order.orderId)).txs.length, 0);
+
+    // The user's own hash counts at any amount: short first, then more than the remainder
+    const short = await service.submitTransaction(1931, txid(11));
+    assert.equal(short.status, 'underpaid');
+    assert.equal(short.remaining, Math.round((due - half) * 10000) / 10000);
+    assert.match(sent.find(m => m.chatId === 99).text, /Underpayment/);
+    tron.addTransaction({ txid: txid(13), outputs: [{ address: TRON_ADDRESS, amount: short.remaining + 1 }], confirmations: 20, time: Date.now() });
+    const settled = await service.submitTransaction(1931, txid(13));
+    assert.deepEqual([settled.status, settled.outcome], ['activated', 'overpaid']);
+    assert.ok(settled.credit.amount > 0, 'the excess becomes account credit');
+    assert.equal(redis.hashes.get('user:1931').tier, 'VVIP');
+
+    // A second order can not reuse the same transaction
+    await new Promise(r => setTimeout(r, 2));
+    const other = await createPaymentOrder(redis, 1932, 'PRO', 'USDT_TRC20', 'KE');
+    await assert.rejects(service.submitTransaction(1932, txid(13), { orderId: other.orderId }), /already used/);
+    assert.deepEqual((await service.listWatched()).map(e => e.orderId), [other.orderId]);
+    assert.ok(claims.length > 0 && claims.every(args => !args.includes('EX')), 'transaction claims never expire');
+  } finally {
+    delete process.env.USDT_TRC20_ADDRESS;
+  }
+});
@@ -0,0 +1,163 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createDarajaClient, darajaResult, normalizeMsisdn } from '../src/lib/daraja-client.js';
+import { createStkBackend, mpesaBackendName } from '../src/lib/mpesa-backend.js';
+import { MpesaStkService, stkStatusMessage } from '../src/services/mpesa-stk.js';
+import { createPaymentOrder } from '../src/handlers/payment-router.js';
+import { handleMpesaCallback } from '../src/handlers/payment-webhook.js';
+import { createDarajaAdapter } from '../src/adapters/payment-daraja.js';
+import { startDarajaStub } from '../scripts/daraja-stub-server.js';
+
+// Mock Redis with the string, hash and sorted-set commands used by orders and grants
+class MockRedis {
+  constructor() { this.kv = new Map(); this.hashes = new Map(); }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async set(k, v, ...args) {
+    if (args.includes('NX') && this.kv.has(k)) return null;
+    this.kv.set(k, String(v));
+    return 'OK';
+  }
+  async setex(k, _ttl, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async del(k) { this.kv.delete(k); this.hashes.delete(k); return 1; }
+  async expire() { return 1; }
+  async hset(k, ...args) {
+    const h = this.hashes.get(k) || {};
+    for (let i = 0; i < args.length; i += 2) h[args[i]] = String(args[i + 1]);
+    this.hashes.set(k, h);
+    return 1;
+  }
+  async hgetall(k) { return { ...(this.hashes.get(k) || {}) }; }
+  async hdel(k, f) { delete (this.hashes.get(k) || {})[f]; return 1; }
+  async zadd() { return 1; }
+  async zrem() { return 1; }
+}
+
+async function withStub(opts, fn) {
+  const stub = await startDarajaStub(opts);
+  try {
+    const client = createDarajaClient({ baseUrl: stub.baseUrl, consumerKey: stub.consumerKey, consumerSecret: stub.consumerSecret, shortcode: '174379', passkey: 'pk', callbackUrl: 'https://example.test/webhooks/payments/mpesa' });
+    return await fn(stub, client);
+  } finally {
+    await stub.close();
+  }
+}
+
+function telegramMock() {
+  const sent = [];
+  return { sent, sendMessage: async (chatId, text) => { sent.push({ chatId, text }); } };
+}
+
+test('daraja client - caches the OAuth token, refreshes a rejected one and registers C2B URLs', async () => {
+  await withStub({}, async (stub, client) => {
+    const first = await client.stkPush({ amount: 299.5, phone: '0712 000 001', accountReference: 'ORD1' });
+    const second = await client.stkPush({ amount: 300, phone: '+254712000002' });
+    assert.equal(first.ok, true);
+    assert.match(first.checkoutRequestId, /^ws_CO_STUB_/);
+    assert.equal(stub.state.tokensIssued, 1, 'one token for both calls');
+    assert.equal(stub.state.pushes.get(first.checkoutRequestId).phone, '254712000001');
+    assert.equal(stub.state.pushes.get(first.checkoutRequestId).amount, 300, 'amount rounded up to whole shillings');
+    assert.notEqual(first.checkoutRequestId, second.checkoutRequestId);
+
+    stub.expireTokens();
+    const query = await client.stkQuery({ checkoutRequestId: first.checkoutRequestId });
+    assert.equal(stub.state.tokensIssued, 2, 'a 401 fetches a fresh token once');
+    assert.equal(query.status, 'pending');
+
+    const c2b = await client.registerC2BUrls({ confirmationUrl: 'https://example.test/webhooks/payments/c2b' });
+    assert.equal(c2b.ok, true);
+    assert.equal(stub.state.c2b[0].ValidationURL, 'https://example.test/webhooks/payments/c2b');
+    await assert.rejects(client.stkPush({ amount: 10, phone: '12345' }), /Safaricom phone number/);
+  });
+});
+
+test('daraja - a cancelled prompt fails the order and tells the user why', async () => {
+  await withStub({ results: { 254712000801: 1032 } }, async (stub, client) => {
+    const redis = new MockRedis();
+    const telegram = telegramMock();
+    const stk = new MpesaStkService(redis, { backend: createStkBackend({ name: 'DARAJA', darajaClient: client }), telegram, queryDelayMs: 0 });
+    const order = await createPaymentOrder(redis, 801, 'PRO', 'MPESA', 'KE');
+
+    const sent = await stk.request(order, '0712000801');
+    assert.equal(sent.outcome, 'sent');
+    assert.equal(sent.gateway, 'DARAJA');
+    assert.match(telegram.sent[0].text, /Payment request sent/);
+    assert.equal(JSON.parse(redis.kv.get(`payment:pending:${order.orderId}`)).gateway, 'DARAJA');
+
+    const result = await handleMpesaCallback({ body: stub.callbackFor(sent.checkoutId), headers: {} }, redis, telegram);
+    assert.equal(result.success, true);
+    const failed = JSON.parse(redis.kv.get(`payment:order:${order.orderId}`));
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.failureReason, 'cancelled');
+    assert.match(telegram.sent[1].text, /Payment cancelled/);
+  });
+});
+
+test('daraja - the status query settles pushes whose callback never came', async () => {
+  await withStub({ results: { 254712000811: 0, 254712000812: 1 } }, async (_stub, client) => {
+    const redis = new MockRedis();
+    const telegram = telegramMock();
+    const stk = new MpesaStkService(redis, { backend: createStkBackend({ name: 'DARAJA', darajaClient: client }), telegram, queryDelayMs: 0 });
+
+    const paid = await createPaymentOrder(redis, 811, 'PRO', 'MPESA', 'KE');
+    const broke = await createPaymentOrder(redis, 812, 'PRO', 'MPESA', 'KE');
+    const waiting = await createPaymentOrder(redis, 813, 'PRO', 'MPESA', 'KE');
+    await stk.request(paid, '254712000811', { notify: false });
+    await stk.request(broke, '254712000812', { notify: false });
+    await stk.request(waiting, '254712000813', { notify: false });
+
+    assert.deepEqual(await stk.check(paid.orderId), { outcome: 'success', reason: null });
+    assert.equal(redis.hashes.get('user:811').tier, 'PRO');
+    assert.equal((await stk.check(broke.orderId)).outcome, 'insufficient_funds');
+    assert.match(telegram.sent.find(m => m.chatId === 812).text, /Insufficient M-Pesa balance/);
+    assert.equal((await stk.check(waiting.orderId)).outcome, 'pending');
+    assert.equal(await stk.check(paid.orderId), null, 'settled orders are not queried again');
+  });
+});
+
+test('daraja - a forged success callback does not activate the order', async () => {
+  await withStub({ results: { 254712000822: 0 } }, async (stub, client) => {
+    const redis = new MockRedis();
+    const telegram = telegramMock();
+    const stk = new MpesaStkService(redis, { backend: createStkBackend({ name: 'DARAJA', darajaClient: client }), telegram, queryDelayMs: 0 });
+    const adapters = { DARAJA: createDarajaAdapter({ client }) };
+    const forged = (checkoutId, phone) => ({
+      body: { Body: { stkCallback: { CheckoutRequestID: checkoutId, ResultCode: 0, CallbackMetadata: { Item: [{ Name: 'Amount', Value: 1 }, { Name: 'MpesaReceiptNumber', Value: 'FAKE1' }, { Name: 'PhoneNumber', Value: phone }] } } } },
+      headers: {}
+    });
+    const status = (order) => JSON.parse(redis.kv.get(`payment:order:${order.orderId}`)).status;
+
+    const order = await createPaymentOrder(redis, 821, 'PRO', 'MPESA', 'KE', { phone: '254712000821' });
+    const sent = await stk.request(order, '254712000821', { notify: false });
+
+    // Unknown checkout id: the phone mapping set at order creation is not used for unsigned callbacks
+    assert.equal((await handleMpesaCallback(forged('ws_CO_FAKE', 254712000821), redis, telegram, { adapters })).message, 'Order mapping not found');
+    // Real checkout id, but the customer has not paid: retried until Daraja answers
+    assert.match((await handleMpesaCallback(forged(sent.checkoutId, 254712000821), redis, telegram, { adapters })).error, /not confirmed yet/);
+    stub.answer(sent.checkoutId, 1032);
+    assert.equal((await handleMpesaCallback(forged(sent.checkoutId, 254712000821), redis, telegram, { adapters })).message, 'Payment not confirmed by provider');
+    assert.equal(status(order), 'pending');
+    assert.equal(redis.hashes.get('user:821')?.tier, undefined);
+
+    const paid = await createPaymentOrder(redis, 822, 'PRO', 'MPESA', 'KE');
+    const push = await stk.request(paid, '254712000822', { notify: false });
+    assert.equal((await handleMpesaCallback({ body: stub.callbackFor(push.checkoutId), headers: {} }, redis, telegram, { adapters })).success, true);
+    assert.equal(status(paid), 'completed');
+  });
+});
+
+test('daraja - result codes, status messages and backend selection', () => {
+  assert.deepEqual(darajaResult({ ResultCode: '1037' }), { status: 'failed', reason: 'timeout', code: 1037 });
+  assert.equal(darajaResult({ ResultCode: 2001 }).reason, 'wrong_pin');
+  assert.equal(darajaResult({ ResultCode: 0 }).status, 'success');
+  assert.equal(darajaResult({ errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' }).status, 'pending');
+  assert.equal(darajaResult({ errorCode: '400.002.02' }).status, 'unknown');
+  assert.equal(normalizeMsisdn('0112345678'), '254112345678');
+
+  assert.match(stkStatusMessage('timeout'), /timed out/);
+  assert.match(stkStatusMessage('sent', { amount: 300 }), /KES 300/);
+  assert.match(stkStatusMessage('result_17', { reason: 'result_17' }), /could not complete[\s\S]*result_17/);
+
+  assert.equal(mpesaBackendName({ MPESA_BACKEND: 'daraja', LIPANA_API_KEY: 'x' }), 'DARAJA');
+  assert.equal(mpesaBackendName({ LIPANA_API_KEY: 'x', MPESA_CONSUMER_KEY: 'y' }), 'LIPANA');
+  assert.equal(mpesaBackendName({ MPESA_CONSUMER_KEY: 'y' }), 'DARAJA');
+});
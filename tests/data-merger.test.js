@@ -0,0 +1,153 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DataMerger, mergeRecords, matchFields, normalizeStatus, reliabilityFromEnv } from '../src/services/data-merger.js';
+import { EntityRegistry } from '../src/services/entity-registry.js';
+import { SportsAggregator } from '../src/services/sports-aggregator.js';
+import { DataExposureHandler } from '../src/handlers/data-exposure-handler.js';
+import { normalizeMatch, chooseBestMatch } from '../src/services/normalizer.js';
+
+// Mock Redis with the string and hash commands used by the merger and raw data cache
+class MockRedis {
+  constructor() { this.kv = new Map(); this.hashes = new Map(); }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async setex(k, _ttl, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async expire() { return 1; }
+  async hset(k, f, v) { const h = this.hashes.get(k) || {}; h[f] = String(v); this.hashes.set(k, h); return 1; }
+  async hget(k, f) { return (this.hashes.get(k) || {})[f] ?? null; }
+  async hgetall(k) { return { ...(this.hashes.get(k) || {}) }; }
+  async hdel(k, f) { delete (this.hashes.get(k) || {})[f]; return 1; }
+}
+
+const NOW = Date.parse('2026-10-18T16:00:00Z');
+const ago = (ms) => new Date(NOW - ms).toISOString();
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('data merger - fresher sources win volatile fields, agreement adds up, provenance kept', () => {
+  const observations = [
+    { source: 'footballdata', observedAt: ago(6 * 60 * 1000), fields: { score: [1, 0], status: 'LIVE', minute: 61, venue: 'Old Trafford' } },
+    { source: 'flashscore', observedAt: ago(30 * 1000), fields: { score: [2, 0], status: 'LIVE', minute: 67, venue: null } },
+    { source: 'espn', observedAt: ago(60 * 1000), fields: { score: [2, 0], status: 'LIVE', minute: 66, venue: 'Old Trafford Stadium' } }
+  ];
+  const { values, provenance, conflicts } = mergeRecords(observations, { now: NOW });
+
+  assert.deepEqual(values.score, [2, 0], 'six-minute-old API poll loses to two fresh sources');
+  assert.equal(provenance.score.source, 'flashscore', 'freshest of the agreeing sources supplied it');
+  assert.deepEqual(provenance.score.agreedBy.sort(), ['espn', 'flashscore']);
+  assert.equal(values.minute, 67, 'minutes projected to now before comparing');
+  assert.deepEqual(provenance.minute.agreedBy.sort(), ['espn', 'flashscore', 'footballdata']);
+  assert.equal(values.venue, 'Old Trafford', 'static fields go by reliability, not age');
+  assert.deepEqual(conflicts.map(c => c.field).sort(), ['score', 'venue']);
+  assert.equal(conflicts.find(c => c.field === 'score').candidates.length, 3);
+
+  const stale = mergeRecords([observations[0], { ...observations[1], observedAt: ago(20 * 60 * 1000) }], { now: NOW });
+  assert.deepEqual(stale.values.score, [1, 0]);
+
+  assert.equal(reliabilityFromEnv({ MERGE_SOURCE_RELIABILITY: '{"Flashscore.com":0.95}' }).flashscore, 0.95);
+  assert.equal(normalizeStatus('IN_PLAY'), 'LIVE');
+  assert.equal(normalizeStatus('TIMED'), 'SCHEDULED');
+  assert.equal(normalizeStatus("45+2'"), 'LIVE');
+  assert.deepEqual(matchFields({ home: 'A', away: 'B', homeScore: 0, awayScore: 0, status: 'LIVE', time: "45+2'", venue: 'TBA' }).minute, 47);
+  assert.equal(matchFields({ home: 'A', away: 'B', status: 'LIVE', venue: 'TBA' }).venue, null);
+});
+
+test('data merger - aggregator rows from every source merge into one fixture', async () => {
+  const redis = new MockRedis();
+  const entities = new EntityRegistry(null, { now: () => NOW });
+  const merger = new DataMerger(redis, { entities, now: () => NOW });
+  const aggregator = new SportsAggregator(null, { entities, merger });
+
+  const [fd] = aggregator._formatMatches([{
+    id: 501, utcDate: '2026-10-18T15:00:00Z', status: 'IN_PLAY', minute: 55, lastUpdated: ago(7 * 60 * 1000),
+    homeTeam: { id: 66, name: 'Manchester United FC' }, awayTeam: { id: 73, name: 'Tottenham Hotspur FC' },
+    competition: { code: 'PL', name: 'Premier League' }, score: { fullTime: { home: 1, away: 0 } }
+  }], 'football-data');
+  aggregator._formatMatches([{
+    id: 19000001, starting_at: '2026-10-18 15:00:00', state_id: 2, minute: 61, league_id: 8,
+    participants: [{ id: 14, name: 'Manchester United', score: 1 }, { id: 6, name: 'Tottenham Hotspur', score: 1 }]
+  }], 'sportsmonks');
+  await settle();
+  const scraped = entities.annotateMatches([{ home: 'Man Utd', away: 'Spurs', homeScore: 1, awayScore: 1, status: 'LIVE', time: "61'", scrapedAt: ago(30 * 1000), provider: 'flashscore.com' }], 'flashscore');
+  assert.equal(await merger.observe(scraped), 1);
+
+  const fixtureId = fd.canonical.fixtureId;
+  assert.deepEqual(Object.keys(redis.hashes.get(`merge:fixture:${fixtureId}`)).sort(), ['flashscore', 'footballdata', 'sportsmonks']);
+
+  const merged = await merger.getMergedMatch(501, { provider: 'football-data' });
+  assert.equal(merged.fixtureId, fixtureId);
+  assert.equal(merged.homeScore, 1);
+  assert.equal(merged.awayScore, 1, 'equaliser seen by the fresher sources');
+  assert.equal(merged.status, 'LIVE');
+  assert.equal(merged.kickoff, '2026-10-18T15:00:00.000Z');
+  assert.equal(merged.league, 'Premier League', 'only Football-Data sent a league name');
+  assert.equal(merged.provenance.league.source, 'footballdata');
+  assert.deepEqual(merged.provenance.score.agreedBy.sort(), ['flashscore', 'sportsmonks']);
+  assert.ok(!merged.conflicts.some(c => c.field === 'home'), 'spellings of one club are not a conflict');
+  assert.deepEqual(merged.sources.map(s => s.source).sort(), ['flashscore', 'footballdata', 'sportsmonks']);
+  assert.equal((await merger.getMergedMatch(19000001)).fixtureId, fixtureId, 'any provider ID resolves');
+  assert.equal((await merger.getMergedMatch(fixtureId)).fixtureId, fixtureId);
+  assert.equal(await merger.getMergedMatch('nope'), null);
+
+  const older = entities.annotateMatches([{ home: 'Man Utd', away: 'Spurs', homeScore: 0, awayScore: 0, status: 'LIVE', scrapedAt: ago(40 * 60 * 1000), provider: 'flashscore.com' }], 'flashscore');
+  assert.equal(await merger.observe(older), 0, 'late-arriving older scrape does not replace a newer one');
+});
+
+test('data merger - match endpoint exposes merged record with provenance', async () => {
+  const entities = new EntityRegistry(null, { now: () => NOW });
+  const merger = new DataMerger(null, { entities, now: () => NOW });
+  const aggregator = new SportsAggregator(null, { entities, merger });
+  const routes = new Map();
+  const router = { get: (path, fn) => routes.set(`GET ${path}`, fn), post: (path, fn) => routes.set(`POST ${path}`, fn) };
+  new DataExposureHandler(router, aggregator, {});
+
+  const [row] = aggregator._formatMatches([{
+    id: 777, utcDate: '2026-10-18T15:00:00Z', status: 'FINISHED', lastUpdated: ago(60 * 1000),
+    homeTeam: { name: 'Arsenal FC' }, awayTeam: { name: 'Chelsea FC' },
+    competition: { code: 'PL', name: 'Premier League' }, score: { fullTime: { home: 2, away: 2 } }
+  }], 'football-data');
+  await settle();
+  await aggregator.dataCache.storeMatch(777, 'footballdata', row.raw);
+
+  const call = async (matchId, query = {}) => {
+    let body = null;
+    await routes.get('GET /api/data/match/:matchId')({ params: { matchId }, query }, { json: (b) => { body = b; }, status() { return this; } });
+    return body;
+  };
+  const full = await call('777');
+  assert.equal(full.footballdata.id, 777, 'raw provider data still returned');
+  assert.equal(full.merged.fixtureId, row.canonical.fixtureId);
+  assert.equal(full.merged.status, 'FINISHED');
+  assert.deepEqual(full.merged.provenance.score.agreedBy, ['footballdata']);
+
+  const byCanonical = await call(row.canonical.fixtureId, { source: 'merged' });
+  assert.equal(byCanonical.match.homeScore, 2);
+  assert.equal((await call('999', { source: 'merged' })).match, null);
+});
+
+test('data merger - standings merge by canonical team, lagging tables ignored per row', async () => {
+  const entities = new EntityRegistry(null, { now: () => NOW });
+  const merger = new DataMerger(null, { entities, now: () => NOW });
+  const footballData = [
+    { position: 1, team: { id: 57, name: 'Arsenal FC' }, playedGames: 8, won: 6, draw: 1, lost: 1, points: 19, goalsFor: 17, goalsAgainst: 6 },
+    { position: 2, team: { id: 65, name: 'Manchester City FC' }, playedGames: 8, won: 6, draw: 0, lost: 2, points: 18, goalsFor: 19, goalsAgainst: 8 }
+  ];
+  const sportMonks = [
+    { position: 1, participant_id: 9, participant: { name: 'Manchester City' }, played: 9, won: 7, draw: 0, lost: 2, points: 21, goals_for: 22, goals_against: 9 },
+    { position: 2, participant_id: 19, participant: { name: 'Arsenal' }, played: 8, won: 6, draw: 1, lost: 1, points: 19, goals_for: 17, goals_against: 6 }
+  ];
+  const table = merger.mergeStandings([{ source: 'footballdata', rows: footballData }, { source: 'sportsmonks', rows: sportMonks }], { league: 39 });
+
+  assert.deepEqual(table.map(r => [r.position, r.teamId, r.points]), [[1, 'manchester-city', 21], [2, 'arsenal', 19]]);
+  const city = table[0];
+  assert.deepEqual(city.behind, ['footballdata'], 'Football-Data is a matchday behind for City');
+  assert.equal(city.provenance.points.source, 'sportsmonks');
+  assert.deepEqual(table[1].provenance.points.agreedBy.sort(), ['footballdata', 'sportsmonks']);
+  assert.deepEqual(table[1].conflicts, []);
+
+  const best = chooseBestMatch([
+    normalizeMatch({ HomeTeam: 'Arsenal', AwayTeam: 'Chelsea', Date: '2026-10-18', FTHG: 2, FTAG: 1 }, 'footballdata'),
+    normalizeMatch({ home: 'Arsenal', away: 'Chelsea', date: '2026-10-18', fthg: 2, ftag: 2 }, 'openligadb')
+  ]);
+  assert.equal(best.score, '2-2', 'higher-confidence source wins the field');
+  assert.deepEqual(best.sources, ['footballdata', 'openligadb'], 'other sources kept');
+  assert.equal(best.conflicts[0].field, 'score');
+});
@@ -0,0 +1,121 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EntitlementService, productQuota, entitlementMatches } from '../src/services/entitlement-service.js';
+import { createPaymentOrder, verifyAndActivatePayment } from '../src/handlers/payment-router.js';
+import { handleCallbackQuery } from '../src/handlers/telegram-handler-v2.js';
+import { SubscriptionGatekeeper } from '../src/middleware/subscription-gatekeeper.js';
+
+// Mock Redis with the string/hash/set/counter commands used by grants and quotas
+class MockRedis {
+  constructor() { this.kv = new Map(); this.hashes = new Map(); this.sets = new Map(); this.zsets = new Map(); }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async set(k, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async setex(k, _ttl, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async del(k) { this.kv.delete(k); return 1; }
+  async expire() { return 1; }
+  async incrby(k, n) { const v = Number(this.kv.get(k) || 0) + Number(n); this.kv.set(k, String(v)); return v; }
+  async decrby(k, n) { return this.incrby(k, -n); }
+  async hset(k, ...args) {
+    const h = this.hashes.get(k) || {};
+    for (let i = 0; i < args.length; i += 2) h[args[i]] = String(args[i + 1]);
+    this.hashes.set(k, h);
+    return 1;
+  }
+  async hgetall(k) { return { ...(this.hashes.get(k) || {}) }; }
+  async hdel(k, f) { delete (this.hashes.get(k) || {})[f]; return 1; }
+  async sadd(k, v) { const s = this.sets.get(k) || new Set(); s.add(String(v)); this.sets.set(k, s); return 1; }
+  async smembers(k) { return Array.from(this.sets.get(k) || []); }
+  async zadd(k, score, member) { const z = this.zsets.get(k) || new Map(); z.set(member, Number(score)); this.zsets.set(k, z); return 1; }
+  async publish() { return 1; }
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-10-18T12:00:00Z');
+
+test('catalog - products grant named entitlements with quotas', () => {
+  assert.equal(productQuota('FIXED_SILVER', 'fixed_tips'), 15);
+  assert.equal(productQuota('VVIP', 'fixed_tips'), null);
+  assert.equal(productQuota('PRO', 'dossier'), undefined);
+  assert.equal(productQuota('TENNIS_STARTER', 'sport:tennis'), null);
+  assert.equal(productQuota('ALL_ACCESS', 'sport:tennis'), null, 'sport:* covers every sport');
+  assert.ok(!entitlementMatches('sport:tennis', 'sport:cricket'));
+});
+
+test('consume - quotas are counted atomically and reset with each monthly grant', async () => {
+  const redis = new MockRedis();
+  const ent = new EntitlementService(redis);
+  await ent.grant(1, 'FIXED_SILVER', { startsAt: new Date(NOW - DAY) });
+
+  const results = await Promise.all(Array.from({ length: 20 }, () => ent.consume(1, 'fixed_tips', 1, NOW)));
+  assert.equal(results.filter(r => r.ok).length, 15);
+  assert.deepEqual(await ent.check(1, 'fixed_tips', NOW), { allowed: false, quota: 15, used: 15, remaining: 0 });
+
+  // Renewal grant starts when the current one ends: fresh quota then, not before
+  await ent.grant(1, 'FIXED_SILVER', { startsAt: new Date(NOW + 29 * DAY) });
+  assert.equal((await ent.check(1, 'fixed_tips', NOW)).remaining, 0);
+  assert.equal((await ent.check(1, 'fixed_tips', NOW + 30 * DAY)).remaining, 15);
+
+  assert.equal((await ent.consume(1, 'dossier', 1, NOW)).ok, false);
+  assert.equal(await ent.tierOf(1, NOW), 'free');
+  await ent.grant(1, 'VVIP', { startsAt: new Date(NOW) });
+  assert.equal((await ent.consume(1, 'fixed_tips', 1, NOW)).remaining, null, 'VVIP tips are unlimited');
+  assert.equal(await ent.tierOf(1, NOW), 'vvip');
+  assert.equal(await ent.revoke(1, 'VVIP'), 1);
+  assert.equal(await ent.tierOf(1, NOW), 'free');
+});
+
+test('payment activation grants entitlements and legacy users keep access', async () => {
+  const redis = new MockRedis();
+  const order = await createPaymentOrder(redis, 5, 'FIXED_SILVER', 'MPESA', 'KE');
+  await verifyAndActivatePayment(redis, order.orderId, 'TX-5');
+  const ent = new EntitlementService(redis);
+  assert.equal((await ent.check(5, 'fixed_tips')).quota, 15);
+
+  // Activated before grants existed: user hash tier + expiry, UserService role
+  await redis.hset('user:6', 'tier', 'VVIP', 'subscriptionExpiry', new Date(NOW + 5 * DAY).toISOString());
+  assert.equal(await ent.tierOf(6, NOW), 'vvip');
+  assert.equal(await ent.tierOf(6, NOW + 10 * DAY), 'free', 'expired past grace');
+
+  // A later purchase of another product keeps the legacy tier alongside it
+  await ent.grant(6, 'FIXED_BRONZE', { startsAt: new Date(NOW), orderId: 'O-6' });
+  assert.equal(await ent.tierOf(6, NOW), 'vvip');
+  assert.deepEqual((await ent.getGrants(6, NOW)).map(g => g.product).sort(), ['FIXED_BRONZE', 'VVIP']);
+  // Legacy time of the same product only counts where the stored grant ends
+  await ent.grant(6, 'VVIP', { startsAt: new Date(NOW), expiresAt: new Date(NOW + 2 * DAY), orderId: 'O-7' });
+  const vvip = (await ent.getGrants(6, NOW)).filter(g => g.product === 'VVIP');
+  assert.deepEqual(vvip.map(g => g.source), ['payment'], 'no double grant while the stored one runs');
+  const tail = (await ent.getGrants(6, NOW + 3 * DAY)).find(g => g.source === 'legacy');
+  assert.deepEqual([tail.product, tail.startsAt], ['VVIP', new Date(NOW + 2 * DAY).toISOString()]);
+  assert.equal((await ent.check(5, 'fixed_tips')).quota, 15, 'activation writes both; quota counted once');
+
+  const users = { 7: { signupComplete: true, role: 'vvip' }, 8: { signupComplete: true, paid_at: NOW }, 9: { signupComplete: false, role: 'vvip' } };
+  const userService = { redis: new MockRedis(), getUser: async (id) => users[id] || null };
+  const gate = new SubscriptionGatekeeper(userService, null);
+  assert.equal(await gate.canAccess(7, 'dossier'), true);
+  assert.equal(await gate.canAccess(8, 'dossier'), false);
+  assert.equal(await gate.canAccess(8, 'analysis'), true);
+  assert.equal(await gate.getUserTier(9), 'free', 'signup not finished');
+  assert.equal(await gate.canAccess(9, 'live'), true);
+});
+
+test('telegram-handler-v2 - fixed matches spend one tip per newly revealed pick', async () => {
+  const redis = new MockRedis();
+  const entitlements = new EntitlementService(redis);
+  await entitlements.grant(3, 'FIXED_BRONZE');
+  const picks = Array.from({ length: 7 }, (_, i) => ({ home: `H${i}`, away: `A${i}`, market: '1X2', pick: '1', confidence: 80, odds: 1.8 }));
+  const services = { entitlements, multiSportAnalyzer: { getFixedMatches: async () => picks } };
+  const cb = { id: 'cb', from: { id: 3 }, message: { chat: { id: 3 } }, data: 'vvip_fixed' };
+
+  const first = await handleCallbackQuery(cb, redis, services);
+  assert.ok(first.text.includes('*H4*'));
+  assert.ok(!first.text.includes('*H5*'));
+  assert.ok(first.text.includes('2 more picks'));
+  assert.ok(first.text.includes('0/5'));
+
+  const again = await handleCallbackQuery(cb, redis, services);
+  assert.ok(again.text.includes('*H0*'), 'revealed picks stay visible');
+  assert.equal((await entitlements.check(3, 'fixed_tips')).used, 5);
+
+  const locked = await handleCallbackQuery({ ...cb, from: { id: 4 }, message: { chat: { id: 4 } } }, redis, services);
+  assert.ok(locked.text.includes('🔒'));
+});
@@ -0,0 +1,122 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EntityRegistry, FIXTURES_KEY, kickoffOf } from '../src/services/entity-registry.js';
+import { SportsAggregator } from '../src/services/sports-aggregator.js';
+import { OddsAnalyzer } from '../src/services/odds-analyzer.js';
+
+// Mock Redis with the hash commands the registry persists to
+class MockRedis {
+  constructor() { this.hashes = new Map(); }
+  async hset(k, f, v) { const h = this.hashes.get(k) || {}; h[f] = String(v); this.hashes.set(k, h); return 1; }
+  async hgetall(k) { return { ...(this.hashes.get(k) || {}) }; }
+  async hdel(k, f) { delete (this.hashes.get(k) || {})[f]; return 1; }
+}
+
+const NOW = Date.parse('2026-10-18T14:00:00Z');
+
+test('entity registry - team aliases, transliteration and fuzzy matching', () => {
+  const registry = new EntityRegistry(null, { now: () => NOW });
+  for (const name of ['Man Utd', 'Manchester United FC', 'Манчестер Юнайтед', 'manchester united']) {
+    assert.equal(registry.findTeam(name)?.id, 'manchester-united', name);
+  }
+  assert.equal(registry.findTeam('FC Bayern München').id, 'bayern-munich');
+  assert.equal(registry.findTeam('Atletico Madrid').id, 'atletico-madrid', 'accents optional');
+  assert.equal(registry.findTeam('Borussia Monchengladbach').id, 'borussia-monchengladbach');
+  assert.equal(registry.findTeam('Paris Saint Germain').id, 'paris-saint-germain');
+  assert.equal(registry.findTeam('Tottenham Hotspurs').id, 'tottenham-hotspur', 'near spelling');
+
+  assert.equal(registry.findTeam('Manchester'), null, 'ambiguous between United and City');
+  assert.equal(registry.findTeam('Inter Miami'), null, 'extra words are a different club');
+  assert.equal(registry.findTeam('Arsenal Women'), null);
+  const miami = registry.resolveTeam('Inter Miami CF', { provider: 'sportmonks', providerId: 239235 });
+  assert.equal(miami.id, 'inter-miami');
+  assert.equal(registry.findTeam(null, { provider: 'sportsmonks', providerId: 239235 }).id, 'inter-miami', 'provider spellings normalized');
+  assert.equal(registry.findTeam('Inter').id, 'inter');
+
+  assert.ok(registry.sameTeam('Spurs', 'Tottenham Hotspur FC'));
+  assert.ok(!registry.sameTeam('Man City', 'Man Utd'));
+  assert.ok(registry.sameTeam('Tottenham', 'Tottenham Hotspurs'));
+  for (const [club, other] of [['Arsenal', 'Arsenal Women'], ['Inter', 'Inter Miami'], ['Real Madrid', 'Real Madrid Castilla'], ['Hapoel Haifa', 'Hapoel Haifa U19']]) {
+    assert.ok(!registry.sameTeam(club, other), `${club} vs ${other}`);
+    assert.ok(!registry.sameTeam(other, club), `${other} vs ${club}`);
+  }
+  assert.ok(registry.sameFixture({ home: 'Arsenal FC', away: 'Chelsea' }, { home: 'Arsenal', away: 'Chelsea FC' }));
+  assert.ok(!registry.sameFixture({ home: 'Arsenal Women', away: 'Chelsea Women' }, { home: 'Arsenal', away: 'Chelsea' }));
+});
+
+test('entity registry - leagues resolve across provider IDs and names', async () => {
+  const registry = new EntityRegistry();
+  assert.equal(registry.league(140).id, 'esp-la-liga');
+  assert.equal(registry.providerLeagueId(140, 'footballdata'), 'PD');
+  assert.equal(registry.providerLeagueId(135, 'football-data'), 'SA');
+  assert.equal(registry.league('PD', 'football-data').id, 'esp-la-liga');
+  assert.equal(registry.league('564', 'sportmonks').id, 'esp-la-liga');
+  assert.equal(registry.league('LaLiga EA Sports').id, 'esp-la-liga');
+  assert.equal(registry.league('Primera División').id, 'esp-la-liga');
+  assert.equal(registry.league('nope'), null);
+  assert.deepEqual(registry.leagueSummaries()[1], { id: 140, name: 'La Liga', country: 'Spain', code: 'SP1', footballDataId: 'PD', canonicalId: 'esp-la-liga' });
+
+  const aggregator = new SportsAggregator(null, { entities: registry });
+  const urls = [];
+  aggregator._fetchWithRetry = async (url) => { urls.push(url); return { matches: [] }; };
+  await aggregator.fetchFromProvider('football-data', 'live', 140);
+  await aggregator.fetchFromProvider('football-data', 'live', 135);
+  assert.ok(urls[0].includes('/competitions/PD/'), 'La Liga is PD, not Serie A');
+  assert.ok(urls[1].includes('/competitions/SA/'));
+});
+
+test('entity registry - SportMonks, Football-Data, scraped rows and odds resolve to one fixture', async () => {
+  const registry = new EntityRegistry(null, { now: () => NOW });
+  const aggregator = new SportsAggregator(null, { entities: registry });
+
+  const [fd] = aggregator._formatMatches([{
+    id: 501, utcDate: '2026-10-18T15:00:00Z', status: 'TIMED',
+    homeTeam: { id: 66, name: 'Manchester United FC' }, awayTeam: { id: 73, name: 'Tottenham Hotspur FC' },
+    competition: { code: 'PL', name: 'Premier League' }, score: { fullTime: { home: null, away: null } }
+  }], 'football-data');
+  const [sm] = aggregator._formatMatches([{
+    id: 19000001, starting_at: '2026-10-18 15:00:00', state_id: 1, league_id: 8,
+    participants: [{ id: 14, name: 'Manchester United' }, { id: 6, name: 'Tottenham Hotspur' }]
+  }], 'sportsmonks');
+  const [scraped] = registry.annotateMatches([{ home: 'Man Utd', away: 'Tottenham', status: 'LIVE', source: 'flashscore.com' }], 'flashscore');
+  const odds = registry.annotateMatches([{ home: 'Manchester Utd', away: 'Spurs', homeOdds: 2.1, drawOdds: 3.4, awayOdds: 3.5, bookmaker: 'Bet365' }], 'sportsmonks');
+
+  assert.equal(fd.canonical.fixtureId, 'manchester-united-v-tottenham-hotspur-2026-10-18');
+  assert.equal(fd.canonical.leagueId, 'eng-premier-league');
+  assert.equal(sm.canonical.fixtureId, fd.canonical.fixtureId);
+  assert.equal(scraped.canonical.fixtureId, fd.canonical.fixtureId);
+  assert.equal(odds[0].canonical.fixtureId, fd.canonical.fixtureId);
+  assert.deepEqual(registry.fixtures.get(fd.canonical.fixtureId).refs, { footballdata: '501', sportsmonks: '19000001' });
+  assert.equal(registry.findTeam(null, { provider: 'sportsmonks', providerId: 14 }).id, 'manchester-united');
+
+  const reverse = registry.resolveFixture({ home: 'Tottenham', away: 'Man Utd', kickoff: '2026-10-18T15:00:00Z' });
+  assert.notEqual(reverse.id, fd.canonical.fixtureId, 'home and away matter');
+  const nextWeek = registry.resolveFixture({ home: 'Man Utd', away: 'Spurs', kickoff: '2026-10-25T15:00:00Z' });
+  assert.notEqual(nextWeek.id, fd.canonical.fixtureId);
+  assert.equal(kickoffOf(sm), '2026-10-18T15:00:00.000Z');
+
+  const analyzer = new OddsAnalyzer(null, { entities: registry, getOdds: async () => odds });
+  const analysis = await analyzer.analyzeMatch('Manchester United', 'Tottenham Hotspur');
+  assert.equal(analysis.odds.home, 2.1, 'odds found despite different spellings');
+  assert.equal((await analyzer.analyzeMatch('Manchester City', 'Tottenham Hotspur')).status, 'not_found');
+});
+
+test('entity registry - learned teams, links and fixtures persist and old fixtures expire', async () => {
+  const redis = new MockRedis();
+  const first = new EntityRegistry(redis, { now: () => NOW });
+  const fixture = first.resolveFixture({ provider: 'footballdata', providerId: 777, home: 'Inter Miami CF', away: 'LA Galaxy', kickoff: '2026-10-18T23:30:00Z', homeRef: 9568 });
+  first.resolveTeam('Man. Utd.', { provider: 'goal', providerId: 'mu' });
+  await redis.hset(FIXTURES_KEY, 'old-v-fixture-2026-09-01', JSON.stringify({ id: 'old-v-fixture-2026-09-01', homeId: 'old', awayId: 'fixture', kickoff: '2026-09-01T15:00:00Z', refs: { footballdata: '1' } }));
+  await first.flush();
+
+  const second = new EntityRegistry(redis, { now: () => NOW });
+  const loaded = await second.load();
+  assert.equal(loaded.fixtures, 1, 'fixture from September dropped');
+  assert.equal(redis.hashes.get(FIXTURES_KEY)['old-v-fixture-2026-09-01'], undefined);
+  assert.equal(second.resolveFixture({ provider: 'football-data', providerId: 777 }).id, fixture.id, 'resolved by provider ID alone');
+  assert.equal(second.findTeam(null, { provider: 'footballdata', providerId: 9568 }).id, 'inter-miami');
+  assert.equal(second.findTeam('la galaxy').id, 'la-galaxy');
+  assert.equal(second.findTeam(null, { provider: 'goal', providerId: 'mu' }).id, 'manchester-united', 'learned link on a seeded team');
+  assert.equal(second.findTeam('Man. Utd.').id, 'manchester-united');
+  assert.equal(second.findTeam('Arsenal').id, 'arsenal', 'seed still present');
+});
@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { GoalModel, fitGoalModel, parseFootballDataMatches, scoreMatrix, marketsFromMatrix } from '../src/ai/goal-model.js';
+import { predictOutcome } from '../src/ai/predictor.js';
+
+const close = (a, b, eps = 1e-6) => assert.ok(Math.abs(a - b) < eps, `${a} != ${b}`);
+
+test('scoreMatrix - normalised and markets are consistent', () => {
+  const matrix = scoreMatrix(1.6, 1.1, -0.08);
+  close(matrix.flat().reduce((s, p) => s + p, 0), 1);
+
+  const m = marketsFromMatrix(matrix);
+  close(m['1X2'].home + m['1X2'].draw + m['1X2'].away, 1);
+  close(m.overUnder['2.5'].over + m.overUnder['2.5'].under, 1);
+  close(m.doubleChance['1X'], m['1X2'].home + m['1X2'].draw);
+  close(m.btts.yes + m.btts.no, 1);
+  assert.ok(m['1X2'].home > m['1X2'].away);
+  assert.ok(m.overUnder['1.5'].over > m.overUnder['3.5'].over);
+});
+
+test('GoalModel.predict - HT/FT sums to 1 and agrees with full-time 1X2', () => {
+  const model = new GoalModel({ rho: 0 });
+  const p = model.predict(null, null, { lambdaHome: 1.5, lambdaAway: 1.0 });
+  const htft = p.markets.htft;
+  close(Object.values(htft).reduce((s, v) => s + v, 0), 1, 1e-4);
+  const ftHome = htft['1/1'] + htft['X/1'] + htft['2/1'];
+  close(ftHome, p.markets['1X2'].home, 5e-3);
+  assert.equal(p.markets.correctScores.length, 10);
+});
+
+test('fitGoalModel - recovers the stronger side and a home advantage', () => {
+  const teams = ['Alpha', 'Beta', 'Gamma', 'Delta'];
+  const goals = { Alpha: 3, Beta: 1, Gamma: 1, Delta: 0 };
+  const matches = [];
+  for (let round = 0; round < 3; round++) {
+    for (const h of teams) {
+      for (const a of teams) {
+        if (h === a) continue;
+        matches.push({ home: h, away: a, homeGoals: goals[h] + 1, awayGoals: goals[a] });
+      }
+    }
+  }
+  const model = fitGoalModel(matches);
+  const t = model.params.teams;
+  assert.ok(t.alpha.attack > t.beta.attack);
+  assert.ok(t.beta.attack > t.delta.attack);
+  assert.ok(model.params.homeAdvantage > 1);
+
+  const p = model.predict('Alpha', 'Delta').markets['1X2'];
+  assert.ok(p.home > 0.7);
+
+  const restored = GoalModel.fromJSON(JSON.stringify(model.toJSON()));
+  close(restored.expectedGoals('Alpha', 'Delta').lambdaHome, model.expectedGoals('Alpha', 'Delta').lambdaHome);
+});
+
+test('parseFootballDataMatches - keeps finished matches with half-time scores', () => {
+  const rows = parseFootballDataMatches({
+    matches: [
+      { status: 'FINISHED', utcDate: '2025-11-30T00:00:00Z', homeTeam: { name: 'Ceará SC' }, awayTeam: { name: 'Cruzeiro EC' }, score: { fullTime: { home: 1, away: 1 }, halfTime: { home: 0, away: 0 } } },
+      { status: 'TIMED', homeTeam: { name: 'A' }, awayTeam: { name: 'B' }, score: { fullTime: { home: null, away: null } } }
+    ]
+  });
+  assert.equal(rows.length, 1);
+  assert.deepEqual([rows[0].home, rows[0].homeGoals, rows[0].htHome], ['Ceará SC', 1, 0]);
+});
+
+test('predictOutcome - uses fitted strengths when the teams are rated', () => {
+  const model = new GoalModel({ homeAdvantage: 1.2, teams: { lions: { attack: 1.6, defence: 0.8 }, ducks: { attack: 0.6, defence: 1.5 } } });
+  const r = predictOutcome({ home: 'Lions', away: 'Ducks' }, model);
+  assert.ok(r.probabilities.home > 0.6);
+  assert.ok(r.rationale.includes('Fitted team strengths'));
+  close(r.probabilities.home + r.probabilities.draw + r.probabilities.away, 1, 2e-3);
+});
@@ -0,0 +1,191 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { InvoiceService, setInvoiceTelegram, fiscalYear, taxRuleFor, splitTax, invoiceLines, CSV_COLUMNS } from '../src/services/invoice-service.js';
+import { renderInvoicePdf } from '../src/lib/invoice-pdf.js';
+import { createPaymentOrder, verifyAndActivatePayment } from '../src/handlers/payment-router.js';
+import { handleCallbackQuery } from '../src/handlers/telegram-handler-v2.js';
+import { handleCallbackQuery as handleCompleteCallback } from '../src/handlers/handler-complete.js';
+
+// Mock Redis with the string, hash, set and sorted-set commands used by orders, grants and invoices
+class MockRedis {
+  constructor() { this.kv = new Map(); this.hashes = new Map(); this.sets = new Map(); this.zsets = new Map(); }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async set(k, v, ...args) {
+    if (args.includes('NX') && this.kv.has(k)) return null;
+    this.kv.set(k, String(v));
+    return 'OK';
+  }
+  async setex(k, _ttl, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async del(k) { this.kv.delete(k); this.hashes.delete(k); return 1; }
+  async expire() { return 1; }
+  async incr(k) { const n = Number(this.kv.get(k) || 0) + 1; this.kv.set(k, String(n)); return n; }
+  async hset(k, ...args) {
+    const h = this.hashes.get(k) || {};
+    const pairs = typeof args[0] === 'object' ? Object.entries(args[0]).flat() : args;
+    for (let i = 0; i < pairs.length; i += 2) h[pairs[i]] = String(pairs[i + 1]);
+    this.hashes.set(k, h);
+    return 1;
+  }
+  async hget(k, f) { return (this.hashes.get(k) || {})[f] ?? null; }
+  async hgetall(k) { return { ...(this.hashes.get(k) || {}) }; }
+  async hdel(k, f) { delete (this.hashes.get(k) || {})[f]; return 1; }
+  async hincrby(k, f, n) { return this.hincrbyfloat(k, f, n); }
+  async hincrbyfloat(k, f, n) {
+    const h = this.hashes.get(k) || {};
+    h[f] = String(Number(h[f] || 0) + Number(n));
+    this.hashes.set(k, h);
+    return h[f];
+  }
+  async sadd(k, v) { const s = this.sets.get(k) || new Set(); s.add(String(v)); this.sets.set(k, s); return 1; }
+  async smembers(k) { return [...(this.sets.get(k) || [])]; }
+  async sismember(k, v) { return (this.sets.get(k) || new Set()).has(String(v)) ? 1 : 0; }
+  async zadd(k, score, member) { const z = this.zsets.get(k) || new Map(); z.set(String(member), Number(score)); this.zsets.set(k, z); return 1; }
+  async zrem(k, member) { (this.zsets.get(k) || new Map()).delete(String(member)); return 1; }
+  sorted(k) { return [...(this.zsets.get(k) || new Map()).entries()].sort((a, b) => a[1] - b[1]); }
+  async zrevrange(k, start, stop) { return this.sorted(k).reverse().slice(start, stop + 1).map(([m]) => m); }
+  async zrangebyscore(k, min, max) {
+    const lo = min === '-inf' ? -Infinity : Number(min);
+    const hi = max === '+inf' ? Infinity : Number(max);
+    return this.sorted(k).filter(([, s]) => s >= lo && s <= hi).map(([m]) => m);
+  }
+}
+
+const order = (overrides = {}) => ({
+  orderId: `ORD7${Math.random().toString(36).slice(2, 8)}`,
+  userId: 7,
+  tier: 'PRO',
+  paymentMethod: 'MPESA',
+  baseAmount: 899,
+  fee: 0,
+  totalAmount: 899,
+  currency: 'KES',
+  region: 'KE',
+  transactionId: 'QGH7XYZ123',
+  ...overrides
+});
+
+test('invoices - sequential numbers per fiscal year, one invoice per order', async () => {
+  assert.equal(fiscalYear('2026-06-30T12:00:00Z', 1), 2026);
+  assert.equal(fiscalYear('2026-06-30T12:00:00Z', 7), 2026);
+  assert.equal(fiscalYear('2026-07-01T00:00:00Z', 7), 2027, 'July start: named after the year it ends in');
+
+  const redis = new MockRedis();
+  const invoices = new InvoiceService(redis, { env: { INVOICE_FISCAL_YEAR_START_MONTH: '7' } });
+  const first = order();
+  const a = await invoices.issue(first, { now: new Date('2026-05-02T10:00:00Z') });
+  const b = await invoices.issue(order(), { now: new Date('2026-06-15T10:00:00Z') });
+  const c = await invoices.issue(order(), { now: new Date('2026-07-01T10:00:00Z') });
+  assert.equal(a.number, 'INV-2026-000001');
+  assert.equal(b.number, 'INV-2026-000002');
+  assert.equal(c.number, 'INV-2027-000001', 'numbering restarts with the fiscal year');
+
+  const again = await invoices.issue(first, { now: new Date('2026-05-03T10:00:00Z') });
+  assert.equal(again.number, a.number, 're-issuing an order returns its invoice');
+  assert.equal(redis.kv.get('invoice:seq:2026'), '2', 'no number consumed');
+
+  // A read that fails (here the customer lookup) aborts before a number is taken
+  const hgetall = redis.hgetall;
+  redis.hgetall = async () => { throw new Error('redis timeout'); };
+  const failing = order();
+  await assert.rejects(invoices.issue(failing, { now: new Date('2026-06-20T10:00:00Z') }), /redis timeout/);
+  redis.hgetall = hgetall;
+  assert.equal(redis.kv.get('invoice:seq:2026'), '2', 'failed issue leaves no gap');
+  assert.equal((await invoices.issue(failing, { now: new Date('2026-06-20T10:00:00Z') })).number, 'INV-2026-000003', 'the retry can still claim the order');
+
+  // A worker that dies mid-issue only holds the order until its claim expires
+  const claims = [];
+  const set = redis.set.bind(redis);
+  redis.set = async (k, v, ...args) => {
+    if (v === 'issuing') claims.push(args);
+    return set(k, v, ...args);
+  };
+  await invoices.issue(order(), { now: new Date('2026-06-21T10:00:00Z') });
+  assert.deepEqual(claims, [['EX', 60, 'NX']]);
+});
+
+test('invoices - tax line per country, overrides and lines that add up to the total', async () => {
+  assert.deepEqual(taxRuleFor('ke'), { name: 'VAT', rate: 16 });
+  assert.equal(taxRuleFor('US'), null);
+  assert.equal(taxRuleFor('KE', { INVOICE_TAX_RULES: '{"KE":null}' }), null, 'override can drop a tax line');
+  assert.deepEqual(taxRuleFor('US', { INVOICE_TAX_RULES: '{"US":{"name":"Sales tax","rate":7}}' }), { name: 'Sales tax', rate: 7 });
+  assert.deepEqual(splitTax(1160, 16), { net: 1000, tax: 160 });
+
+  const promoOrder = order({ listPrice: 899, baseAmount: 719.2, fee: 10.79, creditApplied: 100, totalAmount: 629.99, promo: { code: 'WELCOME20', label: '20% off' } });
+  const lines = invoiceLines(promoOrder);
+  assert.deepEqual(lines.map(l => l.description), ['BETRIX Pro Monthly', 'Promo WELCOME20 (20% off)', 'Payment processing fee', 'Account credit']);
+  assert.equal(Math.round(lines.reduce((sum, l) => sum + l.amount, 0) * 100) / 100, 629.99);
+
+  const redis = new MockRedis();
+  const ke = await new InvoiceService(redis).issue(promoOrder);
+  assert.deepEqual(ke.tax, { name: 'VAT', rate: 16, amount: 86.9, inclusive: true });
+  assert.equal(ke.net, 543.09);
+  const us = await new InvoiceService(redis).issue(order({ region: 'US', currency: 'USD', totalAmount: 8.99 }));
+  assert.equal(us.tax, null);
+  assert.equal(us.net, 8.99);
+
+  const pdf = renderInvoicePdf(ke).toString('latin1');
+  assert.ok(pdf.startsWith('%PDF-1.4'));
+  assert.ok(pdf.includes('(VAT 16% \\(included\\)) Tj'), 'tax line printed, parentheses escaped');
+  const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+  assert.ok(pdf.slice(xref).startsWith('xref'), 'startxref points at the xref table');
+  const objOffset = Number(pdf.slice(xref).split('\n')[3].slice(0, 10));
+  assert.ok(pdf.slice(objOffset).startsWith('1 0 obj'));
+});
+
+test('invoices - sent as a PDF on activation and re-downloadable from the profile menu', async () => {
+  const sent = [];
+  setInvoiceTelegram({ sendDocument: async (chatId, document, options) => { sent.push({ chatId, document, options }); } });
+  try {
+    const redis = new MockRedis();
+    await redis.hset('user:8', 'name', 'Amina', 'country', 'KE');
+    const created = await createPaymentOrder(redis, 8, 'PRO', 'MPESA', 'KE');
+    await verifyAndActivatePayment(redis, created.orderId, 'QGH8ABC999');
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].chatId, '8');
+    assert.equal(sent[0].document.contentType, 'application/pdf');
+    assert.match(sent[0].document.filename, /^INV-\d{4}-000001\.pdf$/);
+    assert.ok(sent[0].options.caption.includes('KES'));
+    const number = sent[0].document.filename.replace('.pdf', '');
+
+    const cb = (userId, data) => ({ id: 'cb', from: { id: userId }, message: { chat: { id: userId } }, data });
+    const list = await handleCallbackQuery(cb(8, 'profile_receipts'), redis, {});
+    const button = list.reply_markup.inline_keyboard.flat().find(b => b.callback_data === `profile_receipt_${number}`);
+    assert.ok(button, 'receipt listed');
+
+    const download = await handleCallbackQuery(cb(8, button.callback_data), redis, {});
+    assert.equal(download.method, 'sendDocument');
+    assert.equal(download.document.filename, `${number}.pdf`);
+    assert.ok(download.document.content.toString('latin1').includes('(Amina \\(KE\\)) Tj'));
+
+    const stranger = await handleCallbackQuery(cb(9, button.callback_data), redis, {});
+    assert.equal(stranger.method, 'sendMessage', 'other users cannot fetch it');
+
+    // Same flow on the production bot's handler
+    const completeCb = (userId, data) => ({ ...cb(userId, data), message: { chat: { id: userId }, message_id: 5 } });
+    const completeList = await handleCompleteCallback(completeCb(8, 'profile_receipts'), redis, {});
+    assert.equal(completeList.reply_markup.inline_keyboard[0][0].callback_data, `profile_receipt_${number}`);
+    assert.equal((await handleCompleteCallback(completeCb(8, `profile_receipt_${number}`), redis, {})).document.filename, `${number}.pdf`);
+    assert.equal((await handleCompleteCallback(completeCb(9, `profile_receipt_${number}`), redis, {})).method, 'answerCallbackQuery');
+  } finally {
+    setInvoiceTelegram(null);
+  }
+});
+
+test('invoices - CSV export for a date range', async () => {
+  const redis = new MockRedis();
+  const invoices = new InvoiceService(redis);
+  await invoices.issue(order({ orderId: 'ORD7A' }), { now: new Date('2026-03-31T23:00:00Z') });
+  await invoices.issue(order({ orderId: 'ORD7B', promo: { code: 'SAVE,10' } }), { now: new Date('2026-04-01T09:00:00Z') });
+  await invoices.issue(order({ orderId: 'ORD7C', region: 'NG', currency: 'NGN', totalAmount: 13500 }), { now: new Date('2026-04-30T18:00:00Z') });
+  await invoices.issue(order({ orderId: 'ORD7D' }), { now: new Date('2026-05-01T00:00:01Z') });
+
+  const csv = await invoices.exportCsv({ from: '2026-04-01', to: '2026-04-30' });
+  const rows = csv.trim().split('\n');
+  assert.equal(rows[0], CSV_COLUMNS.join(','));
+  assert.equal(rows.length, 3, 'bare end date covers the whole day');
+  assert.ok(rows[1].startsWith('INV-2026-000002,2026,2026-04-01T09:00:00.000Z,ORD7B,7,KE,PRO,MPESA,QGH7XYZ123,KES,775,VAT,16,124,899,"SAVE,10"'));
+  assert.ok(rows[2].includes(',NGN,12558.14,VAT,7.5,941.86,13500,'));
+
+  await assert.rejects(() => invoices.exportCsv({ from: 'yesterday' }), /invalid date range/);
+});
@@ -0,0 +1,126 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { listPrice, priceBook, roundPrice, currencyForCountry, formatMoney, DEFAULT_FX_RATES } from '../src/lib/price-book.js';
+import { getRates, refreshRates, FX_RATES_KEY } from '../src/services/fx-rates.js';
+import { createUserProfile } from '../src/handlers/data-models.js';
+import { orderCurrency, validatePaymentAmount, createPaymentOrder, verifyAndActivatePayment, getTierPrice } from '../src/handlers/payment-router.js';
+
+// Mock Redis with the string, hash, set and sorted-set commands used by orders and grants
+class MockRedis {
+  constructor() { this.kv = new Map(); this.hashes = new Map(); this.sets = new Map(); }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async set(k, v, ...args) {
+    if (args.includes('NX') && this.kv.has(k)) return null;
+    this.kv.set(k, String(v));
+    return 'OK';
+  }
+  async setex(k, _ttl, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async del(k) { this.kv.delete(k); this.hashes.delete(k); return 1; }
+  async expire() { return 1; }
+  async hset(k, ...args) {
+    const h = this.hashes.get(k) || {};
+    const pairs = typeof args[0] === 'object' ? Object.entries(args[0]).flat() : args;
+    for (let i = 0; i < pairs.length; i += 2) h[pairs[i]] = String(pairs[i + 1]);
+    this.hashes.set(k, h);
+    return 1;
+  }
+  async hget(k, f) { return (this.hashes.get(k) || {})[f] ?? null; }
+  async hgetall(k) { return { ...(this.hashes.get(k) || {}) }; }
+  async hdel(k, f) { delete (this.hashes.get(k) || {})[f]; return 1; }
+  async hincrby(k, f, n) { return this.hincrbyfloat(k, f, n); }
+  async hincrbyfloat(k, f, n) {
+    const h = this.hashes.get(k) || {};
+    h[f] = String(Number(h[f] || 0) + Number(n));
+    this.hashes.set(k, h);
+    return h[f];
+  }
+  async sadd(k, v) { const s = this.sets.get(k) || new Set(); s.add(String(v)); this.sets.set(k, s); return 1; }
+  async smembers(k) { return [...(this.sets.get(k) || [])]; }
+  async sismember(k, v) { return (this.sets.get(k) || new Set()).has(String(v)) ? 1 : 0; }
+  async zadd() { return 1; }
+  async zrem() { return 1; }
+}
+
+test('multi-currency - book prices, FX-derived prices and rounding rules', () => {
+  assert.deepEqual(listPrice('PRO', 'GBP'), { amount: 6.99, currency: 'GBP', source: 'book' });
+  assert.deepEqual(listPrice('PRO', 'NGN'), { amount: 13500, currency: 'NGN', source: 'fx' }, '13,485 rounded up to 500');
+  assert.equal(listPrice('PRO', 'ZAR').amount, 169, '161.82 -> 170 - 1');
+  assert.equal(listPrice('PRO', 'UGX').amount, 33500);
+  assert.equal(listPrice('VVIP', 'GHS').amount, 360);
+  assert.equal(listPrice('PRO', 'XYZ'), null, 'no rate, no price (not the USD amount)');
+  assert.equal(listPrice('PRO', 'NGN', { rates: { USD: 1 } }), null);
+  assert.throws(() => getTierPrice('PRO', 'PAYPAL', 'NGN', { rates: { USD: 1 } }), /No NGN price for PRO/);
+  assert.equal(getTierPrice('PRO', 'PAYPAL', 'USD', { rates: { USD: 1 } }), 8.99);
+  assert.equal(getTierPrice('NOPE', 'PAYPAL', 'USD'), 0);
+  assert.equal(listPrice('NOPE', 'KES'), null);
+
+  assert.equal(roundPrice(1163, 'KES'), 1169);
+  assert.equal(roundPrice(13485, 'NGN', { NGN: { step: 100, end: 1 } }), 13499);
+  const book = priceBook({ PRICE_BOOK: '{"PRO":{"NGN":12900}}' });
+  assert.deepEqual(listPrice('PRO', 'NGN', { book }), { amount: 12900, currency: 'NGN', source: 'book' });
+  assert.equal(book.VVIP.KES, 2699, 'overrides merge over the base book');
+});
+
+test('multi-currency - the signup country picks the order currency when the provider takes it', async () => {
+  assert.equal(currencyForCountry('ng'), 'NGN');
+  assert.equal(orderCurrency('SWIFT', 'NG'), 'NGN');
+  assert.equal(orderCurrency('PAYPAL', 'NG'), 'USD', 'PayPal does not take NGN');
+  assert.equal(orderCurrency('PAYPAL', 'GB'), 'GBP');
+  assert.equal(orderCurrency('MPESA', 'GB', 'GBP'), 'KES');
+
+  const redis = new MockRedis();
+  const profile = await createUserProfile(redis, 1801, { name: 'Ada', country: 'NG' });
+  assert.equal(profile.currency, 'NGN');
+  const order = await createPaymentOrder(redis, 1801, 'PRO', 'SWIFT', 'KE');
+  assert.equal(order.currency, 'NGN');
+  assert.equal(order.baseAmount, 13500);
+  assert.equal(order.totalAmount, 13567.5, '0.5% bank fee');
+
+  await redis.hset('user:1802:profile', 'country', 'GB', 'currency', 'GBP');
+  const uk = await createPaymentOrder(redis, 1802, 'VVIP', 'PAYPAL', 'GB');
+  assert.equal(uk.currency, 'GBP');
+  assert.equal(uk.baseAmount, 23.99);
+
+  assert.deepEqual(validatePaymentAmount(5000, 'SWIFT', 'NGN'), { valid: false, error: 'Minimum amount is 7500 NGN' }, '5 USD minimum in NGN');
+  assert.deepEqual(validatePaymentAmount(5000, 'SWIFT', 'USD'), { valid: true });
+});
+
+test('multi-currency - a refreshed FX table is cached and changes derived prices', async () => {
+  const redis = new MockRedis();
+  assert.equal((await getRates(redis)).NGN, DEFAULT_FX_RATES.NGN);
+  assert.equal(await refreshRates(redis, { url: null }), null, 'no URL, nothing fetched');
+
+  const calls = [];
+  const fetchImpl = async (url) => {
+    calls.push(url);
+    return { ok: true, json: async () => ({ base: 'USD', rates: { NGN: 1600, ZAR: 17.5, XYZ: 3 } }) };
+  };
+  const rates = await refreshRates(redis, { url: 'https://fx.example/latest', fetchImpl });
+  assert.deepEqual(calls, ['https://fx.example/latest']);
+  assert.equal(rates.NGN, 1600);
+  assert.equal(rates.KES, DEFAULT_FX_RATES.KES, 'missing rates keep the defaults');
+  assert.equal(rates.XYZ, undefined, 'only known currencies are kept');
+  assert.ok(redis.hashes.get(FX_RATES_KEY)._updatedAt);
+  assert.equal(listPrice('PRO', 'NGN', { rates: await getRates(redis) }).amount, 14500);
+
+  await redis.hset('user:1811:profile', 'country', 'NG');
+  const order = await createPaymentOrder(redis, 1811, 'PRO', 'SWIFT', 'NG');
+  assert.equal(order.baseAmount, 14500, 'orders use the cached table');
+
+  const failing = async () => ({ ok: false, status: 503 });
+  await assert.rejects(refreshRates(redis, { url: 'https://fx.example/latest', fetchImpl: failing }), /503/);
+});
+
+test('multi-currency - activation message and money formatting show the charged currency', async () => {
+  assert.equal(formatMoney(13500, 'NGN'), 'NGN 13,500');
+  assert.equal(formatMoney(6.99, 'GBP'), 'GBP 6.99');
+  assert.equal(formatMoney(899, 'KES'), 'KES 899');
+  assert.equal(formatMoney(726.4, 'KES'), 'KES 726.40');
+
+  const redis = new MockRedis();
+  await redis.hset('user:1821:profile', 'country', 'ZA', 'currency', 'ZAR');
+  const order = await createPaymentOrder(redis, 1821, 'PRO', 'SWIFT', 'ZA');
+  assert.equal(order.currency, 'ZAR');
+  const result = await verifyAndActivatePayment(redis, order.orderId, 'TXZAR1');
+  assert.match(result.message, new RegExp(`Paid ZAR 169\\.85 · Order ${order.orderId}`));
+});
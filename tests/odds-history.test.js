@@ -0,0 +1,121 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { OddsHistoryService, fixtureKey, extractMarkets } from '../src/services/odds-history-service.js';
+import { OddsChartGenerator } from '../src/services/odds-chart-generator.js';
+import { DataExposureHandler } from '../src/handlers/data-exposure-handler.js';
+import { handleCallbackQuery } from '../src/handlers/telegram-handler-v2.js';
+import { handleCallbackQuery as handleCompleteCallback } from '../src/handlers/handler-complete.js';
+import { buildMatchDetailsMenu } from '../src/handlers/menu-handler-complete.js';
+
+// Mock Redis covering the stream/hash/sorted-set commands used by the odds history
+class MockRedis {
+  constructor() { this.kv = new Map(); this.hashes = new Map(); this.streams = new Map(); this.zsets = new Map(); this.seq = 0; }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async setex(k, _ttl, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async expire() { return 1; }
+  async hset(k, ...args) {
+    const h = this.hashes.get(k) || {};
+    for (let i = 0; i < args.length; i += 2) h[args[i]] = String(args[i + 1]);
+    this.hashes.set(k, h);
+    return 1;
+  }
+  async hget(k, f) { return (this.hashes.get(k) || {})[f] ?? null; }
+  async hgetall(k) { return { ...(this.hashes.get(k) || {}) }; }
+  async xadd(k, ...args) {
+    const fields = args.slice(args.indexOf('*') + 1);
+    const s = this.streams.get(k) || [];
+    s.push([`${Date.now()}-${this.seq++}`, fields]);
+    this.streams.set(k, s);
+    return s[s.length - 1][0];
+  }
+  async xrange(k) { return this.streams.get(k) || []; }
+  async zadd(k, score, member) { const z = this.zsets.get(k) || new Map(); z.set(member, Number(score)); this.zsets.set(k, z); return 1; }
+  async zscore(k, member) { const v = (this.zsets.get(k) || new Map()).get(member); return v === undefined ? null : String(v); }
+  async zrevrange(k, start, stop) { return Array.from((this.zsets.get(k) || new Map()).entries()).sort((a, b) => b[1] - a[1]).slice(start, stop + 1).map(([m]) => m); }
+}
+
+const entry = (home, draw, away, extra = {}) => ({ home: 'Arsenal', away: 'Chelsea', homeOdds: home, drawOdds: draw, awayOdds: away, bookmaker: 'Book', ...extra });
+
+test('fixtureKey and extractMarkets', () => {
+  assert.equal(fixtureKey({ fixtureId: 77, home: 'A', away: 'B' }), '77');
+  assert.equal(fixtureKey({ home: 'Man Utd', away: "Nott'm Forest" }), 'man-utd-vs-nott-m-forest');
+  const markets = extractMarkets(entry('6/4', 3.4, '+250', { odds: { over25: 1.9, under25: 1.95, bttsYes: 1.7 } }));
+  assert.deepEqual(markets.map(m => m.market), ['1X2', 'OU_2.5', 'BTTS']);
+  assert.deepEqual(markets[0].prices, { home: 2.5, draw: 3.4, away: 3.5 });
+});
+
+test('OddsHistoryService - only stores price changes and summarizes movement', async () => {
+  const redis = new MockRedis();
+  const svc = new OddsHistoryService(redis);
+  await svc.recordSnapshot([entry(2.1, 3.4, 3.6)], 1000);
+  await svc.recordSnapshot([entry(2.1, 3.4, 3.6)], 2000);
+  const s = await svc.recordSnapshot([entry(1.9, 3.5, 4.0)], 3000);
+  assert.deepEqual(s, { fixtures: 1, points: 1 });
+
+  const key = await svc.resolveFixtureKey({ id: 999, home: 'Arsenal', away: 'Chelsea' });
+  assert.equal(key, 'arsenal-vs-chelsea');
+  const history = await svc.getHistory(key);
+  assert.deepEqual(history.points.map(p => p.ts), [1000, 3000]);
+
+  const move = svc.summarizeMovement(history).Book;
+  assert.equal(move.home.open, 2.1);
+  assert.equal(move.home.latest, 1.9);
+  assert.equal(move.home.changePct, -9.5);
+
+  const svg = OddsChartGenerator.generateLineMovementSVG(history);
+  assert.ok(svg.startsWith('<svg'));
+  assert.equal((svg.match(/<polyline/g) || []).length, 3);
+  assert.ok(svg.includes('2.10 → 1.90'));
+});
+
+test('DataExposureHandler - odds history endpoints', async () => {
+  const redis = new MockRedis();
+  const routes = {};
+  const router = { get: (path, fn) => { routes[path] = fn; }, post: () => {} };
+  new DataExposureHandler(router, { redis });
+  await new OddsHistoryService(redis).recordSnapshot([entry(2.1, 3.4, 3.6, { fixtureId: 5 })], 1000);
+
+  const call = async (path, params = {}, query = {}) => {
+    const res = { statusCode: 200, headers: {}, body: null };
+    res.status = (c) => { res.statusCode = c; return res; };
+    res.json = (b) => { res.body = b; return res; };
+    res.send = (b) => { res.body = b; return res; };
+    res.setHeader = (k, v) => { res.headers[k] = v; };
+    await routes[path]({ params, query }, res);
+    return res;
+  };
+
+  const list = await call('/api/data/odds-history');
+  assert.equal(list.body.fixtures[0].fixture, '5');
+  const one = await call('/api/data/odds-history/:fixture', { fixture: '5' });
+  assert.equal(one.body.count, 1);
+  assert.equal((await call('/api/data/odds-history/:fixture', { fixture: 'nope' })).statusCode, 404);
+  const chart = await call('/api/data/odds-history/:fixture/chart.svg', { fixture: '5' });
+  assert.equal(chart.headers['Content-Type'], 'image/svg+xml');
+});
+
+test('telegram-handler-v2 - odds_chart_ sends the chart as a document', async () => {
+  const redis = new MockRedis();
+  await new OddsHistoryService(redis).recordSnapshot([entry(2.1, 3.4, 3.6, { fixtureId: 5 })], 1000);
+  const res = await handleCallbackQuery({ id: 'cb', from: { id: 1 }, message: { chat: { id: 1 } }, data: 'odds_chart_5' }, redis, {});
+  assert.equal(res.method, 'sendDocument');
+  assert.equal(res.document.contentType, 'image/svg+xml');
+  assert.ok(res.caption.includes('Arsenal'));
+});
+
+test('handler-complete - odds_chart_ from match details is sent as a document', async () => {
+  const redis = new MockRedis();
+  const cb = (data) => ({ id: 'cb', from: { id: 1 }, message: { chat: { id: 1 }, message_id: 7 }, data });
+  const button = buildMatchDetailsMenu({ id: 5, home: 'Arsenal', away: 'Chelsea' }).reply_markup.inline_keyboard.flat().find(b => b.text.includes('Line Movement'));
+  assert.equal(button.callback_data, 'odds_chart_5');
+
+  const empty = await handleCompleteCallback(cb(button.callback_data), redis, {});
+  assert.equal(empty.method, 'answerCallbackQuery');
+  assert.equal(empty.callback_query_id, 'cb');
+
+  await new OddsHistoryService(redis).recordSnapshot([entry(2.1, 3.4, 3.6, { fixtureId: 5 })], 1000);
+  const res = await handleCompleteCallback(cb(button.callback_data), redis, {});
+  assert.equal(res.method, 'sendDocument');
+  assert.equal(res.chat_id, 1);
+  assert.ok(res.document.content.includes('<svg'));
+});
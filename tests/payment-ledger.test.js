@@ -0,0 +1,157 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PaymentLedger, postingLines, assertBalanced, foldOrder, grantsFromHistory, setDefaultLedger } from '../src/services/payment-ledger.js';
+import { EntitlementService } from '../src/services/entitlement-service.js';
+import { createPaymentOrder, verifyAndActivatePayment } from '../src/handlers/payment-router.js';
+
+// Mock Redis with the string/hash commands used by orders and grants
+class MockRedis {
+  constructor() { this.kv = new Map(); this.hashes = new Map(); }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async setex(k, _ttl, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async set(k, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async del(k) { this.kv.delete(k); this.hashes.delete(k); return 1; }
+  async hset(k, ...args) {
+    const h = this.hashes.get(k) || {};
+    for (let i = 0; i < args.length; i += 2) h[args[i]] = String(args[i + 1]);
+    this.hashes.set(k, h);
+    return 1;
+  }
+  async hgetall(k) { return { ...(this.hashes.get(k) || {}) }; }
+  async hdel(k, f) { delete (this.hashes.get(k) || {})[f]; return 1; }
+  async zadd() { return 1; }
+}
+
+// Minimal pg pool: keeps events/entries in arrays and honours the idempotency key
+class MockPool {
+  constructor() { this.events = []; this.entries = []; }
+  async connect() {
+    const pending = { events: [], entries: [] };
+    return {
+      query: async (sql, params = []) => {
+        if (sql === 'COMMIT') { this.events.push(...pending.events); this.entries.push(...pending.entries); }
+        if (sql.startsWith('INSERT INTO payment_events')) {
+          if (this.events.some(e => e.idempotency_key === params[10])) return { rows: [] };
+          const [event_type, order_id, user_id, provider, provider_ref, tier, amount, currency, status, payload, idempotency_key] = params;
+          const row = { id: this.events.length + pending.events.length + 1, event_type, order_id, user_id, provider, provider_ref, tier, amount, currency, status, payload, idempotency_key, created_at: new Date() };
+          pending.events.push(row);
+          return { rows: [{ id: row.id }] };
+        }
+        if (sql.startsWith('INSERT INTO ledger_entries')) {
+          const [event_id, account, user_id, debit, credit, currency] = params;
+          pending.entries.push({ event_id, account, user_id, debit, credit, currency });
+        }
+        return { rows: [] };
+      },
+      release: () => {}
+    };
+  }
+  async query(sql, params = []) {
+    if (sql.includes('WHERE idempotency_key')) return { rows: this.events.filter(e => e.idempotency_key === params[0]) };
+    if (sql.includes('WHERE order_id')) return { rows: this.events.filter(e => e.order_id === params[0]) };
+    if (sql.includes('WHERE user_id')) return { rows: this.events.filter(e => String(e.user_id) === String(params[0])) };
+    return { rows: [] };
+  }
+}
+
+test('posting rules - every event type is balanced', () => {
+  const activation = postingLines('activation', { userId: 1, amount: 2739.49, fee: 40.49, provider: 'MPESA', tier: 'VVIP' });
+  assert.deepEqual(activation.map(l => [l.account, l.side, l.amount]), [['customer:1', 'debit', 2739.49], ['revenue:VVIP', 'credit', 2699], ['fee_income:MPESA', 'credit', 40.49]]);
+  for (const type of ['payment', 'refund', 'chargeback', 'adjustment']) {
+    assert.ok(assertBalanced(postingLines(type, { userId: 1, amount: 500, provider: 'MPESA', tier: 'PRO' })));
+  }
+  const allFee = postingLines('activation', { userId: 1, amount: 30, fee: 45, provider: 'PAYPAL', tier: 'PRO' });
+  assert.deepEqual(allFee.map(l => [l.account, l.amount]), [['customer:1', 30], ['fee_income:PAYPAL', 30]], 'no zero revenue line');
+  assert.ok(assertBalanced(allFee));
+  assert.deepEqual(postingLines('activation', { userId: 1, amount: 0, tier: 'PRO' }), [], 'fully discounted orders post no lines');
+  assert.deepEqual(postingLines('adjustment', { userId: 1, amount: -50 }).map(l => [l.account, l.side]), [['customer:1', 'debit'], ['adjustments', 'credit']]);
+  assert.throws(() => assertBalanced([{ account: 'a', side: 'debit', amount: 10, currency: 'KES' }, { account: 'b', side: 'credit', amount: 9, currency: 'KES' }]), /Unbalanced/);
+});
+
+test('ledger - events are idempotent and history rebuilds orders and entitlements', async () => {
+  const pool = new MockPool();
+  const ledger = new PaymentLedger(pool);
+  const order = { orderId: 'O1', userId: 9, tier: 'FIXED_SILVER', paymentMethod: 'MPESA', totalAmount: 1318.49, fee: 19.49, currency: 'KES', status: 'pending' };
+  await ledger.recordOrder(order);
+  await ledger.recordProviderEvent({ orderId: 'O1', userId: 9, provider: 'MPESA', providerRef: 'RCPT1', amount: 1318.49 });
+  const replay = await ledger.recordProviderEvent({ orderId: 'O1', userId: 9, provider: 'MPESA', providerRef: 'RCPT1', amount: 1318.49 });
+  assert.equal(replay.duplicate, true);
+  await ledger.recordActivation({ ...order, transactionId: 'RCPT1' }, { startsAt: '2026-10-01T00:00:00.000Z', expiresAt: '2026-10-31T00:00:00.000Z' });
+  assert.equal(pool.events.length, 3);
+  assert.equal(pool.entries.length, 5);
+
+  const folded = await ledger.getOrder('O1');
+  assert.equal(folded.status, 'completed');
+  assert.equal(folded.subscriptionExpiry, '2026-10-31T00:00:00.000Z');
+
+  await ledger.recordRefund({ orderId: 'O1', userId: 9, amount: 1318.49, provider: 'MPESA', tier: 'FIXED_SILVER', reference: 'R1' });
+  assert.equal(foldOrder(pool.events).status, 'refunded');
+  assert.equal((await ledger.recordRefund({ orderId: 'O1', userId: 9, amount: 1318.49, provider: 'MPESA', tier: 'FIXED_SILVER', reference: 'R1' })).duplicate, true);
+
+  // Two unreferenced refunds of the same amount are two refunds
+  await ledger.recordRefund({ orderId: 'O2', userId: 9, amount: 100, provider: 'MPESA', tier: 'PRO' });
+  await ledger.recordRefund({ orderId: 'O2', userId: 9, amount: 100, provider: 'MPESA', tier: 'PRO' });
+  assert.equal(pool.events.filter(e => e.order_id === 'O2').length, 2);
+  assert.equal(grantsFromHistory(pool.events).length, 0, 'refunded orders grant nothing');
+
+  const redis = new MockRedis();
+  const entitlements = new EntitlementService(redis);
+  await entitlements.grant(9, 'VVIP');
+  await ledger.rebuildEntitlements(9, entitlements);
+  assert.equal((await entitlements.getGrants(9)).length, 0, 'grants not backed by the ledger are dropped');
+});
+
+test('payment-router - ledger records orders and serves them after the Redis blob expires', async () => {
+  const calls = [];
+  const pool = new MockPool();
+  const real = new PaymentLedger(pool);
+  setDefaultLedger({
+    recordOrder: (o) => { calls.push('order'); return real.recordOrder(o); },
+    getOrder: (id) => { calls.push('lookup'); return real.getOrder(id); },
+    recordProviderEvent: (e) => { calls.push('provider'); return real.recordProviderEvent(e); },
+    recordActivation: (o, p) => { calls.push('activation'); return real.recordActivation(o, p); }
+  });
+  try {
+    const redis = new MockRedis();
+    const order = await createPaymentOrder(redis, 12, 'PRO', 'MPESA', 'KE');
+    await redis.del(`payment:order:${order.orderId}`);
+    const result = await verifyAndActivatePayment(redis, order.orderId, 'RCPT-12');
+    assert.equal(result.success, true);
+    assert.deepEqual(calls, ['order', 'lookup', 'provider', 'activation']);
+    const activation = pool.events.find(e => e.event_type === 'activation');
+    assert.equal(activation.payload.expiresAt, redis.hashes.get('user:12').subscriptionExpiry);
+    await assert.rejects(() => verifyAndActivatePayment(redis, order.orderId, 'RCPT-12'), /already processed/);
+  } finally {
+    setDefaultLedger(null);
+  }
+});
+
+test('payment-router - an activation the ledger cannot book grants nothing and can be retried', async () => {
+  const pool = new MockPool();
+  const real = new PaymentLedger(pool);
+  let down = true;
+  setDefaultLedger({
+    recordOrder: (o) => real.recordOrder(o),
+    getOrder: (id) => real.getOrder(id),
+    recordProviderEvent: (e) => real.recordProviderEvent(e),
+    recordActivation: (o, p) => {
+      if (down) throw new Error('connection terminated');
+      return real.recordActivation(o, p);
+    }
+  });
+  try {
+    const redis = new MockRedis();
+    const order = await createPaymentOrder(redis, 14, 'PRO', 'MPESA', 'KE');
+    await assert.rejects(() => verifyAndActivatePayment(redis, order.orderId, 'RCPT-14'), /ledger activation failed/);
+    assert.equal(redis.hashes.get('user:14')?.tier, undefined, 'no tier without a ledger entry');
+    assert.equal(await redis.get('transaction:RCPT-14'), null);
+    assert.equal(JSON.parse(await redis.get(`payment:order:${order.orderId}`)).status, 'pending');
+
+    down = false;
+    assert.equal((await verifyAndActivatePayment(redis, order.orderId, 'RCPT-14')).success, true);
+    assert.equal(redis.hashes.get('user:14').tier, 'PRO');
+    assert.deepEqual(pool.events.map(e => e.event_type), ['order_created', 'provider_event', 'activation'], 'the retried provider event posts once');
+  } finally {
+    setDefaultLedger(null);
+  }
+});
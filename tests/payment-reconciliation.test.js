@@ -0,0 +1,200 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PaymentReconciler, compareAmounts, formatReport } from '../src/services/payment-reconciler.js';
+import { createMockAdapter } from '../src/adapters/payment-mock.js';
+import { createDarajaAdapter } from '../src/adapters/payment-daraja.js';
+import { createPayPalAdapter } from '../src/adapters/payment-paypal.js';
+import { signBinancePayload, createBinanceAdapter } from '../src/adapters/payment-binance.js';
+import { createLipanaAdapter } from '../src/adapters/payment-lipana.js';
+import { createPaymentOrder, recordProviderRef, PENDING_INDEX_KEY } from '../src/handlers/payment-router.js';
+
+// Mock Redis with the string, hash and sorted-set commands used by orders, grants and reports
+class MockRedis {
+  constructor() { this.kv = new Map(); this.hashes = new Map(); this.zsets = new Map(); }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async set(k, v, ...args) {
+    if (args.includes('NX') && this.kv.has(k)) return null;
+    this.kv.set(k, String(v));
+    return 'OK';
+  }
+  async setex(k, _ttl, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async del(k) { this.kv.delete(k); this.hashes.delete(k); return 1; }
+  async expire() { return 1; }
+  async hset(k, ...args) {
+    const h = this.hashes.get(k) || {};
+    for (let i = 0; i < args.length; i += 2) h[args[i]] = String(args[i + 1]);
+    this.hashes.set(k, h);
+    return 1;
+  }
+  async hgetall(k) { return { ...(this.hashes.get(k) || {}) }; }
+  async hdel(k, f) { delete (this.hashes.get(k) || {})[f]; return 1; }
+  async zadd(k, score, member) { const z = this.zsets.get(k) || new Map(); z.set(String(member), Number(score)); this.zsets.set(k, z); return 1; }
+  async zrem(k, member) { (this.zsets.get(k) || new Map()).delete(String(member)); return 1; }
+  async zrangebyscore(k, min, max) {
+    return [...(this.zsets.get(k) || new Map()).entries()].filter(([, s]) => s >= Number(min) && s <= Number(max)).sort((a, b) => a[1] - b[1]).map(([m]) => m);
+  }
+}
+
+const HOUR = 60 * 60 * 1000;
+
+async function mpesaOrder(redis, userId, checkoutId) {
+  const order = await createPaymentOrder(redis, userId, 'PRO', 'MPESA', 'KE', { phone: `2547120${userId}` });
+  await recordProviderRef(redis, order.orderId, checkoutId, { gateway: 'LIPANA' });
+  return order;
+}
+
+test('reconciler - activates paid, fails declined, expires abandoned and holds underpaid orders', async () => {
+  const redis = new MockRedis();
+  const paid = await mpesaOrder(redis, 601, 'CK-PAID');
+  const declined = await mpesaOrder(redis, 602, 'CK-DECLINED');
+  const abandoned = await mpesaOrder(redis, 603, 'CK-ABANDONED');
+  const short = await mpesaOrder(redis, 604, 'CK-SHORT');
+  const fresh = await mpesaOrder(redis, 605, 'CK-FRESH');
+
+  const adapter = createMockAdapter({
+    name: 'LIPANA',
+    payments: [
+      { providerRef: 'CK-PAID', status: 'success', amount: paid.totalAmount },
+      { providerRef: 'CK-DECLINED', status: 'failed', reason: 'cancelled' },
+      { providerRef: 'CK-SHORT', status: 'success', amount: short.totalAmount - 200 },
+      { providerRef: 'CK-FRESH', status: 'success', amount: fresh.totalAmount }
+    ]
+  });
+  const sent = [];
+  const telegram = { sendMessage: async (chatId, text) => { sent.push({ chatId, text }); } };
+  const reconciler = new PaymentReconciler(redis, { adapters: [adapter], telegram, staleMinutes: 15, expireHours: 24 });
+
+  // Age everything but the fresh order past the expiry window
+  for (const o of [paid, declined, abandoned, short]) await redis.zadd(PENDING_INDEX_KEY, Date.now() - 30 * HOUR, o.orderId);
+  for (const o of [paid, declined, abandoned, short]) {
+    const snapshot = JSON.parse(redis.kv.get(`payment:pending:${o.orderId}`));
+    await redis.setex(`payment:pending:${o.orderId}`, 60, JSON.stringify({ ...snapshot, createdAt: new Date(Date.now() - 30 * HOUR).toISOString() }));
+  }
+
+  const summary = await reconciler.run();
+  assert.equal(summary.checked, 4, 'the fresh order is not stale yet');
+  assert.equal(summary.activated, 1);
+  assert.equal(summary.failed, 1);
+  assert.equal(summary.expired, 1);
+  assert.equal(summary.mismatched, 1);
+
+  assert.equal(JSON.parse(redis.kv.get(`payment:order:${paid.orderId}`)).status, 'completed');
+  assert.equal(redis.hashes.get('user:601').tier, 'PRO');
+  assert.equal(JSON.parse(redis.kv.get(`payment:order:${declined.orderId}`)).failureReason, 'cancelled');
+  assert.equal(JSON.parse(redis.kv.get(`payment:order:${abandoned.orderId}`)).failureReason, 'expired');
+  assert.equal(redis.hashes.get('user:604'), undefined, 'underpaid order is not activated');
+  assert.deepEqual(await redis.zrangebyscore(PENDING_INDEX_KEY, 0, Date.now()), [short.orderId, fresh.orderId]);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].chatId, 601);
+
+  const again = await reconciler.run();
+  assert.equal(again.activated, 0, 'a second pass does not activate twice');
+});
+
+test('reconciler - daily report lists orphan provider payments and unmapped webhooks, sent once', async () => {
+  const redis = new MockRedis();
+  const order = await mpesaOrder(redis, 611, 'CK-611');
+  await redis.zadd(PENDING_INDEX_KEY, Date.now() - HOUR, order.orderId);
+  const adapter = createMockAdapter({
+    name: 'LIPANA',
+    payments: [
+      { providerRef: 'CK-611', status: 'success', amount: order.totalAmount + 50 },
+      { providerRef: 'CK-STRAY', status: 'success', amount: 899, currency: 'KES' }
+    ]
+  });
+  const now = Date.now();
+  const webhooks = { list: async () => [{ id: '7', provider: 'PAYPAL', providerEventId: 'WH-9', status: 'ignored', lastError: 'Order mapping not found', receivedAt: new Date(now - 1000).toISOString() }] };
+  const sent = [];
+  const telegram = { sendMessage: async (chatId, text) => { sent.push({ chatId, text }); } };
+  const reconciler = new PaymentReconciler(redis, { adapters: [adapter], webhooks, telegram, adminId: 'admin' });
+
+  await reconciler.run({ now });
+  const report = await reconciler.getReport(new Date(now).toISOString().slice(0, 10));
+  assert.equal(report.summary.orphans, 2);
+  assert.equal(report.summary.mismatched, 1, 'overpaid order is activated but flagged');
+  assert.equal(JSON.parse(redis.kv.get(`payment:order:${order.orderId}`)).status, 'completed');
+  assert.match(formatReport(report), /CK-STRAY: 899 KES with no order/);
+
+  const tomorrow = now + 24 * HOUR;
+  const first = await reconciler.sendDailyReport({ now: tomorrow });
+  const second = await reconciler.sendDailyReport({ now: tomorrow });
+  assert.equal(first.date, report.date);
+  assert.equal(second, null);
+  assert.equal(sent.filter(m => m.chatId === 'admin').length, 1);
+});
+
+test('reconciler - adapters map provider responses and pick the gateway that issued the checkout', async () => {
+  const daraja = createDarajaAdapter({ client: { stkQuery: async ({ checkoutRequestId }) => ({ raw: checkoutRequestId === 'ws_CO_1' ? { ResultCode: '1032' } : { errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' } }) } });
+  assert.equal((await daraja.lookup({ providerRef: 'ws_CO_1' })).status, 'failed');
+  assert.equal((await daraja.lookup({ providerRef: 'ws_CO_1' })).reason, 'cancelled');
+  assert.equal((await daraja.lookup({ providerRef: 'ws_CO_2' })).status, 'pending');
+
+  const paypal = createPayPalAdapter({ client: { getOrder: async () => ({ success: true, data: { status: 'COMPLETED', purchase_units: [{ payments: { captures: [{ amount: { value: '9.26', currency_code: 'USD' } }] } }] } }) } });
+  assert.deepEqual(await paypal.lookup({ providerRef: 'PP-1' }), { status: 'success', amount: 9.26, currency: 'USD', providerRef: 'PP-1', reason: null });
+
+  const lipana = createMockAdapter({ name: 'LIPANA' });
+  const reconciler = new PaymentReconciler(new MockRedis(), { adapters: [lipana, daraja, paypal] });
+  assert.equal(reconciler.adapterFor({ paymentMethod: 'MPESA', providerRef: 'ws_CO_1', gateway: 'DARAJA' }).name, 'LIPANA', 'first supporting adapter wins');
+  const gated = new PaymentReconciler(new MockRedis(), { adapters: [daraja, paypal] });
+  assert.equal(gated.adapterFor({ paymentMethod: 'MPESA', providerRef: 'x', gateway: 'LIPANA' }), null);
+  assert.equal(gated.adapterFor({ paymentMethod: 'PAYPAL', providerRef: 'PP-1' }).name, 'PAYPAL');
+
+  assert.equal(compareAmounts(2739.49, 2740), 'match');
+  assert.equal(compareAmounts(2739.49, 2500), 'underpaid');
+  assert.equal(compareAmounts(2739.49, null), 'unknown');
+  assert.match(signBinancePayload(1700000000000, 'abc', '{"merchantTradeNo":"O1"}', 'secret'), /^[0-9A-F]{128}$/);
+});
+
+test('reconciler - provider listings find orphans, late Binance payments on closed orders, and unknown amounts are not activated', async () => {
+  const redis = new MockRedis();
+  const order = await createPaymentOrder(redis, 621, 'PRO', 'MPESA', 'KE', { phone: '254712000621' });
+  await recordProviderRef(redis, order.orderId, 'ws_CO_621', { gateway: 'DARAJA' });
+  await redis.zadd(PENDING_INDEX_KEY, Date.now() - HOUR, order.orderId);
+  const daraja = createDarajaAdapter({
+    client: {
+      stkQuery: async () => ({ raw: { ResultCode: '0' } }),
+      pullTransactions: async () => ({ ok: true, transactions: [{ transactionId: 'SJK1STRAY', billreference: 'Betrix', amount: '500' }] })
+    }
+  });
+  const reconciler = new PaymentReconciler(redis, { adapters: [daraja] });
+  const now = Date.now();
+  const summary = await reconciler.run({ now });
+  assert.deepEqual([summary.activated, summary.mismatched, summary.orphans], [0, 1, 1]);
+  assert.equal(redis.hashes.get('user:621'), undefined, 'STK query reports no amount: not activated');
+  const report = await reconciler.getReport(new Date(now).toISOString().slice(0, 10));
+  assert.equal(report.entries.find(e => e.orderId === order.orderId).reason, 'amount_unknown');
+  assert.match(formatReport(report), /received unknown KES/);
+  assert.match(formatReport(report), /DARAJA SJK1STRAY: 500 KES with no order/);
+
+  // Binance cannot list payments: orders closed as failed are queried again
+  await redis.setex('payment:order:ORD-B1', 60, JSON.stringify({ orderId: 'ORD-B1', paymentMethod: 'BINANCE', status: 'failed' }));
+  await redis.setex('payment:order:ORD-B2', 60, JSON.stringify({ orderId: 'ORD-B2', paymentMethod: 'BINANCE', status: 'failed' }));
+  const binance = createBinanceAdapter({
+    client: { queryOrder: async (id) => ({ raw: { status: 'SUCCESS', data: id === 'ORD-B1' ? { status: 'PAID', orderAmount: '5.99', currency: 'USDT', transactionId: 'BN-1' } : { status: 'EXPIRED' } } }) }
+  });
+  const closed = [{ orderId: 'ORD-B1', paymentMethod: 'BINANCE' }, { orderId: 'ORD-B2', paymentMethod: 'BINANCE' }, { orderId: order.orderId, paymentMethod: 'MPESA' }];
+  const orphans = await new PaymentReconciler(redis, { adapters: [binance] }).findOrphans({ since: now - HOUR, until: now, orders: closed });
+  assert.deepEqual(orphans.map(o => [o.provider, o.providerRef, o.received, o.reference]), [['BINANCE', 'BN-1', 5.99, 'ORD-B1']]);
+
+  // Lipana and PayPal listings; payments that activated an order or reference a live one are not orphans
+  await redis.setex('transaction:CAP-OK', 60, JSON.stringify({ orderId: 'ORD-P1' }));
+  const paypal = createPayPalAdapter({
+    client: {
+      listTransactions: async () => ({
+        success: true,
+        data: { transaction_details: [
+          { transaction_info: { transaction_id: 'CAP-OK', transaction_status: 'S', transaction_amount: { value: '9.26', currency_code: 'USD' } } },
+          { transaction_info: { transaction_id: 'CAP-NEW', transaction_status: 'S', transaction_amount: { value: '24.99', currency_code: 'USD' }, invoice_id: 'INV-9' } },
+          { transaction_info: { transaction_id: 'REF-1', transaction_status: 'S', transaction_amount: { value: '-9.26', currency_code: 'USD' } } }
+        ] }
+      })
+    }
+  });
+  const lipana = createLipanaAdapter({ client: { listTransactions: async () => ({ status: 200, raw: { data: [{ transactionId: 'LP-1', status: 'completed', amount: 899, reference: order.orderId }, { transactionId: 'LP-2', status: 'failed', amount: 899 }] } }) } });
+  assert.deepEqual(await lipana.listPayments({ since: now - HOUR, until: now }), [
+    { providerRef: 'LP-1', status: 'success', amount: 899, currency: 'KES', reference: order.orderId },
+    { providerRef: 'LP-2', status: 'failed', amount: 899, currency: 'KES', reference: null }
+  ]);
+  const listed = await new PaymentReconciler(redis, { adapters: [paypal, lipana] }).findOrphans({ since: now - HOUR, until: now });
+  assert.deepEqual(listed.map(o => [o.provider, o.providerRef, o.received]), [['PAYPAL', 'CAP-NEW', 24.99]]);
+});
@@ -0,0 +1,127 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseConfirmationSms, looksLikePaymentSms, scoreMatch } from '../src/lib/payment-sms.js';
+import { PaymentSmsVerifier } from '../src/services/payment-sms-verifier.js';
+import { createPaymentOrder, parseTransactionMessage } from '../src/handlers/payment-router.js';
+
+const corpus = JSON.parse(fs.readFileSync(new URL('./fixtures/payment-sms.json', import.meta.url), 'utf8'));
+
+// Mock Redis with the string, hash, list and sorted-set commands used by orders, grants and reviews
+class MockRedis {
+  constructor() { this.kv = new Map(); this.hashes = new Map(); this.lists = new Map(); }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async set(k, v, ...args) {
+    if (args.includes('NX') && this.kv.has(k)) return null;
+    this.kv.set(k, String(v));
+    return 'OK';
+  }
+  async setex(k, _ttl, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async del(k) { this.kv.delete(k); this.hashes.delete(k); return 1; }
+  async expire() { return 1; }
+  async hset(k, ...args) {
+    const h = this.hashes.get(k) || {};
+    for (let i = 0; i < args.length; i += 2) h[args[i]] = String(args[i + 1]);
+    this.hashes.set(k, h);
+    return 1;
+  }
+  async hgetall(k) { return { ...(this.hashes.get(k) || {}) }; }
+  async hdel(k, f) { delete (this.hashes.get(k) || {})[f]; return 1; }
+  async zadd() { return 1; }
+  async zrem() { return 1; }
+  async lpush(k, v) { const l = this.lists.get(k) || []; l.unshift(String(v)); this.lists.set(k, l); return l.length; }
+  async lrange(k, start, stop) { const l = this.lists.get(k) || []; return l.slice(start, stop === -1 ? undefined : stop + 1); }
+  async lrem(k, _count, v) { this.lists.set(k, (this.lists.get(k) || []).filter(x => x !== String(v))); return 1; }
+}
+
+function telegramMock() {
+  const sent = [];
+  return { sent, sendMessage: async (chatId, text) => { sent.push({ chatId, text }); } };
+}
+
+// "d/m/yy at h:mm AM" in East Africa Time, as M-Pesa prints it
+function mpesaTime(ms) {
+  const t = new Date(ms + 3 * 60 * 60 * 1000);
+  const h = t.getUTCHours();
+  return `${t.getUTCDate()}/${t.getUTCMonth() + 1}/${String(t.getUTCFullYear()).slice(2)} at ${h % 12 || 12}:${String(t.getUTCMinutes()).padStart(2, '0')} ${h < 12 ? 'AM' : 'PM'}`;
+}
+
+const ksh = (n) => Number(n).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const merchant = { names: ['BETRIX'], tills: ['606215'], paybills: ['400200'] };
+
+test('payment sms - parses every message format in the fixture corpus', () => {
+  for (const { name, text, expected } of corpus) {
+    const parsed = parseConfirmationSms(text);
+    for (const [field, value] of Object.entries(expected)) {
+      assert.equal(parsed[field], value, `${name}: ${field}`);
+    }
+    assert.equal(looksLikePaymentSms(text), expected.provider !== null, `${name}: detection`);
+  }
+
+  const legacy = parseTransactionMessage(corpus[0].text);
+  assert.equal(legacy.transactionId, 'QJK4XYZ12A');
+  assert.equal(legacy.reference, 'ORD1001');
+  assert.equal(legacy.amount, 1250);
+});
+
+test('payment sms - a till confirmation for the pending order activates it once', async () => {
+  const redis = new MockRedis();
+  const verifier = new PaymentSmsVerifier(redis, { merchant });
+  const order = await createPaymentOrder(redis, 1601, 'PRO', 'SAFARICOM_TILL', 'KE');
+  const text = `SBC2DEF34G Confirmed. Ksh${ksh(order.totalAmount)} paid to BETRIX SPORTS. on ${mpesaTime(Date.now() + 60000)}.New M-PESA balance is Ksh1,020.00. Transaction cost, Ksh0.00.`;
+
+  const result = await verifier.verify(1601, text);
+  assert.equal(result.status, 'activated');
+  assert.deepEqual(result.reasons, ['amount_exact', 'merchant_name', 'timely', 'provider']);
+  assert.equal(redis.hashes.get('user:1601').tier, 'PRO');
+  assert.equal(JSON.parse(redis.kv.get('transaction:SBC2DEF34G')).orderId, order.orderId);
+
+  const again = await verifier.verify(1601, text);
+  assert.equal(again.status, 'duplicate');
+  assert.match(again.message, /already been used/);
+});
+
+test('payment sms - money sent to a person waits for admin review and is activated on approval', async () => {
+  const redis = new MockRedis();
+  const telegram = telegramMock();
+  const verifier = new PaymentSmsVerifier(redis, { merchant, telegram, adminId: 99 });
+  const order = await createPaymentOrder(redis, 1602, 'PRO', 'MPESA', 'KE');
+  const text = `RKL9MNO12P Confirmed. Ksh${ksh(order.totalAmount)} sent to JOHN DOE 0712345678 on ${mpesaTime(Date.now())}. New M-PESA balance is Ksh740.00.`;
+
+  const result = await verifier.verify(1602, text);
+  assert.equal(result.status, 'review');
+  assert.ok(result.reasons.includes('sent_to_person'));
+  assert.equal(redis.hashes.get('user:1602'), undefined, 'nothing activated yet');
+  assert.match(telegram.sent.find(m => m.chatId === 99).text, /needs review[\s\S]*RKL9MNO12P/);
+
+  const [queued] = await verifier.listReviews();
+  assert.equal(queued.orderId, order.orderId);
+  const approved = await verifier.approve(queued.id, { by: 'ops' });
+  assert.equal(approved.activation.success, true);
+  assert.equal(redis.hashes.get('user:1602').tier, 'PRO');
+  assert.deepEqual(await verifier.listReviews(), []);
+  assert.match(telegram.sent.find(m => m.chatId === 1602).text, /Welcome to BETRIX PRO/);
+  await assert.rejects(verifier.approve(queued.id), /already approved/);
+});
+
+test('payment sms - wrong amounts and pre-order receipts do not match; rejecting releases the receipt', async () => {
+  const redis = new MockRedis();
+  const verifier = new PaymentSmsVerifier(redis, { merchant, reviewThreshold: 0.3 });
+  const order = await createPaymentOrder(redis, 1603, 'PRO', 'SAFARICOM_TILL', 'KE');
+
+  const short = await verifier.verify(1603, `QAA1BBB22C Confirmed. Ksh${ksh(order.totalAmount / 2)} paid to BETRIX SPORTS. on ${mpesaTime(Date.now())}.`);
+  assert.equal(short.status, 'no_match');
+  assert.ok(short.reasons.includes('amount_short'));
+
+  const early = parseConfirmationSms(`QAA1BBB22D Confirmed. Ksh${ksh(order.totalAmount)} paid to BETRIX SPORTS. on ${mpesaTime(Date.now() - 2 * 60 * 60 * 1000)}.`);
+  const scored = scoreMatch(early, order, merchant);
+  assert.ok(scored.reasons.includes('before_order'));
+  assert.ok(scored.score < 0.75);
+
+  const review = await verifier.verify(1603, early.normalized);
+  assert.equal(review.status, 'review');
+  const rejected = await verifier.reject(review.reviewId, { reason: 'receipt predates order' });
+  assert.equal(rejected.status, 'rejected');
+  assert.equal(redis.kv.get('payment:sms_receipt:QAA1BBB22D'), undefined, 'receipt can be claimed again');
+  assert.equal(JSON.parse(redis.kv.get(`payment:order:${order.orderId}`)).status, 'pending');
+});
@@ -0,0 +1,173 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PromotionService, promoIneligibility, discountAmount, parsePromoArgs, formatPromoReport } from '../src/services/promotions.js';
+import { createPaymentOrder, getPaymentInstructions, verifyAndActivatePayment, failOrder } from '../src/handlers/payment-router.js';
+
+// Mock Redis with the string, hash, set and sorted-set commands used by orders, grants and promos
+class MockRedis {
+  constructor() { this.kv = new Map(); this.hashes = new Map(); this.sets = new Map(); this.zsets = new Map(); }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async set(k, v, ...args) {
+    if (args.includes('NX') && this.kv.has(k)) return null;
+    this.kv.set(k, String(v));
+    return 'OK';
+  }
+  async setex(k, _ttl, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async del(k) { this.kv.delete(k); this.hashes.delete(k); return 1; }
+  async expire() { return 1; }
+  async hset(k, ...args) {
+    const h = this.hashes.get(k) || {};
+    for (let i = 0; i < args.length; i += 2) h[args[i]] = String(args[i + 1]);
+    this.hashes.set(k, h);
+    return 1;
+  }
+  async hget(k, f) { return (this.hashes.get(k) || {})[f] ?? null; }
+  async hgetall(k) { return { ...(this.hashes.get(k) || {}) }; }
+  async hdel(k, f) { delete (this.hashes.get(k) || {})[f]; return 1; }
+  async hincrby(k, f, n) { return this.hincrbyfloat(k, f, n); }
+  async hincrbyfloat(k, f, n) {
+    const h = this.hashes.get(k) || {};
+    h[f] = String(Number(h[f] || 0) + Number(n));
+    this.hashes.set(k, h);
+    return h[f];
+  }
+  async sadd(k, v) { const s = this.sets.get(k) || new Set(); s.add(String(v)); this.sets.set(k, s); return 1; }
+  async smembers(k) { return [...(this.sets.get(k) || [])]; }
+  async sismember(k, v) { return (this.sets.get(k) || new Set()).has(String(v)) ? 1 : 0; }
+  async zadd(k, score, m) { const z = this.zsets.get(k) || new Map(); z.set(String(m), Number(score)); this.zsets.set(k, z); return 1; }
+  async zrem(k, m) { return (this.zsets.get(k) || new Map()).delete(String(m)) ? 1 : 0; }
+  async zcount(k, min, max) {
+    const lo = min === '-inf' ? -Infinity : Number(min);
+    const hi = max === '+inf' ? Infinity : Number(max);
+    return [...(this.zsets.get(k) || new Map()).values()].filter(s => s >= lo && s <= hi).length;
+  }
+  async zremrangebyscore(k, min, max) {
+    const z = this.zsets.get(k) || new Map();
+    const lo = min === '-inf' ? -Infinity : Number(min);
+    let removed = 0;
+    for (const [m, s] of z) if (s >= lo && s <= Number(max)) { z.delete(m); removed += 1; }
+    return removed;
+  }
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+test('promotions - a percent coupon discounts the order, shows in the instructions and is counted on activation', async () => {
+  const redis = new MockRedis();
+  const promos = new PromotionService(redis);
+  await promos.create({ code: 'welcome20', type: 'percent', value: 20, maxRedemptions: 100, tiers: 'PRO,VVIP' }, { by: 1 });
+
+  const order = await createPaymentOrder(redis, 1701, 'PRO', 'SAFARICOM_TILL', 'KE', { promoCode: 'WELCOME20' });
+  assert.equal(order.listPrice, 899);
+  assert.equal(order.promo.discount, 179.8);
+  assert.equal(order.baseAmount, 719.2);
+  assert.equal(order.totalAmount, 726.4, '1% till fee on the discounted price');
+  assert.equal(order.instructions.amount, 726.4);
+  const instructions = await getPaymentInstructions(redis, order.orderId, 'SAFARICOM_TILL');
+  assert.equal(instructions.promo, '🎟️ Promo WELCOME20 (20% off): -179.8 KES, was 899 KES');
+
+  await verifyAndActivatePayment(redis, order.orderId, 'TXPROMO1');
+  const [row] = await promos.report('WELCOME20');
+  assert.equal(row.redemptions, 1);
+  assert.equal(row.uniqueUsers, 1);
+  assert.deepEqual(row.discount, { KES: 179.8 });
+  assert.deepEqual(row.revenue, { KES: 726.4 });
+  assert.match(formatPromoReport([row]), /WELCOME20\* \(20% off\)[\s\S]*1\/100 redeemed by 1 users/);
+
+  await assert.rejects(createPaymentOrder(redis, 1701, 'VVIP', 'MPESA', 'KE', { promoCode: 'WELCOME20' }), /WELCOME20: already used/);
+  await assert.rejects(createPaymentOrder(redis, 1702, 'PLUS', 'MPESA', 'KE', { promoCode: 'WELCOME20' }), /not valid for PLUS/);
+});
+
+test('promotions - expiry, country, currency, caps and disabling', async () => {
+  const now = Date.parse('2026-10-18T12:00:00Z');
+  const base = { code: 'X', type: 'percent', value: 10, active: true, perUserLimit: 1 };
+  assert.equal(promoIneligibility({ ...base, expiresAt: '2026-10-01T00:00:00Z' }, { now }), 'expired');
+  assert.equal(promoIneligibility({ ...base, startsAt: '2026-11-01T00:00:00Z' }, { now }), 'not active yet');
+  assert.equal(promoIneligibility({ ...base, countries: ['UG'] }, { now, country: 'KE' }), 'not available in your country');
+  assert.equal(promoIneligibility({ ...base, countries: ['UG'] }, { now, country: 'ug' }), null);
+  assert.equal(promoIneligibility({ ...base, maxRedemptions: 5, redemptions: 5 }, { now }), 'fully redeemed');
+  assert.equal(promoIneligibility({ ...base, type: 'fixed', currency: 'KES' }, { now, currency: 'USD' }), 'only valid for KES payments');
+  assert.equal(discountAmount({ type: 'fixed', value: 1000 }, 899, { minAmount: 50 }), 849, 'never below the provider minimum');
+
+  const redis = new MockRedis();
+  const promos = new PromotionService(redis);
+  await promos.create({ code: 'SAVE100', type: 'fixed', value: 100, currency: 'KES', countries: 'KE' });
+  await assert.rejects(promos.create({ code: 'save100', type: 'fixed', value: 5 }), /already exists/);
+  await assert.rejects(promos.create({ code: 'BAD', type: 'percent', value: 150 }), /percent up to 100/);
+
+  const order = await createPaymentOrder(redis, 1711, 'PRO', 'MPESA', 'KE', { promoCode: 'save100' });
+  assert.equal(order.baseAmount, 799);
+  await assert.rejects(createPaymentOrder(redis, 1712, 'PRO', 'PAYPAL', 'US', { promoCode: 'SAVE100' }), /not available in your country/);
+
+  await promos.disable('SAVE100');
+  await assert.rejects(createPaymentOrder(redis, 1713, 'PRO', 'MPESA', 'KE', { promoCode: 'SAVE100' }), /no longer active/);
+  assert.deepEqual(parsePromoArgs(['SAVE5', 'fixed', '5', 'currency=USD', 'max=10', 'expires=2026-12-31']), {
+    code: 'SAVE5', type: 'fixed', value: 5, currency: 'USD', maxRedemptions: '10', expiresAt: '2026-12-31'
+  });
+});
+
+test('promotions - a first-month trial is only for new subscribers and keeps the provider minimum', async () => {
+  const redis = new MockRedis();
+  const promos = new PromotionService(redis);
+  await promos.create({ code: 'TRYPRO', type: 'trial', perUserLimit: 5 });
+
+  const first = await createPaymentOrder(redis, 1721, 'PRO', 'MPESA', 'KE', { promoCode: 'TRYPRO' });
+  assert.equal(first.baseAmount, 10, 'M-Pesa minimum');
+  assert.equal(first.promo.label, 'first month 100% off');
+  await verifyAndActivatePayment(redis, first.orderId, 'TXTRIAL1');
+  assert.equal(redis.hashes.get('user:1721').tier, 'PRO');
+
+  await assert.rejects(createPaymentOrder(redis, 1721, 'PRO', 'MPESA', 'KE', { promoCode: 'TRYPRO' }), /only for first-time subscribers/);
+});
+
+test('promotions - referral codes discount the friend, credit the referrer and can be saved with /promo', async () => {
+  const redis = new MockRedis();
+  const promos = new PromotionService(redis, { referralPercent: 10, referralRewardPercent: 10 });
+  const ref = await promos.referralCode(1731);
+  assert.equal(ref.code, 'REF1731');
+  assert.equal((await promos.referralCode(1731)).createdAt, ref.createdAt, 'same code on every call');
+
+  await assert.rejects(promos.attach(1731, 'ref1731'), /your own referral code/);
+  await assert.rejects(promos.attach(1732, 'NOPE'), /NOPE: unknown code/);
+  await promos.attach(1732, 'ref1731');
+
+  const order = await createPaymentOrder(redis, 1732, 'VVIP', 'MPESA', 'KE');
+  assert.equal(order.promo.code, 'REF1731');
+  assert.equal(order.baseAmount, 2429.1);
+  await verifyAndActivatePayment(redis, order.orderId, 'TXREF1');
+  assert.equal(redis.kv.get('user:1732:promo'), undefined, 'saved code is used up');
+  assert.equal(redis.hashes.get('user:1731:credit').KES, String(Math.round(order.totalAmount * 10) / 100));
+  assert.equal(await promos.redeem(order), false, 'redeemed once');
+
+  await sleep(2);
+  const next = await createPaymentOrder(redis, 1732, 'PRO', 'MPESA', 'KE');
+  assert.equal(next.promo, undefined);
+});
+
+test('promotions - unpaid orders hold uses of a capped code until they are activated, fail or expire', async () => {
+  const redis = new MockRedis();
+  const promos = new PromotionService(redis);
+  await promos.create({ code: 'LAST2', type: 'percent', value: 10, maxRedemptions: 2 });
+
+  const first = await createPaymentOrder(redis, 1741, 'PRO', 'MPESA', 'KE', { promoCode: 'LAST2' });
+  const second = await createPaymentOrder(redis, 1742, 'PRO', 'MPESA', 'KE', { promoCode: 'LAST2' });
+  assert.equal((await promos.get('LAST2')).reserved, 2);
+  await assert.rejects(createPaymentOrder(redis, 1743, 'PRO', 'MPESA', 'KE', { promoCode: 'LAST2' }), /LAST2: fully redeemed/);
+
+  // Two orders that both passed the quote race for the last use: the hold goes in first, so only one keeps it
+  await failOrder(redis, second.orderId, { reason: 'expired' });
+  assert.equal((await promos.get('LAST2')).reserved, 1, 'the expired order gave its use back');
+  const racing = { code: 'LAST2' };
+  const results = await Promise.allSettled([promos.reserve({ orderId: 'ORDA', promo: racing }), promos.reserve({ orderId: 'ORDB', promo: racing })]);
+  assert.ok(results.filter(r => r.status === 'fulfilled').length <= 1);
+  await promos.release({ orderId: 'ORDA', promo: racing });
+  await promos.release({ orderId: 'ORDB', promo: racing });
+
+  // Activation turns the hold into a redemption; a stale hold lapses on its own
+  await verifyAndActivatePayment(redis, first.orderId, 'TXLAST1');
+  assert.deepEqual(await promos.get('LAST2').then(p => [p.redemptions, p.reserved]), [1, 0]);
+  await promos.reserve({ orderId: 'ORDSTALE', promo: racing }, { now: Date.now() - 25 * 60 * 60 * 1000 });
+  const third = await createPaymentOrder(redis, 1744, 'PRO', 'MPESA', 'KE', { promoCode: 'LAST2' });
+  assert.equal(third.promo.code, 'LAST2');
+  await assert.rejects(promos.reserve({ orderId: 'ORDC', promo: racing }), /fully redeemed/);
+});
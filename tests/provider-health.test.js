@@ -0,0 +1,164 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ProviderHealth, parseRetryAfter, failureDetails, formatBreakerReport, BREAKERS_KEY, BREAKER_HISTORY_KEY } from '../src/utils/provider-health.js';
+import { ProviderRegistry } from '../src/services/provider-registry.js';
+import { EntityRegistry } from '../src/services/entity-registry.js';
+import { SportsAggregator } from '../src/services/sports-aggregator.js';
+
+// Mock Redis with the string, hash and list commands the breaker and aggregator use
+class MockRedis {
+  constructor() { this.kv = new Map(); this.hashes = new Map(); this.lists = new Map(); }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async set(k, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async expire() { return 1; }
+  async del(k) { return this.kv.delete(k) ? 1 : 0; }
+  async hset(k, f, v) { const h = this.hashes.get(k) || {}; h[f] = String(v); this.hashes.set(k, h); return 1; }
+  async hget(k, f) { return (this.hashes.get(k) || {})[f] ?? null; }
+  async hgetall(k) { return { ...(this.hashes.get(k) || {}) }; }
+  async lpush(k, v) { const l = this.lists.get(k) || []; l.unshift(String(v)); this.lists.set(k, l); return l.length; }
+  async ltrim(k, start, stop) { this.lists.set(k, (this.lists.get(k) || []).slice(start, stop + 1)); return 'OK'; }
+  async lrange(k, start, stop) { const l = this.lists.get(k) || []; return l.slice(start, stop === -1 ? undefined : stop + 1); }
+}
+
+const NOW = Date.parse('2026-10-18T16:00:00Z');
+
+function clock() {
+  const c = { t: NOW, now: () => c.t, tick: (ms) => { c.t += ms; } };
+  return c;
+}
+
+test('circuit breaker - sliding-window error rate opens the circuit, latency percentiles per endpoint', async () => {
+  const c = clock();
+  const health = new ProviderHealth(null, { now: c.now });
+
+  for (const ms of [120, 80, 100, 400]) await health.record('footballdata', 'live', { ok: true, latencyMs: ms });
+  await health.record('footballdata', 'live', { ok: false, status: 404, latencyMs: 90 });
+  assert.equal(health.describe('footballdata')[0].window.errors, 0, 'a 404 means the provider answered');
+  await health.record('footballdata', 'live', { ok: false, status: 503, latencyMs: 2000 });
+
+  const [live] = health.describe('footballdata');
+  assert.equal(live.circuit, 'footballdata:live');
+  assert.equal(live.state, 'closed', 'one error in six');
+  assert.deepEqual([live.window.requests, live.window.errors, live.window.p50, live.window.p95, live.window.p99], [6, 1, 100, 2000, 2000]);
+
+  // Old successes slide out of the window; recent failures then dominate
+  c.tick(6 * 60 * 1000);
+  await health.record('footballdata', 'live', { ok: true, latencyMs: 100 });
+  for (let i = 0; i < 3; i++) await health.record('footballdata', 'live', { ok: false, message: 'ECONNRESET' });
+  assert.equal(await health.allowRequest('footballdata', 'live'), true, '3 errors in 4 calls is under minRequests');
+  assert.equal(await health.record('footballdata', 'live', { ok: false, status: 500 }), 'open');
+  assert.equal(await health.allowRequest('footballdata', 'live'), false);
+  assert.equal(await health.allowRequest('footballdata', 'standings'), true, 'other endpoints unaffected');
+  assert.equal(await health.isDisabled('footballdata', 'live'), true);
+  assert.equal(await health.isDisabled('footballdata'), false, 'provider still has a closed circuit');
+  assert.match(health.describe('footballdata').find(s => s.endpoint === 'live').reason, /error rate 80% over 5 calls/);
+});
+
+test('circuit breaker - half-open trials and exponential cool-down', async () => {
+  const c = clock();
+  const health = new ProviderHealth(null, { now: c.now, minRequests: 2, baseCooldownMs: 10 * 1000, maxCooldownMs: 60 * 1000 });
+  const fail = () => health.record('sportsmonks', 'live', { ok: false, status: 502 });
+
+  await fail();
+  assert.equal(await fail(), 'open');
+  c.tick(9999);
+  assert.equal(await health.allowRequest('sportsmonks', 'live'), false, 'first cool-down is 10s');
+  c.tick(1);
+  assert.equal(await health.allowRequest('sportsmonks', 'live'), true, 'trial call');
+  assert.equal(health.describe()[0].state, 'half_open');
+  assert.equal(await health.allowRequest('sportsmonks', 'live'), false, 'one trial at a time');
+
+  assert.equal(await fail(), 'open', 'failed trial re-opens');
+  c.tick(19 * 1000);
+  assert.equal(await health.allowRequest('sportsmonks', 'live'), false, 'second cool-down doubles to 20s');
+  c.tick(1000);
+  assert.equal(await health.allowRequest('sportsmonks', 'live'), true);
+  health.release('sportsmonks', 'live');
+  assert.equal(await health.allowRequest('sportsmonks', 'live'), true, 'released slot can be retaken');
+  await fail();
+  c.tick(40 * 1000);
+  assert.equal(await health.allowRequest('sportsmonks', 'live'), true, 'third cool-down 40s');
+  await fail();
+  c.tick(60 * 1000);
+  assert.equal(await health.allowRequest('sportsmonks', 'live'), true, 'capped at maxCooldownMs');
+
+  assert.equal(await health.record('sportsmonks', 'live', { ok: true, latencyMs: 150 }), 'closed');
+  assert.equal(health.describe()[0].trips, 0);
+  assert.equal(health.describe()[0].window.errors, 0, 'failures from before the trip are cleared');
+  assert.deepEqual(health.history.slice(0, 3).map(h => h.to), ['closed', 'half_open', 'open']);
+
+  // Bad credentials open at once for the longest cool-down
+  assert.equal(await health.record('espn', 'live', { ok: false, status: 401 }), 'open');
+  c.tick(59 * 1000);
+  assert.equal(await health.allowRequest('espn', 'live'), false);
+});
+
+test('circuit breaker - Retry-After is honoured, from headers and provider errors', async () => {
+  assert.equal(parseRetryAfter('120'), 120000);
+  assert.equal(parseRetryAfter('Sun, 18 Oct 2026 16:02:00 GMT', NOW), 120000);
+  assert.equal(parseRetryAfter('soon'), null);
+  assert.deepEqual(failureDetails({ response: { status: 429, headers: { 'retry-after': '30' } } }), { status: 429, retryAfterMs: 30000 });
+  assert.deepEqual(failureDetails(new Error('HTTP 503 Service Unavailable - ')), { status: 503, retryAfterMs: null });
+  assert.deepEqual(failureDetails(Object.assign(new Error('x'), { status: 429, retryAfterMs: 5000 })), { status: 429, retryAfterMs: 5000 });
+
+  // A throttled provider is skipped until Retry-After passes, then probed once
+  const c = clock();
+  const health = new ProviderHealth(null, { now: c.now });
+  let throttled = true;
+  const primary = {
+    name: 'primary', priority: 1, sports: ['football'], capabilities: ['live'], calls: 0,
+    async getLive() {
+      this.calls += 1;
+      if (throttled) throw Object.assign(new Error('HTTP 429 Too Many Requests'), { status: 429, retryAfterMs: 90 * 1000 });
+      return [{ id: 1, home: 'Arsenal', away: 'Chelsea', status: 'LIVE' }];
+    }
+  };
+  const backup = { name: 'backup', priority: 2, sports: ['football'], capabilities: ['live'], getLive: async () => [{ id: 2, home: 'Lyon', away: 'Nice', status: 'LIVE' }] };
+  const aggregator = new SportsAggregator(null, { entities: new EntityRegistry(null, { now: () => NOW }), providers: new ProviderRegistry([primary, backup]), providerHealth: health });
+
+  assert.equal((await aggregator.getLiveMatches(39))[0].provider, 'backup');
+  const [circuit] = health.describe('primary');
+  assert.equal(circuit.state, 'open');
+  assert.equal(circuit.openUntil, new Date(NOW + 90 * 1000).toISOString(), 'cool-down is exactly the Retry-After');
+  assert.equal((await aggregator.getLiveMatches(140))[0].provider, 'backup');
+  assert.equal(primary.calls, 1, 'not called while open');
+
+  c.tick(90 * 1000);
+  throttled = false;
+  assert.equal((await aggregator.getLiveMatches(135))[0].provider, 'primary', 'trial call succeeds');
+  assert.equal(health.describe('primary')[0].state, 'closed');
+  assert.equal(aggregator.providerHealth, health, 'one breaker for the aggregator\'s lifetime');
+});
+
+test('circuit breaker - admin view from Redis, manual disable and reset', async () => {
+  const c = clock();
+  const redis = new MockRedis();
+  const worker = new ProviderHealth(redis, { now: c.now, minRequests: 1 });
+  await worker.record('sportsmonks', 'fixtures', { ok: true, latencyMs: 300 });
+  await worker.record('footballdata', 'live', { ok: false, status: 500, message: 'HTTP 500 Internal Server Error' });
+  await worker.markDisabled('espn', 600, 'maintenance');
+
+  // The admin endpoint may run in another process: it reads what the worker stored
+  const admin = new ProviderHealth(redis, { now: c.now });
+  const report = await admin.report();
+  assert.deepEqual(report.circuits.map(s => [s.circuit, s.state]), [['footballdata:live', 'open'], ['sportsmonks:fixtures', 'closed']]);
+  assert.equal(report.circuits[0].lastError.status, 500);
+  assert.equal(report.circuits[1].window.p50, 300);
+  assert.deepEqual(report.history.map(h => [h.circuit, h.from, h.to]), [['footballdata:live', 'closed', 'open']]);
+  assert.equal(report.history[0].cooldownMs, 30 * 1000);
+  assert.equal(await admin.isDisabled('espn'), true, 'manual disable shared through Redis');
+  assert.equal(await admin.allowRequest('espn', 'live'), false);
+  assert.equal((await admin.report({ provider: 'sportsmonks' })).circuits.length, 1);
+
+  const text = formatBreakerReport(await worker.report());
+  assert.match(text, /🔴 \*footballdata:live\* open until 16:00:30/);
+  assert.match(text, /⛔ \*espn\* disabled until 16:10:00 \(maintenance\)/);
+  assert.match(text, /closed → open/);
+
+  await worker.clear('footballdata');
+  await worker.clear('espn');
+  assert.equal(await worker.allowRequest('footballdata', 'live'), true);
+  assert.equal(await worker.allowRequest('espn', 'live'), true);
+  assert.equal(JSON.parse(redis.hashes.get(BREAKERS_KEY)['footballdata:live']).state, 'closed');
+  assert.equal(JSON.parse(redis.lists.get(BREAKER_HISTORY_KEY)[0]).reason, 'reset by admin');
+});
@@ -0,0 +1,161 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ProviderRegistry, validateProvider, priorityFor, callCapability, getDefaultProviderRegistry } from '../src/services/provider-registry.js';
+import { EntityRegistry } from '../src/services/entity-registry.js';
+import { SportsAggregator } from '../src/services/sports-aggregator.js';
+import { DataExposureHandler } from '../src/handlers/data-exposure-handler.js';
+
+// Mock Redis with the string and hash commands used for toggles, diagnostics and merged observations
+class MockRedis {
+  constructor() { this.kv = new Map(); this.hashes = new Map(); }
+  async hset(k, f, v) { const h = this.hashes.get(k) || {}; h[f] = String(v); this.hashes.set(k, h); return 1; }
+  async hget(k, f) { return (this.hashes.get(k) || {})[f] ?? null; }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async set(k, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async setex(k, _ttl, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async expire() { return 1; }
+  async del(k) { return this.kv.delete(k) ? 1 : 0; }
+}
+
+const NOW = Date.parse('2026-10-18T16:00:00Z');
+
+// Live-only provider returning fixed rows ({ id, h, a, st }) or throwing
+function fakeProvider(name, rows, extra = {}) {
+  return {
+    name,
+    priority: 1,
+    sports: ['football'],
+    capabilities: ['live'],
+    calls: [],
+    async getLive(leagueId) {
+      this.calls.push(leagueId);
+      if (rows instanceof Error) throw rows;
+      return rows;
+    },
+    formatMatch: (m) => ({ id: m.id, home: m.h, away: m.a, homeScore: 0, awayScore: 0, status: m.st, provider: name, raw: m }),
+    ...extra
+  };
+}
+
+const row = (id, st = 'IN_PLAY') => ({ id, h: 'Arsenal', a: 'Chelsea', st });
+
+function aggregatorWith(providers, opts = {}) {
+  const registry = new ProviderRegistry(providers, { now: opts.now });
+  const aggregator = new SportsAggregator(opts.redis || null, { entities: new EntityRegistry(null, { now: () => NOW }), providers: registry, allowedProviders: opts.allowedProviders });
+  return { registry, aggregator };
+}
+
+test('provider registry - contract validation, priorities and sport filtering', () => {
+  assert.throws(() => validateProvider({ capabilities: ['live'] }), /name is required/);
+  assert.throws(() => validateProvider({ name: 'x', capabilities: ['live'] }), /needs getLive/);
+  assert.throws(() => validateProvider({ name: 'x', capabilities: ['tips'] }), /unknown capability tips/);
+  assert.throws(() => validateProvider({ name: 'x', capabilities: [] }), /capabilities are required/);
+
+  const a = fakeProvider('a', [], { priority: { default: 2, live: 1 }, capabilities: ['live', 'standings'], getStandings: async (leagueId, opts, ctx) => [leagueId, opts, ctx] });
+  const b = fakeProvider('b', [], { priority: { default: 1, live: 3 }, capabilities: ['live', 'standings'], getStandings: async () => [] });
+  const nba = fakeProvider('nba', [], { priority: 0, sports: ['basketball'] });
+  const registry = new ProviderRegistry([a, b, nba]);
+
+  assert.equal(priorityFor(a, 'standings'), 2);
+  assert.equal(priorityFor({ priority: undefined }, 'live'), 100);
+  assert.deepEqual(registry.providersFor('live', { sport: 'soccer' }).map(p => p.name), ['a', 'b'], 'soccer is football');
+  assert.deepEqual(registry.providersFor('standings').map(p => p.name), ['b', 'a']);
+  assert.deepEqual(registry.providersFor('live', { sport: 'basketball' }).map(p => p.name), ['nba']);
+  assert.equal(registry.providersFor('odds').length, 0);
+
+  return callCapability(a, 'standings', [39], { ctx: true }).then(args => {
+    assert.deepEqual(args, [39, undefined, { ctx: true }], 'ctx always lands last');
+    assert.throws(() => callCapability(nba, 'standings', [], {}), /does not provide standings/);
+  });
+});
+
+test('provider registry - aggregator routes by priority and picks up new providers without changes', async () => {
+  const down = fakeProvider('down', new Error('HTTP 503'), { priority: 1 });
+  const quiet = fakeProvider('quiet', [row(1, 'FINISHED')], { priority: 2 });
+  const backup = fakeProvider('backup', [row(2), row(3, 'TIMED')], { priority: 3 });
+  const { registry, aggregator } = aggregatorWith([backup, quiet, down]);
+
+  const live = await aggregator.getAllLiveMatches();
+  assert.deepEqual(live.map(m => [m.id, m.provider]), [[2, 'backup']], 'failed and non-live providers skipped, only LIVE rows kept');
+  assert.deepEqual([down.calls, quiet.calls, backup.calls], [[null], [null], [null]]);
+  assert.equal(live[0].canonical.homeId, 'arsenal', 'rows still annotated with canonical IDs');
+
+  // A new provider drops in by registering itself, with its own formatter
+  const statpal = fakeProvider('statpal', [row(9, '55\'')], { priority: 0, label: 'StatPal' });
+  registry.register(statpal);
+  const byLeague = await aggregator.getLiveMatches(39);
+  assert.deepEqual(byLeague.map(m => [m.id, m.provider]), [[9, 'statpal']]);
+  assert.deepEqual(statpal.calls, [39]);
+
+  // ...and retires by unregistering
+  registry.unregister('statpal');
+  aggregator.cache.clear();
+  assert.deepEqual((await aggregator.getLiveMatches(39)).map(m => m.provider), ['backup']);
+  assert.equal(statpal.calls.length, 1);
+  assert.equal((await aggregator.getMatchById(2)).provider, 'backup', 'found in the live cache');
+
+  // Final results are a capability of their own, by day
+  const days = [];
+  registry.register(fakeProvider('results', [], { capabilities: ['live', 'results'], getResults: async (day) => { days.push(day); return [row(4, 'FINISHED')]; } }));
+  assert.deepEqual((await aggregator.getResults('2026-10-17')).map(m => [m.id, m.status, m.provider]), [[4, 'FINISHED', 'results']]);
+  await aggregator.getResults('2026-10-17');
+  assert.deepEqual(days, ['2026-10-17'], 'a settled day is cached');
+  assert.equal((await aggregator.getMatchById(4)).status, 'FINISHED', 'finished matches are found by id');
+
+  // Odds rows keep the time they were fetched, so a cached price shows its age
+  registry.register(fakeProvider('odds', [], { capabilities: ['live', 'odds'], getOdds: async () => [{ home: 'Arsenal', away: 'Chelsea', odds: { home: 2.1 } }] }));
+  const [price] = await aggregator.getOdds(39);
+  assert.ok(Date.parse(price.fetchedAt) > 0);
+  assert.equal((await aggregator.getOdds(39))[0].fetchedAt, price.fetchedAt, 'cached rows are not re-stamped');
+});
+
+test('provider registry - rate limits skip to the next provider until the window passes', async () => {
+  let now = NOW;
+  const capped = fakeProvider('capped', [row(1)], { priority: 1, rateLimit: { perMinute: 1 } });
+  const spare = fakeProvider('spare', [row(2)], { priority: 2 });
+  const { registry, aggregator } = aggregatorWith([capped, spare], { now: () => now });
+
+  assert.equal((await aggregator.getLiveMatches(39))[0].provider, 'capped');
+  assert.equal((await aggregator.getLiveMatches(140))[0].provider, 'spare', 'capped is out of calls this minute');
+  assert.equal(capped.calls.length, 1);
+  assert.equal(registry.describe().find(p => p.name === 'capped').callsLastMinute, 1);
+
+  now += 61 * 1000;
+  assert.equal((await aggregator.getLiveMatches(135))[0].provider, 'capped');
+  assert.equal(registry.acquire('spare'), true, 'no limit declared');
+});
+
+test('provider registry - switched-off, unconfigured and backed-off providers are not asked; diagnostics', async () => {
+  const redis = new MockRedis();
+  const off = fakeProvider('off', [row(1)], { priority: 1 });
+  const keyless = fakeProvider('keyless', [row(2)], { priority: 2, isConfigured: () => false });
+  const flaky = fakeProvider('flaky', [row(3)], { priority: 3 });
+  const last = fakeProvider('last', [row(4)], { priority: 4, health: async () => ({ ok: true, message: 'competitions:12' }) });
+  const { aggregator } = aggregatorWith([off, keyless, flaky, last], { redis });
+  await redis.set('betrix:provider:enabled:off', 'false');
+  await aggregator.providerHealth.markDisabled('flaky', 60, 'test');
+
+  assert.equal((await aggregator.getAllLiveMatches())[0].provider, 'last');
+  assert.deepEqual([off.calls.length, keyless.calls.length, flaky.calls.length], [0, 0, 0]);
+  assert.deepEqual(JSON.parse(redis.kv.get('betrix:provider:health:last')).ok, true);
+
+  assert.deepEqual(await aggregator.checkPrimaryProviderHealth(), { provider: 'last', ok: true, reason: 'ok' });
+  assert.equal(await aggregator.isLiveFeedHealthy(), true);
+  assert.deepEqual(await aggregator.fetchFromProvider('off', 'live', 39), [row(1)], 'direct calls bypass routing');
+  await assert.rejects(aggregator.fetchFromProvider('nope', 'live'), /Unknown provider/);
+
+  const routes = new Map();
+  new DataExposureHandler({ get: (path, fn) => routes.set(path, fn), post: () => {} }, aggregator, {});
+  let body = null;
+  await routes.get('/api/data/providers')({ query: {} }, { json: (b) => { body = b; }, status() { return this; } });
+  const byName = Object.fromEntries(body.providers.map(p => [p.name, p]));
+  assert.equal(body.count, 4);
+  assert.deepEqual([byName.off.enabled, byName.keyless.configured, byName.flaky.backedOff, byName.last.enabled], [false, false, true, true]);
+
+  // Built-in adapters register themselves; only the allowed ones are asked
+  const builtIn = getDefaultProviderRegistry();
+  assert.deepEqual(builtIn.providersFor('live').map(p => p.name), ['footballdata', 'sportsmonks', 'espn', 'flashscore', 'goal']);
+  assert.deepEqual(builtIn.providersFor('h2h').map(p => p.name), ['sportsmonks']);
+  const restricted = new SportsAggregator(null, { allowedProviders: ['SPORTSMONKS', 'FOOTBALLDATA'] });
+  assert.equal(await restricted._isProviderEnabled('espn'), false);
+});
@@ -0,0 +1,160 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RefundService } from '../src/services/refund-service.js';
+import { getCredit } from '../src/services/account-credit.js';
+import { createPaymentOrder, verifyAndActivatePayment } from '../src/handlers/payment-router.js';
+import { handlePayPalWebhook, paypalCaptureId } from '../src/handlers/payment-webhook.js';
+
+// Mock Redis with the string, hash, set and sorted-set commands used by orders, grants and refunds
+class MockRedis {
+  constructor() { this.kv = new Map(); this.hashes = new Map(); this.zsets = new Map(); this.sets = new Map(); }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async set(k, v, ...args) {
+    if (args.includes('NX') && this.kv.has(k)) return null;
+    this.kv.set(k, String(v));
+    return 'OK';
+  }
+  async setex(k, _ttl, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async del(k) { this.kv.delete(k); this.hashes.delete(k); return 1; }
+  async expire() { return 1; }
+  async hset(k, ...args) {
+    const h = this.hashes.get(k) || {};
+    for (let i = 0; i < args.length; i += 2) h[args[i]] = String(args[i + 1]);
+    this.hashes.set(k, h);
+    return 1;
+  }
+  async hgetall(k) { return { ...(this.hashes.get(k) || {}) }; }
+  async hdel(k, f) { delete (this.hashes.get(k) || {})[f]; return 1; }
+  async hsetnx(k, f, v) {
+    if ((this.hashes.get(k) || {})[f] !== undefined) return 0;
+    return this.hset(k, f, v);
+  }
+  async hincrby(k, f, n) { return this.hincrbyfloat(k, f, n); }
+  async hincrbyfloat(k, f, n) {
+    const h = this.hashes.get(k) || {};
+    h[f] = String(Number(h[f] || 0) + Number(n));
+    this.hashes.set(k, h);
+    return h[f];
+  }
+  async sadd(k, m) { const s = this.sets.get(k) || new Set(); s.add(String(m)); this.sets.set(k, s); return 1; }
+  async smembers(k) { return [...(this.sets.get(k) || [])]; }
+  async zadd(k, score, member) { const z = this.zsets.get(k) || new Map(); z.set(String(member), Number(score)); this.zsets.set(k, z); return 1; }
+  async zrem(k, member) { (this.zsets.get(k) || new Map()).delete(String(member)); return 1; }
+  async zrangebyscore(k, min, max) {
+    return [...(this.zsets.get(k) || new Map()).entries()].filter(([, s]) => s >= Number(min) && s <= Number(max)).sort((a, b) => a[1] - b[1]).map(([m]) => m);
+  }
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+const tick = () => new Promise(resolve => setTimeout(resolve, 2));
+
+async function paidOrder(redis, userId, transactionId, tier = 'PRO') {
+  const order = await createPaymentOrder(redis, userId, tier, 'MPESA', 'KE');
+  await verifyAndActivatePayment(redis, order.orderId, transactionId);
+  await tick();
+  return JSON.parse(redis.kv.get(`payment:order:${order.orderId}`));
+}
+
+function telegramMock() {
+  const sent = [];
+  return { sent, sendMessage: async (chatId, text) => { sent.push({ chatId, text }); } };
+}
+
+test('refunds - a full refund revokes the tier once and notifies the user', async () => {
+  const redis = new MockRedis();
+  const telegram = telegramMock();
+  const order = await paidOrder(redis, 701, 'TX-701');
+  const refunds = new RefundService(redis, { ledger: null, telegram });
+
+  const result = await refunds.refund(order.orderId, { reason: 'requested', reference: 'RF-1' });
+  assert.equal(result.status, 'refunded');
+  assert.equal(result.amount, order.totalAmount);
+  assert.equal(redis.hashes.get('user:701').tier, 'FREE');
+  assert.equal(redis.hashes.get('user:701').subscriptionStatus, 'refunded');
+  assert.deepEqual(redis.hashes.get('user:701:grants') || {}, {});
+  assert.match(telegram.sent[0].text, /Refund Issued[\s\S]*back on Free/);
+
+  const again = await refunds.refund(order.orderId, { reference: 'RF-1' });
+  assert.equal(again.duplicate, true);
+  await assert.rejects(refunds.refund(order.orderId, { reference: 'RF-2' }), /nothing to refund/);
+});
+
+test('refunds - a partial refund prorates the paid period and keeps the tier', async () => {
+  const redis = new MockRedis();
+  const order = await paidOrder(redis, 702, 'TX-702');
+  const before = Date.parse(redis.hashes.get('user:702').subscriptionExpiry);
+  const refunds = new RefundService(redis, { ledger: null });
+
+  const result = await refunds.refund(order.orderId, { amount: order.totalAmount / 2, reference: 'RF-HALF' });
+  assert.equal(result.status, 'partially_refunded');
+  assert.equal(redis.hashes.get('user:702').tier, 'PRO');
+  const after = Date.parse(redis.hashes.get('user:702').subscriptionExpiry);
+  assert.ok(Math.abs(before - after - 15 * DAY) < 60 * 1000, 'half the 30 days is taken back');
+  const [grant] = Object.values(redis.hashes.get('user:702:grants')).map(JSON.parse);
+  assert.equal(Date.parse(grant.expiresAt), after);
+  await assert.rejects(refunds.refund(order.orderId, { amount: order.totalAmount, reference: 'RF-MORE' }), /exceeds refundable amount/);
+
+  // Past the 24h order cache (and with no ledger) the 30 day transaction record still has the order
+  redis.kv.delete(`payment:order:${order.orderId}`);
+  // Two refunds of everything left race past the early check; the counter lets only one through
+  const rest = Math.round((order.totalAmount - result.amount) * 100) / 100;
+  const raced = await Promise.allSettled(['RF-A', 'RF-B'].map(reference => refunds.refund(order.orderId, { amount: rest, reference })));
+  assert.deepEqual(raced.map(r => r.status), ['fulfilled', 'rejected']);
+  assert.match(raced[1].reason.message, /exceeds refundable amount/);
+  assert.equal(raced[0].value.status, 'refunded');
+  assert.equal(Number(redis.hashes.get('payment:refunded')[order.orderId]), order.totalAmount);
+  assert.equal(await redis.get(`payment:reversal:${order.orderId}:RF-B`), null, 'the losing reference can be retried');
+});
+
+test('refunds - PayPal reversals count as chargebacks and flag repeat users', async () => {
+  const redis = new MockRedis();
+  const bot = telegramMock();
+  const previousAdmin = process.env.ADMIN_TELEGRAM_ID;
+  process.env.ADMIN_TELEGRAM_ID = 'admin';
+  try {
+    const reversal = (id, captureId) => ({
+      body: {
+        id: `WH-${id}`,
+        event_type: 'PAYMENT.CAPTURE.REVERSED',
+        resource: { id, status: 'COMPLETED', links: [{ rel: 'up', href: `https://api.paypal.com/v2/payments/captures/${captureId}` }] }
+      },
+      headers: {}
+    });
+    assert.equal(paypalCaptureId(reversal('R1', 'CAP-1').body.resource), 'CAP-1');
+    assert.equal(paypalCaptureId({ disputed_transactions: [{ seller_transaction_id: 'CAP-9' }] }), 'CAP-9');
+
+    await paidOrder(redis, 703, 'CAP-1');
+    await paidOrder(redis, 703, 'CAP-2');
+    const first = await handlePayPalWebhook(reversal('R1', 'CAP-1'), redis, bot);
+    assert.equal(first.success, true);
+    assert.equal(redis.sets.get('payment:flagged_users'), undefined, 'one chargeback is not flagged');
+
+    await handlePayPalWebhook(reversal('R2', 'CAP-2'), redis, bot);
+    assert.deepEqual([...redis.sets.get('payment:flagged_users')], ['703']);
+    assert.equal(redis.hashes.get('user:703').paymentFlag, 'chargebacks');
+    assert.equal(bot.sent.filter(m => m.chatId === 'admin' && /Chargeback flag/.test(m.text)).length, 1);
+    assert.deepEqual(await new RefundService(redis, { ledger: null }).flaggedUsers(), [{ userId: '703', chargebacks: 2 }]);
+
+    const missing = await handlePayPalWebhook(reversal('R3', 'CAP-404'), redis, bot);
+    assert.equal(missing.success, false);
+  } finally {
+    if (previousAdmin === undefined) delete process.env.ADMIN_TELEGRAM_ID;
+    else process.env.ADMIN_TELEGRAM_ID = previousAdmin;
+  }
+});
+
+test('refunds - account credit is taken off the next order and spent on activation', async () => {
+  const redis = new MockRedis();
+  const refunds = new RefundService(redis, { ledger: null });
+  const credit = await refunds.credit(704, 500, { currency: 'KES', reason: 'outage', reference: 'OUTAGE-1' });
+  assert.equal(credit.balance, 500);
+
+  const full = await createPaymentOrder(redis, 705, 'PRO', 'MPESA', 'KE');
+  const order = await createPaymentOrder(redis, 704, 'PRO', 'MPESA', 'KE');
+  assert.equal(order.creditApplied, 500);
+  assert.equal(order.totalAmount, Math.round((full.totalAmount - 500) * 100) / 100);
+  assert.equal(await getCredit(redis, 704, 'KES'), 500, 'credit is only spent once the order is paid');
+
+  await verifyAndActivatePayment(redis, order.orderId, 'TX-704');
+  assert.equal(await getCredit(redis, 704, 'KES'), 0);
+});
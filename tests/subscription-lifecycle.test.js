@@ -0,0 +1,130 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SubscriptionLifecycleService, subscriptionState, dueReminder, nextExpiry, EXPIRY_INDEX_KEY } from '../src/services/subscription-lifecycle.js';
+import { handleCallbackQuery } from '../src/handlers/telegram-handler-v2.js';
+import { handleCallbackQuery as handleCompleteCallback } from '../src/handlers/handler-complete.js';
+import { SubscriptionGatekeeper } from '../src/middleware/subscription-gatekeeper.js';
+
+// Mock Redis with the hash/sorted-set/NX commands used by the lifecycle flow
+class MockRedis {
+  constructor() { this.kv = new Map(); this.hashes = new Map(); this.zsets = new Map(); }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async set(k, v, ...args) {
+    if (args.includes('NX') && this.kv.has(k)) return null;
+    this.kv.set(k, String(v));
+    return 'OK';
+  }
+  async setex(k, _ttl, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async hset(k, ...args) {
+    const h = this.hashes.get(k) || {};
+    for (let i = 0; i < args.length; i += 2) h[args[i]] = String(args[i + 1]);
+    this.hashes.set(k, h);
+    return 1;
+  }
+  async hgetall(k) { return { ...(this.hashes.get(k) || {}) }; }
+  async zadd(k, score, member) { const z = this.zsets.get(k) || new Map(); z.set(member, Number(score)); this.zsets.set(k, z); return 1; }
+  async zrem(k, member) { (this.zsets.get(k) || new Map()).delete(member); return 1; }
+  async zrangebyscore(k, _min, max) { return Array.from((this.zsets.get(k) || new Map()).entries()).filter(([, s]) => s <= Number(max)).map(([m]) => m); }
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-10-18T12:00:00Z');
+const iso = (ms) => new Date(ms).toISOString();
+
+test('subscription state, reminder stages and renewal extension', () => {
+  const end = iso(NOW + 5 * DAY);
+  assert.equal(subscriptionState(end, NOW, 3), 'active');
+  assert.equal(subscriptionState(end, NOW + 6 * DAY, 3), 'grace');
+  assert.equal(subscriptionState(end, NOW + 9 * DAY, 3), 'expired');
+  assert.equal(subscriptionState(null, NOW), 'none');
+
+  assert.equal(dueReminder(end, NOW, [3, 1]), null);
+  assert.equal(dueReminder(end, NOW + 2.5 * DAY, [3, 1]), 3);
+  assert.equal(dueReminder(end, NOW + 4.5 * DAY, [3, 1]), 1);
+
+  // Same tier renews from the current end date, even in grace; a new tier starts today
+  assert.equal(nextExpiry(end, { sameTier: true, now: NOW, graceDays: 3 }), iso(NOW + 35 * DAY));
+  assert.equal(nextExpiry(end, { sameTier: true, now: NOW + 6 * DAY, graceDays: 3 }), iso(NOW + 35 * DAY));
+  assert.equal(nextExpiry(end, { sameTier: false, now: NOW }), iso(NOW + 30 * DAY));
+  assert.equal(nextExpiry(end, { sameTier: true, now: NOW + 10 * DAY, graceDays: 3 }), iso(NOW + 40 * DAY));
+});
+
+test('lifecycle pass - reminders once, grace notice, then downgrade with history', async () => {
+  const redis = new MockRedis();
+  const sent = [];
+  const telegram = { sendMessage: async (chatId, text, opts) => { sent.push({ chatId, text, opts }); } };
+  const history = [];
+  const store = {
+    recordActivation: async (row) => { history.push(['active', row.userId, row.tier]); },
+    markStatus: async (userId, status) => { history.push([status, userId]); }
+  };
+  const svc = new SubscriptionLifecycleService(redis, { telegram, store, graceDays: 3, reminderDays: [3, 1] });
+
+  const expiry = iso(NOW + 2.5 * DAY);
+  await redis.hset('user:7', 'tier', 'VVIP', 'subscriptionExpiry', expiry);
+  await svc.onActivated(7, { tier: 'VVIP', expiry, amount: 2000 });
+  assert.equal(redis.hashes.get('user:7').subscriptionStatus, 'active');
+
+  assert.equal((await svc.run(NOW)).reminders, 1);
+  assert.equal((await svc.run(NOW + 1000)).reminders, 0, 'same stage is not sent twice');
+  assert.equal((await svc.run(NOW + 2 * DAY)).reminders, 1, '1-day reminder');
+  assert.ok(sent[0].text.includes('in 3 days'));
+  assert.ok(sent[1].text.includes('tomorrow'));
+  assert.equal(sent[0].opts.reply_markup.inline_keyboard[0][0].callback_data, 'sub_renew_VVIP');
+
+  assert.equal((await svc.run(NOW + 3 * DAY)).grace, 1);
+  assert.equal(redis.hashes.get('user:7').subscriptionStatus, 'grace');
+  assert.equal(redis.hashes.get('user:7').tier, 'VVIP', 'access kept during grace');
+
+  const last = await svc.run(NOW + 6 * DAY);
+  assert.equal(last.downgraded, 1);
+  const user = redis.hashes.get('user:7');
+  assert.equal(user.tier, 'FREE');
+  assert.equal(user.previousTier, 'VVIP');
+  assert.equal(redis.zsets.get(EXPIRY_INDEX_KEY).size, 0);
+  assert.deepEqual(history, [['active', 7, 'VVIP'], ['grace', '7'], ['expired', '7']]);
+  assert.equal(sent.length, 4);
+});
+
+test('sub_renew sends an STK prompt for the renewal order from both callback handlers', async () => {
+  const redis = new MockRedis();
+  const pushes = [];
+  const createOrder = async (_redis, userId, tier, method, region, metadata) => ({ orderId: `ORD-${userId}`, tier, method, region, metadata, totalAmount: 2000 });
+  const stk = { stkPush: async (args) => { pushes.push(args); return { raw: { data: { transactionId: 'TX9' } } }; } };
+  const subscriptionLifecycle = new SubscriptionLifecycleService(redis, { store: null, stk, createOrder });
+  const cb = { id: 'cb', from: { id: 7 }, message: { chat: { id: 7 } }, data: 'sub_renew_VVIP' };
+
+  const noPhone = await handleCallbackQuery(cb, redis, { subscriptionLifecycle });
+  assert.ok(noPhone.text.includes('phone number'));
+  assert.equal(pushes.length, 0);
+
+  await redis.hset('user:7:profile', 'msisdn', '254712345678');
+  const res = await handleCallbackQuery(cb, redis, { subscriptionLifecycle });
+  assert.ok(res.text.includes('Renewing VVIP'));
+  assert.equal(res.reply_markup.inline_keyboard[0][0].callback_data, 'verify_payment_ORD-7');
+  assert.deepEqual(pushes[0], { amount: 2000, phone: '254712345678', tx_ref: 'ORD-7', reference: 'ORD-7', callback_url: pushes[0].callback_url });
+  assert.equal(await redis.get('payment:by_provider_ref:MPESA:TX9'), 'ORD-7');
+
+  // The production bot routes callbacks through handler-complete.js
+  const complete = await handleCompleteCallback({ ...cb, from: { id: 8 }, message: { chat: { id: 8 }, message_id: 3 } }, redis, { subscriptionLifecycle });
+  assert.deepEqual([complete.method, complete.show_alert], ['answerCallbackQuery', true]);
+  assert.match(complete.text, /phone number/);
+  await redis.hset('user:8:profile', 'msisdn', '254712345679');
+  const renewed = await handleCompleteCallback({ ...cb, from: { id: 8 }, message: { chat: { id: 8 }, message_id: 3 } }, redis, { subscriptionLifecycle });
+  assert.equal(renewed.method, 'sendMessage');
+  assert.match(renewed.text, /Renewing VVIP[\s\S]*ORD-8/);
+  assert.equal(pushes[1].phone, '254712345679');
+  const plans = await handleCompleteCallback({ ...cb, data: 'menu_vvip', message: { chat: { id: 8 }, message_id: 3 } }, redis, {});
+  assert.equal(plans.method, 'editMessageText', 'the reminder\'s View Plans button opens the plans menu');
+});
+
+test('gatekeeper drops lapsed subscriptions to free after grace', async () => {
+  const users = {
+    1: { signupComplete: true, role: 'vvip', subscriptionExpiry: iso(Date.now() - 10 * DAY) },
+    2: { signupComplete: true, role: 'vvip', subscriptionExpiry: iso(Date.now() - DAY) }
+  };
+  const userService = { getUser: async (id) => users[id], isVVIP: (u) => u.role === 'vvip', isPaid: () => true };
+  const gate = new SubscriptionGatekeeper(userService, null);
+  assert.equal(await gate.getUserTier(1), 'free');
+  assert.equal(await gate.getUserTier(2), 'vvip', 'still in grace');
+});
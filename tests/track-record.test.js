@@ -0,0 +1,137 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TrackRecordService,
+  normalizeTipSelection,
+  summarizeTips,
+  calibrationBuckets,
+  resultDays,
+  PENDING_TIPS_KEY
+} from '../src/services/track-record-service.js';
+import { handleMessage } from '../src/handlers/telegram-handler-v2.js';
+
+// Mock Redis covering the string/set/sorted-set commands used by the track record (counts MGET round trips)
+class MockRedis {
+  constructor() { this.kv = new Map(); this.sets = new Map(); this.zsets = new Map(); }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async mget(...keys) { this.mgets = (this.mgets || 0) + 1; return keys.map(k => this.kv.get(k) ?? null); }
+  async set(k, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async sadd(k, v) { const s = this.sets.get(k) || new Set(); s.add(String(v)); this.sets.set(k, s); return 1; }
+  async srem(k, v) { (this.sets.get(k) || new Set()).delete(String(v)); return 1; }
+  async smembers(k) { return Array.from(this.sets.get(k) || []); }
+  async zadd(k, score, member) { const z = this.zsets.get(k) || new Map(); z.set(member, Number(score)); this.zsets.set(k, z); return 1; }
+  async zrangebyscore(k, min, max) {
+    const lo = min === '-inf' ? -Infinity : Number(min);
+    const hi = max === '+inf' ? Infinity : Number(max);
+    return Array.from((this.zsets.get(k) || new Map()).entries()).filter(([, s]) => s >= lo && s <= hi).sort((a, b) => a[1] - b[1]).map(([m]) => m);
+  }
+}
+
+test('normalizeTipSelection - fixed match, analyzer and BTTS formats', () => {
+  assert.deepEqual(normalizeTipSelection({ market: '1X2', pick: '1' }), { market: '1X2', selection: 'home' });
+  assert.deepEqual(normalizeTipSelection({ market: 'OVER_UNDER', pick: 'OVER_2.5' }), { market: 'OU', selection: 'over', line: 2.5 });
+  assert.deepEqual(normalizeTipSelection({ pick: 'AWAY_WIN' }), { market: '1X2', selection: 'away' });
+  assert.deepEqual(normalizeTipSelection({ market: 'BTTS', pick: 'GG' }), { market: 'BTTS', selection: 'yes' });
+  assert.equal(normalizeTipSelection({ market: 'CORNERS', pick: 'OVER_9.5' }), null);
+});
+
+test('summarizeTips and calibrationBuckets - hit rate, ROI and Brier score', () => {
+  const tips = [
+    { result: 'won', odds: 2.0, probability: 0.6 },
+    { result: 'lost', odds: 2.0, probability: 0.6 },
+    { result: 'won', odds: 1.5, confidence: 85 },
+    { result: 'void', odds: 3.0, probability: 0.4 },
+    { result: 'pending', odds: 2.0 }
+  ];
+  const s = summarizeTips(tips);
+  assert.deepEqual([s.won, s.lost, s.void, s.pending, s.staked], [2, 1, 1, 1, 3]);
+  assert.equal(s.hitRate, 0.667);
+  assert.equal(s.profit, 0.5); // +1 -1 +0.5
+  assert.equal(s.roi, 0.167);
+  assert.equal(s.brier, 0.1808); // (0.16 + 0.36 + 0.0225) / 3
+
+  const buckets = calibrationBuckets(tips);
+  assert.deepEqual(buckets.map(b => [b.range, b.count, b.observed]), [['0.6-0.7', 2, 0.5], ['0.8-0.9', 1, 1]]);
+});
+
+test('TrackRecordService - records fixed matches once and resolves them from final results', async () => {
+  const redis = new MockRedis();
+  const today = new Date().toISOString().slice(0, 10);
+  // The live feed only carries matches in play; full-time scores come from the results source
+  const live = [{ id: 2, home: 'Betrix United', away: 'Demo City', homeScore: 0, awayScore: 0, status: 'IN_PLAY' }];
+  const results = { [today]: [{ id: 1, home: 'Alpha FC', away: 'Omega FC', homeScore: 2, awayScore: 2, status: 'FINISHED' }] };
+  const asked = [];
+  const sportsAggregator = {
+    getAllLiveMatches: async () => live,
+    getResults: async (day) => { asked.push(day); return results[day] || []; }
+  };
+  const svc = new TrackRecordService(redis, { sportsAggregator });
+
+  const fixed = [
+    { home: 'Alpha FC', away: 'Omega FC', league: 'L2', pick: 'OVER_2.5', market: 'OVER_UNDER', confidence: 82, odds: 1.95 },
+    { home: 'Betrix United', away: 'Demo City', league: 'L1', pick: '1', market: '1X2', confidence: 88, odds: 1.75 }
+  ];
+  assert.equal((await svc.recordTips(fixed, { source: 'vvip_fixed' })).length, 2);
+  await svc.recordTips(fixed, { source: 'vvip_fixed' });
+  assert.equal((await redis.smembers(PENDING_TIPS_KEY)).length, 2, 'republishing must not duplicate');
+
+  const summary = await svc.resolvePending();
+  assert.deepEqual(summary, { checked: 2, resolved: 1, expired: 0 });
+  assert.deepEqual(asked, [today], 'fixed matches without a kickoff look from the publish day on');
+
+  const report = await svc.getReport();
+  assert.equal(report.overall.won, 1);
+  assert.equal(report.overall.pending, 1);
+  assert.equal(report.byMarket.OU.profit, 0.95);
+  assert.equal(report.byConfidence['80-89'].tips, 2);
+  assert.equal(report.byLeague.L2.hitRate, 1);
+
+  // Never-seen fixtures are voided once stale
+  const later = await svc.resolvePending(Date.now() + 8 * 86400 * 1000);
+  assert.equal(later.expired, 1);
+
+  // A tip with a fixture id is found by id on its kickoff day, whatever the feed calls the teams
+  const kickoff = '2026-10-17T19:45:00Z';
+  results['2026-10-17'] = [{ id: 77, home: 'Arsenal FC', away: 'Chelsea FC', homeScore: 1, awayScore: 0, status: 'FT' }];
+  const tip = await svc.recordTip({ source: 'quick_tips', fixtureId: 77, home: 'Arsenal', away: 'Chelsea', pick: 'HOME_WIN', odds: 2.1, kickoff });
+  assert.equal(tip.fixtureId, 77);
+  asked.length = 0;
+  const byId = await svc.resolvePending(Date.parse('2026-10-18T12:00:00Z'));
+  assert.equal(byId.resolved, 1);
+  assert.deepEqual(asked, ['2026-10-17', '2026-10-18']);
+  assert.equal((await svc.getTip(tip.id)).result, 'won');
+  assert.deepEqual(resultDays([{ kickoff: '2026-10-20T15:00:00Z' }], Date.parse('2026-10-18T12:00:00Z')), [], 'nothing before kickoff');
+});
+
+test('TrackRecordService - matches team aliases through the entity registry and reads tips in batches', async () => {
+  const redis = new MockRedis();
+  const today = new Date().toISOString().slice(0, 10);
+  const results = { [today]: [
+    { id: 3, home: 'Manchester United Women', away: 'Tottenham Hotspur Women', homeScore: 0, awayScore: 4, status: 'FINISHED' },
+    { id: 4, home: 'Manchester United', away: 'Tottenham Hotspur', homeScore: 3, awayScore: 1, status: 'FINISHED' }
+  ] };
+  const svc = new TrackRecordService(redis, { sportsAggregator: { getResults: async (day) => results[day] || [] } });
+
+  const tip = await svc.recordTip({ source: 'vvip_fixed', home: 'Man Utd', away: 'Spurs', pick: '1', market: '1X2', odds: 2.2 });
+  for (let i = 0; i < 250; i++) await svc.recordTip({ source: 'bulk', home: `Home ${i}`, away: `Away ${i}`, pick: '1', market: '1X2', odds: 2 });
+
+  assert.equal((await svc.resolvePending()).resolved, 1);
+  assert.equal((await svc.getTip(tip.id)).finalScore, '3-1', 'the men\'s fixture, not the women\'s');
+
+  redis.mgets = 0;
+  const report = await svc.getReport({ source: 'vvip_fixed' });
+  assert.equal(report.overall.won, 1);
+  assert.equal(redis.mgets, 2, '251 tips in two round trips');
+});
+
+test('telegram-handler-v2 - /record replies with the track record', async () => {
+  const redis = new MockRedis();
+  const trackRecord = new TrackRecordService(redis);
+  const tip = await trackRecord.recordTip({ source: 'quick_tips', home: 'Arsenal', away: 'Chelsea', pick: 'HOME_WIN', odds: 2.1, confidence: 70 });
+  await trackRecord.resolveTip(tip, { home: 1, away: 0 });
+
+  const res = await handleMessage({ message: { chat: { id: 5 }, text: '/record' } }, redis, { trackRecord });
+  assert.ok(res.text.includes('Track Record'));
+  assert.ok(res.text.includes('Hit rate: *100.0%*'));
+  assert.ok(res.text.includes('+1.1u'));
+});
@@ -0,0 +1,204 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { WebhookPipeline, providerEventId } from '../src/services/webhook-pipeline.js';
+import { createPaymentOrder, verifyAndActivatePayment, recordProviderRef } from '../src/handlers/payment-router.js';
+import createPaymentWebhooksRouter from '../src/routes/payment-webhooks.js';
+
+// Mock Redis with SET NX plus the list/hash/sorted-set commands used by orders and grants
+class MockRedis {
+  constructor() { this.kv = new Map(); this.hashes = new Map(); this.lists = new Map(); }
+  async get(k) { return this.kv.get(k) ?? null; }
+  async set(k, v, ...args) {
+    if (args.includes('NX') && this.kv.has(k)) return null;
+    this.kv.set(k, String(v));
+    return 'OK';
+  }
+  async setex(k, _ttl, v) { this.kv.set(k, String(v)); return 'OK'; }
+  async del(k) { this.kv.delete(k); this.hashes.delete(k); return 1; }
+  async incr(k) { const n = Number(this.kv.get(k) || 0) + 1; this.kv.set(k, String(n)); return n; }
+  async lpush(k, v) { const l = this.lists.get(k) || []; l.unshift(String(v)); this.lists.set(k, l); return l.length; }
+  async ltrim(k, start, stop) { this.lists.set(k, (this.lists.get(k) || []).slice(start, stop + 1)); return 'OK'; }
+  async lrange(k, start, stop) { return (this.lists.get(k) || []).slice(start, stop + 1); }
+  async hset(k, ...args) {
+    const h = this.hashes.get(k) || {};
+    for (let i = 0; i < args.length; i += 2) h[args[i]] = String(args[i + 1]);
+    this.hashes.set(k, h);
+    return 1;
+  }
+  async hgetall(k) { return { ...(this.hashes.get(k) || {}) }; }
+  async hdel(k, f) { delete (this.hashes.get(k) || {})[f]; return 1; }
+  async zadd() { return 1; }
+}
+
+const stkCallback = (checkoutId, phone, receipt, resultCode = 0) => ({
+  Body: {
+    stkCallback: {
+      MerchantRequestID: 'M-' + checkoutId,
+      CheckoutRequestID: checkoutId,
+      ResultCode: resultCode,
+      CallbackMetadata: {
+        Item: [
+          { Name: 'Amount', Value: 2699 },
+          { Name: 'MpesaReceiptNumber', Value: receipt },
+          { Name: 'PhoneNumber', Value: phone }
+        ]
+      }
+    }
+  }
+});
+
+test('webhook pipeline - duplicate M-Pesa callbacks are stored once and activate once', async () => {
+  const redis = new MockRedis();
+  const sent = [];
+  const bot = { sendMessage: async (chatId, text) => { sent.push({ chatId, text }); } };
+  const lookups = [];
+  const adapters = { DARAJA: { lookup: async (o) => { lookups.push(o.providerRef); return { status: 'success', amount: null }; } } };
+  const pipeline = new WebhookPipeline(redis, { bot, adapters });
+
+  const order = await createPaymentOrder(redis, 501, 'VVIP', 'MPESA', 'KE', { phone: '+254712000501' });
+  await recordProviderRef(redis, order.orderId, 'ws_CO_501', { gateway: 'DARAJA' });
+  const body = stkCallback('ws_CO_501', '254712000501', 'RCPT501');
+
+  const rawBody = JSON.stringify(body, null, 2);
+  const first = await pipeline.ingest('MPESA', { body, rawBody: Buffer.from(rawBody), headers: { 'x-signature': 'abc', authorization: 'secret' } });
+  const second = await pipeline.ingest('MPESA', { body, headers: {} });
+  assert.equal(first.duplicate, false);
+  assert.equal(second.duplicate, true);
+  assert.equal(second.id, first.id);
+
+  const stored = await pipeline.get(first.id);
+  assert.equal(stored.status, 'processed');
+  assert.equal(stored.providerEventId, 'ws_CO_501');
+  assert.equal(stored.headers.authorization, undefined, 'credentials are not stored');
+  assert.equal(stored.rawBody, rawBody, 'the body is kept byte for byte');
+  assert.equal(sent.length, 1, 'user is notified once');
+  assert.deepEqual(lookups, ['ws_CO_501'], 'the push is confirmed with Daraja before activating');
+  assert.equal(JSON.parse(redis.kv.get(`payment:order:${order.orderId}`)).status, 'completed');
+  assert.equal((await pipeline.list()).length, 1);
+});
+
+test('webhook pipeline - concurrent activations of one order only activate once', async () => {
+  const redis = new MockRedis();
+  const order = await createPaymentOrder(redis, 502, 'PRO', 'MPESA', 'KE');
+  const results = await Promise.allSettled([
+    verifyAndActivatePayment(redis, order.orderId, 'RCPT502'),
+    verifyAndActivatePayment(redis, order.orderId, 'RCPT502')
+  ]);
+  assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+  assert.match(results.find(r => r.status === 'rejected').reason.message, /already processed/);
+});
+
+test('webhook pipeline - failures retry on the queue, dead-letter on the last attempt and replay', async () => {
+  const redis = new MockRedis();
+  const jobs = [];
+  const queue = { add: async (name, data, opts) => { jobs.push({ name, data, opts }); } };
+  let healthy = false;
+  const rawBodies = [];
+  const handlers = {
+    PAYPAL: async (req) => {
+      rawBodies.push(req.rawBody);
+      return healthy ? { success: true, message: 'Payment processed' } : { success: false, error: 'redis timeout' };
+    }
+  };
+  const pipeline = new WebhookPipeline(redis, { queue, handlers, maxAttempts: 3, backoffMs: 10 });
+
+  const rawBody = '{"id":"WH-1","event_type":"PAYMENT.CAPTURE.COMPLETED"}';
+  const { id } = await pipeline.ingest('PAYPAL', { body: JSON.parse(rawBody), rawBody });
+  assert.equal(jobs.length, 1);
+  assert.deepEqual(jobs[0].opts.backoff, { type: 'exponential', delay: 10 });
+  assert.equal(jobs[0].opts.attempts, 3);
+  assert.equal((await pipeline.get(id)).status, 'queued');
+
+  await assert.rejects(() => pipeline.process(id), /redis timeout/);
+  assert.equal((await pipeline.get(id)).status, 'failed');
+  const last = await pipeline.process(id, { final: true });
+  assert.equal(last.status, 'dead');
+  const dead = await pipeline.deadLetters();
+  assert.equal(dead.length, 1);
+  assert.equal(dead[0].attempts, 2);
+  assert.equal(dead[0].lastError, 'redis timeout');
+
+  healthy = true;
+  await pipeline.replay(id);
+  assert.equal(jobs.length, 2);
+  assert.notEqual(jobs[1].opts.jobId, jobs[0].opts.jobId, 'replays get a fresh job id');
+  const replayed = await pipeline.process(jobs[1].data.eventId);
+  assert.equal(replayed.status, 'processed');
+  assert.equal((await pipeline.deadLetters()).length, 0);
+  assert.deepEqual(rawBodies, [rawBody, rawBody, rawBody], 'every attempt sees the body as received');
+
+  // Stored, but the queue was down: the provider's redelivery queues it instead of being dropped as a duplicate
+  let queueDown = true;
+  const flaky = { add: async (name, data, opts) => { if (queueDown) { queueDown = false; throw new Error('queue unavailable'); } jobs.push({ name, data, opts }); } };
+  const retrying = new WebhookPipeline(redis, { queue: flaky, handlers, maxAttempts: 3 });
+  const body = { id: 'WH-2', event_type: 'PAYMENT.CAPTURE.COMPLETED' };
+  await assert.rejects(() => retrying.ingest('PAYPAL', { body }), /queue unavailable/);
+  const redelivered = await retrying.ingest('PAYPAL', { body });
+  assert.equal(redelivered.duplicate, true);
+  assert.equal(redelivered.status, 'queued');
+  assert.equal(jobs.at(-1).opts.jobId, `webhook-${redelivered.id}`);
+  assert.equal((await retrying.process(redelivered.id)).status, 'processed');
+  const queued = jobs.length;
+  assert.equal((await retrying.ingest('PAYPAL', { body })).status, 'processed');
+  assert.equal(jobs.length, queued, 'processed events are not queued again');
+});
+
+test('webhook pipeline - provider event ids and non-retryable outcomes', async () => {
+  assert.equal(providerEventId('BINANCE', { data: { transactionId: 'B1', status: 'SUCCESS' } }), 'B1:SUCCESS');
+  assert.equal(providerEventId('SAFARICOM_TILL', { transaction_id: 'T1', status: 'completed' }), 'T1:completed');
+  assert.match(providerEventId('PAYPAL', { resource: {} }), /^sha256:/);
+
+  // A cancelled STK push is handled but not actionable: ignored, not retried
+  const redis = new MockRedis();
+  const pipeline = new WebhookPipeline(redis, { bot: { sendMessage: async () => {} } });
+  const { id } = await pipeline.ingest('MPESA', { body: stkCallback('ws_CO_503', '254712000503', '', 1032) });
+  const event = await pipeline.get(id);
+  assert.equal(event.status, 'ignored');
+  assert.equal(event.lastError, 'Payment failed');
+  assert.equal(event.eventType, 'stk_result:1032');
+});
+
+test('webhook pipeline - C2B confirmations need the URL token and a payment Daraja lists', async () => {
+  const redis = new MockRedis();
+  const listed = [];
+  const adapters = { DARAJA: { listPayments: async () => listed } };
+  const pipeline = new WebhookPipeline(redis, { bot: { sendMessage: async () => {} }, adapters });
+  const order = await createPaymentOrder(redis, 504, 'PRO', 'SAFARICOM_TILL', 'KE');
+  const confirmation = (transId) => ({ TransactionType: 'Pay Bill', TransID: transId, TransAmount: String(order.totalAmount), BillRefNumber: order.orderId, MSISDN: '254712000504' });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/webhooks/payments', createPaymentWebhooksRouter({ pipeline, c2bToken: 'c2b-secret' }));
+  const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  const post = (query, body) => fetch(`http://127.0.0.1:${server.address().port}/webhooks/payments/c2b${query}`, {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+  });
+  const status = () => JSON.parse(redis.kv.get(`payment:order:${order.orderId}`)).status;
+  try {
+    // Anyone who knows the order id can post a confirmation; without the token it is not even stored
+    assert.equal((await post('', confirmation('FORGED1'))).status, 403);
+    assert.equal((await post('?token=guess', confirmation('FORGED2'))).status, 403);
+    assert.equal((await pipeline.list()).length, 0);
+    assert.equal(status(), 'pending');
+
+    // A leaked token is still not enough: the TransID has to be on the shortcode's statement
+    assert.equal((await post('?token=c2b-secret', confirmation('FORGED3'))).status, 200);
+    assert.equal((await pipeline.list())[0].status, 'dead');
+    assert.equal(status(), 'pending');
+
+    // Listed, but for less than the order and under another account number
+    listed.push({ providerRef: 'RCPT504A', status: 'success', amount: 10, reference: order.orderId });
+    listed.push({ providerRef: 'RCPT504B', status: 'success', amount: order.totalAmount, reference: 'ORDOTHER' });
+    await post('?token=c2b-secret', { ...confirmation('RCPT504A'), TransAmount: '9999' });
+    await post('?token=c2b-secret', confirmation('RCPT504B'));
+    assert.deepEqual((await pipeline.list()).slice(0, 2).map(e => e.lastError), ['Payment reference does not match the order', 'Amount below order total']);
+    assert.equal(status(), 'pending');
+
+    listed.push({ providerRef: 'RCPT504C', status: 'success', amount: order.totalAmount, reference: order.orderId.toLowerCase() });
+    assert.equal((await post('?token=c2b-secret', confirmation('RCPT504C'))).status, 200);
+    assert.equal(status(), 'completed');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});